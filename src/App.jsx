@@ -1,57 +1,56 @@
-import React, { useState, useMemo, createContext, useContext, useEffect, Suspense, lazy } from 'react';
+import React, { useState, useMemo, useCallback, createContext, useContext, useEffect, Suspense, lazy } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { ThemeProvider, CssBaseline, Box, CircularProgress } from '@mui/material';
-import { getTheme } from './theme';
+import { getTheme, DEFAULT_THEME_SETTINGS } from './theme';
+import { toolRoutes } from './config/tools';
+import { ToolProvider } from './hooks/useToolState';
+import { CommandProvider } from './hooks/useCommands';
+import { I18nProvider } from './hooks/useI18n';
+import { usePrefersDarkMode } from './hooks/usePrefersDarkMode';
+import { getEmbedTheme } from './core/embed';
+import { readThemeSettings, writeThemeSettings } from './storage/themeSettings';
 
 // 布局组件
 import Header from './components/Layout/Header';
 import Sidebar from './components/Layout/Sidebar';
+import CommandPalette from './components/CommandPalette';
+import ShortcutHelp from './components/ShortcutHelp';
+import ToolTabs from './components/ToolTabs';
 
 // 页面组件 - 懒加载
 const Home = lazy(() => import('./pages/Home'));
 const NotFound = lazy(() => import('./pages/NotFound'));
+const Settings = lazy(() => import('./pages/Settings'));
 const DatePickerDemo = lazy(() => import('./pages/DatePickerDemo'));
+const Embed = lazy(() => import('./pages/Embed'));
 
-// 工具组件 - 懒加载
-const JsonFormat = lazy(() => import('./tools/json/JsonFormat'));
-const JsonDiff = lazy(() => import('./tools/json/JsonDiff'));
-const JsonYaml = lazy(() => import('./tools/json/JsonYaml'));
-const JsonXml = lazy(() => import('./tools/json/JsonXml'));
-const JsonUrl = lazy(() => import('./tools/json/JsonUrl'));
-const TimestampConverter = lazy(() => import('./tools/time/TimestampConverter'));
-const Base64Tool = lazy(() => import('./tools/encode/Base64'));
-const UrlEncode = lazy(() => import('./tools/encode/UrlEncode'));
-const JwtTool = lazy(() => import('./tools/encode/JwtTool'));
-const HashGenerator = lazy(() => import('./tools/hash/HashGenerator'));
-const TextDiff = lazy(() => import('./tools/text/TextDiff'));
-const UuidGenerator = lazy(() => import('./tools/uuid/UuidGenerator'));
-const QRCodeGenerator = lazy(() => import('./tools/qrcode/QRCodeGenerator'));
-const QRCodeDecoder = lazy(() => import('./tools/qrcode/QRCodeDecoder'));
-
-// P1 阶段工具 - 懒加载
-const MultiFormat = lazy(() => import('./tools/format/MultiFormat'));
-const SqlFormat = lazy(() => import('./tools/sql/SqlFormat'));
-const SqlToEntity = lazy(() => import('./tools/sql/SqlToEntity'));
-const SqlDialectConvert = lazy(() => import('./tools/sql/SqlDialectConvert'));
-const SqlDiff = lazy(() => import('./tools/sql/SqlDiff'));
-const RegexTester = lazy(() => import('./tools/regex/RegexTester'));
-const ColorPicker = lazy(() => import('./tools/color/ColorPicker'));
-const CronGenerator = lazy(() => import('./tools/cron/CronGenerator'));
-
-// P2 阶段工具 - 懒加载
-const ImageBase64 = lazy(() => import('./tools/image/ImageBase64'));
-const ImageDiff = lazy(() => import('./tools/image/ImageDiff'));
-const ChmodCalculator = lazy(() => import('./tools/devops/ChmodCalculator'));
-const NumberBase = lazy(() => import('./tools/math/NumberBase'));
-const IpQuery = lazy(() => import('./tools/network/IpQuery'));
-const TextToolkit = lazy(() => import('./tools/text/TextToolkit'));
-const TextDedup = lazy(() => import('./tools/text/TextDedup'));
+// 工具组件 - 由工具注册表生成懒加载路由，工具区域上方显示标签栏，每个标签页的状态相互独立
+const toolRouteElements = toolRoutes.map((tool) => {
+    const ToolComponent = lazy(tool.load);
+    return (
+        <Route
+            key={tool.id}
+            path={tool.path}
+            element={(
+                <ToolProvider tool={tool} tabBar={<ToolTabs />}>
+                    <ToolComponent />
+                </ToolProvider>
+            )}
+        />
+    );
+});
 
 /**
  * 主题上下文 - 用于全局主题切换
+ * - mode: 实际使用的模式 light | dark（跟随系统时为系统当前的模式）
+ * - settings: 主题设置（见 DEFAULT_THEME_SETTINGS）
+ * - updateSettings: 修改部分设置并保存
+ * - toggleMode: 在浅色和深色之间切换
  */
 const ThemeModeContext = createContext({
     mode: 'light',
+    settings: DEFAULT_THEME_SETTINGS,
+    updateSettings: () => { },
     toggleMode: () => { },
 });
 
@@ -83,27 +82,37 @@ const DRAWER_WIDTH = 260;
  * 主应用组件
  * 
  * 功能：
- * - 主题管理（深色/浅色模式切换）
+ * - 主题管理（浅色/深色/跟随系统、高对比度、强调色和编辑器字体）
+ * - 界面语言（简体中文 / English）
  * - 路由配置
  * - 全局布局（Header + Sidebar + Main）
+ * - 全局命令面板（Ctrl+K）和快捷键（? 查看速查表，可在设置页面修改）
+ * - 嵌入页面（/embed/:toolId）只渲染工具本身，不使用全局布局
  */
 function App() {
-    // 主题模式状态 - 从 localStorage 读取，默认浅色
-    const [mode, setMode] = useState(() => {
-        const savedMode = localStorage.getItem('themeMode');
-        return savedMode || 'light';
-    });
+    // 主题设置 - 从 localStorage 读取，默认跟随系统
+    const [settings, setSettings] = useState(readThemeSettings);
+    // 嵌入页面优先使用地址参数指定的主题模式，不保存
+    const [embedMode] = useState(() => getEmbedTheme(window.location));
+    const prefersDark = usePrefersDarkMode();
+    const modeSetting = embedMode || settings.mode;
+    const mode = modeSetting === 'system' ? (prefersDark ? 'dark' : 'light') : modeSetting;
 
     // 移动端侧边栏状态
     const [mobileOpen, setMobileOpen] = useState(false);
 
-    // 主题切换函数
-    const toggleMode = () => {
-        setMode((prevMode) => {
-            const newMode = prevMode === 'light' ? 'dark' : 'light';
-            localStorage.setItem('themeMode', newMode);
-            return newMode;
+    // 修改并保存主题设置
+    const updateSettings = useCallback((changes) => {
+        setSettings((prev) => {
+            const next = { ...prev, ...changes };
+            writeThemeSettings(next);
+            return next;
         });
+    }, []);
+
+    // 主题切换函数：跟随系统时切换为与当前相反的固定模式
+    const toggleMode = () => {
+        updateSettings({ mode: mode === 'dark' ? 'light' : 'dark' });
     };
 
     // 侧边栏切换（移动端）
@@ -112,10 +121,13 @@ function App() {
     };
 
     // 创建 MUI 主题
-    const theme = useMemo(() => getTheme(mode), [mode]);
+    const theme = useMemo(() => getTheme({ ...settings, mode }), [settings, mode]);
 
     // 上下文值
-    const themeModeValue = useMemo(() => ({ mode, toggleMode }), [mode]);
+    const themeModeValue = useMemo(
+        () => ({ mode, settings, updateSettings, toggleMode }),
+        [mode, settings, updateSettings],
+    );
 
     // 同步 body 类名用于 Tailwind 深色模式
     useEffect(() => {
@@ -126,119 +138,88 @@ function App() {
         }
     }, [mode]);
 
+    // 全局布局：顶部导航、侧边栏、主内容区域、命令面板和快捷键速查表
+    const mainLayout = (
+        <>
+            <Box sx={{ display: 'flex', minHeight: '100vh' }}>
+                {/* 顶部导航 */}
+                <Header
+                    onDrawerToggle={handleDrawerToggle}
+                    drawerWidth={DRAWER_WIDTH}
+                />
+
+                {/* 侧边栏导航 */}
+                <Sidebar
+                    mobileOpen={mobileOpen}
+                    onDrawerToggle={handleDrawerToggle}
+                    drawerWidth={DRAWER_WIDTH}
+                />
+
+                {/* 主内容区域 */}
+                <Box
+                    component="main"
+                    sx={{
+                        flexGrow: 1,
+                        p: 2,
+                        mt: '64px', // Header 高度
+                        overflowX: 'hidden',
+                        maxWidth: '100%', // 确保不溢出
+                    }}
+                >
+                    <Suspense fallback={<LoadingFallback />}>
+                        <Routes>
+                            {/* 首页 */}
+                            <Route path="/" element={<Home />} />
+
+                            {/* 设置页面 */}
+                            <Route path="/settings" element={<Settings />} />
+
+                            {/* 演示页面 */}
+                            <Route path="/demo/datepicker" element={<DatePickerDemo />} />
+
+                            {/* 工具页面 */}
+                            {toolRouteElements}
+
+                            {/* 404 页面 */}
+                            <Route path="/404" element={<NotFound />} />
+                            <Route path="*" element={<Navigate to="/404" replace />} />
+                        </Routes>
+                    </Suspense>
+                </Box>
+            </Box>
+
+            {/* 命令面板和快捷键速查表 */}
+            <CommandPalette />
+            <ShortcutHelp />
+        </>
+    );
+
     return (
-        <ThemeModeContext.Provider value={themeModeValue}>
-            <ThemeProvider theme={theme}>
-                <CssBaseline />
-                <Router>
-                    <Box sx={{ display: 'flex', minHeight: '100vh' }}>
-                        {/* 顶部导航 */}
-                        <Header
-                            onDrawerToggle={handleDrawerToggle}
-                            drawerWidth={DRAWER_WIDTH}
-                        />
-
-                        {/* 侧边栏导航 */}
-                        <Sidebar
-                            mobileOpen={mobileOpen}
-                            onDrawerToggle={handleDrawerToggle}
-                            drawerWidth={DRAWER_WIDTH}
-                        />
-
-                        {/* 主内容区域 */}
-                        <Box
-                            component="main"
-                            sx={{
-                                flexGrow: 1,
-                                p: 2,
-                                mt: '64px', // Header 高度
-                                overflowX: 'hidden',
-                                maxWidth: '100%', // 确保不溢出
-                            }}
-                        >
-                            <Suspense fallback={<LoadingFallback />}>
-                                <Routes>
-                                    {/* 首页 */}
-                                    <Route path="/" element={<Home />} />
-
-                                    {/* 演示页面 */}
-                                    <Route path="/demo/datepicker" element={<DatePickerDemo />} />
-
-                                    {/* JSON 工具 */}
-                                    <Route path="/tools/json/format" element={<JsonFormat />} />
-                                    <Route path="/tools/json/diff" element={<JsonDiff />} />
-                                    <Route path="/tools/json/yaml" element={<JsonYaml />} />
-                                    <Route path="/tools/json/xml" element={<JsonXml />} />
-                                    <Route path="/tools/json/url" element={<JsonUrl />} />
-
-                                    {/* 时间工具 */}
-                                    <Route path="/tools/time/timestamp" element={<TimestampConverter />} />
-
-                                    {/* 编码工具 */}
-                                    <Route path="/tools/encode/base64" element={<Base64Tool />} />
-                                    <Route path="/tools/encode/url" element={<UrlEncode />} />
-                                    <Route path="/tools/encode/jwt" element={<JwtTool />} />
-
-                                    {/* 哈希工具 */}
-                                    <Route path="/tools/hash/generator" element={<HashGenerator />} />
-
-                                    {/* 文本工具 */}
-                                    <Route path="/tools/text/diff" element={<TextDiff />} />
-
-                                    {/* UUID 工具 */}
-                                    <Route path="/tools/uuid/generator" element={<UuidGenerator />} />
-
-                                    {/* 二维码工具 */}
-                                    <Route path="/tools/qrcode/generate" element={<QRCodeGenerator />} />
-                                    <Route path="/tools/qrcode/decode" element={<QRCodeDecoder />} />
-
-                                    {/* P1 阶段工具 */}
-                                    {/* 代码格式化 */}
-                                    <Route path="/tools/format/multi" element={<MultiFormat />} />
-
-                                    {/* SQL 工具 */}
-                                    <Route path="/tools/sql/format" element={<SqlFormat />} />
-                                    <Route path="/tools/sql/entity" element={<SqlToEntity />} />
-                                    <Route path="/tools/sql/convert" element={<SqlDialectConvert />} />
-                                    <Route path="/tools/sql/diff" element={<SqlDiff />} />
-
-                                    {/* 正则工具 */}
-                                    <Route path="/tools/regex/tester" element={<RegexTester />} />
-
-                                    {/* 颜色工具 */}
-                                    <Route path="/tools/color/picker" element={<ColorPicker />} />
-
-                                    {/* Cron 工具 */}
-                                    <Route path="/tools/cron/generator" element={<CronGenerator />} />
-
-                                    {/* P2 阶段工具 */}
-                                    {/* 图片工具 */}
-                                    <Route path="/tools/image/base64" element={<ImageBase64 />} />
-                                    <Route path="/tools/image/diff" element={<ImageDiff />} />
-
-                                    {/* DevOps 工具 */}
-                                    <Route path="/tools/devops/chmod" element={<ChmodCalculator />} />
-
-                                    {/* 数学工具 */}
-                                    <Route path="/tools/math/base" element={<NumberBase />} />
-
-                                    {/* 网络工具 */}
-                                    <Route path="/tools/network/ip" element={<IpQuery />} />
-
-                                    {/* 文本工具(P2) */}
-                                    <Route path="/tools/text/toolkit" element={<TextToolkit />} />
-                                    <Route path="/tools/text/dedup" element={<TextDedup />} />
-
-                                    {/* 404 页面 */}
-                                    <Route path="/404" element={<NotFound />} />
-                                    <Route path="*" element={<Navigate to="/404" replace />} />
-                                </Routes>
-                            </Suspense>
-                        </Box>
-                    </Box>
-                </Router>
-            </ThemeProvider>
-        </ThemeModeContext.Provider>
+        <I18nProvider>
+            <ThemeModeContext.Provider value={themeModeValue}>
+                <ThemeProvider theme={theme}>
+                    <CssBaseline />
+                    <Router>
+                        <CommandProvider>
+                            <Routes>
+                                {/* 嵌入页面 */}
+                                <Route
+                                    path="/embed/:toolId"
+                                    element={(
+                                        <Suspense fallback={<LoadingFallback />}>
+                                            <Embed />
+                                        </Suspense>
+                                    )}
+                                />
+
+                                {/* 其他页面使用全局布局 */}
+                                <Route path="*" element={mainLayout} />
+                            </Routes>
+                        </CommandProvider>
+                    </Router>
+                </ThemeProvider>
+            </ThemeModeContext.Provider>
+        </I18nProvider>
     );
 }
 
@@ -0,0 +1,525 @@
+/**
+ * 命令行入口
+ * 与网页工具共用 src/core 中的实现，由 vite.cli.config.js 打包为 dist-cli/tools.js：
+ *
+ *   tools sql2entity --lang go-gorm < schema.sql
+ *   echo '{"a":1}' | tools json-yaml.json2yaml
+ *
+ * 输入从标准输入读取，也可以直接写在命令后面；结果写到标准输出，错误和警告写到标准错误。
+ * 需要第二份输入的命令（JSON Schema 校验的 schema、JSON 对比的右侧）通过选项指定文件。
+ * 提示文案在语言包的 cli 命名空间中，语言由 --locale 或 LANG 环境变量决定。
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import {
+    ENTITY_DIALECTS,
+    ENTITY_TARGETS,
+    DEFAULT_ENTITY_OPTIONS,
+    parseCreateTable,
+    generateCode,
+    DEFAULT_DIALECT_OPTIONS,
+    convertSqlDialect,
+    SQL_FORMAT_DIALECTS,
+    SQL_KEYWORD_CASES,
+    formatSql,
+    minifySql,
+    SCHEMA_DRAFTS,
+    detectSchemaDraft,
+    compileJsonSchema,
+    validateJsonText,
+    formatJsonPointer,
+    JSON_TYPE_TARGETS,
+    DEFAULT_JSON_TYPE_OPTIONS,
+    parseJsonSamples,
+    inferJsonSchema,
+    generateJsonTypes,
+    diffJson,
+    toJsonPatch,
+    createMergePatch,
+    formatJsonPath,
+    JWT_ALGORITHMS,
+    decodeJwt,
+    signJwt,
+    validateCronExpression,
+    describeCron,
+    operations,
+    getOperationName,
+    getOptionLabel,
+    getDefaultOptions,
+} from '../core';
+import { translate, LOCALES } from '../i18n';
+
+/**
+ * 退出码：转换失败为 1，命令或参数错误为 2
+ */
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * 所有命令共用的选项
+ */
+const GLOBAL_OPTIONS = {
+    locale: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * 命令行用法错误（未知命令、参数取值错误等），code 为语言包 cli.errors 下的文案键
+ */
+const usageError = (code, params) => Object.assign(new Error(code), { code, params, usage: true });
+
+/**
+ * 读取选项值并校验是否在可选范围内
+ */
+const getChoice = (values, name, choices) => {
+    const value = values[name];
+    if (!choices.includes(value)) {
+        throw usageError('invalidChoice', { option: name, value, choices: choices.join(', ') });
+    }
+    return value;
+};
+
+/**
+ * 读取选项指定的文件，- 表示标准输入；与 readInput 一样去掉末尾的一个换行
+ */
+const readFileOption = (values, name) => {
+    const path = values[name];
+    try {
+        return readFileSync(path === '-' ? 0 : path, 'utf-8').replace(/\r?\n$/, '');
+    } catch (err) {
+        throw usageError('readFile', { option: name, path, message: err.message });
+    }
+};
+
+/**
+ * 读取选项指定的 JSON 文件
+ */
+const readJsonOption = (values, name) => {
+    const text = readFileOption(values, name);
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw usageError('invalidJsonFile', { option: name, path: values[name], message: err.message });
+    }
+};
+
+/**
+ * 签名密钥：--secret、--secret-file（- 为标准输入）、JWT_SECRET 环境变量，按此顺序取第一个
+ * 写在命令行中的密钥会留在 shell 历史和进程列表中，推荐使用后两种方式
+ */
+const getJwtSecret = (values, { stdinUsed }) => {
+    if (values.secret !== undefined) return values.secret;
+    if (values['secret-file'] !== undefined) {
+        // 标准输入已用于读取载荷时不能再读取密钥
+        if (values['secret-file'] === '-' && stdinUsed) throw usageError('stdinConflict', { option: 'secret-file' });
+        return readFileOption(values, 'secret-file');
+    }
+    if (process.env.JWT_SECRET !== undefined) return process.env.JWT_SECRET;
+    throw usageError('missingSecret');
+};
+
+/**
+ * 驼峰转短横线，用于把操作参数名转换为命令行选项名（ignoreAttributes -> ignore-attributes）
+ */
+const toKebabCase = (str) => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+/**
+ * SQL 方言转换命令的公共部分，无法转换的定义作为警告输出
+ */
+const convertDialect = (direction) => (input, values, { locale, warn }) => {
+    const { sql, warnings } = convertSqlDialect(input, direction, {
+        addTableOptions: !values['no-table-options'] && DEFAULT_DIALECT_OPTIONS.addTableOptions,
+        generateCommentOn: !values['no-comment-on'] && DEFAULT_DIALECT_OPTIONS.generateCommentOn,
+    });
+    warnings.forEach(({ key, params }) => warn(translate(locale, `sqlDialect.warnings.${key}`, params)));
+    return sql;
+};
+
+/**
+ * 内置命令
+ * - options: parseArgs 选项定义，help 为说明文案的键（cli.options 下），choices 为可选值
+ * - run: (input, values, context) => 输出文本，context 为 { locale, warn, stdinUsed }（stdinUsed 表示输入来自标准输入）；
+ *   也可以返回 { output, failed }，failed 为 true 时输出后以退出码 1 结束（如校验不通过）
+ * - errorKey: 核心库错误 code 对应的文案键前缀，没有 code 的错误直接显示 message
+ */
+const commands = [
+    {
+        id: 'sql2entity',
+        options: {
+            'lang': { type: 'string', default: 'go-gorm', help: 'lang', choices: ENTITY_TARGETS },
+            'dialect': { type: 'string', default: 'mysql', help: 'dialect', choices: ENTITY_DIALECTS },
+            'no-package': { type: 'boolean', help: 'noPackage' },
+            'no-json-tag': { type: 'boolean', help: 'noJsonTag' },
+            'no-table-name': { type: 'boolean', help: 'noTableName' },
+            'getter-setter': { type: 'boolean', help: 'getterSetter' },
+            'snake-case': { type: 'boolean', help: 'snakeCase' },
+        },
+        run: (input, values) => {
+            const table = parseCreateTable(input, getChoice(values, 'dialect', ENTITY_DIALECTS));
+            return generateCode(table, getChoice(values, 'lang', ENTITY_TARGETS), {
+                ...DEFAULT_ENTITY_OPTIONS,
+                includePackage: !values['no-package'],
+                includeJsonTag: !values['no-json-tag'],
+                includeTableName: !values['no-table-name'],
+                includeGetterSetter: Boolean(values['getter-setter']),
+                useCamelCase: !values['snake-case'],
+            });
+        },
+        errorKey: 'sqlToEntity.errors',
+    },
+    {
+        id: 'pg2mysql',
+        options: {
+            'no-table-options': { type: 'boolean', help: 'noTableOptions' },
+        },
+        run: convertDialect('pg2mysql'),
+        errorKey: 'sqlDialect.errors',
+    },
+    {
+        id: 'mysql2pg',
+        options: {
+            'no-comment-on': { type: 'boolean', help: 'noCommentOn' },
+        },
+        run: convertDialect('mysql2pg'),
+        errorKey: 'sqlDialect.errors',
+    },
+    {
+        id: 'sql-format',
+        options: {
+            'dialect': { type: 'string', default: 'sql', help: 'sqlDialect', choices: SQL_FORMAT_DIALECTS },
+            'keyword-case': { type: 'string', default: 'upper', help: 'keywordCase', choices: SQL_KEYWORD_CASES },
+            'indent': { type: 'string', default: '2', help: 'indent', choices: ['2', '4'] },
+            'minify': { type: 'boolean', help: 'minifySql' },
+        },
+        run: (input, values) => {
+            if (values.minify) return minifySql(input);
+            return formatSql(input, {
+                language: getChoice(values, 'dialect', SQL_FORMAT_DIALECTS),
+                keywordCase: getChoice(values, 'keyword-case', SQL_KEYWORD_CASES),
+                tabWidth: Number(getChoice(values, 'indent', ['2', '4'])),
+                linesBetweenQueries: 2,
+            });
+        },
+        errorKey: null,
+    },
+    {
+        id: 'json-schema',
+        options: {
+            'schema': { type: 'string', help: 'schema' },
+            'draft': { type: 'string', default: 'auto', help: 'draft', choices: ['auto', ...SCHEMA_DRAFTS] },
+            'entry': { type: 'string', help: 'entry' },
+            'ndjson': { type: 'boolean', help: 'ndjson' },
+            'no-format': { type: 'boolean', help: 'noFormat' },
+        },
+        run: (input, values, { locale }) => {
+            if (values.schema === undefined) throw usageError('missingOption', { option: 'schema' });
+            const schema = readJsonOption(values, 'schema');
+            const draft = getChoice(values, 'draft', ['auto', ...SCHEMA_DRAFTS]);
+            const validate = compileJsonSchema(schema, {
+                draft: draft === 'auto' ? detectSchemaDraft(schema) || '2020-12' : draft,
+                entry: values.entry,
+                assertFormat: !values['no-format'],
+            });
+            const { count, errors } = validateJsonText(validate, input, Boolean(values.ndjson));
+            if (errors.length === 0) return translate(locale, 'cli.schemaValid', { count });
+            // 每行一个错误：行:列 路径 说明，与网页工具的错误列表一致
+            const output = errors.map(({ position, instancePath, code, params }) => {
+                const message = translate(locale, `jsonSchema.errors.${code}`, params);
+                const path = code === 'invalidJson' ? '' : `${formatJsonPointer(instancePath) || '/'}: `;
+                return `${position.line}:${position.column} ${path}${message}`;
+            });
+            return { output: output.join('\n'), failed: true };
+        },
+        errorKey: 'jsonSchema.schemaErrors',
+    },
+    {
+        id: 'json-types',
+        options: {
+            'target': { type: 'string', default: 'typescript', help: 'target', choices: JSON_TYPE_TARGETS },
+            'root-name': { type: 'string', default: DEFAULT_JSON_TYPE_OPTIONS.rootName, help: 'rootName' },
+            'no-formats': { type: 'boolean', help: 'noFormats' },
+            'no-imports': { type: 'boolean', help: 'noImports' },
+        },
+        run: (input, values) => {
+            const options = {
+                ...DEFAULT_JSON_TYPE_OPTIONS,
+                rootName: values['root-name'],
+                detectFormats: !values['no-formats'],
+                includeImports: !values['no-imports'],
+            };
+            const schema = inferJsonSchema(parseJsonSamples(input), options);
+            return generateJsonTypes(schema, getChoice(values, 'target', JSON_TYPE_TARGETS), options);
+        },
+        errorKey: 'jsonTypes.errors',
+    },
+    {
+        id: 'json-diff',
+        options: {
+            'right': { type: 'string', help: 'right' },
+            'format': { type: 'string', default: 'json-patch', help: 'diffFormat', choices: ['json-patch', 'merge-patch', 'changes'] },
+            'array-key': { type: 'string', help: 'arrayKey' },
+        },
+        run: (input, values) => {
+            if (values.right === undefined) throw usageError('missingOption', { option: 'right' });
+            const format = getChoice(values, 'format', ['json-patch', 'merge-patch', 'changes']);
+            let left;
+            try {
+                left = JSON.parse(input);
+            } catch (err) {
+                throw usageError('invalidInputJson', { message: err.message });
+            }
+            const right = readJsonOption(values, 'right');
+            if (format === 'merge-patch') return JSON.stringify(createMergePatch(left, right), null, 2);
+            const changes = diffJson(left, right, { arrayKey: (values['array-key'] || '').trim() });
+            if (format === 'json-patch') return JSON.stringify(toJsonPatch(changes), null, 2);
+            // 每行一个变更：操作 路径 旧值 → 新值
+            return changes.map((change) => {
+                const path = change.from ? `${formatJsonPath(change.from)} → ${formatJsonPath(change.path)}` : formatJsonPath(change.path);
+                const shown = [
+                    'oldValue' in change ? JSON.stringify(change.oldValue) : null,
+                    'value' in change ? JSON.stringify(change.value) : null,
+                ].filter(value => value !== null);
+                return [change.op, path, shown.join(' → ')].filter(Boolean).join(' ');
+            }).join('\n');
+        },
+        errorKey: null,
+    },
+    {
+        id: 'jwt-decode',
+        options: {},
+        run: (input) => JSON.stringify(decodeJwt(input), null, 2),
+        errorKey: 'jwtTool',
+    },
+    {
+        id: 'jwt-sign',
+        options: {
+            'secret': { type: 'string', help: 'secret' },
+            'secret-file': { type: 'string', help: 'secretFile' },
+            'alg': { type: 'string', default: 'HS256', help: 'alg', choices: JWT_ALGORITHMS },
+            'header': { type: 'string', help: 'header' },
+        },
+        run: (input, values, context) => {
+            const secret = getJwtSecret(values, context);
+            const algorithm = getChoice(values, 'alg', JWT_ALGORITHMS);
+            let header;
+            try {
+                header = { alg: algorithm, typ: 'JWT', ...(values.header ? JSON.parse(values.header) : {}) };
+            } catch (err) {
+                throw usageError('invalidJson', { option: 'header', message: err.message });
+            }
+            // 与网页工具一致：header 中的 alg 以选择的算法为准
+            header.alg = algorithm;
+            return signJwt(header, JSON.parse(input), secret, algorithm);
+        },
+        errorKey: null,
+    },
+    {
+        id: 'cron',
+        options: {},
+        run: (input, values, { locale }) => describeCron(validateCronExpression(input), locale),
+        errorKey: 'cron.errors',
+    },
+];
+
+/**
+ * 操作参数在命令行中的可选值（字符串形式）
+ */
+const getOperationChoices = (option) => {
+    return option.type === 'boolean' ? ['true', 'false'] : option.choices.map(choice => String(choice.value));
+};
+
+/**
+ * 将操作注册表中的操作包装为命令，命令名即操作 ID（如 json-format.format）
+ * 操作参数统一按字符串传入，再按参数定义转换为布尔值或选项值
+ */
+const operationCommands = operations.map(operation => ({
+    id: operation.id,
+    operation,
+    options: Object.fromEntries((operation.options || []).map(option => [
+        toKebabCase(option.key),
+        { type: 'string', default: String(option.default), label: option, choices: getOperationChoices(option) },
+    ])),
+    run: (input, values) => {
+        const options = getDefaultOptions(operation);
+        (operation.options || []).forEach(option => {
+            const value = getChoice(values, toKebabCase(option.key), getOperationChoices(option));
+            options[option.key] = option.type === 'boolean'
+                ? value === 'true'
+                : option.choices.find(choice => String(choice.value) === value).value;
+        });
+        return operation.run(input, options);
+    },
+    errorKey: null,
+}));
+
+const allCommands = [...commands, ...operationCommands];
+
+/**
+ * 确定输出语言：--locale 优先，其次按 LANG 等环境变量选择，与网页按浏览器语言选择的规则一致
+ */
+const resolveLocale = (locale) => {
+    if (LOCALES.some(l => l.id === locale)) return locale;
+    const lang = process.env.LC_ALL || process.env.LC_MESSAGES || process.env.LANG || '';
+    return lang.toLowerCase().startsWith('zh') ? 'zh-CN' : 'en-US';
+};
+
+/**
+ * 生成两列对齐的帮助文本
+ */
+const formatRows = (rows) => {
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`).join('\n');
+};
+
+/**
+ * 命令的显示说明
+ */
+const getCommandDescription = (command, locale) => {
+    return command.operation
+        ? getOperationName(command.operation, locale)
+        : translate(locale, `cli.commands.${command.id}`);
+};
+
+/**
+ * 选项的显示说明，附带可选值和默认值
+ */
+const getOptionHelp = (option, locale) => {
+    let text = option.label ? getOptionLabel(option.label, locale) : translate(locale, `cli.options.${option.help}`);
+    if (option.choices) text += translate(locale, 'cli.choices', { choices: option.choices.join(', ') });
+    if (option.default !== undefined) text += translate(locale, 'cli.default', { value: option.default });
+    return text;
+};
+
+const getGlobalOptionRows = (locale) => [
+    ['--locale <id>', translate(locale, 'cli.options.locale', { locales: LOCALES.map(l => l.id).join(', ') })],
+    ['-h, --help', translate(locale, 'cli.options.help')],
+];
+
+/**
+ * 总帮助：命令列表
+ */
+const getUsage = (locale) => {
+    return [
+        translate(locale, 'cli.usage', { command: '<command>' }),
+        translate(locale, 'cli.inputHint'),
+        '',
+        translate(locale, 'cli.commandsTitle'),
+        formatRows(commands.map(command => [command.id, getCommandDescription(command, locale)])),
+        '',
+        translate(locale, 'cli.operationsTitle'),
+        formatRows(operationCommands.map(command => [command.id, getCommandDescription(command, locale)])),
+        '',
+        translate(locale, 'cli.optionsTitle'),
+        formatRows(getGlobalOptionRows(locale)),
+        '',
+        translate(locale, 'cli.examplesTitle'),
+        '  tools sql2entity --lang go-gorm < schema.sql',
+        '  tools pg2mysql < schema.sql > schema.mysql.sql',
+        '  tools sql-format --dialect mysql < query.sql',
+        '  tools json-schema --schema schema.json < data.json',
+        '  tools json-types --target go < sample.json',
+        '  tools json-diff --right new.json < old.json',
+        '  JWT_SECRET=your-256-bit-secret tools jwt-sign < payload.json',
+        '  tools cron "*/5 * * * *"',
+        '  echo \'{"a":1}\' | tools json-yaml.json2yaml',
+    ].join('\n');
+};
+
+/**
+ * 单个命令的帮助：说明和选项
+ */
+const getCommandUsage = (command, locale) => {
+    const rows = Object.entries(command.options).map(([name, option]) => [
+        option.type === 'boolean' ? `--${name}` : `--${name} <value>`,
+        getOptionHelp(option, locale),
+    ]);
+    return [
+        translate(locale, 'cli.usage', { command: command.id }),
+        getCommandDescription(command, locale),
+        '',
+        translate(locale, 'cli.optionsTitle'),
+        formatRows([...rows, ...getGlobalOptionRows(locale)]),
+    ].join('\n');
+};
+
+/**
+ * 读取输入：命令后面的参数优先，否则读取标准输入
+ * 去掉标准输入末尾的一个换行（echo、文件结尾），避免编码类操作把它当作内容
+ */
+const readInput = async (positionals) => {
+    if (positionals.length > 0) return positionals.join(' ');
+    if (process.stdin.isTTY) return '';
+    let text = '';
+    process.stdin.setEncoding('utf-8');
+    for await (const chunk of process.stdin) {
+        text += chunk;
+    }
+    return text.replace(/\r?\n$/, '');
+};
+
+/**
+ * 转换错误信息：用法错误和带 code 的核心库错误显示对应语言的文案
+ */
+const getErrorMessage = (err, command, locale) => {
+    if (err.usage) return translate(locale, `cli.errors.${err.code}`, err.params);
+    if (err.code && command?.errorKey) {
+        return translate(locale, `${command.errorKey}.${err.code}`, { message: err.message, ...err.params });
+    }
+    return err.message;
+};
+
+const write = (stream, text) => stream.write(text.endsWith('\n') ? text : `${text}\n`);
+
+const main = async (argv) => {
+    const [commandId, ...rest] = argv;
+    // 先按通用选项解析一次，确定语言后再报告其他错误
+    const { values: globalValues } = parseArgs({ args: argv, options: GLOBAL_OPTIONS, strict: false });
+    const locale = resolveLocale(globalValues.locale);
+
+    if (!commandId || commandId.startsWith('-')) {
+        write(globalValues.help ? process.stdout : process.stderr, getUsage(locale));
+        return globalValues.help ? 0 : EXIT_USAGE;
+    }
+
+    const command = allCommands.find(c => c.id === commandId);
+    try {
+        if (!command) throw usageError('unknownCommand', { command: commandId });
+
+        const argsOptions = Object.fromEntries(
+            Object.entries(command.options).map(([name, { type, default: value }]) => [name, { type, default: value }])
+        );
+        let parsed;
+        try {
+            parsed = parseArgs({
+                args: rest,
+                options: { ...GLOBAL_OPTIONS, ...argsOptions },
+                allowPositionals: true,
+            });
+        } catch (err) {
+            throw usageError('invalidArgs', { message: err.message });
+        }
+
+        if (parsed.values.help) {
+            write(process.stdout, getCommandUsage(command, locale));
+            return 0;
+        }
+
+        const input = await readInput(parsed.positionals);
+        if (!input.trim()) throw usageError('emptyInput', { command: command.id });
+
+        const warn = (message) => write(process.stderr, translate(locale, 'cli.warning', { message }));
+        const stdinUsed = parsed.positionals.length === 0;
+        const result = command.run(input, parsed.values, { locale, warn, stdinUsed });
+        const { output, failed } = typeof result === 'string' ? { output: result, failed: false } : result;
+        write(process.stdout, output);
+        return failed ? EXIT_FAILED : 0;
+    } catch (err) {
+        write(process.stderr, translate(locale, 'cli.error', { message: getErrorMessage(err, command, locale) }));
+        return err.usage ? EXIT_USAGE : EXIT_FAILED;
+    }
+};
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useRef, useEffect, useState, useCallback } from 'react';
 import CodeMirror from '@uiw/react-codemirror';
 import { json } from '@codemirror/lang-json';
 import { javascript } from '@codemirror/lang-javascript';
@@ -7,7 +7,20 @@ import { xml } from '@codemirror/lang-xml';
 import { html } from '@codemirror/lang-html';
 import { css } from '@codemirror/lang-css';
 import { yaml } from '@codemirror/lang-yaml';
-import { Box, useTheme } from '@mui/material';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView } from '@codemirror/view';
+import { Box, ButtonBase, IconButton, Tooltip, Typography, useTheme, alpha } from '@mui/material';
+import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
+import FolderOpenOutlinedIcon from '@mui/icons-material/FolderOpenOutlined';
+import SaveAltIcon from '@mui/icons-material/SaveAlt';
+
+import { useI18n } from '../hooks/useI18n';
+import { useEmbed } from '../hooks/useEmbed';
+import { decodeTextFile, getFileExtension } from '../core/textFile';
+import { isLargeInput } from '../core/codeFormat';
 
 /**
  * 语言扩展映射
@@ -23,13 +36,79 @@ const languageExtensions = {
     yaml: yaml,
 };
 
+/**
+ * 诊断级别对应的图标
+ */
+const severityIcons = {
+    error: ErrorOutlineIcon,
+    warning: WarningAmberIcon,
+    info: InfoOutlinedIcon,
+};
+
+/**
+ * 将诊断的行列（从 1 开始）转换为文档中的位置，超出范围时收缩到最近的有效位置
+ */
+const toRange = (doc, { line, column }) => {
+    const docLine = doc.line(Math.min(Math.max(line, 1), doc.lines));
+    const from = Math.min(docLine.from + Math.max(column, 1) - 1, docLine.to);
+    return { from, to: Math.min(from + 1, docLine.to) };
+};
+
+/**
+ * 把诊断列表写入编辑器，显示为行号旁的标记和波浪线，悬停时显示错误信息
+ */
+const applyDiagnostics = (view, diagnostics) => {
+    const items = diagnostics.map(diagnostic => ({
+        ...toRange(view.state.doc, diagnostic),
+        severity: diagnostic.severity || 'error',
+        message: diagnostic.message,
+    }));
+    view.dispatch(setDiagnostics(view.state, items));
+};
+
+/**
+ * 标出的范围：替换为新的列表，文档修改时随之移动
+ */
+const setHighlights = StateEffect.define();
+const highlightMark = Decoration.mark({ class: 'cm-highlight-range' });
+const highlightField = StateField.define({
+    create: () => Decoration.none,
+    update: (decorations, transaction) => transaction.effects.reduce(
+        (current, effect) => (effect.is(setHighlights) ? effect.value : current),
+        decorations.map(transaction.changes),
+    ),
+    provide: field => EditorView.decorations.from(field),
+});
+
+/**
+ * 把标出的范围写入编辑器，超出文档的部分被忽略
+ * 编辑器没有焦点时滚动到第一个范围（在其他输入框中修改查询时跟随结果）
+ */
+const applyHighlights = (view, highlights) => {
+    const length = view.state.doc.length;
+    const ranges = highlights
+        .map(({ from, to }) => ({ from: Math.max(0, from), to: Math.min(to, length) }))
+        .filter(({ from, to }) => from < to);
+    const effects = [setHighlights.of(Decoration.set(ranges.map(({ from, to }) => highlightMark.range(from, to)), true))];
+    if (ranges.length > 0 && !view.hasFocus) {
+        effects.push(EditorView.scrollIntoView(ranges[0].from, { y: 'center' }));
+    }
+    view.dispatch({ effects });
+};
+
 /**
  * CodeMirror 代码编辑器封装组件
  * 
  * 功能：
  * - 语法高亮
- * - 主题适配（深色/浅色）
+ * - 主题适配（深色/浅色、高对比度，字体、字号和当前行、选区颜色取自主题的 editor 配置）
  * - 支持多种语言
+ * - 语法错误诊断：行号旁标记、波浪线和悬停提示，编辑器下方列出错误，点击跳转到对应位置
+ * - 标出指定范围（如 JSON 查询匹配的节点）
+ * - 文件读写：可编辑时支持拖入文件和「打开文件」（自动识别 UTF-8、UTF-16、GBK 等编码），
+ *   只读的输出编辑器提供「另存为」，扩展名由 language 决定
+ * - 大文件模式：内容超过 LARGE_INPUT_SIZE 时关闭自动补全和选中内容高亮
+ * - 嵌入页面指定只读时，所有编辑器都只读
  * 
  * @param {Object} props
  * @param {string} props.value - 编辑器内容
@@ -39,84 +118,337 @@ const languageExtensions = {
  * @param {boolean} props.readOnly - 是否只读
  * @param {string} props.height - 编辑器高度
  * @param {number} props.minHeight - 最小高度
+ * @param {string} props.fileName - 另存为时的文件名（不含扩展名）
+ * @param {Array} props.diagnostics - 诊断列表 [{ line, column, message, severity }]，行列从 1 开始（见 core/diagnostics.js）
+ * @param {Array} props.highlights - 标出的范围 [{ from, to }]，为文档中的字符偏移
  */
 function CodeEditor({
     value = '',
     onChange,
     language = 'json',
-    placeholder = '在此输入内容...',
+    placeholder,
     readOnly = false,
     height = '400px',
     minHeight = 200,
+    fileName = 'output',
+    diagnostics,
+    highlights,
 }) {
     const theme = useTheme();
     const isDark = theme.palette.mode === 'dark';
+    const { t } = useI18n();
+    const editorRef = useRef(null);
+    const diagnosticsRef = useRef(diagnostics);
+    diagnosticsRef.current = diagnostics;
+    const hasDiagnostics = diagnostics !== undefined;
+    const highlightsRef = useRef(highlights);
+    highlightsRef.current = highlights;
+    const hasHighlights = highlights !== undefined;
+    const fileInputRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+    // 最近打开的文件：{ name, encoding, text }，内容被修改后不再显示
+    const [openedFile, setOpenedFile] = useState(null);
+    const [fileError, setFileError] = useState(null);
+    // 只读的嵌入页面中，输入编辑器同样不可编辑
+    const embed = useEmbed();
+    const editable = !readOnly && !embed?.readOnly;
+    const canOpen = editable && Boolean(onChange);
+    const isLarge = isLargeInput(value);
 
-    // 获取语言扩展
+    // 获取语言扩展，需要诊断时加上行号旁的错误标记，需要标出范围时加上对应的状态
     const extensions = useMemo(() => {
         const langFn = languageExtensions[language.toLowerCase()];
-        return langFn ? [langFn()] : [];
-    }, [language]);
+        return [
+            ...(langFn ? [langFn()] : []),
+            ...(hasDiagnostics ? [lintGutter()] : []),
+            ...(hasHighlights ? [highlightField] : []),
+        ];
+    }, [language, hasDiagnostics, hasHighlights]);
+
+    // 诊断变化时更新编辑器中的标记
+    useEffect(() => {
+        const view = editorRef.current?.view;
+        if (view && diagnostics) {
+            applyDiagnostics(view, diagnostics);
+        }
+    }, [diagnostics]);
+
+    // 标出的范围变化时更新编辑器
+    useEffect(() => {
+        const view = editorRef.current?.view;
+        if (view && highlights) {
+            applyHighlights(view, highlights);
+        }
+    }, [highlights]);
+
+    // 编辑器创建晚于首次诊断或标出范围时补上
+    const handleCreateEditor = (view) => {
+        if (diagnosticsRef.current?.length) {
+            applyDiagnostics(view, diagnosticsRef.current);
+        }
+        if (highlightsRef.current?.length) {
+            applyHighlights(view, highlightsRef.current);
+        }
+    };
 
-    // 处理内容变化
-    const handleChange = (val) => {
+    // 跳转到诊断位置
+    const jumpTo = (diagnostic) => {
+        const view = editorRef.current?.view;
+        if (!view) return;
+        const { from } = toRange(view.state.doc, diagnostic);
+        view.dispatch({ selection: { anchor: from }, scrollIntoView: true });
+        view.focus();
+    };
+
+    // 处理内容变化（保持引用不变，避免每次渲染都重新配置编辑器）
+    const handleChange = useCallback((val) => {
+        setFileError(null);
         if (onChange) {
             onChange(val);
         }
+    }, [onChange]);
+
+    // 大文件时关闭自动补全（会扫描全文收集候选词）和选中内容高亮
+    const basicSetup = useMemo(() => ({
+        lineNumbers: true,
+        highlightActiveLineGutter: true,
+        highlightActiveLine: true,
+        foldGutter: true,
+        dropCursor: true,
+        allowMultipleSelections: true,
+        indentOnInput: true,
+        bracketMatching: true,
+        closeBrackets: true,
+        autocompletion: !isLarge,
+        rectangularSelection: true,
+        crosshairCursor: false,
+        highlightSelectionMatches: !isLarge,
+    }), [isLarge]);
+
+    // 读取文件并替换编辑器内容
+    const openFile = async (file) => {
+        try {
+            const { text, encoding } = decodeTextFile(await file.arrayBuffer());
+            onChange(text);
+            setOpenedFile({ name: file.name, encoding, text });
+            setFileError(null);
+        } catch (err) {
+            setOpenedFile(null);
+            setFileError(err.code ? t(`editor.errors.${err.code}`, { name: file.name }) : err.message);
+        }
+    };
+
+    const handleFileSelect = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) openFile(file);
+    };
+
+    // 拖入文件时在捕获阶段拦截，避免 CodeMirror 把文件内容插入到光标处
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const handleDragOver = (event) => {
+        if (!canOpen || !hasFiles(event)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        setIsDragging(true);
     };
 
+    const handleDragLeave = (event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            setIsDragging(false);
+        }
+    };
+
+    const handleDrop = (event) => {
+        if (!canOpen || !hasFiles(event)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        setIsDragging(false);
+        const file = event.dataTransfer.files[0];
+        if (file) openFile(file);
+    };
+
+    // 另存为文件
+    const handleSave = () => {
+        const blob = new Blob([value], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.${getFileExtension(language)}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const showOpenedFile = openedFile !== null && openedFile.text === value;
+
     return (
         <Box
             className="code-editor-container"
+            onDragOverCapture={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDropCapture={handleDrop}
             sx={{
+                position: 'relative',
                 border: `1px solid ${theme.palette.divider}`,
                 borderRadius: 2,
                 overflow: 'hidden',
+                '& .code-editor-actions': {
+                    opacity: 0,
+                    transition: 'opacity 0.15s ease',
+                },
+                '&:hover .code-editor-actions, & .code-editor-actions:focus-within': {
+                    opacity: 1,
+                },
+                '@media (hover: none)': {
+                    '& .code-editor-actions': { opacity: 1 },
+                },
                 '& .cm-editor': {
-                    fontSize: '14px',
-                    fontFamily: "'Fira Code', 'Consolas', monospace",
+                    fontSize: `${theme.editor.fontSize}px`,
+                    fontFamily: theme.editor.fontFamily,
                 },
                 '& .cm-gutters': {
-                    backgroundColor: isDark ? '#27272a' : '#fafafa',
+                    backgroundColor: theme.editor.gutterBackground,
                     borderRight: `1px solid ${theme.palette.divider}`,
                 },
                 '& .cm-activeLineGutter, & .cm-activeLine': {
-                    backgroundColor: isDark
-                        ? 'rgba(0, 102, 255, 0.1)'
-                        : 'rgba(0, 102, 255, 0.05)',
+                    backgroundColor: theme.editor.activeLine,
+                },
+                '& .cm-selectionBackground, &.cm-focused .cm-selectionBackground': {
+                    backgroundColor: `${theme.editor.selection} !important`,
                 },
-                '& .cm-selectionBackground': {
-                    backgroundColor: isDark
-                        ? 'rgba(0, 102, 255, 0.3) !important'
-                        : 'rgba(0, 102, 255, 0.2) !important',
+                '& .cm-highlight-range': {
+                    backgroundColor: alpha(theme.palette.warning.main, isDark ? 0.3 : 0.25),
+                    borderRadius: '2px',
                 },
             }}
         >
             <CodeMirror
+                ref={editorRef}
                 value={value}
                 height={height}
                 minHeight={`${minHeight}px`}
                 extensions={extensions}
                 onChange={handleChange}
-                placeholder={placeholder}
-                readOnly={readOnly}
+                onCreateEditor={handleCreateEditor}
+                placeholder={placeholder ?? t('editor.placeholder')}
+                readOnly={!editable}
                 theme={isDark ? 'dark' : 'light'}
-                basicSetup={{
-                    lineNumbers: true,
-                    highlightActiveLineGutter: true,
-                    highlightActiveLine: true,
-                    foldGutter: true,
-                    dropCursor: true,
-                    allowMultipleSelections: true,
-                    indentOnInput: true,
-                    bracketMatching: true,
-                    closeBrackets: true,
-                    autocompletion: true,
-                    rectangularSelection: true,
-                    crosshairCursor: false,
-                    highlightSelectionMatches: true,
-                }}
+                basicSetup={basicSetup}
             />
+            {(canOpen || (readOnly && value)) && (
+                <Box
+                    className="code-editor-actions"
+                    sx={{
+                        position: 'absolute',
+                        top: 4,
+                        right: 12,
+                        zIndex: 5,
+                        display: 'flex',
+                        gap: 0.5,
+                        borderRadius: 1,
+                        backgroundColor: theme.palette.background.paper,
+                        boxShadow: theme.shadows[1],
+                    }}
+                >
+                    {canOpen && (
+                        <Tooltip title={t('editor.openFile')}>
+                            <IconButton size="small" onClick={() => fileInputRef.current?.click()}>
+                                <FolderOpenOutlinedIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                    )}
+                    {readOnly && value && (
+                        <Tooltip title={t('editor.saveAs')}>
+                            <IconButton size="small" onClick={handleSave}>
+                                <SaveAltIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                    )}
+                </Box>
+            )}
+            {canOpen && (
+                <input ref={fileInputRef} type="file" hidden onChange={handleFileSelect} />
+            )}
+            {isDragging && (
+                <Box
+                    sx={{
+                        position: 'absolute',
+                        inset: 0,
+                        zIndex: 10,
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        border: `2px dashed ${theme.palette.primary.main}`,
+                        borderRadius: 2,
+                        backgroundColor: alpha(theme.palette.primary.main, isDark ? 0.15 : 0.08),
+                        pointerEvents: 'none',
+                    }}
+                >
+                    <Typography variant="body2" color="primary">
+                        {t('editor.dropHint')}
+                    </Typography>
+                </Box>
+            )}
+            {isLarge && !readOnly && (
+                <Typography
+                    variant="caption"
+                    component="div"
+                    sx={{ px: 1.5, py: 0.5, borderTop: `1px solid ${theme.palette.divider}`, color: theme.palette.text.secondary }}
+                >
+                    {t('editor.largeMode')}
+                </Typography>
+            )}
+            {(showOpenedFile || fileError) && (
+                <Typography
+                    variant="caption"
+                    component="div"
+                    sx={{
+                        px: 1.5,
+                        py: 0.5,
+                        borderTop: `1px solid ${theme.palette.divider}`,
+                        color: fileError ? theme.palette.error.main : theme.palette.text.secondary,
+                    }}
+                >
+                    {fileError || t('editor.openedFile', {
+                        name: openedFile.name,
+                        encoding: openedFile.encoding.toUpperCase(),
+                    })}
+                </Typography>
+            )}
+            {diagnostics?.length > 0 && (
+                <Box sx={{ borderTop: `1px solid ${theme.palette.divider}`, maxHeight: 120, overflow: 'auto' }}>
+                    {diagnostics.map((diagnostic, index) => {
+                        const severity = diagnostic.severity || 'error';
+                        const Icon = severityIcons[severity];
+                        return (
+                            <ButtonBase
+                                key={index}
+                                onClick={() => jumpTo(diagnostic)}
+                                sx={{
+                                    display: 'flex',
+                                    alignItems: 'flex-start',
+                                    justifyContent: 'flex-start',
+                                    gap: 1,
+                                    width: '100%',
+                                    px: 1.5,
+                                    py: 0.75,
+                                    textAlign: 'left',
+                                    '&:hover': { backgroundColor: theme.palette.action.hover },
+                                }}
+                            >
+                                <Icon sx={{ fontSize: 18, mt: 0.125, color: theme.palette[severity].main }} />
+                                <Typography variant="body2" sx={{ color: theme.palette.text.secondary, whiteSpace: 'nowrap' }}>
+                                    {t('editor.position', { line: diagnostic.line, column: diagnostic.column })}
+                                </Typography>
+                                <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+                                    {diagnostic.message}
+                                </Typography>
+                            </ButtonBase>
+                        );
+                    })}
+                </Box>
+            )}
         </Box>
     );
 }
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    Dialog,
+    Box,
+    InputBase,
+    List,
+    ListItemButton,
+    ListItemIcon,
+    ListItemText,
+    ListSubheader,
+    Typography,
+    Divider,
+    useTheme,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+
+import { getToolById, getToolUrl, getFeaturedTools, searchTools, detectTools, categories } from '../config/tools';
+import { useCommandPalette } from '../hooks/useCommands';
+import { useOpenTool } from '../hooks/useToolState';
+import { getRecentTools, getFavoriteTools } from '../storage/toolUsage';
+import { matchText } from '../core/search';
+import HighlightText from './HighlightText';
+import ShortcutKeys from './ShortcutKeys';
+import { useShortcutBindings } from '../hooks/useShortcuts';
+import { formatCombo } from '../core/shortcuts';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 搜索结果中最多显示的工具数
+ */
+const MAX_TOOL_RESULTS = 20;
+
+/**
+ * 计算命令与搜索词的匹配得分
+ */
+const scoreCommand = (query, command) => {
+    let best = matchText(query, command.label)?.score || 0;
+    (command.keywords || []).forEach(keyword => {
+        const match = matchText(query, keyword);
+        if (match) best = Math.max(best, match.score * 0.8);
+    });
+    return best;
+};
+
+/**
+ * 全局命令面板（默认 Ctrl+K，可在设置页面修改）
+ *
+ * 功能：
+ * - 按名称、标签和拼音模糊搜索工具（与顶部搜索框使用同一套评分）
+ * - 未输入时列出当前工具的操作、收藏和最近使用的工具
+ * - 执行当前工具注册的操作（格式化、交换、复制输出、清空等），绑定了快捷键的操作显示组合键
+ * - 粘贴可识别的内容（JWT、时间戳、JSON 等）时推荐对应工具，打开时预填粘贴的内容
+ * - 方向键选择，Enter 执行，Esc 关闭
+ */
+function CommandPalette() {
+    const theme = useTheme();
+    const navigate = useNavigate();
+    const { open, closePalette, getCommands } = useCommandPalette();
+    const { locale, t, toolName, categoryName } = useI18n();
+    const openTool = useOpenTool();
+    const bindings = useShortcutBindings();
+    const [query, setQuery] = useState('');
+    // 粘贴内容的识别结果，没有粘贴或粘贴后继续输入时为 null
+    const [pasteMatches, setPasteMatches] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const listRef = useRef(null);
+
+    // 打开时收集命令和使用记录，面板打开期间保持不变
+    const snapshot = useMemo(() => {
+        if (!open) return { commands: [], recent: [], favorites: [] };
+        const toTools = (ids) => ids.map(getToolById).filter(Boolean);
+        return {
+            commands: getCommands(),
+            recent: toTools(getRecentTools()),
+            favorites: toTools(getFavoriteTools()),
+        };
+    }, [open, getCommands]);
+
+    useEffect(() => {
+        if (open) {
+            setQuery('');
+            setPasteMatches(null);
+        }
+    }, [open]);
+
+    // 分组结果：[{ title, items: [{ key, label, labelIndices, secondary, icon, disabled, run }] }]
+    const sections = useMemo(() => {
+        const toToolItem = (section, tool, nameIndices) => {
+            const Icon = tool.icon;
+            const category = categories.find(c => c.id === tool.category);
+            return {
+                key: `${section}:${tool.id}`,
+                label: toolName(tool),
+                labelIndices: nameIndices,
+                secondary: category ? categoryName(category) : '',
+                icon: Icon ? <Icon fontSize="small" /> : null,
+                run: () => navigate(getToolUrl(tool)),
+            };
+        };
+        const toCommandItem = (command) => ({
+            key: `command:${command.id}`,
+            label: command.label,
+            secondary: t('palette.currentTool'),
+            icon: command.icon,
+            disabled: command.disabled,
+            combo: command.shortcut ? bindings[command.shortcut] : '',
+            run: command.onSelect,
+        });
+
+        const keyword = query.trim();
+        if (pasteMatches && !keyword) {
+            return [{
+                title: t('palette.pasted'),
+                items: pasteMatches.map(({ tool, type, state }) => {
+                    const Icon = tool.icon;
+                    return {
+                        key: `paste:${tool.id}`,
+                        label: t('smartPaste.openIn', { tool: toolName(tool) }),
+                        secondary: t(`smartPaste.types.${type}`),
+                        icon: Icon ? <Icon fontSize="small" /> : null,
+                        run: () => openTool(tool, state),
+                    };
+                }),
+            }];
+        }
+        if (!keyword) {
+            const { commands, favorites, recent } = snapshot;
+            return [
+                { title: t('palette.toolActions'), items: commands.map(toCommandItem) },
+                { title: t('palette.favorites'), items: favorites.map(tool => toToolItem('favorite', tool)) },
+                recent.length > 0
+                    ? { title: t('palette.recent'), items: recent.map(tool => toToolItem('recent', tool)) }
+                    : { title: t('palette.featured'), items: getFeaturedTools().map(tool => toToolItem('featured', tool)) },
+            ].filter(section => section.items.length > 0);
+        }
+
+        const commandItems = snapshot.commands
+            .map(command => ({ command, score: scoreCommand(keyword, command) }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(({ command }) => toCommandItem(command));
+        const toolItems = searchTools(keyword, locale)
+            .slice(0, MAX_TOOL_RESULTS)
+            .map(({ tool, nameIndices }) => toToolItem('tool', tool, nameIndices));
+
+        return [
+            { title: t('palette.actions'), items: commandItems },
+            { title: t('palette.tools'), items: toolItems },
+        ].filter(section => section.items.length > 0);
+    }, [query, pasteMatches, snapshot, navigate, openTool, locale, bindings]);
+
+    // 可执行的条目（用于键盘导航）
+    const items = useMemo(() => sections.flatMap(section => section.items), [sections]);
+
+    useEffect(() => {
+        setActiveIndex(items.findIndex(item => !item.disabled));
+    }, [items]);
+
+    // 选中项保持在可视区域内
+    useEffect(() => {
+        listRef.current
+            ?.querySelector(`[data-index="${activeIndex}"]`)
+            ?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    /**
+     * 执行条目
+     */
+    const runItem = (item) => {
+        if (!item || item.disabled) return;
+        closePalette();
+        item.run();
+    };
+
+    /**
+     * 跳到下一个可用条目
+     */
+    const moveActive = (step) => {
+        if (items.length === 0) return;
+        let next = activeIndex;
+        for (let i = 0; i < items.length; i++) {
+            next = (next + step + items.length) % items.length;
+            if (!items[next].disabled) break;
+        }
+        setActiveIndex(next);
+    };
+
+    /**
+     * 粘贴可识别的内容时显示推荐的工具，否则照常作为搜索词
+     */
+    const handlePaste = (event) => {
+        const matches = detectTools(event.clipboardData.getData('text/plain'));
+        if (matches.length === 0) return;
+        event.preventDefault();
+        setQuery('');
+        setPasteMatches(matches);
+    };
+
+    const handleKeyDown = (event) => {
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            moveActive(1);
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            moveActive(-1);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            runItem(items[activeIndex]);
+        }
+    };
+
+    let itemIndex = -1;
+
+    return (
+        <Dialog
+            open={open}
+            onClose={closePalette}
+            fullWidth
+            maxWidth="sm"
+            PaperProps={{
+                sx: {
+                    position: 'absolute',
+                    top: '10%',
+                    m: 0,
+                    width: { xs: 'calc(100% - 32px)', sm: '100%' },
+                    borderRadius: 2,
+                },
+            }}
+        >
+            {/* 搜索框 */}
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, px: 2, py: 1 }}>
+                <SearchIcon sx={{ color: theme.palette.text.secondary }} />
+                <InputBase
+                    autoFocus
+                    fullWidth
+                    placeholder={t('palette.placeholder')}
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setPasteMatches(null);
+                    }}
+                    onPaste={handlePaste}
+                    onKeyDown={handleKeyDown}
+                    inputProps={{ 'aria-label': t('palette.searchLabel') }}
+                    sx={{ fontSize: '0.95rem', py: 1 }}
+                />
+            </Box>
+            <Divider />
+
+            {/* 结果列表 */}
+            <Box ref={listRef} sx={{ maxHeight: 420, overflowY: 'auto' }}>
+                {sections.length === 0 && (
+                    <Typography variant="body2" color="text.secondary" sx={{ p: 3, textAlign: 'center' }}>
+                        {t('palette.empty')}
+                    </Typography>
+                )}
+                {sections.map(section => (
+                    <List
+                        key={section.title}
+                        dense
+                        disablePadding
+                        subheader={
+                            <ListSubheader sx={{ lineHeight: '32px', backgroundColor: theme.palette.background.paper }}>
+                                {section.title}
+                            </ListSubheader>
+                        }
+                    >
+                        {section.items.map(item => {
+                            itemIndex += 1;
+                            const index = itemIndex;
+                            return (
+                                <ListItemButton
+                                    key={item.key}
+                                    data-index={index}
+                                    selected={index === activeIndex}
+                                    disabled={item.disabled}
+                                    onClick={() => runItem(item)}
+                                    onMouseMove={() => !item.disabled && setActiveIndex(index)}
+                                    sx={{ mx: 1, borderRadius: 1 }}
+                                >
+                                    <ListItemIcon sx={{ minWidth: 36, color: theme.palette.text.secondary }}>
+                                        {item.icon}
+                                    </ListItemIcon>
+                                    <ListItemText primary={<HighlightText text={item.label} indices={item.labelIndices} />} />
+                                    {item.combo && (
+                                        <Box sx={{ mr: 1.5 }}>
+                                            <ShortcutKeys combo={item.combo} />
+                                        </Box>
+                                    )}
+                                    <Typography variant="caption" color="text.secondary">
+                                        {item.secondary}
+                                    </Typography>
+                                </ListItemButton>
+                            );
+                        })}
+                    </List>
+                ))}
+            </Box>
+
+            {/* 快捷键提示 */}
+            <Divider />
+            <Typography variant="caption" color="text.secondary" sx={{ px: 2, py: 1 }}>
+                {[
+                    t('palette.hint'),
+                    bindings.openPalette && t('palette.openHint', { keys: formatCombo(bindings.openPalette) }),
+                    bindings.showShortcuts && t('palette.shortcutsHint', { keys: formatCombo(bindings.showShortcuts) }),
+                ].filter(Boolean).join(' · ')}
+            </Typography>
+        </Dialog>
+    );
+}
+
+export default CommandPalette;
@@ -18,6 +18,9 @@ import { StaticDateTimePicker } from '@mui/x-date-pickers/StaticDateTimePicker';
 import dayjs from 'dayjs';
 import 'dayjs/locale/zh-cn';
 
+import { useI18n } from '../hooks/useI18n';
+import { getDayjsLocale } from '../i18n';
+
 /**
  * 日期时间格式正则验证
  */
@@ -53,12 +56,13 @@ const isValidDateFormat = (str) => {
 function DateTimePickerInput({
     value,
     onChange,
-    label = '日期时间',
+    label,
     format = 'YYYY-MM-DD HH:mm:ss',
     fullWidth = true,
     disabled = false,
 }) {
     const theme = useTheme();
+    const { locale, t } = useI18n();
 
     // 文本输入框的值
     const [textValue, setTextValue] = useState(value ? value.format(format) : '');
@@ -66,7 +70,7 @@ function DateTimePickerInput({
     const [expanded, setExpanded] = useState(false);
     // 临时选择值（未确认的值）
     const [tempValue, setTempValue] = useState(value || dayjs());
-    // 输入错误状态
+    // 输入错误（文案键）
     const [inputError, setInputError] = useState(null);
 
     /**
@@ -94,7 +98,7 @@ function DateTimePickerInput({
 
         // 格式验证
         if (!isValidDateFormat(inputValue)) {
-            setInputError('格式错误，请使用 YYYY-MM-DD HH:mm:ss');
+            setInputError('formatError');
             return;
         }
 
@@ -107,7 +111,7 @@ function DateTimePickerInput({
                 setTempValue(parsed);
             }
         } else {
-            setInputError('无效的日期时间');
+            setInputError('invalidDate');
         }
     };
 
@@ -152,17 +156,17 @@ function DateTimePickerInput({
             {/* 文本输入框 + 日历按钮 */}
             <TextField
                 fullWidth={fullWidth}
-                label={label}
+                label={label ?? t('dateTimePicker.label')}
                 value={textValue}
                 onChange={handleTextChange}
-                placeholder="如: 2024-01-15 10:30:00"
+                placeholder={t('dateTimePicker.placeholder')}
                 error={!!inputError}
-                helperText={inputError || '格式: YYYY-MM-DD HH:mm:ss'}
+                helperText={t(inputError ? `dateTimePicker.${inputError}` : 'dateTimePicker.formatHint')}
                 disabled={disabled}
                 InputProps={{
                     endAdornment: (
                         <InputAdornment position="end">
-                            <Tooltip title={expanded ? "关闭选择器" : "打开日期选择器"}>
+                            <Tooltip title={expanded ? t('dateTimePicker.closePicker') : t('dateTimePicker.openPicker')}>
                                 <IconButton
                                     onClick={handleTogglePicker}
                                     edge="end"
@@ -187,7 +191,7 @@ function DateTimePickerInput({
                         overflow: 'hidden',
                     }}
                 >
-                    <LocalizationProvider dateAdapter={AdapterDayjs} adapterLocale="zh-cn">
+                    <LocalizationProvider dateAdapter={AdapterDayjs} adapterLocale={getDayjsLocale(locale)}>
                         <StaticDateTimePicker
                             value={tempValue}
                             onChange={(newValue) => setTempValue(newValue)}
@@ -206,8 +210,8 @@ function DateTimePickerInput({
                         pt: 0,
                         borderTop: `1px solid ${theme.palette.divider}`
                     }}>
-                        <Button size="small" onClick={handleCancel}>取消</Button>
-                        <Button size="small" variant="contained" onClick={handleConfirm}>确认</Button>
+                        <Button size="small" onClick={handleCancel}>{t('common.cancel')}</Button>
+                        <Button size="small" variant="contained" onClick={handleConfirm}>{t('dateTimePicker.confirm')}</Button>
                     </Box>
                 </Paper>
             </Collapse>
@@ -0,0 +1,41 @@
+import React from 'react';
+import { IconButton, Tooltip } from '@mui/material';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+
+import { toggleFavoriteTool } from '../storage/toolUsage';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 收藏按钮
+ * 点击时不会触发外层元素的点击（例如侧边栏中的导航）
+ *
+ * @param {Object} props
+ * @param {string} props.toolId - 工具 ID
+ * @param {boolean} props.favorite - 是否已收藏
+ * @param {Object} props.sx - 按钮样式
+ */
+function FavoriteButton({ toolId, favorite, sx }) {
+    const { t } = useI18n();
+
+    const handleClick = (event) => {
+        event.stopPropagation();
+        toggleFavoriteTool(toolId);
+    };
+
+    return (
+        <Tooltip title={favorite ? t('favorite.remove') : t('favorite.add')}>
+            <IconButton
+                size="small"
+                className="favorite-button"
+                onClick={handleClick}
+                aria-pressed={favorite}
+                sx={{ color: favorite ? 'warning.main' : 'text.secondary', ...sx }}
+            >
+                {favorite ? <StarIcon fontSize="small" /> : <StarBorderIcon fontSize="small" />}
+            </IconButton>
+        </Tooltip>
+    );
+}
+
+export default FavoriteButton;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Box, alpha, useTheme } from '@mui/material';
+
+/**
+ * 高亮显示文本中命中的字符
+ *
+ * @param {Object} props
+ * @param {string} props.text - 原文本
+ * @param {number[]} props.indices - 需要高亮的字符下标
+ */
+function HighlightText({ text, indices = [] }) {
+    const theme = useTheme();
+    if (indices.length === 0) return text;
+
+    // 把连续的下标合并为片段，减少渲染的元素数量
+    const marked = new Set(indices);
+    const parts = [];
+    for (let i = 0; i < text.length; i++) {
+        const isMarked = marked.has(i);
+        const last = parts[parts.length - 1];
+        if (last && last.marked === isMarked) {
+            last.text += text[i];
+        } else {
+            parts.push({ text: text[i], marked: isMarked });
+        }
+    }
+
+    return parts.map((part, index) => (
+        part.marked ? (
+            <Box
+                key={index}
+                component="mark"
+                sx={{
+                    backgroundColor: alpha(theme.palette.primary.main, 0.16),
+                    color: theme.palette.primary.main,
+                    fontWeight: 600,
+                    borderRadius: 0.5,
+                }}
+            >
+                {part.text}
+            </Box>
+        ) : (
+            <React.Fragment key={index}>{part.text}</React.Fragment>
+        )
+    ));
+}
+
+export default HighlightText;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Drawer,
+    Box,
+    Typography,
+    List,
+    ListItem,
+    ListItemButton,
+    ListItemText,
+    IconButton,
+    Button,
+    Divider,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions,
+    useTheme,
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import dayjs from 'dayjs';
+
+import { getHistory, deleteHistoryEntry, clearHistory, MAX_ENTRIES_PER_TOOL } from '../storage/history';
+import { clearAllLocalData } from '../storage/localData';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 生成历史记录的预览文本
+ * @param {*} value - 历史记录值
+ * @returns {string} 单行预览
+ */
+const getPreview = (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.replace(/\s+/g, ' ').slice(0, 120);
+};
+
+/**
+ * 工具输入历史面板
+ *
+ * 功能：
+ * - 列出当前工具最近的输入（保存在 IndexedDB）
+ * - 点击恢复、单条删除、清空当前工具历史
+ * - 清除所有本地数据（设置、工具状态、流水线、收藏和历史）
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - 是否打开
+ * @param {Function} props.onClose - 关闭回调
+ * @param {string} props.toolId - 工具 ID
+ * @param {Function} props.onSelect - 选中历史记录回调，参数为记录值
+ */
+function HistoryPanel({ open, onClose, toolId, onSelect }) {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState(null);
+    const [confirmOpen, setConfirmOpen] = useState(false);
+
+    // 加载历史记录
+    const loadEntries = useCallback(async () => {
+        try {
+            setEntries(await getHistory(toolId));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [toolId]);
+
+    useEffect(() => {
+        if (open) loadEntries();
+    }, [open, loadEntries]);
+
+    // 格式化字符数
+    const formatSize = (size) => {
+        return size >= 1024 ? `${(size / 1024).toFixed(1)} KB` : t('common.characters', { count: size });
+    };
+
+    // 恢复历史记录
+    const handleSelect = (entry) => {
+        onSelect(entry.value);
+        onClose();
+    };
+
+    // 删除单条
+    const handleDelete = async (id) => {
+        await deleteHistoryEntry(id);
+        loadEntries();
+    };
+
+    // 清空当前工具历史
+    const handleClearTool = async () => {
+        await clearHistory(toolId);
+        loadEntries();
+    };
+
+    // 清除所有本地数据后刷新页面，使内存中的状态一并重置
+    const handleClearAll = async () => {
+        await clearAllLocalData();
+        window.location.reload();
+    };
+
+    return (
+        <Drawer anchor="right" open={open} onClose={onClose}>
+            <Box sx={{ width: { xs: '100vw', sm: 400 }, display: 'flex', flexDirection: 'column', height: '100%' }}>
+                {/* 标题 */}
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 2, py: 1.5 }}>
+                    <Box>
+                        <Typography variant="h6">{t('history.title')}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                            {t('history.hint', { max: MAX_ENTRIES_PER_TOOL })}
+                        </Typography>
+                    </Box>
+                    <IconButton size="small" onClick={onClose}>
+                        <CloseIcon fontSize="small" />
+                    </IconButton>
+                </Box>
+                <Divider />
+
+                {/* 列表 */}
+                <Box sx={{ flex: 1, overflowY: 'auto' }}>
+                    {error && (
+                        <Typography variant="body2" color="error" sx={{ p: 2 }}>
+                            {t('history.loadFailed', { message: error })}
+                        </Typography>
+                    )}
+                    {!error && entries.length === 0 && (
+                        <Typography variant="body2" color="text.secondary" sx={{ p: 3, textAlign: 'center' }}>
+                            {t('history.empty')}
+                        </Typography>
+                    )}
+                    <List dense disablePadding>
+                        {entries.map(entry => (
+                            <ListItem
+                                key={entry.id}
+                                disablePadding
+                                secondaryAction={
+                                    <IconButton edge="end" size="small" onClick={() => handleDelete(entry.id)}>
+                                        <DeleteOutlineIcon fontSize="small" />
+                                    </IconButton>
+                                }
+                                sx={{ borderBottom: `1px solid ${theme.palette.divider}` }}
+                            >
+                                <ListItemButton onClick={() => handleSelect(entry)}>
+                                    <ListItemText
+                                        primary={getPreview(entry.value)}
+                                        secondary={`${dayjs(entry.createdAt).format('YYYY-MM-DD HH:mm:ss')} · ${formatSize(entry.size)}`}
+                                        primaryTypographyProps={{
+                                            noWrap: true,
+                                            fontFamily: 'Fira Code, monospace',
+                                            fontSize: '0.8rem',
+                                        }}
+                                    />
+                                </ListItemButton>
+                            </ListItem>
+                        ))}
+                    </List>
+                </Box>
+
+                {/* 底部操作 */}
+                <Divider />
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', p: 1.5 }}>
+                    <Button size="small" onClick={handleClearTool} disabled={entries.length === 0}>
+                        {t('history.clearTool')}
+                    </Button>
+                    <Button size="small" color="error" onClick={() => setConfirmOpen(true)}>
+                        {t('history.clearAll')}
+                    </Button>
+                </Box>
+            </Box>
+
+            {/* 二次确认 */}
+            <Dialog open={confirmOpen} onClose={() => setConfirmOpen(false)}>
+                <DialogTitle>{t('history.confirmTitle')}</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        {t('history.confirmText')}
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setConfirmOpen(false)}>{t('common.cancel')}</Button>
+                    <Button color="error" variant="contained" onClick={handleClearAll}>
+                        {t('history.confirmClear')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Drawer>
+    );
+}
+
+export default HistoryPanel;
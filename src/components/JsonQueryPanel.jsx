@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useMemo, useDeferredValue } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    InputAdornment,
+    IconButton,
+    Tooltip,
+    Chip,
+    ToggleButton,
+    ToggleButtonGroup,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    useTheme,
+} from '@mui/material';
+import ManageSearchIcon from '@mui/icons-material/ManageSearch';
+import BookmarkAddOutlinedIcon from '@mui/icons-material/BookmarkAddOutlined';
+
+import CodeEditor from './CodeEditor';
+import { useI18n } from '../hooks/useI18n';
+import { useToolState } from '../hooks/useToolState';
+import { useWorkerResult } from '../hooks/useWorkerTask';
+import { QUERY_LANGUAGES, runJsonQuery, getJsonRanges } from '../core/jsonQuery';
+import { isLargeInput } from '../core/codeFormat';
+import { getSavedQueries, writeSavedQueries } from '../storage/savedQueries';
+
+/**
+ * 查询语言的显示名称
+ */
+const LANGUAGE_LABELS = {
+    jsonpath: 'JSONPath',
+    jmespath: 'JMESPath',
+    jq: 'jq',
+};
+
+/**
+ * 没有匹配时传给编辑器的范围（保持引用不变）
+ */
+const NO_HIGHLIGHTS = [];
+
+/**
+ * 大文件输入停止变化后多久开始在 Worker 中查询（毫秒）
+ */
+const LARGE_INPUT_DELAY = 500;
+
+/**
+ * JSON 查询面板
+ *
+ * 功能：
+ * - 使用 JSONPath、JMESPath 或 jq 查询输入的 JSON，输入或表达式变化时实时显示结果
+ * - 结果中来自输入的节点通过 onHighlightsChange 交给工具，在输入编辑器中标出
+ * - 大文件输入（见 core/codeFormat.js 的 isLargeInput）在 Worker 中解析和查询，不阻塞页面
+ * - 保存常用查询，点击加载，两个工具共用同一份列表
+ *
+ * 查询语言和表达式通过 useToolState 保存在当前工具的状态中
+ *
+ * @param {Object} props
+ * @param {string} props.input - 输入的 JSON 文本
+ * @param {Function} props.onHighlightsChange - 匹配节点在输入中的范围变化回调 [{ from, to }]
+ */
+function JsonQueryPanel({ input, onHighlightsChange }) {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const [language, setLanguage] = useToolState('queryLanguage', 'jsonpath');
+    const [query, setQuery] = useToolState('query', '');
+    const [savedQueries, setSavedQueries] = useState(getSavedQueries);
+    // 保存对话框中的名称，null 表示对话框关闭
+    const [saveName, setSaveName] = useState(null);
+    // 先响应键入，再重新查询
+    const deferredInput = useDeferredValue(input);
+    const isLarge = isLargeInput(input);
+
+    // 解析输入，不合法时为 null（错误由工具本身提示）；大文件输入不在主线程解析
+    const data = useMemo(() => {
+        if (isLarge) return null;
+        try {
+            return deferredInput.trim() ? { value: JSON.parse(deferredInput) } : null;
+        } catch {
+            return null;
+        }
+    }, [deferredInput, isLarge]);
+
+    const formatError = (err) => (err.code ? t(`jsonQuery.errors.${err.code}`, err.params) : err.message);
+
+    // 查询结果：{ output, ranges }、{ error } 或 { invalid: true }（输入不是合法的 JSON）
+    const syncResult = useMemo(() => {
+        if (isLarge || !query.trim()) return null;
+        if (!data) return { invalid: true };
+        try {
+            const { output, paths } = runJsonQuery(language, query, data.value);
+            return { output, ranges: getJsonRanges(deferredInput, paths) };
+        } catch (err) {
+            return { error: formatError(err) };
+        }
+    }, [language, query, data, deferredInput, isLarge, t]);
+
+    // 大文件输入在 Worker 中解析和查询（workers/tasks/jsonQuery.js）
+    const largePayload = useMemo(() => ({ language, query, text: input }), [language, query, input]);
+    const largeTask = useWorkerResult('jsonQuery/query', largePayload, {
+        enabled: isLarge && Boolean(query.trim()),
+        delay: LARGE_INPUT_DELAY,
+    });
+    const largeError = largeTask.error;
+    const largeResult = useMemo(
+        () => (largeError ? { error: formatError(largeError) } : largeTask.result),
+        [largeError, largeTask.result, t]
+    );
+
+    const result = isLarge ? largeResult : syncResult;
+
+    const highlights = result?.ranges || NO_HIGHLIGHTS;
+    useEffect(() => {
+        onHighlightsChange(highlights);
+    }, [highlights]);
+
+    // 面板关闭时清除编辑器中的标记
+    useEffect(() => () => onHighlightsChange(NO_HIGHLIGHTS), []);
+
+    const persistQueries = (queries) => {
+        setSavedQueries(queries);
+        writeSavedQueries(queries);
+    };
+
+    /**
+     * 保存查询（同名覆盖）
+     */
+    const handleSave = () => {
+        const name = saveName.trim();
+        if (!name) return;
+        persistQueries([...savedQueries.filter(item => item.name !== name), { name, language, query }]);
+        setSaveName(null);
+    };
+
+    const handleLoad = (saved) => {
+        setLanguage(saved.language);
+        setQuery(saved.query);
+    };
+
+    // 状态提示：表达式错误、输入无法查询或标出的节点数
+    let status = null;
+    if (query.trim() && result?.invalid) {
+        status = { text: t(input.trim() ? 'jsonQuery.invalidInput' : 'jsonQuery.emptyInput'), color: 'text.secondary' };
+    } else if (isLarge && largeTask.loading) {
+        status = { text: t('jsonQuery.running'), color: 'text.secondary' };
+    } else if (result?.error) {
+        status = { text: result.error, color: 'error' };
+    } else if (result) {
+        status = {
+            text: result.ranges.length > 0 ? t('jsonQuery.matchCount', { count: result.ranges.length }) : t('jsonQuery.noMatch'),
+            color: 'text.secondary',
+        };
+    }
+
+    return (
+        <Paper
+            elevation={0}
+            sx={{
+                mb: 2,
+                backgroundColor: theme.palette.background.paper,
+                border: `1px solid ${theme.palette.divider}`,
+                borderRadius: 2,
+                overflow: 'hidden',
+            }}
+        >
+            <Box
+                sx={{
+                    px: 2,
+                    py: 1,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: 1,
+                    borderBottom: `1px solid ${theme.palette.divider}`,
+                    backgroundColor: theme.palette.mode === 'dark'
+                        ? 'rgba(255,255,255,0.02)'
+                        : 'rgba(0,0,0,0.02)',
+                }}
+            >
+                <Typography variant="body2" fontWeight={500} color="text.secondary">
+                    {t('jsonQuery.title')}
+                </Typography>
+                <ToggleButtonGroup
+                    value={language}
+                    exclusive
+                    onChange={(_, value) => value && setLanguage(value)}
+                    aria-label={t('jsonQuery.language')}
+                    size="small"
+                >
+                    {QUERY_LANGUAGES.map(id => (
+                        <ToggleButton key={id} value={id} sx={{ py: 0.25, textTransform: 'none' }}>
+                            {LANGUAGE_LABELS[id]}
+                        </ToggleButton>
+                    ))}
+                </ToggleButtonGroup>
+            </Box>
+
+            <Box sx={{ p: 2 }}>
+                {/* 表达式 */}
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder={t(`jsonQuery.placeholders.${language}`)}
+                        inputProps={{ 'aria-label': t('jsonQuery.expression'), spellCheck: false }}
+                        InputProps={{
+                            startAdornment: (
+                                <InputAdornment position="start">
+                                    <ManageSearchIcon fontSize="small" />
+                                </InputAdornment>
+                            ),
+                            sx: { fontFamily: 'Fira Code, monospace', fontSize: '14px' },
+                        }}
+                    />
+                    <Tooltip title={t('jsonQuery.save')}>
+                        <span>
+                            <IconButton disabled={!query.trim()} onClick={() => setSaveName(query.trim())}>
+                                <BookmarkAddOutlinedIcon fontSize="small" />
+                            </IconButton>
+                        </span>
+                    </Tooltip>
+                </Box>
+
+                {/* 已保存的查询 */}
+                {savedQueries.length > 0 && (
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 1.5 }}>
+                        <Typography variant="caption" color="text.secondary">
+                            {t('jsonQuery.saved')}
+                        </Typography>
+                        {savedQueries.map((saved) => {
+                            const active = saved.language === language && saved.query === query;
+                            return (
+                                <Tooltip key={saved.name} title={`${LANGUAGE_LABELS[saved.language]}: ${saved.query}`}>
+                                    <Chip
+                                        size="small"
+                                        label={saved.name}
+                                        onClick={() => handleLoad(saved)}
+                                        onDelete={() => persistQueries(savedQueries.filter(item => item.name !== saved.name))}
+                                        color={active ? 'primary' : 'default'}
+                                        variant={active ? 'filled' : 'outlined'}
+                                    />
+                                </Tooltip>
+                            );
+                        })}
+                    </Box>
+                )}
+
+                {status && (
+                    <Typography variant="caption" component="div" color={status.color} sx={{ mt: 1.5 }}>
+                        {status.text}
+                    </Typography>
+                )}
+
+                {/* 查询结果 */}
+                <Box sx={{ mt: 1.5 }}>
+                    <CodeEditor
+                        value={result?.output || ''}
+                        language="json"
+                        placeholder={t('jsonQuery.resultPlaceholder')}
+                        height="200px"
+                        minHeight={100}
+                        fileName="query-result"
+                        readOnly
+                    />
+                </Box>
+            </Box>
+
+            {/* 保存对话框 */}
+            <Dialog open={saveName !== null} onClose={() => setSaveName(null)} fullWidth maxWidth="xs">
+                <DialogTitle>{t('jsonQuery.save')}</DialogTitle>
+                <DialogContent>
+                    <TextField
+                        autoFocus
+                        fullWidth
+                        size="small"
+                        label={t('jsonQuery.name')}
+                        value={saveName || ''}
+                        onChange={(e) => setSaveName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                        helperText={savedQueries.some(item => item.name === saveName?.trim()) ? t('jsonQuery.overwrite') : ' '}
+                        sx={{ mt: 1 }}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setSaveName(null)}>{t('common.cancel')}</Button>
+                    <Button variant="contained" onClick={handleSave} disabled={!saveName?.trim()}>
+                        {t('common.save')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Paper>
+    );
+}
+
+export default JsonQueryPanel;
@@ -0,0 +1,441 @@
+import React, { useState, useEffect, useMemo, useRef, useDeferredValue } from 'react';
+import {
+    Box,
+    Typography,
+    IconButton,
+    Tooltip,
+    InputBase,
+    Menu,
+    MenuItem,
+    ListItemText,
+    useTheme,
+} from '@mui/material';
+import { List } from 'react-window';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import UnfoldMoreIcon from '@mui/icons-material/UnfoldMore';
+import UnfoldLessIcon from '@mui/icons-material/UnfoldLess';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+
+import { useI18n } from '../hooks/useI18n';
+import { useWorkerTask, useWorkerResult } from '../hooks/useWorkerTask';
+import { isLargeInput, LARGE_INPUT_SIZE } from '../core/codeFormat';
+import {
+    getJsonRows,
+    getContainerIds,
+    formatDotPath,
+    formatJsonPath,
+    formatEditableValue,
+    parseEditableValue,
+    replaceJsonValue,
+    renameJsonKey,
+} from '../core/jsonTree';
+
+/**
+ * 行高（像素）
+ */
+const ROW_HEIGHT = 28;
+
+/**
+ * 每层缩进（像素）
+ */
+const INDENT = 16;
+
+/**
+ * 工具栏高度（像素）
+ */
+const TOOLBAR_HEIGHT = 36;
+
+/**
+ * 大文件输入停止变化后多久开始在 Worker 中解析（毫秒）
+ */
+const LARGE_INPUT_DELAY = 500;
+
+/**
+ * 大文件阈值的显示文本，随 LARGE_INPUT_SIZE 变化
+ */
+const LARGE_INPUT_LABEL = `${+(LARGE_INPUT_SIZE / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * 基本类型值的颜色
+ */
+const getValueColor = (theme, type) => {
+    switch (type) {
+        case 'string': return theme.palette.success.main;
+        case 'number': return theme.palette.info.main;
+        case 'boolean': return theme.palette.warning.main;
+        default: return theme.palette.text.disabled;
+    }
+};
+
+/**
+ * 行内编辑框
+ */
+function EditField({ editing, onChange, onCommit, onCancel, label, theme }) {
+    return (
+        <InputBase
+            autoFocus
+            value={editing.draft}
+            onChange={(e) => onChange(e.target.value)}
+            onBlur={onCommit}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') onCommit();
+                if (e.key === 'Escape') onCancel();
+            }}
+            inputProps={{ 'aria-label': label, spellCheck: false }}
+            sx={{
+                flex: 1,
+                minWidth: 80,
+                height: ROW_HEIGHT - 6,
+                px: 0.5,
+                font: 'inherit',
+                border: `1px solid ${editing.error ? theme.palette.error.main : theme.palette.primary.main}`,
+                borderRadius: 1,
+                backgroundColor: theme.palette.background.paper,
+            }}
+        />
+    );
+}
+
+/**
+ * 树中的一行
+ * react-window v2.x 中 rowProps 的内容会被平铺到 props 中
+ */
+function TreeRow({ index, style, rows, editing, handlers, labels, theme }) {
+    const row = rows[index];
+    const isContainer = row.size !== null;
+    const isEditing = (field) => editing?.id === row.id && editing.field === field;
+    const canEditKey = typeof row.key === 'string';
+
+    let keyLabel = null;
+    if (row.key === undefined) {
+        keyLabel = <Box component="span" sx={{ color: 'text.secondary', fontStyle: 'italic' }}>{labels.root}</Box>;
+    } else if (isEditing('key')) {
+        keyLabel = <EditField editing={editing} label={labels.editKey} theme={theme} {...handlers.edit} />;
+    } else {
+        keyLabel = (
+            <Box
+                component="span"
+                onDoubleClick={canEditKey ? () => handlers.startEdit(row, 'key') : undefined}
+                sx={{
+                    color: canEditKey ? theme.palette.primary.main : 'text.secondary',
+                    cursor: canEditKey ? 'text' : 'default',
+                    flexShrink: 0,
+                }}
+            >
+                {row.key}
+            </Box>
+        );
+    }
+
+    let valueLabel = null;
+    if (isContainer) {
+        valueLabel = (
+            <Box component="span" sx={{ color: 'text.secondary' }}>
+                {row.type === 'array' ? `[${labels.items(row.size)}]` : `{${labels.keys(row.size)}}`}
+            </Box>
+        );
+    } else if (isEditing('value')) {
+        valueLabel = <EditField editing={editing} label={labels.editValue} theme={theme} {...handlers.edit} />;
+    } else {
+        valueLabel = (
+            <Box
+                component="span"
+                onDoubleClick={() => handlers.startEdit(row, 'value')}
+                sx={{
+                    color: getValueColor(theme, row.type),
+                    cursor: 'text',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                }}
+            >
+                {JSON.stringify(row.value)}
+            </Box>
+        );
+    }
+
+    return (
+        <Box
+            style={style}
+            sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 0.75,
+                pr: 1,
+                pl: `${row.depth * INDENT + 4}px`,
+                fontFamily: theme.editor.fontFamily,
+                fontSize: '13px',
+                whiteSpace: 'nowrap',
+                '&:hover': { backgroundColor: theme.palette.action.hover },
+                '&:hover .tree-row-actions': { visibility: 'visible' },
+            }}
+        >
+            {isContainer ? (
+                <IconButton
+                    size="small"
+                    onClick={() => handlers.toggle(row.id)}
+                    aria-label={row.expanded ? labels.collapse : labels.expand}
+                    sx={{ p: 0.25 }}
+                >
+                    {row.expanded ? <ExpandMoreIcon sx={{ fontSize: 16 }} /> : <ChevronRightIcon sx={{ fontSize: 16 }} />}
+                </IconButton>
+            ) : (
+                <Box sx={{ width: 20, flexShrink: 0 }} />
+            )}
+            {keyLabel}
+            <Box component="span" sx={{ color: 'text.disabled' }}>:</Box>
+            {valueLabel}
+            <Box
+                component="span"
+                sx={{
+                    px: 0.5,
+                    fontSize: '11px',
+                    lineHeight: '16px',
+                    color: 'text.secondary',
+                    border: `1px solid ${theme.palette.divider}`,
+                    borderRadius: 1,
+                    flexShrink: 0,
+                }}
+            >
+                {row.type}
+            </Box>
+            <Box sx={{ flex: 1 }} />
+            <Box className="tree-row-actions" sx={{ visibility: 'hidden', flexShrink: 0 }}>
+                <Tooltip title={labels.copyPath}>
+                    <IconButton size="small" onClick={(e) => handlers.openCopyMenu(e.currentTarget, row.path)} sx={{ p: 0.25 }}>
+                        <ContentCopyIcon sx={{ fontSize: 14 }} />
+                    </IconButton>
+                </Tooltip>
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * JSON 树形视图
+ *
+ * 功能：
+ * - 逐个节点展开和折叠，显示类型标记和数组、对象的成员数
+ * - 复制节点路径（a.b[0].c 和 JSONPath 两种写法）
+ * - 双击键或值直接修改，修改只替换原文中对应的片段并通过 onChange 写回
+ * - 只渲染可见的行，滚动流畅；大文件输入（见 core/codeFormat.js 的 isLargeInput）在 Worker 中解析和展开，不阻塞页面
+ *
+ * 值的输入按 JSON 字面量解析（如 42、true、null、"42"），不是合法字面量时作为字符串
+ *
+ * @param {Object} props
+ * @param {string} props.value - JSON 文本
+ * @param {Function} props.onChange - 修改后的文本回调
+ * @param {number} props.height - 高度（像素）
+ */
+function JsonTreeView({ value, onChange, height = 400 }) {
+    const theme = useTheme();
+    const { t } = useI18n();
+    // 已折叠节点的标识，默认全部展开
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    // 正在编辑的字段：{ id, path, field: 'key' | 'value', initial, draft, error }
+    const [editing, setEditing] = useState(null);
+    // 复制路径菜单：{ anchorEl, path }
+    const [copyMenu, setCopyMenu] = useState(null);
+    const [copied, setCopied] = useState(false);
+    // 提交后输入框失去焦点时不再重复提交
+    const editingRef = useRef(null);
+    editingRef.current = editing;
+    // 大文件输入时先响应键入，再重新展开
+    const deferredValue = useDeferredValue(value);
+
+    const isLarge = isLargeInput(deferredValue);
+
+    // 解析结果：{ data } 或 { error: true }，空输入或大文件输入时为 null
+    const parsed = useMemo(() => {
+        if (!deferredValue.trim() || isLarge) return null;
+        try {
+            return { data: JSON.parse(deferredValue) };
+        } catch {
+            return { error: true };
+        }
+    }, [deferredValue, isLarge]);
+
+    const syncRows = useMemo(() => (parsed?.data === undefined ? [] : getJsonRows(parsed.data, collapsed)), [parsed, collapsed]);
+
+    // 大文件输入在 Worker 中解析和展开（workers/tasks/jsonTree.js），结果为 { rows } 或 { invalid: true }
+    // 只有文本变化时才等待输入停止，展开、折叠立即重新计算
+    const lastTextRef = useRef(null);
+    const largeDelay = deferredValue === lastTextRef.current ? 0 : LARGE_INPUT_DELAY;
+    useEffect(() => {
+        lastTextRef.current = deferredValue;
+    }, [deferredValue]);
+    const largePayload = useMemo(() => ({ text: deferredValue, collapsed: [...collapsed] }), [deferredValue, collapsed]);
+    const largeTask = useWorkerResult('jsonTree/rows', largePayload, { enabled: isLarge, delay: largeDelay });
+    // 全部折叠需要所有容器的标识，同样在 Worker 中计算
+    const { run: runTask } = useWorkerTask();
+
+    const rows = isLarge ? largeTask.result?.rows || [] : syncRows;
+    const hasTree = isLarge ? Boolean(largeTask.result?.rows) : parsed?.data !== undefined;
+    const isInvalid = isLarge ? Boolean(largeTask.result?.invalid || largeTask.error) : Boolean(parsed?.error);
+
+    /**
+     * 提交修改：值按字面量解析，键直接使用输入的文本
+     */
+    const commitEdit = () => {
+        const current = editingRef.current;
+        if (!current) return;
+        // 未改动时不写回，避免字符串 "42" 被重新解析为数字
+        if (current.draft === current.initial) {
+            handlers.edit.onCancel();
+            return;
+        }
+        try {
+            const next = current.field === 'key'
+                ? renameJsonKey(value, current.path, current.draft)
+                : replaceJsonValue(value, current.path, parseEditableValue(current.draft));
+            editingRef.current = null;
+            setEditing(null);
+            if (next !== value) onChange(next);
+        } catch (err) {
+            setEditing({ ...current, error: err.code ? t(`jsonTree.errors.${err.code}`, err.params) : err.message });
+        }
+    };
+
+    const handlers = {
+        toggle: (id) => setCollapsed((prev) => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        }),
+        startEdit: (row, field) => {
+            const initial = field === 'key' ? row.key : formatEditableValue(row.value);
+            setEditing({ id: row.id, path: row.path, field, initial, draft: initial, error: null });
+        },
+        openCopyMenu: (anchorEl, path) => setCopyMenu({ anchorEl, path }),
+        edit: {
+            onChange: (draft) => setEditing((prev) => ({ ...prev, draft, error: null })),
+            onCommit: commitEdit,
+            onCancel: () => {
+                editingRef.current = null;
+                setEditing(null);
+            },
+        },
+    };
+
+    const labels = {
+        root: t('jsonTree.root'),
+        items: (count) => t('jsonTree.items', { count }),
+        keys: (count) => t('jsonTree.keys', { count }),
+        expand: t('jsonTree.expand'),
+        collapse: t('jsonTree.collapse'),
+        editKey: t('jsonTree.editKey'),
+        editValue: t('jsonTree.editValue'),
+        copyPath: t('jsonTree.copyPath'),
+    };
+
+    /**
+     * 全部折叠
+     */
+    const handleCollapseAll = () => {
+        if (!isLarge) {
+            setCollapsed(getContainerIds(parsed.data));
+            return;
+        }
+        runTask('jsonTree/containerIds', { text: deferredValue })
+            .then(({ result }) => setCollapsed(new Set(result)))
+            .catch((err) => {
+                if (err.code !== 'cancelled') console.error('折叠失败:', err);
+            });
+    };
+
+    /**
+     * 复制路径
+     */
+    const handleCopyPath = async (text) => {
+        setCopyMenu(null);
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('复制失败:', err);
+        }
+    };
+
+    // 工具栏提示：修改错误、复制结果或操作说明
+    let status = { text: t('jsonTree.editHint'), color: 'text.secondary' };
+    if (editing?.error) status = { text: editing.error, color: 'error' };
+    else if (copied) status = { text: t('common.copiedShort'), color: 'success.main' };
+    else if (isLarge && largeTask.loading) status = { text: t('jsonTree.parsing'), color: 'text.secondary' };
+    else if (isLarge) status = { text: t('jsonTree.largeHint', { size: LARGE_INPUT_LABEL }), color: 'text.secondary' };
+
+    if (!hasTree || isInvalid) {
+        let notice = 'jsonTree.empty';
+        if (isInvalid) notice = 'jsonTree.invalid';
+        else if (isLarge) notice = 'jsonTree.parsing';
+        return (
+            <Box sx={{ height, display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+                <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center' }}>
+                    {t(notice)}
+                </Typography>
+            </Box>
+        );
+    }
+
+    return (
+        <Box sx={{ height }}>
+            <Box
+                sx={{
+                    height: TOOLBAR_HEIGHT,
+                    px: 1,
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 0.5,
+                    borderBottom: `1px solid ${theme.palette.divider}`,
+                }}
+            >
+                <Tooltip title={t('jsonTree.expandAll')}>
+                    <IconButton size="small" onClick={() => setCollapsed(new Set())}>
+                        <UnfoldMoreIcon fontSize="small" />
+                    </IconButton>
+                </Tooltip>
+                <Tooltip title={t('jsonTree.collapseAll')}>
+                    <IconButton size="small" onClick={handleCollapseAll}>
+                        <UnfoldLessIcon fontSize="small" />
+                    </IconButton>
+                </Tooltip>
+                <Typography variant="caption" color={status.color} noWrap sx={{ flex: 1, ml: 0.5 }}>
+                    {status.text}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                    {t('jsonTree.rowCount', { count: rows.length })}
+                </Typography>
+            </Box>
+            <List
+                style={{ height: height - TOOLBAR_HEIGHT }}
+                rowCount={rows.length}
+                rowHeight={ROW_HEIGHT}
+                rowComponent={TreeRow}
+                rowProps={{ rows, editing, handlers, labels, theme }}
+            />
+
+            {/* 复制路径菜单 */}
+            <Menu
+                anchorEl={copyMenu?.anchorEl}
+                open={Boolean(copyMenu)}
+                onClose={() => setCopyMenu(null)}
+            >
+                {copyMenu && [
+                    { label: t('jsonTree.dotPath'), path: formatDotPath(copyMenu.path) },
+                    { label: 'JSONPath', path: formatJsonPath(copyMenu.path) },
+                ].filter(item => item.path).map(item => (
+                    <MenuItem key={item.label} dense onClick={() => handleCopyPath(item.path)}>
+                        <ListItemText
+                            primary={item.label}
+                            secondary={item.path}
+                            secondaryTypographyProps={{ sx: { fontFamily: theme.editor.fontFamily, wordBreak: 'break-all' } }}
+                        />
+                    </MenuItem>
+                ))}
+            </Menu>
+        </Box>
+    );
+}
+
+export default JsonTreeView;
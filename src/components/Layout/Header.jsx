@@ -11,22 +11,45 @@ import {
     alpha,
     Tooltip,
     Button,
+    Menu,
+    MenuItem,
+    Chip,
+    Snackbar,
+    Alert,
+    Popover,
 } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import SearchIcon from '@mui/icons-material/Search';
 import LightModeIcon from '@mui/icons-material/LightMode';
 import DarkModeIcon from '@mui/icons-material/DarkMode';
 import GitHubIcon from '@mui/icons-material/GitHub';
+import KeyboardCommandKeyIcon from '@mui/icons-material/KeyboardCommandKey';
+import TranslateIcon from '@mui/icons-material/Translate';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
+import PaletteOutlinedIcon from '@mui/icons-material/PaletteOutlined';
 import { useThemeMode } from '../../App';
-import { searchTools } from '../../config/tools';
+import { useCommandPalette } from '../../hooks/useCommands';
+import { useShortcutBindings } from '../../hooks/useShortcuts';
+import { formatCombo } from '../../core/shortcuts';
+import { useI18n } from '../../hooks/useI18n';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
+import { useServiceWorkerUpdate } from '../../hooks/useServiceWorker';
+import { LOCALES } from '../../i18n';
+import { searchTools, getToolUrl } from '../../config/tools';
+import HighlightText from '../HighlightText';
+import ThemeSettings from '../ThemeSettings';
 
 /**
  * 顶部导航栏组件
  * 
  * 功能：
  * - Logo 和品牌名称
- * - 全局搜索框
- * - 主题切换按钮
+ * - 全局搜索框（模糊、拼音匹配，高亮命中字符）
+ * - 命令面板入口（Ctrl+K）
+ * - 离线状态指示
+ * - 新版本更新提示
+ * - 语言切换
+ * - 主题切换按钮和主题设置（跟随系统、高对比度、强调色、编辑器字体）
  * - 移动端菜单按钮
  * 
  * @param {Object} props
@@ -37,6 +60,14 @@ function Header({ onDrawerToggle, drawerWidth }) {
     const theme = useTheme();
     const navigate = useNavigate();
     const { mode, toggleMode } = useThemeMode();
+    const { openPalette } = useCommandPalette();
+    const { openPalette: paletteCombo } = useShortcutBindings();
+    const { locale, setLocale, t, toolName, toolDescription } = useI18n();
+    const online = useOnlineStatus();
+    const { updateAvailable, applyUpdate } = useServiceWorkerUpdate();
+    const [updateDismissed, setUpdateDismissed] = useState(false);
+    const [languageAnchor, setLanguageAnchor] = useState(null);
+    const [themeAnchor, setThemeAnchor] = useState(null);
     const [searchValue, setSearchValue] = useState('');
     const [searchResults, setSearchResults] = useState([]);
     const [showResults, setShowResults] = useState(false);
@@ -47,8 +78,8 @@ function Header({ onDrawerToggle, drawerWidth }) {
         setSearchValue(value);
 
         if (value.trim()) {
-            const results = searchTools(value);
-            setSearchResults(results.slice(0, 5)); // 最多显示 5 个结果
+            const results = searchTools(value, locale);
+            setSearchResults(results.slice(0, 5)); // 按得分排序，最多显示 5 个结果
             setShowResults(true);
         } else {
             setSearchResults([]);
@@ -63,183 +94,293 @@ function Header({ onDrawerToggle, drawerWidth }) {
         setShowResults(false);
     };
 
+    // 切换语言
+    const handleLocaleSelect = (id) => {
+        setLocale(id);
+        setLanguageAnchor(null);
+        // 已有的搜索结果按新语言重新匹配
+        if (searchValue.trim()) {
+            setSearchResults(searchTools(searchValue, id).slice(0, 5));
+        }
+    };
+
     // 处理 Logo 点击
     const handleLogoClick = () => {
         navigate('/');
     };
 
     return (
-        <AppBar
-            position="fixed"
-            elevation={0}
-            sx={{
-                width: { sm: `calc(100% - ${drawerWidth}px)` },
-                ml: { sm: `${drawerWidth}px` },
-                backgroundColor: theme.palette.background.paper,
-                borderBottom: `1px solid ${theme.palette.divider}`,
-            }}
-        >
-            <Toolbar sx={{ justifyContent: 'space-between' }}>
-                {/* 移动端菜单按钮 */}
-                <IconButton
-                    color="inherit"
-                    aria-label="打开菜单"
-                    edge="start"
-                    onClick={onDrawerToggle}
-                    sx={{
-                        mr: 2,
-                        display: { sm: 'none' },
-                        color: theme.palette.text.primary,
-                    }}
-                >
-                    <MenuIcon />
-                </IconButton>
-
-                {/* Logo（移动端显示） */}
-                <Typography
-                    variant="h6"
-                    noWrap
-                    component="div"
-                    onClick={handleLogoClick}
-                    sx={{
-                        display: { xs: 'block', sm: 'none' },
-                        fontWeight: 700,
-                        color: theme.palette.text.primary,
-                        cursor: 'pointer',
-                    }}
-                >
-                    DevTools
-                </Typography>
+        <>
+            <AppBar
+                position="fixed"
+                elevation={0}
+                sx={{
+                    width: { sm: `calc(100% - ${drawerWidth}px)` },
+                    ml: { sm: `${drawerWidth}px` },
+                    backgroundColor: theme.palette.background.paper,
+                    borderBottom: `1px solid ${theme.palette.divider}`,
+                }}
+            >
+                <Toolbar sx={{ justifyContent: 'space-between' }}>
+                    {/* 移动端菜单按钮 */}
+                    <IconButton
+                        color="inherit"
+                        aria-label={t('header.openMenu')}
+                        edge="start"
+                        onClick={onDrawerToggle}
+                        sx={{
+                            mr: 2,
+                            display: { sm: 'none' },
+                            color: theme.palette.text.primary,
+                        }}
+                    >
+                        <MenuIcon />
+                    </IconButton>
 
-                {/* 搜索框 */}
-                <Box sx={{ position: 'relative', flexGrow: 1, maxWidth: 480, mx: { xs: 2, sm: 0 } }}>
-                    <Box
+                    {/* Logo（移动端显示） */}
+                    <Typography
+                        variant="h6"
+                        noWrap
+                        component="div"
+                        onClick={handleLogoClick}
                         sx={{
-                            position: 'relative',
-                            borderRadius: 2,
-                            backgroundColor: alpha(theme.palette.mode === 'dark' ? '#fff' : '#000', 0.04),
-                            '&:hover': {
-                                backgroundColor: alpha(theme.palette.mode === 'dark' ? '#fff' : '#000', 0.06),
-                            },
-                            width: '100%',
+                            display: { xs: 'block', sm: 'none' },
+                            fontWeight: 700,
+                            color: theme.palette.text.primary,
+                            cursor: 'pointer',
                         }}
                     >
+                        DevTools
+                    </Typography>
+
+                    {/* 搜索框 */}
+                    <Box sx={{ position: 'relative', flexGrow: 1, maxWidth: 480, mx: { xs: 2, sm: 0 } }}>
                         <Box
                             sx={{
-                                padding: '0 16px',
-                                height: '100%',
-                                position: 'absolute',
-                                pointerEvents: 'none',
-                                display: 'flex',
-                                alignItems: 'center',
-                                justifyContent: 'center',
+                                position: 'relative',
+                                borderRadius: 2,
+                                backgroundColor: alpha(theme.palette.mode === 'dark' ? '#fff' : '#000', 0.04),
+                                '&:hover': {
+                                    backgroundColor: alpha(theme.palette.mode === 'dark' ? '#fff' : '#000', 0.06),
+                                },
+                                width: '100%',
                             }}
                         >
-                            <SearchIcon sx={{ color: theme.palette.text.secondary }} />
-                        </Box>
-                        <InputBase
-                            placeholder="搜索工具... (Ctrl+K)"
-                            value={searchValue}
-                            onChange={handleSearchChange}
-                            onBlur={() => setTimeout(() => setShowResults(false), 200)}
-                            onFocus={() => searchResults.length > 0 && setShowResults(true)}
-                            sx={{
-                                color: theme.palette.text.primary,
-                                width: '100%',
-                                '& .MuiInputBase-input': {
-                                    padding: '12px 12px 12px 48px',
+                            <Box
+                                sx={{
+                                    padding: '0 16px',
+                                    height: '100%',
+                                    position: 'absolute',
+                                    pointerEvents: 'none',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                }}
+                            >
+                                <SearchIcon sx={{ color: theme.palette.text.secondary }} />
+                            </Box>
+                            <InputBase
+                                placeholder={t('header.searchPlaceholder')}
+                                value={searchValue}
+                                onChange={handleSearchChange}
+                                onBlur={() => setTimeout(() => setShowResults(false), 200)}
+                                onFocus={() => searchResults.length > 0 && setShowResults(true)}
+                                sx={{
+                                    color: theme.palette.text.primary,
                                     width: '100%',
-                                    fontSize: '0.875rem',
-                                },
-                            }}
-                            inputProps={{ 'aria-label': '搜索工具' }}
-                        />
+                                    '& .MuiInputBase-input': {
+                                        padding: '12px 12px 12px 48px',
+                                        width: '100%',
+                                        fontSize: '0.875rem',
+                                    },
+                                }}
+                                inputProps={{ 'aria-label': t('header.searchLabel') }}
+                            />
+                        </Box>
+
+                        {/* 搜索结果下拉框 */}
+                        {showResults && searchResults.length > 0 && (
+                            <Box
+                                sx={{
+                                    position: 'absolute',
+                                    top: '100%',
+                                    left: 0,
+                                    right: 0,
+                                    mt: 1,
+                                    backgroundColor: theme.palette.background.paper,
+                                    borderRadius: 2,
+                                    boxShadow: theme.shadows[8],
+                                    zIndex: 1000,
+                                    overflow: 'hidden',
+                                }}
+                            >
+                                {searchResults.map(({ tool, nameIndices, descriptionIndices }) => (
+                                    <Box
+                                        key={tool.id}
+                                        onClick={() => handleResultClick(getToolUrl(tool))}
+                                        sx={{
+                                            p: 2,
+                                            cursor: 'pointer',
+                                            '&:hover': {
+                                                backgroundColor: alpha(theme.palette.primary.main, 0.08),
+                                            },
+                                            borderBottom: `1px solid ${theme.palette.divider}`,
+                                            '&:last-child': {
+                                                borderBottom: 'none',
+                                            },
+                                        }}
+                                    >
+                                        <Typography variant="body2" fontWeight={500}>
+                                            <HighlightText text={toolName(tool)} indices={nameIndices} />
+                                        </Typography>
+                                        <Typography variant="caption" color="text.secondary">
+                                            <HighlightText text={toolDescription(tool)} indices={descriptionIndices} />
+                                        </Typography>
+                                    </Box>
+                                ))}
+                            </Box>
+                        )}
                     </Box>
 
-                    {/* 搜索结果下拉框 */}
-                    {showResults && searchResults.length > 0 && (
-                        <Box
-                            sx={{
-                                position: 'absolute',
-                                top: '100%',
-                                left: 0,
-                                right: 0,
-                                mt: 1,
-                                backgroundColor: theme.palette.background.paper,
-                                borderRadius: 2,
-                                boxShadow: theme.shadows[8],
-                                zIndex: 1000,
-                                overflow: 'hidden',
-                            }}
+                    {/* 右侧操作按钮 */}
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        {/* 离线状态 */}
+                        {!online && (
+                            <Tooltip title={t('header.offlineHint')}>
+                                <Chip
+                                    icon={<CloudOffIcon />}
+                                    label={t('header.offline')}
+                                    size="small"
+                                    color="warning"
+                                    variant="outlined"
+                                />
+                            </Tooltip>
+                        )}
+
+                        {/* 命令面板 */}
+                        <Tooltip
+                            title={paletteCombo
+                                ? t('header.commandPaletteKeys', { keys: formatCombo(paletteCombo) })
+                                : t('header.commandPalette')}
+                        >
+                            <IconButton
+                                size="small"
+                                onClick={openPalette}
+                                sx={{ color: theme.palette.text.secondary }}
+                            >
+                                <KeyboardCommandKeyIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+
+                        {/* GitHub 链接 */}
+                        <Tooltip title="GitHub">
+                            <IconButton
+                                size="small"
+                                sx={{ color: theme.palette.text.secondary }}
+                                href="https://github.com"
+                                target="_blank"
+                            >
+                                <GitHubIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+
+                        {/* 语言切换 */}
+                        <Tooltip title={t('header.language')}>
+                            <IconButton
+                                size="small"
+                                onClick={(e) => setLanguageAnchor(e.currentTarget)}
+                                sx={{ color: theme.palette.text.secondary }}
+                            >
+                                <TranslateIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                        <Menu
+                            anchorEl={languageAnchor}
+                            open={Boolean(languageAnchor)}
+                            onClose={() => setLanguageAnchor(null)}
                         >
-                            {searchResults.map((tool) => (
-                                <Box
-                                    key={tool.id}
-                                    onClick={() => handleResultClick(tool.path)}
-                                    sx={{
-                                        p: 2,
-                                        cursor: 'pointer',
-                                        '&:hover': {
-                                            backgroundColor: alpha(theme.palette.primary.main, 0.08),
-                                        },
-                                        borderBottom: `1px solid ${theme.palette.divider}`,
-                                        '&:last-child': {
-                                            borderBottom: 'none',
-                                        },
-                                    }}
+                            {LOCALES.map(item => (
+                                <MenuItem
+                                    key={item.id}
+                                    selected={item.id === locale}
+                                    onClick={() => handleLocaleSelect(item.id)}
                                 >
-                                    <Typography variant="body2" fontWeight={500}>
-                                        {tool.name}
-                                    </Typography>
-                                    <Typography variant="caption" color="text.secondary">
-                                        {tool.description}
-                                    </Typography>
-                                </Box>
+                                    {item.label}
+                                </MenuItem>
                             ))}
-                        </Box>
-                    )}
-                </Box>
+                        </Menu>
 
-                {/* 右侧操作按钮 */}
-                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                    {/* GitHub 链接 */}
-                    <Tooltip title="GitHub">
-                        <IconButton
-                            size="small"
-                            sx={{ color: theme.palette.text.secondary }}
-                            href="https://github.com"
-                            target="_blank"
+                        {/* 主题切换 */}
+                        <Tooltip title={mode === 'dark' ? t('header.lightMode') : t('header.darkMode')}>
+                            <IconButton
+                                size="small"
+                                onClick={toggleMode}
+                                sx={{ color: theme.palette.text.secondary }}
+                            >
+                                {mode === 'dark' ? <LightModeIcon fontSize="small" /> : <DarkModeIcon fontSize="small" />}
+                            </IconButton>
+                        </Tooltip>
+
+                        {/* 主题设置 */}
+                        <Tooltip title={t('header.themeSettings')}>
+                            <IconButton
+                                size="small"
+                                onClick={(e) => setThemeAnchor(e.currentTarget)}
+                                sx={{ color: theme.palette.text.secondary }}
+                            >
+                                <PaletteOutlinedIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                        <Popover
+                            anchorEl={themeAnchor}
+                            open={Boolean(themeAnchor)}
+                            onClose={() => setThemeAnchor(null)}
+                            anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                            transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+                            slotProps={{ paper: { sx: { p: 2, mt: 1 } } }}
                         >
-                            <GitHubIcon fontSize="small" />
-                        </IconButton>
-                    </Tooltip>
+                            <ThemeSettings />
+                        </Popover>
 
-                    {/* 主题切换 */}
-                    <Tooltip title={mode === 'dark' ? '切换到浅色模式' : '切换到深色模式'}>
-                        <IconButton
+                        {/* CTA 按钮 */}
+                        <Button
+                            variant="contained"
+                            color="primary"
                             size="small"
-                            onClick={toggleMode}
-                            sx={{ color: theme.palette.text.secondary }}
+                            sx={{
+                                ml: 1,
+                                display: { xs: 'none', md: 'inline-flex' },
+                            }}
                         >
-                            {mode === 'dark' ? <LightModeIcon fontSize="small" /> : <DarkModeIcon fontSize="small" />}
-                        </IconButton>
-                    </Tooltip>
-
-                    {/* CTA 按钮 */}
-                    <Button
-                        variant="contained"
-                        color="primary"
-                        size="small"
-                        sx={{
-                            ml: 1,
-                            display: { xs: 'none', md: 'inline-flex' },
-                        }}
-                    >
-                        开始使用
-                    </Button>
-                </Box>
-            </Toolbar>
-        </AppBar>
+                            {t('header.getStarted')}
+                        </Button>
+                    </Box>
+                </Toolbar>
+            </AppBar>
+
+            {/* 新版本提示 */}
+            <Snackbar
+                open={updateAvailable && !updateDismissed}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+            >
+                <Alert
+                    severity="info"
+                    variant="filled"
+                    action={(
+                        <>
+                            <Button color="inherit" size="small" onClick={() => setUpdateDismissed(true)}>
+                                {t('header.later')}
+                            </Button>
+                            <Button color="inherit" size="small" onClick={applyUpdate}>
+                                {t('header.reload')}
+                            </Button>
+                        </>
+                    )}
+                >
+                    {t('header.updateAvailable')}
+                </Alert>
+            </Snackbar>
+        </>
     );
 }
 
@@ -17,74 +17,31 @@ import {
 import ExpandLess from '@mui/icons-material/ExpandLess';
 import ExpandMore from '@mui/icons-material/ExpandMore';
 import HomeIcon from '@mui/icons-material/Home';
-import DataObjectIcon from '@mui/icons-material/DataObject';
-import ScheduleIcon from '@mui/icons-material/Schedule';
-import CodeIcon from '@mui/icons-material/Code';
-import LockIcon from '@mui/icons-material/Lock';
-import TextFieldsIcon from '@mui/icons-material/TextFields';
-import FingerprintIcon from '@mui/icons-material/Fingerprint';
-import QrCodeIcon from '@mui/icons-material/QrCode';
-import CompareIcon from '@mui/icons-material/Compare';
-import LinkIcon from '@mui/icons-material/Link';
-import FormatAlignLeftIcon from '@mui/icons-material/FormatAlignLeft';
-import StorageIcon from '@mui/icons-material/Storage';
-import FindReplaceIcon from '@mui/icons-material/FindReplace';
-import PaletteIcon from '@mui/icons-material/Palette';
-import TimerIcon from '@mui/icons-material/Timer';
-import ImageIcon from '@mui/icons-material/Image';
-import TerminalIcon from '@mui/icons-material/Terminal';
-import CalculateIcon from '@mui/icons-material/Calculate';
-import BuildIcon from '@mui/icons-material/Build';
-import PublicIcon from '@mui/icons-material/Public';
-import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import SettingsIcon from '@mui/icons-material/Settings';
+import StarIcon from '@mui/icons-material/Star';
 
-import { categories, getToolsByCategory } from '../../config/tools';
+import { categories, getToolById, getToolsByCategory, getToolUrl, isToolActive } from '../../config/tools';
+import { useToolUsage } from '../../hooks/useToolUsage';
+import { useI18n } from '../../hooks/useI18n';
+import FavoriteButton from '../FavoriteButton';
 
 /**
- * 图标映射
- * 根据工具配置中的 icon 字符串获取实际的图标组件
+ * 工具分类上方的页面链接
  */
-const iconMap = {
-    DataObject: DataObjectIcon,
-    Schedule: ScheduleIcon,
-    Code: CodeIcon,
-    Lock: LockIcon,
-    TextFields: TextFieldsIcon,
-    Fingerprint: FingerprintIcon,
-    QrCode: QrCodeIcon,
-    Compare: CompareIcon,
-    Link: LinkIcon,
-    Home: HomeIcon,
-    FormatAlignLeft: FormatAlignLeftIcon,
-    Storage: StorageIcon,
-    FindReplace: FindReplaceIcon,
-    Palette: PaletteIcon,
-    Timer: TimerIcon,
-    Image: ImageIcon,
-    Terminal: TerminalIcon,
-    Calculate: CalculateIcon,
-    Build: BuildIcon,
-    Public: PublicIcon,
-    SwapHoriz: SwapHorizIcon,
-};
-
-/**
- * 获取图标组件
- * @param {string} iconName - 图标名称
- * @returns {React.Component} 图标组件
- */
-const getIcon = (iconName) => {
-    const IconComponent = iconMap[iconName] || DataObjectIcon;
-    return <IconComponent />;
-};
+const PAGE_LINKS = [
+    { path: '/', label: 'sidebar.home', Icon: HomeIcon },
+    { path: '/settings', label: 'sidebar.settings', Icon: SettingsIcon },
+];
 
 /**
  * 侧边栏导航组件
  * 
  * 功能：
  * - Logo 和品牌名称
+ * - 首页和设置链接
+ * - 收藏的工具
  * - 分类列表（可折叠）
- * - 工具导航链接
+ * - 工具导航链接（悬停时可收藏）
  * - 响应式设计（移动端抽屉）
  * 
  * @param {Object} props
@@ -96,15 +53,17 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
     const theme = useTheme();
     const navigate = useNavigate();
     const location = useLocation();
+    const { favorites } = useToolUsage();
+    const { t, toolName, categoryName } = useI18n();
+    const favoriteTools = favorites.map(getToolById).filter(Boolean);
 
     // 展开状态 - 记录每个分类是否展开
     const [expanded, setExpanded] = useState(() => {
         // 默认展开当前路径对应的分类
-        const path = location.pathname;
         const expandedState = {};
         categories.forEach(cat => {
             const categoryTools = getToolsByCategory(cat.id);
-            const isActive = categoryTools.some(tool => tool.path === path);
+            const isActive = categoryTools.some(tool => isToolActive(tool, location));
             expandedState[cat.id] = isActive;
         });
         return expandedState;
@@ -174,28 +133,65 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
 
             {/* 可滚动的内容区域 (包含首页链接和工具分类) */}
             <Box sx={{ flex: 1, overflowY: 'auto', overflowX: 'hidden' }}>
-                {/* 首页链接 */}
+                {/* 首页和设置链接 */}
                 <List sx={{ px: 1, py: 1 }}>
-                    <ListItem disablePadding>
-                        <ListItemButton
-                            selected={location.pathname === '/'}
-                            onClick={() => handleToolClick('/')}
-                            sx={{ borderRadius: 2 }}
-                        >
-                            <ListItemIcon sx={{ minWidth: 40 }}>
-                                <HomeIcon fontSize="small" />
-                            </ListItemIcon>
-                            <ListItemText
-                                primary="首页"
-                                primaryTypographyProps={{
-                                    fontSize: '0.9rem',
-                                    fontWeight: location.pathname === '/' ? 600 : 400,
-                                }}
-                            />
-                        </ListItemButton>
-                    </ListItem>
+                    {PAGE_LINKS.map(({ path, label, Icon }) => (
+                        <ListItem key={path} disablePadding>
+                            <ListItemButton
+                                selected={location.pathname === path}
+                                onClick={() => handleToolClick(path)}
+                                sx={{ borderRadius: 2 }}
+                            >
+                                <ListItemIcon sx={{ minWidth: 40 }}>
+                                    <Icon fontSize="small" />
+                                </ListItemIcon>
+                                <ListItemText
+                                    primary={t(label)}
+                                    primaryTypographyProps={{
+                                        fontSize: '0.9rem',
+                                        fontWeight: location.pathname === path ? 600 : 400,
+                                    }}
+                                />
+                            </ListItemButton>
+                        </ListItem>
+                    ))}
                 </List>
 
+                {/* 收藏的工具 */}
+                {favoriteTools.length > 0 && (
+                    <>
+                        <Divider sx={{ my: 0, mx: 2 }} />
+                        <List sx={{ px: 1, py: 1 }}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, px: 2, py: 0.5 }}>
+                                <StarIcon sx={{ fontSize: 16, color: theme.palette.warning.main }} />
+                                <Typography variant="caption" color="text.secondary" fontWeight={600}>
+                                    {t('sidebar.favorites')}
+                                </Typography>
+                            </Box>
+                            {favoriteTools.map((tool) => {
+                                const isActive = isToolActive(tool, location);
+                                return (
+                                    <ListItemButton
+                                        key={tool.id}
+                                        selected={isActive}
+                                        onClick={() => handleToolClick(getToolUrl(tool))}
+                                        sx={{ borderRadius: 2, mb: 0.5, py: 0.75, pl: 3 }}
+                                    >
+                                        <ListItemText
+                                            primary={toolName(tool)}
+                                            primaryTypographyProps={{
+                                                variant: 'body2',
+                                                fontWeight: isActive ? 600 : 400,
+                                                color: isActive ? theme.palette.primary.main : theme.palette.text.primary,
+                                            }}
+                                        />
+                                    </ListItemButton>
+                                );
+                            })}
+                        </List>
+                    </>
+                )}
+
                 <Divider sx={{ my: 0, mx: 2 }} />
 
                 {/* 分类列表 */}
@@ -203,7 +199,8 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
                     {categories.map((category) => {
                         const categoryTools = getToolsByCategory(category.id);
                         const isExpanded = expanded[category.id];
-                        const hasActiveChild = categoryTools.some(tool => tool.path === location.pathname);
+                        const CategoryIcon = category.icon;
+                        const hasActiveChild = categoryTools.some(tool => isToolActive(tool, location));
 
                         return (
                             <Box key={category.id}>
@@ -219,10 +216,10 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
                                     }}
                                 >
                                     <ListItemIcon sx={{ minWidth: 40, color: hasActiveChild ? theme.palette.primary.main : 'inherit' }}>
-                                        {getIcon(category.icon)}
+                                        <CategoryIcon />
                                     </ListItemIcon>
                                     <ListItemText
-                                        primary={category.name}
+                                        primary={categoryName(category)}
                                         primaryTypographyProps={{
                                             fontSize: '0.9rem',
                                             fontWeight: hasActiveChild ? 600 : 500,
@@ -236,16 +233,19 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
                                 <Collapse in={isExpanded} timeout="auto" unmountOnExit>
                                     <List component="div" disablePadding sx={{ pl: 2 }}>
                                         {categoryTools.map((tool) => {
-                                            const isActive = location.pathname === tool.path;
+                                            const isActive = isToolActive(tool, location);
+                                            const isFavorite = favorites.includes(tool.id);
                                             return (
                                                 <ListItemButton
                                                     key={tool.id}
                                                     selected={isActive}
-                                                    onClick={() => handleToolClick(tool.path)}
+                                                    onClick={() => handleToolClick(getToolUrl(tool))}
                                                     sx={{
                                                         borderRadius: 2,
                                                         mb: 0.5,
                                                         py: 0.75,
+                                                        // 收藏按钮在悬停或已收藏时显示
+                                                        '&:hover .favorite-button': { opacity: 1 },
                                                     }}
                                                 >
                                                     <ListItemText
@@ -258,7 +258,7 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
                                                                         color: isActive ? theme.palette.primary.main : theme.palette.text.primary,
                                                                     }}
                                                                 >
-                                                                    {tool.name}
+                                                                    {toolName(tool)}
                                                                 </Typography>
                                                                 {tool.isNew && (
                                                                     <Chip
@@ -276,6 +276,15 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
                                                             </Box>
                                                         }
                                                     />
+                                                    <FavoriteButton
+                                                        toolId={tool.id}
+                                                        favorite={isFavorite}
+                                                        sx={{
+                                                            p: 0.25,
+                                                            opacity: isFavorite ? 1 : 0,
+                                                            '&:focus-visible': { opacity: 1 },
+                                                        }}
+                                                    />
                                                 </ListItemButton>
                                             );
                                         })}
@@ -307,7 +316,7 @@ function Sidebar({ mobileOpen, onDrawerToggle, drawerWidth }) {
         <Box
             component="nav"
             sx={{ width: { sm: drawerWidth }, flexShrink: { sm: 0 } }}
-            aria-label="工具分类导航"
+            aria-label={t('sidebar.navLabel')}
         >
             {/* 移动端抽屉 */}
             <Drawer
@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Box,
+    Typography,
+    Button,
+    useTheme,
+} from '@mui/material';
+import KeyboardIcon from '@mui/icons-material/Keyboard';
+
+import ShortcutKeys from './ShortcutKeys';
+import { SHORTCUT_ACTIONS, SHORTCUT_GROUPS } from '../config/shortcuts';
+import { useCommandPalette, useShortcutHelp } from '../hooks/useCommands';
+import { useShortcutBindings } from '../hooks/useShortcuts';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 快捷键速查表（默认按 ? 打开）
+ * 按分组列出所有操作的组合键，当前页面没有提供的工具操作显示为灰色
+ */
+function ShortcutHelp() {
+    const theme = useTheme();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const { open, closeHelp } = useShortcutHelp();
+    const { getCommands } = useCommandPalette();
+    const bindings = useShortcutBindings();
+
+    // 打开时收集当前页面可用的操作，全局操作总是可用
+    const available = useMemo(() => {
+        if (!open) return new Set();
+        const ids = getCommands().filter(command => command.shortcut && !command.disabled).map(command => command.shortcut);
+        return new Set([...ids, ...SHORTCUT_ACTIONS.filter(action => action.group === 'global').map(action => action.id)]);
+    }, [open, getCommands]);
+
+    const handleCustomize = () => {
+        closeHelp();
+        navigate('/settings');
+    };
+
+    return (
+        <Dialog open={open} onClose={closeHelp} fullWidth maxWidth="sm">
+            <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <KeyboardIcon />
+                {t('shortcuts.title')}
+            </DialogTitle>
+            <DialogContent dividers>
+                <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                    {t('shortcuts.availableHint')}
+                </Typography>
+                {SHORTCUT_GROUPS.map(group => (
+                    <Box key={group} sx={{ mb: 2 }}>
+                        <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 0.5 }}>
+                            {t(`shortcuts.groups.${group}`)}
+                        </Typography>
+                        {SHORTCUT_ACTIONS.filter(action => action.group === group).map(action => (
+                            <Box
+                                key={action.id}
+                                sx={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'space-between',
+                                    gap: 2,
+                                    py: 0.5,
+                                    borderBottom: `1px dashed ${theme.palette.divider}`,
+                                    opacity: available.has(action.id) ? 1 : 0.5,
+                                }}
+                            >
+                                <Typography variant="body2">{t(`shortcuts.actions.${action.id}`)}</Typography>
+                                {bindings[action.id]
+                                    ? <ShortcutKeys combo={bindings[action.id]} />
+                                    : (
+                                        <Typography variant="caption" color="text.secondary">
+                                            {t('shortcuts.unbound')}
+                                        </Typography>
+                                    )}
+                            </Box>
+                        ))}
+                    </Box>
+                ))}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={handleCustomize}>{t('shortcuts.customize')}</Button>
+                <Button onClick={closeHelp}>{t('common.confirm')}</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+export default ShortcutHelp;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Box, useTheme } from '@mui/material';
+
+import { getComboLabels } from '../core/shortcuts';
+
+/**
+ * 组合键显示组件
+ * 每个按键显示为一个键帽，macOS 上修饰键使用 ⌘ ⌥ ⇧ 等符号
+ *
+ * @param {Object} props
+ * @param {string} props.combo - 规范化的组合键（见 core/shortcuts.js），为空时不显示
+ */
+function ShortcutKeys({ combo }) {
+    const theme = useTheme();
+    if (!combo) return null;
+
+    return (
+        <Box component="span" sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}>
+            {getComboLabels(combo).map((label, index) => (
+                <Box
+                    key={index}
+                    component="kbd"
+                    sx={{
+                        minWidth: 22,
+                        px: 0.75,
+                        py: 0.25,
+                        borderRadius: 0.75,
+                        border: `1px solid ${theme.palette.divider}`,
+                        borderBottomWidth: 2,
+                        backgroundColor: theme.palette.action.hover,
+                        color: theme.palette.text.secondary,
+                        fontFamily: theme.editor.fontFamily,
+                        fontSize: '0.75rem',
+                        lineHeight: 1.4,
+                        textAlign: 'center',
+                    }}
+                >
+                    {label}
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+export default ShortcutKeys;
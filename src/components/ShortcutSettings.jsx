@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    ButtonBase,
+    IconButton,
+    Tooltip,
+    Alert,
+    useTheme,
+} from '@mui/material';
+import BackspaceOutlinedIcon from '@mui/icons-material/BackspaceOutlined';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+
+import ShortcutKeys from './ShortcutKeys';
+import { SHORTCUT_ACTIONS, SHORTCUT_GROUPS, DEFAULT_SHORTCUTS } from '../config/shortcuts';
+import { comboFromEvent, findConflicts, formatCombo } from '../core/shortcuts';
+import { setShortcutBindings, resetShortcutBindings } from '../storage/shortcuts';
+import { useShortcutBindings } from '../hooks/useShortcuts';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 快捷键设置
+ *
+ * 功能：
+ * - 点击组合键后按下新的组合键进行修改，Esc 取消
+ * - 新组合键已被其他操作使用时询问是否改为用于当前操作（其他操作取消绑定）
+ * - 恢复默认后与其他操作冲突时标出，可选择保留其中一项
+ * - 取消绑定、恢复单个或全部默认
+ */
+function ShortcutSettings() {
+    const theme = useTheme();
+    const { locale, t } = useI18n();
+    const bindings = useShortcutBindings();
+    // 正在录制的操作 ID
+    const [recording, setRecording] = useState(null);
+    // 待确认的重新分配：{ actionId, combo, others }
+    const [pending, setPending] = useState(null);
+
+    const conflicts = findConflicts(bindings);
+    const actionLabel = (id) => t(`shortcuts.actions.${id}`);
+    const actionLabels = (ids) => new Intl.ListFormat(locale).format(ids.map(actionLabel));
+
+    /**
+     * 录制组合键：只按修饰键时继续等待，Tab 照常切换焦点，Esc 取消
+     */
+    const handleRecordKeyDown = (event, actionId) => {
+        if (event.key === 'Tab' && !event.ctrlKey && !event.metaKey && !event.altKey) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.key === 'Escape') {
+            setRecording(null);
+            return;
+        }
+        const combo = comboFromEvent(event);
+        if (!combo) return;
+        setRecording(null);
+        if (combo === bindings[actionId]) return;
+
+        const others = Object.keys(bindings).filter(id => id !== actionId && bindings[id] === combo);
+        if (others.length > 0) {
+            setPending({ actionId, combo, others });
+        } else {
+            setPending(null);
+            setShortcutBindings({ [actionId]: combo });
+        }
+    };
+
+    /**
+     * 保留一个操作的组合键，使用相同组合键的其他操作取消绑定
+     */
+    const keepBinding = (actionId, combo, others) => {
+        setShortcutBindings({
+            [actionId]: combo,
+            ...Object.fromEntries(others.map(id => [id, ''])),
+        });
+        setPending(null);
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, mb: 1 }}>
+                <Typography variant="body2" color="text.secondary">
+                    {t('shortcuts.hint')}
+                </Typography>
+                <Button
+                    size="small"
+                    startIcon={<RestartAltIcon fontSize="small" />}
+                    onClick={() => {
+                        setPending(null);
+                        resetShortcutBindings();
+                    }}
+                    sx={{ flexShrink: 0 }}
+                >
+                    {t('shortcuts.resetAll')}
+                </Button>
+            </Box>
+
+            {/* 重新分配确认 */}
+            {pending && (
+                <Alert
+                    severity="warning"
+                    sx={{ mb: 2 }}
+                    action={(
+                        <>
+                            <Button
+                                color="inherit"
+                                size="small"
+                                onClick={() => keepBinding(pending.actionId, pending.combo, pending.others)}
+                            >
+                                {t('shortcuts.reassign')}
+                            </Button>
+                            <Button color="inherit" size="small" onClick={() => setPending(null)}>
+                                {t('common.cancel')}
+                            </Button>
+                        </>
+                    )}
+                >
+                    {t('shortcuts.reassignConfirm', {
+                        keys: formatCombo(pending.combo),
+                        actions: actionLabels(pending.others),
+                        action: actionLabel(pending.actionId),
+                    })}
+                </Alert>
+            )}
+
+            {SHORTCUT_GROUPS.map(group => (
+                <Box key={group} sx={{ mt: 2 }}>
+                    <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 0.5 }}>
+                        {t(`shortcuts.groups.${group}`)}
+                    </Typography>
+                    {SHORTCUT_ACTIONS.filter(action => action.group === group).map(action => {
+                        const combo = bindings[action.id];
+                        const others = (conflicts[combo] || []).filter(id => id !== action.id);
+                        const isRecording = recording === action.id;
+                        return (
+                            <Box
+                                key={action.id}
+                                sx={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: 1,
+                                    py: 0.75,
+                                    borderBottom: `1px solid ${theme.palette.divider}`,
+                                }}
+                            >
+                                <Box sx={{ flex: 1, minWidth: 0 }}>
+                                    <Typography variant="body2">{actionLabel(action.id)}</Typography>
+                                    {others.length > 0 && (
+                                        <Typography variant="caption" color="error" component="div">
+                                            {t('shortcuts.conflict', { actions: actionLabels(others) })}
+                                            <Button
+                                                size="small"
+                                                color="error"
+                                                onClick={() => keepBinding(action.id, combo, others)}
+                                                sx={{ ml: 1, py: 0, minWidth: 0 }}
+                                            >
+                                                {t('shortcuts.keepThis')}
+                                            </Button>
+                                        </Typography>
+                                    )}
+                                </Box>
+
+                                {/* 组合键，点击后录制 */}
+                                <ButtonBase
+                                    data-shortcut-recorder={isRecording || undefined}
+                                    aria-label={t('shortcuts.record', { action: actionLabel(action.id) })}
+                                    onClick={() => setRecording(isRecording ? null : action.id)}
+                                    onKeyDown={isRecording ? (e) => handleRecordKeyDown(e, action.id) : undefined}
+                                    onBlur={() => isRecording && setRecording(null)}
+                                    sx={{
+                                        minWidth: 140,
+                                        minHeight: 32,
+                                        px: 1,
+                                        justifyContent: 'center',
+                                        borderRadius: 1,
+                                        border: `1px ${isRecording ? 'solid' : 'dashed'} ${isRecording
+                                            ? theme.palette.primary.main
+                                            : others.length > 0 ? theme.palette.error.main : theme.palette.divider}`,
+                                    }}
+                                >
+                                    {isRecording && (
+                                        <Typography variant="caption" color="primary">{t('shortcuts.recording')}</Typography>
+                                    )}
+                                    {!isRecording && combo && <ShortcutKeys combo={combo} />}
+                                    {!isRecording && !combo && (
+                                        <Typography variant="caption" color="text.secondary">{t('shortcuts.unbound')}</Typography>
+                                    )}
+                                </ButtonBase>
+
+                                <Tooltip title={t('shortcuts.remove')}>
+                                    <span>
+                                        <IconButton
+                                            size="small"
+                                            disabled={!combo}
+                                            onClick={() => setShortcutBindings({ [action.id]: '' })}
+                                        >
+                                            <BackspaceOutlinedIcon fontSize="small" />
+                                        </IconButton>
+                                    </span>
+                                </Tooltip>
+                                <Tooltip title={t('shortcuts.reset')}>
+                                    <span>
+                                        <IconButton
+                                            size="small"
+                                            disabled={combo === DEFAULT_SHORTCUTS[action.id]}
+                                            onClick={() => resetShortcutBindings(action.id)}
+                                        >
+                                            <RestartAltIcon fontSize="small" />
+                                        </IconButton>
+                                    </span>
+                                </Tooltip>
+                            </Box>
+                        );
+                    })}
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+export default ShortcutSettings;
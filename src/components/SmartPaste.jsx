@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Paper, Typography, Button, useTheme, alpha } from '@mui/material';
+import ContentPasteIcon from '@mui/icons-material/ContentPaste';
+import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+
+import { detectTools } from '../config/tools';
+import { useOpenTool } from '../hooks/useToolState';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 粘贴内容预览的最大字符数
+ */
+const PREVIEW_LENGTH = 120;
+
+/**
+ * 判断粘贴是否发生在可编辑元素中（如顶部搜索框），这类粘贴不做识别
+ */
+const isEditableTarget = (target) => {
+    return target instanceof HTMLElement
+        && (target.closest('input, textarea') || target.isContentEditable);
+};
+
+/**
+ * 智能粘贴
+ * 在页面任意位置（输入框之外）粘贴或点击「读取剪贴板」后，识别内容类型并推荐可以处理它的工具，
+ * 打开工具时自动预填粘贴的内容。识别规则由工具注册表的 detect 字段提供。
+ */
+function SmartPaste() {
+    const theme = useTheme();
+    const { t, toolName } = useI18n();
+    const openTool = useOpenTool();
+    // { text, matches }，尚未粘贴时为 null
+    const [pasted, setPasted] = useState(null);
+    const [clipboardError, setClipboardError] = useState(false);
+
+    const handleText = (text) => {
+        if (!text.trim()) return;
+        setClipboardError(false);
+        setPasted({ text: text.trim(), matches: detectTools(text) });
+    };
+
+    useEffect(() => {
+        const handlePaste = (event) => {
+            if (isEditableTarget(event.target)) return;
+            handleText(event.clipboardData?.getData('text/plain') || '');
+        };
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, []);
+
+    // 主动读取剪贴板（需要浏览器授权，移动端没有 Ctrl+V 时使用）
+    const handleReadClipboard = async () => {
+        try {
+            handleText(await navigator.clipboard.readText());
+        } catch {
+            setClipboardError(true);
+        }
+    };
+
+    const preview = pasted && (pasted.text.length > PREVIEW_LENGTH
+        ? `${pasted.text.slice(0, PREVIEW_LENGTH)}…`
+        : pasted.text);
+
+    return (
+        <Paper
+            elevation={0}
+            sx={{
+                p: 2,
+                border: `1px dashed ${theme.palette.divider}`,
+                borderRadius: 2,
+                backgroundColor: alpha(theme.palette.primary.main, 0.02),
+                textAlign: 'left',
+            }}
+        >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+                <ContentPasteIcon fontSize="small" sx={{ color: theme.palette.text.secondary }} />
+                <Typography variant="body2" color="text.secondary" sx={{ flex: 1, minWidth: 200 }}>
+                    {clipboardError ? t('smartPaste.clipboardFailed') : t('smartPaste.hint')}
+                </Typography>
+                <Button size="small" onClick={handleReadClipboard}>
+                    {t('smartPaste.readClipboard')}
+                </Button>
+            </Box>
+
+            {pasted && (
+                <Box sx={{ mt: 2 }}>
+                    <Typography
+                        variant="caption"
+                        component="div"
+                        sx={{
+                            fontFamily: '"Fira Code", monospace',
+                            color: theme.palette.text.secondary,
+                            wordBreak: 'break-all',
+                            mb: 1.5,
+                        }}
+                    >
+                        {preview}
+                    </Typography>
+                    {pasted.matches.length > 0 ? (
+                        <>
+                            <Typography variant="body2" fontWeight={500} sx={{ mb: 1 }}>
+                                {t('smartPaste.detected', { type: t(`smartPaste.types.${pasted.matches[0].type}`) })}
+                            </Typography>
+                            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                {pasted.matches.map(({ tool, state }, index) => (
+                                    <Button
+                                        key={tool.id}
+                                        size="small"
+                                        variant={index === 0 ? 'contained' : 'outlined'}
+                                        endIcon={<ArrowForwardIcon fontSize="small" />}
+                                        onClick={() => openTool(tool, state)}
+                                    >
+                                        {t('smartPaste.openIn', { tool: toolName(tool) })}
+                                    </Button>
+                                ))}
+                            </Box>
+                        </>
+                    ) : (
+                        <Typography variant="body2" color="text.secondary">
+                            {t('smartPaste.unrecognized')}
+                        </Typography>
+                    )}
+                </Box>
+            )}
+        </Paper>
+    );
+}
+
+export default SmartPaste;
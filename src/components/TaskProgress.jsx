@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, Button, LinearProgress, Box } from '@mui/material';
+
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 任务运行超过该时间（毫秒）才显示进度，避免很快完成的任务闪烁
+ */
+const SHOW_DELAY = 500;
+
+/**
+ * 后台任务进度
+ * 显示正在处理的阶段和已用时间，任务报告了完成比例时显示确定进度，并提供取消按钮；
+ * 没有任务或任务刚开始时不渲染
+ *
+ * @param {Object} props
+ * @param {Object} props.task - 正在运行的任务 { progress, startedAt }（见 useWorkerTask）
+ * @param {Function} props.onCancel - 取消任务
+ */
+function TaskProgress({ task, onCancel }) {
+    const { t } = useI18n();
+    const [now, setNow] = useState(Date.now());
+
+    // 定时刷新已用时间
+    useEffect(() => {
+        if (!task) return;
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), SHOW_DELAY);
+        return () => clearInterval(timer);
+    }, [task?.startedAt]);
+
+    if (!task || now - task.startedAt < SHOW_DELAY) return null;
+
+    const seconds = Math.floor((now - task.startedAt) / 1000);
+    const { stage, value } = task.progress || {};
+
+    return (
+        <Alert
+            severity="info"
+            icon={false}
+            sx={{ mb: 2, '& .MuiAlert-message': { flex: 1 } }}
+            action={(
+                <Button color="inherit" size="small" onClick={onCancel}>
+                    {t('common.cancel')}
+                </Button>
+            )}
+        >
+            <Box sx={{ mb: 1 }}>
+                {t('taskProgress.message', {
+                    stage: t(`taskProgress.stages.${stage || 'pending'}`),
+                    seconds,
+                })}
+            </Box>
+            {value === undefined
+                ? <LinearProgress />
+                : <LinearProgress variant="determinate" value={Math.round(value * 100)} />}
+        </Alert>
+    );
+}
+
+export default TaskProgress;
@@ -0,0 +1,159 @@
+import React from 'react';
+import {
+    Box,
+    Typography,
+    ToggleButton,
+    ToggleButtonGroup,
+    FormControlLabel,
+    Switch,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    ButtonBase,
+    Tooltip,
+    useTheme,
+} from '@mui/material';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import SettingsBrightnessIcon from '@mui/icons-material/SettingsBrightness';
+import CheckIcon from '@mui/icons-material/Check';
+
+import { useThemeMode } from '../App';
+import { useI18n } from '../hooks/useI18n';
+import { ACCENT_COLORS, EDITOR_FONTS, EDITOR_FONT_SIZES } from '../theme';
+
+const MODE_ICONS = {
+    light: <LightModeIcon fontSize="small" />,
+    dark: <DarkModeIcon fontSize="small" />,
+    system: <SettingsBrightnessIcon fontSize="small" />,
+};
+
+/**
+ * 主题设置面板
+ * 浅色/深色/跟随系统、高对比度、强调色、编辑器字体和字号，修改后立即生效并保存到本地
+ */
+function ThemeSettings() {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const { settings, updateSettings } = useThemeMode();
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, width: 280 }}>
+            {/* 主题模式 */}
+            <Box>
+                <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>
+                    {t('themeSettings.mode')}
+                </Typography>
+                <ToggleButtonGroup
+                    value={settings.mode}
+                    exclusive
+                    fullWidth
+                    size="small"
+                    onChange={(e, mode) => mode && updateSettings({ mode })}
+                    aria-label={t('themeSettings.mode')}
+                >
+                    {Object.entries(MODE_ICONS).map(([mode, icon]) => (
+                        <ToggleButton key={mode} value={mode} sx={{ gap: 0.5 }}>
+                            {icon}
+                            {t(`themeSettings.modes.${mode}`)}
+                        </ToggleButton>
+                    ))}
+                </ToggleButtonGroup>
+            </Box>
+
+            {/* 高对比度 */}
+            <FormControlLabel
+                control={(
+                    <Switch
+                        checked={settings.highContrast}
+                        onChange={(e) => updateSettings({ highContrast: e.target.checked })}
+                    />
+                )}
+                label={t('themeSettings.highContrast')}
+            />
+
+            {/* 强调色 */}
+            <Box>
+                <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>
+                    {t('themeSettings.accent')}
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                    {ACCENT_COLORS.map(color => (
+                        <Tooltip key={color.id} title={t(`themeSettings.accents.${color.id}`)}>
+                            <ButtonBase
+                                onClick={() => updateSettings({ accent: color.id })}
+                                aria-label={t(`themeSettings.accents.${color.id}`)}
+                                aria-pressed={settings.accent === color.id}
+                                sx={{
+                                    width: 28,
+                                    height: 28,
+                                    borderRadius: '50%',
+                                    color: '#fff',
+                                    backgroundColor: color.main,
+                                    outline: settings.accent === color.id
+                                        ? `2px solid ${theme.palette.text.primary}`
+                                        : 'none',
+                                    outlineOffset: 2,
+                                }}
+                            >
+                                {settings.accent === color.id && <CheckIcon sx={{ fontSize: 16 }} />}
+                            </ButtonBase>
+                        </Tooltip>
+                    ))}
+                </Box>
+            </Box>
+
+            {/* 编辑器字体和字号 */}
+            <Box sx={{ display: 'flex', gap: 1 }}>
+                <FormControl size="small" sx={{ flex: 1 }}>
+                    <InputLabel>{t('themeSettings.editorFont')}</InputLabel>
+                    <Select
+                        value={settings.editorFont}
+                        label={t('themeSettings.editorFont')}
+                        onChange={(e) => updateSettings({ editorFont: e.target.value })}
+                    >
+                        {EDITOR_FONTS.map(font => (
+                            <MenuItem key={font.id} value={font.id} sx={{ fontFamily: font.family }}>
+                                {t(`themeSettings.fonts.${font.id}`)}
+                            </MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ width: 88 }}>
+                    <InputLabel>{t('themeSettings.editorFontSize')}</InputLabel>
+                    <Select
+                        value={settings.editorFontSize}
+                        label={t('themeSettings.editorFontSize')}
+                        onChange={(e) => updateSettings({ editorFontSize: e.target.value })}
+                    >
+                        {EDITOR_FONT_SIZES.map(size => (
+                            <MenuItem key={size} value={size}>{size}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+            </Box>
+
+            {/* 编辑器字体预览 */}
+            <Box
+                sx={{
+                    px: 1.5,
+                    py: 1,
+                    borderRadius: 1,
+                    border: `1px solid ${theme.palette.divider}`,
+                    backgroundColor: theme.editor.gutterBackground,
+                    fontFamily: theme.editor.fontFamily,
+                    fontSize: theme.editor.fontSize,
+                    whiteSpace: 'pre',
+                    overflow: 'hidden',
+                }}
+            >
+                <Box component="span" sx={{ color: theme.palette.diff.removed.text }}>- {'{ "id": 1 }'}</Box>
+                {'\n'}
+                <Box component="span" sx={{ color: theme.palette.diff.added.text }}>+ {'{ "id": 2 }'}</Box>
+            </Box>
+        </Box>
+    );
+}
+
+export default ThemeSettings;
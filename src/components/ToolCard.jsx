@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     Box,
     Typography,
@@ -13,24 +13,50 @@ import {
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
+import HistoryIcon from '@mui/icons-material/History';
+import ShareIcon from '@mui/icons-material/Share';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+
+import HistoryPanel from './HistoryPanel';
+import FavoriteButton from './FavoriteButton';
+import { useCurrentTool, useToolStateRegistry } from '../hooks/useToolState';
+import { useRegisterCommands } from '../hooks/useCommands';
+import { useToolUsage } from '../hooks/useToolUsage';
+import { useEmbed } from '../hooks/useEmbed';
+import { useI18n } from '../hooks/useI18n';
+import { toggleFavoriteTool } from '../storage/toolUsage';
+import { addHistory } from '../storage/history';
+import { encodeState, SHARE_PARAM, SHARE_URL_WARN_LENGTH } from '../core/shareState';
+
+/**
+ * 输入停止变化多久后记录历史（毫秒）
+ */
+const HISTORY_DELAY = 1500;
 
 /**
  * 通用工具卡片容器组件
  * 
  * 提供统一的工具页面布局：
- * - 标题和描述
+ * - 标题和描述，工具页面中可收藏
  * - 操作按钮区域
  * - 内容区域（children）
  * - 复制和清空功能
+ * - 分享链接（工具通过 useToolState 声明了状态时显示）
+ * - 向命令面板注册操作按钮、复制输出、清空等命令，声明了 shortcut 的命令可通过快捷键执行
+ * - 嵌入页面中不显示收藏、分享和历史，输出变化时发送给宿主页面；只读时不显示清空
  * 
  * @param {Object} props
  * @param {string} props.title - 工具标题
  * @param {string} props.description - 工具描述
  * @param {React.ReactNode} props.children - 工具内容
- * @param {Array} props.actions - 自定义操作按钮配置
+ * @param {Array} props.actions - 自定义操作按钮配置（{ label, icon, onClick, disabled, variant, shortcut }），shortcut 为快捷键操作 ID
  * @param {string} props.copyContent - 一键复制的内容
+ * @param {*} props.output - 嵌入页面发送给宿主页面的输出（字符串或可序列化的对象），默认为 copyContent
  * @param {Function} props.onClear - 清空按钮回调
  * @param {boolean} props.showToolbar - 是否显示工具栏，默认 true
+ * @param {*} props.historyValue - 需要记录到历史的输入（字符串或对象），为空时不记录
+ * @param {Function} props.onHistorySelect - 从历史记录恢复输入的回调，提供时显示历史按钮
+ * @param {Array} props.commands - 只出现在命令面板中的额外命令（{ id, label, icon, keywords, shortcut, onSelect }）
  */
 function ToolCard({
     title,
@@ -38,11 +64,26 @@ function ToolCard({
     children,
     actions = [],
     copyContent,
+    output = copyContent,
     onClear,
     showToolbar = true,
+    historyValue,
+    onHistorySelect,
+    commands = [],
 }) {
     const theme = useTheme();
-    const [snackbar, setSnackbar] = React.useState({
+    const currentTool = useCurrentTool();
+    const { t, toolName, toolDescription } = useI18n();
+    const stateRegistry = useToolStateRegistry();
+    const embed = useEmbed();
+    // 嵌入页面中不提供收藏、分享和历史等依赖本地保存的功能
+    const tool = embed ? null : currentTool;
+    const canShare = Boolean(tool && stateRegistry?.hasState());
+    const canClear = Boolean(onClear) && !embed?.readOnly;
+    const { favorites } = useToolUsage();
+    const isFavorite = Boolean(tool && favorites.includes(tool.id));
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [snackbar, setSnackbar] = useState({
         open: false,
         message: '',
         severity: 'success',
@@ -56,18 +97,130 @@ function ToolCard({
             await navigator.clipboard.writeText(copyContent);
             setSnackbar({
                 open: true,
-                message: '已复制到剪贴板',
+                message: t('common.copied'),
                 severity: 'success',
             });
         } catch (err) {
             setSnackbar({
                 open: true,
-                message: '复制失败，请手动复制',
+                message: t('common.copyFailed'),
+                severity: 'error',
+            });
+        }
+    };
+
+    // 复制分享链接：状态编码在 # 之后，不会随请求发送到服务器
+    const handleShare = async () => {
+        try {
+            const encoded = await encodeState(stateRegistry.getSnapshot());
+            const { origin, pathname, search } = window.location;
+            const url = `${origin}${pathname}${search}#${SHARE_PARAM}=${encoded}`;
+            await navigator.clipboard.writeText(url);
+            setSnackbar(url.length > SHARE_URL_WARN_LENGTH
+                ? {
+                    open: true,
+                    message: t('toolCard.shareTooLong', { length: url.length }),
+                    severity: 'warning',
+                }
+                : {
+                    open: true,
+                    message: t('toolCard.shareCopied'),
+                    severity: 'success',
+                });
+        } catch (err) {
+            setSnackbar({
+                open: true,
+                message: t('toolCard.shareFailed', { message: err.message }),
                 severity: 'error',
             });
         }
     };
 
+    // 输入稳定后记录历史
+    const historyKey = typeof historyValue === 'string' ? historyValue : JSON.stringify(historyValue);
+    useEffect(() => {
+        if (!tool || !onHistorySelect || !isHistoryWorthy(historyValue)) return;
+
+        const timer = setTimeout(() => {
+            addHistory(tool.id, historyValue).catch(() => {
+                // IndexedDB 不可用时不记录历史
+            });
+        }, HISTORY_DELAY);
+        return () => clearTimeout(timer);
+    }, [tool, historyKey]);
+
+    // 嵌入页面：输出变化时发送给宿主页面
+    const outputKey = typeof output === 'string' ? output : JSON.stringify(output);
+    useEffect(() => {
+        if (embed && output !== undefined) embed.postOutput(output);
+    }, [embed, outputKey]);
+
+    // 命令面板：工具栏按钮和通用操作都可以通过 Ctrl+K 执行
+    useRegisterCommands(() => {
+        const list = [
+            ...commands,
+            ...actions.map((action, index) => ({
+                id: `action-${index}`,
+                label: action.label,
+                icon: action.icon,
+                disabled: action.disabled,
+                shortcut: action.shortcut,
+                onSelect: action.onClick,
+            })),
+        ];
+        if (copyContent !== undefined) {
+            list.push({
+                id: 'copy-output',
+                label: t('toolCard.copyOutput'),
+                icon: <ContentCopyIcon fontSize="small" />,
+                keywords: ['copy', 'output'],
+                disabled: !copyContent,
+                shortcut: 'copyOutput',
+                onSelect: handleCopy,
+            });
+        }
+        if (canClear) {
+            list.push({
+                id: 'clear',
+                label: t('common.clear'),
+                icon: <DeleteOutlineIcon fontSize="small" />,
+                keywords: ['clear'],
+                shortcut: 'clear',
+                onSelect: onClear,
+            });
+        }
+        if (canShare) {
+            list.push({
+                id: 'share',
+                label: t('toolCard.shareLink'),
+                icon: <ShareIcon fontSize="small" />,
+                keywords: ['share', 'link'],
+                shortcut: 'share',
+                onSelect: handleShare,
+            });
+        }
+        if (tool && onHistorySelect) {
+            list.push({
+                id: 'history',
+                label: t('toolCard.openHistory'),
+                icon: <HistoryIcon fontSize="small" />,
+                keywords: ['history'],
+                shortcut: 'history',
+                onSelect: () => setHistoryOpen(true),
+            });
+        }
+        if (tool) {
+            list.push({
+                id: 'favorite',
+                label: isFavorite ? t('toolCard.unfavorite') : t('toolCard.favorite'),
+                icon: <StarBorderIcon fontSize="small" />,
+                keywords: ['favorite', 'star'],
+                onSelect: () => toggleFavoriteTool(tool.id),
+            });
+        }
+        return list;
+    });
+
     // 关闭提示
     const handleCloseSnackbar = () => {
         setSnackbar(prev => ({ ...prev, open: false }));
@@ -77,16 +230,18 @@ function ToolCard({
         <Box className="animate-fade-in">
             {/* 标题区域 */}
             <Box sx={{ mb: 3 }}>
-                <Typography
-                    variant="h4"
-                    sx={{
-                        fontWeight: 600,
-                        color: theme.palette.text.primary,
-                        mb: 1,
-                    }}
-                >
-                    {title}
-                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                    <Typography
+                        variant="h4"
+                        sx={{
+                            fontWeight: 600,
+                            color: theme.palette.text.primary,
+                        }}
+                    >
+                        {title}
+                    </Typography>
+                    {tool && <FavoriteButton toolId={tool.id} favorite={isFavorite} />}
+                </Box>
                 {description && (
                     <Typography
                         variant="body2"
@@ -149,8 +304,30 @@ function ToolCard({
 
                     {/* 右侧通用操作 */}
                     <Box sx={{ display: 'flex', gap: 0.5 }}>
-                        {onClear && (
-                            <Tooltip title="清空">
+                        {canShare && (
+                            <Tooltip title={t('toolCard.shareLink')}>
+                                <IconButton
+                                    size="small"
+                                    onClick={handleShare}
+                                    sx={{ color: theme.palette.text.secondary }}
+                                >
+                                    <ShareIcon fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        )}
+                        {tool && onHistorySelect && (
+                            <Tooltip title={t('toolCard.history')}>
+                                <IconButton
+                                    size="small"
+                                    onClick={() => setHistoryOpen(true)}
+                                    sx={{ color: theme.palette.text.secondary }}
+                                >
+                                    <HistoryIcon fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        )}
+                        {canClear && (
+                            <Tooltip title={t('common.clear')}>
                                 <IconButton
                                     size="small"
                                     onClick={onClear}
@@ -169,7 +346,7 @@ function ToolCard({
                                 onClick={handleCopy}
                                 disabled={!copyContent}
                             >
-                                Copy
+                                {t('toolCard.copyButton')}
                             </Button>
                         )}
                     </Box>
@@ -179,6 +356,16 @@ function ToolCard({
             {/* 内容区域 */}
             <Box>{children}</Box>
 
+            {/* 历史记录面板 */}
+            {tool && onHistorySelect && (
+                <HistoryPanel
+                    open={historyOpen}
+                    onClose={() => setHistoryOpen(false)}
+                    toolId={tool.id}
+                    onSelect={onHistorySelect}
+                />
+            )}
+
             {/* 提示条 */}
             <Snackbar
                 open={snackbar.open}
@@ -198,4 +385,15 @@ function ToolCard({
     );
 }
 
+/**
+ * 判断输入是否值得记录：字符串非空白，或对象中至少有一个非空白字符串
+ */
+const isHistoryWorthy = (value) => {
+    if (typeof value === 'string') return value.trim() !== '';
+    if (value && typeof value === 'object') {
+        return Object.values(value).some(v => typeof v === 'string' && v.trim() !== '');
+    }
+    return false;
+};
+
 export default ToolCard;
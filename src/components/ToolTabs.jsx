@@ -0,0 +1,263 @@
+import React, { useState, useRef } from 'react';
+import {
+    Box,
+    Tabs,
+    Tab,
+    IconButton,
+    Tooltip,
+    Menu,
+    MenuItem,
+    ListItemIcon,
+    Divider,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    useTheme,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import CloseIcon from '@mui/icons-material/Close';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+
+import { useCurrentToolTabs } from '../hooks/useToolState';
+import { useRegisterCommands } from '../hooks/useCommands';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 工具标签栏
+ * 在同一个工具中打开多份独立的输入（如同时处理几段 JSON），显示在工具区域上方：
+ * - 点击切换，拖动调整顺序，双击重命名，中键或关闭按钮关闭
+ * - 右键菜单提供重命名、复制标签页、左右移动和关闭其他标签页
+ * - 新建、复制、关闭当前标签页也注册到命令面板
+ * 标签页及其状态保存在本地，刷新后恢复（见 storage/toolTabs.js）
+ */
+function ToolTabs() {
+    const theme = useTheme();
+    const { t } = useI18n();
+    const toolTabs = useCurrentToolTabs();
+    // 右键菜单：{ anchor: { top, left }, tab }
+    const [menu, setMenu] = useState(null);
+    // 正在重命名的标签页：{ tab, title }
+    const [renaming, setRenaming] = useState(null);
+    // 正在拖动的标签页位置
+    const dragIndexRef = useRef(null);
+
+    const { tabs, activeId } = toolTabs || { tabs: [], activeId: null };
+    const activeTab = tabs.find(tab => tab.id === activeId);
+
+    const getTitle = (tab) => tab.title || t('toolTabs.defaultTitle', { number: tab.number });
+
+    const startRename = (tab) => setRenaming({ tab, title: getTitle(tab) });
+
+    const handleRename = () => {
+        toolTabs.rename(renaming.tab.id, renaming.title);
+        setRenaming(null);
+    };
+
+    const handleDuplicate = (tab) => {
+        toolTabs.duplicate(tab.id, t('toolTabs.copyOf', { title: getTitle(tab) }));
+    };
+
+    const handleDrop = (event, index) => {
+        event.preventDefault();
+        if (dragIndexRef.current !== null) {
+            toolTabs.move(dragIndexRef.current, index);
+        }
+        dragIndexRef.current = null;
+    };
+
+    // 执行右键菜单中的操作后关闭菜单
+    const menuAction = (action) => () => {
+        action(menu.tab);
+        setMenu(null);
+    };
+
+    useRegisterCommands(() => {
+        if (!toolTabs) return [];
+        return [
+            {
+                id: 'tab-new',
+                label: t('toolTabs.newTab'),
+                icon: <AddIcon fontSize="small" />,
+                keywords: ['tab', 'new'],
+                disabled: !toolTabs.canAdd,
+                onSelect: toolTabs.add,
+            },
+            {
+                id: 'tab-duplicate',
+                label: t('toolTabs.duplicate'),
+                icon: <ContentCopyIcon fontSize="small" />,
+                keywords: ['tab', 'duplicate'],
+                disabled: !toolTabs.canAdd,
+                onSelect: () => handleDuplicate(activeTab),
+            },
+            {
+                id: 'tab-rename',
+                label: t('toolTabs.rename'),
+                icon: <EditOutlinedIcon fontSize="small" />,
+                keywords: ['tab', 'rename'],
+                onSelect: () => startRename(activeTab),
+            },
+            {
+                id: 'tab-close',
+                label: t('toolTabs.close'),
+                icon: <CloseIcon fontSize="small" />,
+                keywords: ['tab', 'close'],
+                disabled: tabs.length <= 1,
+                onSelect: () => toolTabs.close(activeId),
+            },
+        ];
+    });
+
+    if (!toolTabs) return null;
+
+    const menuIndex = menu ? tabs.findIndex(tab => tab.id === menu.tab.id) : -1;
+
+    return (
+        <>
+            <Box
+                sx={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 0.5,
+                    mb: 2,
+                    borderBottom: `1px solid ${theme.palette.divider}`,
+                }}
+            >
+                <Tabs
+                    value={activeId}
+                    onChange={(event, tabId) => toolTabs.select(tabId)}
+                    variant="scrollable"
+                    scrollButtons="auto"
+                    sx={{ minHeight: 36, flex: '0 1 auto' }}
+                >
+                    {tabs.map((tab, index) => (
+                        <Tab
+                            key={tab.id}
+                            value={tab.id}
+                            draggable
+                            onDragStart={(event) => {
+                                dragIndexRef.current = index;
+                                event.dataTransfer.effectAllowed = 'move';
+                            }}
+                            onDragOver={(event) => event.preventDefault()}
+                            onDrop={(event) => handleDrop(event, index)}
+                            onDoubleClick={() => startRename(tab)}
+                            onAuxClick={(event) => {
+                                if (event.button === 1 && tabs.length > 1) toolTabs.close(tab.id);
+                            }}
+                            onContextMenu={(event) => {
+                                event.preventDefault();
+                                setMenu({ anchor: { top: event.clientY, left: event.clientX }, tab });
+                            }}
+                            label={(
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                    <Box
+                                        component="span"
+                                        sx={{ maxWidth: 160, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                                    >
+                                        {getTitle(tab)}
+                                    </Box>
+                                    {tabs.length > 1 && (
+                                        <CloseIcon
+                                            role="button"
+                                            aria-label={t('toolTabs.close')}
+                                            onClick={(event) => {
+                                                event.stopPropagation();
+                                                toolTabs.close(tab.id);
+                                            }}
+                                            sx={{
+                                                fontSize: 14,
+                                                borderRadius: 0.5,
+                                                color: theme.palette.text.secondary,
+                                                '&:hover': {
+                                                    color: theme.palette.text.primary,
+                                                    backgroundColor: theme.palette.action.hover,
+                                                },
+                                            }}
+                                        />
+                                    )}
+                                </Box>
+                            )}
+                            sx={{ minHeight: 36, py: 0.5, px: 1.5, textTransform: 'none' }}
+                        />
+                    ))}
+                </Tabs>
+                <Tooltip title={t('toolTabs.newTab')}>
+                    <span>
+                        <IconButton size="small" onClick={toolTabs.add} disabled={!toolTabs.canAdd}>
+                            <AddIcon fontSize="small" />
+                        </IconButton>
+                    </span>
+                </Tooltip>
+            </Box>
+
+            {/* 右键菜单 */}
+            <Menu
+                open={Boolean(menu)}
+                onClose={() => setMenu(null)}
+                anchorReference="anchorPosition"
+                anchorPosition={menu?.anchor}
+            >
+                <MenuItem onClick={menuAction(startRename)}>
+                    <ListItemIcon><EditOutlinedIcon fontSize="small" /></ListItemIcon>
+                    {t('toolTabs.rename')}
+                </MenuItem>
+                <MenuItem onClick={menuAction(handleDuplicate)} disabled={!toolTabs.canAdd}>
+                    <ListItemIcon><ContentCopyIcon fontSize="small" /></ListItemIcon>
+                    {t('toolTabs.duplicate')}
+                </MenuItem>
+                <MenuItem onClick={menuAction(() => toolTabs.move(menuIndex, menuIndex - 1))} disabled={menuIndex <= 0}>
+                    <ListItemIcon><ChevronLeftIcon fontSize="small" /></ListItemIcon>
+                    {t('toolTabs.moveLeft')}
+                </MenuItem>
+                <MenuItem
+                    onClick={menuAction(() => toolTabs.move(menuIndex, menuIndex + 1))}
+                    disabled={menuIndex === -1 || menuIndex >= tabs.length - 1}
+                >
+                    <ListItemIcon><ChevronRightIcon fontSize="small" /></ListItemIcon>
+                    {t('toolTabs.moveRight')}
+                </MenuItem>
+                <Divider />
+                <MenuItem onClick={menuAction(tab => toolTabs.closeOthers(tab.id))} disabled={tabs.length <= 1}>
+                    {t('toolTabs.closeOthers')}
+                </MenuItem>
+                <MenuItem onClick={menuAction(tab => toolTabs.close(tab.id))} disabled={tabs.length <= 1}>
+                    <ListItemIcon><CloseIcon fontSize="small" /></ListItemIcon>
+                    {t('toolTabs.close')}
+                </MenuItem>
+            </Menu>
+
+            {/* 重命名 */}
+            <Dialog open={Boolean(renaming)} onClose={() => setRenaming(null)} maxWidth="xs" fullWidth>
+                <DialogTitle>{t('toolTabs.rename')}</DialogTitle>
+                <DialogContent>
+                    <TextField
+                        autoFocus
+                        fullWidth
+                        size="small"
+                        margin="dense"
+                        value={renaming?.title || ''}
+                        placeholder={renaming ? t('toolTabs.defaultTitle', { number: renaming.tab.number }) : ''}
+                        onChange={(event) => setRenaming(prev => ({ ...prev, title: event.target.value }))}
+                        onKeyDown={(event) => {
+                            if (event.key === 'Enter') handleRename();
+                        }}
+                        inputProps={{ maxLength: 40 }}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setRenaming(null)}>{t('common.cancel')}</Button>
+                    <Button variant="contained" onClick={handleRename}>{t('common.confirm')}</Button>
+                </DialogActions>
+            </Dialog>
+        </>
+    );
+}
+
+export default ToolTabs;
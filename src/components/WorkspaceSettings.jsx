@@ -0,0 +1,290 @@
+import React, { useRef, useState } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Checkbox,
+    FormControlLabel,
+    FormGroup,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    List,
+    ListItem,
+    ListItemIcon,
+    ListItemText,
+    ListSubheader,
+    Chip,
+    Snackbar,
+    Alert,
+    useTheme,
+} from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+
+import { getToolById } from '../config/tools';
+import { LOCALES } from '../i18n';
+import { useI18n } from '../hooks/useI18n';
+import { WORKSPACE_SECTIONS, exportWorkspace, previewWorkspaceImport, applyWorkspaceImport } from '../storage/workspace';
+
+/**
+ * 预览项状态对应的标签颜色
+ */
+const STATUS_COLORS = {
+    new: 'success',
+    changed: 'warning',
+    merge: 'info',
+    same: 'default',
+};
+
+/**
+ * 工作区导出与导入
+ *
+ * 功能：
+ * - 选择要导出的部分（设置、使用记录、流水线、JSON 查询、工具状态，可选历史记录），导出为一个 JSON 文件
+ * - 导入前显示合并预览：每一项标出新增、覆盖、合并或相同，只应用勾选的项
+ * - 导入完成后刷新页面，使主题、语言和各工具的状态一并生效
+ */
+function WorkspaceSettings() {
+    const theme = useTheme();
+    const { t, toolName } = useI18n();
+    const fileInputRef = useRef(null);
+    const [sections, setSections] = useState(() => WORKSPACE_SECTIONS.filter(section => section !== 'history'));
+    // 导入预览：{ data, items, selected: Set<string> }
+    const [preview, setPreview] = useState(null);
+    const [applying, setApplying] = useState(false);
+    const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+    const showError = (err) => {
+        // JSON 解析等错误没有 code，直接显示原始信息
+        const message = err.code ? t(`workspace.errors.${err.code}`) : err.message;
+        setSnackbar({ open: true, message: t('workspace.importFailed', { message }), severity: 'error' });
+    };
+
+    const toggleSection = (section) => {
+        setSections(prev => (prev.includes(section)
+            ? prev.filter(item => item !== section)
+            : WORKSPACE_SECTIONS.filter(item => item === section || prev.includes(item))));
+    };
+
+    // 导出为 JSON 文件
+    const handleExport = async () => {
+        const data = await exportWorkspace(sections);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `devtools-workspace-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // 读取文件并生成预览，默认勾选与本地不同的项
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const items = await previewWorkspaceImport(data);
+            const selected = new Set(items.filter(item => item.status !== 'same').map(item => item.id));
+            setPreview({ data, items, selected });
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const toggleItem = (id) => {
+        setPreview((prev) => {
+            const selected = new Set(prev.selected);
+            if (selected.has(id)) {
+                selected.delete(id);
+            } else {
+                selected.add(id);
+            }
+            return { ...prev, selected };
+        });
+    };
+
+    // 应用选中的项后刷新页面
+    const handleApply = async () => {
+        setApplying(true);
+        try {
+            await applyWorkspaceImport(preview.data, [...preview.selected]);
+            window.location.reload();
+        } catch (err) {
+            setApplying(false);
+            showError(err);
+        }
+    };
+
+    /**
+     * 预览项的名称和说明
+     */
+    const describeItem = (item) => {
+        switch (item.section) {
+            case 'settings': {
+                const locale = LOCALES.find(l => l.id === preview.data.settings.locale);
+                return {
+                    primary: t(`workspace.settingItems.${item.name}`),
+                    secondary: item.name === 'locale' ? locale?.label : '',
+                };
+            }
+            case 'usage':
+                return { primary: t('workspace.sections.usage'), secondary: t('workspace.favoriteCount', { count: item.count }) };
+            case 'pipelines':
+                return { primary: item.name, secondary: t('workspace.stepCount', { count: item.count }) };
+            case 'queries':
+                return { primary: item.name, secondary: preview.data.queries.find(query => query.name === item.name).query };
+            case 'tools': {
+                const tool = getToolById(item.name);
+                return { primary: tool ? toolName(tool) : item.name, secondary: t('workspace.tabCount', { count: item.count }) };
+            }
+            default: {
+                const tool = getToolById(item.name);
+                return { primary: tool ? toolName(tool) : item.name, secondary: t('workspace.historyCount', { count: item.count }) };
+            }
+        }
+    };
+
+    return (
+        <Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                {t('workspace.hint')}
+            </Typography>
+
+            {/* 导出的部分 */}
+            <FormGroup row>
+                {WORKSPACE_SECTIONS.map(section => (
+                    <FormControlLabel
+                        key={section}
+                        control={(
+                            <Checkbox
+                                size="small"
+                                checked={sections.includes(section)}
+                                onChange={() => toggleSection(section)}
+                            />
+                        )}
+                        label={t(`workspace.sections.${section}`)}
+                    />
+                ))}
+            </FormGroup>
+
+            <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                <Button
+                    variant="contained"
+                    size="small"
+                    startIcon={<FileDownloadIcon fontSize="small" />}
+                    onClick={handleExport}
+                    disabled={sections.length === 0}
+                >
+                    {t('workspace.export')}
+                </Button>
+                <Button
+                    variant="outlined"
+                    size="small"
+                    startIcon={<FileUploadIcon fontSize="small" />}
+                    onClick={() => fileInputRef.current?.click()}
+                >
+                    {t('workspace.import')}
+                </Button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    hidden
+                    onChange={handleFileChange}
+                />
+            </Box>
+
+            {/* 合并预览 */}
+            <Dialog open={Boolean(preview)} onClose={() => !applying && setPreview(null)} fullWidth maxWidth="sm">
+                <DialogTitle>{t('workspace.previewTitle')}</DialogTitle>
+                <DialogContent dividers sx={{ p: 0 }}>
+                    {preview && preview.items.length === 0 && (
+                        <Typography variant="body2" color="text.secondary" sx={{ p: 3, textAlign: 'center' }}>
+                            {t('workspace.emptyFile')}
+                        </Typography>
+                    )}
+                    {preview && WORKSPACE_SECTIONS.map((section) => {
+                        const items = preview.items.filter(item => item.section === section);
+                        if (items.length === 0) return null;
+                        return (
+                            <List
+                                key={section}
+                                dense
+                                subheader={(
+                                    <ListSubheader sx={{ lineHeight: '32px', backgroundColor: theme.palette.background.paper }}>
+                                        {t(`workspace.sections.${section}`)}
+                                    </ListSubheader>
+                                )}
+                            >
+                                {items.map((item) => {
+                                    const { primary, secondary } = describeItem(item);
+                                    return (
+                                        <ListItem
+                                            key={item.id}
+                                            secondaryAction={(
+                                                <Chip
+                                                    size="small"
+                                                    variant="outlined"
+                                                    color={STATUS_COLORS[item.status]}
+                                                    label={t(`workspace.status.${item.status}`)}
+                                                />
+                                            )}
+                                        >
+                                            <ListItemIcon sx={{ minWidth: 36 }}>
+                                                <Checkbox
+                                                    edge="start"
+                                                    size="small"
+                                                    checked={preview.selected.has(item.id)}
+                                                    disabled={item.status === 'same'}
+                                                    onChange={() => toggleItem(item.id)}
+                                                    inputProps={{ 'aria-label': primary }}
+                                                />
+                                            </ListItemIcon>
+                                            <ListItemText primary={primary} secondary={secondary} />
+                                        </ListItem>
+                                    );
+                                })}
+                            </List>
+                        );
+                    })}
+                </DialogContent>
+                <Typography variant="caption" color="text.secondary" sx={{ px: 3, pt: 1.5 }}>
+                    {t('workspace.previewHint')}
+                </Typography>
+                <DialogActions>
+                    <Button onClick={() => setPreview(null)} disabled={applying}>{t('common.cancel')}</Button>
+                    <Button
+                        variant="contained"
+                        onClick={handleApply}
+                        disabled={applying || !preview || preview.selected.size === 0}
+                    >
+                        {t('workspace.apply', { count: preview ? preview.selected.size : 0 })}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* 提示条 */}
+            <Snackbar
+                open={snackbar.open}
+                autoHideDuration={4000}
+                onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert
+                    onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+                    severity={snackbar.severity}
+                    sx={{ width: '100%' }}
+                >
+                    {snackbar.message}
+                </Alert>
+            </Snackbar>
+        </Box>
+    );
+}
+
+export default WorkspaceSettings;
@@ -0,0 +1,52 @@
+/**
+ * 快捷键操作注册表
+ * 定义所有可以绑定快捷键的操作及默认组合键（组合键格式见 core/shortcuts.js）
+ *
+ * - id: 操作 ID，命令（见 hooks/useCommands.js）通过 shortcut 字段声明对应的操作
+ * - group: 分组，用于速查表和设置页面
+ * - defaultCombo: 默认组合键，空字符串表示默认不绑定
+ *
+ * 操作名称使用语言包中的 shortcuts.actions.<id>，分组名称使用 shortcuts.groups.<group>。
+ * 全局操作由命令面板提供者直接处理；工具操作执行当前页面注册的第一个可用命令，
+ * 当前页面没有对应命令时按键不做处理，交给浏览器或编辑器。
+ */
+
+/**
+ * 快捷键分组
+ */
+export const SHORTCUT_GROUPS = ['global', 'tool', 'diff'];
+
+/**
+ * 可绑定快捷键的操作
+ */
+export const SHORTCUT_ACTIONS = [
+    // 全局
+    { id: 'openPalette', group: 'global', defaultCombo: 'Mod+K' },
+    { id: 'showShortcuts', group: 'global', defaultCombo: '?' },
+    // 工具操作
+    { id: 'format', group: 'tool', defaultCombo: 'Alt+Shift+F' },
+    { id: 'minify', group: 'tool', defaultCombo: 'Alt+Shift+M' },
+    { id: 'swap', group: 'tool', defaultCombo: 'Alt+Shift+S' },
+    { id: 'paste', group: 'tool', defaultCombo: 'Alt+Shift+V' },
+    { id: 'copyOutput', group: 'tool', defaultCombo: 'Alt+Shift+C' },
+    { id: 'clear', group: 'tool', defaultCombo: 'Alt+Shift+X' },
+    { id: 'history', group: 'tool', defaultCombo: 'Alt+Shift+H' },
+    { id: 'share', group: 'tool', defaultCombo: '' },
+    // 对比工具
+    { id: 'nextDiff', group: 'diff', defaultCombo: 'F7' },
+    { id: 'prevDiff', group: 'diff', defaultCombo: 'Shift+F7' },
+];
+
+/**
+ * 默认绑定：操作 ID → 组合键
+ */
+export const DEFAULT_SHORTCUTS = Object.fromEntries(
+    SHORTCUT_ACTIONS.map(action => [action.id, action.defaultCombo]),
+);
+
+/**
+ * 根据 ID 获取操作
+ * @param {string} id - 操作 ID
+ * @returns {Object|undefined}
+ */
+export const getShortcutAction = (id) => SHORTCUT_ACTIONS.find(action => action.id === id);
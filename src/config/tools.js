@@ -1,106 +1,165 @@
 /**
  * 工具注册配置
  * 定义所有工具的元信息，用于导航、搜索和渲染
+ *
+ * 工具注册表是路由、侧边栏和搜索的唯一数据源，新增工具只需在 `tools` 中添加一项：
+ * - path: 路由路径
+ * - load: 组件懒加载函数，拥有该 path 的工具必须提供
+ * - query: 可选，预设查询参数（如 'type=yaml'），用于复用其他工具的路由
+ * - icon: 图标组件
+ * - category: 所属分类 ID
+ * - detect: 可选，粘贴内容识别函数（见 core/detect.js），识别成功时首页和命令面板会推荐该工具并预填输入
+ * - inputKey: 可选，主输入的状态名，默认 'input'；嵌入页面的 input 参数和 setInput 消息写入该状态
  */
 
+import AccountTreeIcon from '@mui/icons-material/AccountTree';
+import BuildIcon from '@mui/icons-material/Build';
+import CalculateIcon from '@mui/icons-material/Calculate';
+import CodeIcon from '@mui/icons-material/Code';
+import CompareIcon from '@mui/icons-material/Compare';
+import DataObjectIcon from '@mui/icons-material/DataObject';
+import DescriptionIcon from '@mui/icons-material/Description';
+import DifferenceIcon from '@mui/icons-material/Difference';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import FilterListIcon from '@mui/icons-material/FilterList';
+import FindReplaceIcon from '@mui/icons-material/FindReplace';
+import FingerprintIcon from '@mui/icons-material/Fingerprint';
+import FormatAlignLeftIcon from '@mui/icons-material/FormatAlignLeft';
+import ImageIcon from '@mui/icons-material/Image';
+import KeyIcon from '@mui/icons-material/Key';
+import LinkIcon from '@mui/icons-material/Link';
+import LockIcon from '@mui/icons-material/Lock';
+import PaletteIcon from '@mui/icons-material/Palette';
+import PublicIcon from '@mui/icons-material/Public';
+import QrCodeIcon from '@mui/icons-material/QrCode';
+import QrCodeScannerIcon from '@mui/icons-material/QrCodeScanner';
+import SchemaIcon from '@mui/icons-material/Schema';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import StorageIcon from '@mui/icons-material/Storage';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import TableChartIcon from '@mui/icons-material/TableChart';
+import TerminalIcon from '@mui/icons-material/Terminal';
+import TextFieldsIcon from '@mui/icons-material/TextFields';
+import TimerIcon from '@mui/icons-material/Timer';
+
+import { matchText } from '../core/search';
+import {
+    detectCreateTable,
+    detectCron,
+    detectImageDataUri,
+    detectJson,
+    detectJsonOrXml,
+    detectJsonOrYaml,
+    detectJwt,
+    detectTimestamp,
+    detectUrlQuery,
+} from '../core/detect';
+import { localizeTool, DEFAULT_LOCALE } from '../i18n';
+
 // 工具分类定义
 export const categories = [
     {
         id: 'json',
         name: 'JSON 工具',
-        icon: 'DataObject',
+        icon: DataObjectIcon,
         description: 'JSON 格式化、校验、对比等功能',
     },
     {
         id: 'time',
         name: '时间工具',
-        icon: 'Schedule',
+        icon: ScheduleIcon,
         description: '时间戳转换、日期计算等功能',
     },
     {
         id: 'encode',
         name: '编码工具',
-        icon: 'Code',
+        icon: CodeIcon,
         description: 'Base64、URL 编码解码等功能',
     },
     {
         id: 'hash',
         name: '加密哈希',
-        icon: 'Lock',
+        icon: LockIcon,
         description: 'MD5、SHA 等哈希算法',
     },
     {
         id: 'text',
         name: '文本处理',
-        icon: 'TextFields',
+        icon: TextFieldsIcon,
         description: '文本对比、格式转换等功能',
     },
     {
         id: 'uuid',
         name: '标识符生成',
-        icon: 'Fingerprint',
+        icon: FingerprintIcon,
         description: 'UUID、Token 生成等功能',
     },
     {
         id: 'qrcode',
         name: '二维码工具',
-        icon: 'QrCode',
+        icon: QrCodeIcon,
         description: '二维码生成与解码',
     },
     {
         id: 'image',
         name: '图片工具',
-        icon: 'Image',
+        icon: ImageIcon,
         description: '图片处理与转换',
     },
     {
         id: 'devops',
         name: '运维工具',
-        icon: 'Terminal',
+        icon: TerminalIcon,
         description: 'Linux、Docker 等运维辅助',
     },
     {
         id: 'math',
         name: '数学计算',
-        icon: 'Calculate',
+        icon: CalculateIcon,
         description: '进制转换、计算器等',
     },
     {
         id: 'network',
         name: '网络工具',
-        icon: 'Public',
+        icon: PublicIcon,
         description: 'IP 查询、UserAgent 等',
     },
     {
         id: 'format',
         name: '代码格式化',
-        icon: 'FormatAlignLeft',
+        icon: FormatAlignLeftIcon,
         description: 'HTML、CSS、JS、XML、JSON、YAML、SQL 格式化',
     },
     {
         id: 'sql',
         name: 'SQL 工具',
-        icon: 'Storage',
+        icon: StorageIcon,
         description: 'SQL 格式化与分析',
     },
     {
         id: 'regex',
         name: '正则工具',
-        icon: 'FindReplace',
+        icon: FindReplaceIcon,
         description: '正则表达式测试与生成',
     },
     {
         id: 'color',
         name: '颜色工具',
-        icon: 'Palette',
+        icon: PaletteIcon,
         description: '颜色选择与格式转换',
     },
     {
         id: 'cron',
         name: '定时任务',
-        icon: 'Timer',
+        icon: TimerIcon,
         description: 'Cron 表达式生成',
     },
+    {
+        id: 'pipeline',
+        name: '工具流水线',
+        icon: AccountTreeIcon,
+        description: '串联多个工具的转换操作',
+    },
 ];
 
 // 工具列表定义
@@ -111,8 +170,10 @@ export const tools = [
         name: 'JSON 格式化',
         description: '美化、压缩和校验 JSON 数据',
         category: 'json',
-        path: '/tools/format/multi?type=json',
-        icon: 'DataObject',
+        path: '/tools/json/format',
+        load: () => import('../tools/json/JsonFormat'),
+        icon: DataObjectIcon,
+        detect: detectJson,
         tags: ['json', 'format', 'beautify', 'validate', '格式化', '美化'],
         isNew: true,
         priority: 'P0',
@@ -123,7 +184,8 @@ export const tools = [
         description: '比较两个 JSON 结构的差异',
         category: 'json',
         path: '/tools/json/diff',
-        icon: 'Compare',
+        load: () => import('../tools/json/JsonDiff'),
+        icon: CompareIcon,
         tags: ['json', 'diff', 'compare', '对比', '差异'],
         priority: 'P0',
     },
@@ -133,7 +195,9 @@ export const tools = [
         description: 'JSON 与 YAML 格式实时互转',
         category: 'json',
         path: '/tools/json/yaml',
-        icon: 'SwapHoriz',
+        load: () => import('../tools/json/JsonYaml'),
+        icon: SwapHorizIcon,
+        detect: detectJsonOrYaml,
         tags: ['json', 'yaml', 'convert', 'transform', '转换', '互转', 'yml'],
         isNew: true,
         priority: 'P2',
@@ -144,7 +208,9 @@ export const tools = [
         description: 'JSON 与 XML 格式实时互转',
         category: 'json',
         path: '/tools/json/xml',
-        icon: 'SwapHoriz',
+        load: () => import('../tools/json/JsonXml'),
+        icon: SwapHorizIcon,
+        detect: detectJsonOrXml,
         tags: ['json', 'xml', 'convert', 'transform', '转换', '互转'],
         isNew: true,
         priority: 'P2',
@@ -155,11 +221,37 @@ export const tools = [
         description: 'JSON 对象与 URL 查询参数互转',
         category: 'json',
         path: '/tools/json/url',
-        icon: 'Link',
+        load: () => import('../tools/json/JsonUrl'),
+        icon: LinkIcon,
+        detect: detectUrlQuery,
         tags: ['json', 'url', 'query', 'params', 'querystring', '参数', '查询'],
         isNew: true,
         priority: 'P2',
     },
+    {
+        id: 'json-schema',
+        name: 'JSON Schema 校验',
+        description: '按 JSON Schema 校验 JSON 和 NDJSON',
+        category: 'json',
+        path: '/tools/json/schema',
+        load: () => import('../tools/json/JsonSchemaValidator'),
+        icon: FactCheckIcon,
+        tags: ['json', 'schema', 'validate', 'openapi', 'ndjson', '校验', '验证'],
+        isNew: true,
+        priority: 'P1',
+    },
+    {
+        id: 'json-types',
+        name: 'JSON 转类型',
+        description: '从 JSON 样本推断 Schema，生成 TypeScript、Zod、Go、Java、Kotlin、Python 类型',
+        category: 'json',
+        path: '/tools/json/types',
+        load: () => import('../tools/json/JsonToTypes'),
+        icon: SchemaIcon,
+        tags: ['json', 'schema', 'typescript', 'zod', 'go', 'java', 'kotlin', 'python', 'pydantic', 'interface', 'struct', '类型', '实体类'],
+        isNew: true,
+        priority: 'P1',
+    },
 
     // 时间工具集
     {
@@ -168,7 +260,10 @@ export const tools = [
         description: 'Unix 时间戳与人类可读时间互转',
         category: 'time',
         path: '/tools/time/timestamp',
-        icon: 'Schedule',
+        load: () => import('../tools/time/TimestampConverter'),
+        icon: ScheduleIcon,
+        inputKey: 'timestamp',
+        detect: detectTimestamp,
         tags: ['timestamp', 'unix', 'date', 'time', '时间戳', '日期'],
         isNew: true,
         priority: 'P0',
@@ -181,7 +276,8 @@ export const tools = [
         description: 'Base64 编码与解码转换',
         category: 'encode',
         path: '/tools/encode/base64',
-        icon: 'Code',
+        load: () => import('../tools/encode/Base64'),
+        icon: CodeIcon,
         tags: ['base64', 'encode', 'decode', '编码', '解码'],
         priority: 'P0',
     },
@@ -191,7 +287,8 @@ export const tools = [
         description: 'URL 参数编码与解码',
         category: 'encode',
         path: '/tools/encode/url',
-        icon: 'Link',
+        load: () => import('../tools/encode/UrlEncode'),
+        icon: LinkIcon,
         tags: ['url', 'encode', 'decode', 'percent', '编码', '解码'],
         priority: 'P0',
     },
@@ -201,7 +298,10 @@ export const tools = [
         description: 'JWT Token 解析与生成，支持 HS256/HS384/HS512 算法',
         category: 'encode',
         path: '/tools/encode/jwt',
-        icon: 'Key',
+        load: () => import('../tools/encode/JwtTool'),
+        icon: KeyIcon,
+        inputKey: 'token',
+        detect: detectJwt,
         tags: ['jwt', 'token', 'json', 'web', 'auth', '令牌', '认证', '加密', '解密'],
         isNew: true,
         priority: 'P0',
@@ -214,7 +314,8 @@ export const tools = [
         description: 'MD5、SHA-1、SHA-256 等哈希算法',
         category: 'hash',
         path: '/tools/hash/generator',
-        icon: 'Lock',
+        load: () => import('../tools/hash/HashGenerator'),
+        icon: LockIcon,
         tags: ['md5', 'sha', 'hash', '哈希', '加密'],
         priority: 'P0',
     },
@@ -226,7 +327,8 @@ export const tools = [
         description: '比较两段文本的差异，高亮显示变更',
         category: 'text',
         path: '/tools/text/diff',
-        icon: 'Difference',
+        load: () => import('../tools/text/TextDiff'),
+        icon: DifferenceIcon,
         tags: ['text', 'diff', 'compare', '文本', '对比'],
         priority: 'P0',
     },
@@ -238,7 +340,8 @@ export const tools = [
         description: '生成各版本的 UUID 唯一标识符',
         category: 'uuid',
         path: '/tools/uuid/generator',
-        icon: 'Fingerprint',
+        load: () => import('../tools/uuid/UuidGenerator'),
+        icon: FingerprintIcon,
         tags: ['uuid', 'guid', 'unique', '唯一标识'],
         isNew: true,
         priority: 'P0',
@@ -251,7 +354,9 @@ export const tools = [
         description: '根据文本或 URL 生成二维码图片',
         category: 'qrcode',
         path: '/tools/qrcode/generate',
-        icon: 'QrCode',
+        load: () => import('../tools/qrcode/QRCodeGenerator'),
+        icon: QrCodeIcon,
+        inputKey: 'text',
         tags: ['qrcode', 'qr', 'generate', '二维码', '生成'],
         priority: 'P0',
     },
@@ -261,7 +366,8 @@ export const tools = [
         description: '上传或粘贴图片解析二维码内容',
         category: 'qrcode',
         path: '/tools/qrcode/decode',
-        icon: 'QrCodeScanner',
+        load: () => import('../tools/qrcode/QRCodeDecoder'),
+        icon: QrCodeScannerIcon,
         tags: ['qrcode', 'qr', 'decode', 'scan', '二维码', '解析', '扫描'],
         isNew: true,
         priority: 'P0',
@@ -276,7 +382,8 @@ export const tools = [
         description: '支持 HTML, CSS, JS, XML, JSON, YAML, SQL',
         category: 'format',
         path: '/tools/format/multi',
-        icon: 'FormatAlignLeft',
+        load: () => import('../tools/format/MultiFormat'),
+        icon: FormatAlignLeftIcon,
         tags: ['code', 'format', '格式化'],
         isNew: true,
         priority: 'P1',
@@ -286,8 +393,9 @@ export const tools = [
         name: 'YAML 格式化',
         description: 'YAML 数据美化与校验',
         category: 'format',
-        path: '/tools/format/multi?type=yaml',
-        icon: 'Description',
+        path: '/tools/format/multi',
+        query: 'type=yaml',
+        icon: DescriptionIcon,
         tags: ['yaml', 'yml', 'format', '格式化'],
         isNew: true,
         priority: 'P1',
@@ -297,8 +405,9 @@ export const tools = [
         name: 'JSON 格式化 (通用)',
         description: '在通用工具中格式化 JSON',
         category: 'format',
-        path: '/tools/format/multi?type=json',
-        icon: 'DataObject',
+        path: '/tools/format/multi',
+        query: 'type=json',
+        icon: DataObjectIcon,
         tags: ['json', 'format', '格式化'],
         priority: 'P1',
     },
@@ -307,8 +416,9 @@ export const tools = [
         name: 'SQL 格式化 (通用)',
         description: '在通用工具中格式化 SQL',
         category: 'format',
-        path: '/tools/format/multi?type=sql',
-        icon: 'Storage',
+        path: '/tools/format/multi',
+        query: 'type=sql',
+        icon: StorageIcon,
         tags: ['sql', 'format', '格式化'],
         priority: 'P1',
     },
@@ -319,8 +429,9 @@ export const tools = [
         name: 'SQL 格式化',
         description: 'SQL 语句美化与压缩',
         category: 'sql',
-        path: '/tools/format/multi?type=sql',
-        icon: 'Storage',
+        path: '/tools/sql/format',
+        load: () => import('../tools/sql/SqlFormat'),
+        icon: StorageIcon,
         tags: ['sql', 'format', 'database', '数据库', '格式化'],
         priority: 'P1',
     },
@@ -330,7 +441,9 @@ export const tools = [
         description: 'CREATE TABLE 转 Go/Java/TypeScript/Python 实体类',
         category: 'sql',
         path: '/tools/sql/entity',
-        icon: 'TableChart',
+        load: () => import('../tools/sql/SqlToEntity'),
+        icon: TableChartIcon,
+        detect: detectCreateTable,
         tags: ['sql', 'entity', 'gorm', 'jpa', 'struct', '实体', '转换', 'go', 'java'],
         isNew: true,
         priority: 'P1',
@@ -341,7 +454,8 @@ export const tools = [
         description: '比较两个 SQL 脚本的差异，支持格式化对比',
         category: 'sql',
         path: '/tools/sql/diff',
-        icon: 'Compare',
+        load: () => import('../tools/sql/SqlDiff'),
+        icon: CompareIcon,
         tags: ['sql', 'diff', 'compare', '对比', '差异', '比较'],
         isNew: true,
         priority: 'P1',
@@ -352,7 +466,8 @@ export const tools = [
         description: 'PostgreSQL 和 MySQL 的 DDL 语句互转',
         category: 'sql',
         path: '/tools/sql/convert',
-        icon: 'SwapHoriz',
+        load: () => import('../tools/sql/SqlDialectConvert'),
+        icon: SwapHorizIcon,
         tags: ['sql', 'convert', 'postgresql', 'mysql', 'ddl', 'pg', '转换', '方言'],
         isNew: true,
         priority: 'P1',
@@ -365,7 +480,9 @@ export const tools = [
         description: '实时测试正则表达式匹配，高亮显示结果',
         category: 'regex',
         path: '/tools/regex/tester',
-        icon: 'FindReplace',
+        load: () => import('../tools/regex/RegexTester'),
+        icon: FindReplaceIcon,
+        inputKey: 'testString',
         tags: ['regex', 'regexp', 'pattern', '正则', '匹配'],
         isNew: true,
         priority: 'P1',
@@ -378,7 +495,8 @@ export const tools = [
         description: 'HEX、RGB、HSL 颜色格式转换与选择',
         category: 'color',
         path: '/tools/color/picker',
-        icon: 'Palette',
+        load: () => import('../tools/color/ColorPicker'),
+        icon: PaletteIcon,
         tags: ['color', 'hex', 'rgb', 'hsl', '颜色', '调色板'],
         priority: 'P1',
     },
@@ -390,7 +508,9 @@ export const tools = [
         description: '可视化生成和解析 Cron 定时任务表达式',
         category: 'cron',
         path: '/tools/cron/generator',
-        icon: 'Timer',
+        load: () => import('../tools/cron/CronGenerator'),
+        icon: TimerIcon,
+        detect: detectCron,
         tags: ['cron', 'schedule', 'timer', '定时', '调度'],
         priority: 'P1',
     },
@@ -404,7 +524,9 @@ export const tools = [
         description: '图片与 Base64 互转，支持预览',
         category: 'image',
         path: '/tools/image/base64',
-        icon: 'Image',
+        load: () => import('../tools/image/ImageBase64'),
+        icon: ImageIcon,
+        detect: detectImageDataUri,
         tags: ['image', 'base64', 'picture', '图片', '转换'],
         priority: 'P2',
         isNew: true,
@@ -415,7 +537,8 @@ export const tools = [
         description: '多种模式对比图片：并排、滑动、切换、叠加、像素差异',
         category: 'image',
         path: '/tools/image/diff',
-        icon: 'Compare',
+        load: () => import('../tools/image/ImageDiff'),
+        icon: CompareIcon,
         tags: ['image', 'diff', 'compare', 'picture', '图片', '对比', '差异'],
         priority: 'P2',
         isNew: true,
@@ -428,7 +551,8 @@ export const tools = [
         description: 'Linux 文件权限 (rwx) 计算与转换',
         category: 'devops',
         path: '/tools/devops/chmod',
-        icon: 'Terminal',
+        load: () => import('../tools/devops/ChmodCalculator'),
+        icon: TerminalIcon,
         tags: ['linux', 'chmod', 'permission', 'devops', '权限'],
         priority: 'P2',
     },
@@ -440,7 +564,8 @@ export const tools = [
         description: '二进制、八进制、十进制、十六进制转换',
         category: 'math',
         path: '/tools/math/base',
-        icon: 'Calculate',
+        load: () => import('../tools/math/NumberBase'),
+        icon: CalculateIcon,
         tags: ['math', 'base', 'binary', 'hex', '进制', '计算'],
         priority: 'P2',
     },
@@ -452,7 +577,8 @@ export const tools = [
         description: '查询本机公网 IP 及 User-Agent 信息',
         category: 'network',
         path: '/tools/network/ip',
-        icon: 'Public',
+        load: () => import('../tools/network/IpQuery'),
+        icon: PublicIcon,
         tags: ['ip', 'network', 'address', 'useragent', '网络'],
         priority: 'P2',
         isNew: true,
@@ -465,7 +591,8 @@ export const tools = [
         description: '文本统计、编码转换/查看、大小写转换、清理等',
         category: 'text',
         path: '/tools/text/toolkit',
-        icon: 'Build',
+        load: () => import('../tools/text/TextToolkit'),
+        icon: BuildIcon,
         tags: ['text', 'toolkit', 'stats', 'case', 'duplicate', '文本', '工具箱'],
         priority: 'P2',
         isNew: true,
@@ -476,13 +603,69 @@ export const tools = [
         description: '按行去重、排序、去除空行和空格',
         category: 'text',
         path: '/tools/text/dedup',
-        icon: 'FilterList',
+        load: () => import('../tools/text/TextDedup'),
+        icon: FilterListIcon,
         tags: ['text', 'deduplicate', 'sort', 'unique', '文本', '去重', '排序'],
         priority: 'P2',
         isNew: true,
     },
+
+    // 工具流水线
+    {
+        id: 'pipeline',
+        name: '工具流水线',
+        description: '串联 URL、Base64、JSON、YAML 等转换，显示每一步结果并可保存复用',
+        category: 'pipeline',
+        path: '/tools/pipeline/builder',
+        load: () => import('../tools/pipeline/Pipeline'),
+        icon: AccountTreeIcon,
+        tags: ['pipeline', 'chain', 'workflow', 'convert', '流水线', '串联', '组合'],
+        priority: 'P2',
+        isNew: true,
+    },
 ];
 
+/**
+ * 需要注册路由的工具（拥有组件加载函数）
+ */
+export const toolRoutes = tools.filter(tool => tool.load);
+
+// 校验：每个工具的 path 都必须由某个带 load 的工具提供路由，避免注册了却无法访问的工具
+tools.forEach(tool => {
+    if (!toolRoutes.some(route => route.path === tool.path)) {
+        throw new Error(`工具 "${tool.id}" 的路径 ${tool.path} 没有对应的路由组件`);
+    }
+});
+
+/**
+ * 获取工具的访问地址（包含预设查询参数）
+ * @param {Object} tool - 工具配置
+ * @returns {string} 访问地址
+ */
+export const getToolUrl = (tool) => {
+    return tool.query ? `${tool.path}?${tool.query}` : tool.path;
+};
+
+/**
+ * 判断工具是否为当前页面
+ * @param {Object} tool - 工具配置
+ * @param {Object} location - react-router 的 location 对象
+ * @returns {boolean} 是否激活
+ */
+export const isToolActive = (tool, location) => {
+    if (tool.path !== location.pathname) return false;
+    return tool.query ? location.search === `?${tool.query}` : true;
+};
+
+/**
+ * 根据 ID 获取工具配置
+ * @param {string} toolId - 工具 ID
+ * @returns {Object|undefined} 工具配置
+ */
+export const getToolById = (toolId) => {
+    return tools.find(tool => tool.id === toolId);
+};
+
 /**
  * 按分类获取工具列表
  * @param {string} categoryId - 分类 ID
@@ -492,18 +675,73 @@ export const getToolsByCategory = (categoryId) => {
     return tools.filter(tool => tool.category === categoryId);
 };
 
+/**
+ * 搜索字段权重：名称 > 标签 > 描述
+ */
+const SEARCH_WEIGHTS = {
+    name: 1,
+    tags: 0.7,
+    description: 0.4,
+};
+
 /**
  * 根据关键词搜索工具
+ * 名称和标签支持模糊、拼写容错以及拼音全拼/首字母匹配，描述只匹配连续片段（含拼音），
+ * 各字段得分按权重取最高值，结果按得分从高到低排序。
+ * 非中文界面下按翻译后的名称和描述匹配，同时保留中文名称（含拼音）的匹配。
+ *
  * @param {string} keyword - 搜索关键词
- * @returns {Array} 匹配的工具列表
+ * @param {string} [locale] - 界面语言，决定匹配和高亮使用的名称、描述
+ * @returns {Array<{ tool: Object, score: number, nameIndices: number[], descriptionIndices: number[] }>}
+ *   匹配结果，nameIndices / descriptionIndices 为本地化名称、描述中命中字符的下标，用于高亮
  */
-export const searchTools = (keyword) => {
-    const lowerKeyword = keyword.toLowerCase();
-    return tools.filter(tool =>
-        tool.name.toLowerCase().includes(lowerKeyword) ||
-        tool.description.toLowerCase().includes(lowerKeyword) ||
-        tool.tags.some(tag => tag.toLowerCase().includes(lowerKeyword))
-    );
+export const searchTools = (keyword, locale = DEFAULT_LOCALE) => {
+    if (!keyword.trim()) return [];
+
+    return tools
+        .map(tool => {
+            const text = localizeTool(tool, locale);
+            const name = matchText(keyword, text.name);
+            const description = matchText(keyword, text.description, { subsequence: false, typo: false });
+            const originalName = text.name !== tool.name ? matchText(keyword, tool.name) : null;
+            const tagScore = Math.max(0, ...tool.tags.map(tag => matchText(keyword, tag)?.score || 0));
+            const score = Math.max(
+                (name?.score || 0) * SEARCH_WEIGHTS.name,
+                (originalName?.score || 0) * SEARCH_WEIGHTS.name,
+                tagScore * SEARCH_WEIGHTS.tags,
+                (description?.score || 0) * SEARCH_WEIGHTS.description,
+            );
+            return {
+                tool,
+                score,
+                nameIndices: name?.indices || [],
+                descriptionIndices: description?.indices || [],
+            };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * 识别粘贴的内容，找出可以处理它的工具
+ * 依次调用各工具注册的 detect 函数，同一段内容可能被多个工具识别（如 JSON 可以格式化，也可以转为 YAML）
+ *
+ * @param {string} text - 粘贴的文本
+ * @returns {Array<{ tool: Object, type: string, score: number, state: Object }>}
+ *   按得分从高到低排序，type 为内容类型，state 为打开工具时预填的状态
+ */
+export const detectTools = (text) => {
+    const content = text.trim();
+    if (!content) return [];
+
+    return tools
+        .filter(tool => tool.detect)
+        .map(tool => {
+            const result = tool.detect(content);
+            return result && { tool, ...result };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
 };
 
 /**
@@ -0,0 +1,28 @@
+/**
+ * Base64 编码/解码
+ * 纯函数实现，不依赖 UI，供工具组件和流水线共用
+ */
+
+/**
+ * 将文本编码为 Base64（支持 UTF-8 中文）
+ * @param {string} text - 原始文本
+ * @returns {string} Base64 字符串
+ */
+export const encodeBase64 = (text) => {
+    // 使用 TextEncoder 支持 UTF-8 中文
+    const bytes = new TextEncoder().encode(text);
+    const binString = Array.from(bytes, (byte) => String.fromCodePoint(byte)).join('');
+    return btoa(binString);
+};
+
+/**
+ * 将 Base64 解码为文本
+ * @param {string} text - Base64 字符串
+ * @returns {string} 解码后的文本
+ * @throws {Error} 输入不是有效的 Base64 时抛出
+ */
+export const decodeBase64 = (text) => {
+    const binString = atob(text);
+    const bytes = Uint8Array.from(binString, (char) => char.codePointAt(0));
+    return new TextDecoder().decode(bytes);
+};
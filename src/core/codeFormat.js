@@ -0,0 +1,184 @@
+/**
+ * 多语言代码格式化与压缩
+ * 纯函数实现，不依赖 UI，供多格式化工具和格式化 Worker（workers/tasks/codeFormat.js）共用。
+ * 语法错误带有 syntaxType（JSON、YAML 等）和 diagnostic（错误位置，见 diagnostics.js）
+ */
+import { html as beautifyHtml, css as beautifyCss, js as beautifyJs } from 'js-beautify';
+import yaml from 'js-yaml';
+import { format as formatSql } from 'sql-formatter';
+
+import { getJsonDiagnostic, getYamlDiagnostic, getXmlDiagnostic, getSqlDiagnostic } from './diagnostics';
+
+/**
+ * 超过该字符数的输入视为大文件：在后台 Worker 中格式化，编辑器关闭自动补全等耗时功能
+ */
+export const LARGE_INPUT_SIZE = 1024 * 1024;
+
+/**
+ * 是否为大文件输入
+ * @param {string} text - 输入文本
+ * @returns {boolean}
+ */
+export const isLargeInput = (text) => typeof text === 'string' && text.length >= LARGE_INPUT_SIZE;
+
+const BEAUTIFY_OPTIONS = {
+    indent_size: 2,
+    indent_char: ' ',
+    max_preserve_newlines: 2,
+    preserve_newlines: true,
+    wrap_line_length: 0,
+};
+
+/**
+ * 创建语法错误，syntaxType 用于界面显示对应格式的提示，diagnostic 为错误位置（无法定位时为 null）
+ */
+const syntaxError = (type, message, diagnostic = null) => Object.assign(new Error(message), { syntaxType: type, diagnostic });
+
+/**
+ * 校验 XML，不合法时抛出带位置的语法错误
+ */
+const validateXml = (text) => {
+    const diagnostic = getXmlDiagnostic(text);
+    if (diagnostic) {
+        throw syntaxError('XML', diagnostic.message, diagnostic);
+    }
+};
+
+/**
+ * 解析 JSON / YAML，失败时抛出带位置的语法错误
+ */
+const parseStructured = (type, text) => {
+    try {
+        return type === 'json' ? JSON.parse(text) : yaml.load(text);
+    } catch (e) {
+        throw type === 'json'
+            ? syntaxError('JSON', e.message, getJsonDiagnostic(text, e))
+            : syntaxError('YAML', e.message, getYamlDiagnostic(e));
+    }
+};
+
+/**
+ * 格式化代码
+ * @param {string} type - html | css | javascript | xml | json | yaml | sql，其他类型原样返回
+ * @param {string} text - 输入文本
+ * @param {Function} [onStage] - 进度回调，参数为当前阶段：parse（解析）| format（生成结果）
+ * @returns {string}
+ */
+export const formatCode = (type, text, onStage = () => {}) => {
+    switch (type) {
+        case 'xml':
+            onStage('parse');
+            validateXml(text);
+            // 校验通过后与 HTML 相同处理
+        case 'html':
+            onStage('format');
+            return beautifyHtml(text, {
+                ...BEAUTIFY_OPTIONS,
+                indent_inner_html: true,
+                unformatted: [],
+                content_unformatted: ['pre', 'code'],
+            });
+        case 'css':
+            onStage('format');
+            return beautifyCss(text, {
+                ...BEAUTIFY_OPTIONS,
+                selector_separator_newline: true,
+                newline_between_rules: true,
+            });
+        case 'javascript':
+            onStage('format');
+            return beautifyJs(text, {
+                ...BEAUTIFY_OPTIONS,
+                space_in_empty_paren: false,
+                brace_style: 'collapse',
+            });
+        case 'json': {
+            onStage('parse');
+            const value = parseStructured('json', text);
+            onStage('format');
+            return JSON.stringify(value, null, 2);
+        }
+        case 'yaml': {
+            onStage('parse');
+            const value = parseStructured('yaml', text);
+            onStage('format');
+            return yaml.dump(value, {
+                indent: 2,
+                lineWidth: -1,
+                noRefs: true,
+            });
+        }
+        case 'sql':
+            onStage('format');
+            try {
+                return formatSql(text, {
+                    language: 'sql',
+                    keywordCase: 'upper',
+                    indentStyle: 'standard',
+                    logicalOperatorNewline: 'before',
+                });
+            } catch (e) {
+                throw syntaxError('SQL', e.message, getSqlDiagnostic(e));
+            }
+        default:
+            return text;
+    }
+};
+
+/**
+ * 压缩代码（简单的空白和注释清理，不是完整的 minifier）
+ * @param {string} type - html | css | javascript | xml | json | yaml | sql，其他类型只合并空白
+ * @param {string} text - 输入文本
+ * @param {Function} [onStage] - 进度回调，参数为当前阶段：parse（解析）| format（生成结果）
+ * @returns {string}
+ */
+export const minifyCode = (type, text, onStage = () => {}) => {
+    switch (type) {
+        case 'xml':
+            onStage('parse');
+            validateXml(text);
+            // 校验通过后与 HTML 相同处理
+        case 'html':
+            onStage('format');
+            return text
+                .replace(/<!--[\s\S]*?-->/g, '') // 移除注释
+                .replace(/>\s+</g, '><') // 移除标签间空白
+                .replace(/\s+/g, ' ') // 多空格变单空格
+                .trim();
+        case 'css':
+            onStage('format');
+            return text
+                .replace(/\/\*[\s\S]*?\*\//g, '') // 移除注释
+                .replace(/\s+/g, ' ') // 多空格变单空格
+                .replace(/\s*([{}:;,])\s*/g, '$1') // 移除符号周围空格
+                .replace(/;}/g, '}') // 移除最后的分号
+                .trim();
+        case 'javascript':
+            onStage('format');
+            return text
+                .replace(/\/\/.*$/gm, '') // 移除单行注释
+                .replace(/\/\*[\s\S]*?\*\//g, '') // 移除多行注释
+                .replace(/\s+/g, ' ') // 多空格变单空格
+                .replace(/\s*([{}();,:])\s*/g, '$1') // 移除符号周围空格
+                .trim();
+        case 'json':
+        case 'yaml': {
+            onStage('parse');
+            const value = parseStructured(type, text);
+            onStage('format');
+            // YAML 压缩通常转为 JSON
+            return JSON.stringify(value);
+        }
+        case 'sql':
+            onStage('format');
+            return text
+                .replace(/\s+/g, ' ')
+                .replace(/\s*\(\s*/g, '(')
+                .replace(/\s*\)\s*/g, ')')
+                .replace(/\s*,\s*/g, ', ')
+                .replace(/\s*;\s*/g, '; ')
+                .trim();
+        default:
+            return text.replace(/\s+/g, ' ').trim();
+    }
+};
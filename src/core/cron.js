@@ -0,0 +1,154 @@
+/**
+ * Cron 表达式解析与描述
+ * 纯函数实现，不依赖 UI，描述文案随语言切换
+ */
+import { translate, DEFAULT_LOCALE } from '../i18n';
+
+/**
+ * Cron 表达式的五个字段，按表达式中的顺序排列
+ */
+export const CRON_FIELD_IDS = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'];
+
+/**
+ * Cron 各字段的取值范围（星期允许 7 表示周日）
+ */
+export const CRON_RANGES = {
+    minute: [0, 59],
+    hour: [0, 23],
+    dayOfMonth: [1, 31],
+    month: [1, 12],
+    dayOfWeek: [0, 7],
+};
+
+const CRON_PART_PATTERN = /^(\*|(\d+)(-(\d+))?)(\/(\d+))?$/;
+
+/**
+ * 判断 Cron 字段是否合法：*、数字、范围、步长及逗号分隔的组合
+ * @param {string} field - 字段值
+ * @param {number[]} range - [最小值, 最大值]，见 CRON_RANGES
+ * @returns {boolean}
+ */
+export const isValidCronField = (field, [min, max]) => {
+    if (field === 'L') return max === 31;
+    return field.split(',').every(part => {
+        const match = CRON_PART_PATTERN.exec(part);
+        if (!match) return false;
+        const numbers = [match[2], match[4]].filter(Boolean).map(Number);
+        return numbers.every(n => n >= min && n <= max) && (!match[6] || Number(match[6]) > 0);
+    });
+};
+
+/**
+ * 将字段值拼接为 Cron 表达式
+ * @param {Object} values - { minute, hour, dayOfMonth, month, dayOfWeek }
+ * @returns {string}
+ */
+export const buildCronExpression = (values) => {
+    return CRON_FIELD_IDS.map(id => values[id]).join(' ');
+};
+
+/**
+ * 将 Cron 表达式拆分为字段值，缺少的字段补 *
+ * @param {string} expression - Cron 表达式
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+export const parseCronExpression = (expression) => {
+    const parts = expression.trim().split(/\s+/);
+    return Object.fromEntries(CRON_FIELD_IDS.map((id, index) => [id, parts[index] || '*']));
+};
+
+/**
+ * 校验并拆分五段式 Cron 表达式
+ * @param {string} expression - Cron 表达式
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ * @throws {Error} 段数不是 5 时 code 为 fieldCount；字段不合法时 code 为 invalidField，
+ *   params 为 { index（从 1 开始）, value, min, max }
+ */
+export const validateCronExpression = (expression) => {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== CRON_FIELD_IDS.length) {
+        throw Object.assign(new Error('fieldCount'), { code: 'fieldCount', params: { count: parts.length } });
+    }
+    const values = parseCronExpression(expression);
+    CRON_FIELD_IDS.forEach((id, index) => {
+        if (!isValidCronField(values[id], CRON_RANGES[id])) {
+            const [min, max] = CRON_RANGES[id];
+            throw Object.assign(new Error('invalidField'), {
+                code: 'invalidField',
+                params: { index: index + 1, value: values[id], min, max },
+            });
+        }
+    });
+    return values;
+};
+
+/**
+ * 生成 Cron 表达式的人类可读描述
+ * @param {Object} values - { minute, hour, dayOfMonth, month, dayOfWeek }
+ * @param {string} [locale] - 语言 ID
+ * @returns {string}
+ */
+export const describeCron = (values, locale = DEFAULT_LOCALE) => {
+    const t = (key, params) => translate(locale, `cron.${key}`, params);
+    const dayNames = t('dayNames');
+    const monthNames = t('monthNames');
+    const { minute, hour, dayOfMonth, month, dayOfWeek } = values;
+    const parts = [];
+
+    // 分钟
+    if (minute === '*') {
+        parts.push(t('everyMinute'));
+    } else if (minute.startsWith('*/')) {
+        parts.push(t('everyNMinutes', { n: minute.slice(2) }));
+    } else if (minute === '0') {
+        // 整点
+    } else {
+        parts.push(t('atMinute', { minute }));
+    }
+
+    // 小时
+    if (hour === '*') {
+        if (minute !== '*' && !minute.startsWith('*/')) {
+            parts.push(t('everyHour'));
+        }
+    } else if (hour.startsWith('*/')) {
+        parts.push(t('everyNHours', { n: hour.slice(2) }));
+    } else {
+        parts.push(t('atHour', { hour }));
+    }
+
+    // 日期
+    if (dayOfMonth !== '*') {
+        parts.push(dayOfMonth === 'L' ? t('lastDayOfMonth') : t('dayOfMonth', { day: dayOfMonth }));
+    }
+
+    // 月份
+    if (month !== '*') {
+        if (month.includes('-')) {
+            const [start, end] = month.split('-');
+            parts.push(t('range', { start: monthNames[parseInt(start)], end: monthNames[parseInt(end)] }));
+        } else if (month.includes(',')) {
+            parts.push(month.split(',').map(m => monthNames[parseInt(m)]).join(t('listSeparator')));
+        } else {
+            parts.push(monthNames[parseInt(month)]);
+        }
+    }
+
+    // 星期
+    if (dayOfWeek !== '*') {
+        if (dayOfWeek === '1-5') {
+            parts.push(t('weekdays'));
+        } else if (dayOfWeek === '6,0' || dayOfWeek === '0,6') {
+            parts.push(t('weekend'));
+        } else if (dayOfWeek.includes('-')) {
+            const [start, end] = dayOfWeek.split('-');
+            parts.push(t('range', { start: dayNames[parseInt(start)], end: dayNames[parseInt(end)] }));
+        } else if (dayOfWeek.includes(',')) {
+            parts.push(dayOfWeek.split(',').map(d => dayNames[parseInt(d)]).join(t('listSeparator')));
+        } else {
+            parts.push(dayNames[parseInt(dayOfWeek)]);
+        }
+    }
+
+    return parts.join(t('partSeparator')) || t('fallback');
+};
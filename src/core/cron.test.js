@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { validateCronExpression } from './cron';
+
+describe('validateCronExpression', () => {
+    it('返回字段值', () => {
+        expect(validateCronExpression('*/5 9 * * 1-5')).toEqual({
+            minute: '*/5',
+            hour: '9',
+            dayOfMonth: '*',
+            month: '*',
+            dayOfWeek: '1-5',
+        });
+    });
+
+    it('字段超出范围时抛出 invalidField', () => {
+        expect(() => validateCronExpression('61 * * * *')).toThrow(expect.objectContaining({
+            code: 'invalidField',
+            params: { index: 1, value: '61', min: 0, max: 59 },
+        }));
+        expect(() => validateCronExpression('0 0 L 13 *')).toThrow(expect.objectContaining({ code: 'invalidField' }));
+    });
+
+    it('字段数不是 5 时抛出 fieldCount', () => {
+        expect(() => validateCronExpression('* * *')).toThrow(expect.objectContaining({ code: 'fieldCount' }));
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * 粘贴内容识别
+ * 纯函数实现，不依赖 UI。每个识别函数接收去掉首尾空白的文本，
+ * 无法识别时返回 null，识别成功时返回：
+ * - type: 内容类型，名称见语言包 smartPaste.types
+ * - score: 0 ~ 1 的置信度，多个工具同时匹配时按得分排序
+ * - state: 打开工具时预填的状态（与工具中 useToolState 的状态名对应）
+ *
+ * 识别函数通过工具注册表的 detect 字段挂到对应工具上，见 config/tools.js 的 detectTools
+ */
+import { parseCronExpression, isValidCronField, CRON_FIELD_IDS, CRON_RANGES } from './cron';
+
+/**
+ * 超过该长度的文本不做 JSON、YAML、XML 识别，避免粘贴大段内容时卡顿
+ */
+const MAX_PARSE_LENGTH = 512 * 1024;
+
+const JWT_PATTERN = /^eyJ[\w-]*\.eyJ[\w-]*\.[\w-]*$/;
+const TIMESTAMP_PATTERN = /^(\d{10}|\d{13})$/;
+const CREATE_TABLE_PATTERN = /^(\s*--[^\n]*\n|\s*\/\*[\s\S]*?\*\/)*\s*CREATE\s+(TEMPORARY\s+)?TABLE\b[\s\S]*\(/i;
+const IMAGE_DATA_URI_PATTERN = /^data:image\/[\w.+-]+;base64,[A-Za-z0-9+/]+=*$/;
+const XML_PATTERN = /^(<\?xml[^>]*>\s*)?<([\w:-]+)[^>]*>[\s\S]*<\/\2>$/;
+const YAML_LINE_PATTERN = /^(\s*-\s+\S|\s*-$|\s*[\w"'.-][^:#]*:(\s|$))/;
+
+/**
+ * 解析为对象或数组的 JSON，其他情况返回 undefined
+ */
+const parseJsonObject = (text) => {
+    if (text.length > MAX_PARSE_LENGTH || !/^[[{]/.test(text)) return undefined;
+    try {
+        const value = JSON.parse(text);
+        return value !== null && typeof value === 'object' ? value : undefined;
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * JWT（三段 base64url，头部和载荷以 eyJ 开头，即 JSON 对象）
+ */
+export const detectJwt = (text) => {
+    if (!JWT_PATTERN.test(text)) return null;
+    return { type: 'jwt', score: 0.95, state: { mode: 'decode', token: text } };
+};
+
+/**
+ * 10 位（秒）或 13 位（毫秒）Unix 时间戳
+ */
+export const detectTimestamp = (text) => {
+    if (!TIMESTAMP_PATTERN.test(text)) return null;
+    return { type: 'timestamp', score: 0.9, state: { timestamp: text } };
+};
+
+/**
+ * CREATE TABLE 语句（允许前面有注释）
+ */
+export const detectCreateTable = (text) => {
+    if (!CREATE_TABLE_PATTERN.test(text.slice(0, 4096))) return null;
+    return { type: 'createTable', score: 0.9, state: { input: text } };
+};
+
+/**
+ * 五段式 Cron 表达式
+ */
+export const detectCron = (text) => {
+    const parts = text.split(/\s+/);
+    if (parts.length !== CRON_FIELD_IDS.length) return null;
+    // 全是数字时（如日期、编号）不视为 Cron
+    if (parts.every(part => /^\d+$/.test(part))) return null;
+    const values = parseCronExpression(text);
+    const valid = CRON_FIELD_IDS.every(id => isValidCronField(values[id], CRON_RANGES[id]));
+    return valid ? { type: 'cron', score: 0.85, state: { values } } : null;
+};
+
+/**
+ * data URI 格式的 Base64 图片
+ */
+export const detectImageDataUri = (text) => {
+    if (!IMAGE_DATA_URI_PATTERN.test(text)) return null;
+    return { type: 'imageDataUri', score: 1, state: { activeTab: 1, base64: text } };
+};
+
+/**
+ * JSON 对象或数组（格式化）
+ */
+export const detectJson = (text) => {
+    if (parseJsonObject(text) === undefined) return null;
+    return { type: 'json', score: 0.8, state: { input: text } };
+};
+
+/**
+ * JSON（转为 YAML）或 YAML（转为 JSON）
+ * 合法的 JSON 同时也是合法的 YAML，因此先判断 JSON；
+ * YAML 只按行特征判断（键值对或列表项），不做完整解析
+ */
+export const detectJsonOrYaml = (text) => {
+    if (parseJsonObject(text) !== undefined) {
+        return { type: 'json', score: 0.6, state: { mode: 'json2yaml', input: text } };
+    }
+    if (text.length > MAX_PARSE_LENGTH) return null;
+    const lines = text.split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
+    // 单行的 "key: value" 更可能是普通文本
+    if (lines.length < 2) return null;
+    // 允许少量多行字符串等续行
+    const yamlLines = lines.filter(line => YAML_LINE_PATTERN.test(line)).length;
+    if (yamlLines / lines.length < 0.6) return null;
+    return { type: 'yaml', score: 0.75, state: { mode: 'yaml2json', input: text } };
+};
+
+/**
+ * JSON（转为 XML）或 XML（转为 JSON）
+ */
+export const detectJsonOrXml = (text) => {
+    if (parseJsonObject(text) !== undefined) {
+        return { type: 'json', score: 0.5, state: { mode: 'json2xml', input: text } };
+    }
+    if (text.length > MAX_PARSE_LENGTH || !XML_PATTERN.test(text)) return null;
+    return { type: 'xml', score: 0.8, state: { mode: 'xml2json', input: text } };
+};
+
+/**
+ * 带查询参数的 http(s) URL
+ */
+export const detectUrlQuery = (text) => {
+    if (!/^https?:\/\/\S+$/i.test(text)) return null;
+    try {
+        const url = new URL(text);
+        if (!url.search || url.search === '?') return null;
+    } catch {
+        return null;
+    }
+    return { type: 'urlQuery', score: 0.85, state: { mode: 'url2json', input: text } };
+};
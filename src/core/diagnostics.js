@@ -0,0 +1,195 @@
+/**
+ * 语法错误定位
+ * 纯函数实现，不依赖 UI。把各解析器的异常转换为编辑器诊断信息：
+ * { line, column, message, severity }，行列从 1 开始，severity 为 'error' | 'warning' | 'info'
+ * 无法确定位置时返回 null，由调用方按普通错误展示
+ */
+import { XMLValidator } from 'fast-xml-parser';
+
+const JSON_WHITESPACE = ' \t\n\r';
+const JSON_ESCAPES = '"\\/bfnrt';
+const JSON_NUMBER = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+const HEX_DIGIT = /[0-9a-fA-F]/;
+
+/**
+ * 将字符偏移转换为行列（从 1 开始）
+ * @param {string} text - 文本
+ * @param {number} offset - 字符偏移
+ * @returns {{ line: number, column: number }}
+ */
+export const offsetToLineColumn = (text, offset) => {
+    const before = text.slice(0, Math.max(0, Math.min(offset, text.length)));
+    const lastBreak = before.lastIndexOf('\n');
+    return {
+        line: before.split('\n').length,
+        column: before.length - lastBreak,
+    };
+};
+
+/**
+ * 按 JSON 语法扫描文本，返回第一个语法错误的字符偏移，合法时返回 -1
+ * 部分浏览器（包括 V8 的 Unexpected token 类错误）的 JSON.parse 异常不带位置，由此补充
+ * @param {string} text - JSON 文本
+ * @returns {number}
+ */
+export const locateJsonError = (text) => {
+    let i = 0;
+    const fail = () => {
+        throw i;
+    };
+    const skipWhitespace = () => {
+        while (i < text.length && JSON_WHITESPACE.includes(text[i])) i++;
+    };
+    const expect = (word) => {
+        for (const char of word) {
+            if (text[i] !== char) fail();
+            i++;
+        }
+    };
+    const parseString = () => {
+        i++;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '"') {
+                i++;
+                return;
+            }
+            if (char < ' ') fail();
+            if (char === '\\') {
+                i++;
+                if (text[i] === 'u') {
+                    for (let k = 1; k <= 4; k++) {
+                        if (!HEX_DIGIT.test(text[i + k] || '')) {
+                            i += k;
+                            fail();
+                        }
+                    }
+                    i += 5;
+                } else if (i < text.length && JSON_ESCAPES.includes(text[i])) {
+                    i++;
+                } else {
+                    fail();
+                }
+            } else {
+                i++;
+            }
+        }
+        fail();
+    };
+    const parseNumber = () => {
+        JSON_NUMBER.lastIndex = i;
+        const match = JSON_NUMBER.exec(text);
+        if (!match) fail();
+        i += match[0].length;
+    };
+    const parseValue = () => {
+        skipWhitespace();
+        const char = text[i];
+        if (char === '{' || char === '[') {
+            const close = char === '{' ? '}' : ']';
+            i++;
+            skipWhitespace();
+            if (text[i] === close) {
+                i++;
+                return;
+            }
+            for (;;) {
+                if (close === '}') {
+                    skipWhitespace();
+                    if (text[i] !== '"') fail();
+                    parseString();
+                    skipWhitespace();
+                    expect(':');
+                }
+                parseValue();
+                skipWhitespace();
+                if (text[i] === ',') {
+                    i++;
+                } else if (text[i] === close) {
+                    i++;
+                    return;
+                } else {
+                    fail();
+                }
+            }
+        }
+        if (char === '"') return parseString();
+        if (char === 't') return expect('true');
+        if (char === 'f') return expect('false');
+        if (char === 'n') return expect('null');
+        if (char === '-' || (char >= '0' && char <= '9')) return parseNumber();
+        fail();
+    };
+
+    try {
+        parseValue();
+        skipWhitespace();
+        return i < text.length ? i : -1;
+    } catch (position) {
+        // 嵌套过深导致的栈溢出等情况无法定位
+        return typeof position === 'number' ? position : -1;
+    }
+};
+
+/**
+ * JSON.parse 异常的诊断信息
+ * 优先使用异常信息中的位置（Chrome: line x column y / at position n，Firefox: at line x column y），
+ * 没有位置时按 JSON 语法扫描定位
+ * @param {string} text - 解析的文本
+ * @param {Error} error - JSON.parse 抛出的异常
+ * @returns {Object|null}
+ */
+export const getJsonDiagnostic = (text, error) => {
+    const message = error.message;
+    const lineColumn = /line (\d+) column (\d+)/.exec(message);
+    if (lineColumn) {
+        return { line: Number(lineColumn[1]), column: Number(lineColumn[2]), message, severity: 'error' };
+    }
+    const position = /at position (\d+)/.exec(message);
+    const offset = position ? Number(position[1]) : locateJsonError(text);
+    if (offset === -1) return null;
+    return { ...offsetToLineColumn(text, offset), message, severity: 'error' };
+};
+
+/**
+ * js-yaml 异常的诊断信息（YAMLException.mark 中的行列从 0 开始）
+ * @param {Error} error - js-yaml 抛出的异常
+ * @returns {Object|null}
+ */
+export const getYamlDiagnostic = (error) => {
+    if (!error.mark) return null;
+    return {
+        line: error.mark.line + 1,
+        column: error.mark.column + 1,
+        message: error.reason || error.message,
+        severity: 'error',
+    };
+};
+
+/**
+ * 使用 fast-xml-parser 校验 XML，返回第一个错误的诊断信息，合法时返回 null
+ * @param {string} text - XML 文本
+ * @returns {Object|null}
+ */
+export const getXmlDiagnostic = (text) => {
+    const result = XMLValidator.validate(text);
+    if (result === true) return null;
+    return { line: result.err.line, column: result.err.col, message: result.err.msg, severity: 'error' };
+};
+
+/**
+ * sql-formatter 异常的诊断信息
+ * 异常信息形如 Parse error: Unexpected "xxx" at line 3 column 5.，后面附带的语法提示不展示
+ * @param {Error} error - sql-formatter 抛出的异常
+ * @returns {Object|null}
+ */
+export const getSqlDiagnostic = (error) => {
+    const match = /at line (\d+) column (\d+)/.exec(error.message);
+    if (!match) return null;
+    return {
+        line: Number(match[1]),
+        column: Number(match[2]),
+        message: error.message.split('\n')[0],
+        severity: 'error',
+    };
+};
@@ -0,0 +1,93 @@
+/**
+ * 嵌入模式（/embed/:toolId）的参数与 postMessage 协议
+ * 纯函数实现，不依赖 UI。
+ *
+ * 地址参数：
+ * - theme: light | dark | system（跟随系统），不指定时使用本地保存的主题设置
+ * - input: 初始输入，写入工具的输入状态（见工具注册表的 inputKey）
+ * - readonly: 1 | true 时输入框只读，输入只能由宿主页面设置
+ * - origin: 宿主页面的源（如 https://wiki.example.com），只接收该源的消息，输出也只发送给该源；
+ *   未指定或不是合法的 http(s) 源时不收发任何消息，工具只使用地址参数
+ *
+ * 消息均为 { source: EMBED_MESSAGE_SOURCE, type, ... } 形式。
+ * 宿主页面 → 工具：
+ * - { type: 'setInput', input }: 设置输入
+ * - { type: 'setState', state }: 设置工具状态（状态名 → 值），用于有多个输入或需要切换模式的工具
+ * - { type: 'getOutput' }: 立即发送一次当前输出
+ * 工具 → 宿主页面：
+ * - { type: 'ready', toolId }: 工具已加载，可以开始发送消息
+ * - { type: 'output', toolId, output }: 输出变化时发送，output 为字符串或对象
+ */
+
+/**
+ * 消息来源标识，用于和页面上的其他消息区分
+ */
+export const EMBED_MESSAGE_SOURCE = 'organization-tools';
+
+/**
+ * 嵌入页面的路由前缀
+ */
+export const EMBED_PATH_PREFIX = '/embed/';
+
+const THEMES = ['light', 'dark', 'system'];
+
+/**
+ * 规范化宿主页面的源，只接受不带路径的 http(s) 源
+ * @param {string|null} value - 地址参数 origin
+ * @returns {string|null} 规范化后的源，不合法时为 null
+ */
+export const normalizeEmbedOrigin = (value) => {
+    if (!value) return null;
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        // 源只能由协议、主机和端口组成，带路径或查询的视为写错，不发送消息
+        return url.origin === value.replace(/\/$/, '') ? url.origin : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * 解析嵌入地址的查询参数
+ * @param {string} search - location.search
+ * @returns {{ theme: string|null, input: string|null, readOnly: boolean, origin: string|null }}
+ */
+export const parseEmbedOptions = (search) => {
+    const params = new URLSearchParams(search);
+    const theme = params.get('theme');
+    const readonly = params.get('readonly');
+    return {
+        theme: THEMES.includes(theme) ? theme : null,
+        input: params.get('input'),
+        readOnly: readonly === '' || readonly === '1' || readonly === 'true',
+        origin: normalizeEmbedOrigin(params.get('origin')),
+    };
+};
+
+/**
+ * 当前地址为嵌入页面时返回指定的主题，否则返回 null
+ * @param {Location} location - window.location
+ * @returns {string|null}
+ */
+export const getEmbedTheme = (location) => {
+    if (!location.pathname.startsWith(EMBED_PATH_PREFIX)) return null;
+    return parseEmbedOptions(location.search).theme;
+};
+
+/**
+ * 创建发送给宿主页面的消息
+ * @param {string} type - 消息类型
+ * @param {Object} [data] - 消息内容
+ * @returns {Object}
+ */
+export const createEmbedMessage = (type, data = {}) => ({ source: EMBED_MESSAGE_SOURCE, type, ...data });
+
+/**
+ * 是否为嵌入协议的消息
+ * @param {*} data - MessageEvent.data
+ * @returns {boolean}
+ */
+export const isEmbedMessage = (data) => (
+    data !== null && typeof data === 'object' && data.source === EMBED_MESSAGE_SOURCE && typeof data.type === 'string'
+);
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { parseEmbedOptions, normalizeEmbedOrigin } from './embed';
+
+describe('normalizeEmbedOrigin', () => {
+    it('接受 http(s) 源，忽略末尾斜杠', () => {
+        expect(normalizeEmbedOrigin('https://wiki.example.com')).toBe('https://wiki.example.com');
+        expect(normalizeEmbedOrigin('https://wiki.example.com/')).toBe('https://wiki.example.com');
+        expect(normalizeEmbedOrigin('http://localhost:8080')).toBe('http://localhost:8080');
+    });
+
+    it('未指定、带路径或不是 http(s) 时为 null', () => {
+        expect(normalizeEmbedOrigin(null)).toBeNull();
+        expect(normalizeEmbedOrigin('*')).toBeNull();
+        expect(normalizeEmbedOrigin('https://wiki.example.com/page')).toBeNull();
+        expect(normalizeEmbedOrigin('javascript:alert(1)')).toBeNull();
+        expect(normalizeEmbedOrigin('wiki.example.com')).toBeNull();
+    });
+});
+
+describe('parseEmbedOptions', () => {
+    it('解析地址参数', () => {
+        expect(parseEmbedOptions('?theme=dark&readonly=1&input=abc&origin=https://wiki.example.com')).toEqual({
+            theme: 'dark',
+            input: 'abc',
+            readOnly: true,
+            origin: 'https://wiki.example.com',
+        });
+    });
+
+    it('没有 origin 时不指定源', () => {
+        expect(parseEmbedOptions('?theme=blue').origin).toBeNull();
+        expect(parseEmbedOptions('?origin=*').origin).toBeNull();
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * 核心库入口
+ * 汇总各工具中与 UI 无关的转换函数，网页工具和命令行（src/cli）共用同一份实现。
+ * 这里导出的名称视为稳定 API：改名或调整参数时需要同步修改命令行和 README 中的说明。
+ */
+
+// 编码
+export { encodeBase64, decodeBase64 } from './base64';
+export { encodeUrl, decodeUrl, jsonToUrlParams, urlParamsToJson, jsonToQueryString, queryStringToJson } from './url';
+
+// JSON / YAML / XML
+export { formatJson, minifyJson, jsonToYaml, yamlToJson, jsonToXml, xmlToJson } from './json';
+export { QUERY_LANGUAGES, runJsonQuery, getJsonRanges } from './jsonQuery';
+export { getJsonRows, formatDotPath, formatJsonPath, replaceJsonValue, renameJsonKey } from './jsonTree';
+export {
+    SCHEMA_DRAFTS,
+    detectSchemaDraft,
+    compileJsonSchema,
+    validateJsonSchema,
+    validateJsonText,
+    formatJsonPointer,
+} from './jsonSchema';
+export {
+    JSON_TYPE_TARGETS,
+    DEFAULT_JSON_TYPE_OPTIONS,
+    parseJsonSamples,
+    inferJsonSchema,
+    buildTypeModel,
+    generateJsonTypes,
+} from './jsonTypes';
+export { diffJson, toJsonPatch, createMergePatch, applyMergePatch } from './jsonDiff';
+
+// Cron
+export {
+    CRON_FIELD_IDS,
+    CRON_RANGES,
+    buildCronExpression,
+    parseCronExpression,
+    validateCronExpression,
+    describeCron,
+} from './cron';
+
+// SQL
+export {
+    ENTITY_DIALECTS,
+    ENTITY_TARGETS,
+    DEFAULT_ENTITY_OPTIONS,
+    TYPE_MAPPINGS,
+    parseCreateTable,
+    generateCode,
+    toCamelCase,
+    toPascalCase,
+} from './sqlEntity';
+export {
+    DIALECT_DIRECTIONS,
+    DEFAULT_DIALECT_OPTIONS,
+    PG_TO_MYSQL_TYPES,
+    MYSQL_TO_PG_TYPES,
+    parsePostgresTable,
+    parseMySQLTable,
+    convertPgToMysql,
+    convertMysqlToPg,
+    convertSqlDialect,
+} from './sqlDialect';
+export { SQL_FORMAT_DIALECTS, SQL_KEYWORD_CASES, formatSql, minifySql } from './sqlFormat';
+
+// JWT
+export { JWT_ALGORITHMS, encodeBase64Url, decodeBase64Url, decodeJwt, signJwt } from './jwt';
+
+// 操作注册表与流水线
+export {
+    operations,
+    getOperationById,
+    getOperationName,
+    getOptionLabel,
+    getDefaultOptions,
+    runPipeline,
+} from './operations';
@@ -0,0 +1,676 @@
+/**
+ * JMESPath 查询
+ * 纯函数实现，按 JMESPath 规范支持字段、下标、切片、投影（[*]、*、[]、[?...]）、管道、
+ * 多选列表和对象、比较与逻辑运算、字面量（`...` 和 '...'）、&表达式引用以及全部内置函数：
+ *
+ *   locations[?state == 'WA'].name | sort(@) | {WashingtonCities: join(', ', @)}
+ *   people[*].{name: name, age: age} | sort_by(@, &age)[-1]
+ */
+import {
+    queryError,
+    isPlainObject,
+    getJsonType,
+    deepEqual,
+    computed,
+    childNode,
+    childNodes,
+    sliceIndexes,
+} from './jsonValue';
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_CHAR = /[A-Za-z0-9_]/;
+const WHITESPACE = ' \t\n\r';
+
+/**
+ * 单字符记号
+ */
+const SIMPLE_TOKENS = {
+    '.': 'dot',
+    '*': 'star',
+    ',': 'comma',
+    ':': 'colon',
+    '{': 'lbrace',
+    '}': 'rbrace',
+    ']': 'rbracket',
+    '(': 'lparen',
+    ')': 'rparen',
+    '@': 'current',
+};
+
+/**
+ * 各记号作为中缀时的绑定强度
+ */
+const BINDING_POWER = {
+    eof: 0,
+    identifier: 0,
+    quotedIdentifier: 0,
+    rbracket: 0,
+    rparen: 0,
+    comma: 0,
+    rbrace: 0,
+    number: 0,
+    current: 0,
+    expref: 0,
+    colon: 0,
+    literal: 0,
+    pipe: 1,
+    or: 2,
+    and: 3,
+    comparator: 5,
+    flatten: 9,
+    star: 20,
+    filter: 21,
+    dot: 40,
+    not: 45,
+    lbrace: 50,
+    lbracket: 55,
+    lparen: 60,
+};
+
+/**
+ * 投影右侧的表达式绑定强度低于此值时停止投影
+ */
+const PROJECTION_STOP = 10;
+
+/**
+ * 词法分析
+ * @param {string} source
+ * @returns {Array} [{ type, value, position }]
+ */
+const tokenize = (source) => {
+    const tokens = [];
+    let i = 0;
+    const fail = (position = i) => {
+        throw queryError('syntax', { position: position + 1 });
+    };
+    // 读取到未转义的 quote 为止，返回原文（不含引号）
+    const readDelimited = (quote) => {
+        const start = i;
+        i++;
+        while (i < source.length && source[i] !== quote) {
+            i += source[i] === '\\' ? 2 : 1;
+        }
+        if (i >= source.length) fail(start);
+        i++;
+        return source.slice(start + 1, i - 1);
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const position = i;
+        const push = (type, value) => tokens.push({ type, value, position });
+
+        if (WHITESPACE.includes(char)) {
+            i++;
+        } else if (IDENTIFIER_START.test(char)) {
+            while (i < source.length && IDENTIFIER_CHAR.test(source[i])) i++;
+            push('identifier', source.slice(position, i));
+        } else if (char in SIMPLE_TOKENS) {
+            i++;
+            push(SIMPLE_TOKENS[char]);
+        } else if (char === '-' || (char >= '0' && char <= '9')) {
+            i++;
+            while (i < source.length && source[i] >= '0' && source[i] <= '9') i++;
+            if (source.slice(position, i) === '-') fail(position);
+            push('number', Number(source.slice(position, i)));
+        } else if (char === '[') {
+            if (source[i + 1] === ']') {
+                i += 2;
+                push('flatten');
+            } else if (source[i + 1] === '?') {
+                i += 2;
+                push('filter');
+            } else {
+                i++;
+                push('lbracket');
+            }
+        } else if (char === '"') {
+            const raw = readDelimited('"');
+            try {
+                push('quotedIdentifier', JSON.parse(`"${raw}"`));
+            } catch {
+                fail(position);
+            }
+        } else if (char === "'") {
+            const raw = readDelimited("'");
+            push('literal', raw.replace(/\\(['\\])/g, '$1'));
+        } else if (char === '`') {
+            const raw = readDelimited('`').replace(/\\`/g, '`');
+            try {
+                push('literal', JSON.parse(raw));
+            } catch {
+                // 兼容旧写法：`foo` 视为字符串
+                try {
+                    push('literal', JSON.parse(`"${raw.trim()}"`));
+                } catch {
+                    fail(position);
+                }
+            }
+        } else if (char === '|') {
+            i += source[i + 1] === '|' ? 2 : 1;
+            push(i - position === 2 ? 'or' : 'pipe');
+        } else if (char === '&') {
+            i += source[i + 1] === '&' ? 2 : 1;
+            push(i - position === 2 ? 'and' : 'expref');
+        } else if (char === '!') {
+            i += source[i + 1] === '=' ? 2 : 1;
+            if (i - position === 2) {
+                push('comparator', '!=');
+            } else {
+                push('not');
+            }
+        } else if (char === '<' || char === '>' || char === '=') {
+            const operator = source[i + 1] === '=' ? `${char}=` : char;
+            if (operator === '=') fail(position);
+            i += operator.length;
+            push('comparator', operator);
+        } else {
+            fail(position);
+        }
+    }
+    tokens.push({ type: 'eof', position: source.length });
+    return tokens;
+};
+
+/**
+ * 语法分析（Pratt 解析），返回语法树
+ * @param {string} source
+ * @returns {Object}
+ */
+const parseJmesPath = (source) => {
+    const tokens = tokenize(source);
+    let index = 0;
+    const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+    const fail = (token = peek()) => {
+        throw queryError('syntax', { position: token.position + 1 });
+    };
+    const advance = () => tokens[index++];
+    const match = (type) => {
+        if (peek().type !== type) fail();
+        return advance();
+    };
+
+    const IDENTITY = { type: 'identity' };
+
+    const expression = (rbp = 0) => {
+        let left = nud(advance());
+        while (rbp < BINDING_POWER[peek().type]) {
+            left = led(advance(), left);
+        }
+        return left;
+    };
+
+    const parseProjectionRhs = (rbp) => {
+        const next = peek().type;
+        if (BINDING_POWER[next] < PROJECTION_STOP) return IDENTITY;
+        if (next === 'lbracket' || next === 'filter') return expression(rbp);
+        if (next === 'dot') {
+            advance();
+            return parseDotRhs(rbp);
+        }
+        return fail();
+    };
+
+    const parseDotRhs = (rbp) => {
+        const next = peek().type;
+        if (next === 'identifier' || next === 'quotedIdentifier' || next === 'star') return expression(rbp);
+        if (next === 'lbracket') {
+            advance();
+            return parseMultiSelectList();
+        }
+        if (next === 'lbrace') {
+            advance();
+            return parseMultiSelectHash();
+        }
+        return fail();
+    };
+
+    const parseSlice = () => {
+        const parts = [null, null, null];
+        let part = 0;
+        while (peek().type !== 'rbracket') {
+            if (peek().type === 'colon') {
+                part++;
+                if (part > 2) fail();
+                advance();
+            } else if (peek().type === 'number') {
+                parts[part] = advance().value;
+            } else {
+                fail();
+            }
+        }
+        advance();
+        return { type: 'slice', start: parts[0], end: parts[1], step: parts[2] };
+    };
+
+    const parseIndexExpression = () => {
+        if (peek().type === 'colon' || peek(1).type === 'colon') return parseSlice();
+        const node = { type: 'index', index: match('number').value };
+        match('rbracket');
+        return node;
+    };
+
+    const projectIfSlice = (left, right) => {
+        const node = { type: 'indexExpression', left, right };
+        return right.type === 'slice'
+            ? { type: 'projection', left: node, right: parseProjectionRhs(BINDING_POWER.star) }
+            : node;
+    };
+
+    const parseMultiSelectList = () => {
+        const items = [];
+        for (;;) {
+            items.push(expression());
+            if (peek().type !== 'comma') break;
+            advance();
+        }
+        match('rbracket');
+        return { type: 'multiSelectList', items };
+    };
+
+    const parseMultiSelectHash = () => {
+        const entries = [];
+        for (;;) {
+            const key = peek();
+            if (key.type !== 'identifier' && key.type !== 'quotedIdentifier') fail();
+            advance();
+            match('colon');
+            entries.push({ key: key.value, value: expression() });
+            if (peek().type !== 'comma') break;
+            advance();
+        }
+        match('rbrace');
+        return { type: 'multiSelectHash', entries };
+    };
+
+    const nud = (token) => {
+        switch (token.type) {
+            case 'literal':
+                return { type: 'literal', value: token.value };
+            case 'identifier':
+                return { type: 'field', name: token.value };
+            case 'quotedIdentifier':
+                if (peek().type === 'lparen') fail();
+                return { type: 'field', name: token.value };
+            case 'not':
+                return { type: 'not', expression: expression(BINDING_POWER.not) };
+            case 'star':
+                return {
+                    type: 'valueProjection',
+                    left: IDENTITY,
+                    right: peek().type === 'rbracket' ? IDENTITY : parseProjectionRhs(BINDING_POWER.star),
+                };
+            case 'filter':
+                return led(token, IDENTITY);
+            case 'lbrace':
+                return parseMultiSelectHash();
+            case 'flatten':
+                return {
+                    type: 'projection',
+                    left: { type: 'flatten', expression: IDENTITY },
+                    right: parseProjectionRhs(BINDING_POWER.flatten),
+                };
+            case 'lbracket':
+                if (peek().type === 'number' || peek().type === 'colon') {
+                    return projectIfSlice(IDENTITY, parseIndexExpression());
+                }
+                if (peek().type === 'star' && peek(1).type === 'rbracket') {
+                    advance();
+                    advance();
+                    return { type: 'projection', left: IDENTITY, right: parseProjectionRhs(BINDING_POWER.star) };
+                }
+                return parseMultiSelectList();
+            case 'current':
+                return { type: 'current' };
+            case 'expref':
+                return { type: 'expref', expression: expression(BINDING_POWER.expref) };
+            case 'lparen': {
+                const node = expression();
+                match('rparen');
+                return node;
+            }
+            default:
+                return fail(token);
+        }
+    };
+
+    const led = (token, left) => {
+        switch (token.type) {
+            case 'dot':
+                if (peek().type !== 'star') {
+                    return { type: 'subexpression', left, right: parseDotRhs(BINDING_POWER.dot) };
+                }
+                advance();
+                return { type: 'valueProjection', left, right: parseProjectionRhs(BINDING_POWER.dot) };
+            case 'pipe':
+                return { type: 'pipe', left, right: expression(BINDING_POWER.pipe) };
+            case 'or':
+                return { type: 'or', left, right: expression(BINDING_POWER.or) };
+            case 'and':
+                return { type: 'and', left, right: expression(BINDING_POWER.and) };
+            case 'lparen': {
+                if (left.type !== 'field') fail(token);
+                const args = [];
+                while (peek().type !== 'rparen') {
+                    args.push(expression());
+                    if (peek().type === 'comma') {
+                        advance();
+                        if (peek().type === 'rparen') fail();
+                    } else if (peek().type !== 'rparen') {
+                        fail();
+                    }
+                }
+                advance();
+                return { type: 'function', name: left.name, args };
+            }
+            case 'filter': {
+                const condition = expression();
+                match('rbracket');
+                const right = peek().type === 'flatten' ? IDENTITY : parseProjectionRhs(BINDING_POWER.filter);
+                return { type: 'filterProjection', left, right, condition };
+            }
+            case 'flatten':
+                return {
+                    type: 'projection',
+                    left: { type: 'flatten', expression: left },
+                    right: parseProjectionRhs(BINDING_POWER.flatten),
+                };
+            case 'comparator':
+                return { type: 'comparator', operator: token.value, left, right: expression(BINDING_POWER.comparator) };
+            case 'lbracket':
+                if (peek().type === 'number' || peek().type === 'colon') {
+                    return projectIfSlice(left, parseIndexExpression());
+                }
+                match('star');
+                match('rbracket');
+                return { type: 'projection', left, right: parseProjectionRhs(BINDING_POWER.star) };
+            default:
+                return fail(token);
+        }
+    };
+
+    const ast = expression();
+    if (peek().type !== 'eof') fail();
+    return ast;
+};
+
+/**
+ * JMESPath 的真值：false、null、空字符串、空数组和空对象为假
+ */
+const isTruthy = (value) => {
+    if (value === null || value === false || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (isPlainObject(value)) return Object.keys(value).length > 0;
+    return true;
+};
+
+const NULL_NODE = computed(null);
+
+/**
+ * 由节点列表组成的数组节点，保留各元素的位置
+ */
+const listNode = (nodes) => computed(nodes.map(node => node.value), nodes);
+
+/**
+ * 数组节点的元素节点：投影或多选列表的结果带有 items，原文中的数组按下标取子节点
+ */
+const itemNodes = (node) => node.items || childNodes(node);
+
+/**
+ * 函数参数的类型检查
+ */
+const TYPE_CHECKS = {
+    any: () => true,
+    number: value => typeof value === 'number',
+    string: value => typeof value === 'string',
+    array: value => Array.isArray(value),
+    object: value => isPlainObject(value),
+    boolean: value => typeof value === 'boolean',
+    'array-number': value => Array.isArray(value) && value.every(item => typeof item === 'number'),
+    'array-string': value => Array.isArray(value) && value.every(item => typeof item === 'string'),
+};
+
+const matchesType = (node, types) => types.split('|').some(type => (
+    type === 'expref' ? Boolean(node.expref) : !node.expref && TYPE_CHECKS[type](node.value)
+));
+
+/**
+ * 内置函数：signature 为各参数允许的类型（| 分隔），最后一项以 ... 开头表示可变参数
+ * call 的参数为节点（&表达式的 expref 为其语法树），返回节点
+ */
+const FUNCTIONS = {
+    abs: { signature: ['number'], call: ([n]) => computed(Math.abs(n.value)) },
+    avg: {
+        signature: ['array-number'],
+        call: ([n]) => computed(n.value.length ? n.value.reduce((a, b) => a + b, 0) / n.value.length : null),
+    },
+    ceil: { signature: ['number'], call: ([n]) => computed(Math.ceil(n.value)) },
+    contains: {
+        signature: ['array|string', 'any'],
+        call: ([subject, search]) => computed(typeof subject.value === 'string'
+            ? typeof search.value === 'string' && subject.value.includes(search.value)
+            : subject.value.some(item => deepEqual(item, search.value))),
+    },
+    ends_with: { signature: ['string', 'string'], call: ([s, suffix]) => computed(s.value.endsWith(suffix.value)) },
+    floor: { signature: ['number'], call: ([n]) => computed(Math.floor(n.value)) },
+    join: { signature: ['string', 'array-string'], call: ([glue, list]) => computed(list.value.join(glue.value)) },
+    keys: { signature: ['object'], call: ([o]) => computed(Object.keys(o.value)) },
+    length: {
+        signature: ['string|array|object'],
+        call: ([n]) => computed(typeof n.value === 'string'
+            ? [...n.value].length
+            : Array.isArray(n.value) ? n.value.length : Object.keys(n.value).length),
+    },
+    map: {
+        signature: ['expref', 'array'],
+        call: ([ref, list]) => listNode(itemNodes(list).map(item => evaluate(ref.expref, item))),
+    },
+    max: { signature: ['array-number|array-string'], call: ([list]) => extremeBy(list, item => item.value, 1) },
+    max_by: { signature: ['array', 'expref'], call: ([list, ref]) => extremeBy(list, keyOf(ref, 'max_by'), 1) },
+    merge: {
+        signature: ['...object'],
+        call: (objects) => computed(Object.assign({}, ...objects.map(o => o.value))),
+    },
+    min: { signature: ['array-number|array-string'], call: ([list]) => extremeBy(list, item => item.value, -1) },
+    min_by: { signature: ['array', 'expref'], call: ([list, ref]) => extremeBy(list, keyOf(ref, 'min_by'), -1) },
+    not_null: {
+        signature: ['...any'],
+        call: (args) => args.find(arg => arg.value !== null) || NULL_NODE,
+    },
+    reverse: {
+        signature: ['array|string'],
+        call: ([n]) => (typeof n.value === 'string'
+            ? computed([...n.value].reverse().join(''))
+            : listNode([...itemNodes(n)].reverse())),
+    },
+    sort: {
+        signature: ['array-number|array-string'],
+        call: ([list]) => listNode([...itemNodes(list)].sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0))),
+    },
+    sort_by: {
+        signature: ['array', 'expref'],
+        call: ([list, ref]) => {
+            const getKey = keyOf(ref, 'sort_by');
+            const keyed = itemNodes(list).map(item => ({ item, key: getKey(item) }));
+            keyed.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+            return listNode(keyed.map(entry => entry.item));
+        },
+    },
+    starts_with: { signature: ['string', 'string'], call: ([s, prefix]) => computed(s.value.startsWith(prefix.value)) },
+    sum: { signature: ['array-number'], call: ([list]) => computed(list.value.reduce((a, b) => a + b, 0)) },
+    to_array: { signature: ['any'], call: ([n]) => (Array.isArray(n.value) ? n : listNode([n])) },
+    to_number: {
+        signature: ['any'],
+        call: ([n]) => {
+            if (typeof n.value === 'number') return n;
+            const number = typeof n.value === 'string' && n.value.trim() !== '' ? Number(n.value) : NaN;
+            return computed(Number.isFinite(number) ? number : null);
+        },
+    },
+    to_string: {
+        signature: ['any'],
+        call: ([n]) => (typeof n.value === 'string' ? n : computed(JSON.stringify(n.value))),
+    },
+    type: { signature: ['any'], call: ([n]) => computed(getJsonType(n.value)) },
+    values: { signature: ['object'], call: ([o]) => listNode(childNodes(o)) },
+};
+
+/**
+ * &表达式对各元素求值得到排序键，键必须全部为数字或全部为字符串
+ */
+const keyOf = (ref, name) => {
+    let keyType = null;
+    return (item) => {
+        const key = evaluate(ref.expref, item).value;
+        const type = getJsonType(key);
+        if ((type !== 'number' && type !== 'string') || (keyType && keyType !== type)) {
+            throw queryError('invalidArguments', { name });
+        }
+        keyType = type;
+        return key;
+    };
+};
+
+/**
+ * 按键取最大（direction 为 1）或最小（-1）的元素，空数组为 null
+ */
+const extremeBy = (list, getKey, direction) => {
+    let best = null;
+    let bestKey;
+    itemNodes(list).forEach((item) => {
+        const key = getKey(item);
+        if (best === null || (direction > 0 ? key > bestKey : key < bestKey)) {
+            best = item;
+            bestKey = key;
+        }
+    });
+    return best || NULL_NODE;
+};
+
+const callFunction = (name, args, current) => {
+    const fn = FUNCTIONS[name];
+    if (!fn) throw queryError('unknownFunction', { name });
+    const values = args.map(arg => (arg.type === 'expref' ? { ...NULL_NODE, expref: arg.expression } : evaluate(arg, current)));
+    const variadic = fn.signature[fn.signature.length - 1].startsWith('...');
+    const fixed = variadic ? fn.signature.length - 1 : fn.signature.length;
+    if (variadic ? values.length < Math.max(fixed, 1) : values.length !== fixed) {
+        throw queryError('invalidArguments', { name });
+    }
+    values.forEach((node, i) => {
+        const type = i < fixed ? fn.signature[i] : fn.signature[fixed].slice(3);
+        if (!matchesType(node, type)) throw queryError('invalidArguments', { name });
+    });
+    return fn.call(values);
+};
+
+/**
+ * 对投影的每个元素求值，去掉结果为 null 的元素
+ */
+const project = (nodes, right) => listNode(nodes.map(node => evaluate(right, node)).filter(node => node.value !== null));
+
+/**
+ * 在节点上求值
+ * @param {Object} ast - 语法树
+ * @param {Object} node - 当前节点 { value, path, items? }
+ * @returns {Object} 结果节点
+ */
+const evaluate = (ast, node) => {
+    const { value } = node;
+    switch (ast.type) {
+        case 'identity':
+        case 'current':
+            return node;
+        case 'literal':
+            return computed(ast.value);
+        case 'field':
+            return isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, ast.name)
+                ? childNode(node, ast.name)
+                : NULL_NODE;
+        case 'subexpression':
+            return evaluate(ast.right, evaluate(ast.left, node));
+        case 'pipe':
+            return evaluate(ast.right, evaluate(ast.left, node));
+        case 'indexExpression':
+            return evaluate(ast.right, evaluate(ast.left, node));
+        case 'index': {
+            if (!Array.isArray(value)) return NULL_NODE;
+            const index = ast.index < 0 ? value.length + ast.index : ast.index;
+            return index >= 0 && index < value.length ? itemNodes(node)[index] : NULL_NODE;
+        }
+        case 'slice': {
+            if (!Array.isArray(value)) return NULL_NODE;
+            if (ast.step === 0) throw queryError('invalidArguments', { name: 'slice' });
+            const items = itemNodes(node);
+            return listNode(sliceIndexes(value.length, ast.start, ast.end, ast.step).map(index => items[index]));
+        }
+        case 'projection': {
+            const base = evaluate(ast.left, node);
+            return Array.isArray(base.value) ? project(itemNodes(base), ast.right) : NULL_NODE;
+        }
+        case 'valueProjection': {
+            const base = evaluate(ast.left, node);
+            return isPlainObject(base.value) ? project(childNodes(base), ast.right) : NULL_NODE;
+        }
+        case 'filterProjection': {
+            const base = evaluate(ast.left, node);
+            if (!Array.isArray(base.value)) return NULL_NODE;
+            const matched = itemNodes(base).filter(item => isTruthy(evaluate(ast.condition, item).value));
+            return project(matched, ast.right);
+        }
+        case 'flatten': {
+            const base = evaluate(ast.expression, node);
+            if (!Array.isArray(base.value)) return NULL_NODE;
+            return listNode(itemNodes(base).flatMap(item => (Array.isArray(item.value) ? itemNodes(item) : [item])));
+        }
+        case 'multiSelectList':
+            return value === null ? NULL_NODE : listNode(ast.items.map(item => evaluate(item, node)));
+        case 'multiSelectHash': {
+            if (value === null) return NULL_NODE;
+            const result = {};
+            const items = ast.entries.map(({ key, value: expression }) => {
+                const item = evaluate(expression, node);
+                result[key] = item.value;
+                return item;
+            });
+            return computed(result, items);
+        }
+        case 'or': {
+            const left = evaluate(ast.left, node);
+            return isTruthy(left.value) ? left : evaluate(ast.right, node);
+        }
+        case 'and': {
+            const left = evaluate(ast.left, node);
+            return isTruthy(left.value) ? evaluate(ast.right, node) : left;
+        }
+        case 'not':
+            return computed(!isTruthy(evaluate(ast.expression, node).value));
+        case 'comparator': {
+            const left = evaluate(ast.left, node).value;
+            const right = evaluate(ast.right, node).value;
+            if (ast.operator === '==') return computed(deepEqual(left, right));
+            if (ast.operator === '!=') return computed(!deepEqual(left, right));
+            if (typeof left !== 'number' || typeof right !== 'number') return NULL_NODE;
+            switch (ast.operator) {
+                case '<': return computed(left < right);
+                case '<=': return computed(left <= right);
+                case '>': return computed(left > right);
+                default: return computed(left >= right);
+            }
+        }
+        case 'function':
+            return callFunction(ast.name, ast.args, node);
+        case 'expref':
+            throw queryError('invalidArguments', { name: '&' });
+        default:
+            throw queryError('syntax', { position: 1 });
+    }
+};
+
+/**
+ * 执行 JMESPath 查询
+ * @param {string} query - JMESPath 表达式
+ * @param {*} data - 已解析的 JSON 数据
+ * @returns {Object} 结果节点 { value, path, items? }
+ * @throws {Error} 语法错误、未知函数或参数类型错误，code 见 jsonValue.js 中的 queryError
+ */
+export const queryJmesPath = (query, data) => evaluate(parseJmesPath(query), { value: data, path: [] });
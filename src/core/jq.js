@@ -0,0 +1,1061 @@
+/**
+ * jq 查询（常用子集）
+ * 纯函数实现，每个过滤器对输入产生零个或多个输出，支持：
+ *
+ *   .  .foo  .foo.bar  ."foo"  .[0]  .[-1]  .[2:4]  .[]  .foo?  ..
+ *   管道 |、逗号 ,、括号、替代 //、and / or / not、== != < <= > >=、+ - * / %
+ *   数组和对象构造 [...] {a, b: .c, (.k): .v}、字符串插值 "\(.a)"、@base64 等格式
+ *   if ... then ... elif ... else ... end、. as $x | ...、reduce .[] as $x (0; . + $x)
+ *   select、map、map_values、to_entries、with_entries、sort_by、group_by、unique_by、min_by、
+ *   first、last、limit、range、path、paths、del、test、split、join 等内置函数（见 BUILTINS）
+ *
+ * 不支持自定义函数（def）、try/catch、label、输入输出相关的函数和赋值运算符，
+ * 使用时报告 unsupported 错误（见 UNSUPPORTED_KEYWORDS、UNSUPPORTED_OPERATORS）。
+ */
+import {
+    queryError,
+    isPlainObject,
+    getJsonType,
+    deepEqual,
+    compareJson,
+    computed,
+    childNode,
+    childNodes,
+    descendantNodes,
+    sliceIndexes,
+} from './jsonValue';
+import { encodeBase64, decodeBase64 } from './base64';
+
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const NUMBER = /(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y;
+const WHITESPACE = ' \t\n\r';
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', '/': '/', '\\': '\\', '"': '"' };
+
+/**
+ * 运算符和标点，较长的放在前面
+ */
+const PUNCTUATORS = ['..', '//', '==', '!=', '<=', '>=', '|', ',', '.', '[', ']', '{', '}', '(', ')', ':', ';', '?',
+    '<', '>', '+', '-', '*', '/', '%'];
+
+/**
+ * 不支持的赋值运算符，较长的放在前面
+ */
+const UNSUPPORTED_OPERATORS = ['//=', '|=', '+=', '-=', '*=', '/=', '%=', '='];
+
+/**
+ * 不支持的语法关键字
+ */
+const UNSUPPORTED_KEYWORDS = ['def', 'try', 'catch', 'label'];
+
+/**
+ * 不能作为函数名的关键字
+ */
+const KEYWORDS = ['if', 'then', 'elif', 'else', 'end', 'as', 'and', 'or', 'reduce'];
+
+/**
+ * 词法分析
+ * @param {string} source - jq 表达式
+ * @param {number} offset - source 在整个表达式中的起始位置（字符串插值中的表达式）
+ * @returns {Array} [{ type, value, position }]
+ */
+const tokenize = (source, offset = 0) => {
+    const tokens = [];
+    let i = 0;
+    const fail = (position = i) => {
+        throw queryError('syntax', { position: offset + position + 1 });
+    };
+
+    // 字符串：parts 为文本和插值表达式 { source, offset } 交替组成的列表
+    const readString = () => {
+        const start = i;
+        const parts = [];
+        let text = '';
+        i++;
+        while (i < source.length && source[i] !== '"') {
+            if (source[i] !== '\\') {
+                text += source[i++];
+                continue;
+            }
+            const escape = source[i + 1];
+            if (escape === '(') {
+                // 找到匹配的右括号，跳过其中的字符串
+                let depth = 1;
+                let j = i + 2;
+                let inString = false;
+                while (j < source.length && depth > 0) {
+                    const char = source[j];
+                    if (inString) {
+                        if (char === '\\') j++;
+                        else if (char === '"') inString = false;
+                    } else if (char === '"') {
+                        inString = true;
+                    } else if (char === '(') {
+                        depth++;
+                    } else if (char === ')') {
+                        depth--;
+                    }
+                    j++;
+                }
+                if (depth > 0) fail(start);
+                parts.push(text, { source: source.slice(i + 2, j - 1), offset: offset + i + 2 });
+                text = '';
+                i = j;
+            } else if (escape === 'u') {
+                const hex = source.slice(i + 2, i + 6);
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail();
+                text += String.fromCharCode(parseInt(hex, 16));
+                i += 6;
+            } else if (escape in ESCAPES) {
+                text += ESCAPES[escape];
+                i += 2;
+            } else {
+                fail();
+            }
+        }
+        if (i >= source.length) fail(start);
+        i++;
+        parts.push(text);
+        return parts;
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const position = i;
+        const push = (type, value) => tokens.push({ type, value, position: offset + position });
+
+        if (WHITESPACE.includes(char)) {
+            i++;
+            continue;
+        }
+        if (char === '#') {
+            // 注释到行尾
+            while (i < source.length && source[i] !== '\n') i++;
+            continue;
+        }
+        if (char === '"') {
+            push('string', readString());
+            continue;
+        }
+        if (char === '.' && /[A-Za-z_]/.test(source[i + 1] || '')) {
+            IDENTIFIER.lastIndex = i + 1;
+            const name = IDENTIFIER.exec(source)[0];
+            i += name.length + 1;
+            push('field', name);
+            continue;
+        }
+        NUMBER.lastIndex = i;
+        const number = (char >= '0' && char <= '9') || (char === '.' && /\d/.test(source[i + 1] || ''))
+            ? NUMBER.exec(source)
+            : null;
+        if (number) {
+            i += number[0].length;
+            push('number', Number(number[0]));
+            continue;
+        }
+        if (char === '$' || char === '@' || /[A-Za-z_]/.test(char)) {
+            IDENTIFIER.lastIndex = char === '$' || char === '@' ? i + 1 : i;
+            const match = IDENTIFIER.exec(source);
+            if (!match) fail();
+            i = IDENTIFIER.lastIndex;
+            push({ $: 'variable', '@': 'format' }[char] || 'identifier', match[0]);
+            continue;
+        }
+        const unsupported = source.startsWith('==', i) ? null : UNSUPPORTED_OPERATORS.find(p => source.startsWith(p, i));
+        if (unsupported) {
+            throw queryError('unsupported', { feature: unsupported, position: offset + i + 1 });
+        }
+        const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punctuator) fail();
+        i += punctuator.length;
+        push(punctuator);
+    }
+    tokens.push({ type: 'eof', position: offset + source.length });
+    return tokens;
+};
+
+/**
+ * 语法分析（递归下降），返回语法树
+ * 优先级从低到高：管道、逗号、替代、or、and、比较、加减、乘除取余、一元负号、后缀（.foo [..] ?）
+ * @param {string} source
+ * @param {number} offset
+ * @returns {Object}
+ */
+const parseJq = (source, offset = 0) => {
+    const tokens = tokenize(source, offset);
+    let index = 0;
+    const peek = (ahead = 0) => tokens[Math.min(index + ahead, tokens.length - 1)];
+    const fail = (token = peek()) => {
+        throw queryError('syntax', { position: token.position + 1 });
+    };
+    const advance = () => tokens[index++];
+    const is = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+    const isKeyword = (word) => is('identifier', word);
+    const eat = (type) => {
+        if (!is(type)) return false;
+        advance();
+        return true;
+    };
+    const expect = (type) => {
+        if (!is(type)) fail();
+        return advance();
+    };
+    const expectKeyword = (word) => {
+        if (!isKeyword(word)) fail();
+        advance();
+    };
+
+    const binary = (operators, next) => () => {
+        let left = next();
+        while (operators.includes(peek().type) || (peek().type === 'identifier' && operators.includes(peek().value))) {
+            const operator = advance();
+            left = { type: 'binary', operator: operator.value || operator.type, left, right: next() };
+        }
+        return left;
+    };
+
+    function parsePipe(noComma = false) {
+        const left = noComma ? parseAlternative() : parseComma();
+        if (eat('|')) return { type: 'pipe', left, right: parsePipe(noComma) };
+        return left;
+    }
+
+    function parseComma() {
+        let left = parseAlternative();
+        while (eat(',')) {
+            left = { type: 'comma', left, right: parseAlternative() };
+        }
+        return left;
+    }
+
+    // 右结合
+    function parseAlternative() {
+        const left = parseOr();
+        if (eat('//')) return { type: 'alternative', left, right: parseAlternative() };
+        return left;
+    }
+
+    const parseUnary = () => {
+        if (eat('-')) return { type: 'negate', expression: parseUnary() };
+        return parsePostfix();
+    };
+    const parseMultiplicative = binary(['*', '/', '%'], parseUnary);
+    const parseAdditive = binary(['+', '-'], parseMultiplicative);
+
+    const parseComparison = () => {
+        const left = parseAdditive();
+        if (['==', '!=', '<', '<=', '>', '>='].includes(peek().type)) {
+            const operator = advance().type;
+            return { type: 'binary', operator, left, right: parseAdditive() };
+        }
+        return left;
+    };
+    const parseAnd = binary(['and'], parseComparison);
+    const parseOr = binary(['or'], parseAnd);
+
+    // 下标或切片：.[expr]、.[a:b]、.[]
+    const parseBracket = (target) => {
+        expect('[');
+        if (eat(']')) return { type: 'iterate', target };
+        if (eat(':')) {
+            const end = parsePipe();
+            expect(']');
+            return { type: 'slice', target, start: null, end };
+        }
+        const key = parsePipe();
+        if (eat(':')) {
+            const end = is(']') ? null : parsePipe();
+            expect(']');
+            return { type: 'slice', target, start: key, end };
+        }
+        expect(']');
+        return { type: 'index', target, key };
+    };
+
+    function parsePostfix(allowAs = true) {
+        let term = parsePrimary();
+        for (;;) {
+            if (is('field')) {
+                term = { type: 'index', target: term, key: { type: 'literal', value: advance().value } };
+            } else if (is('.') && peek(1).type === 'string') {
+                advance();
+                term = { type: 'index', target: term, key: parseString(advance()) };
+            } else if (is('.') && peek(1).type === '[') {
+                advance();
+                term = parseBracket(term);
+            } else if (is('[')) {
+                term = parseBracket(term);
+            } else if (is('?')) {
+                advance();
+                term = { type: 'try', expression: term };
+            } else {
+                break;
+            }
+        }
+        if (allowAs && isKeyword('as')) {
+            advance();
+            const name = expect('variable').value;
+            expect('|');
+            return { type: 'as', source: term, name, body: parsePipe() };
+        }
+        return term;
+    }
+
+    const parseString = (token) => {
+        const parts = token.value.map(part => (typeof part === 'string' ? part : parseJq(part.source, part.offset)));
+        return parts.length === 1 ? { type: 'literal', value: parts[0] } : { type: 'string', parts };
+    };
+
+    const parseObject = () => {
+        const entries = [];
+        if (eat('}')) return { type: 'object', entries };
+        for (;;) {
+            const token = advance();
+            let key;
+            let value = null;
+            if (token.type === 'identifier' || token.type === 'field') {
+                key = { type: 'literal', value: token.value };
+            } else if (token.type === 'variable') {
+                key = { type: 'literal', value: token.value };
+                value = { type: 'variable', name: token.value };
+            } else if (token.type === 'string') {
+                key = parseString(token);
+            } else if (token.type === 'number') {
+                key = { type: 'literal', value: token.value };
+            } else if (token.type === '(') {
+                key = parsePipe();
+                expect(')');
+            } else {
+                fail(token);
+            }
+            if (eat(':')) {
+                value = parsePipe(true);
+            } else if (!value) {
+                // {a} 是 {a: .a} 的简写
+                value = { type: 'index', target: { type: 'identity' }, key };
+            }
+            entries.push({ key, value });
+            if (eat('}')) return { type: 'object', entries };
+            expect(',');
+        }
+    };
+
+    const parseIf = () => {
+        const condition = parsePipe();
+        expectKeyword('then');
+        const then = parsePipe();
+        let otherwise = { type: 'identity' };
+        if (isKeyword('elif')) {
+            advance();
+            otherwise = parseIf();
+            return { type: 'if', condition, then, otherwise };
+        }
+        if (isKeyword('else')) {
+            advance();
+            otherwise = parsePipe();
+        }
+        expectKeyword('end');
+        return { type: 'if', condition, then, otherwise };
+    };
+
+    function parsePrimary() {
+        const token = advance();
+        switch (token.type) {
+            case '.':
+                if (is('string')) return { type: 'index', target: { type: 'identity' }, key: parseString(advance()) };
+                return { type: 'identity' };
+            case 'field':
+                return { type: 'index', target: { type: 'identity' }, key: { type: 'literal', value: token.value } };
+            case '..':
+                return { type: 'recurse' };
+            case 'number':
+                return { type: 'literal', value: token.value };
+            case 'string':
+                return parseString(token);
+            case 'format':
+                return { type: 'format', name: token.value };
+            case 'variable':
+                return { type: 'variable', name: token.value };
+            case '(': {
+                const expression = parsePipe();
+                expect(')');
+                return expression;
+            }
+            case '[': {
+                if (eat(']')) return { type: 'array', expression: null };
+                const expression = parsePipe();
+                expect(']');
+                return { type: 'array', expression };
+            }
+            case '{':
+                return parseObject();
+            case 'identifier':
+                break;
+            default:
+                return fail(token);
+        }
+
+        const name = token.value;
+        if (name === 'true' || name === 'false') return { type: 'literal', value: name === 'true' };
+        if (name === 'null') return { type: 'literal', value: null };
+        if (name === 'if') return parseIf();
+        if (name === 'reduce') {
+            const source = parsePostfix(false);
+            expectKeyword('as');
+            const variable = expect('variable').value;
+            expect('(');
+            const init = parsePipe();
+            expect(';');
+            const update = parsePipe();
+            expect(')');
+            return { type: 'reduce', source, name: variable, init, update };
+        }
+        if (KEYWORDS.includes(name)) fail(token);
+        if (UNSUPPORTED_KEYWORDS.includes(name)) throw queryError('unsupported', { feature: name, position: token.position + 1 });
+
+        const args = [];
+        if (eat('(')) {
+            for (;;) {
+                args.push(parsePipe());
+                if (eat(')')) break;
+                expect(';');
+            }
+        }
+        if (!BUILTINS[`${name}/${args.length}`]) throw queryError('unknownFunction', { name: `${name}/${args.length}` });
+        return { type: 'call', name: `${name}/${args.length}`, args };
+    }
+
+    const ast = parsePipe();
+    if (!is('eof')) fail();
+    return ast;
+};
+
+/**
+ * jq 的真值：只有 false 和 null 为假
+ */
+const isTruthy = (value) => value !== false && value !== null;
+
+const bool = (value) => computed(value);
+
+/**
+ * 由节点列表组成的数组节点
+ */
+const listNode = (nodes) => computed(nodes.map(node => node.value), nodes);
+
+/**
+ * 数组节点的元素节点（构造的数组带有 items）
+ */
+const itemNodes = (node) => node.items || childNodes(node);
+
+/**
+ * 以输入为根求值，用于 path(f)、del(f) 等需要相对路径的函数
+ */
+const relativeRoot = (node) => ({ value: node.value, path: [] });
+
+const typeName = (value) => getJsonType(value);
+
+/**
+ * 对多个参数的输出做笛卡尔积，逐组调用 fn
+ */
+const cartesian = (lists, fn) => {
+    const results = [];
+    const visit = (index, values) => {
+        if (index === lists.length) {
+            results.push(...fn(values));
+            return;
+        }
+        lists[index].forEach(item => visit(index + 1, [...values, item]));
+    };
+    visit(0, []);
+    return results;
+};
+
+/**
+ * 二元运算
+ */
+const ARITHMETIC = {
+    '+': (a, b) => {
+        if (a === null) return b;
+        if (b === null) return a;
+        if (typeof a === 'number' && typeof b === 'number') return a + b;
+        if (typeof a === 'string' && typeof b === 'string') return a + b;
+        if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+        if (isPlainObject(a) && isPlainObject(b)) return { ...a, ...b };
+        return undefined;
+    },
+    '-': (a, b) => {
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (Array.isArray(a) && Array.isArray(b)) return a.filter(item => !b.some(other => deepEqual(item, other)));
+        return undefined;
+    },
+    '*': (a, b) => {
+        if (typeof a === 'number' && typeof b === 'number') return a * b;
+        if (typeof a === 'string' && typeof b === 'number') return b > 0 ? a.repeat(Math.ceil(b)) : null;
+        if (typeof a === 'number' && typeof b === 'string') return a > 0 ? b.repeat(Math.ceil(a)) : null;
+        if (isPlainObject(a) && isPlainObject(b)) return deepMerge(a, b);
+        return undefined;
+    },
+    '/': (a, b) => {
+        if (typeof a === 'number' && typeof b === 'number') return b === 0 ? undefined : a / b;
+        if (typeof a === 'string' && typeof b === 'string') return a.split(b);
+        return undefined;
+    },
+    '%': (a, b) => {
+        if (typeof a === 'number' && typeof b === 'number' && Math.trunc(b) !== 0) {
+            return Math.trunc(a) % Math.trunc(b);
+        }
+        return undefined;
+    },
+};
+
+const deepMerge = (a, b) => {
+    const result = { ...a };
+    Object.entries(b).forEach(([key, value]) => {
+        result[key] = isPlainObject(result[key]) && isPlainObject(value) ? deepMerge(result[key], value) : value;
+    });
+    return result;
+};
+
+const COMPARISONS = {
+    '==': (a, b) => deepEqual(a, b),
+    '!=': (a, b) => !deepEqual(a, b),
+    '<': (a, b) => compareJson(a, b) < 0,
+    '<=': (a, b) => compareJson(a, b) <= 0,
+    '>': (a, b) => compareJson(a, b) > 0,
+    '>=': (a, b) => compareJson(a, b) >= 0,
+};
+
+const applyBinary = (operator, left, right) => {
+    if (COMPARISONS[operator]) return bool(COMPARISONS[operator](left.value, right.value));
+    const result = ARITHMETIC[operator](left.value, right.value);
+    if (result === undefined) {
+        throw queryError('invalidOperands', { operator, left: typeName(left.value), right: typeName(right.value) });
+    }
+    return computed(result);
+};
+
+/**
+ * 取下标或键
+ */
+const indexNode = (target, key) => {
+    const { value } = target;
+    if (value === null && (typeof key === 'string' || typeof key === 'number')) return computed(null);
+    if (isPlainObject(value) && typeof key === 'string') {
+        return Object.prototype.hasOwnProperty.call(value, key) ? childNode(target, key) : computed(null);
+    }
+    if (Array.isArray(value) && typeof key === 'number') {
+        const position = Math.floor(key < 0 ? value.length + key : key);
+        return position >= 0 && position < value.length ? itemNodes(target)[position] : computed(null);
+    }
+    throw queryError('cannotIndex', { type: typeName(value), key: typeof key === 'string' ? `"${key}"` : typeName(key) });
+};
+
+const sliceNode = (target, start, end) => {
+    const { value } = target;
+    if (value === null) return computed(null);
+    const toIndex = (bound) => (bound === null ? null : Math.floor(bound));
+    if ((start !== null && typeof start !== 'number') || (end !== null && typeof end !== 'number')) {
+        throw queryError('cannotIndex', { type: typeName(value), key: 'object' });
+    }
+    if (typeof value === 'string') {
+        const chars = [...value];
+        return computed(sliceIndexes(chars.length, toIndex(start), toIndex(end), 1).map(i => chars[i]).join(''));
+    }
+    if (Array.isArray(value)) {
+        const items = itemNodes(target);
+        return listNode(sliceIndexes(value.length, toIndex(start), toIndex(end), 1).map(i => items[i]));
+    }
+    throw queryError('cannotIndex', { type: typeName(value), key: 'object' });
+};
+
+const iterate = (node) => {
+    if (Array.isArray(node.value)) return itemNodes(node);
+    if (isPlainObject(node.value)) return node.items && node.items.length === Object.keys(node.value).length
+        ? node.items
+        : childNodes(node);
+    throw queryError('cannotIterate', { type: typeName(node.value) });
+};
+
+/**
+ * 字符串插值中值的文本形式
+ */
+const toText = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * @格式
+ */
+const FORMATS = {
+    text: toText,
+    json: value => JSON.stringify(value),
+    base64: value => encodeBase64(toText(value)),
+    base64d: (value) => {
+        try {
+            return decodeBase64(toText(value));
+        } catch {
+            throw queryError('invalidArguments', { name: '@base64d' });
+        }
+    },
+    uri: value => encodeURIComponent(toText(value)),
+    html: value => toText(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`),
+    csv: value => formatRow(value, '@csv', ',', item => `"${item.replace(/"/g, '""')}"`),
+    tsv: value => formatRow(value, '@tsv', '\t', item => item.replace(/[\\\t\n\r]/g, char => ({
+        '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r',
+    })[char])),
+};
+
+const formatRow = (value, name, separator, quote) => {
+    if (!Array.isArray(value)) throw queryError('invalidArguments', { name });
+    return value.map((item) => {
+        if (typeof item === 'string') return quote(item);
+        if (item === null) return '';
+        if (isPlainObject(item) || Array.isArray(item)) throw queryError('invalidArguments', { name });
+        return String(item);
+    }).join(separator);
+};
+
+/**
+ * 按节点的位置取值，不存在时为 null
+ */
+const getPath = (node, path) => path.reduce((current, key) => {
+    if (current.value === null) return computed(null);
+    return indexNode(current, key);
+}, node);
+
+/**
+ * 删除 paths 中的所有位置，返回新的值
+ */
+const deletePaths = (value, paths) => {
+    const clone = JSON.parse(JSON.stringify(value));
+    // 从后往前删除，避免数组下标错位
+    const sorted = [...paths].sort((a, b) => compareJson(b, a));
+    sorted.forEach((path) => {
+        if (path.length === 0) return;
+        const parent = path.slice(0, -1).reduce((current, key) => (current == null ? current : current[key]), clone);
+        const key = path[path.length - 1];
+        if (Array.isArray(parent) && typeof key === 'number') {
+            parent.splice(key < 0 ? parent.length + key : key, 1);
+        } else if (isPlainObject(parent)) {
+            delete parent[key];
+        }
+    });
+    return clone;
+};
+
+const requireType = (value, type, name) => {
+    if (getJsonType(value) !== type) throw queryError('invalidArguments', { name });
+    return value;
+};
+
+/**
+ * 按 f 的结果分组或排序时使用的键
+ */
+const keyed = (node, f, env, name) => {
+    requireType(node.value, 'array', name);
+    return itemNodes(node).map(item => ({ item, key: evaluate(f, item, env).map(out => out.value) }));
+};
+
+const sortKeyed = (entries) => [...entries].sort((a, b) => compareJson(a.key, b.key));
+
+/**
+ * 按元素的 jq 排序规则取最小或最大的元素
+ */
+const extreme = (entries, direction) => {
+    if (entries.length === 0) return [computed(null)];
+    return [entries.reduce((best, entry) => {
+        const diff = compareJson(entry.key, best.key);
+        return (direction > 0 ? diff >= 0 : diff < 0) ? entry : best;
+    }).item];
+};
+
+/**
+ * 把参数对当前输入求值后逐组调用 fn(input, ...values)
+ */
+const withValues = (fn) => (input, args, env) => cartesian(
+    args.map(arg => evaluate(arg, input, env).map(node => node.value)),
+    values => [fn(input, ...values)],
+);
+
+/**
+ * 只需要输入值的函数
+ */
+const valueFn = (fn) => withValues((input, ...values) => computed(fn(input.value, ...values)));
+
+const typeFilter = (check) => (input) => (check(input.value) ? [input] : []);
+
+const addAll = (values) => values.reduce((sum, value) => (sum === null ? value : applyBinary('+', computed(sum), computed(value)).value), null);
+
+const containsValue = (a, b) => {
+    if (typeof a === 'string' && typeof b === 'string') return a.includes(b);
+    if (Array.isArray(a) && Array.isArray(b)) return b.every(item => a.some(other => containsValue(other, item)));
+    if (isPlainObject(a) && isPlainObject(b)) {
+        return Object.keys(b).every(key => Object.prototype.hasOwnProperty.call(a, key) && containsValue(a[key], b[key]));
+    }
+    if (getJsonType(a) !== getJsonType(b)) throw queryError('invalidArguments', { name: 'contains' });
+    return deepEqual(a, b);
+};
+
+const toRegExp = (pattern, flags = '') => {
+    if (typeof pattern !== 'string' || typeof flags !== 'string') throw queryError('invalidArguments', { name: 'test' });
+    try {
+        return new RegExp(pattern, `u${flags.replace(/[^imsx]/g, '').replace('x', '')}`);
+    } catch (err) {
+        throw queryError('invalidRegex', { message: err.message });
+    }
+};
+
+const FROM_ENTRY_KEYS = ['key', 'k', 'name', 'Name', 'Key', 'K'];
+const FROM_ENTRY_VALUES = ['value', 'v', 'Value', 'V'];
+
+/**
+ * 内置函数，键为「名称/参数个数」
+ * 参数为未求值的语法树，返回输出节点列表
+ */
+const BUILTINS = {
+    'empty/0': () => [],
+    'not/0': input => [bool(!isTruthy(input.value))],
+    'length/0': valueFn((value) => {
+        if (value === null) return 0;
+        if (typeof value === 'number') return Math.abs(value);
+        if (typeof value === 'string') return [...value].length;
+        if (Array.isArray(value)) return value.length;
+        if (isPlainObject(value)) return Object.keys(value).length;
+        throw queryError('invalidArguments', { name: 'length' });
+    }),
+    'keys/0': valueFn(value => (Array.isArray(value)
+        ? value.map((_, i) => i)
+        : Object.keys(requireType(value, 'object', 'keys')).sort())),
+    'keys_unsorted/0': valueFn(value => (Array.isArray(value) ? value.map((_, i) => i) : Object.keys(requireType(value, 'object', 'keys_unsorted')))),
+    'has/1': valueFn((value, key) => {
+        if (isPlainObject(value) && typeof key === 'string') return Object.prototype.hasOwnProperty.call(value, key);
+        if (Array.isArray(value) && typeof key === 'number') return key >= 0 && key < value.length;
+        throw queryError('invalidArguments', { name: 'has' });
+    }),
+    'contains/1': valueFn((value, other) => containsValue(value, other)),
+    'type/0': valueFn(value => typeName(value)),
+    'select/1': (input, [f], env) => evaluate(f, input, env).filter(out => isTruthy(out.value)).map(() => input),
+    'map/1': (input, [f], env) => [listNode(iterate(input).flatMap(item => evaluate(f, item, env)))],
+    'map_values/1': (input, [f], env) => {
+        if (Array.isArray(input.value)) {
+            return [listNode(itemNodes(input).flatMap(item => evaluate(f, item, env).slice(0, 1)))];
+        }
+        requireType(input.value, 'object', 'map_values');
+        const result = {};
+        const items = [];
+        Object.keys(input.value).forEach((key) => {
+            const [first] = evaluate(f, childNode(input, key), env);
+            if (first) {
+                result[key] = first.value;
+                items.push(first);
+            }
+        });
+        return [computed(result, items)];
+    },
+    'recurse/0': input => descendantNodes(input),
+    'recurse/1': (input, [f], env) => {
+        const results = [];
+        const visit = (node) => {
+            results.push(node);
+            evaluate(f, node, env).forEach(visit);
+        };
+        visit(input);
+        return results;
+    },
+    'to_entries/0': (input) => {
+        requireType(input.value, 'object', 'to_entries');
+        const entries = Object.keys(input.value).map((key) => {
+            const child = childNode(input, key);
+            return computed({ key, value: child.value }, [child]);
+        });
+        return [listNode(entries)];
+    },
+    'from_entries/0': valueFn((value) => {
+        requireType(value, 'array', 'from_entries');
+        return Object.fromEntries(value.map((entry) => {
+            if (!isPlainObject(entry)) throw queryError('invalidArguments', { name: 'from_entries' });
+            const keyName = FROM_ENTRY_KEYS.find(name => entry[name] !== undefined && entry[name] !== null);
+            const valueName = FROM_ENTRY_VALUES.find(name => entry[name] !== undefined);
+            const key = keyName ? entry[keyName] : null;
+            if (typeof key !== 'string' && typeof key !== 'number' && typeof key !== 'boolean') {
+                throw queryError('invalidArguments', { name: 'from_entries' });
+            }
+            return [String(key), valueName ? entry[valueName] : null];
+        }));
+    }),
+    'with_entries/1': (input, [f], env) => {
+        const [entries] = BUILTINS['to_entries/0'](input);
+        const mapped = iterate(entries).flatMap(entry => evaluate(f, entry, env));
+        return BUILTINS['from_entries/0'](listNode(mapped), [], env);
+    },
+    'add/0': input => [computed(addAll(iterate(input).map(node => node.value)))],
+    'any/0': input => [bool(iterate(input).some(node => isTruthy(node.value)))],
+    'all/0': input => [bool(iterate(input).every(node => isTruthy(node.value)))],
+    'any/1': (input, [f], env) => [bool(iterate(input).some(item => evaluate(f, item, env).some(out => isTruthy(out.value))))],
+    'all/1': (input, [f], env) => [bool(iterate(input).every(item => evaluate(f, item, env).every(out => isTruthy(out.value))))],
+    'flatten/0': input => BUILTINS['flatten/1'](input, [{ type: 'literal', value: Infinity }], {}),
+    'flatten/1': withValues((input, depth) => {
+        requireType(input.value, 'array', 'flatten');
+        if (typeof depth !== 'number' || depth < 0) throw queryError('invalidArguments', { name: 'flatten' });
+        const flatten = (nodes, level) => nodes.flatMap(node => (Array.isArray(node.value) && level > 0
+            ? flatten(itemNodes(node), level - 1)
+            : [node]));
+        return listNode(flatten(itemNodes(input), depth));
+    }),
+    'range/1': (input, [n], env) => evaluate(n, input, env).flatMap(({ value }) => {
+        requireType(value, 'number', 'range');
+        return Array.from({ length: Math.max(0, Math.ceil(value)) }, (_, i) => computed(i));
+    }),
+    'range/2': (input, args, env) => cartesian(args.map(arg => evaluate(arg, input, env)), ([from, to]) => {
+        requireType(from.value, 'number', 'range');
+        requireType(to.value, 'number', 'range');
+        const results = [];
+        for (let i = from.value; i < to.value; i++) results.push(computed(i));
+        return results;
+    }),
+    'floor/0': valueFn(value => Math.floor(requireType(value, 'number', 'floor'))),
+    'ceil/0': valueFn(value => Math.ceil(requireType(value, 'number', 'ceil'))),
+    'round/0': valueFn(value => Math.round(requireType(value, 'number', 'round'))),
+    'sqrt/0': valueFn(value => Math.sqrt(requireType(value, 'number', 'sqrt'))),
+    'fabs/0': valueFn(value => Math.abs(requireType(value, 'number', 'fabs'))),
+    'abs/0': valueFn(value => Math.abs(requireType(value, 'number', 'abs'))),
+    'tostring/0': valueFn(value => toText(value)),
+    'tonumber/0': valueFn((value) => {
+        if (typeof value === 'number') return value;
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+        if (!Number.isFinite(number)) throw queryError('invalidArguments', { name: 'tonumber' });
+        return number;
+    }),
+    'tojson/0': valueFn(value => JSON.stringify(value)),
+    'fromjson/0': valueFn((value) => {
+        try {
+            return JSON.parse(requireType(value, 'string', 'fromjson'));
+        } catch {
+            throw queryError('invalidArguments', { name: 'fromjson' });
+        }
+    }),
+    'ascii_downcase/0': valueFn(value => requireType(value, 'string', 'ascii_downcase').replace(/[A-Z]/g, c => c.toLowerCase())),
+    'ascii_upcase/0': valueFn(value => requireType(value, 'string', 'ascii_upcase').replace(/[a-z]/g, c => c.toUpperCase())),
+    'ltrimstr/1': valueFn((value, prefix) => (typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix)
+        ? value.slice(prefix.length)
+        : value)),
+    'rtrimstr/1': valueFn((value, suffix) => (typeof value === 'string' && typeof suffix === 'string' && suffix && value.endsWith(suffix)
+        ? value.slice(0, -suffix.length)
+        : value)),
+    'trim/0': valueFn(value => requireType(value, 'string', 'trim').trim()),
+    'ltrim/0': valueFn(value => requireType(value, 'string', 'ltrim').trimStart()),
+    'rtrim/0': valueFn(value => requireType(value, 'string', 'rtrim').trimEnd()),
+    'startswith/1': valueFn((value, prefix) => {
+        if (typeof value !== 'string' || typeof prefix !== 'string') throw queryError('invalidArguments', { name: 'startswith' });
+        return value.startsWith(prefix);
+    }),
+    'endswith/1': valueFn((value, suffix) => {
+        if (typeof value !== 'string' || typeof suffix !== 'string') throw queryError('invalidArguments', { name: 'endswith' });
+        return value.endsWith(suffix);
+    }),
+    'split/1': valueFn((value, separator) => {
+        if (typeof value !== 'string' || typeof separator !== 'string') throw queryError('invalidArguments', { name: 'split' });
+        return value.split(separator);
+    }),
+    'join/1': valueFn((value, separator) => {
+        requireType(value, 'array', 'join');
+        if (typeof separator !== 'string') throw queryError('invalidArguments', { name: 'join' });
+        return value.map((item) => {
+            if (item === null) return '';
+            if (typeof item === 'object') throw queryError('invalidArguments', { name: 'join' });
+            return String(item);
+        }).join(separator);
+    }),
+    'test/1': valueFn((value, pattern) => toRegExp(pattern).test(requireType(value, 'string', 'test'))),
+    'test/2': valueFn((value, pattern, flags) => toRegExp(pattern, flags).test(requireType(value, 'string', 'test'))),
+    'explode/0': valueFn(value => [...requireType(value, 'string', 'explode')].map(char => char.codePointAt(0))),
+    'implode/0': valueFn(value => String.fromCodePoint(...requireType(value, 'array', 'implode'))),
+    'sort/0': (input) => {
+        requireType(input.value, 'array', 'sort');
+        return [listNode(sortKeyed(itemNodes(input).map(item => ({ item, key: item.value }))).map(entry => entry.item))];
+    },
+    'sort_by/1': (input, [f], env) => [listNode(sortKeyed(keyed(input, f, env, 'sort_by')).map(entry => entry.item))],
+    'group_by/1': (input, [f], env) => {
+        const groups = [];
+        sortKeyed(keyed(input, f, env, 'group_by')).forEach((entry) => {
+            const last = groups[groups.length - 1];
+            if (last && deepEqual(last.key, entry.key)) {
+                last.items.push(entry.item);
+            } else {
+                groups.push({ key: entry.key, items: [entry.item] });
+            }
+        });
+        return [listNode(groups.map(group => listNode(group.items)))];
+    },
+    'unique/0': input => BUILTINS['unique_by/1'](input, [{ type: 'identity' }], {}),
+    'unique_by/1': (input, [f], env) => {
+        const unique = [];
+        sortKeyed(keyed(input, f, env, 'unique_by')).forEach((entry) => {
+            const last = unique[unique.length - 1];
+            if (!last || !deepEqual(last.key, entry.key)) unique.push(entry);
+        });
+        return [listNode(unique.map(entry => entry.item))];
+    },
+    'min/0': input => extreme(keyed(input, { type: 'identity' }, {}, 'min'), -1),
+    'max/0': input => extreme(keyed(input, { type: 'identity' }, {}, 'max'), 1),
+    'min_by/1': (input, [f], env) => extreme(keyed(input, f, env, 'min_by'), -1),
+    'max_by/1': (input, [f], env) => extreme(keyed(input, f, env, 'max_by'), 1),
+    'reverse/0': (input) => {
+        if (input.value === null) return [computed([])];
+        if (typeof input.value === 'string') return [computed([...input.value].reverse().join(''))];
+        requireType(input.value, 'array', 'reverse');
+        return [listNode([...itemNodes(input)].reverse())];
+    },
+    'first/0': input => [indexNode(input, 0)],
+    'last/0': input => [indexNode(input, -1)],
+    'nth/1': (input, [n], env) => evaluate(n, input, env).map(({ value }) => indexNode(input, value)),
+    'first/1': (input, [f], env) => evaluate(f, input, env).slice(0, 1),
+    'last/1': (input, [f], env) => evaluate(f, input, env).slice(-1),
+    'limit/2': (input, [n, f], env) => evaluate(n, input, env).flatMap(({ value }) => {
+        requireType(value, 'number', 'limit');
+        return value > 0 ? evaluate(f, input, env).slice(0, value) : [];
+    }),
+    'values/0': typeFilter(value => value !== null),
+    'nulls/0': typeFilter(value => value === null),
+    'booleans/0': typeFilter(value => typeof value === 'boolean'),
+    'numbers/0': typeFilter(value => typeof value === 'number'),
+    'strings/0': typeFilter(value => typeof value === 'string'),
+    'arrays/0': typeFilter(value => Array.isArray(value)),
+    'objects/0': typeFilter(value => isPlainObject(value)),
+    'iterables/0': typeFilter(value => Array.isArray(value) || isPlainObject(value)),
+    'scalars/0': typeFilter(value => !Array.isArray(value) && !isPlainObject(value)),
+    'path/1': (input, [f], env) => evaluate(f, relativeRoot(input), env).map((node) => {
+        if (!node.path) throw queryError('invalidArguments', { name: 'path' });
+        return computed(node.path);
+    }),
+    'paths/0': input => descendantNodes(relativeRoot(input)).slice(1).map(node => computed(node.path)),
+    'leaf_paths/0': input => descendantNodes(relativeRoot(input))
+        .filter(node => !Array.isArray(node.value) && !isPlainObject(node.value) && node.path.length > 0)
+        .map(node => computed(node.path)),
+    'getpath/1': (input, [p], env) => evaluate(p, input, env).map(({ value }) => {
+        requireType(value, 'array', 'getpath');
+        return getPath(input, value);
+    }),
+    'del/1': (input, [f], env) => [computed(deletePaths(input.value, BUILTINS['path/1'](input, [f], env).map(node => node.value)))],
+};
+
+/**
+ * 对输入求值，返回输出节点列表
+ * @param {Object} ast - 语法树
+ * @param {Object} input - 输入节点 { value, path, items? }
+ * @param {Object} env - 变量
+ * @returns {Array}
+ */
+const evaluate = (ast, input, env) => {
+    switch (ast.type) {
+        case 'identity':
+            return [input];
+        case 'literal':
+            return [computed(ast.value)];
+        case 'recurse':
+            return descendantNodes(input);
+        case 'variable':
+            if (!Object.prototype.hasOwnProperty.call(env, ast.name)) {
+                throw queryError('undefinedVariable', { name: `$${ast.name}` });
+            }
+            return [env[ast.name]];
+        case 'format':
+            if (!FORMATS[ast.name]) throw queryError('unknownFunction', { name: `@${ast.name}` });
+            return [computed(FORMATS[ast.name](input.value))];
+        case 'pipe':
+            return evaluate(ast.left, input, env).flatMap(node => evaluate(ast.right, node, env));
+        case 'comma':
+            return [...evaluate(ast.left, input, env), ...evaluate(ast.right, input, env)];
+        case 'alternative': {
+            let left = [];
+            try {
+                left = evaluate(ast.left, input, env).filter(node => isTruthy(node.value));
+            } catch {
+                // 左侧出错时使用右侧的结果
+            }
+            return left.length > 0 ? left : evaluate(ast.right, input, env);
+        }
+        case 'binary': {
+            if (ast.operator === 'and' || ast.operator === 'or') {
+                return evaluate(ast.left, input, env).flatMap((left) => {
+                    const leftTruthy = isTruthy(left.value);
+                    if (ast.operator === 'and' ? !leftTruthy : leftTruthy) return [bool(leftTruthy)];
+                    return evaluate(ast.right, input, env).map(right => bool(isTruthy(right.value)));
+                });
+            }
+            // 与 jq 一致，右侧为外层循环
+            const lefts = evaluate(ast.left, input, env);
+            return evaluate(ast.right, input, env).flatMap(right => lefts.map(left => applyBinary(ast.operator, left, right)));
+        }
+        case 'negate':
+            return evaluate(ast.expression, input, env).map(({ value }) => {
+                if (typeof value !== 'number') throw queryError('invalidOperands', { operator: '-', left: typeName(value), right: '' });
+                return computed(-value);
+            });
+        case 'index': {
+            const keys = evaluate(ast.key, input, env);
+            return evaluate(ast.target, input, env).flatMap(target => keys.map(key => indexNode(target, key.value)));
+        }
+        case 'slice': {
+            const starts = ast.start ? evaluate(ast.start, input, env).map(node => node.value) : [null];
+            const ends = ast.end ? evaluate(ast.end, input, env).map(node => node.value) : [null];
+            return evaluate(ast.target, input, env).flatMap(target => cartesian([starts, ends], ([start, end]) => [sliceNode(target, start, end)]));
+        }
+        case 'iterate':
+            return evaluate(ast.target, input, env).flatMap(iterate);
+        case 'try':
+            try {
+                return evaluate(ast.expression, input, env);
+            } catch {
+                return [];
+            }
+        case 'array':
+            return [listNode(ast.expression ? evaluate(ast.expression, input, env) : [])];
+        case 'object': {
+            const lists = ast.entries.flatMap(({ key, value }) => [
+                evaluate(key, input, env).map((node) => {
+                    if (typeof node.value !== 'string') throw queryError('invalidKey', { type: typeName(node.value) });
+                    return node;
+                }),
+                evaluate(value, input, env),
+            ]);
+            return cartesian(lists, (nodes) => {
+                const result = {};
+                const items = [];
+                for (let i = 0; i < nodes.length; i += 2) {
+                    result[nodes[i].value] = nodes[i + 1].value;
+                    items.push(nodes[i + 1]);
+                }
+                return [computed(result, items)];
+            });
+        }
+        case 'string':
+            return cartesian(
+                ast.parts.map(part => (typeof part === 'string' ? [part] : evaluate(part, input, env).map(node => toText(node.value)))),
+                texts => [computed(texts.join(''))],
+            );
+        case 'if':
+            return evaluate(ast.condition, input, env).flatMap(condition => evaluate(
+                isTruthy(condition.value) ? ast.then : ast.otherwise,
+                input,
+                env,
+            ));
+        case 'as':
+            return evaluate(ast.source, input, env).flatMap(node => evaluate(ast.body, input, { ...env, [ast.name]: node }));
+        case 'reduce':
+            return evaluate(ast.init, input, env).map(init => evaluate(ast.source, input, env).reduce(
+                (acc, node) => evaluate(ast.update, acc, { ...env, [ast.name]: node }).slice(-1)[0] || computed(null),
+                init,
+            ));
+        case 'call':
+            return BUILTINS[ast.name](input, ast.args, env);
+        default:
+            throw queryError('syntax', { position: 1 });
+    }
+};
+
+/**
+ * 执行 jq 查询
+ * @param {string} query - jq 表达式
+ * @param {*} data - 已解析的 JSON 数据
+ * @returns {Array} 输出节点 [{ value, path, items? }]
+ * @throws {Error} 语法错误、类型错误等，code 见 jsonValue.js 中的 queryError
+ */
+export const queryJq = (query, data) => evaluate(parseJq(query), { value: data, path: [] }, {});
@@ -0,0 +1,98 @@
+/**
+ * JSON / YAML / XML 转换
+ * 纯函数实现，不依赖 UI，供工具组件和流水线共用
+ * 所有函数在输入语法错误时直接抛出解析器的异常，由调用方决定如何展示
+ */
+import yaml from 'js-yaml';
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
+
+/**
+ * 格式化 JSON
+ * @param {string} text - JSON 文本
+ * @param {number} indent - 缩进空格数
+ * @returns {string} 格式化后的 JSON
+ */
+export const formatJson = (text, indent = 2) => {
+    return JSON.stringify(JSON.parse(text), null, indent);
+};
+
+/**
+ * 压缩 JSON
+ * @param {string} text - JSON 文本
+ * @returns {string} 压缩后的 JSON
+ */
+export const minifyJson = (text) => {
+    return JSON.stringify(JSON.parse(text));
+};
+
+/**
+ * JSON 转 YAML
+ * @param {string} text - JSON 文本
+ * @returns {string} YAML 文本
+ */
+export const jsonToYaml = (text) => {
+    return yaml.dump(JSON.parse(text), {
+        indent: 2,
+        lineWidth: -1, // 不自动换行
+        noRefs: true, // 不使用引用
+        sortKeys: false, // 保持原始顺序
+    });
+};
+
+/**
+ * YAML 转 JSON
+ * @param {string} text - YAML 文本
+ * @returns {string} 格式化后的 JSON
+ */
+export const yamlToJson = (text) => {
+    return JSON.stringify(yaml.load(text), null, 2);
+};
+
+/**
+ * JSON 转 XML
+ * @param {string} text - JSON 文本
+ * @param {Object} options - 转换选项
+ * @param {boolean} options.indent - 是否格式化缩进
+ * @param {boolean} options.ignoreAttributes - 是否忽略 XML 属性
+ * @returns {string} 带 XML 声明的 XML 文本
+ */
+export const jsonToXml = (text, options = {}) => {
+    const { indent = true, ignoreAttributes = false } = options;
+    const builder = new XMLBuilder({
+        ignoreAttributes,
+        attributeNamePrefix: '@_',
+        textNodeName: '#text',
+        format: indent,
+        indentBy: '  ',
+        suppressEmptyNode: true,
+    });
+
+    const parsed = JSON.parse(text);
+    // 如果 JSON 是数组或没有根元素，添加一个默认根元素
+    const needsRoot = Array.isArray(parsed) || Object.keys(parsed).length > 1;
+    const dataToConvert = needsRoot ? { root: parsed } : parsed;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build(dataToConvert);
+};
+
+/**
+ * XML 转 JSON
+ * @param {string} text - XML 文本
+ * @param {Object} options - 转换选项
+ * @param {boolean} options.indent - 是否格式化缩进
+ * @param {boolean} options.ignoreAttributes - 是否忽略 XML 属性
+ * @param {boolean} options.preserveOrder - 是否保持顺序
+ * @returns {string} JSON 文本
+ */
+export const xmlToJson = (text, options = {}) => {
+    const { indent = true, ignoreAttributes = false, preserveOrder = false } = options;
+    const parser = new XMLParser({
+        ignoreAttributes,
+        attributeNamePrefix: '@_',
+        textNodeName: '#text',
+        preserveOrder,
+        trimValues: true,
+    });
+
+    return JSON.stringify(parser.parse(text), null, indent ? 2 : 0);
+};
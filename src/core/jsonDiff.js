@@ -0,0 +1,237 @@
+/**
+ * JSON 结构对比
+ * 纯函数实现，不依赖 UI：比较两个解析后的 JSON，忽略对象键的顺序，数组项可以按指定的键（如 id）配对，
+ * 按路径列出变更，并导出为 JSON Patch（RFC 6902）或 JSON Merge Patch（RFC 7386）。
+ */
+import { deepEqual, isPlainObject } from './jsonValue';
+import { formatJsonPointer } from './jsonSchema';
+
+/**
+ * 按位置对比数组时，两侧剩余长度的乘积超过该值就不再求最长公共子序列，直接逐项配对
+ */
+const MAX_LCS_CELLS = 1000000;
+
+/**
+ * 数组项按键配对：两侧每一项都是带该键的对象且键值不重复时返回 键值 → 下标，否则返回 null
+ */
+const indexByKey = (items, arrayKey) => {
+    const index = new Map();
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (!isPlainObject(item) || !Object.prototype.hasOwnProperty.call(item, arrayKey)) return null;
+        const id = JSON.stringify(item[arrayKey]);
+        if (index.has(id)) return null;
+        index.set(id, i);
+    }
+    return index;
+};
+
+/**
+ * 按位置配对：去掉首尾相同的项后求最长公共子序列，两个公共项之间剩余的项逐个配对
+ * @returns {Array<[number, number]>} 按下标递增的 [左侧下标, 右侧下标]
+ */
+const pairByPosition = (left, right) => {
+    const pairs = [];
+    let start = 0;
+    while (start < left.length && start < right.length && deepEqual(left[start], right[start])) {
+        pairs.push([start, start]);
+        start++;
+    }
+    let leftEnd = left.length;
+    let rightEnd = right.length;
+    const tail = [];
+    while (leftEnd > start && rightEnd > start && deepEqual(left[leftEnd - 1], right[rightEnd - 1])) {
+        leftEnd--;
+        rightEnd--;
+        tail.unshift([leftEnd, rightEnd]);
+    }
+
+    // 中间部分的公共项
+    const rows = leftEnd - start;
+    const cols = rightEnd - start;
+    const anchors = [];
+    if (rows > 0 && cols > 0 && rows * cols <= MAX_LCS_CELLS) {
+        const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i][j] = deepEqual(left[start + i], right[start + j])
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        for (let i = 0, j = 0; i < rows && j < cols;) {
+            if (deepEqual(left[start + i], right[start + j])) {
+                anchors.push([start + i, start + j]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+
+    // 公共项之间的剩余项逐个配对，多出的作为删除或新增
+    let i = start;
+    let j = start;
+    for (const [anchorLeft, anchorRight] of [...anchors, [leftEnd, rightEnd]]) {
+        while (i < anchorLeft && j < anchorRight) pairs.push([i++, j++]);
+        i = anchorLeft + 1;
+        j = anchorRight + 1;
+        if (anchorLeft < leftEnd) pairs.push([anchorLeft, anchorRight]);
+    }
+    return [...pairs, ...tail];
+};
+
+/**
+ * 对比两个 JSON 值
+ *
+ * 变更按顺序依次应用即可把左侧变为右侧，路径与 JSON Patch 一致：
+ * 数组中先从后往前删除，再移动按键配对的项，再按右侧下标插入新增项，最后修改配对项的内容，
+ * 因此删除使用左侧的下标，其余使用右侧的下标
+ *
+ * @param {*} left - 原始值
+ * @param {*} right - 修改后的值
+ * @param {Object} [options]
+ * @param {string} [options.arrayKey] - 数组项配对使用的键，为空或数组项不满足条件时按位置配对
+ * @returns {Array<Object>} [{ op, path, from, oldValue, value }]
+ *   op 为 add | remove | replace | move；path 为路径数组；from 仅 move 有
+ */
+export const diffJson = (left, right, { arrayKey = '' } = {}) => {
+    const changes = [];
+
+    const visit = (a, b, path) => {
+        if (deepEqual(a, b)) return;
+
+        if (isPlainObject(a) && isPlainObject(b)) {
+            for (const key of Object.keys(a)) {
+                if (!Object.prototype.hasOwnProperty.call(b, key)) {
+                    changes.push({ op: 'remove', path: [...path, key], oldValue: a[key] });
+                }
+            }
+            for (const key of Object.keys(b)) {
+                if (!Object.prototype.hasOwnProperty.call(a, key)) {
+                    changes.push({ op: 'add', path: [...path, key], value: b[key] });
+                }
+            }
+            for (const key of Object.keys(a)) {
+                if (Object.prototype.hasOwnProperty.call(b, key)) visit(a[key], b[key], [...path, key]);
+            }
+            return;
+        }
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+            visitArray(a, b, path);
+            return;
+        }
+
+        changes.push({ op: 'replace', path, oldValue: a, value: b });
+    };
+
+    const visitArray = (a, b, path) => {
+        let pairs;
+        let keyed = false;
+        const leftIndex = arrayKey ? indexByKey(a, arrayKey) : null;
+        const rightIndex = leftIndex && indexByKey(b, arrayKey);
+        if (rightIndex) {
+            keyed = true;
+            pairs = [];
+            rightIndex.forEach((j, id) => {
+                if (leftIndex.has(id)) pairs.push([leftIndex.get(id), j]);
+            });
+        } else {
+            pairs = pairByPosition(a, b);
+        }
+        const matchedLeft = new Set(pairs.map(([i]) => i));
+        const matchedRight = new Set(pairs.map(([, j]) => j));
+
+        // 删除：从后往前，下标不受影响
+        for (let i = a.length - 1; i >= 0; i--) {
+            if (!matchedLeft.has(i)) changes.push({ op: 'remove', path: [...path, i], oldValue: a[i] });
+        }
+
+        // 移动：把保留的项按右侧的顺序排列
+        if (keyed) {
+            const current = pairs.map(([i]) => i).sort((x, y) => x - y);
+            pairs.forEach(([i], target) => {
+                const position = current.indexOf(i);
+                if (position === target) return;
+                current.splice(position, 1);
+                current.splice(target, 0, i);
+                changes.push({ op: 'move', from: [...path, position], path: [...path, target], value: a[i] });
+            });
+        }
+
+        // 新增：按右侧下标从小到大插入
+        for (let j = 0; j < b.length; j++) {
+            if (!matchedRight.has(j)) changes.push({ op: 'add', path: [...path, j], value: b[j] });
+        }
+
+        // 修改配对项：此时各项已在右侧的位置上
+        pairs.forEach(([i, j]) => visit(a[i], b[j], [...path, j]));
+    };
+
+    visit(left, right, []);
+    return changes;
+};
+
+/**
+ * 变更转换为 JSON Patch（RFC 6902）
+ * @param {Array<Object>} changes - diffJson 的结果
+ * @returns {Array<Object>} JSON Patch 操作
+ */
+export const toJsonPatch = (changes) => changes.map((change) => {
+    const path = formatJsonPointer(change.path);
+    switch (change.op) {
+        case 'remove':
+            return { op: 'remove', path };
+        case 'move':
+            return { op: 'move', from: formatJsonPointer(change.from), path };
+        default:
+            return { op: change.op, path, value: change.value };
+    }
+});
+
+/**
+ * 生成 JSON Merge Patch（RFC 7386）
+ * Merge Patch 只能整体替换数组，也无法把值设为 null（null 表示删除键），
+ * 是否能准确还原右侧可用 applyMergePatch 验证
+ * @param {*} left - 原始值
+ * @param {*} right - 修改后的值
+ * @returns {*} Merge Patch
+ */
+export const createMergePatch = (left, right) => {
+    if (!isPlainObject(left) || !isPlainObject(right)) return right;
+    const patch = {};
+    for (const key of Object.keys(left)) {
+        if (!Object.prototype.hasOwnProperty.call(right, key)) patch[key] = null;
+    }
+    for (const key of Object.keys(right)) {
+        if (!Object.prototype.hasOwnProperty.call(left, key)) {
+            patch[key] = right[key];
+        } else if (!deepEqual(left[key], right[key])) {
+            patch[key] = createMergePatch(left[key], right[key]);
+        }
+    }
+    return patch;
+};
+
+/**
+ * 应用 JSON Merge Patch（RFC 7386 的 MergePatch 算法），不修改 target
+ * @param {*} target - 原始值
+ * @param {*} patch - Merge Patch
+ * @returns {*} 应用后的值
+ */
+export const applyMergePatch = (target, patch) => {
+    if (!isPlainObject(patch)) return patch;
+    const result = isPlainObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+};
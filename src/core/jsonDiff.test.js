@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { diffJson, toJsonPatch, createMergePatch, applyMergePatch } from './jsonDiff';
+
+/**
+ * 按 RFC 6901 解析 JSON Pointer
+ */
+const parsePointer = (pointer) => pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+/**
+ * 按 RFC 6902 依次应用 add、remove、replace、move，不修改 document
+ */
+const applyJsonPatch = (document, patch) => {
+    let root = structuredClone(document);
+    const locate = (pointer) => {
+        const tokens = parsePointer(pointer);
+        const key = tokens.pop();
+        const parent = tokens.reduce((node, token) => node[Array.isArray(node) ? Number(token) : token], root);
+        return { parent, key: Array.isArray(parent) ? (key === '-' ? parent.length : Number(key)) : key };
+    };
+    const remove = (pointer) => {
+        const { parent, key } = locate(pointer);
+        const value = parent[key];
+        if (Array.isArray(parent)) parent.splice(key, 1);
+        else delete parent[key];
+        return value;
+    };
+    const add = (pointer, value) => {
+        if (pointer === '') {
+            root = value;
+            return;
+        }
+        const { parent, key } = locate(pointer);
+        if (Array.isArray(parent)) parent.splice(key, 0, value);
+        else parent[key] = value;
+    };
+    patch.forEach((operation) => {
+        switch (operation.op) {
+            case 'add':
+                add(operation.path, structuredClone(operation.value));
+                break;
+            case 'remove':
+                remove(operation.path);
+                break;
+            case 'replace':
+                if (operation.path === '') {
+                    root = structuredClone(operation.value);
+                } else {
+                    const { parent, key } = locate(operation.path);
+                    parent[key] = structuredClone(operation.value);
+                }
+                break;
+            case 'move':
+                add(operation.path, remove(operation.from));
+                break;
+            default:
+                throw new Error(`unexpected op ${operation.op}`);
+        }
+    });
+    return root;
+};
+
+/**
+ * 断言 JSON Patch 能把 left 变为 right
+ */
+const expectRoundTrip = (left, right, options) => {
+    const patch = toJsonPatch(diffJson(left, right, options));
+    expect(applyJsonPatch(left, patch)).toEqual(right);
+    return patch;
+};
+
+describe('JSON Patch', () => {
+    it('相同的值没有变更', () => {
+        expect(diffJson({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 })).toEqual([]);
+    });
+
+    it('对象的增删改', () => {
+        const patch = expectRoundTrip({ a: 1, b: { c: 2, d: 3 } }, { a: 2, b: { c: 2, e: 4 } });
+        expect(patch).toEqual([
+            { op: 'replace', path: '/a', value: 2 },
+            { op: 'remove', path: '/b/d' },
+            { op: 'add', path: '/b/e', value: 4 },
+        ]);
+    });
+
+    it('按位置对比数组', () => {
+        expectRoundTrip([1, 2, 3, 4], [1, 3, 4, 5]);
+        expectRoundTrip([1, 2, 3], []);
+        expectRoundTrip([], [{ a: 1 }, 2]);
+        expectRoundTrip({ list: ['a', 'b', 'c', 'd'] }, { list: ['x', 'b', 'd', 'y', 'z'] });
+    });
+
+    it('按键配对的数组项移动位置', () => {
+        const left = [{ id: 1, v: 'a' }, { id: 2, v: 'b' }, { id: 3, v: 'c' }];
+        const right = [{ id: 3, v: 'c' }, { id: 1, v: 'A' }, { id: 4, v: 'd' }];
+        const patch = expectRoundTrip(left, right, { arrayKey: 'id' });
+        expect(patch.some(operation => operation.op === 'move')).toBe(true);
+        expect(patch).toContainEqual({ op: 'remove', path: '/1' });
+    });
+
+    it('类型变化时整体替换', () => {
+        expectRoundTrip({ a: [1] }, { a: { 0: 1 } });
+        expectRoundTrip(1, 'x');
+    });
+
+    it('路径中的 ~ 和 / 按 RFC 6901 转义', () => {
+        const patch = expectRoundTrip({ 'a/b': 1, 'm~n': { '~/': 2 } }, { 'a/b': 2, 'm~n': { '~/': 3 } });
+        expect(patch.map(operation => operation.path)).toEqual(['/a~1b', '/m~0n/~0~1']);
+    });
+});
+
+describe('JSON Merge Patch', () => {
+    const expectMergeRoundTrip = (left, right) => {
+        const patch = createMergePatch(left, right);
+        expect(applyMergePatch(left, patch)).toEqual(right);
+        return patch;
+    };
+
+    it('删除的键为 null，嵌套对象只包含变化', () => {
+        const patch = expectMergeRoundTrip({ a: 1, b: { c: 2, d: 3 }, e: 5 }, { a: 1, b: { c: 4 }, f: 6 });
+        expect(patch).toEqual({ e: null, b: { c: 4, d: null }, f: 6 });
+    });
+
+    it('数组整体替换', () => {
+        expect(expectMergeRoundTrip({ list: [1, 2, 3] }, { list: [1, 3] })).toEqual({ list: [1, 3] });
+    });
+
+    it('值为 null 与缺少键不同，Merge Patch 无法表示值为 null', () => {
+        const left = { a: 1 };
+        const right = { a: null };
+        const patch = createMergePatch(left, right);
+        expect(patch).toEqual({ a: null });
+        expect(applyMergePatch(left, patch)).toEqual({});
+        expect(applyMergePatch(left, patch)).not.toEqual(right);
+    });
+
+    it('键中的 ~ 和 / 原样保留', () => {
+        expectMergeRoundTrip({ 'a/b': 1, 'm~n': 2 }, { 'a/b': 3 });
+    });
+
+    it('根不是对象时整体替换，且不修改原值', () => {
+        expect(expectMergeRoundTrip([1], { a: 1 })).toEqual({ a: 1 });
+        const target = { a: { b: 1 } };
+        applyMergePatch(target, { a: { b: null } });
+        expect(target).toEqual({ a: { b: 1 } });
+    });
+});
@@ -0,0 +1,409 @@
+/**
+ * JSONPath 查询
+ * 纯函数实现，语法以 RFC 9535 为准，并兼容常见的 Goessner 写法：
+ *
+ *   $.store.book[*].author      $..price      $.store.book[-1]
+ *   $.store.book[0,1]           $.store.book[:2]      $['store']['book']
+ *   $..book[?(@.price < 10)]    $..book[?@.isbn && length(@.title) > 5]
+ *
+ * 过滤表达式支持 == != < <= > >=、&& || !、括号，以及 length、count、match、search、value 函数；
+ * 不支持 =~（正则匹配请使用 match、search）。
+ * 省略开头的 $ 时视为从根开始（store.book 与 $.store.book 相同）。
+ */
+import {
+    queryError,
+    isPlainObject,
+    deepEqual,
+    childNode,
+    childNodes,
+    descendantNodes,
+    sliceIndexes,
+} from './jsonValue';
+
+/**
+ * 比较时表示「没有值」（查询结果不是单个节点）
+ */
+const NOTHING = Symbol('nothing');
+
+const NAME_START = /[A-Za-z_\u0080-\uFFFF]/;
+const NAME_CHAR = /[\w\u0080-\uFFFF]/;
+const NUMBER = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+const INTEGER = /-?\d+/y;
+const WHITESPACE = ' \t\n\r';
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', '/': '/', '\\': '\\', '"': '"', "'": "'" };
+
+/**
+ * 过滤表达式中可用的函数及参数个数
+ */
+const FUNCTION_ARITY = { length: 1, count: 1, match: 2, search: 2, value: 1 };
+
+/**
+ * 解析 JSONPath，返回片段列表 [{ descendant, selectors }]
+ * @param {string} source - JSONPath 表达式
+ * @returns {Array}
+ */
+const parseJsonPath = (source) => {
+    let i = 0;
+    const fail = () => {
+        throw queryError('syntax', { position: i + 1 });
+    };
+    const skipWhitespace = () => {
+        while (i < source.length && WHITESPACE.includes(source[i])) i++;
+    };
+    const eat = (text) => {
+        if (source.startsWith(text, i)) {
+            i += text.length;
+            return true;
+        }
+        return false;
+    };
+    const expect = (text) => {
+        skipWhitespace();
+        if (!eat(text)) fail();
+    };
+
+    const parseName = () => {
+        if (!NAME_START.test(source[i] || '')) fail();
+        const start = i;
+        while (i < source.length && NAME_CHAR.test(source[i])) i++;
+        return source.slice(start, i);
+    };
+
+    const parseString = () => {
+        const quote = source[i++];
+        let result = '';
+        while (i < source.length && source[i] !== quote) {
+            if (source[i] === '\\') {
+                const escape = source[i + 1];
+                if (escape === 'u') {
+                    const hex = source.slice(i + 2, i + 6);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail();
+                    result += String.fromCharCode(parseInt(hex, 16));
+                    i += 6;
+                } else if (escape in ESCAPES) {
+                    result += ESCAPES[escape];
+                    i += 2;
+                } else {
+                    fail();
+                }
+            } else {
+                result += source[i++];
+            }
+        }
+        if (i >= source.length) fail();
+        i++;
+        return result;
+    };
+
+    const parseInteger = () => {
+        INTEGER.lastIndex = i;
+        const match = INTEGER.exec(source);
+        if (!match) return null;
+        i += match[0].length;
+        return Number(match[0]);
+    };
+
+    // 过滤表达式中的相对（@）或绝对（$）查询
+    const parseEmbeddedQuery = () => {
+        const relative = source[i] === '@';
+        i++;
+        return { type: 'query', relative, segments: parseSegments() };
+    };
+
+    const parseOperand = () => {
+        skipWhitespace();
+        const char = source[i];
+        if (char === '@' || char === '$') return parseEmbeddedQuery();
+        if (char === '"' || char === "'") return { type: 'literal', value: parseString() };
+        if (char === '(') {
+            i++;
+            const expression = parseOr();
+            expect(')');
+            return expression;
+        }
+        if (char === '-' || (char >= '0' && char <= '9')) {
+            NUMBER.lastIndex = i;
+            const match = NUMBER.exec(source);
+            if (!match) fail();
+            i += match[0].length;
+            return { type: 'literal', value: Number(match[0]) };
+        }
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (source.startsWith(word, i) && !NAME_CHAR.test(source[i + word.length] || '')) {
+                i += word.length;
+                return { type: 'literal', value };
+            }
+        }
+        if (NAME_START.test(char || '')) {
+            const start = i;
+            const name = parseName();
+            skipWhitespace();
+            if (source[i] !== '(') {
+                i = start;
+                fail();
+            }
+            if (!(name in FUNCTION_ARITY)) throw queryError('unknownFunction', { name });
+            i++;
+            const args = [];
+            skipWhitespace();
+            if (source[i] !== ')') {
+                for (;;) {
+                    args.push(parseOr());
+                    skipWhitespace();
+                    if (!eat(',')) break;
+                }
+            }
+            expect(')');
+            if (args.length !== FUNCTION_ARITY[name]) throw queryError('invalidArguments', { name });
+            return { type: 'function', name, args };
+        }
+        return fail();
+    };
+
+    const parseComparison = () => {
+        const left = parseOperand();
+        skipWhitespace();
+        // 部分实现支持的正则运算符，这里改用 RFC 9535 的 match、search 函数
+        if (source.startsWith('=~', i)) throw queryError('unsupportedRegexOperator', { position: i + 1 });
+        const operator = COMPARISON_OPERATORS.find(op => source.startsWith(op, i));
+        if (!operator) return left;
+        i += operator.length;
+        return { type: 'compare', operator, left, right: parseOperand() };
+    };
+
+    const parseNot = () => {
+        skipWhitespace();
+        if (source[i] === '!' && source[i + 1] !== '=') {
+            i++;
+            return { type: 'not', expression: parseNot() };
+        }
+        return parseComparison();
+    };
+
+    const parseBinary = (operator, type, parseOperandExpression) => () => {
+        let left = parseOperandExpression();
+        for (;;) {
+            skipWhitespace();
+            if (!eat(operator)) return left;
+            left = { type, left, right: parseOperandExpression() };
+        }
+    };
+    const parseAnd = parseBinary('&&', 'and', parseNot);
+    const parseOr = parseBinary('||', 'or', parseAnd);
+
+    const parseSelector = () => {
+        skipWhitespace();
+        const char = source[i];
+        if (char === '"' || char === "'") return { type: 'name', name: parseString() };
+        if (char === '*') {
+            i++;
+            return { type: 'wildcard' };
+        }
+        if (char === '?') {
+            i++;
+            return { type: 'filter', expression: parseOr() };
+        }
+        const start = parseInteger();
+        skipWhitespace();
+        if (source[i] !== ':') {
+            if (start === null) fail();
+            return { type: 'index', index: start };
+        }
+        i++;
+        skipWhitespace();
+        const end = parseInteger();
+        skipWhitespace();
+        let step = null;
+        if (eat(':')) {
+            skipWhitespace();
+            step = parseInteger();
+        }
+        return { type: 'slice', start, end, step };
+    };
+
+    const parseBracket = () => {
+        i++;
+        const selectors = [];
+        for (;;) {
+            selectors.push(parseSelector());
+            skipWhitespace();
+            if (!eat(',')) break;
+        }
+        expect(']');
+        return selectors;
+    };
+
+    function parseSegments() {
+        const segments = [];
+        for (;;) {
+            if (source.startsWith('..', i)) {
+                i += 2;
+                if (source[i] === '[') {
+                    segments.push({ descendant: true, selectors: parseBracket() });
+                } else if (eat('*')) {
+                    segments.push({ descendant: true, selectors: [{ type: 'wildcard' }] });
+                } else {
+                    segments.push({ descendant: true, selectors: [{ type: 'name', name: parseName() }] });
+                }
+            } else if (source[i] === '.') {
+                i++;
+                segments.push({ descendant: false, selectors: [eat('*') ? { type: 'wildcard' } : { type: 'name', name: parseName() }] });
+            } else if (source[i] === '[') {
+                segments.push({ descendant: false, selectors: parseBracket() });
+            } else {
+                return segments;
+            }
+        }
+    }
+
+    skipWhitespace();
+    const segments = [];
+    if (source[i] === '$') {
+        i++;
+    } else if (NAME_START.test(source[i] || '')) {
+        // 省略 $. 的写法
+        segments.push({ descendant: false, selectors: [{ type: 'name', name: parseName() }] });
+    }
+    segments.push(...parseSegments());
+    skipWhitespace();
+    if (i < source.length) fail();
+    return segments;
+};
+
+/**
+ * 对节点列表依次应用各片段
+ */
+const applySegments = (nodes, segments, root) => segments.reduce((current, segment) => {
+    const targets = segment.descendant ? current.flatMap(descendantNodes) : current;
+    return targets.flatMap(node => segment.selectors.flatMap(selector => applySelector(node, selector, root)));
+}, nodes);
+
+const applySelector = (node, selector, root) => {
+    const { value } = node;
+    switch (selector.type) {
+        case 'name':
+            return isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, selector.name)
+                ? [childNode(node, selector.name)]
+                : [];
+        case 'wildcard':
+            return childNodes(node);
+        case 'index': {
+            if (!Array.isArray(value)) return [];
+            const index = selector.index < 0 ? value.length + selector.index : selector.index;
+            return index >= 0 && index < value.length ? [childNode(node, index)] : [];
+        }
+        case 'slice':
+            return Array.isArray(value)
+                ? sliceIndexes(value.length, selector.start, selector.end, selector.step).map(index => childNode(node, index))
+                : [];
+        default:
+            return childNodes(node).filter(child => isTruthy(selector.expression, child, root));
+    }
+};
+
+/**
+ * 编译正则，match 需要整体匹配
+ */
+const toRegExp = (pattern, whole) => {
+    try {
+        return new RegExp(whole ? `^(?:${pattern})$` : pattern, 'u');
+    } catch (err) {
+        throw queryError('invalidRegex', { message: err.message });
+    }
+};
+
+/**
+ * 查询得到的节点
+ */
+const queryNodes = (expression, current, root) => applySegments([expression.relative ? current : root], expression.segments, root);
+
+/**
+ * 表达式的值，查询结果不是单个节点时为 NOTHING
+ */
+const evaluateValue = (expression, current, root) => {
+    switch (expression.type) {
+        case 'literal':
+            return expression.value;
+        case 'query': {
+            const nodes = queryNodes(expression, current, root);
+            return nodes.length === 1 ? nodes[0].value : NOTHING;
+        }
+        case 'function':
+            return callFunction(expression, current, root);
+        default:
+            return isTruthy(expression, current, root);
+    }
+};
+
+const callFunction = ({ name, args }, current, root) => {
+    if (name === 'count' || name === 'value') {
+        if (args[0].type !== 'query') throw queryError('invalidArguments', { name });
+        const nodes = queryNodes(args[0], current, root);
+        if (name === 'count') return nodes.length;
+        return nodes.length === 1 ? nodes[0].value : NOTHING;
+    }
+    const value = evaluateValue(args[0], current, root);
+    if (name === 'length') {
+        if (typeof value === 'string') return [...value].length;
+        if (Array.isArray(value)) return value.length;
+        if (isPlainObject(value)) return Object.keys(value).length;
+        return NOTHING;
+    }
+    const pattern = evaluateValue(args[1], current, root);
+    if (typeof value !== 'string' || typeof pattern !== 'string') return false;
+    return toRegExp(pattern, name === 'match').test(value);
+};
+
+const compare = (operator, left, right) => {
+    if (operator === '==') return left === NOTHING || right === NOTHING ? left === right : deepEqual(left, right);
+    if (operator === '!=') return !compare('==', left, right);
+    const comparable = (typeof left === 'number' && typeof right === 'number')
+        || (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) return (operator === '<=' || operator === '>=') && compare('==', left, right);
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+};
+
+/**
+ * 过滤表达式是否成立，单独的查询表示「存在匹配的节点」
+ */
+const isTruthy = (expression, current, root) => {
+    switch (expression.type) {
+        case 'query':
+            return queryNodes(expression, current, root).length > 0;
+        case 'not':
+            return !isTruthy(expression.expression, current, root);
+        case 'and':
+            return isTruthy(expression.left, current, root) && isTruthy(expression.right, current, root);
+        case 'or':
+            return isTruthy(expression.left, current, root) || isTruthy(expression.right, current, root);
+        case 'compare':
+            return compare(
+                expression.operator,
+                evaluateValue(expression.left, current, root),
+                evaluateValue(expression.right, current, root),
+            );
+        default: {
+            const value = evaluateValue(expression, current, root);
+            return value !== NOTHING && value !== false && value !== null;
+        }
+    }
+};
+
+/**
+ * 执行 JSONPath 查询
+ * @param {string} query - JSONPath 表达式
+ * @param {*} data - 已解析的 JSON 数据
+ * @returns {Array} 匹配的节点 [{ value, path }]，按文档顺序排列
+ * @throws {Error} 语法错误等，code 见 jsonValue.js 中的 queryError
+ */
+export const queryJsonPath = (query, data) => {
+    const segments = parseJsonPath(query);
+    const root = { value: data, path: [] };
+    return applySegments([root], segments, root);
+};
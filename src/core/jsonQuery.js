@@ -0,0 +1,134 @@
+/**
+ * JSON 查询
+ * 纯函数实现，统一调用 JSONPath、JMESPath 和 jq 查询，并把匹配的节点定位到原文中的字符范围，
+ * 供 JSON 格式化等工具在输入编辑器中标出匹配的位置。
+ */
+import { queryJsonPath } from './jsonPath';
+import { queryJmesPath } from './jmesPath';
+import { queryJq } from './jq';
+
+/**
+ * 支持的查询语言
+ */
+export const QUERY_LANGUAGES = ['jsonpath', 'jmespath', 'jq'];
+
+/**
+ * 收集结果节点对应的原文位置：有 path 的节点本身来自原文，计算得到的数组和对象按 items 继续查找
+ */
+const collectPaths = (nodes) => {
+    const paths = new Map();
+    const visit = (node) => {
+        if (node.path) {
+            paths.set(JSON.stringify(node.path), node.path);
+        } else if (node.items) {
+            node.items.forEach(visit);
+        }
+    };
+    nodes.forEach(visit);
+    return [...paths.values()];
+};
+
+/**
+ * 执行查询
+ * - JSONPath：结果为匹配节点组成的数组
+ * - JMESPath：结果为表达式的值
+ * - jq：每个输出单独一段，与命令行的输出相同
+ *
+ * @param {string} language - 查询语言（见 QUERY_LANGUAGES）
+ * @param {string} query - 查询表达式
+ * @param {*} data - 已解析的 JSON 数据
+ * @returns {{ output: string, paths: Array<Array<string|number>> }} 格式化后的结果和原文中匹配节点的路径
+ * @throws {Error} 表达式错误，code 为 syntax、unknownFunction、invalidArguments 等（见 jsonValue.js）
+ */
+export const runJsonQuery = (language, query, data) => {
+    switch (language) {
+        case 'jmespath': {
+            const node = queryJmesPath(query, data);
+            return { output: JSON.stringify(node.value, null, 2), paths: collectPaths([node]) };
+        }
+        case 'jq': {
+            const nodes = queryJq(query, data);
+            return {
+                output: nodes.map(node => JSON.stringify(node.value, null, 2)).join('\n'),
+                paths: collectPaths(nodes),
+            };
+        }
+        default: {
+            const nodes = queryJsonPath(query, data);
+            return { output: JSON.stringify(nodes.map(node => node.value), null, 2), paths: collectPaths(nodes) };
+        }
+    }
+};
+
+const WHITESPACE = ' \t\n\r';
+
+/**
+ * 扫描 JSON 文本，记录每个值在原文中的字符范围
+ * 文本必须是合法的 JSON（调用前已用 JSON.parse 校验）；重复的键与 JSON.parse 一致，以最后一个为准
+ * @param {string} text - JSON 文本
+ * @returns {Map<string, { from: number, to: number, key?: { from: number, to: number } }>}
+ *   键为 JSON.stringify(path)；对象成员的 key 为键名（含引号）的范围
+ */
+export const locateJsonValues = (text) => {
+    const ranges = new Map();
+    let i = 0;
+    const skipWhitespace = () => {
+        while (i < text.length && WHITESPACE.includes(text[i])) i++;
+    };
+    const skipString = () => {
+        i++;
+        while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+        i++;
+    };
+    const parseValue = (path, key) => {
+        skipWhitespace();
+        const from = i;
+        const char = text[i];
+        if (char === '{' || char === '[') {
+            const close = char === '{' ? '}' : ']';
+            i++;
+            skipWhitespace();
+            let index = 0;
+            while (text[i] !== close) {
+                if (close === '}') {
+                    skipWhitespace();
+                    const keyRange = { from: i };
+                    skipString();
+                    keyRange.to = i;
+                    skipWhitespace();
+                    i++; // :
+                    parseValue([...path, JSON.parse(text.slice(keyRange.from, keyRange.to))], keyRange);
+                } else {
+                    parseValue([...path, index++]);
+                }
+                skipWhitespace();
+                if (text[i] === ',') i++;
+                skipWhitespace();
+            }
+            i++;
+        } else if (char === '"') {
+            skipString();
+        } else {
+            while (i < text.length && !',]}'.includes(text[i]) && !WHITESPACE.includes(text[i])) i++;
+        }
+        ranges.set(JSON.stringify(path), key ? { from, to: i, key } : { from, to: i });
+    };
+    parseValue([]);
+    return ranges;
+};
+
+/**
+ * 查询结果在原文中的字符范围
+ * @param {string} text - JSON 文本
+ * @param {Array} paths - runJsonQuery 返回的 paths
+ * @returns {Array<{ from: number, to: number }>} 按位置排序，找不到的路径（如不存在的键）被忽略
+ */
+export const getJsonRanges = (text, paths) => {
+    if (paths.length === 0) return [];
+    const ranges = locateJsonValues(text);
+    return paths
+        .map(path => ranges.get(JSON.stringify(path)))
+        .filter(Boolean)
+        .map(({ from, to }) => ({ from, to }))
+        .sort((a, b) => a.from - b.from);
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { runJsonQuery, getJsonRanges } from './jsonQuery';
+import { queryJsonPath } from './jsonPath';
+import { queryJmesPath } from './jmesPath';
+import { queryJq } from './jq';
+
+const store = {
+    store: {
+        book: [
+            { title: 'Sayings', author: 'Rees', price: 8.95, category: 'reference' },
+            { title: 'Sword', author: 'Waugh', price: 12.99, category: 'fiction' },
+            { title: 'Moby Dick', author: 'Melville', price: 8.99, category: 'fiction', isbn: '0-553' },
+            { title: 'Rings', author: 'Tolkien', price: 22.99, category: 'fiction', isbn: '0-395' },
+        ],
+        bicycle: { color: 'red', price: 19.95 },
+    },
+};
+
+const jsonPath = (query, data = store) => queryJsonPath(query, data).map(node => node.value);
+const jmesPath = (query, data = store) => queryJmesPath(query, data).value;
+const jq = (query, data = store) => queryJq(query, data).map(node => node.value);
+
+/**
+ * 断言表达式抛出指定 code 的错误
+ */
+const expectError = (fn, code, params) => {
+    expect(fn).toThrow(expect.objectContaining(params ? { code, params: expect.objectContaining(params) } : { code }));
+};
+
+describe('JSONPath', () => {
+    it('过滤表达式', () => {
+        expect(jsonPath('$.store.book[?(@.price < 10)].title')).toEqual(['Sayings', 'Moby Dick']);
+        expect(jsonPath('$..book[?@.isbn && @.price > 20].title')).toEqual(['Rings']);
+        expect(jsonPath('$.store.book[?!(@.category == "fiction")].author')).toEqual(['Rees']);
+        expect(jsonPath('$.store.book[?match(@.author, "M.*")].title')).toEqual(['Moby Dick']);
+        expect(jsonPath('$.store.book[?length(@.title) > 5].title')).toEqual(['Sayings', 'Moby Dick']);
+    });
+
+    it('切片和下标', () => {
+        expect(jsonPath('$.store.book[:2].title')).toEqual(['Sayings', 'Sword']);
+        expect(jsonPath('$.store.book[-1].title')).toEqual(['Rings']);
+        expect(jsonPath('$.store.book[::2].title')).toEqual(['Sayings', 'Moby Dick']);
+        expect(jsonPath('$.store.book[0,2].author')).toEqual(['Rees', 'Melville']);
+        expect(jsonPath("$['store']['bicycle']['color']")).toEqual(['red']);
+    });
+
+    it('递归下降', () => {
+        expect(jsonPath('$..price')).toEqual([8.95, 12.99, 8.99, 22.99, 19.95]);
+        expect(jsonPath('$..book[*].isbn')).toEqual(['0-553', '0-395']);
+        expect(jsonPath('store.bicycle.color')).toEqual(['red']);
+    });
+
+    it('错误的表达式', () => {
+        expectError(() => jsonPath('$.store[?(@.price <)]'), 'syntax');
+        expectError(() => jsonPath('$.store.book[?foo(@)]'), 'unknownFunction', { name: 'foo' });
+        expectError(() => jsonPath('$.store.book[?length(@, 1)]'), 'invalidArguments', { name: 'length' });
+        expectError(() => jsonPath('$.store.book[?(@.author =~ /M.*/)]'), 'unsupportedRegexOperator');
+    });
+});
+
+describe('JMESPath', () => {
+    it('过滤、投影和管道', () => {
+        expect(jmesPath("store.book[?category == 'fiction'].title | sort(@)")).toEqual(['Moby Dick', 'Rings', 'Sword']);
+        expect(jmesPath('store.book[?price > `20`].author')).toEqual(['Tolkien']);
+        expect(jmesPath('length(store.book)')).toBe(4);
+        expect(jmesPath('store.book[*].{t: title, p: price} | [0]')).toEqual({ t: 'Sayings', p: 8.95 });
+    });
+
+    it('切片', () => {
+        expect(jmesPath('store.book[1:3].title')).toEqual(['Sword', 'Moby Dick']);
+        expect(jmesPath('store.book[::-1].author | [0]')).toBe('Tolkien');
+    });
+
+    it('错误的表达式', () => {
+        expectError(() => jmesPath('store.book[?'), 'syntax');
+        expectError(() => jmesPath('nope(@)'), 'unknownFunction');
+    });
+});
+
+describe('jq', () => {
+    it('过滤和管道', () => {
+        expect(jq('.store.book[] | select(.price < 10) | .title')).toEqual(['Sayings', 'Moby Dick']);
+        expect(jq('[.store.book[] | .price] | add')).toEqual([53.92]);
+        expect(jq('.store.book | map(.author) | join(", ")')).toEqual(['Rees, Waugh, Melville, Tolkien']);
+        expect(jq('.store.bicycle | to_entries | map(.key)')).toEqual([['color', 'price']]);
+        expect(jq('reduce .store.book[] as $b (0; . + 1)')).toEqual([4]);
+    });
+
+    it('切片、可选和替代', () => {
+        expect(jq('.store.book[1:3] | map(.title)')).toEqual([['Sword', 'Moby Dick']]);
+        expect(jq('.store.book[0].isbn // "none"')).toEqual(['none']);
+        expect(jq('.store.bicycle.color?, .missing?')).toEqual(['red', null]);
+    });
+
+    it('递归下降', () => {
+        expect(jq('[.. | .price? // empty] | length')).toEqual([5]);
+        expect(jq('[.. | numbers] | max')).toEqual([22.99]);
+    });
+
+    it('错误的表达式', () => {
+        expectError(() => jq('.store |'), 'syntax');
+        expectError(() => jq('nope(1)'), 'unknownFunction', { name: 'nope/1' });
+        expectError(() => jq('.store.bicycle.color[]'), 'cannotIterate');
+    });
+
+    it('不支持的语法报告 unsupported', () => {
+        expectError(() => jq('.store.bicycle.price |= . + 1'), 'unsupported', { feature: '|=' });
+        expectError(() => jq('.store.bicycle.price += 1'), 'unsupported', { feature: '+=' });
+        expectError(() => jq('try error("x") catch .'), 'unsupported', { feature: 'try' });
+        expectError(() => jq('def inc: . + 1; inc'), 'unsupported', { feature: 'def' });
+        // 比较运算符不受影响
+        expect(jq('.store.bicycle.color == "red"')).toEqual([true]);
+    });
+});
+
+describe('runJsonQuery', () => {
+    it('结果节点定位到原文', () => {
+        const text = '{\n  "a": [1, {"b": 2}]\n}';
+        const { output, paths } = runJsonQuery('jsonpath', '$..b', JSON.parse(text));
+        expect(JSON.parse(output)).toEqual([2]);
+        const [range] = getJsonRanges(text, paths);
+        expect(text.slice(range.from, range.to)).toBe('2');
+    });
+
+    it('jq 的多个输出各占一段', () => {
+        const { output } = runJsonQuery('jq', '.a[]', { a: [1, 2] });
+        expect(output).toBe('1\n2');
+    });
+});
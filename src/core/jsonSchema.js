@@ -0,0 +1,693 @@
+/**
+ * JSON Schema 校验
+ * 纯函数实现，支持 draft-07、2019-09 和 2020-12。$ref 在粘贴的 schema 文档内解析：
+ * 文档中带 $id 的子 schema、$anchor、$dynamicAnchor 和任意 JSON Pointer（如 OpenAPI 的 #/components/schemas/Pet）都可以引用，
+ * 不会请求网络。
+ *
+ * 错误：{ instancePath, schemaPath, code, params }
+ * - instancePath: 实例中出错节点的路径（数组，与 jsonTree.js、jsonQuery.js 的 path 相同）
+ * - schemaPath: 规则在 schema 文档中的位置（如 #/properties/name/type），跟随 $ref 时为被引用的位置
+ * - code: 错误类型，对应语言包 jsonSchema.errors 中的文案
+ *
+ * schema 本身有问题时抛出 { code, params } 异常：invalidSchema、unresolvedRef、invalidPattern、refLoop
+ */
+import { getJsonType, isPlainObject, deepEqual } from './jsonValue';
+import { locateJsonValues } from './jsonQuery';
+import { getJsonDiagnostic, offsetToLineColumn } from './diagnostics';
+
+/**
+ * 支持的草案版本
+ */
+export const SCHEMA_DRAFTS = ['draft-07', '2019-09', '2020-12'];
+
+/**
+ * $schema 对应的草案版本
+ */
+const DRAFT_URIS = {
+    'http://json-schema.org/draft-07/schema': 'draft-07',
+    'https://json-schema.org/draft/2019-09/schema': '2019-09',
+    'https://json-schema.org/draft/2020-12/schema': '2020-12',
+};
+
+/**
+ * 没有 $id 的 schema 的基准 URI，相对引用以此解析
+ */
+const DEFAULT_BASE = 'https://json-schema.local/schema.json';
+
+/**
+ * 值为子 schema 映射的关键字（键是名称，不是关键字）
+ */
+const SCHEMA_MAPS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies'];
+
+/**
+ * 值为数据而不是 schema 的关键字，建立索引时跳过
+ */
+const DATA_KEYWORDS = ['enum', 'const', 'default', 'examples'];
+
+const schemaError = (code, params = {}) => Object.assign(new Error(code), { code, params });
+
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * 根据 $schema 识别草案版本
+ * @param {*} schema - 已解析的 schema
+ * @returns {string|null} SCHEMA_DRAFTS 中的一项，无法识别时为 null
+ */
+export const detectSchemaDraft = (schema) => {
+    if (!isPlainObject(schema) || typeof schema.$schema !== 'string') return null;
+    return DRAFT_URIS[schema.$schema.replace(/#$/, '')] || null;
+};
+
+/**
+ * 实例路径的 JSON Pointer 写法，如 /items/0/name，根节点为空字符串
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+export const formatJsonPointer = (path) => path.map(key => `/${escapePointer(key)}`).join('');
+
+/**
+ * 解析相对 URI，去掉空片段
+ */
+const resolveUri = (ref, base) => new URL(ref, base).href.replace(/#$/, '');
+
+const splitFragment = (uri) => {
+    const index = uri.indexOf('#');
+    return index < 0 ? [uri, ''] : [uri.slice(0, index), decodeURIComponent(uri.slice(index + 1))];
+};
+
+/**
+ * 建立 schema 文档的索引：资源（$id）、锚点和每个子 schema 的位置
+ * @returns {{ resources: Map, anchors: Map, dynamicAnchors: Map, info: WeakMap }}
+ *   info 中为 { base, location }：所在资源的 URI（不含自身的 $id）和在文档中的位置
+ */
+const buildRegistry = (root, draft, rootBase) => {
+    const resources = new Map([[rootBase, root]]);
+    const anchors = new Map();
+    const dynamicAnchors = new Map();
+    const info = new WeakMap();
+
+    const walk = (node, base, location) => {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => walk(item, base, `${location}/${index}`));
+            return;
+        }
+        if (!isPlainObject(node)) return;
+        info.set(node, { base, location });
+
+        let ownBase = base;
+        if (typeof node.$id === 'string') {
+            if (node.$id.startsWith('#')) {
+                // draft-07 用 $id: "#name" 声明锚点
+                anchors.set(`${base}#${node.$id.slice(1)}`, node);
+            } else {
+                ownBase = resolveUri(node.$id, base).split('#')[0];
+                resources.set(ownBase, node);
+            }
+        }
+        if (draft !== 'draft-07' && typeof node.$anchor === 'string') {
+            anchors.set(`${ownBase}#${node.$anchor}`, node);
+        }
+        if (draft === '2020-12' && typeof node.$dynamicAnchor === 'string') {
+            anchors.set(`${ownBase}#${node.$dynamicAnchor}`, node);
+            dynamicAnchors.set(`${ownBase}#${node.$dynamicAnchor}`, node);
+        }
+
+        Object.entries(node).forEach(([key, value]) => {
+            if (DATA_KEYWORDS.includes(key)) return;
+            const childLocation = `${location}/${escapePointer(key)}`;
+            if (SCHEMA_MAPS.includes(key) && isPlainObject(value)) {
+                info.set(value, { base: ownBase, location: childLocation });
+                Object.entries(value).forEach(([name, child]) => walk(child, ownBase, `${childLocation}/${escapePointer(name)}`));
+            } else {
+                walk(value, ownBase, childLocation);
+            }
+        });
+    };
+
+    walk(root, rootBase, '#');
+    return { resources, anchors, dynamicAnchors, info };
+};
+
+/**
+ * 在资源中按 JSON Pointer 查找
+ */
+const resolvePointer = (resource, pointer) => pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => {
+        if (node === undefined || node === null || typeof node !== 'object') return undefined;
+        return Object.prototype.hasOwnProperty.call(node, key) ? node[key] : undefined;
+    }, resource);
+
+/**
+ * 解析引用，返回目标 schema 及其所在资源和位置
+ */
+const resolveRef = (ref, base, ctx) => {
+    const uri = resolveUri(ref, base);
+    const [documentUri, fragment] = splitFragment(uri);
+    let target;
+    if (!fragment) {
+        target = ctx.registry.resources.get(documentUri);
+    } else if (fragment.startsWith('/')) {
+        const resource = ctx.registry.resources.get(documentUri);
+        target = resource === undefined ? undefined : resolvePointer(resource, fragment);
+    } else {
+        target = ctx.registry.anchors.get(`${documentUri}#${fragment}`);
+    }
+    if (target === undefined || (typeof target !== 'boolean' && !isPlainObject(target))) {
+        throw schemaError('unresolvedRef', { ref });
+    }
+    const targetInfo = typeof target === 'boolean' ? null : ctx.registry.info.get(target);
+    return {
+        schema: target,
+        base: targetInfo?.base || documentUri,
+        location: targetInfo?.location || uri,
+        documentUri,
+        fragment,
+    };
+};
+
+// 格式校验（format），未列出的格式不校验
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(z|[+-]([01]\d|2[0-3]):[0-5]\d)$/i;
+const isValidDate = (text) => {
+    const match = DATE.exec(text);
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+const isValidIpv6 = (text) => {
+    if (!/^[0-9a-f:.]+$/i.test(text)) return false;
+    try {
+        new URL(`http://[${text}]/`);
+        return true;
+    } catch {
+        return false;
+    }
+};
+const FORMATS = {
+    'date-time': (text) => {
+        const [date, time, ...rest] = text.split(/t/i);
+        return rest.length === 0 && time !== undefined && isValidDate(date) && TIME.test(time);
+    },
+    date: isValidDate,
+    time: (text) => TIME.test(text),
+    duration: (text) => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(text),
+    email: (text) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text),
+    hostname: (text) => text.length <= 253
+        && /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i.test(text),
+    ipv4: (text) => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(text),
+    ipv6: isValidIpv6,
+    uri: (text) => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(text),
+    'uri-reference': (text) => !/\s/.test(text),
+    uuid: (text) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(text),
+    'json-pointer': (text) => /^(\/([^~/]|~[01])*)*$/.test(text),
+    regex: (text) => {
+        try {
+            new RegExp(text, 'u');
+            return true;
+        } catch {
+            return false;
+        }
+    },
+};
+
+/**
+ * 编译 pattern，schema 中的正则按 Unicode 模式处理
+ */
+const getPattern = (pattern, ctx) => {
+    if (!ctx.patterns.has(pattern)) {
+        try {
+            ctx.patterns.set(pattern, new RegExp(pattern, 'u'));
+        } catch {
+            throw schemaError('invalidPattern', { pattern });
+        }
+    }
+    return ctx.patterns.get(pattern);
+};
+
+const isType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    return getJsonType(value) === type;
+};
+
+const isMultipleOf = (value, divisor) => {
+    const quotient = value / divisor;
+    return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+};
+
+/**
+ * 按 schema 校验实例
+ * @param {*} schema - 当前 schema（对象或布尔值）
+ * @param {*} instance - 当前实例
+ * @param {Object} scope - { location, path, base, dynamicScope }
+ * @param {Object} ctx - 全局状态
+ * @returns {{ errors: Array, props: Set<string>, items: Set<number> }} 错误和已校验的属性、数组项（供 unevaluated* 使用）
+ */
+const evaluate = (schema, instance, scope, ctx) => {
+    const result = { errors: [], props: new Set(), items: new Set() };
+    const fail = (keyword, code, params = {}, path = scope.path) => {
+        result.errors.push({ instancePath: path, schemaPath: `${scope.location}/${keyword}`, code, params });
+    };
+
+    if (schema === true) return result;
+    if (schema === false) {
+        result.errors.push({ instancePath: scope.path, schemaPath: scope.location, code: 'false', params: {} });
+        return result;
+    }
+    if (!isPlainObject(schema)) throw schemaError('invalidSchema', { location: scope.location });
+
+    const { draft } = ctx;
+    const modern = draft !== 'draft-07';
+
+    // 进入新的资源
+    let { base, dynamicScope } = scope;
+    if (typeof schema.$id === 'string' && !schema.$id.startsWith('#') && !(draft === 'draft-07' && schema.$ref !== undefined)) {
+        base = resolveUri(schema.$id, base).split('#')[0];
+        dynamicScope = [...dynamicScope, base];
+    }
+    const here = { ...scope, base, dynamicScope };
+
+    /**
+     * 校验子 schema，keywordPath 为相对当前 schema 的位置
+     */
+    const sub = (subschema, keywordPath, value, path = scope.path) => evaluate(
+        subschema,
+        value,
+        { ...here, location: `${scope.location}/${keywordPath}`, path },
+        ctx,
+    );
+    const merge = (child) => {
+        child.props.forEach(key => result.props.add(key));
+        child.items.forEach(index => result.items.add(index));
+    };
+    const follow = (ref, target) => {
+        const loopKey = `${target.location}|${formatJsonPointer(scope.path)}`;
+        if (ctx.active.has(loopKey)) throw schemaError('refLoop', { ref });
+        ctx.active.add(loopKey);
+        try {
+            const child = evaluate(target.schema, instance, {
+                location: target.location,
+                path: scope.path,
+                base: target.base,
+                dynamicScope,
+            }, ctx);
+            result.errors.push(...child.errors);
+            if (child.errors.length === 0) merge(child);
+        } finally {
+            ctx.active.delete(loopKey);
+        }
+    };
+
+    // 引用：draft-07 中 $ref 的同级关键字被忽略
+    if (schema.$ref !== undefined) {
+        follow(schema.$ref, resolveRef(schema.$ref, base, ctx));
+        if (!modern) return result;
+    }
+    if (draft === '2020-12' && typeof schema.$dynamicRef === 'string') {
+        let target = resolveRef(schema.$dynamicRef, base, ctx);
+        const anchorName = target.fragment;
+        if (anchorName && !anchorName.startsWith('/') && target.schema.$dynamicAnchor === anchorName) {
+            const outermost = dynamicScope
+                .map(uri => ctx.registry.dynamicAnchors.get(`${uri}#${anchorName}`))
+                .find(Boolean);
+            if (outermost) {
+                const outerInfo = ctx.registry.info.get(outermost);
+                target = { ...target, schema: outermost, base: outerInfo.base, location: outerInfo.location };
+            }
+        }
+        follow(schema.$dynamicRef, target);
+    }
+    if (draft === '2019-09' && typeof schema.$recursiveRef === 'string') {
+        let target = resolveRef(schema.$recursiveRef, base, ctx);
+        if (target.schema.$recursiveAnchor === true) {
+            const outermost = dynamicScope
+                .map(uri => ctx.registry.resources.get(uri))
+                .find(resource => resource?.$recursiveAnchor === true);
+            if (outermost) {
+                const outerInfo = ctx.registry.info.get(outermost);
+                target = { ...target, schema: outermost, base: outerInfo.base, location: outerInfo.location };
+            }
+        }
+        follow(schema.$recursiveRef, target);
+    }
+
+    // 通用
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => isType(instance, type))) {
+            fail('type', 'type', { expected: types.join(' | '), actual: getJsonType(instance) });
+        }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(value => deepEqual(value, instance))) {
+        fail('enum', 'enum', { values: schema.enum.map(value => JSON.stringify(value)).join(', ') });
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, instance)) {
+        fail('const', 'const', { value: JSON.stringify(schema.const) });
+    }
+
+    // 数字
+    if (typeof instance === 'number') {
+        if (typeof schema.multipleOf === 'number' && !isMultipleOf(instance, schema.multipleOf)) {
+            fail('multipleOf', 'multipleOf', { limit: schema.multipleOf });
+        }
+        if (typeof schema.maximum === 'number' && instance > schema.maximum) {
+            fail('maximum', 'maximum', { limit: schema.maximum });
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && instance >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', 'exclusiveMaximum', { limit: schema.exclusiveMaximum });
+        }
+        if (typeof schema.minimum === 'number' && instance < schema.minimum) {
+            fail('minimum', 'minimum', { limit: schema.minimum });
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && instance <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', 'exclusiveMinimum', { limit: schema.exclusiveMinimum });
+        }
+    }
+
+    // 字符串（长度按 Unicode 字符计算）
+    if (typeof instance === 'string') {
+        const length = [...instance].length;
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+            fail('maxLength', 'maxLength', { limit: schema.maxLength });
+        }
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+            fail('minLength', 'minLength', { limit: schema.minLength });
+        }
+        if (typeof schema.pattern === 'string' && !getPattern(schema.pattern, ctx).test(instance)) {
+            fail('pattern', 'pattern', { pattern: schema.pattern });
+        }
+        if (ctx.assertFormat && typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](instance)) {
+            fail('format', 'format', { format: schema.format });
+        }
+    }
+
+    // 数组
+    if (Array.isArray(instance)) {
+        // 按位置校验的前几项：2020-12 为 prefixItems，之前的草案为数组形式的 items
+        const tupleKeyword = draft === '2020-12' ? 'prefixItems' : 'items';
+        const tuple = Array.isArray(schema[tupleKeyword]) ? schema[tupleKeyword] : null;
+        const restKeyword = draft === '2020-12' ? 'items' : (tuple ? 'additionalItems' : 'items');
+        const rest = draft === '2020-12' || tuple ? schema[restKeyword] : schema.items;
+        const prefixLength = tuple ? Math.min(tuple.length, instance.length) : 0;
+
+        for (let index = 0; index < prefixLength; index++) {
+            const child = sub(tuple[index], `${tupleKeyword}/${index}`, instance[index], [...scope.path, index]);
+            result.errors.push(...child.errors);
+            result.items.add(index);
+        }
+        if (rest !== undefined && !Array.isArray(rest)) {
+            for (let index = prefixLength; index < instance.length; index++) {
+                if (rest === false) {
+                    fail(restKeyword, 'additionalItems', { limit: prefixLength }, [...scope.path, index]);
+                    continue;
+                }
+                const child = sub(rest, restKeyword, instance[index], [...scope.path, index]);
+                result.errors.push(...child.errors);
+                result.items.add(index);
+            }
+        }
+
+        if (schema.contains !== undefined) {
+            const matched = instance
+                .map((item, index) => (sub(schema.contains, 'contains', item, [...scope.path, index]).errors.length === 0 ? index : -1))
+                .filter(index => index >= 0);
+            const min = modern && typeof schema.minContains === 'number' ? schema.minContains : 1;
+            const max = modern && typeof schema.maxContains === 'number' ? schema.maxContains : Infinity;
+            if (matched.length < min) {
+                fail(modern && schema.minContains !== undefined ? 'minContains' : 'contains', 'contains', { count: matched.length, min });
+            } else if (matched.length > max) {
+                fail('maxContains', 'maxContains', { count: matched.length, max });
+            }
+            if (draft === '2020-12') matched.forEach(index => result.items.add(index));
+        }
+        if (typeof schema.maxItems === 'number' && instance.length > schema.maxItems) {
+            fail('maxItems', 'maxItems', { limit: schema.maxItems });
+        }
+        if (typeof schema.minItems === 'number' && instance.length < schema.minItems) {
+            fail('minItems', 'minItems', { limit: schema.minItems });
+        }
+        if (schema.uniqueItems === true) {
+            outer: for (let i = 0; i < instance.length; i++) {
+                for (let j = i + 1; j < instance.length; j++) {
+                    if (deepEqual(instance[i], instance[j])) {
+                        fail('uniqueItems', 'uniqueItems', { first: i, second: j }, [...scope.path, j]);
+                        break outer;
+                    }
+                }
+            }
+        }
+    }
+
+    // 对象
+    if (isPlainObject(instance)) {
+        const keys = Object.keys(instance);
+        const has = (key) => Object.prototype.hasOwnProperty.call(instance, key);
+
+        if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+            fail('maxProperties', 'maxProperties', { limit: schema.maxProperties });
+        }
+        if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+            fail('minProperties', 'minProperties', { limit: schema.minProperties });
+        }
+        if (Array.isArray(schema.required)) {
+            schema.required.filter(key => !has(key)).forEach(key => fail('required', 'required', { property: key }));
+        }
+
+        // 属性依赖：draft-07 的 dependencies 同时包含必需属性和 schema 两种形式
+        const dependentRequired = modern ? schema.dependentRequired : schema.dependencies;
+        const dependentSchemas = modern ? schema.dependentSchemas : schema.dependencies;
+        const dependencyKeyword = modern ? 'dependentRequired' : 'dependencies';
+        if (isPlainObject(dependentRequired)) {
+            Object.entries(dependentRequired).forEach(([key, required]) => {
+                if (!has(key) || !Array.isArray(required)) return;
+                required.filter(name => !has(name)).forEach(name => {
+                    fail(`${dependencyKeyword}/${escapePointer(key)}`, 'dependentRequired', { property: key, dependency: name });
+                });
+            });
+        }
+        if (isPlainObject(dependentSchemas)) {
+            const keyword = modern ? 'dependentSchemas' : 'dependencies';
+            Object.entries(dependentSchemas).forEach(([key, subschema]) => {
+                if (!has(key) || Array.isArray(subschema)) return;
+                const child = sub(subschema, `${keyword}/${escapePointer(key)}`, instance);
+                result.errors.push(...child.errors);
+                if (child.errors.length === 0) merge(child);
+            });
+        }
+
+        // 属性
+        const covered = new Set();
+        if (isPlainObject(schema.properties)) {
+            Object.entries(schema.properties).forEach(([key, subschema]) => {
+                if (!has(key)) return;
+                const child = sub(subschema, `properties/${escapePointer(key)}`, instance[key], [...scope.path, key]);
+                result.errors.push(...child.errors);
+                covered.add(key);
+            });
+        }
+        if (isPlainObject(schema.patternProperties)) {
+            Object.entries(schema.patternProperties).forEach(([pattern, subschema]) => {
+                const regex = getPattern(pattern, ctx);
+                keys.filter(key => regex.test(key)).forEach(key => {
+                    const child = sub(subschema, `patternProperties/${escapePointer(pattern)}`, instance[key], [...scope.path, key]);
+                    result.errors.push(...child.errors);
+                    covered.add(key);
+                });
+            });
+        }
+        if (schema.additionalProperties !== undefined) {
+            keys.filter(key => !covered.has(key)).forEach(key => {
+                if (schema.additionalProperties === false) {
+                    fail('additionalProperties', 'additionalProperties', { property: key }, [...scope.path, key]);
+                } else {
+                    const child = sub(schema.additionalProperties, 'additionalProperties', instance[key], [...scope.path, key]);
+                    result.errors.push(...child.errors);
+                }
+                covered.add(key);
+            });
+        }
+        covered.forEach(key => result.props.add(key));
+
+        if (schema.propertyNames !== undefined) {
+            keys.forEach(key => {
+                if (sub(schema.propertyNames, 'propertyNames', key).errors.length > 0) {
+                    fail('propertyNames', 'propertyNames', { property: key }, [...scope.path, key]);
+                }
+            });
+        }
+    }
+
+    // 组合
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((subschema, index) => {
+            const child = sub(subschema, `allOf/${index}`, instance);
+            result.errors.push(...child.errors);
+            if (child.errors.length === 0) merge(child);
+        });
+    }
+    if (Array.isArray(schema.anyOf)) {
+        const valid = schema.anyOf
+            .map((subschema, index) => sub(subschema, `anyOf/${index}`, instance))
+            .filter(child => child.errors.length === 0);
+        if (valid.length === 0) fail('anyOf', 'anyOf');
+        valid.forEach(merge);
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const valid = schema.oneOf
+            .map((subschema, index) => sub(subschema, `oneOf/${index}`, instance))
+            .filter(child => child.errors.length === 0);
+        if (valid.length !== 1) fail('oneOf', 'oneOf', { count: valid.length });
+        else merge(valid[0]);
+    }
+    if (schema.not !== undefined && sub(schema.not, 'not', instance).errors.length === 0) {
+        fail('not', 'not');
+    }
+    if (schema.if !== undefined) {
+        const condition = sub(schema.if, 'if', instance);
+        const branch = condition.errors.length === 0 ? 'then' : 'else';
+        if (condition.errors.length === 0) merge(condition);
+        if (schema[branch] !== undefined) {
+            const child = sub(schema[branch], branch, instance);
+            result.errors.push(...child.errors);
+            if (child.errors.length === 0) merge(child);
+        }
+    }
+
+    // 未被其他关键字校验的属性和数组项
+    if (modern && Array.isArray(instance) && schema.unevaluatedItems !== undefined) {
+        instance.forEach((item, index) => {
+            if (result.items.has(index)) return;
+            if (schema.unevaluatedItems === false) {
+                fail('unevaluatedItems', 'unevaluatedItems', { index }, [...scope.path, index]);
+            } else {
+                const child = sub(schema.unevaluatedItems, 'unevaluatedItems', item, [...scope.path, index]);
+                result.errors.push(...child.errors);
+            }
+            result.items.add(index);
+        });
+    }
+    if (modern && isPlainObject(instance) && schema.unevaluatedProperties !== undefined) {
+        Object.keys(instance).forEach(key => {
+            if (result.props.has(key)) return;
+            if (schema.unevaluatedProperties === false) {
+                fail('unevaluatedProperties', 'unevaluatedProperties', { property: key }, [...scope.path, key]);
+            } else {
+                const child = sub(schema.unevaluatedProperties, 'unevaluatedProperties', instance[key], [...scope.path, key]);
+                result.errors.push(...child.errors);
+            }
+            result.props.add(key);
+        });
+    }
+
+    return result;
+};
+
+/**
+ * 创建校验函数：schema 只建立一次索引，可连续校验多个实例（如 NDJSON 的每一行）
+ * @param {*} schema - 已解析的 schema 文档（对象或布尔值）
+ * @param {Object} options
+ * @param {string} [options.draft] - 草案版本，默认按 $schema 识别，无法识别时为 2020-12
+ * @param {string} [options.entry] - 校验入口，相对文档的引用（如 #/components/schemas/Pet），默认为整个文档
+ * @param {boolean} [options.assertFormat=true] - 是否校验 format
+ * @returns {Function} (instance) => errors，没有错误时为空数组
+ * @throws {Error} schema 有问题时，code 为 invalidSchema、unresolvedRef、invalidPattern
+ */
+export const compileJsonSchema = (schema, options = {}) => {
+    if (typeof schema !== 'boolean' && !isPlainObject(schema)) throw schemaError('invalidSchema', { location: '#' });
+    const draft = options.draft || detectSchemaDraft(schema) || '2020-12';
+    const rootBase = isPlainObject(schema) && typeof schema.$id === 'string' && !schema.$id.startsWith('#')
+        ? resolveUri(schema.$id, DEFAULT_BASE).split('#')[0]
+        : DEFAULT_BASE;
+    const ctx = {
+        draft,
+        assertFormat: options.assertFormat !== false,
+        registry: buildRegistry(schema, draft, rootBase),
+        patterns: new Map(),
+        active: new Set(),
+    };
+    const entry = options.entry?.trim()
+        ? resolveRef(options.entry.trim(), rootBase, ctx)
+        : { schema, base: rootBase, location: '#' };
+    // 动态作用域从入口开始，入口的 $id 在进入时加入
+    const dynamicScope = options.entry?.trim() ? [] : [rootBase];
+
+    return (instance) => evaluate(entry.schema, instance, {
+        location: entry.location,
+        path: [],
+        base: entry.base,
+        dynamicScope,
+    }, ctx).errors;
+};
+
+/**
+ * 校验单个实例
+ * @param {*} schema - 已解析的 schema 文档
+ * @param {*} instance - 已解析的实例
+ * @param {Object} options - 见 compileJsonSchema
+ * @returns {Array} 错误列表
+ */
+export const validateJsonSchema = (schema, instance, options) => compileJsonSchema(schema, options)(instance);
+
+/**
+ * 校验文本中的实例，并把错误定位到原文
+ * - 单个实例：整段文本为一个 JSON
+ * - NDJSON：每行一个 JSON，空行跳过
+ *
+ * @param {Function} validate - compileJsonSchema 返回的校验函数
+ * @param {string} text - 实例文本
+ * @param {boolean} ndjson - 是否按 NDJSON 处理
+ * @returns {{ count: number, errors: Array }} 实例数和错误列表
+ *   错误在 validate 的结果上增加 line（实例所在行，单个实例时为 null）、range（出错节点在原文中的 { from, to }）
+ *   和 position（编辑器中的 { line, column }）；无法解析的实例 code 为 invalidJson，range 为 null
+ */
+export const validateJsonText = (validate, text, ndjson) => {
+    const documents = [];
+    if (ndjson) {
+        let offset = 0;
+        text.split('\n').forEach((line, index) => {
+            if (line.trim()) documents.push({ text: line, offset, line: index + 1 });
+            offset += line.length + 1;
+        });
+    } else if (text.trim()) {
+        documents.push({ text, offset: 0, line: null });
+    }
+
+    const errors = [];
+    documents.forEach((document) => {
+        let instance;
+        try {
+            instance = JSON.parse(document.text);
+        } catch (err) {
+            const diagnostic = getJsonDiagnostic(document.text, err);
+            errors.push({
+                line: document.line,
+                instancePath: [],
+                schemaPath: '',
+                code: 'invalidJson',
+                params: { message: err.message },
+                range: null,
+                position: diagnostic
+                    ? { line: diagnostic.line + (document.line || 1) - 1, column: diagnostic.column }
+                    : { line: document.line || 1, column: 1 },
+            });
+            return;
+        }
+        const found = validate(instance);
+        if (found.length === 0) return;
+        const ranges = locateJsonValues(document.text);
+        found.forEach((error) => {
+            const local = ranges.get(JSON.stringify(error.instancePath));
+            const range = local ? { from: document.offset + local.from, to: document.offset + local.to } : null;
+            errors.push({
+                ...error,
+                line: document.line,
+                range,
+                position: offsetToLineColumn(text, range ? range.from : document.offset),
+            });
+        });
+    });
+    return { count: documents.length, errors };
+};
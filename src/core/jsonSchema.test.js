@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { detectSchemaDraft, compileJsonSchema, validateJsonSchema, validateJsonText, formatJsonPointer } from './jsonSchema';
+
+/**
+ * 错误的简写：[instancePath（JSON Pointer）, code]
+ */
+const check = (schema, instance, options) => validateJsonSchema(schema, instance, options)
+    .map(error => [formatJsonPointer(error.instancePath), error.code]);
+
+const schemaPaths = (schema, instance, options) => validateJsonSchema(schema, instance, options).map(error => error.schemaPath);
+
+describe('$ref 和 $defs', () => {
+    const schema = {
+        $defs: {
+            positive: { type: 'integer', minimum: 1 },
+            node: {
+                type: 'object',
+                properties: { value: { $ref: '#/$defs/positive' }, children: { type: 'array', items: { $ref: '#/$defs/node' } } },
+            },
+        },
+        $ref: '#/$defs/node',
+    };
+
+    it('解析文档内的引用，包括递归引用', () => {
+        expect(check(schema, { value: 1, children: [{ value: 2, children: [] }] })).toEqual([]);
+        expect(check(schema, { value: 1, children: [{ value: 0 }] })).toEqual([['/children/0/value', 'minimum']]);
+    });
+
+    it('schemaPath 指向被引用的位置', () => {
+        const [error] = validateJsonSchema(schema, { value: 'x' });
+        expect(error.schemaPath).toBe('#/$defs/positive/type');
+    });
+
+    it('draft-07 的 definitions 和 $id 锚点', () => {
+        const draft07 = {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            definitions: { name: { $id: '#name', type: 'string' } },
+            properties: { a: { $ref: '#name' }, b: { $ref: '#/definitions/name' } },
+        };
+        expect(check(draft07, { a: 1, b: 2 })).toEqual([['/a', 'type'], ['/b', 'type']]);
+    });
+
+    it('OpenAPI 文档中的入口', () => {
+        const openApi = { components: { schemas: { Pet: { type: 'object', required: ['name'] } } } };
+        expect(check(openApi, {}, { entry: '#/components/schemas/Pet' })).toEqual([['', 'required']]);
+    });
+
+    it('无法解析的引用抛出 unresolvedRef', () => {
+        expect(() => validateJsonSchema({ $ref: '#/$defs/missing' }, 1)).toThrow(expect.objectContaining({ code: 'unresolvedRef' }));
+    });
+});
+
+describe('unevaluatedProperties 和 unevaluatedItems', () => {
+    it('allOf 中声明的属性视为已校验', () => {
+        const schema = {
+            allOf: [{ properties: { a: true } }],
+            properties: { b: true },
+            unevaluatedProperties: false,
+        };
+        expect(check(schema, { a: 1, b: 2 })).toEqual([]);
+        expect(check(schema, { a: 1, c: 3 })).toEqual([['/c', 'unevaluatedProperties']]);
+    });
+
+    it('只有通过校验的分支中的属性才算已校验', () => {
+        const schema = {
+            anyOf: [
+                { properties: { kind: { const: 'a' }, a: true }, required: ['kind'] },
+                { properties: { kind: { const: 'b' }, b: true }, required: ['kind'] },
+            ],
+            unevaluatedProperties: false,
+        };
+        expect(check(schema, { kind: 'a', a: 1 })).toEqual([]);
+        expect(check(schema, { kind: 'a', b: 1 })).toEqual([['/b', 'unevaluatedProperties']]);
+    });
+
+    it('prefixItems 和 contains 匹配的项视为已校验', () => {
+        const schema = { prefixItems: [{ type: 'string' }], contains: { type: 'number' }, unevaluatedItems: false };
+        expect(check(schema, ['a', 1, 2])).toEqual([]);
+        expect(check(schema, ['a', 1, true])).toEqual([['/2', 'unevaluatedItems']]);
+    });
+
+    it('draft-07 忽略 unevaluated*', () => {
+        expect(check({ unevaluatedProperties: false }, { a: 1 }, { draft: 'draft-07' })).toEqual([]);
+    });
+});
+
+describe('草案差异', () => {
+    it('按 $schema 识别草案', () => {
+        expect(detectSchemaDraft({ $schema: 'http://json-schema.org/draft-07/schema#' })).toBe('draft-07');
+        expect(detectSchemaDraft({ $schema: 'https://json-schema.org/draft/2020-12/schema' })).toBe('2020-12');
+        expect(detectSchemaDraft({})).toBeNull();
+    });
+
+    it('数组形式的 items：draft-07 按位置校验，2020-12 使用 prefixItems', () => {
+        const tuple = { items: [{ type: 'string' }, { type: 'number' }], additionalItems: false };
+        expect(schemaPaths(tuple, ['a', 1, 2], { draft: 'draft-07' })).toEqual(['#/additionalItems']);
+        expect(schemaPaths(tuple, ['a', 'b'], { draft: 'draft-07' })).toEqual(['#/items/1/type']);
+        const modern = { prefixItems: [{ type: 'string' }, { type: 'number' }], items: false };
+        expect(schemaPaths(modern, ['a', 1, 2], { draft: '2020-12' })).toEqual(['#/items']);
+        expect(schemaPaths(modern, ['a', 'b'], { draft: '2020-12' })).toEqual(['#/prefixItems/1/type']);
+    });
+
+    it('draft-07 中 $ref 的同级关键字被忽略', () => {
+        const schema = { $defs: { any: true }, $ref: '#/$defs/any', type: 'string' };
+        expect(check(schema, 1, { draft: 'draft-07' })).toEqual([]);
+        expect(check(schema, 1, { draft: '2020-12' })).toEqual([['', 'type']]);
+    });
+
+    it('dependencies 与 dependentRequired', () => {
+        expect(schemaPaths({ dependencies: { a: ['b'] } }, { a: 1 }, { draft: 'draft-07' })).toEqual(['#/dependencies/a']);
+        expect(schemaPaths({ dependentRequired: { a: ['b'] } }, { a: 1 }, { draft: '2020-12' })).toEqual(['#/dependentRequired/a']);
+        expect(check({ dependentRequired: { a: ['b'] } }, { a: 1 }, { draft: 'draft-07' })).toEqual([]);
+    });
+});
+
+describe('validateJsonText', () => {
+    const validate = compileJsonSchema({ type: 'object', properties: { id: { type: 'integer' } } });
+
+    it('单个实例的错误定位到原文', () => {
+        const text = '{\n  "id": "x"\n}';
+        const { count, errors } = validateJsonText(validate, text, false);
+        expect(count).toBe(1);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].line).toBeNull();
+        expect(errors[0].position).toEqual({ line: 2, column: 9 });
+        expect(text.slice(errors[0].range.from, errors[0].range.to)).toBe('"x"');
+    });
+
+    it('NDJSON 按行报告，位置为整段文本中的行列', () => {
+        const text = '{"id": 1}\n\n{"id": "two"}\n{"id": 3';
+        const { count, errors } = validateJsonText(validate, text, true);
+        expect(count).toBe(3);
+        expect(errors.map(error => [error.line, error.code, error.position])).toEqual([
+            [3, 'type', { line: 3, column: 8 }],
+            [4, 'invalidJson', expect.objectContaining({ line: 4 })],
+        ]);
+        expect(text.slice(errors[0].range.from, errors[0].range.to)).toBe('"two"');
+    });
+});
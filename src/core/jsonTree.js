@@ -0,0 +1,151 @@
+/**
+ * JSON 树
+ * 纯函数实现，把 JSON 展开为树视图的行，生成节点路径，并把键和值的修改写回原文。
+ * 修改只替换原文中对应的片段，其余部分的缩进和格式保持不变。
+ */
+import { getJsonType, isPlainObject } from './jsonValue';
+import { locateJsonValues } from './jsonQuery';
+
+/**
+ * 节点的标识：JSON.stringify(path)，与 locateJsonValues 的键相同
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+export const getNodeId = (path) => JSON.stringify(path);
+
+/**
+ * 对象或数组的子节点 [key, value]
+ */
+const entriesOf = (value) => (Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value));
+
+/**
+ * 展开为树视图中可见的行（前序）
+ * @param {*} data - 已解析的 JSON 数据
+ * @param {Set<string>} collapsed - 已折叠节点的标识
+ * @returns {Array<Object>} [{ id, path, key, depth, type, value, size, expanded }]
+ *   key 为对象的键或数组的下标，根节点为 undefined；size 为对象或数组的成员数，其余类型为 null
+ */
+export const getJsonRows = (data, collapsed) => {
+    const rows = [];
+    const visit = (value, path, key) => {
+        const id = getNodeId(path);
+        const type = getJsonType(value);
+        const isContainer = type === 'object' || type === 'array';
+        const expanded = isContainer && !collapsed.has(id);
+        rows.push({
+            id,
+            path,
+            key,
+            depth: path.length,
+            type,
+            value: isContainer ? null : value,
+            size: isContainer ? (Array.isArray(value) ? value.length : Object.keys(value).length) : null,
+            expanded,
+        });
+        if (expanded) {
+            entriesOf(value).forEach(([childKey, child]) => visit(child, [...path, childKey], childKey));
+        }
+    };
+    visit(data, [], undefined);
+    return rows;
+};
+
+/**
+ * 所有对象和数组的标识（不含根节点），用于全部折叠
+ * @param {*} data - 已解析的 JSON 数据
+ * @returns {Set<string>}
+ */
+export const getContainerIds = (data) => {
+    const ids = new Set();
+    const visit = (value, path) => {
+        if (!Array.isArray(value) && !isPlainObject(value)) return;
+        if (path.length > 0) ids.add(getNodeId(path));
+        entriesOf(value).forEach(([key, child]) => visit(child, [...path, key]));
+    };
+    visit(data, []);
+    return ids;
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const JSONPATH_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * 点号路径，如 a.b[0].c；不是标识符的键写作 ["a b"]，根节点为空字符串
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+export const formatDotPath = (path) => path.reduce((result, key) => {
+    if (typeof key === 'number') return `${result}[${key}]`;
+    if (!IDENTIFIER.test(key)) return `${result}[${JSON.stringify(key)}]`;
+    return result ? `${result}.${key}` : key;
+}, '');
+
+/**
+ * JSONPath 路径，如 $.a.b[0].c；不是标识符的键写作 ['a b']（RFC 9535 的转义规则）
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+export const formatJsonPath = (path) => path.reduce((result, key) => {
+    if (typeof key === 'number') return `${result}[${key}]`;
+    if (JSONPATH_NAME.test(key)) return `${result}.${key}`;
+    const escaped = JSON.stringify(key).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'");
+    return `${result}['${escaped}']`;
+}, '$');
+
+/**
+ * 编辑框中显示的值：字符串不带引号，其余为 JSON 字面量
+ * @param {*} value - 基本类型的值
+ * @returns {string}
+ */
+export const formatEditableValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * 解析编辑框中输入的值：合法的 JSON 字面量按字面量处理（如 42、true、null、"42"），否则作为字符串
+ * @param {string} text
+ * @returns {*}
+ */
+export const parseEditableValue = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+const treeError = (code, params) => Object.assign(new Error(code), { code, params });
+
+/**
+ * 替换原文中的片段
+ */
+const splice = (text, { from, to }, replacement) => text.slice(0, from) + replacement + text.slice(to);
+
+/**
+ * 修改节点的值并写回原文
+ * @param {string} text - 合法的 JSON 文本
+ * @param {Array<string|number>} path - 节点路径
+ * @param {*} value - 新的值
+ * @returns {string} 修改后的文本
+ * @throws {Error} code 为 notFound（路径不存在）
+ */
+export const replaceJsonValue = (text, path, value) => {
+    const range = locateJsonValues(text).get(getNodeId(path));
+    if (!range) throw treeError('notFound', { path: formatJsonPath(path) });
+    return splice(text, range, JSON.stringify(value));
+};
+
+/**
+ * 重命名对象的键并写回原文
+ * @param {string} text - 合法的 JSON 文本
+ * @param {Array<string|number>} path - 节点路径，最后一段为原来的键
+ * @param {string} key - 新的键
+ * @returns {string} 修改后的文本
+ * @throws {Error} code 为 notFound（路径不存在或不是对象成员）、duplicateKey（同级已有该键）
+ */
+export const renameJsonKey = (text, path, key) => {
+    const ranges = locateJsonValues(text);
+    const range = ranges.get(getNodeId(path));
+    if (!range?.key) throw treeError('notFound', { path: formatJsonPath(path) });
+    if (key === path[path.length - 1]) return text;
+    if (ranges.has(getNodeId([...path.slice(0, -1), key]))) throw treeError('duplicateKey', { key });
+    return splice(text, range.key, JSON.stringify(key));
+};
@@ -0,0 +1,707 @@
+/**
+ * JSON 推断 Schema 与类型定义
+ * 纯函数实现，不依赖 UI，供 JSON 转类型工具和命令行共用：
+ * 先从一个或多个 JSON 样本推断 JSON Schema（合并可选字段和联合类型），再由 schema 生成各语言的类型定义。
+ * 类型名和字段名沿用 sqlEntity.js 的 toCamelCase、toPascalCase，键先统一拆成下划线形式再转换。
+ */
+import { toCamelCase, toPascalCase } from './sqlEntity';
+import { getJsonType, isPlainObject } from './jsonValue';
+
+/**
+ * 支持的输出
+ */
+export const JSON_TYPE_TARGETS = [
+    'json-schema',
+    'typescript',
+    'zod',
+    'go',
+    'java',
+    'kotlin',
+    'python-dataclass',
+    'python-pydantic',
+];
+
+/**
+ * 默认选项
+ * - rootName: 根类型名
+ * - detectFormats: 识别字符串格式（date-time、date、email、uuid、uri）
+ * - includeImports: 生成 package / import 声明
+ */
+export const DEFAULT_JSON_TYPE_OPTIONS = {
+    rootName: 'Root',
+    detectFormats: true,
+    includeImports: true,
+};
+
+/**
+ * 可识别的字符串格式，按顺序取第一个匹配的
+ */
+const STRING_FORMATS = [
+    ['date-time', /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/],
+    ['date', /^\d{4}-\d{2}-\d{2}$/],
+    ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+    ['uri', /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i],
+];
+
+/**
+ * 解析样本：整段文本为一个 JSON，否则按每行一个 JSON（NDJSON）处理
+ * @param {string} text - 样本文本
+ * @returns {Array} 样本列表
+ * @throws {Error} 两种方式都无法解析时抛出整段文本的 JSON.parse 异常
+ */
+export const parseJsonSamples = (text) => {
+    try {
+        return [JSON.parse(text)];
+    } catch (err) {
+        const lines = text.split('\n').filter(line => line.trim());
+        if (lines.length < 2) throw err;
+        try {
+            return lines.map(line => JSON.parse(line));
+        } catch {
+            throw err;
+        }
+    }
+};
+
+// ==================== 推断 Schema ====================
+
+const createShape = () => ({
+    count: 0,
+    types: [],
+    formats: null,
+    objectCount: 0,
+    properties: new Map(),
+    items: null,
+});
+
+/**
+ * 把一个值合并到形状中：记录出现过的类型、字符串格式、对象的键及出现次数、数组项
+ */
+const addSample = (shape, value, options) => {
+    shape.count++;
+    const type = typeof value === 'number' && Number.isInteger(value) ? 'integer' : getJsonType(value);
+    if (!shape.types.includes(type)) shape.types.push(type);
+
+    if (type === 'string') {
+        const matched = options.detectFormats
+            ? STRING_FORMATS.filter(([, pattern]) => pattern.test(value)).map(([name]) => name)
+            : [];
+        shape.formats = shape.formats === null ? matched : shape.formats.filter(name => matched.includes(name));
+    } else if (type === 'object') {
+        shape.objectCount++;
+        Object.entries(value).forEach(([key, child]) => {
+            if (!shape.properties.has(key)) shape.properties.set(key, createShape());
+            addSample(shape.properties.get(key), child, options);
+        });
+    } else if (type === 'array') {
+        if (!shape.items) shape.items = createShape();
+        value.forEach(item => addSample(shape.items, item, options));
+    }
+};
+
+/**
+ * 形状转换为 JSON Schema
+ * - 所有样本中都出现的键为 required
+ * - 整数和小数同时出现时为 number
+ * - 出现 null 时加入 null 类型；多种基本类型合并为 type 数组，含对象或数组时使用 anyOf
+ */
+const shapeToSchema = (shape) => {
+    let types = shape.types;
+    if (types.includes('integer') && types.includes('number')) types = types.filter(type => type !== 'integer');
+    const nullable = types.includes('null');
+    const rest = types.filter(type => type !== 'null');
+
+    const schemaFor = (type) => {
+        if (type === 'object') {
+            const properties = {};
+            shape.properties.forEach((child, key) => {
+                properties[key] = shapeToSchema(child);
+            });
+            const required = [...shape.properties.keys()].filter(key => shape.properties.get(key).count === shape.objectCount);
+            return required.length > 0 ? { type, properties, required } : { type, properties };
+        }
+        if (type === 'array') {
+            return shape.items?.count > 0 ? { type, items: shapeToSchema(shape.items) } : { type };
+        }
+        if (type === 'string' && shape.formats?.length > 0) {
+            return { type, format: shape.formats[0] };
+        }
+        return { type };
+    };
+
+    if (rest.length === 0) return { type: 'null' };
+    if (rest.length === 1) {
+        const schema = schemaFor(rest[0]);
+        return nullable ? { ...schema, type: [schema.type, 'null'] } : schema;
+    }
+    if (rest.every(type => type !== 'object' && type !== 'array')) {
+        return { type: nullable ? [...rest, 'null'] : rest };
+    }
+    return { anyOf: [...rest.map(schemaFor), ...(nullable ? [{ type: 'null' }] : [])] };
+};
+
+/**
+ * 从样本推断 JSON Schema（2020-12）
+ * @param {Array} samples - 已解析的样本
+ * @param {Object} options - 见 DEFAULT_JSON_TYPE_OPTIONS
+ * @returns {Object} JSON Schema
+ */
+export const inferJsonSchema = (samples, options = DEFAULT_JSON_TYPE_OPTIONS) => {
+    const shape = createShape();
+    samples.forEach(sample => addSample(shape, sample, options));
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: toTypeName(options.rootName || DEFAULT_JSON_TYPE_OPTIONS.rootName),
+        ...shapeToSchema(shape),
+    };
+};
+
+// ==================== 命名 ====================
+
+/**
+ * 把任意键拆成小写下划线形式，如 userID、user-id、User Id 都转换为 user_id
+ */
+const toSnakeWords = (text) => String(text)
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .join('_')
+    .toLowerCase();
+
+/**
+ * 类型名（帕斯卡），不能以数字开头
+ */
+const toTypeName = (text) => {
+    const name = toPascalCase(toSnakeWords(text));
+    if (!name) return 'Type';
+    return /^\d/.test(name) ? `T${name}` : name;
+};
+
+/**
+ * 数组项的类型名：复数变单数，否则加 Item
+ */
+const singularize = (name) => {
+    if (/[^aeiou]ies$/i.test(name)) return `${name.slice(0, -3)}y`;
+    if (/(ss|x|z|ch|sh)es$/i.test(name)) return name.slice(0, -2);
+    if (/[^s]s$/i.test(name)) return name.slice(0, -1);
+    return `${name}Item`;
+};
+
+const JAVA_KEYWORDS = new Set(('abstract assert boolean break byte case catch char class const continue default do double else enum '
+    + 'extends final finally float for goto if implements import instanceof int interface long native new package private '
+    + 'protected public return short static strictfp super switch synchronized this throw throws transient try void volatile '
+    + 'while record var yield true false null').split(' '));
+const KOTLIN_KEYWORDS = new Set(('as break class continue do else false for fun if in interface is null object package return '
+    + 'super this throw true try typealias typeof val var when while').split(' '));
+const PYTHON_KEYWORDS = new Set(('False None True and as assert async await break class continue def del elif else except '
+    + 'finally for from global if import in is lambda nonlocal not or pass raise return try while with yield').split(' '));
+
+/**
+ * 字段名：不能以数字开头，避开关键字，同一类型中重复时加序号
+ * @param {Array} fields - 类型模型中的字段
+ * @param {Function} toName - 键 → 字段名
+ * @param {Object} [options]
+ * @param {Set<string>} [options.keywords] - 需要避开的关键字，命中时加后缀 _
+ * @param {string} [options.digitPrefix='_'] - 以数字开头时加的前缀
+ */
+const assignFieldNames = (fields, toName, { keywords, digitPrefix = '_' } = {}) => {
+    const used = new Set();
+    return fields.map((field) => {
+        let name = toName(field.key) || 'field';
+        if (/^\d/.test(name)) name = `${digitPrefix}${name}`;
+        if (keywords?.has(name)) name = `${name}_`;
+        let unique = name;
+        for (let index = 2; used.has(unique); index++) unique = `${name}${index}`;
+        used.add(unique);
+        return { ...field, name: unique };
+    });
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// ==================== 类型模型 ====================
+
+/**
+ * 由 JSON Schema 建立类型模型
+ * 类型引用：{ kind, nullable }，kind 为 string（含 format）、integer、number、boolean、null、any、
+ * map（values）、array（items）、object（name，对应 types 中的一项）、union（types）
+ *
+ * @param {Object} schema - JSON Schema，支持 type、properties、required、items、anyOf/oneOf 和文档内的 $ref
+ * @param {string} rootName - 根类型名
+ * @returns {{ root: Object, rootName: string, types: Array<{ name, description, fields: Array<{ key, type, optional }> }> }}
+ *   types 中被引用的类型排在引用它的类型之前
+ */
+export const buildTypeModel = (schema, rootName) => {
+    const types = [];
+    const usedNames = new Set();
+    const refs = new Map();
+
+    const uniqueName = (hint) => {
+        const base = toTypeName(hint);
+        let name = base;
+        for (let index = 2; usedNames.has(name); index++) name = `${base}${index}`;
+        usedNames.add(name);
+        return name;
+    };
+
+    const resolveRef = (ref) => ref
+        .replace(/^#/, '')
+        .split('/')
+        .slice(1)
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), schema);
+
+    const toRef = (node, hint, refKey) => {
+        if (!isPlainObject(node)) return { kind: 'any' };
+
+        if (typeof node.$ref === 'string') {
+            if (refs.has(node.$ref)) return refs.get(node.$ref);
+            const target = node.$ref.startsWith('#') ? resolveRef(node.$ref) : undefined;
+            const ref = toRef(target, node.$ref.split('/').pop() || hint, node.$ref);
+            refs.set(node.$ref, ref);
+            return ref;
+        }
+
+        const variants = node.anyOf || node.oneOf;
+        if (Array.isArray(variants)) {
+            const members = variants.map(variant => toRef(variant, hint));
+            const nullable = members.some(member => member.kind === 'null');
+            const rest = members.filter(member => member.kind !== 'null');
+            if (rest.length === 0) return { kind: 'null' };
+            if (rest.length === 1) return { ...rest[0], nullable: nullable || rest[0].nullable };
+            return { kind: 'union', types: rest, nullable };
+        }
+
+        let type = node.type;
+        if (type === undefined) {
+            if (node.properties) type = 'object';
+            else if (node.items) type = 'array';
+            else return { kind: 'any' };
+        }
+        if (Array.isArray(type)) {
+            const nullable = type.includes('null');
+            const rest = type.filter(item => item !== 'null');
+            if (rest.length === 0) return { kind: 'null' };
+            if (rest.length > 1) {
+                return { kind: 'union', types: rest.map(item => toRef({ ...node, type: item }, hint)), nullable };
+            }
+            return { ...toRef({ ...node, type: rest[0] }, hint, refKey), nullable };
+        }
+
+        switch (type) {
+            case 'object': {
+                if (!isPlainObject(node.properties)) {
+                    return {
+                        kind: 'map',
+                        values: isPlainObject(node.additionalProperties) ? toRef(node.additionalProperties, singularize(hint)) : { kind: 'any' },
+                    };
+                }
+                const ref = { kind: 'object', name: uniqueName(hint) };
+                // 先登记，递归引用自身时直接使用
+                if (refKey) refs.set(refKey, ref);
+                const required = Array.isArray(node.required) ? node.required : [];
+                const fields = Object.entries(node.properties).map(([key, property]) => ({
+                    key,
+                    type: toRef(property, key),
+                    optional: !required.includes(key),
+                }));
+                types.push({ name: ref.name, description: node.description || null, fields });
+                return ref;
+            }
+            case 'array':
+                return {
+                    kind: 'array',
+                    items: isPlainObject(node.items) ? toRef(node.items, singularize(hint)) : { kind: 'any' },
+                };
+            case 'string':
+                return { kind: 'string', format: node.format || null };
+            case 'integer':
+            case 'number':
+            case 'boolean':
+            case 'null':
+                return { kind: type };
+            default:
+                return { kind: 'any' };
+        }
+    };
+
+    const name = toTypeName(rootName || schema.title || DEFAULT_JSON_TYPE_OPTIONS.rootName);
+    const root = toRef(schema, name);
+    return { root, rootName: name, types };
+};
+
+// ==================== 代码生成 ====================
+
+/**
+ * TypeScript 类型
+ */
+const tsType = (ref) => {
+    let type;
+    switch (ref.kind) {
+        case 'string': type = 'string'; break;
+        case 'integer':
+        case 'number': type = 'number'; break;
+        case 'boolean': type = 'boolean'; break;
+        case 'null': type = 'null'; break;
+        case 'map': type = `Record<string, ${tsType(ref.values)}>`; break;
+        case 'array': {
+            const items = tsType(ref.items);
+            type = items.includes(' ') ? `(${items})[]` : `${items}[]`;
+            break;
+        }
+        case 'object': type = ref.name; break;
+        case 'union': type = ref.types.map(tsType).join(' | '); break;
+        default: type = 'unknown';
+    }
+    return ref.nullable ? `${type} | null` : type;
+};
+
+const tsKey = (key) => (IDENTIFIER.test(key) ? key : JSON.stringify(key));
+
+/**
+ * 生成 TypeScript interface
+ */
+function generateTypeScript(model) {
+    const blocks = model.types.map((type) => {
+        let code = type.description ? `/** ${type.description} */\n` : '';
+        code += `export interface ${type.name} {\n`;
+        for (const field of type.fields) {
+            code += `    ${tsKey(field.key)}${field.optional ? '?' : ''}: ${tsType(field.type)};\n`;
+        }
+        return `${code}}\n`;
+    });
+    if (model.root.kind !== 'object') {
+        blocks.push(`export type ${model.rootName} = ${tsType(model.root)};\n`);
+    }
+    return blocks.join('\n');
+}
+
+/**
+ * Zod schema 表达式；defined 为已经声明的类型，引用尚未声明的类型（递归）时使用 z.lazy
+ */
+const zodType = (ref, defined) => {
+    let type;
+    switch (ref.kind) {
+        case 'string': {
+            const formats = { 'date-time': '.datetime()', date: '.date()', email: '.email()', uuid: '.uuid()', uri: '.url()' };
+            type = `z.string()${formats[ref.format] || ''}`;
+            break;
+        }
+        case 'integer': type = 'z.number().int()'; break;
+        case 'number': type = 'z.number()'; break;
+        case 'boolean': type = 'z.boolean()'; break;
+        case 'null': type = 'z.null()'; break;
+        case 'map': type = `z.record(${zodType(ref.values, defined)})`; break;
+        case 'array': type = `z.array(${zodType(ref.items, defined)})`; break;
+        case 'object':
+            type = defined.has(ref.name) ? `${ref.name}Schema` : `z.lazy(() => ${ref.name}Schema)`;
+            break;
+        case 'union': type = `z.union([${ref.types.map(item => zodType(item, defined)).join(', ')}])`; break;
+        default: type = 'z.unknown()';
+    }
+    return ref.nullable ? `${type}.nullable()` : type;
+};
+
+/**
+ * 生成 Zod schema 和推导的类型
+ */
+function generateZod(model, options) {
+    const defined = new Set();
+    const blocks = model.types.map((type) => {
+        let code = type.description ? `/** ${type.description} */\n` : '';
+        code += `export const ${type.name}Schema = z.object({\n`;
+        for (const field of type.fields) {
+            code += `    ${tsKey(field.key)}: ${zodType(field.type, defined)}${field.optional ? '.optional()' : ''},\n`;
+        }
+        code += '});\n';
+        code += `export type ${type.name} = z.infer<typeof ${type.name}Schema>;\n`;
+        defined.add(type.name);
+        return code;
+    });
+    if (model.root.kind !== 'object') {
+        blocks.push(`export const ${model.rootName}Schema = ${zodType(model.root, defined)};\n`
+            + `export type ${model.rootName} = z.infer<typeof ${model.rootName}Schema>;\n`);
+    }
+    const imports = options.includeImports ? "import { z } from 'zod';\n\n" : '';
+    return imports + blocks.join('\n');
+}
+
+/**
+ * Go 类型；可空或可选的基本类型和结构体使用指针
+ */
+const goType = (ref, optional = false) => {
+    let type;
+    switch (ref.kind) {
+        case 'string': type = ref.format === 'date-time' ? 'time.Time' : 'string'; break;
+        case 'integer': type = 'int64'; break;
+        case 'number': type = 'float64'; break;
+        case 'boolean': type = 'bool'; break;
+        case 'map': return `map[string]${goType(ref.values)}`;
+        case 'array': return `[]${goType(ref.items)}`;
+        case 'object': type = ref.name; break;
+        default: return 'interface{}';
+    }
+    return ref.nullable || optional ? `*${type}` : type;
+};
+
+/**
+ * 生成 Go 结构体（带 json 标签）
+ */
+function generateGo(model, options) {
+    const blocks = model.types.map((type) => {
+        let code = type.description ? `// ${type.name} ${type.description}\n` : '';
+        code += `type ${type.name} struct {\n`;
+        for (const field of assignFieldNames(type.fields, key => toPascalCase(toSnakeWords(key)), { digitPrefix: 'F' })) {
+            const tag = `\`json:"${field.key.replace(/["`\\]/g, '')}${field.optional ? ',omitempty' : ''}"\``;
+            code += `    ${field.name} ${goType(field.type, field.optional)} ${tag}\n`;
+        }
+        return `${code}}\n`;
+    });
+    if (model.root.kind !== 'object') {
+        blocks.push(`type ${model.rootName} ${goType(model.root)}\n`);
+    }
+    const body = blocks.join('\n');
+    if (!options.includeImports) return body;
+    return `package model\n\n${body.includes('time.Time') ? 'import "time"\n\n' : ''}${body}`;
+}
+
+/**
+ * Java 类型（包装类型，均可为 null）
+ */
+const javaType = (ref) => {
+    switch (ref.kind) {
+        case 'string': return ref.format === 'date-time' ? 'OffsetDateTime' : 'String';
+        case 'integer': return 'Long';
+        case 'number': return 'Double';
+        case 'boolean': return 'Boolean';
+        case 'map': return `Map<String, ${javaType(ref.values)}>`;
+        case 'array': return `List<${javaType(ref.items)}>`;
+        case 'object': return ref.name;
+        default: return 'Object';
+    }
+};
+
+/**
+ * Java record 声明，indent 为整体缩进
+ */
+const javaRecord = (name, components, modifiers, body, indent) => {
+    const params = components.length > 0 ? `\n${components.map(line => `${indent}    ${line}`).join(',\n')}\n${indent}` : '';
+    return body
+        ? `${indent}${modifiers} ${name}(${params}) {\n${body}${indent}}\n`
+        : `${indent}${modifiers} ${name}(${params}) {}\n`;
+};
+
+/**
+ * 生成 Java record（Jackson 注解）
+ * 一个文件只能有一个顶层 public 类型，其余类型作为根类型的嵌套 record；
+ * 根不是对象时生成包装 record，用 @JsonValue / @JsonCreator 直接对应整个 JSON 值
+ */
+function generateJava(model, options) {
+    const componentsOf = (type) => assignFieldNames(type.fields, key => toCamelCase(toSnakeWords(key)), { keywords: JAVA_KEYWORDS })
+        .map((field) => {
+            const annotation = field.name !== field.key ? `@JsonProperty(${JSON.stringify(field.key)}) ` : '';
+            return `${annotation}${javaType(field.type)} ${field.name}`;
+        });
+    const comment = (type, indent) => (type.description ? `${indent}/** ${type.description} */\n` : '');
+
+    const isObjectRoot = model.root.kind === 'object';
+    const rootType = isObjectRoot ? model.types.find(type => type.name === model.root.name) : null;
+    const nested = model.types
+        .filter(type => type !== rootType)
+        .map(type => comment(type, '    ') + javaRecord(type.name, componentsOf(type), 'public static record', '', '    '));
+
+    let body = nested.join('\n');
+    let code;
+    if (isObjectRoot) {
+        code = comment(rootType, '') + javaRecord(rootType.name, componentsOf(rootType), 'public record', body, '');
+    } else {
+        const valueType = javaType(model.root);
+        const creator = '    @JsonCreator(mode = JsonCreator.Mode.DELEGATING)\n'
+            + `    public static ${model.rootName} of(${valueType} value) {\n`
+            + `        return new ${model.rootName}(value);\n`
+            + '    }\n';
+        body = body ? `${creator}\n${body}` : creator;
+        code = javaRecord(model.rootName, [`@JsonValue ${valueType} value`], 'public record', body, '');
+    }
+
+    if (!options.includeImports) return code;
+    const imports = [
+        code.includes('@JsonCreator') && 'import com.fasterxml.jackson.annotation.JsonCreator;',
+        code.includes('@JsonProperty') && 'import com.fasterxml.jackson.annotation.JsonProperty;',
+        code.includes('@JsonValue') && 'import com.fasterxml.jackson.annotation.JsonValue;',
+        code.includes('OffsetDateTime') && 'import java.time.OffsetDateTime;',
+        code.includes('List<') && 'import java.util.List;',
+        code.includes('Map<') && 'import java.util.Map;',
+    ].filter(Boolean);
+    return `package com.example.model;\n\n${imports.length > 0 ? `${imports.join('\n')}\n\n` : ''}${code}`;
+}
+
+/**
+ * Kotlin 类型（不含可空标记）
+ */
+const kotlinType = (ref) => {
+    switch (ref.kind) {
+        case 'string': return 'String';
+        case 'integer': return 'Long';
+        case 'number': return 'Double';
+        case 'boolean': return 'Boolean';
+        case 'map': return `Map<String, ${kotlinType(ref.values)}>`;
+        case 'array': return `List<${kotlinType(ref.items)}${ref.items.nullable ? '?' : ''}>`;
+        case 'object': return ref.name;
+        default: return 'JsonElement';
+    }
+};
+
+/**
+ * 生成 Kotlin data class（kotlinx.serialization）
+ */
+function generateKotlin(model, options) {
+    const blocks = model.types.map((type) => {
+        let code = type.description ? `/** ${type.description} */\n` : '';
+        const fields = assignFieldNames(type.fields, key => toCamelCase(toSnakeWords(key)), { keywords: KOTLIN_KEYWORDS });
+        code += `@Serializable\ndata class ${type.name}(\n`;
+        for (const field of fields) {
+            if (field.name !== field.key) code += `    @SerialName(${JSON.stringify(field.key)})\n`;
+            const nullable = field.optional || field.type.nullable || field.type.kind === 'null';
+            code += `    val ${field.name}: ${kotlinType(field.type)}${nullable ? '? = null' : ''},\n`;
+        }
+        return `${code})\n`;
+    });
+    if (model.root.kind !== 'object') {
+        blocks.push(`typealias ${model.rootName} = ${kotlinType(model.root)}${model.root.nullable ? '?' : ''}\n`);
+    }
+    const body = blocks.join('\n');
+    if (!options.includeImports) return body;
+    const imports = [
+        body.includes('@SerialName') && 'import kotlinx.serialization.SerialName',
+        body.includes('@Serializable') && 'import kotlinx.serialization.Serializable',
+        body.includes('JsonElement') && 'import kotlinx.serialization.json.JsonElement',
+    ].filter(Boolean);
+    return `package com.example.model\n\n${imports.length > 0 ? `${imports.join('\n')}\n\n` : ''}${body}`;
+}
+
+/**
+ * Python 类型注解（不含 Optional）
+ */
+const pythonType = (ref) => {
+    let type;
+    switch (ref.kind) {
+        case 'string': type = ref.format === 'date-time' ? 'datetime' : 'str'; break;
+        case 'integer': type = 'int'; break;
+        case 'number': type = 'float'; break;
+        case 'boolean': type = 'bool'; break;
+        case 'map': type = `Dict[str, ${pythonType(ref.values)}]`; break;
+        case 'array': type = `List[${pythonType(ref.items)}]`; break;
+        case 'object': type = ref.name; break;
+        case 'union': type = `Union[${ref.types.map(pythonType).join(', ')}]`; break;
+        default: return 'Any';
+    }
+    return ref.nullable ? `Optional[${type}]` : type;
+};
+
+/**
+ * Python 的 import 声明，按用到的名称生成；thirdParty 与标准库之间空一行
+ */
+const pythonImports = (body, stdlib = [], thirdParty = []) => {
+    const typing = ['Any', 'Dict', 'List', 'Optional', 'Union'].filter(name => new RegExp(`\\b${name}\\b`).test(body));
+    const standard = [
+        ...stdlib,
+        /\bdatetime\b/.test(body) && 'from datetime import datetime',
+        typing.length > 0 && `from typing import ${typing.join(', ')}`,
+    ].filter(Boolean);
+    return [standard, thirdParty].filter(group => group.length > 0).map(group => group.join('\n')).join('\n\n');
+};
+
+/**
+ * 字段的 Python 类型：可选字段包一层 Optional
+ */
+const pythonFieldType = (field) => {
+    const type = pythonType(field.type);
+    return field.optional && !type.startsWith('Optional[') && type !== 'Any' ? `Optional[${type}]` : type;
+};
+
+/**
+ * 生成 Python dataclass；必填字段排在有默认值的字段之前
+ */
+function generatePythonDataclass(model, options) {
+    const blocks = model.types.map((type) => {
+        const fields = assignFieldNames(type.fields, toSnakeWords, { keywords: PYTHON_KEYWORDS });
+        let code = type.description ? `# ${type.description}\n` : '';
+        code += `@dataclass\nclass ${type.name}:\n`;
+        if (fields.length === 0) return `${code}    pass\n`;
+        const ordered = [...fields.filter(field => !field.optional), ...fields.filter(field => field.optional)];
+        for (const field of ordered) {
+            const comment = field.name !== field.key ? `  # ${JSON.stringify(field.key)}` : '';
+            code += `    ${field.name}: ${pythonFieldType(field)}${field.optional ? ' = None' : ''}${comment}\n`;
+        }
+        return code;
+    });
+    if (model.root.kind !== 'object') {
+        blocks.push(`${model.rootName} = ${pythonType(model.root)}\n`);
+    }
+    const body = blocks.join('\n\n');
+    if (!options.includeImports) return body;
+    return `${pythonImports(body, ['from dataclasses import dataclass'])}\n\n\n${body}`;
+}
+
+/**
+ * 生成 Pydantic 模型（v2）；键不是合法字段名时使用 alias
+ */
+function generatePythonPydantic(model, options) {
+    const blocks = model.types.map((type) => {
+        // Pydantic 把下划线开头的名称当作私有属性，数字开头的键改用 field_ 前缀
+        const fields = assignFieldNames(type.fields, toSnakeWords, { keywords: PYTHON_KEYWORDS, digitPrefix: 'field_' });
+        let code = type.description ? `# ${type.description}\n` : '';
+        code += `class ${type.name}(BaseModel):\n`;
+        if (fields.length === 0) return `${code}    pass\n`;
+        for (const field of fields) {
+            let value = field.optional ? ' = None' : '';
+            if (field.name !== field.key) {
+                value = field.optional
+                    ? ` = Field(default=None, alias=${JSON.stringify(field.key)})`
+                    : ` = Field(alias=${JSON.stringify(field.key)})`;
+            }
+            code += `    ${field.name}: ${pythonFieldType(field)}${value}\n`;
+        }
+        return code;
+    });
+    if (model.root.kind !== 'object') {
+        blocks.push(`${model.rootName} = ${pythonType(model.root)}\n`);
+    }
+    const body = blocks.join('\n\n');
+    if (!options.includeImports) return body;
+    const pydantic = body.includes('Field(') ? 'from pydantic import BaseModel, Field' : 'from pydantic import BaseModel';
+    return `${pythonImports(body, [], [pydantic])}\n\n\n${body}`;
+}
+
+/**
+ * 由 JSON Schema 生成类型定义
+ * @param {Object} schema - JSON Schema（通常为 inferJsonSchema 的结果）
+ * @param {string} target - 输出，见 JSON_TYPE_TARGETS
+ * @param {Object} options - 见 DEFAULT_JSON_TYPE_OPTIONS
+ * @returns {string} 生成的代码
+ */
+export function generateJsonTypes(schema, target, options = DEFAULT_JSON_TYPE_OPTIONS) {
+    if (target === 'json-schema') return `${JSON.stringify(schema, null, 2)}\n`;
+    const model = buildTypeModel(schema, options.rootName);
+    switch (target) {
+        case 'typescript':
+            return generateTypeScript(model);
+        case 'zod':
+            return generateZod(model, options);
+        case 'go':
+            return generateGo(model, options);
+        case 'java':
+            return generateJava(model, options);
+        case 'kotlin':
+            return generateKotlin(model, options);
+        case 'python-dataclass':
+            return generatePythonDataclass(model, options);
+        case 'python-pydantic':
+            return generatePythonPydantic(model, options);
+        default:
+            throw Object.assign(new Error(`不支持的目标语言: ${target}`), { code: 'unsupportedTarget' });
+    }
+}
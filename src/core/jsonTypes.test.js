@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { inferJsonSchema, generateJsonTypes, DEFAULT_JSON_TYPE_OPTIONS } from './jsonTypes';
+
+const generate = (samples, target) => generateJsonTypes(inferJsonSchema(samples, DEFAULT_JSON_TYPE_OPTIONS), target, DEFAULT_JSON_TYPE_OPTIONS);
+
+describe('generateJsonTypes', () => {
+    it('Pydantic 中数字开头的键不使用下划线前缀', () => {
+        const code = generate([{ '2fa': true }], 'python-pydantic');
+        expect(code).toContain('field_2fa: bool = Field(alias="2fa")');
+        expect(code).not.toMatch(/^\s+_\w+:/m);
+    });
+
+    it('Go 和 dataclass 中数字开头的键', () => {
+        expect(generate([{ '2fa': true }], 'go')).toContain('F2fa bool `json:"2fa"`');
+        expect(generate([{ '2fa': true }], 'python-dataclass')).toContain('_2fa: bool  # "2fa"');
+    });
+
+    it('Java 只有根类型是顶层 public record，其余为嵌套 record', () => {
+        const code = generate([{ id: 1, address: { city: 'x' } }], 'java');
+        expect(code.match(/^public /gm)).toHaveLength(1);
+        expect(code).toContain('public record Root(');
+        expect(code).toContain('    public static record Address(');
+    });
+
+    it('Java 根不是对象时生成包装 record', () => {
+        const code = generate([[{ id: 1 }]], 'java');
+        expect(code.match(/^public /gm)).toHaveLength(1);
+        expect(code).toContain('public record Root(\n    @JsonValue List<RootItem> value\n)');
+        expect(code).toContain('@JsonCreator(mode = JsonCreator.Mode.DELEGATING)');
+        expect(code).toContain('    public static record RootItem(');
+        expect(code).toContain('import com.fasterxml.jackson.annotation.JsonValue;');
+    });
+
+    it('数组项的类型名与对象字段的命名方式一致', () => {
+        const code = generate([{ b: [{ x: 1 }], tags: [{ y: 1 }], HTTPServer: { z: 1 } }], 'typescript');
+        expect(code).toContain('export interface BItem {');
+        expect(code).toContain('b: BItem[];');
+        expect(code).toContain('tags: Tag[];');
+        expect(code).toContain('export interface HttpServer {');
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * JSON 值的公共操作
+ * 纯函数实现，供 JSONPath、JMESPath 和 jq 查询共用。
+ *
+ * 查询过程中的值统一表示为节点 { value, path }：
+ * path 为从根到该值的键和下标（如 ['store', 'book', 0]），计算得到的值（字面量、函数结果等）为 null；
+ * 由投影、筛选等得到的数组另外带有 items，记录每个元素对应的节点，用于在原文中标出匹配的位置。
+ */
+
+/**
+ * 创建查询错误，code 对应语言包 jsonQuery.errors 下的文案，params 为文案参数
+ * @param {string} code - syntax | unknownFunction | invalidArguments | cannotIndex | cannotIterate |
+ *   invalidOperands | invalidKey | undefinedVariable | invalidRegex
+ * @param {Object} [params]
+ * @returns {Error}
+ */
+export const queryError = (code, params = {}) => Object.assign(new Error(code), { code, params });
+
+/**
+ * 是否为普通对象（不含数组和 null）
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 值的类型名：null | boolean | number | string | array | object
+ * @param {*} value
+ * @returns {string}
+ */
+export const getJsonType = (value) => {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+/**
+ * 深度比较两个 JSON 值（对象不考虑键的顺序）
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export const deepEqual = (a, b) => {
+    if (a === b) return true;
+    if (Array.isArray(a)) {
+        return Array.isArray(b) && a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * 不同类型之间的排序：null < false < true < 数字 < 字符串 < 数组 < 对象
+ */
+const TYPE_ORDER = ['null', 'false', 'true', 'number', 'string', 'array', 'object'];
+
+const typeRank = (value) => {
+    const type = getJsonType(value);
+    return TYPE_ORDER.indexOf(type === 'boolean' ? String(value) : type);
+};
+
+/**
+ * 比较任意两个 JSON 值（jq 的排序规则），数组逐项比较，对象先比较排序后的键再逐个比较值
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} 负数、0 或正数
+ */
+export const compareJson = (a, b) => {
+    const rankDiff = typeRank(a) - typeRank(b);
+    if (rankDiff !== 0) return rankDiff;
+    if (typeof a === 'number') return a - b;
+    if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const diff = compareJson(a[i], b[i]);
+            if (diff !== 0) return diff;
+        }
+        return a.length - b.length;
+    }
+    if (isPlainObject(a)) {
+        const keysA = Object.keys(a).sort();
+        const keysB = Object.keys(b).sort();
+        const keyDiff = compareJson(keysA, keysB);
+        if (keyDiff !== 0) return keyDiff;
+        for (const key of keysA) {
+            const diff = compareJson(a[key], b[key]);
+            if (diff !== 0) return diff;
+        }
+    }
+    return 0;
+};
+
+/**
+ * 创建计算得到的节点，数组可带上各元素对应的节点
+ * @param {*} value
+ * @param {Array} [items]
+ * @returns {{ value: *, path: null, items?: Array }}
+ */
+export const computed = (value, items) => (items ? { value, path: null, items } : { value, path: null });
+
+/**
+ * 取节点的子节点，父节点有位置时子节点的位置为父节点加上键或下标
+ * @param {Object} node - { value, path }
+ * @param {string|number} key - 对象的键或数组下标
+ * @returns {{ value: *, path: Array|null }}
+ */
+export const childNode = (node, key) => ({
+    value: node.value[key],
+    path: node.path ? [...node.path, key] : null,
+});
+
+/**
+ * 对象或数组的所有子节点，其他类型返回空数组
+ * @param {Object} node - { value, path }
+ * @returns {Array}
+ */
+export const childNodes = (node) => {
+    if (Array.isArray(node.value)) return node.value.map((_, index) => childNode(node, index));
+    if (isPlainObject(node.value)) return Object.keys(node.value).map(key => childNode(node, key));
+    return [];
+};
+
+/**
+ * 节点及其所有后代（先序）
+ * @param {Object} node - { value, path }
+ * @returns {Array}
+ */
+export const descendantNodes = (node) => {
+    const result = [];
+    const visit = (current) => {
+        result.push(current);
+        childNodes(current).forEach(visit);
+    };
+    visit(node);
+    return result;
+};
+
+/**
+ * 按 [start:end:step] 切片，规则与 Python 相同，返回选中的下标
+ * @param {number} length - 数组长度
+ * @param {number|null} start
+ * @param {number|null} end
+ * @param {number|null} step - 为 0 时不选中任何元素
+ * @returns {number[]}
+ */
+export const sliceIndexes = (length, start, end, step) => {
+    const by = step ?? 1;
+    if (by === 0) return [];
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const normalize = (value) => (value < 0 ? value + length : value);
+    const indexes = [];
+    if (by > 0) {
+        const from = start === null || start === undefined ? 0 : clamp(normalize(start), 0, length);
+        const to = end === null || end === undefined ? length : clamp(normalize(end), 0, length);
+        for (let i = from; i < to; i += by) indexes.push(i);
+    } else {
+        const from = start === null || start === undefined ? length - 1 : clamp(normalize(start), -1, length - 1);
+        const to = end === null || end === undefined ? -1 : clamp(normalize(end), -1, length - 1);
+        for (let i = from; i > to; i += by) indexes.push(i);
+    }
+    return indexes;
+};
@@ -0,0 +1,105 @@
+/**
+ * JWT 编解码与签名
+ * 纯函数实现，不依赖 UI，供 JWT 工具和命令行共用
+ * 解码失败时抛出带 code 的错误，界面按 code 显示对应语言的提示（语言包 jwtTool）
+ */
+import CryptoJS from 'crypto-js';
+
+/**
+ * 支持的签名算法
+ */
+export const JWT_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+/**
+ * 创建解码错误，code 为语言包 jwtTool 下的文案键
+ */
+const jwtError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Base64URL 解码，转换为普通 Base64 后解码
+ */
+export function decodeBase64Url(str) {
+    // Base64URL 转 Base64：替换 - 为 +，_ 为 /
+    let base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    // 补齐 padding
+    const padding = base64.length % 4;
+    if (padding) {
+        base64 += '='.repeat(4 - padding);
+    }
+    // 解码
+    const binString = atob(base64);
+    const bytes = Uint8Array.from(binString, (char) => char.codePointAt(0));
+    const decoder = new TextDecoder();
+    return decoder.decode(bytes);
+}
+
+/**
+ * 普通字符串编码为 Base64URL
+ */
+export function encodeBase64Url(str) {
+    const encoder = new TextEncoder();
+    const bytes = encoder.encode(str);
+    const binString = Array.from(bytes, (byte) => String.fromCodePoint(byte)).join('');
+    let base64 = btoa(binString);
+    // Base64 转 Base64URL
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 解码 JWT（不校验签名）
+ * @param {string} token - JWT
+ * @returns {Object} { header, payload, signature }
+ */
+export function decodeJwt(token) {
+    const parts = token.trim().split('.');
+    if (parts.length !== 3) {
+        throw jwtError('invalidFormat', '无效的 JWT 格式：必须包含三个部分（header.payload.signature）');
+    }
+
+    try {
+        const header = JSON.parse(decodeBase64Url(parts[0]));
+        const payload = JSON.parse(decodeBase64Url(parts[1]));
+        const signature = parts[2];
+
+        return { header, payload, signature };
+    } catch (err) {
+        throw jwtError('parseFailed', err.message);
+    }
+}
+
+/**
+ * 使用 HMAC 签名生成 JWT
+ * @param {Object} header - 头部，alg 应与 algorithm 一致
+ * @param {Object} payload - 载荷
+ * @param {string} secret - 签名密钥
+ * @param {string} algorithm - 签名算法，见 JWT_ALGORITHMS
+ * @returns {string} JWT
+ */
+export function signJwt(header, payload, secret, algorithm) {
+    const headerBase64 = encodeBase64Url(JSON.stringify(header));
+    const payloadBase64 = encodeBase64Url(JSON.stringify(payload));
+    const message = `${headerBase64}.${payloadBase64}`;
+
+    let signature;
+    switch (algorithm) {
+        case 'HS256':
+            signature = CryptoJS.HmacSHA256(message, secret);
+            break;
+        case 'HS384':
+            signature = CryptoJS.HmacSHA384(message, secret);
+            break;
+        case 'HS512':
+            signature = CryptoJS.HmacSHA512(message, secret);
+            break;
+        default:
+            throw new Error(`不支持的算法: ${algorithm}`);
+    }
+
+    // 将 CryptoJS 的 WordArray 转换为 Base64URL
+    const signatureBase64 = CryptoJS.enc.Base64.stringify(signature)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    return `${message}.${signatureBase64}`;
+}
@@ -0,0 +1,202 @@
+/**
+ * 可调用操作注册表
+ * 将各工具的纯转换函数以统一的 (input, options) => output 形式暴露，
+ * 供流水线等功能按顺序组合调用
+ *
+ * 每个操作包含：
+ * - id: 全局唯一标识（<工具 ID>.<动作>）
+ * - toolId: 所属工具在 config/tools.js 中的 ID
+ * - options: 可选参数定义（boolean / select），default 为默认值，labelKey 为显示名称的文案键
+ * - run: 纯函数，接收字符串输入和参数，返回字符串输出；失败时抛出异常
+ *
+ * 操作和参数的显示名称在语言包的 operations 命名空间中，通过 getOperationName、getOptionLabel 获取
+ */
+import { encodeBase64, decodeBase64 } from './base64';
+import { encodeUrl, decodeUrl, jsonToQueryString, queryStringToJson } from './url';
+import { formatJson, minifyJson, jsonToYaml, yamlToJson, jsonToXml, xmlToJson } from './json';
+import { translate, DEFAULT_LOCALE } from '../i18n';
+
+// URL 编码类型选项（编码和解码共用）
+const urlTypeOption = {
+    key: 'type',
+    labelKey: 'urlType',
+    type: 'select',
+    default: 'component',
+    choices: [
+        { value: 'component', labelKey: 'urlComponent' },
+        { value: 'uri', labelKey: 'urlUri' },
+    ],
+};
+
+export const operations = [
+    // 编码工具
+    {
+        id: 'base64.encode',
+        toolId: 'base64',
+        run: (input) => encodeBase64(input),
+    },
+    {
+        id: 'base64.decode',
+        toolId: 'base64',
+        run: (input) => decodeBase64(input.trim()),
+    },
+    {
+        id: 'url-encode.encode',
+        toolId: 'url-encode',
+        options: [urlTypeOption],
+        run: (input, options) => encodeUrl(input, options.type),
+    },
+    {
+        id: 'url-encode.decode',
+        toolId: 'url-encode',
+        options: [urlTypeOption],
+        run: (input, options) => decodeUrl(input, options.type),
+    },
+
+    // JSON 工具
+    {
+        id: 'json-format.format',
+        toolId: 'json-format',
+        options: [
+            {
+                key: 'indent',
+                labelKey: 'indent',
+                type: 'select',
+                default: 2,
+                choices: [
+                    { value: 2, labelKey: 'spaces2' },
+                    { value: 4, labelKey: 'spaces4' },
+                ],
+            },
+        ],
+        run: (input, options) => formatJson(input, options.indent),
+    },
+    {
+        id: 'json-format.minify',
+        toolId: 'json-format',
+        run: (input) => minifyJson(input),
+    },
+    {
+        id: 'json-yaml.json2yaml',
+        toolId: 'json-yaml',
+        run: (input) => jsonToYaml(input),
+    },
+    {
+        id: 'json-yaml.yaml2json',
+        toolId: 'json-yaml',
+        run: (input) => yamlToJson(input),
+    },
+    {
+        id: 'json-xml.json2xml',
+        toolId: 'json-xml',
+        options: [
+            { key: 'indent', labelKey: 'prettyPrint', type: 'boolean', default: true },
+            { key: 'ignoreAttributes', labelKey: 'ignoreAttributes', type: 'boolean', default: false },
+        ],
+        run: (input, options) => jsonToXml(input, options),
+    },
+    {
+        id: 'json-xml.xml2json',
+        toolId: 'json-xml',
+        options: [
+            { key: 'indent', labelKey: 'prettyPrint', type: 'boolean', default: true },
+            { key: 'ignoreAttributes', labelKey: 'ignoreAttributes', type: 'boolean', default: false },
+        ],
+        run: (input, options) => xmlToJson(input, options),
+    },
+    {
+        id: 'json-url.json2url',
+        toolId: 'json-url',
+        options: [
+            { key: 'encodeValues', labelKey: 'encodeValues', type: 'boolean', default: true },
+            { key: 'includePrefix', labelKey: 'includePrefix', type: 'boolean', default: true },
+            { key: 'flattenArrays', labelKey: 'flattenArrays', type: 'boolean', default: true },
+        ],
+        run: (input, options) => jsonToQueryString(input, options),
+    },
+    {
+        id: 'json-url.url2json',
+        toolId: 'json-url',
+        run: (input) => queryStringToJson(input),
+    },
+];
+
+/**
+ * 根据 ID 获取操作
+ * @param {string} operationId - 操作 ID
+ * @returns {Object|undefined} 操作定义
+ */
+export const getOperationById = (operationId) => {
+    return operations.find(op => op.id === operationId);
+};
+
+/**
+ * 获取操作的显示名称
+ * @param {Object} operation - 操作定义
+ * @param {string} [locale] - 语言 ID
+ * @returns {string}
+ */
+export const getOperationName = (operation, locale = DEFAULT_LOCALE) => {
+    return translate(locale, `operations.names.${operation.id}`);
+};
+
+/**
+ * 获取操作参数或参数选项的显示名称
+ * @param {Object} item - 参数定义或 choices 中的选项
+ * @param {string} [locale] - 语言 ID
+ * @returns {string}
+ */
+export const getOptionLabel = (item, locale = DEFAULT_LOCALE) => {
+    return translate(locale, `operations.labels.${item.labelKey}`);
+};
+
+/**
+ * 获取操作参数的默认值
+ * @param {Object} operation - 操作定义
+ * @returns {Object} 参数默认值
+ */
+export const getDefaultOptions = (operation) => {
+    const defaults = {};
+    (operation.options || []).forEach(option => {
+        defaults[option.key] = option.default;
+    });
+    return defaults;
+};
+
+/**
+ * 依次执行流水线步骤，前一步的输出作为下一步的输入
+ * 某一步失败后，后续步骤不再执行
+ *
+ * @param {string} input - 初始输入
+ * @param {Array} steps - 步骤列表 [{ operationId, options }]
+ * @param {string} [locale] - 错误信息使用的语言 ID
+ * @returns {Array} 每一步的结果 [{ output, error, skipped }]
+ */
+export const runPipeline = (input, steps, locale = DEFAULT_LOCALE) => {
+    const results = [];
+    let current = input;
+    let failed = false;
+
+    for (const step of steps) {
+        const operation = getOperationById(step.operationId);
+        if (failed) {
+            results.push({ output: '', error: null, skipped: true });
+            continue;
+        }
+        if (!operation) {
+            results.push({ output: '', error: translate(locale, 'operations.unknown', { id: step.operationId }), skipped: false });
+            failed = true;
+            continue;
+        }
+
+        try {
+            current = operation.run(current, { ...getDefaultOptions(operation), ...step.options });
+            results.push({ output: current, error: null, skipped: false });
+        } catch (err) {
+            results.push({ output: '', error: err.message, skipped: false });
+            failed = true;
+        }
+    }
+
+    return results;
+};
@@ -0,0 +1,198 @@
+/**
+ * 模糊搜索
+ * 支持连续子串、按顺序出现的子序列、少量拼写错误，以及中文的拼音全拼和拼音首字母匹配。
+ * 匹配结果同时返回命中字符在原文本中的下标，便于高亮显示。
+ */
+import { pinyin } from 'pinyin-pro';
+
+const CHINESE_PATTERN = /[\u3400-\u9fff]/;
+
+/**
+ * 判断下标处是否为单词开头
+ */
+const isWordStart = (text, index) => {
+    if (index === 0) return true;
+    const prev = text[index - 1];
+    return /[\s\-_/.()（）]/.test(prev) || (CHINESE_PATTERN.test(prev) !== CHINESE_PATTERN.test(text[index]));
+};
+
+const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+/**
+ * 两个字符串的编辑距离（允许相邻字符交换），超过 max 时提前返回 max + 1
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        rows.push(row);
+    }
+    return rows[a.length][b.length];
+};
+
+/**
+ * 搜索词长度对应允许的拼写错误数：少于 4 个字符不容错
+ */
+const getTypoLimit = (length) => {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+};
+
+/**
+ * 容错匹配：在文本中寻找与搜索词编辑距离最小的片段，例如 "jsno" 匹配 "json"
+ */
+const typoMatch = (q, t) => {
+    const limit = getTypoLimit(q.length);
+    if (limit === 0) return null;
+
+    // 片段长度优先与搜索词相同，距离相同时取先找到的
+    const lengths = [q.length];
+    for (let delta = 1; delta <= limit; delta++) {
+        lengths.push(q.length - delta, q.length + delta);
+    }
+
+    let best = null;
+    for (const length of lengths) {
+        for (let start = 0; start + length <= t.length; start++) {
+            const distance = editDistance(q, t.slice(start, start + length), limit);
+            if (distance <= limit && (!best || distance < best.distance)) {
+                best = { distance, start, length };
+            }
+        }
+    }
+    if (!best) return null;
+
+    let score = q.length * 8 - best.distance * 10;
+    if (isWordStart(t, best.start)) score += 6;
+    return { score, indices: range(best.start, best.length) };
+};
+
+/**
+ * 模糊匹配
+ * 得分从高到低依次为：连续子串、按顺序出现的子序列、容错匹配；
+ * 开头、单词开头和完全相同会额外加分。
+ *
+ * @param {string} query - 搜索词
+ * @param {string} text - 被搜索的文本
+ * @param {Object} [options]
+ * @param {boolean} [options.subsequence=true] - 是否允许子序列匹配
+ * @param {boolean} [options.typo=true] - 是否允许拼写错误
+ * @returns {{ score: number, indices: number[] }|null} 未匹配时返回 null
+ */
+export const fuzzyMatch = (query, text, { subsequence = true, typo = true } = {}) => {
+    const q = query.trim().toLowerCase();
+    const t = text.toLowerCase();
+    if (!q || !t) return null;
+
+    const position = t.indexOf(q);
+    if (position !== -1) {
+        let score = q.length * 25 - position * 0.1;
+        if (position === 0) score += 30;
+        else if (isWordStart(t, position)) score += 15;
+        if (q.length === t.length) score += 40;
+        return { score, indices: range(position, q.length) };
+    }
+
+    // 子序列：每个字符按顺序出现即可
+    if (subsequence) {
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (const char of q) {
+            if (char === ' ') continue;
+            const index = t.indexOf(char, from);
+            if (index === -1) {
+                score = null;
+                break;
+            }
+            const last = indices[indices.length - 1];
+            score += 10;
+            if (last !== undefined && index === last + 1) score += 8;
+            if (isWordStart(t, index)) score += 6;
+            if (last !== undefined) score -= (index - last - 1) * 0.5;
+            indices.push(index);
+            from = index + 1;
+        }
+        // 过于分散的子序列视为不匹配
+        if (score !== null && score > 0) return { score, indices };
+    }
+
+    return typo ? typoMatch(q, t) : null;
+};
+
+const pinyinCache = new Map();
+
+/**
+ * 获取文本的拼音形式
+ * 非中文字符原样保留（转小写），map 记录拼音字符串每个位置对应的原文下标
+ *
+ * @param {string} text - 原文本
+ * @returns {{ initials: string, initialsMap: number[], full: string, fullMap: number[] }}
+ */
+export const getPinyinForms = (text) => {
+    if (pinyinCache.has(text)) return pinyinCache.get(text);
+
+    const forms = { initials: '', initialsMap: [], full: '', fullMap: [] };
+    let offset = 0;
+    pinyin(text, { type: 'all', toneType: 'none' }).forEach(({ origin, pinyin: syllable, first, isZh }) => {
+        const initial = isZh ? first : origin.toLowerCase();
+        const full = isZh ? syllable : origin.toLowerCase();
+        forms.initials += initial;
+        forms.initialsMap.push(...Array(initial.length).fill(offset));
+        forms.full += full;
+        forms.fullMap.push(...Array(full.length).fill(offset));
+        offset += origin.length;
+    });
+
+    pinyinCache.set(text, forms);
+    return forms;
+};
+
+/**
+ * 将拼音字符串中的命中下标映射回原文下标
+ */
+const mapIndices = (indices, map) => [...new Set(indices.map(i => map[i]))];
+
+/**
+ * 匹配文本，中文文本同时尝试拼音首字母和全拼，取得分最高的结果
+ * 拼音匹配的得分略低于直接匹配
+ *
+ * @param {string} query - 搜索词
+ * @param {string} text - 被搜索的文本
+ * @param {Object} [options] - 同 fuzzyMatch，拼音匹配不做拼写容错
+ * @returns {{ score: number, indices: number[] }|null}
+ */
+export const matchText = (query, text, options = {}) => {
+    const direct = fuzzyMatch(query, text, options);
+    if (!CHINESE_PATTERN.test(text)) return direct;
+
+    const compactQuery = query.replace(/\s+/g, '');
+    const { initials, initialsMap, full, fullMap } = getPinyinForms(text);
+    const candidates = [direct];
+
+    const pinyinOptions = { ...options, typo: false };
+    const byInitials = fuzzyMatch(compactQuery, initials, pinyinOptions);
+    if (byInitials) {
+        candidates.push({ score: byInitials.score * 0.9, indices: mapIndices(byInitials.indices, initialsMap) });
+    }
+    const byFull = fuzzyMatch(compactQuery, full, pinyinOptions);
+    if (byFull) {
+        candidates.push({ score: byFull.score * 0.8, indices: mapIndices(byFull.indices, fullMap) });
+    }
+
+    return candidates.reduce((best, match) => (
+        match && (!best || match.score > best.score) ? match : best
+    ), null);
+};
@@ -0,0 +1,100 @@
+/**
+ * 工具状态的 URL 片段编解码
+ * 状态对象 → JSON → deflate 压缩 → base64url，放在 URL 的 # 之后，
+ * 浏览器不会把片段发送到服务器，因此分享的内容只存在于链接本身。
+ *
+ * 编码结果首字符表示格式：
+ * - 'z': deflate-raw 压缩后的 base64url
+ * - 'j': 未压缩 JSON 的 base64url（运行环境不支持 CompressionStream 时使用）
+ */
+
+/**
+ * URL 片段中状态参数的名称（#s=...）
+ */
+export const SHARE_PARAM = 's';
+
+/**
+ * 超过该长度的分享链接会提示可能被聊天工具或浏览器截断
+ */
+export const SHARE_URL_WARN_LENGTH = 8000;
+
+const supportsCompression = () => {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+};
+
+/**
+ * 字节数组转 base64url
+ */
+const bytesToBase64Url = (bytes) => {
+    let binary = '';
+    // 分块拼接，避免大数组展开时超出调用栈
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * base64url 转字节数组
+ */
+const base64UrlToBytes = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * 通过流转换字节数组
+ */
+const pipeBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * 编码状态对象
+ * @param {Object} state - 可 JSON 序列化的状态
+ * @returns {Promise<string>} 编码后的字符串
+ */
+export const encodeState = async (state) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    if (!supportsCompression()) {
+        return 'j' + bytesToBase64Url(bytes);
+    }
+    return 'z' + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+};
+
+/**
+ * 解码状态字符串
+ * @param {string} text - encodeState 的输出
+ * @returns {Promise<Object>} 状态对象
+ * @throws {Error} 格式无效或数据损坏时抛出
+ */
+export const decodeState = async (text) => {
+    const format = text.charAt(0);
+    let bytes = base64UrlToBytes(text.slice(1));
+
+    if (format === 'z') {
+        if (!supportsCompression()) {
+            throw new Error('当前浏览器不支持解压分享链接');
+        }
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (format !== 'j') {
+        throw new Error('无法识别的分享链接格式');
+    }
+
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new Error('分享链接中的状态无效');
+    }
+    return state;
+};
+
+/**
+ * 从 URL 片段中读取状态参数
+ * @param {string} hash - location.hash
+ * @returns {string|null} 编码后的状态
+ */
+export const getStateParam = (hash) => {
+    return new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+};
@@ -0,0 +1,158 @@
+/**
+ * 键盘快捷键组合的解析、匹配与显示
+ * 纯函数实现，不依赖 UI。
+ *
+ * 组合键使用字符串表示，修饰键在前、按键在后，以 + 连接，例如：
+ * - Mod+K: Mod 在 macOS 上为 ⌘，其他系统为 Ctrl
+ * - Alt+Shift+F: 字母和数字使用物理按键（event.code），不受 Shift 和输入法影响
+ * - Shift+F7: 功能键、方向键等使用 event.key 的名称
+ * - ?: 其他可打印字符直接使用输入的字符，Shift 已经体现在字符中，不再单独记录
+ */
+
+/**
+ * 修饰键的固定顺序
+ * macOS 上 Mod 对应 ⌘，单独的 Ctrl 记为 Ctrl；其他系统上 Mod 对应 Ctrl，Windows 键记为 Meta
+ */
+const MODIFIERS = ['Mod', 'Ctrl', 'Meta', 'Alt', 'Shift'];
+
+// 单独按下时不构成组合键的按键
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift', 'CapsLock', 'AltGraph', 'Fn', 'OS'];
+
+// 按键的显示名称，未列出的按键直接显示名称
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space',
+};
+
+const MAC_MODIFIER_LABELS = { Mod: '⌘', Ctrl: '⌃', Meta: '⌘', Alt: '⌥', Shift: '⇧' };
+const MODIFIER_LABELS = { Mod: 'Ctrl', Ctrl: 'Ctrl', Meta: 'Win', Alt: 'Alt', Shift: 'Shift' };
+
+/**
+ * 当前是否为 Apple 平台（决定 Mod 对应 ⌘ 还是 Ctrl）
+ * @returns {boolean}
+ */
+export const isMacPlatform = () => (
+    typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/i.test(navigator.platform || navigator.userAgent || '')
+);
+
+/**
+ * 是否为单个可打印字符（这类按键不记录 Shift）
+ */
+const isCharacterKey = (key) => key.length === 1 && key !== ' ';
+
+/**
+ * 拆分组合键字符串，按键本身可能是 +
+ * @returns {string[]} 修饰键在前，最后一项为按键
+ */
+const splitCombo = (combo) => {
+    if (combo === '+') return ['+'];
+    if (combo.endsWith('++')) return [...combo.slice(0, -2).split('+'), '+'];
+    return combo.split('+');
+};
+
+/**
+ * 从键盘事件得到按键名称
+ * @returns {string|null} 只按下修饰键时返回 null
+ */
+const getEventKey = (event) => {
+    if (!event.key || MODIFIER_KEYS.includes(event.key)) return null;
+    const code = event.code || '';
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (event.key === ' ' || code === 'Space') return 'Space';
+    return event.key;
+};
+
+/**
+ * 规范化组合键字符串：修饰键按固定顺序排列，字母转为大写
+ * @param {string} combo - 组合键，如 "shift+alt+f"
+ * @returns {string} 规范化的组合键，无法解析时返回空字符串
+ */
+export const normalizeCombo = (combo) => {
+    if (typeof combo !== 'string' || !combo.trim()) return '';
+    const parts = splitCombo(combo.trim());
+    const key = parts.pop();
+    if (!key) return '';
+    const modifiers = parts.map(part => MODIFIERS.find(m => m.toLowerCase() === part.trim().toLowerCase()));
+    if (modifiers.some(m => !m)) return '';
+    const normalizedKey = key.length === 1 ? key.toUpperCase() : key;
+    const ordered = MODIFIERS.filter(m => modifiers.includes(m));
+    // 字符按键的 Shift 已体现在字符中（字母和数字除外）
+    const withoutShift = isCharacterKey(normalizedKey) && !/^[A-Z0-9]$/.test(normalizedKey)
+        ? ordered.filter(m => m !== 'Shift')
+        : ordered;
+    return [...withoutShift, normalizedKey].join('+');
+};
+
+/**
+ * 从键盘事件生成组合键字符串
+ * @param {KeyboardEvent} event
+ * @param {boolean} [isMac] - 是否为 Apple 平台，默认自动检测
+ * @returns {string|null} 只按下修饰键时返回 null
+ */
+export const comboFromEvent = (event, isMac = isMacPlatform()) => {
+    const key = getEventKey(event);
+    if (!key) return null;
+    const modifiers = [];
+    if (isMac ? event.metaKey : event.ctrlKey) modifiers.push('Mod');
+    if (isMac && event.ctrlKey) modifiers.push('Ctrl');
+    if (!isMac && event.metaKey) modifiers.push('Meta');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    return normalizeCombo([...modifiers, key].join('+'));
+};
+
+/**
+ * 组合键是否为普通的字符输入：不含 Mod、Ctrl、Meta、Alt 的可打印字符（如 ?、Shift+A）
+ * 这类组合键在输入框中按下时应作为输入，不触发快捷键
+ * @param {string} combo - 规范化的组合键
+ * @returns {boolean}
+ */
+export const isTypingCombo = (combo) => {
+    const parts = splitCombo(combo);
+    const key = parts.pop();
+    const hasCommandModifier = parts.some(m => m !== 'Shift');
+    return !hasCommandModifier && (isCharacterKey(key) || key === 'Space');
+};
+
+/**
+ * 组合键拆分为用于显示的按键名称
+ * @param {string} combo - 规范化的组合键
+ * @param {boolean} [isMac] - 是否为 Apple 平台，默认自动检测
+ * @returns {string[]} 如 ["Ctrl", "K"]、["⌘", "K"]
+ */
+export const getComboLabels = (combo, isMac = isMacPlatform()) => {
+    if (!combo) return [];
+    const parts = splitCombo(combo);
+    const key = parts.pop();
+    const modifierLabels = isMac ? MAC_MODIFIER_LABELS : MODIFIER_LABELS;
+    return [...parts.map(m => modifierLabels[m] || m), KEY_LABELS[key] || key];
+};
+
+/**
+ * 组合键的显示文本
+ * @param {string} combo - 规范化的组合键
+ * @param {boolean} [isMac] - 是否为 Apple 平台，默认自动检测
+ * @returns {string} 如 "Ctrl+K"、"⌘K"
+ */
+export const formatCombo = (combo, isMac = isMacPlatform()) => (
+    getComboLabels(combo, isMac).join(isMac ? '' : '+')
+);
+
+/**
+ * 查找使用相同组合键的操作
+ * @param {Object<string, string>} bindings - 操作 ID → 组合键（空字符串表示未绑定）
+ * @returns {Object<string, string[]>} 组合键 → 使用该组合键的操作 ID（只包含两个以上操作的组合键）
+ */
+export const findConflicts = (bindings) => {
+    const byCombo = {};
+    Object.entries(bindings).forEach(([actionId, combo]) => {
+        if (!combo) return;
+        (byCombo[combo] = byCombo[combo] || []).push(actionId);
+    });
+    return Object.fromEntries(Object.entries(byCombo).filter(([, ids]) => ids.length > 1));
+};
@@ -0,0 +1,59 @@
+/**
+ * SQL 格式化与压缩
+ * 纯函数实现，不依赖 UI，供 SQL 格式化工具的后台任务和命令行共用
+ */
+import { format } from 'sql-formatter';
+
+import { getSqlDiagnostic } from './diagnostics';
+
+/**
+ * 支持的方言（sql-formatter 的 language），sql 为标准 SQL
+ */
+export const SQL_FORMAT_DIALECTS = [
+    'sql',
+    'mysql',
+    'mariadb',
+    'postgresql',
+    'sqlite',
+    'bigquery',
+    'redshift',
+    'spark',
+    'trino',
+    'transactsql',
+    'plsql',
+];
+
+/**
+ * 关键字大小写
+ */
+export const SQL_KEYWORD_CASES = ['upper', 'lower', 'preserve'];
+
+/**
+ * 格式化 SQL
+ * @param {string} text - SQL 文本
+ * @param {Object} options - sql-formatter 选项（language、keywordCase、tabWidth 等）
+ * @returns {string}
+ * @throws {Error} 语法错误时 diagnostic 为错误位置（见 diagnostics.js）
+ */
+export const formatSql = (text, options) => {
+    try {
+        return format(text, options);
+    } catch (err) {
+        throw Object.assign(err, { diagnostic: getSqlDiagnostic(err) });
+    }
+};
+
+/**
+ * 压缩 SQL：移除多余空白
+ * @param {string} text - SQL 文本
+ * @returns {string}
+ */
+export const minifySql = (text) => {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/\s*\(\s*/g, '(')
+        .replace(/\s*\)\s*/g, ')')
+        .replace(/\s*,\s*/g, ', ')
+        .replace(/\s*;\s*/g, '; ')
+        .trim();
+};
@@ -0,0 +1,106 @@
+/**
+ * 文本文件读写
+ * 纯函数实现，不依赖 UI：识别文件编码并解码为文本，按编辑器语言确定保存时的扩展名
+ */
+
+/**
+ * 编辑器语言对应的文件扩展名，未列出的语言保存为 .txt
+ */
+export const FILE_EXTENSIONS = {
+    json: 'json',
+    javascript: 'js',
+    js: 'js',
+    typescript: 'ts',
+    sql: 'sql',
+    xml: 'xml',
+    html: 'html',
+    css: 'css',
+    yaml: 'yaml',
+    go: 'go',
+    java: 'java',
+    python: 'py',
+    kotlin: 'kt',
+    text: 'txt',
+};
+
+// 字节顺序标记（BOM）
+const BOMS = [
+    { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+    { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+    { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+];
+
+// 无法按 UTF-8 解码时尝试的编码，GB18030 兼容 GBK 和 GB2312
+const FALLBACK_ENCODING = 'gb18030';
+
+// 用于判断编码和二进制内容的采样长度
+const SAMPLE_SIZE = 4096;
+
+const startsWith = (bytes, prefix) => prefix.every((byte, index) => bytes[index] === byte);
+
+/**
+ * 没有 BOM 的 UTF-16：ASCII 字符的高字节为 0，按奇偶位置统计 0 字节判断字节序
+ * @returns {string|null} 'utf-16le' | 'utf-16be' | null
+ */
+const detectUtf16 = (bytes) => {
+    const length = Math.min(bytes.length, SAMPLE_SIZE) & ~1;
+    if (length < 2) return null;
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+    }
+    const pairs = length / 2;
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+    return null;
+};
+
+/**
+ * 是否为二进制内容：解码后的采样中包含 NUL 或较多控制字符
+ */
+const isBinaryText = (text) => {
+    const sample = text.slice(0, SAMPLE_SIZE);
+    if (sample.includes('\0')) return true;
+    const controls = sample.match(/[\x01-\x08\x0e-\x1f\x7f]/g);
+    return controls !== null && controls.length > sample.length * 0.1;
+};
+
+/**
+ * 识别编码并解码文本文件
+ * 依次按 BOM、UTF-16 特征、UTF-8 判断，UTF-8 解码失败时按 GB18030 解码；解码时去掉 BOM
+ * @param {ArrayBuffer|Uint8Array} buffer - 文件内容
+ * @returns {{ text: string, encoding: string }} 文本和识别出的编码（TextDecoder 的编码名称，如 utf-8、gb18030）
+ * @throws {Error} 内容为二进制时抛出，code 为 binaryFile
+ */
+export const decodeTextFile = (buffer) => {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const bom = BOMS.find(item => startsWith(bytes, item.bytes));
+    let encoding = bom?.encoding || detectUtf16(bytes);
+    let text;
+
+    if (encoding) {
+        text = new TextDecoder(encoding).decode(bytes);
+    } else {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            encoding = 'utf-8';
+        } catch {
+            text = new TextDecoder(FALLBACK_ENCODING).decode(bytes);
+            encoding = FALLBACK_ENCODING;
+        }
+    }
+
+    if (isBinaryText(text)) {
+        throw Object.assign(new Error('Binary file is not supported'), { code: 'binaryFile' });
+    }
+    return { text, encoding };
+};
+
+/**
+ * 获取编辑器语言对应的文件扩展名
+ * @param {string} language - 编辑器语言
+ * @returns {string} 不带点的扩展名
+ */
+export const getFileExtension = (language) => FILE_EXTENSIONS[language?.toLowerCase()] || 'txt';
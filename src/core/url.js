@@ -0,0 +1,209 @@
+/**
+ * URL 编码与查询参数转换
+ * 纯函数实现，不依赖 UI，供工具组件和流水线共用
+ */
+
+/**
+ * URL 编码
+ * @param {string} text - 原始文本
+ * @param {string} type - 'component'（encodeURIComponent）或 'uri'（encodeURI）
+ * @returns {string} 编码结果
+ */
+export const encodeUrl = (text, type = 'component') => {
+    return type === 'component' ? encodeURIComponent(text) : encodeURI(text);
+};
+
+/**
+ * URL 解码
+ * @param {string} text - URL 编码字符串
+ * @param {string} type - 'component'（decodeURIComponent）或 'uri'（decodeURI）
+ * @returns {string} 解码结果
+ * @throws {URIError} 输入不是有效的 URL 编码时抛出
+ */
+export const decodeUrl = (text, type = 'component') => {
+    return type === 'component' ? decodeURIComponent(text) : decodeURI(text);
+};
+
+/**
+ * 将 JSON 对象转换为 URL 查询参数
+ * @param {Object} obj - JSON 对象
+ * @param {Object} options - 转换选项
+ * @param {boolean} options.encodeValues - 是否对值进行 URL 编码
+ * @param {boolean} options.flattenArrays - 是否展开数组为多个同名参数
+ * @param {string} prefix - 键前缀（用于嵌套对象）
+ * @returns {string} URL 查询字符串（不含 ?）
+ */
+export const jsonToUrlParams = (obj, options = {}, prefix = '') => {
+    const { encodeValues = true, flattenArrays = true } = options;
+    const encode = (value) => encodeValues ? encodeURIComponent(value) : value;
+    const params = [];
+
+    for (const [key, value] of Object.entries(obj)) {
+        const fullKey = prefix ? `${prefix}[${key}]` : key;
+
+        if (value === null || value === undefined) {
+            // 跳过 null 和 undefined
+            continue;
+        } else if (Array.isArray(value)) {
+            // 处理数组
+            if (flattenArrays) {
+                // 展开数组为多个同名参数
+                value.forEach((item, index) => {
+                    if (typeof item === 'object' && item !== null) {
+                        params.push(jsonToUrlParams(item, options, `${fullKey}[${index}]`));
+                    } else {
+                        params.push(`${fullKey}[]=${encode(String(item))}`);
+                    }
+                });
+            } else {
+                // 将数组序列化为 JSON 字符串
+                params.push(`${fullKey}=${encode(JSON.stringify(value))}`);
+            }
+        } else if (typeof value === 'object') {
+            // 递归处理嵌套对象
+            params.push(jsonToUrlParams(value, options, fullKey));
+        } else {
+            // 处理基本类型
+            params.push(`${fullKey}=${encode(String(value))}`);
+        }
+    }
+
+    return params.filter(p => p).join('&');
+};
+
+/**
+ * 将 URL 查询参数转换为 JSON 对象
+ * @param {string} queryString - URL 查询字符串或完整 URL
+ * @returns {Object} JSON 对象
+ */
+export const urlParamsToJson = (queryString) => {
+    // 移除开头的 ? 和 URL 部分
+    let query = queryString.trim();
+
+    // 尝试从完整 URL 中提取查询参数
+    if (query.includes('://')) {
+        const url = new URL(query);
+        query = url.search.substring(1);
+    } else if (query.startsWith('?')) {
+        query = query.substring(1);
+    }
+
+    if (!query) {
+        return {};
+    }
+
+    const result = {};
+    const pairs = query.split('&');
+
+    for (const pair of pairs) {
+        const [key, ...valueParts] = pair.split('=');
+        const value = valueParts.join('='); // 处理值中包含 = 的情况
+
+        if (!key) continue;
+
+        const decodedKey = decodeURIComponent(key);
+        let decodedValue = value ? decodeURIComponent(value) : '';
+
+        // 尝试解析 JSON 值
+        try {
+            if (decodedValue.startsWith('{') || decodedValue.startsWith('[')) {
+                decodedValue = JSON.parse(decodedValue);
+            } else if (decodedValue === 'true') {
+                decodedValue = true;
+            } else if (decodedValue === 'false') {
+                decodedValue = false;
+            } else if (decodedValue === 'null') {
+                decodedValue = null;
+            } else if (!isNaN(decodedValue) && decodedValue !== '') {
+                decodedValue = Number(decodedValue);
+            }
+        } catch {
+            // 保持原始字符串值
+        }
+
+        // 处理嵌套键（如 user[name] 或 items[]）
+        const keyMatch = decodedKey.match(/^([^\[]+)(.*)$/);
+        if (keyMatch) {
+            const baseKey = keyMatch[1];
+            const nestedPart = keyMatch[2];
+
+            if (nestedPart === '[]') {
+                // 数组形式的键
+                if (!result[baseKey]) result[baseKey] = [];
+                result[baseKey].push(decodedValue);
+            } else if (nestedPart) {
+                // 嵌套对象形式的键
+                const nestedKeys = nestedPart.match(/\[([^\]]*)\]/g);
+                if (nestedKeys) {
+                    let current = result;
+                    let fullPath = [baseKey, ...nestedKeys.map(k => k.slice(1, -1))];
+
+                    for (let i = 0; i < fullPath.length - 1; i++) {
+                        const k = fullPath[i];
+                        const nextK = fullPath[i + 1];
+                        if (!current[k]) {
+                            current[k] = nextK === '' || !isNaN(Number(nextK)) ? [] : {};
+                        }
+                        current = current[k];
+                    }
+
+                    const lastKey = fullPath[fullPath.length - 1];
+                    if (lastKey === '' && Array.isArray(current)) {
+                        current.push(decodedValue);
+                    } else {
+                        current[lastKey] = decodedValue;
+                    }
+                }
+            } else {
+                // 简单键
+                if (result[baseKey] !== undefined) {
+                    // 如果键已存在，转换为数组
+                    if (!Array.isArray(result[baseKey])) {
+                        result[baseKey] = [result[baseKey]];
+                    }
+                    result[baseKey].push(decodedValue);
+                } else {
+                    result[baseKey] = decodedValue;
+                }
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * 将 JSON 文本转换为查询字符串
+ * @param {string} text - JSON 文本
+ * @param {Object} options - 转换选项
+ * @param {boolean} options.encodeValues - 是否对值进行 URL 编码
+ * @param {boolean} options.flattenArrays - 是否展开数组为多个同名参数
+ * @param {boolean} options.includePrefix - 是否包含 ? 前缀
+ * @param {string} options.baseUrl - 可选的基础 URL
+ * @returns {string} 查询字符串或完整 URL
+ */
+export const jsonToQueryString = (text, options = {}) => {
+    const { includePrefix = true, baseUrl = '' } = options;
+    let result = jsonToUrlParams(JSON.parse(text), options);
+
+    // 添加前缀和基础 URL
+    if (result) {
+        if (baseUrl.trim()) {
+            const separator = baseUrl.includes('?') ? '&' : '?';
+            result = baseUrl.trim() + separator + result;
+        } else if (includePrefix) {
+            result = '?' + result;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * 将查询字符串转换为格式化的 JSON 文本
+ * @param {string} text - 查询字符串或完整 URL
+ * @returns {string} JSON 文本
+ */
+export const queryStringToJson = (text) => {
+    return JSON.stringify(urlParamsToJson(text), null, 2);
+};
@@ -0,0 +1,143 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { comboFromEvent, isTypingCombo } from '../core/shortcuts';
+import { useShortcutBindings } from './useShortcuts';
+
+/**
+ * 命令面板上下文
+ * - open / setOpen: 面板开关
+ * - helpOpen / setHelpOpen: 快捷键速查表开关
+ * - registry: 已注册的命令来源集合，每个来源是一个返回命令数组的函数
+ */
+const CommandContext = createContext(null);
+
+/**
+ * 命令结构
+ * @typedef {Object} Command
+ * @property {string} id - 命令 ID，在同一来源内唯一
+ * @property {string} label - 显示名称
+ * @property {React.ReactNode} [icon] - 图标
+ * @property {string[]} [keywords] - 额外的搜索关键词
+ * @property {boolean} [disabled] - 是否禁用
+ * @property {string} [shortcut] - 对应的快捷键操作 ID（见 config/shortcuts.js），按下绑定的组合键时执行
+ * @property {Function} onSelect - 执行命令
+ */
+
+/**
+ * 是否在可输入的元素中（输入框、文本域、编辑器）
+ */
+const isEditableTarget = (target) => (
+    Boolean(target) && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
+
+/**
+ * 命令面板提供者
+ * 监听全局快捷键：打开命令面板（默认 Ctrl+K / ⌘K）、快捷键速查表（默认 ?），
+ * 以及执行当前页面声明了 shortcut 的命令
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export function CommandProvider({ children }) {
+    const registry = useRef(new Set()).current;
+    const [open, setOpen] = useState(false);
+    const [helpOpen, setHelpOpen] = useState(false);
+    const bindings = useShortcutBindings();
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            // 设置页面录制快捷键时不触发
+            if (event.target?.closest?.('[data-shortcut-recorder]')) return;
+            const combo = comboFromEvent(event);
+            if (!combo) return;
+            const actionIds = Object.keys(bindings).filter(id => bindings[id] === combo);
+            if (actionIds.length === 0) return;
+            // 输入框中的普通字符作为输入
+            if (isTypingCombo(combo) && isEditableTarget(event.target)) return;
+
+            for (const actionId of actionIds) {
+                if (actionId === 'openPalette') {
+                    event.preventDefault();
+                    setHelpOpen(false);
+                    setOpen(prev => !prev);
+                    return;
+                }
+                if (actionId === 'showShortcuts') {
+                    event.preventDefault();
+                    setOpen(false);
+                    setHelpOpen(prev => !prev);
+                    return;
+                }
+                // 面板或速查表打开时不执行工具操作
+                if (open || helpOpen) return;
+                const command = [...registry]
+                    .flatMap(source => source())
+                    .find(item => item.shortcut === actionId && !item.disabled);
+                if (command) {
+                    event.preventDefault();
+                    command.onSelect();
+                    return;
+                }
+            }
+        };
+        // 捕获阶段监听，避免被编辑器等组件拦截
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [bindings, open, helpOpen]);
+
+    const value = useMemo(() => ({ open, setOpen, helpOpen, setHelpOpen, registry }), [open, helpOpen]);
+
+    return React.createElement(CommandContext.Provider, { value }, children);
+}
+
+/**
+ * 命令面板开关
+ * @returns {{ open: boolean, openPalette: Function, closePalette: Function, getCommands: Function }}
+ */
+export const useCommandPalette = () => {
+    const context = useContext(CommandContext);
+    const setOpen = context?.setOpen;
+    const registry = context?.registry;
+
+    const openPalette = useCallback(() => setOpen?.(true), [setOpen]);
+    const closePalette = useCallback(() => setOpen?.(false), [setOpen]);
+    // 收集当前所有来源注册的命令
+    const getCommands = useCallback(() => {
+        if (!registry) return [];
+        return [...registry].flatMap(source => source());
+    }, [registry]);
+
+    return { open: Boolean(context?.open), openPalette, closePalette, getCommands };
+};
+
+/**
+ * 快捷键速查表开关
+ * @returns {{ open: boolean, openHelp: Function, closeHelp: Function }}
+ */
+export const useShortcutHelp = () => {
+    const context = useContext(CommandContext);
+    const setHelpOpen = context?.setHelpOpen;
+
+    const openHelp = useCallback(() => setHelpOpen?.(true), [setHelpOpen]);
+    const closeHelp = useCallback(() => setHelpOpen?.(false), [setHelpOpen]);
+
+    return { open: Boolean(context?.helpOpen), openHelp, closeHelp };
+};
+
+/**
+ * 向命令面板注册命令，组件卸载时自动移除
+ * 命令在面板打开或按下快捷键时才通过 getCommands 生成，因此总是反映组件的最新状态
+ *
+ * @param {Function} getCommands - 返回 Command 数组的函数
+ */
+export const useRegisterCommands = (getCommands) => {
+    const registry = useContext(CommandContext)?.registry;
+    const getCommandsRef = useRef(getCommands);
+    getCommandsRef.current = getCommands;
+
+    useEffect(() => {
+        if (!registry) return;
+        const source = () => getCommandsRef.current();
+        registry.add(source);
+        return () => registry.delete(source);
+    }, [registry]);
+};
@@ -0,0 +1,103 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { ToolContext } from './useToolState';
+import { createEmbedMessage, isEmbedMessage } from '../core/embed';
+
+/**
+ * 嵌入模式上下文，由 EmbedProvider 提供：
+ * - readOnly: 输入是否只读
+ * - postOutput: 向宿主页面发送工具输出
+ */
+const EmbedContext = createContext(null);
+
+/**
+ * 获取嵌入模式上下文（不在嵌入页面中时为 null）
+ */
+export const useEmbed = () => useContext(EmbedContext);
+
+/**
+ * 获取工具的主输入状态名
+ * @param {Object} tool - 工具配置
+ * @returns {string}
+ */
+export const getInputKey = (tool) => tool.inputKey || 'input';
+
+/**
+ * 嵌入模式提供者
+ * 代替 ToolProvider 渲染单个工具：没有标签页，状态不读写本地存储，也不记录访问，
+ * 避免宿主页面中的操作影响用户在完整页面中保存的内容。
+ * 宿主页面设置输入或状态时，以当前状态合并新状态后重新挂载工具，使依赖输入计算的结果一并更新。
+ * 只与地址参数 origin 指定的源收发消息，未指定时不发送输出（避免被任意页面嵌入后读取），协议见 core/embed.js。
+ *
+ * @param {Object} props
+ * @param {Object} props.tool - 工具配置
+ * @param {Object} props.options - 嵌入参数（见 parseEmbedOptions）
+ * @param {React.ReactNode} props.children - 工具组件
+ */
+export function EmbedProvider({ tool, options, children }) {
+    const registry = useRef(new Map()).current;
+    const [initialState, setInitialState] = useState(() => (
+        options.input !== null ? { [getInputKey(tool)]: options.input } : null
+    ));
+    // 每次宿主页面设置状态时递增，作为工具组件的 key 使其重新挂载
+    const [version, setVersion] = useState(0);
+    // 最近一次发送的输出，响应 getOutput
+    const outputRef = useRef(undefined);
+
+    const postToHost = useCallback((type, data) => {
+        if (window.parent === window || !options.origin) return;
+        window.parent.postMessage(createEmbedMessage(type, { toolId: tool.id, ...data }), options.origin);
+    }, [tool.id, options.origin]);
+
+    const postOutput = useCallback((output) => {
+        outputRef.current = output;
+        postToHost('output', { output });
+    }, [postToHost]);
+
+    useEffect(() => {
+        const applyState = (state) => {
+            const current = {};
+            registry.forEach((entry, key) => {
+                current[key] = entry.value;
+            });
+            setInitialState({ ...current, ...state });
+            setVersion(value => value + 1);
+        };
+
+        const handleMessage = (e) => {
+            if (e.source !== window.parent || !isEmbedMessage(e.data)) return;
+            if (!options.origin || e.origin !== options.origin) return;
+
+            const { type, input, state } = e.data;
+            if (type === 'setInput') {
+                applyState({ [getInputKey(tool)]: input });
+            } else if (type === 'setState' && state && typeof state === 'object') {
+                applyState(state);
+            } else if (type === 'getOutput') {
+                postToHost('output', { output: outputRef.current });
+            }
+        };
+
+        window.addEventListener('message', handleMessage);
+        postToHost('ready');
+        return () => window.removeEventListener('message', handleMessage);
+    }, [tool, options.origin, postToHost]);
+
+    const toolValue = useMemo(
+        () => ({ tool, registry, initialState, stateScope: null, tabs: null }),
+        [tool, initialState],
+    );
+    const embedValue = useMemo(
+        () => ({ readOnly: options.readOnly, postOutput }),
+        [options.readOnly, postOutput],
+    );
+
+    return React.createElement(
+        EmbedContext.Provider,
+        { value: embedValue },
+        React.createElement(
+            ToolContext.Provider,
+            { value: toolValue },
+            React.createElement(React.Fragment, { key: version }, children),
+        ),
+    );
+}
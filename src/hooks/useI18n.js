@@ -0,0 +1,55 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { translate, localizeTool, localizeCategory, getInitialLocale, saveLocale, DEFAULT_LOCALE } from '../i18n';
+
+/**
+ * 国际化上下文
+ */
+const I18nContext = createContext(null);
+
+/**
+ * 创建绑定到指定语言的文案函数
+ * @param {string} locale - 语言 ID
+ */
+const createI18n = (locale) => ({
+    locale,
+    t: (key, params) => translate(locale, key, params),
+    toolName: (tool) => localizeTool(tool, locale).name,
+    toolDescription: (tool) => localizeTool(tool, locale).description,
+    categoryName: (category) => localizeCategory(category, locale),
+});
+
+/**
+ * 国际化提供者
+ * 语言设置保存在本地，并同步到 <html lang>
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export function I18nProvider({ children }) {
+    const [locale, setLocaleState] = useState(getInitialLocale);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const value = useMemo(() => ({
+        ...createI18n(locale),
+        setLocale: (next) => {
+            saveLocale(next);
+            setLocaleState(next);
+        },
+    }), [locale]);
+
+    return React.createElement(I18nContext.Provider, { value }, children);
+}
+
+/**
+ * 获取当前语言和文案函数
+ * 不在 I18nProvider 中使用时使用默认语言
+ *
+ * @returns {{ locale: string, setLocale: Function, t: Function, toolName: Function, toolDescription: Function, categoryName: Function }}
+ */
+export const useI18n = () => {
+    const context = useContext(I18nContext);
+    return context || { ...createI18n(DEFAULT_LOCALE), setLocale: () => { } };
+};
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * 网络连接状态 Hook
+ * 基于 navigator.onLine，断网和恢复时自动刷新
+ *
+ * @returns {boolean} 是否在线
+ */
+export const useOnlineStatus = () => {
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setOnline(navigator.onLine);
+        update();
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return online;
+};
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+const QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * 系统深色模式偏好 Hook
+ * 基于 prefers-color-scheme 媒体查询，系统切换深色/浅色时自动刷新
+ *
+ * @returns {boolean} 系统是否偏好深色
+ */
+export const usePrefersDarkMode = () => {
+    const [prefersDark, setPrefersDark] = useState(() => window.matchMedia?.(QUERY).matches ?? false);
+
+    useEffect(() => {
+        const mediaQuery = window.matchMedia?.(QUERY);
+        if (!mediaQuery) return;
+        const update = () => setPrefersDark(mediaQuery.matches);
+        update();
+        mediaQuery.addEventListener('change', update);
+        return () => mediaQuery.removeEventListener('change', update);
+    }, []);
+
+    return prefersDark;
+};
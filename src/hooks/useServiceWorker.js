@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Service Worker 注册与更新
+ * 新版本安装完成后处于等待状态，由用户确认后再激活并刷新页面，避免正在使用的页面加载到新旧混合的分块
+ */
+
+let waitingWorker = null;
+let applyingUpdate = false;
+const listeners = new Set();
+
+const setWaitingWorker = (worker) => {
+    waitingWorker = worker;
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * 注册 Service Worker（仅生产构建，开发服务器不生成 /sw.js）
+ */
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    // 新版本接管后刷新页面；首次安装时的接管不需要刷新
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (applyingUpdate) window.location.reload();
+    });
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                setWaitingWorker(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // 已有页面受控说明这是更新，而不是首次安装
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        setWaitingWorker(worker);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Service Worker 注册失败:', err);
+        }
+    });
+};
+
+/**
+ * 激活等待中的新版本，接管后页面自动刷新
+ */
+const applyUpdate = () => {
+    if (!waitingWorker) return;
+    applyingUpdate = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * 新版本提示 Hook
+ * @returns {{ updateAvailable: boolean, applyUpdate: Function }}
+ */
+export const useServiceWorkerUpdate = () => {
+    const [updateAvailable, setUpdateAvailable] = useState(Boolean(waitingWorker));
+
+    useEffect(() => {
+        const listener = () => setUpdateAvailable(Boolean(waitingWorker));
+        listeners.add(listener);
+        listener();
+        return () => listeners.delete(listener);
+    }, []);
+
+    return { updateAvailable, applyUpdate };
+};
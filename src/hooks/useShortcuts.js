@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { getShortcutBindings, subscribeShortcuts } from '../storage/shortcuts';
+
+/**
+ * 快捷键绑定 Hook
+ * 修改快捷键设置时（包括其他标签页中的修改）自动刷新
+ *
+ * @returns {Object<string, string>} 操作 ID → 组合键，空字符串表示未绑定
+ */
+export const useShortcutBindings = () => {
+    const [bindings, setBindings] = useState(getShortcutBindings);
+
+    useEffect(() => {
+        setBindings(getShortcutBindings());
+        return subscribeShortcuts(() => setBindings(getShortcutBindings()));
+    }, []);
+
+    return bindings;
+};
@@ -0,0 +1,258 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { readToolState, writeToolState } from '../storage/toolState';
+import { decodeState, getStateParam } from '../core/shareState';
+import { recordToolVisit } from '../storage/toolUsage';
+import { getToolUrl } from '../config/tools';
+import { useToolTabs } from './useToolTabs';
+import { getTabScope } from '../storage/toolTabs';
+
+/**
+ * 当前工具上下文
+ * 由 ToolProvider 在渲染工具路由时提供：
+ * - tool: 工具注册表中的配置项
+ * - registry: 工具状态注册表（状态名 → { value, setValue }），用于整体导出和恢复状态
+ * - initialState: 从分享链接或预填状态得到的初始状态，优先级高于本地保存的状态
+ * - stateScope: 当前标签页的状态保存作用域
+ * - tabs: 标签页列表和操作，见 useToolTabs
+ */
+export const ToolContext = createContext(null);
+
+/**
+ * 获取当前工具配置（不在工具页面中时为 null）
+ */
+export const useCurrentTool = () => useContext(ToolContext)?.tool || null;
+
+/**
+ * 获取当前工具的标签页（不在工具页面中时为 null）
+ */
+export const useCurrentToolTabs = () => useContext(ToolContext)?.tabs || null;
+
+/**
+ * 写入 localStorage 的防抖时间（毫秒）
+ */
+const PERSIST_DELAY = 300;
+
+/**
+ * 状态序列化约定
+ *
+ * 工具通过 useToolState 声明的所有状态，共同构成该工具的完整可序列化状态：
+ * 它们会被持久化到本地，也会被编码进分享链接。
+ * 因此只应把输入、模式和选项放进 useToolState，输出等派生数据仍使用 useState；
+ * 密钥等敏感信息也不要放进来。
+ */
+
+/**
+ * 获取当前工具的状态操作函数
+ * @returns {{ hasState: Function, getSnapshot: Function, applySnapshot: Function }|null}
+ */
+export const useToolStateRegistry = () => {
+    const context = useContext(ToolContext);
+    return useMemo(() => {
+        if (!context) return null;
+        const { registry } = context;
+        return {
+            // 工具是否声明了可序列化状态
+            hasState: () => registry.size > 0,
+            // 导出所有状态的当前值
+            getSnapshot: () => {
+                const snapshot = {};
+                registry.forEach((entry, key) => {
+                    snapshot[key] = entry.value;
+                });
+                return snapshot;
+            },
+            // 用快照覆盖状态，快照中没有的状态名保持不变
+            applySnapshot: (snapshot) => {
+                Object.entries(snapshot).forEach(([key, value]) => {
+                    registry.get(key)?.setValue(value);
+                });
+            },
+        };
+    }, [context]);
+};
+
+/**
+ * 打开工具，可同时预填工具状态
+ * 预填状态通过路由的 state 传递（不写进地址），因此不受分享链接长度的限制，适合粘贴的大段内容
+ *
+ * @returns {Function} (tool, state?) => void，state 为状态名 → 值
+ */
+export const useOpenTool = () => {
+    const navigate = useNavigate();
+    return useCallback((tool, state) => {
+        navigate(getToolUrl(tool), state ? { state: { toolState: state } } : undefined);
+    }, [navigate]);
+};
+
+/**
+ * 工具上下文提供者
+ * 地址中带有分享状态（#s=...）时，先解码再渲染工具，保证工具以分享的状态初始化；
+ * 停留在工具页面时粘贴新的分享链接，也会直接应用到当前工具。
+ * 通过 useOpenTool 预填的状态同样作为初始状态；停留在工具页面时再次预填会重新挂载工具，
+ * 使依赖输入计算的结果一并更新。
+ * 工具可以打开多个标签页，切换标签页时以该标签页保存的状态重新挂载工具；
+ * 分享和预填的状态只作用于它们到达时的当前标签页。
+ * 同时记录工具访问，供命令面板列出最近使用的工具。
+ *
+ * @param {Object} props
+ * @param {Object} props.tool - 工具配置
+ * @param {React.ReactNode} [props.tabBar] - 标签栏，切换标签页时不重新挂载
+ * @param {React.ReactNode} props.children - 工具组件
+ */
+export function ToolProvider({ tool, tabBar, children }) {
+    const registry = useRef(new Map()).current;
+    const location = useLocation();
+    const navigate = useNavigate();
+    const tabs = useToolTabs(tool.id, registry);
+    // 初始状态连同到达时的标签页一起记录：{ tabId, state }
+    const [initial, setInitial] = useState(() => (
+        location.state?.toolState ? { tabId: tabs.activeId, state: location.state.toolState } : null
+    ));
+    const initialState = initial?.tabId === tabs.activeId ? initial.state : null;
+    // 每次在当前页面预填状态时递增，作为工具组件的 key 使其重新挂载
+    const [prefillVersion, setPrefillVersion] = useState(0);
+    const [ready, setReady] = useState(() => !getStateParam(window.location.hash));
+
+    useEffect(() => {
+        recordToolVisit(tool.id);
+    }, [tool.id]);
+
+    // 离开初始状态所在的标签页后丢弃初始状态，切换回来时使用该标签页之后保存的修改
+    useEffect(() => {
+        setInitial(prev => (prev && prev.tabId !== tabs.activeId ? null : prev));
+    }, [tabs.activeId]);
+
+    useEffect(() => {
+        const toolState = location.state?.toolState;
+        if (!toolState) return;
+        // 预填状态只应用一次，从历史记录中移除，避免刷新或后退时覆盖之后的修改
+        navigate(location.pathname + location.search + location.hash, { replace: true, state: null });
+        if (toolState !== initial?.state) {
+            setInitial({ tabId: tabs.activeId, state: toolState });
+            setPrefillVersion(version => version + 1);
+        }
+    }, [location.state]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadFromHash = async (isInitial) => {
+            const param = getStateParam(window.location.hash);
+            if (!param) return;
+            try {
+                const state = await decodeState(param);
+                if (cancelled) return;
+                if (isInitial) {
+                    setInitial({ tabId: tabs.activeId, state });
+                } else {
+                    Object.entries(state).forEach(([key, value]) => registry.get(key)?.setValue(value));
+                }
+            } catch (err) {
+                console.error('分享链接解析失败:', err);
+            }
+            if (cancelled) return;
+            // 状态已应用，移除片段，避免刷新时覆盖之后的修改
+            window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+            setReady(true);
+        };
+
+        loadFromHash(true);
+        const handleHashChange = () => loadFromHash(false);
+        window.addEventListener('hashchange', handleHashChange);
+        return () => {
+            cancelled = true;
+            window.removeEventListener('hashchange', handleHashChange);
+        };
+    }, []);
+
+    const stateScope = getTabScope(tool.id, tabs.activeId);
+    const value = useMemo(
+        () => ({ tool, registry, initialState, stateScope, tabs }),
+        [tool, initialState, stateScope, tabs],
+    );
+
+    if (!ready) return null;
+
+    return React.createElement(
+        ToolContext.Provider,
+        { value },
+        tabBar,
+        React.createElement(React.Fragment, { key: `${tabs.activeId}:${prefillVersion}` }, children),
+    );
+}
+
+/**
+ * 可持久化、可分享的工具状态 Hook
+ * 用法与 useState 相同，值会按工具 ID 保存到本地，再次进入工具时自动恢复。
+ * 初始值的优先级：分享链接 > 本地保存 > 默认值。
+ * 默认值为普通对象时，会与保存的值合并，兼容新增的配置项。
+ * 不在工具页面中使用时退化为普通的 useState。
+ *
+ * @param {string} key - 状态名，在同一工具内唯一
+ * @param {*} defaultValue - 默认值，也可以是返回默认值的函数（没有分享或保存的值时才调用）
+ * @returns {[*, Function]} [状态值, 更新函数]
+ */
+export const useToolState = (key, defaultValue) => {
+    const context = useContext(ToolContext);
+    // 保存作用域：工具 ID 或当前标签页的作用域
+    const scope = context?.stateScope;
+
+    const [value, setValue] = useState(() => {
+        const shared = context?.initialState?.[key];
+        const saved = shared !== undefined ? shared : (scope ? readToolState(scope, key) : undefined);
+        // 与 useState 一致，默认值为函数时调用它得到初始值
+        const initial = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+        if (saved === undefined) return initial;
+        if (isPlainObject(initial) && isPlainObject(saved)) {
+            return { ...initial, ...saved };
+        }
+        return saved;
+    });
+
+    // 登记到状态注册表，供分享链接导出和恢复（条目对象保持不变，每次渲染更新其中的值）
+    const registry = context?.registry;
+    const entryRef = useRef({});
+    entryRef.current.value = value;
+    entryRef.current.setValue = setValue;
+    // 渲染时即登记，使 ToolCard 在首次渲染就能判断工具是否声明了状态；effect 负责卸载时移除
+    registry?.set(key, entryRef.current);
+    useEffect(() => {
+        if (!registry) return;
+        registry.set(key, entryRef.current);
+        return () => registry.delete(key);
+    }, [registry, key]);
+
+    // 首次渲染不写入，避免把默认值覆盖到存储中
+    const isFirstRender = useRef(true);
+    // 等待写入的最新值，卸载时立即写入，避免离开页面前的最后一次修改丢失
+    const pendingRef = useRef(null);
+
+    useEffect(() => {
+        if (isFirstRender.current) {
+            isFirstRender.current = false;
+            // 从分享链接初始化的状态需要立即保存，之后回到工具时保持一致
+            if (!(scope && context?.initialState && key in context.initialState)) return;
+        }
+        if (!scope) return;
+
+        pendingRef.current = { value };
+        const timer = setTimeout(() => {
+            writeToolState(scope, key, value);
+            pendingRef.current = null;
+        }, PERSIST_DELAY);
+        return () => clearTimeout(timer);
+    }, [scope, key, value]);
+
+    useEffect(() => () => {
+        if (scope && pendingRef.current) {
+            writeToolState(scope, key, pendingRef.current.value);
+        }
+    }, [scope, key]);
+
+    return [value, setValue];
+};
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
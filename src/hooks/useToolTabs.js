@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import {
+    readToolTabs,
+    writeToolTabs,
+    addTab,
+    duplicateTab,
+    closeTab,
+    removeTabState,
+    moveTab,
+    getTabScope,
+    MAX_TABS,
+} from '../storage/toolTabs';
+import { readToolState } from '../storage/toolState';
+
+/**
+ * 工具标签页 Hook
+ * 管理一个工具的标签页列表并保存到本地，刷新页面后恢复。由 ToolProvider 调用，
+ * 工具内的组件通过 useCurrentToolTabs 获取同一份标签页操作。
+ *
+ * @param {string} toolId - 工具 ID
+ * @param {Map} registry - 当前标签页的工具状态注册表，复制当前标签页时读取未保存的最新值
+ * @returns {Object} { tabs, activeId, canAdd, select, add, duplicate, close, closeOthers, rename, move }
+ */
+export const useToolTabs = (toolId, registry) => {
+    const [value, setValue] = useState(() => readToolTabs(toolId));
+    // 已关闭、等待删除保存状态的标签页 ID
+    const closedRef = useRef([]);
+    const isFirstRender = useRef(true);
+
+    useEffect(() => {
+        if (isFirstRender.current) {
+            isFirstRender.current = false;
+            return;
+        }
+        writeToolTabs(toolId, value);
+        // 父组件的 effect 在子组件卸载之后执行，此时关闭的工具已写入最后的修改，可以安全删除
+        closedRef.current.forEach(tabId => removeTabState(toolId, tabId));
+        closedRef.current = [];
+    }, [toolId, value]);
+
+    return useMemo(() => {
+        // 读取标签页的状态：当前标签页取注册表中的最新值，其他标签页读取本地保存的值
+        const getSnapshot = (tabId) => {
+            const snapshot = {};
+            registry.forEach((entry, key) => {
+                const state = tabId === value.activeId
+                    ? entry.value
+                    : readToolState(getTabScope(toolId, tabId), key);
+                if (state !== undefined) snapshot[key] = state;
+            });
+            return snapshot;
+        };
+
+        const close = (tabIds) => {
+            setValue(prev => {
+                const next = tabIds.reduce(closeTab, prev);
+                closedRef.current.push(...prev.tabs.filter(tab => !next.tabs.includes(tab)).map(tab => tab.id));
+                return next;
+            });
+        };
+
+        return {
+            tabs: value.tabs,
+            activeId: value.activeId,
+            canAdd: value.tabs.length < MAX_TABS,
+            select: (tabId) => setValue(prev => ({ ...prev, activeId: tabId })),
+            add: () => {
+                if (value.tabs.length >= MAX_TABS) return;
+                setValue(prev => addTab(prev).value);
+            },
+            // title 为新标签页的名称（如「xxx 副本」），由界面按当前语言生成
+            duplicate: (tabId, title) => {
+                if (value.tabs.length >= MAX_TABS) return;
+                const source = value.tabs.find(tab => tab.id === tabId);
+                if (!source) return;
+                setValue(duplicateTab(toolId, value, source, getSnapshot(tabId), title));
+            },
+            close: (tabId) => close([tabId]),
+            closeOthers: (tabId) => close(value.tabs.filter(tab => tab.id !== tabId).map(tab => tab.id)),
+            rename: (tabId, title) => setValue(prev => ({
+                ...prev,
+                tabs: prev.tabs.map(tab => (tab.id === tabId ? { ...tab, title: title.trim() } : tab)),
+            })),
+            move: (from, to) => setValue(prev => moveTab(prev, from, to)),
+        };
+    }, [toolId, registry, value]);
+};
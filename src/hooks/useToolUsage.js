@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { getToolUsage, subscribeToolUsage } from '../storage/toolUsage';
+
+/**
+ * 工具使用记录 Hook
+ * 收藏、最近使用或打开次数变化时（包括其他标签页中的修改）自动刷新
+ *
+ * @returns {{ recent: string[], favorites: string[], usageCounts: Object<string, number> }}
+ */
+export const useToolUsage = () => {
+    const [usage, setUsage] = useState(getToolUsage);
+
+    useEffect(() => {
+        // 订阅前可能已有变化（如工具页面挂载时记录的访问），先同步一次
+        setUsage(getToolUsage());
+        return subscribeToolUsage(() => setUsage(getToolUsage()));
+    }, []);
+
+    return usage;
+};
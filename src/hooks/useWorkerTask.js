@@ -0,0 +1,152 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+/**
+ * 创建任务被中断时的错误
+ */
+const cancelledError = () => Object.assign(new Error('Task cancelled'), { code: 'cancelled' });
+
+/**
+ * 后台任务 Hook
+ * 在通用任务 Worker（workers/task.worker.js）中执行注册的任务，每个组件使用独立的 Worker。
+ * 同一时间只运行一个任务：开始新任务或调用 cancel 时终止 Worker 中断旧任务，下次使用时重新创建，
+ * 被中断的任务以 code 为 cancelled 的错误结束，调用方忽略即可；任务抛出的错误保留 code、diagnostic 等属性。
+ *
+ * @returns {Object} { run, cancel, task }
+ * - run(name, payload, transfer?): 执行任务，返回 Promise<{ result, duration }>，duration 为 Worker 中的耗时（毫秒）；
+ *   transfer 为需要转移给 Worker 的 ArrayBuffer 列表
+ * - cancel(): 中断正在运行的任务
+ * - task: 正在运行的任务 { name, progress, startedAt }，没有任务时为 null；progress 为任务报告的 { stage, value }
+ */
+export const useWorkerTask = () => {
+    const workerRef = useRef(null);
+    // 正在运行的任务：{ id, resolve, reject }
+    const pendingRef = useRef(null);
+    const nextIdRef = useRef(0);
+    const [task, setTask] = useState(null);
+
+    const terminate = useCallback(() => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+        const pending = pendingRef.current;
+        pendingRef.current = null;
+        pending?.reject(cancelledError());
+    }, []);
+
+    const getWorker = useCallback(() => {
+        if (workerRef.current) return workerRef.current;
+
+        // 注意：在 Vite 中使用 new Worker(new URL(path, import.meta.url))
+        const worker = new Worker(
+            new URL('../workers/task.worker.js', import.meta.url),
+            { type: 'module' }
+        );
+        worker.onmessage = (e) => {
+            const { id, type, progress, result, duration, error } = e.data;
+            const pending = pendingRef.current;
+            if (!pending || pending.id !== id) return;
+
+            if (type === 'progress') {
+                setTask(prev => (prev ? { ...prev, progress } : prev));
+                return;
+            }
+            pendingRef.current = null;
+            setTask(null);
+            if (type === 'error') {
+                const { message, ...details } = error;
+                pending.reject(Object.assign(new Error(message), details));
+            } else {
+                pending.resolve({ result, duration });
+            }
+        };
+        worker.onerror = (e) => {
+            const pending = pendingRef.current;
+            pendingRef.current = null;
+            setTask(null);
+            pending?.reject(new Error(e.message));
+        };
+        workerRef.current = worker;
+        return worker;
+    }, []);
+
+    const run = useCallback((name, payload, transfer = []) => {
+        // 新任务开始时中断上一个仍在运行的任务
+        if (pendingRef.current) terminate();
+
+        const id = ++nextIdRef.current;
+        setTask({ name, progress: null, startedAt: Date.now() });
+        return new Promise((resolve, reject) => {
+            pendingRef.current = { id, resolve, reject };
+            getWorker().postMessage({ id, task: name, payload }, transfer);
+        });
+    }, [getWorker, terminate]);
+
+    const cancel = useCallback(() => {
+        if (!pendingRef.current) return;
+        terminate();
+        setTask(null);
+    }, [terminate]);
+
+    // 卸载时终止 Worker
+    useEffect(() => terminate, [terminate]);
+
+    return useMemo(() => ({ run, cancel, task }), [run, cancel, task]);
+};
+
+/**
+ * 后台任务结果 Hook
+ * 参数变化时（防抖 delay 毫秒后）在 Worker 中重新执行任务，并中断尚未完成的旧任务。
+ * payload 按引用比较，调用方需用 useMemo 保持不变；enabled 为 false 时清空结果且不执行。
+ *
+ * @param {string} name - 任务名称，如 textDedup/process
+ * @param {*} payload - 任务参数
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - 是否执行
+ * @param {number} [options.delay=0] - 防抖时间（毫秒）
+ * @returns {Object} { result, error, loading, stale, duration, task, cancel }
+ * - result: 最近一次成功的结果，重新计算期间保留旧结果
+ * - stale: result 是否由旧的 payload 算出（与当前参数不对应，不应再复制或导出）
+ * - error: 最近一次失败的错误，成功后清空
+ * - loading: 是否在等待防抖或计算中
+ * - duration: 最近一次成功的耗时（毫秒）
+ * - task / cancel: 同 useWorkerTask，用于显示进度和取消
+ */
+export const useWorkerResult = (name, payload, { enabled = true, delay = 0 } = {}) => {
+    const { run, cancel, task } = useWorkerTask();
+    const [state, setState] = useState({ result: null, error: null, loading: false, duration: 0, source: null });
+
+    useEffect(() => {
+        if (!enabled) {
+            setState({ result: null, error: null, loading: false, duration: 0, source: null });
+            return;
+        }
+
+        setState(prev => ({ ...prev, loading: true }));
+        let active = true;
+        const timer = setTimeout(() => {
+            run(name, payload)
+                .then(({ result, duration }) => {
+                    if (active) setState({ result, error: null, loading: false, duration, source: payload });
+                })
+                .catch((error) => {
+                    if (!active || error.code === 'cancelled') return;
+                    setState(prev => ({ ...prev, error, loading: false }));
+                });
+        }, delay);
+
+        return () => {
+            active = false;
+            clearTimeout(timer);
+            cancel();
+        };
+    }, [name, payload, enabled, delay, run, cancel]);
+
+    // 手动取消时结束加载状态，保留上一次的结果
+    const handleCancel = useCallback(() => {
+        cancel();
+        setState(prev => ({ ...prev, loading: false }));
+    }, [cancel]);
+
+    const { source, ...rest } = state;
+    const stale = rest.result !== null && source !== payload;
+    return { ...rest, stale, task, cancel: handleCancel };
+};
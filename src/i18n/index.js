@@ -0,0 +1,111 @@
+/**
+ * 国际化
+ * 文案按命名空间组织在 locales 下的语言包中，通过 'namespace.key' 形式的键获取。
+ * 当前语言缺少的文案回退到简体中文，仍然缺少时显示键本身，便于发现遗漏。
+ */
+import zhCN from './locales/zh-CN';
+import enUS from './locales/en-US';
+
+/**
+ * 支持的语言
+ * dayjs 为日期选择器使用的 dayjs 语言名
+ */
+export const LOCALES = [
+    { id: 'zh-CN', label: '简体中文', dayjs: 'zh-cn', messages: zhCN },
+    { id: 'en-US', label: 'English', dayjs: 'en', messages: enUS },
+];
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+/**
+ * 保存语言设置的 localStorage 键
+ */
+const STORAGE_KEY = 'locale';
+
+const getLocale = (locale) => LOCALES.find(l => l.id === locale) || LOCALES[0];
+
+const getMessages = (locale) => getLocale(locale).messages;
+
+/**
+ * 获取语言对应的 dayjs 语言名
+ * @param {string} locale - 语言 ID
+ */
+export const getDayjsLocale = (locale) => getLocale(locale).dayjs;
+
+const lookup = (messages, key) => {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+};
+
+/**
+ * 替换文案中的 {name} 占位符
+ */
+const interpolate = (text, params) => {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+/**
+ * 获取文案
+ * @param {string} locale - 语言 ID
+ * @param {string} key - 文案键，如 'toolCard.copy'
+ * @param {Object} [params] - 占位符参数
+ * @returns {*} 文案字符串；键指向数组（如星期名称）时返回数组
+ */
+export const translate = (locale, key, params) => {
+    let value = lookup(getMessages(locale), key);
+    if (value === undefined) value = lookup(getMessages(DEFAULT_LOCALE), key);
+    if (value === undefined) return key;
+    return typeof value === 'string' ? interpolate(value, params) : value;
+};
+
+/**
+ * 判断语言包中是否存在某个键
+ * @param {string} locale - 语言 ID
+ * @param {string} key - 文案键
+ */
+export const hasMessage = (locale, key) => lookup(getMessages(locale), key) !== undefined;
+
+/**
+ * 获取工具的本地化名称和描述
+ * 工具注册表中的中文为准，其他语言在语言包的 tools 中提供翻译
+ *
+ * @param {Object} tool - 工具配置
+ * @param {string} locale - 语言 ID
+ * @returns {{ name: string, description: string }}
+ */
+export const localizeTool = (tool, locale) => {
+    const key = `tools.${tool.id}`;
+    return {
+        name: hasMessage(locale, `${key}.name`) ? translate(locale, `${key}.name`) : tool.name,
+        description: hasMessage(locale, `${key}.description`) ? translate(locale, `${key}.description`) : tool.description,
+    };
+};
+
+/**
+ * 获取分类的本地化名称
+ * @param {Object} category - 分类配置
+ * @param {string} locale - 语言 ID
+ * @returns {string}
+ */
+export const localizeCategory = (category, locale) => {
+    const key = `categories.${category.id}`;
+    return hasMessage(locale, key) ? translate(locale, key) : category.name;
+};
+
+/**
+ * 读取保存的语言，没有保存时按浏览器语言选择
+ * @returns {string} 语言 ID
+ */
+export const getInitialLocale = () => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES.some(l => l.id === saved)) return saved;
+    return navigator.language?.toLowerCase().startsWith('zh') ? 'zh-CN' : 'en-US';
+};
+
+/**
+ * 保存语言设置
+ * @param {string} locale - 语言 ID
+ */
+export const saveLocale = (locale) => {
+    localStorage.setItem(STORAGE_KEY, locale);
+};
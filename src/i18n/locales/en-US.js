@@ -0,0 +1,1448 @@
+/**
+ * English language pack
+ * 缺少的文案回退到简体中文
+ */
+export default {
+    common: {
+        copy: 'Copy',
+        copied: 'Copied to clipboard',
+        copyFailed: 'Copy failed, please copy manually',
+        clear: 'Clear',
+        cancel: 'Cancel',
+        confirm: 'OK',
+        save: 'Save',
+        input: 'Input',
+        output: 'Output',
+        error: 'Error',
+        characters: '{count} chars',
+        copiedShort: 'Copied!',
+        swapInputOutput: 'Swap input and output',
+        convertMode: 'Conversion mode',
+        inputOf: 'Input ({type})',
+        outputOf: 'Output ({type})',
+        syntaxError: '{type} syntax error: {message}',
+        parseError: '{type} parse error: {message}',
+        examplePrefix: 'Paste or type {type} here, e.g.',
+        livePlaceholder: 'Enter {input} to see the {output} result here...',
+        tips: 'Tips',
+        tipLabel: 'Tip: ',
+        swapTipBefore: 'Click',
+        swapTipAfter: 'to swap input and output',
+    },
+    header: {
+        openMenu: 'Open menu',
+        searchPlaceholder: 'Search tools...',
+        searchLabel: 'Search tools',
+        commandPalette: 'Command palette',
+        commandPaletteKeys: 'Command palette ({keys})',
+        language: 'Language',
+        lightMode: 'Switch to light mode',
+        darkMode: 'Switch to dark mode',
+        themeSettings: 'Theme settings',
+        getStarted: 'Get started',
+        offline: 'Offline',
+        offlineHint: 'You are offline. Tools that do not need the network keep working.',
+        updateAvailable: 'A new version is ready. Reload to apply it.',
+        later: 'Later',
+        reload: 'Reload',
+    },
+    themeSettings: {
+        mode: 'Theme',
+        modes: {
+            light: 'Light',
+            dark: 'Dark',
+            system: 'System',
+        },
+        highContrast: 'High contrast',
+        accent: 'Accent color',
+        accents: {
+            blue: 'Blue',
+            violet: 'Violet',
+            green: 'Green',
+            orange: 'Orange',
+            pink: 'Pink',
+        },
+        editorFont: 'Editor font',
+        editorFontSize: 'Size',
+        fonts: {
+            fira: 'Fira Code',
+            jetbrains: 'JetBrains Mono',
+            sourceCode: 'Source Code Pro',
+            system: 'System monospace',
+        },
+    },
+    sidebar: {
+        home: 'Home',
+        settings: 'Settings',
+        favorites: 'Favorites',
+        navLabel: 'Tool categories',
+    },
+    home: {
+        heroLine1: 'Build faster,',
+        heroLine2: 'ship ',
+        heroHighlight: 'smarter',
+        heroEnd: '.',
+        subtitle: 'A modern toolbox for developers: JSON processing, encoding, time conversion and other everyday tasks. Free to use.',
+        usageHint: 'Favorites and usage stay in this browser. Export them to import on another device.',
+        export: 'Export',
+        import: 'Import',
+        imported: 'Usage data imported and merged with local data',
+        importFailed: 'Import failed: {message}',
+        importErrors: {
+            invalidFile: 'Not a valid tool usage file',
+            unsupportedVersion: 'This file was created by a newer version, please upgrade first',
+            corrupted: 'The tool usage file is corrupted',
+        },
+        recent: 'Recently used',
+        favorites: 'Favorites',
+        mostUsed: 'Most used',
+        featured: 'Featured tools',
+        openCount: 'Opened {count} times',
+        useTool: 'Use tool',
+    },
+    notFound: {
+        title: 'Page not found',
+        description: 'Sorry, the page you are looking for does not exist or has been removed. Check the URL or go back to the home page to browse other tools.',
+        backHome: 'Back to home',
+    },
+    settings: {
+        title: 'Settings',
+        description: 'All settings are stored only in this browser and apply immediately. Export the workspace to move them to another device.',
+        appearance: 'Appearance',
+        shortcuts: 'Keyboard shortcuts',
+        workspace: 'Workspace',
+    },
+    shortcuts: {
+        title: 'Keyboard shortcuts',
+        groups: {
+            global: 'Global',
+            tool: 'Tool actions',
+            diff: 'Diff',
+        },
+        actions: {
+            openPalette: 'Open command palette',
+            showShortcuts: 'Show keyboard shortcuts',
+            format: 'Format',
+            minify: 'Minify',
+            swap: 'Swap input and output',
+            paste: 'Paste from clipboard',
+            copyOutput: 'Copy output',
+            clear: 'Clear',
+            history: 'Open history',
+            share: 'Copy share link',
+            nextDiff: 'Next difference',
+            prevDiff: 'Previous difference',
+        },
+        availableHint: 'Greyed-out actions are not available on this page',
+        unbound: 'Not set',
+        customize: 'Customize shortcuts',
+        hint: 'Click a shortcut and press the new key combination, or Esc to cancel. Tool actions only work on pages that provide them, and character keys without Ctrl or Alt are ignored while typing.',
+        recording: 'Press a key combination…',
+        record: 'Change shortcut for "{action}"',
+        remove: 'Remove shortcut',
+        reset: 'Reset to default',
+        resetAll: 'Reset all',
+        conflict: 'Conflicts with "{actions}"',
+        keepThis: 'Keep this one',
+        reassignConfirm: '{keys} is already used by "{actions}". Use it for "{action}" instead?',
+        reassign: 'Reassign',
+    },
+    workspace: {
+        hint: 'Export settings, favorites, saved pipelines and queries, and every tool\'s inputs and options (such as SQL format settings, regex patterns and cron expressions) to one file, then import it on another device or share it with teammates.',
+        sections: {
+            settings: 'Settings',
+            usage: 'Favorites and usage',
+            pipelines: 'Pipelines',
+            queries: 'Saved queries',
+            tools: 'Tool state',
+            history: 'History',
+        },
+        settingItems: {
+            theme: 'Theme settings',
+            locale: 'Language',
+            shortcuts: 'Keyboard shortcuts',
+        },
+        export: 'Export workspace',
+        import: 'Import workspace',
+        previewTitle: 'Import preview',
+        previewHint: 'Only checked items are imported; unchecked items keep their local content. The page reloads after importing.',
+        emptyFile: 'The file has nothing to import',
+        apply: 'Import selected ({count})',
+        favoriteCount: '{count} favorites',
+        stepCount: '{count} steps',
+        tabCount: '{count} tabs',
+        historyCount: '{count} new entries',
+        status: {
+            new: 'New',
+            changed: 'Replaces local',
+            merge: 'Merge',
+            same: 'Unchanged',
+        },
+        importFailed: 'Import failed: {message}',
+        errors: {
+            invalidFile: 'Not a valid workspace file',
+            unsupportedVersion: 'The file was created by a newer version. Please upgrade before importing.',
+            corrupted: 'The workspace file is corrupted',
+        },
+    },
+    embed: {
+        unknownTool: 'Tool "{toolId}" was not found. Check the tool ID in the embed URL.',
+    },
+    toolCard: {
+        copyButton: 'Copy',
+        shareLink: 'Copy share link',
+        shareCopied: 'Share link copied. The content lives only in the link and is never uploaded.',
+        shareTooLong: 'Share link copied, but it is {length} characters long and may be truncated by some chat apps or browsers',
+        shareFailed: 'Failed to create share link: {message}',
+        history: 'History',
+        copyOutput: 'Copy output',
+        openHistory: 'Open history',
+        favorite: 'Add current tool to favorites',
+        unfavorite: 'Remove current tool from favorites',
+    },
+    favorite: {
+        add: 'Add to favorites',
+        remove: 'Remove from favorites',
+    },
+    history: {
+        title: 'History',
+        hint: 'Stored only in this browser, up to {max} entries',
+        loadFailed: 'Unable to read history: {message}',
+        empty: 'No history yet',
+        clearTool: 'Clear this tool\'s history',
+        clearAll: 'Clear all local data',
+        confirmTitle: 'Clear all local data?',
+        confirmText: 'This deletes saved inputs and options of every tool, history, saved pipelines, favorites, usage data and theme, language and shortcut settings. This cannot be undone.',
+        confirmClear: 'Clear',
+    },
+    palette: {
+        currentTool: 'Current tool',
+        toolActions: 'Current tool actions',
+        favorites: 'Favorites',
+        recent: 'Recently used',
+        featured: 'Featured tools',
+        actions: 'Actions',
+        tools: 'Tools',
+        placeholder: 'Search tools or commands, pinyin initials supported...',
+        searchLabel: 'Search tools or commands',
+        empty: 'No matching tools or commands',
+        hint: '↑↓ select · Enter run · Esc close',
+        openHint: '{keys} to open anytime',
+        shortcutsHint: '{keys} for shortcuts',
+        pasted: 'Pasted content',
+    },
+    smartPaste: {
+        hint: 'Press Ctrl+V anywhere on this page to paste content; its type is detected and a matching tool is suggested',
+        readClipboard: 'Read clipboard',
+        clipboardFailed: 'Could not read the clipboard. Press Ctrl+V to paste instead',
+        detected: 'Detected {type}',
+        unrecognized: 'The pasted content was not recognized. Use search to find the tool you need',
+        openIn: 'Open in {tool}',
+        types: {
+            jwt: 'JWT token',
+            timestamp: 'Unix timestamp',
+            createTable: 'CREATE TABLE statement',
+            cron: 'cron expression',
+            imageDataUri: 'Base64 image',
+            json: 'JSON',
+            yaml: 'YAML',
+            xml: 'XML',
+            urlQuery: 'URL with query string',
+        },
+    },
+    editor: {
+        placeholder: 'Enter content here...',
+        position: 'Line {line}, column {column}',
+        openFile: 'Open file',
+        saveAs: 'Save as',
+        dropHint: 'Drop to open the file',
+        openedFile: 'Opened {name} ({encoding})',
+        errors: {
+            binaryFile: '{name} is not a text file',
+        },
+        largeMode: 'Large file mode: autocompletion and selection highlighting are off',
+    },
+    taskProgress: {
+        message: 'Processing in the background: {stage}, {seconds}s elapsed',
+        stages: {
+            pending: 'Starting',
+            parse: 'Parsing',
+            format: 'Generating output',
+            compare: 'Comparing pixels',
+            dedupe: 'Removing duplicates',
+            sort: 'Sorting',
+        },
+    },
+    dateTimePicker: {
+        label: 'Date & time',
+        placeholder: 'e.g. 2024-01-15 10:30:00',
+        formatHint: 'Format: YYYY-MM-DD HH:mm:ss',
+        formatError: 'Invalid format, use YYYY-MM-DD HH:mm:ss',
+        invalidDate: 'Invalid date and time',
+        openPicker: 'Open date picker',
+        closePicker: 'Close picker',
+        confirm: 'Confirm',
+    },
+    cron: {
+        everyMinute: 'every minute',
+        everyNMinutes: 'every {n} minutes',
+        atMinute: 'at minute {minute}',
+        everyHour: 'every hour',
+        everyNHours: 'every {n} hours',
+        atHour: 'at {hour}:00',
+        lastDayOfMonth: 'on the last day of the month',
+        dayOfMonth: 'on day {day} of the month',
+        range: '{start} through {end}',
+        weekdays: 'on weekdays',
+        weekend: 'on weekends',
+        listSeparator: ', ',
+        partSeparator: ', ',
+        fallback: 'every minute',
+        dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        errors: {
+            fieldCount: 'A cron expression has 5 fields (minute hour day-of-month month day-of-week), got {count}',
+            invalidField: 'Field {index} "{value}" is invalid; expected *, numbers from {min} to {max}, ranges, steps or lists',
+        },
+        monthNames: ['', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    },
+    cronGenerator: {
+        title: 'Cron Expression Generator',
+        description: 'Build and explain cron expressions visually, with common schedule presets',
+        expression: 'Cron expression',
+        presetsTitle: 'Presets',
+        custom: 'Custom',
+        syntax: 'Cron syntax',
+        sundayNote: ', 0 = Sunday',
+        syntaxAny: 'any value',
+        syntaxList: 'list of values',
+        syntaxRange: 'range',
+        syntaxStep: 'step',
+        fields: {
+            minute: 'Minute',
+            hour: 'Hour',
+            dayOfMonth: 'Day of month',
+            month: 'Month',
+            dayOfWeek: 'Day of week',
+        },
+        presets: {
+            everyMinute: 'Every minute',
+            every5Minutes: 'Every 5 minutes',
+            every15Minutes: 'Every 15 minutes',
+            every30Minutes: 'Every 30 minutes',
+            everyHour: 'Every hour',
+            every2Hours: 'Every 2 hours',
+            midnight: 'Daily at midnight',
+            morning: 'Daily at 8 AM',
+            noon: 'Daily at noon',
+            evening: 'Daily at 6 PM',
+            weekdays: 'Weekdays at 9 AM',
+            monday: 'Mondays at midnight',
+            firstOfMonth: '1st of every month',
+            twiceMonthly: '1st and 15th of every month',
+        },
+    },
+    timestamp: {
+        title: 'Timestamp Converter',
+        description: 'Supports seconds (10 digits), milliseconds (13), microseconds (16) and nanoseconds (19), detected automatically',
+        currentTime: 'Current time ({zone})',
+        secondsShort: 'Seconds (10 digits)',
+        millisecondsShort: 'Milliseconds (13 digits)',
+        timestampInput: 'Timestamp',
+        detected: 'Detected: {precision}',
+        unixTimestamp: 'Unix timestamp',
+        placeholder: '10, 13, 16 or 19 digit timestamp',
+        precisionHint: 'Precision is detected automatically: 10 = s, 13 = ms, 16 = μs, 19 = ns',
+        now: 'Use current time',
+        datetimeInput: 'Date & time',
+        timezone: 'Time zone',
+        allPrecisions: 'All precisions',
+        allPrecisionsHint: 'The same moment as timestamps of different precisions, ready to copy',
+        digits: '{count} digits',
+        formats: 'Date formats',
+        localTime: 'Local time',
+        iso8601Desc: 'international standard',
+        rfc2822Desc: 'email/HTTP standard',
+        relativeTime: 'Relative time',
+        relativeTimeDesc: 'from now',
+        precisions: {
+            seconds: { unit: 'Seconds', label: 'Seconds timestamp' },
+            milliseconds: { unit: 'Milliseconds', label: 'Milliseconds timestamp' },
+            microseconds: { unit: 'Microseconds', label: 'Microseconds timestamp' },
+            nanoseconds: { unit: 'Nanoseconds', label: 'Nanoseconds timestamp' },
+        },
+        timezones: {
+            'Asia/Shanghai': 'China Standard Time',
+            'Asia/Tokyo': 'Japan Standard Time',
+            'Asia/Singapore': 'Singapore Time',
+            'America/New_York': 'US Eastern Time',
+            'America/Los_Angeles': 'US Pacific Time',
+            'Europe/London': 'UK Time',
+            'Europe/Paris': 'Central European Time',
+            UTC: 'Coordinated Universal Time',
+        },
+    },
+    actions: {
+        clear: 'Clear',
+        copy: 'Copy',
+        format: 'Format',
+        minify: 'Minify',
+        paste: 'Paste',
+        settings: 'Settings',
+        swap: 'Swap',
+    },
+    jsonFormat: {
+        title: 'JSON Formatter',
+        description: 'Beautify, minify and validate JSON in real time, with syntax highlighting',
+        mode: 'Output mode',
+        format: 'Format',
+        minify: 'Minify',
+        formatShort: 'formatted',
+        minifyShort: 'minified',
+        syntaxError: 'JSON syntax error: {message}',
+        valid: 'Valid JSON',
+        input: 'Input JSON',
+        inputPlaceholder: 'Paste or type JSON here, e.g.\n{\n  "name": "DevTools",\n  "version": "1.0.0",\n  "features": ["format", "minify", "validate"]\n}',
+        output: 'Output ({mode})',
+        outputPlaceholder: 'The result appears here as you type JSON...',
+        view: 'Output view',
+        textView: 'Text',
+        treeView: 'Tree',
+        tree: 'Tree view',
+    },
+    jsonTree: {
+        root: 'root',
+        items: '{count} items',
+        keys: '{count} keys',
+        expand: 'Expand',
+        collapse: 'Collapse',
+        expandAll: 'Expand all',
+        collapseAll: 'Collapse all',
+        rowCount: '{count} rows',
+        editHint: 'Double-click a key or value to edit it; changes are written back to the input',
+        editKey: 'Edit key',
+        editValue: 'Edit value',
+        copyPath: 'Copy path',
+        dotPath: 'Dot path',
+        empty: 'The tree appears here as you type JSON...',
+        invalid: 'Fix the JSON syntax error to see the tree',
+        parsing: 'Building the tree in the background…',
+        largeHint: 'Larger than {size}: the tree is built in the background. Double-click a key or value to edit',
+        errors: {
+            duplicateKey: 'A sibling key "{key}" already exists',
+            notFound: 'Node {path} not found; the input may have changed',
+        },
+    },
+    jsonSchema: {
+        title: 'JSON Schema Validator',
+        description: 'Validate JSON or NDJSON against a JSON Schema, list the errors and highlight the failing nodes in the input',
+        draft: 'Draft',
+        autoDraft: 'Auto (from $schema)',
+        entry: 'Entry point (optional)',
+        ndjson: 'NDJSON (one document per line)',
+        assertFormat: 'Validate format',
+        schema: 'Schema',
+        schemaPlaceholder: 'Paste a JSON Schema or OpenAPI document here, e.g.\n{\n  "type": "object",\n  "required": ["id"],\n  "properties": {\n    "id": { "type": "integer" }\n  }\n}',
+        instance: 'JSON to validate',
+        instancesNdjson: 'NDJSON to validate',
+        instancePlaceholder: 'Paste the JSON to validate here...',
+        ndjsonPlaceholder: 'One JSON document per line, e.g.\n{"id": 1}\n{"id": "2"}',
+        schemaSyntaxError: 'Schema JSON syntax error: {message}',
+        valid: 'Valid ({draft})',
+        validDocuments: 'All {count} documents are valid ({draft})',
+        invalid: 'Found {count} errors',
+        invalidDocuments: '{failed} of {total} documents failed, {count} errors in total',
+        errorList: 'Errors ({count})',
+        truncated: 'showing the first {count}',
+        line: 'Line',
+        instancePath: 'Instance path',
+        message: 'Error',
+        schemaPath: 'Schema path',
+        schemaErrors: {
+            invalidSchema: 'A schema must be an object or a boolean ({location})',
+            unresolvedRef: 'Cannot resolve reference {ref}; only the pasted document can be referenced',
+            invalidPattern: 'Invalid regular expression {pattern}',
+            refLoop: 'Reference {ref} forms a loop',
+        },
+        errors: {
+            invalidJson: 'JSON syntax error: {message}',
+            false: 'The schema is false; no value is allowed',
+            type: 'Expected {expected}, got {actual}',
+            enum: 'Must be one of: {values}',
+            const: 'Must equal {value}',
+            multipleOf: 'Must be a multiple of {limit}',
+            maximum: 'Must be at most {limit}',
+            exclusiveMaximum: 'Must be less than {limit}',
+            minimum: 'Must be at least {limit}',
+            exclusiveMinimum: 'Must be greater than {limit}',
+            maxLength: 'Must be at most {limit} characters long',
+            minLength: 'Must be at least {limit} characters long',
+            pattern: 'Does not match the pattern {pattern}',
+            format: 'Is not a valid {format}',
+            additionalItems: 'Must have at most {limit} items',
+            contains: '{count} items match contains; at least {min} required',
+            maxContains: '{count} items match contains; at most {max} allowed',
+            maxItems: 'Must have at most {limit} items',
+            minItems: 'Must have at least {limit} items',
+            uniqueItems: 'Item {second} duplicates item {first}',
+            maxProperties: 'Must have at most {limit} properties',
+            minProperties: 'Must have at least {limit} properties',
+            required: 'Missing required property {property}',
+            dependentRequired: '{dependency} is required when {property} is present',
+            additionalProperties: 'Property {property} is not allowed',
+            propertyNames: 'Property name {property} does not match propertyNames',
+            unevaluatedProperties: 'Property {property} is not covered by any rule (unevaluatedProperties)',
+            unevaluatedItems: 'Item {index} is not covered by any rule (unevaluatedItems)',
+            anyOf: 'Does not match any schema in anyOf',
+            oneOf: 'Must match exactly one schema in oneOf, matched {count}',
+            not: 'Must not match the schema in not',
+        },
+    },
+    jsonTypes: {
+        title: 'JSON to Types',
+        description: 'Infer a JSON Schema from one or more JSON samples and generate TypeScript, Zod, Go, Java, Kotlin and Python types',
+        rootName: 'Root type name',
+        detectFormats: 'Detect string formats',
+        includeImports: 'Include package/import',
+        input: 'JSON samples',
+        inputPlaceholder: 'Paste a JSON document, or one JSON per line (NDJSON) for multiple samples, e.g.:\n{"id": 1, "name": "Tom", "tags": ["a"]}\n{"id": 2, "name": null, "email": "tom@example.com"}',
+        output: 'Generated code',
+        outputPlaceholder: 'Enter JSON samples to generate types in real time...',
+        inferred: 'Inferred {types} type(s) from {samples} sample(s)',
+        syntaxError: 'JSON syntax error: {message}',
+        errors: {
+            unsupportedTarget: 'Unsupported target language',
+        },
+        tip: 'Fields present in every sample are required, the rest are optional; fields seen with several types become unions, and null makes them nullable. Nested objects are named after their field, array items after the singular form of the field name.',
+    },
+    jsonQuery: {
+        toggle: 'Query',
+        title: 'JSON query',
+        language: 'Query language',
+        expression: 'Query expression',
+        placeholders: {
+            jsonpath: 'e.g. $.store.book[?(@.price < 10)].title',
+            jmespath: "e.g. locations[?state == 'WA'].name | sort(@)",
+            jq: 'e.g. .items[] | select(.price < 10) | .name',
+        },
+        resultPlaceholder: 'The result appears here as you type a query...',
+        emptyInput: 'Enter JSON to query it',
+        invalidInput: 'The input is not valid JSON; fix it to run the query',
+        matchCount: 'Highlighted {count} matching nodes in the input',
+        noMatch: 'The result does not correspond to nodes in the input',
+        running: 'Large input, querying in the background...',
+        save: 'Save query',
+        saved: 'Saved:',
+        name: 'Name',
+        overwrite: 'Replaces the saved query with the same name',
+        errors: {
+            syntax: 'Syntax error near character {position}',
+            unknownFunction: 'Unknown function {name}',
+            invalidArguments: 'Wrong number or type of arguments for {name}',
+            cannotIndex: 'Cannot index {type} with {key}',
+            cannotIterate: 'Cannot iterate over {type}',
+            invalidOperands: '{left} and {right} cannot be used with {operator}',
+            invalidKey: 'Object keys must be strings, got {type}',
+            undefinedVariable: 'Undefined variable {name}',
+            invalidRegex: 'Invalid regular expression: {message}',
+            unsupported: '{feature} is not supported (near character {position})',
+            unsupportedRegexOperator: '=~ is not supported; use match(@.name, "regex") or search(@.name, "regex") instead',
+        },
+    },
+    jsonDiff: {
+        title: 'JSON Diff',
+        description: 'Compare two JSON documents in real time, highlighting added, removed and changed content',
+        leftError: 'Left JSON error: {message}',
+        rightError: 'Right JSON error: {message}',
+        bothError: 'Both sides contain invalid JSON',
+        comparing: 'Comparing...',
+        original: 'Original JSON',
+        originalPlaceholder: 'Enter the original JSON...',
+        modified: 'Modified JSON',
+        modifiedPlaceholder: 'Enter the modified JSON...',
+        result: 'Diff',
+        formatInputs: 'Format inputs',
+        emptyLine1: 'Enter JSON on both sides,',
+        emptyLine2: 'the diff updates as you type',
+        identical: 'Both JSON documents are identical',
+        tipBefore: 'Enter JSON on both sides and the diff is ',
+        tipLive: 'shown live',
+        tipAfter: ' in the middle.',
+        tipRed: '- Red',
+        tipRemoved: 'marks removed content,',
+        tipGreen: '+ green',
+        tipAdded: 'marks added content. JSON is formatted automatically before comparing.',
+        mode: 'Compare mode',
+        modeLines: 'Line diff',
+        modeSemantic: 'Semantic diff',
+        arrayKey: 'Array match key',
+        arrayKeyHint: 'When every object in an array has this key with unique values, items are matched by it and moves are detected; otherwise arrays are compared by position. Leave empty to always compare by position',
+        semanticView: 'Result view',
+        changeList: 'Changes ({count})',
+        semanticIdentical: 'Both JSON documents are structurally identical (key order ignored)',
+        semanticInvalid: 'Fix the JSON syntax errors to see the structural diff',
+        mergePatchLossy: 'A Merge Patch cannot express these changes exactly: it replaces arrays as a whole and cannot set values to null (null means delete), so applying it does not fully reproduce the right side. Use JSON Patch when you need an exact result.',
+        tipSemantic: 'Semantic diff compares the parsed JSON and ignores key order; array items are matched by the chosen key (such as id) and moved items are shown with →. Changes are listed by JSONPath (+ added, - removed, ~ changed) and can be exported as JSON Patch (RFC 6902) or JSON Merge Patch (RFC 7386); the copy button copies the current patch.',
+    },
+    jsonYaml: {
+        title: 'JSON ↔ YAML',
+        description: 'Convert between JSON and YAML in real time, with syntax highlighting',
+        tipJson2Yaml: 'JSON → YAML: turn JSON data into YAML, handy for writing config files',
+        tipYaml2Json: 'YAML → JSON: turn YAML config into JSON for programs to consume',
+        tipLive: 'Conversion happens live as you type',
+    },
+    jsonXml: {
+        title: 'JSON ↔ XML',
+        description: 'Convert between JSON and XML in real time, with syntax highlighting',
+        indent: 'Indent output',
+        ignoreAttributes: 'Ignore XML attributes',
+        tipJson2Xml: 'JSON → XML: turn JSON data into XML with an XML declaration',
+        tipXml2Json: 'XML → JSON: turn XML into a JSON object',
+        tipAttributesBefore: 'XML attributes are kept in JSON with the ',
+        tipAttributesAfter: ' prefix',
+    },
+    jsonUrl: {
+        title: 'JSON ↔ URL Params',
+        description: 'Convert between JSON objects and URL query strings in real time',
+        queryParams: 'URL params',
+        urlExamplePrefix: 'Paste a URL or query string here, e.g.',
+        fullUrlExample: 'or a full URL:',
+        encodeValues: 'URL-encode values',
+        includePrefix: 'Include ? prefix',
+        flattenArrays: 'Expand arrays',
+        baseUrlPlaceholder: 'Optional base URL, e.g. https://example.com/api',
+        outputPlaceholder: 'Enter {type} to see the result here...',
+        tipJson2Url: 'JSON → URL: turn a JSON object into a query string, nested objects and arrays included',
+        tipUrl2Json: 'URL → JSON: parse a URL or query string into JSON, detecting numbers and booleans',
+        tipBaseUrl: 'Fill in an optional base URL to get a complete URL',
+        tipArraysBefore: 'Arrays expand into repeated parameters by default (e.g. ',
+        tipArraysAfter: ')',
+        tipFullUrl: 'Both full URLs and bare query strings can be parsed',
+    },
+    codec: {
+        mode: 'Mode',
+        encode: 'Encode',
+        decode: 'Decode',
+        encodeFailed: 'Encoding failed: {message}',
+        originalText: 'Plain text',
+        decodedText: 'Decoded text',
+        resultPlaceholder: 'The result appears here...',
+    },
+    base64: {
+        title: 'Base64 Encode/Decode',
+        description: 'Encode text to Base64 or decode Base64 back to text, with full Unicode support',
+        decodeFailed: 'Decoding failed: make sure the input is a valid Base64 string',
+        encodedText: 'Base64 string',
+        encodeResult: 'Base64 result',
+        encodePlaceholder: 'Text to encode, e.g. Hello World 你好世界',
+        decodePlaceholder: 'Base64 string, e.g. SGVsbG8gV29ybGQ=',
+        tip: 'Base64 encodes binary data as ASCII text and is commonly used to carry binary data such as images or files over text protocols. This tool fully supports UTF-8 text.',
+    },
+    urlEncode: {
+        title: 'URL Encode/Decode',
+        description: 'Encode and decode URL parameters or full URLs, including non-ASCII and special characters',
+        decodeFailed: 'Decoding failed: make sure the input is a valid URL-encoded string',
+        type: 'Encoding type',
+        component: 'Component',
+        uri: 'Full URL (URI)',
+        encodedText: 'URL-encoded string',
+        encodeResult: 'URL-encoded result',
+        encodePlaceholder: 'Text to encode, e.g. hello world 你好&name=test',
+        decodePlaceholder: 'URL-encoded string, e.g. hello%20world%20%E4%BD%A0%E5%A5%BD',
+        typesTitle: 'Encoding types:',
+        componentLabel: 'Component: ',
+        componentTip: 'encodes a parameter value, escaping every special character (including =, &, /, ?). Use it for query parameters.',
+        uriLabel: 'Full URL (URI): ',
+        uriTip: 'encodes a whole URL while keeping structural characters (/, ?, #, & and so on). Use it for complete URLs.',
+    },
+    jwtTool: {
+        title: 'JWT Encoder/Decoder',
+        description: 'Decode or generate JSON Web Tokens with HS256/HS384/HS512',
+        mode: 'JWT mode',
+        invalidFormat: 'Invalid JWT: it must have three parts (header.payload.signature)',
+        parseFailed: 'Parsing failed: {message}',
+        generateFailed: 'Generation failed: {message}',
+        clipboardFailed: 'Cannot read the clipboard',
+        expired: 'Expired',
+        valid: 'Valid',
+        expiredFor: 'Expired {duration} ago',
+        remaining: '{duration} remaining',
+        units: {
+            seconds: '{count} s',
+            minutes: '{count} min',
+            hours: '{count} h',
+            days: '{count} d',
+        },
+        claims: {
+            iss: 'Issuer',
+            sub: 'Subject',
+            aud: 'Audience',
+            exp: 'Expiration',
+            nbf: 'Not Before',
+            iat: 'Issued At',
+            jti: 'JWT ID',
+        },
+        tokenPlaceholder: 'Paste a JWT, e.g. {example}',
+        header: 'Header',
+        payload: 'Payload',
+        signature: 'Signature',
+        signatureNote: 'Verifying the signature needs the secret; this tool only decodes',
+        payloadDetails: 'Payload claims',
+        payloadEmpty: 'Payload is empty',
+        headerInfo: 'Header',
+        algorithmLabel: 'Algorithm: ',
+        typeLabel: 'Type: ',
+        algorithm: 'Signing algorithm',
+        headerPlaceholder: 'Enter header JSON...',
+        payloadPlaceholder: 'Enter payload JSON...',
+        setIat: 'Set iat to now',
+        setExp: 'Set exp to one hour from now',
+        secret: 'Secret',
+        generatedToken: 'Generated JWT',
+        copyToken: 'Copy token',
+        generateHint: 'A token is generated once the header and payload are valid JSON',
+        structure: 'Token structure (click a colored part to copy it)',
+        tip: 'A JWT (JSON Web Token) is a compact, URL-safe token made of three parts separated by ".": header, payload and signature.',
+        tipEncode: ' Encoding supports the HMAC-SHA algorithms (HS256/HS384/HS512).',
+    },
+    hash: {
+        title: 'Hash Generator',
+        description: 'Hash text with MD5, SHA-1, SHA-256, SHA-512 and more',
+        failed: 'Failed to compute',
+        input: 'Input text',
+        inputPlaceholder: 'Enter text to hash...',
+        hashOf: '{algorithm} hash',
+        empty: 'Enter text to compute its hash...',
+        computing: 'Computing...',
+        all: 'All hashes',
+    },
+    textDiff: {
+        title: 'Text Diff',
+        description: 'Compare two texts in real time by line, word or character, with highlighted changes',
+        computing: 'Computing diff...',
+        mode: 'Diff mode',
+        lines: 'Lines (Fast)',
+        words: 'Words (Smart)',
+        chars: 'Characters',
+        position: 'Change {current} / {total}',
+        previous: 'Previous change',
+        next: 'Next change',
+        duration: 'Took {duration}ms',
+        original: 'Original text',
+        originalPlaceholder: 'Enter the original text...',
+        modified: 'Modified text',
+        modifiedPlaceholder: 'Enter the modified text...',
+        result: 'Diff',
+        emptyLine1: 'Enter text on both sides,',
+        emptyLine2: 'the diff updates as you type',
+        identical: 'Both texts are identical',
+        tipBefore: 'Type or paste text on both sides and the diff is ',
+        tipLive: 'shown live',
+        tipAfter: ' in the middle.',
+        tipRemoved: 'Removed content',
+        tipRemovedStyle: 'is struck through in red,',
+        tipAdded: 'added content',
+        tipAddedStyle: 'is shown in green.',
+    },
+    textDedup: {
+        title: 'Dedupe & Sort Lines',
+        description: 'Remove duplicate lines with several sort orders and options',
+        removeDuplicates: 'Remove duplicates',
+        ignoreCase: 'Ignore case',
+        removeEmpty: 'Remove blank lines',
+        trim: 'Trim whitespace',
+        sortLabel: 'Sort:',
+        sort: {
+            none: 'None',
+            asc: 'A→Z',
+            desc: 'Z→A',
+            ascNum: 'Numeric ascending',
+            descNum: 'Numeric descending',
+            lengthAsc: 'Shortest first',
+            lengthDesc: 'Longest first',
+        },
+        separator: 'Custom separator:',
+        separatorPlaceholder: 'Newline by default',
+        separatorHint: '(leave empty to split by line)',
+        inputLines: 'Input: {count} lines',
+        outputLines: 'Output: {count} lines',
+        duplicatesRemoved: 'Duplicates removed: {count}',
+        duration: 'Processed in {duration}ms',
+        input: 'Input text',
+        inputPlaceholder: 'One item per line, e.g.',
+        output: 'Result',
+        copyResult: 'Copy result',
+        outputPlaceholder: 'The result appears here as you type...',
+        tip: 'Each line is treated as one item. You can remove duplicates, sort alphabetically, numerically or by length, ignore case, and strip blank lines and surrounding spaces. A custom separator handles comma-separated input and similar formats.',
+    },
+    textToolkit: {
+        title: 'Text Toolkit',
+        description: 'Text statistics, case conversion, find & replace, dedupe, cleanup and more',
+        chars: 'Chars',
+        lines: 'Lines',
+        words: 'Words',
+        size: 'Size',
+        invalidBase64: 'Invalid Base64 string',
+        invalidUnicode: 'Invalid Unicode escape sequence',
+        invalidUrl: 'URL decoding failed: the text contains invalid escapes',
+        content: 'Text',
+        placeholder: 'Type or paste text...',
+        replaceTitle: 'Find & replace',
+        find: 'Find',
+        replaceWith: 'Replace with',
+        replaceAll: 'Replace all',
+        presets: 'Presets',
+        escapeQuotes: 'Escape quotes ( " -> \\" )',
+        unescapeQuotes: 'Unescape quotes ( \\" -> " )',
+        spaceToComma: 'Spaces -> commas',
+        newlineToComma: 'Newlines -> commas',
+        commaToNewline: 'Commas -> newlines',
+        removeSpaces: 'Remove all spaces',
+        encodingTitle: 'Encoding',
+        toBase64: 'To Base64',
+        fromBase64: 'From Base64',
+        toUnicode: 'To Unicode',
+        fromUnicode: 'From Unicode',
+        urlEncode: 'URL encode',
+        urlDecode: 'URL decode',
+        urlTitle: 'Query parameters',
+        prettifyQuery: 'Prettify',
+        joinQuery: 'Join',
+        caseTitle: 'Case',
+        upperCase: 'UPPERCASE',
+        lowerCase: 'lowercase',
+        titleCase: 'Title Case',
+        cleanupTitle: 'Cleanup',
+        removeDuplicates: 'Remove duplicate lines',
+        removeEmptyLines: 'Remove blank lines',
+        trimLines: 'Trim lines',
+    },
+    uuid: {
+        title: 'UUID Generator',
+        description: 'Generate RFC 4122 compliant UUID v4 identifiers',
+        uppercase: 'Uppercase',
+        withHyphens: 'Hyphens',
+        withoutHyphens: 'No hyphens',
+        settings: 'Options',
+        countLabel: 'Count: {count}',
+        count: 'Count',
+        generate: 'Generate {count} UUID(s)',
+        results: 'Results ({count})',
+        copyAll: 'Copy all',
+        aboutBefore: 'is a universally unique identifier generated from random numbers, formatted as ',
+        aboutAfter: '. Collisions are practically impossible, so it is safe to use as a unique ID in distributed systems.',
+    },
+    qrDecoder: {
+        title: 'QR Code Decoder',
+        description: 'Upload or paste an image containing a QR code to decode its content',
+        imageLoadFailed: 'Failed to load the image',
+        notFound: 'No QR code found. Make sure the image contains a clear QR code',
+        decodeFailed: 'Decoding failed: {message}',
+        notImage: 'Please choose an image file',
+        tooLarge: 'The image must not exceed 10MB',
+        readFailed: 'Failed to read the file',
+        clipboardFailed: 'Cannot read the clipboard. Press Ctrl+V (or Cmd+V) to paste the image instead',
+        pasteHint: 'Press Ctrl+V (Cmd+V on Mac) to paste the image. It is more reliable!',
+        uploadedImage: 'Uploaded image',
+        dropToUpload: 'Release to upload',
+        dragHere: 'Drag an image here',
+        clickToUpload: 'or click to upload. PNG, JPG, GIF and more are supported',
+        shortcutHint: 'You can also press Ctrl+V (Cmd+V) to paste an image',
+        selectFile: 'Choose file',
+        pasteImage: 'Paste image',
+        decoding: 'Decoding QR code...',
+        result: 'Result',
+        openLink: 'Open link',
+        copyResult: 'Copy result',
+        tip: 'Three ways to load an image: ① drag it here ② click to choose a file ③ press Ctrl+V (Cmd+V on Mac) to paste it from the clipboard. The shortcut is the quickest!',
+    },
+    qrGenerator: {
+        title: 'QR Code Generator',
+        description: 'Generate QR code images from text or URLs with custom size, colors and error correction',
+        levels: {
+            low: 'Low',
+            medium: 'Medium',
+            quartile: 'Quartile',
+            high: 'High',
+        },
+        settings: 'Options',
+        text: 'Text or URL',
+        placeholder: 'Enter the content to encode...',
+        size: 'Size: {size}px × {size}px',
+        errorLevel: 'Error correction',
+        foreground: 'Foreground',
+        background: 'Background',
+        download: 'Download PNG',
+        preview: 'Preview',
+        empty: 'Enter some content to preview the QR code',
+        scanToVisit: 'Scan this QR code to open:',
+        tipTitle: 'About error correction: ',
+        tip: 'Higher levels produce denser codes that can still be read when partially damaged. Level L suits clean environments; level H suits codes with a logo overlay or harsh conditions.',
+    },
+    chmod: {
+        title: 'Chmod Calculator',
+        description: 'Calculate Linux file permissions and convert between rwx and octal notation',
+        roles: {
+            owner: 'Owner',
+            group: 'Group',
+            public: 'Public',
+        },
+        permissions: {
+            read: 'Read',
+            write: 'Write',
+            execute: 'Execute',
+        },
+        rolePermission: 'Role / Permission',
+        result: 'Result',
+        octal: 'Linux permission (Octal)',
+        octalPlaceholder: 'e.g. 755',
+        copyCommand: 'Copy command',
+        command: 'Command: chmod {octal} filename',
+        symbolic: 'Symbolic',
+        common: 'Common permissions:',
+        presets: {
+            file: { label: 'file', hint: 'Owner has full control, others read only' },
+            directory: { label: 'directory/script', hint: 'Owner has full control, others read/execute' },
+            open: { label: 'wide open', hint: 'Everyone has full control (dangerous)' },
+            private: { label: 'private', hint: 'Only the owner can read and write' },
+        },
+    },
+    numberBase: {
+        title: 'Number Base Converter',
+        description: 'Convert numbers between binary, octal, decimal, hexadecimal and more in real time',
+        bases: {
+            2: 'Binary',
+            8: 'Octal',
+            10: 'Decimal',
+            16: 'Hexadecimal',
+            32: 'Base32',
+        },
+        placeholder: 'Enter a base-{base} number...',
+        notice: 'Big integers are supported. For bases other than 2/8/10/16 (such as 32), very large values may be imprecise due to JavaScript number precision.',
+    },
+    colorPicker: {
+        title: 'Color Picker',
+        description: 'Pick colors and convert between HEX, RGB and HSL',
+        preview: 'Preview',
+        random: 'Random color',
+        presets: 'Presets',
+        formats: 'Formats',
+        hue: 'Hue',
+        saturation: 'Saturation',
+        lightness: 'Lightness',
+    },
+    regex: {
+        title: 'Regex Tester',
+        description: 'Test regular expressions in real time with highlighted matches and capture groups',
+        syntaxError: 'Regular expression syntax error: {message}',
+        pattern: 'Regular expression',
+        patternPlaceholder: 'Enter a regular expression, e.g. \\d+|[a-z]+@[a-z]+\\.[a-z]+',
+        flags: {
+            global: 'global',
+            ignoreCase: 'ignore case',
+            multiline: 'multiline',
+            dotAll: 'dot matches newline',
+        },
+        commonPatterns: 'Common patterns',
+        expand: 'Click to expand',
+        collapse: 'Click to collapse',
+        patterns: {
+            email: { name: 'Email', desc: 'Matches email addresses' },
+            mobile: { name: 'Mobile (CN)', desc: 'Matches 11-digit mainland China mobile numbers' },
+            landline: { name: 'Landline (CN)', desc: 'Matches landline phone numbers' },
+            url: { name: 'URL', desc: 'Matches HTTP(S) URLs' },
+            ipv4: { name: 'IPv4', desc: 'Matches IPv4 addresses' },
+            ipv6: { name: 'IPv6', desc: 'Matches full IPv6 addresses' },
+            date: { name: 'Date (YYYY-MM-DD)', desc: 'Matches year-month-day dates' },
+            time: { name: 'Time (HH:MM:SS)', desc: 'Matches hour:minute:second times' },
+            idCard: { name: 'ID card (CN)', desc: 'Matches 18-digit Chinese ID numbers' },
+            postalCode: { name: 'Postal code (CN)', desc: 'Matches 6-digit postal codes' },
+            chinese: { name: 'Chinese', desc: 'Matches Chinese characters' },
+            englishWord: { name: 'English word', desc: 'Matches Latin letters' },
+            integer: { name: 'Integer', desc: 'Matches integers' },
+            decimal: { name: 'Decimal', desc: 'Matches decimal numbers' },
+            hexColor: { name: 'Hex color', desc: 'Matches colors like #FFF or #FFFFFF' },
+            htmlTag: { name: 'HTML tag', desc: 'Matches HTML tags' },
+            blankLine: { name: 'Blank line', desc: 'Matches empty or whitespace-only lines' },
+            uuid: { name: 'UUID', desc: 'Matches UUIDs' },
+        },
+        testText: 'Test text',
+        testPlaceholder: 'Enter the text to test...',
+        previewPlaceholder: 'The test text will appear here...',
+        result: 'Matches',
+        matchCount: '{count} match(es)',
+        details: 'Match details',
+        matchTitle: 'Match #{index} (index: {position})',
+        groups: 'Groups:',
+        emptyGroup: '(empty)',
+        moreMatches: '... {count} more match(es) not shown',
+    },
+    imageBase64: {
+        title: 'Image Base64 Converter',
+        description: 'Convert images to Base64 strings, or restore images from Base64',
+        notImage: 'Please choose a valid image file',
+        readFailed: 'Failed to read the file',
+        toBase64: 'Image to Base64',
+        toImage: 'Base64 to image',
+        upload: 'Click to upload an image',
+        formats: 'PNG, JPG, GIF, SVG and WEBP are supported',
+        inputPlaceholder: 'Paste a Base64 string here...',
+        result: 'Base64 result',
+        preview: 'Image preview',
+        outputPlaceholder: 'The Base64 result will appear here...',
+        fileName: 'File name: {name}',
+        size: 'Size: {size}',
+        type: 'Type: {type}',
+        noPreview: 'No preview',
+    },
+    imageDiff: {
+        title: 'Image Diff',
+        description: 'Compare two images side by side, with a slider, toggle, overlay or pixel diff',
+        modes: {
+            sideBySide: 'Side by side',
+            slider: 'Slider',
+            toggle: 'Toggle',
+            overlay: 'Overlay',
+            diff: 'Diff',
+        },
+        compareMode: 'Compare mode',
+        reupload: 'Upload again',
+        remove: 'Remove',
+        uploadHint: 'Drag, click to upload or press Ctrl+V to paste',
+        uploadBoth: 'Upload two images to compare',
+        uploadSecond: 'Upload the second image',
+        imageA: 'Image A',
+        imageB: 'Image B',
+        showing: 'Showing image {image} (click to toggle)',
+        opacity: 'Opacity: {opacity}%',
+        stats: 'Diff analysis: {diff} of {total} pixels differ ({percentage}%)',
+        identical: ' - the images are identical!',
+        computing: 'Computing differences...',
+        legendDiff: 'Red = different',
+        legendSame: 'Gray = same',
+        zoomOut: 'Zoom out',
+        zoomIn: 'Zoom in',
+        originalA: 'Image A (original)',
+        uploadA: 'Upload image A',
+        modifiedB: 'Image B (modified)',
+        uploadB: 'Upload image B',
+        resultTitle: 'Result - {mode}',
+        tip: 'Upload two images, then pick a compare mode. Drag the divider in slider mode, click the image in toggle mode, adjust opacity in overlay mode, and diff mode highlights differing pixels in red.',
+    },
+    multiFormat: {
+        title: 'Code Formatter',
+        description: 'Beautify and minify {type} code for better readability',
+        emptyFormat: 'Enter the code to format',
+        emptyMinify: 'Enter the code to minify',
+        invalidSyntax: 'Invalid {type}: {message}',
+        formatFailed: 'Formatting failed: {message}',
+        minifyFailed: 'Minifying failed: {message}',
+        input: 'Input {type}',
+        inputPlaceholder: 'Enter {type} code, e.g.:',
+        output: 'Output',
+        outputPlaceholder: 'The formatted code will appear here...',
+    },
+    sqlFormat: {
+        title: 'SQL Formatter',
+        description: 'Beautify and minify SQL in real time with multiple styles and dialects',
+        standardSql: 'Standard SQL',
+        keywordCases: {
+            upper: 'Upper (SELECT)',
+            lower: 'Lower (select)',
+            preserve: 'Preserve',
+        },
+        styles: {
+            standard: { label: 'Standard', description: 'Balanced indentation and line breaks for most cases' },
+            compact: { label: 'Compact', description: 'Fewer line breaks to save vertical space' },
+            expanded: { label: 'Expanded', description: 'More line breaks, one clause per line for complex queries' },
+            tabular: { label: 'Tabular', description: 'Right-aligned keywords with neatly aligned columns' },
+            custom: { label: 'Custom', description: 'Configure every formatting option yourself' },
+        },
+        indentStyles: {
+            standard: 'Standard',
+            tabularLeft: 'Tabular, left aligned',
+            tabularRight: 'Tabular, right aligned',
+        },
+        logicalOperators: {
+            before: 'Break before operator',
+            after: 'Break after operator',
+        },
+        formatFailed: 'Formatting failed: {message}',
+        format: 'Format',
+        minify: 'Minify',
+        formatShort: 'formatted',
+        minifyShort: 'minified',
+        outputMode: 'Output mode',
+        options: 'Formatting options',
+        dialect: 'SQL dialect',
+        keywordCase: 'Keyword case',
+        style: 'Style',
+        custom: 'Custom settings',
+        tabWidth: 'Indent width: {width} spaces',
+        indentStyle: 'Indent style',
+        logicalOperatorNewline: 'AND/OR line breaks',
+        expressionWidth: 'Line width: {width} chars',
+        denseOperators: 'Dense operators (no spaces)',
+        newlineBeforeSemicolon: 'Newline before semicolon',
+        input: 'Input SQL',
+        inputPlaceholder: 'Enter SQL, e.g.:',
+        output: 'Output ({mode})',
+        outputPlaceholder: 'Enter SQL to see the result in real time...',
+        tip: 'Each style produces different output. Standard suits everyday use, Compact saves vertical space, Expanded is easiest to read and Tabular aligns keywords. Choose Custom to fine-tune every option.',
+    },
+    sqlDiff: {
+        title: 'SQL Diff',
+        description: 'Compare two SQL scripts, optionally formatted and ignoring case, whitespace or comments',
+        standardSql: 'Standard SQL',
+        units: {
+            lines: 'lines',
+            words: 'words',
+            chars: 'chars',
+        },
+        mode: 'Diff mode',
+        lines: 'Lines',
+        words: 'Words',
+        chars: 'Chars',
+        options: 'Diff options',
+        dialect: 'SQL dialect',
+        formatFirst: 'Format before diff',
+        ignoreCase: 'Ignore case',
+        ignoreWhitespace: 'Ignore whitespace',
+        ignoreComments: 'Ignore comments',
+        original: 'Original SQL',
+        originalPlaceholder: 'Enter the original SQL...',
+        format: 'Format',
+        result: 'Result',
+        emptyLine1: 'Enter SQL on both sides,',
+        emptyLine2: 'the diff appears in real time',
+        identical: 'Both SQL scripts are identical',
+        modified: 'Modified SQL',
+        modifiedPlaceholder: 'Enter the modified SQL...',
+        tipSettingsBefore: 'Click ',
+        tipSettingsAfter: ' to show the diff options. ',
+        tipFormatBefore: 'Turn on "',
+        tipFormatAfter: '" to ignore formatting differences and compare only the SQL itself. ',
+        tipRemoved: 'Removed content',
+        tipRemovedStyle: 'is struck through in red, ',
+        tipAdded: 'added content',
+        tipAddedStyle: 'is shown in green.',
+    },
+    sqlDialect: {
+        title: 'SQL Dialect Converter',
+        description: 'Convert DDL statements between PostgreSQL and MySQL',
+        errors: {
+            noTableName: 'Cannot find the table name. Make sure the input is a valid CREATE TABLE statement',
+            noTableBody: 'Cannot parse the table definition',
+        },
+        warningsTitle: 'Conversion warnings:',
+        warnings: {
+            skipConstraint: 'Skipped constraint: {definition}...',
+            skipIndex: 'Skipped index: {definition}...',
+            incompatibleType: 'Type "{type}" may not be compatible and was kept as is',
+        },
+        addTableOptions: 'Add ENGINE/CHARSET',
+        generateCommentOn: 'Generate COMMENT ON statements',
+        input: 'Input {dialect} SQL',
+        inputPlaceholder: 'Enter a {dialect} CREATE TABLE statement, e.g.:',
+        output: 'Result',
+        outputPlaceholder: 'Enter SQL to convert it in real time...',
+        tip: 'Converts DDL (CREATE TABLE) statements, handling type mapping, comment syntax, identifier quoting (double quotes ↔ backticks) and auto-increment syntax (SERIAL ↔ AUTO_INCREMENT). Click the arrow in the middle to switch direction and use the output as the new input.',
+    },
+    sqlToEntity: {
+        title: 'SQL to Entity',
+        description: 'Turn CREATE TABLE statements into Go, Java, TypeScript, Python and other entity classes/structs',
+        errors: {
+            noTableName: 'Cannot find the table name. Make sure the input is a valid CREATE TABLE statement',
+            noTableBody: 'Cannot parse the table definition',
+            unsupportedTarget: 'Unsupported target language',
+        },
+        goStruct: 'Go (plain struct)',
+        dialect: 'SQL dialect:',
+        includePackage: 'Include package/import',
+        includeJsonTag: 'Include JSON tags',
+        includeTableName: 'Generate TableName method',
+        includeGetterSetter: 'Generate getters/setters',
+        parsedBefore: 'Parsed table ',
+        parsedAfter: ' with {count} column(s)',
+        tableComment: ' ({comment})',
+        input: 'CREATE TABLE statement',
+        inputPlaceholder: 'Enter a {dialect} CREATE TABLE statement, e.g.:',
+        output: 'Generated code',
+        outputPlaceholder: 'Enter SQL to generate the entity in real time...',
+        tip: 'Parses MySQL and PostgreSQL CREATE TABLE statements including column types, primary keys, auto-increment, defaults and comments. Type mapping and naming conversion (snake_case → camelCase) are handled automatically.',
+    },
+    ipQuery: {
+        title: 'IP & Network Lookup',
+        description: 'Look up your public IP, local IP, DNS resolver and network security details',
+        fetchFailed: 'Some information could not be fetched. Please try again',
+        offline: 'You are offline: public IP, location and DNS details need the network and will refresh automatically once you are back online. Local IP detection still works.',
+        requiresNetwork: 'Requires network',
+        notDetected: 'Not detected',
+        ipv6NotDetected: 'No IPv6 detected',
+        ipLabels: {
+            physical: 'Ethernet / Wi-Fi',
+            corporateVpn: 'Corporate network / VPN',
+            docker: 'Docker / VM',
+            corporate: 'Corporate network',
+            fakeIp: 'Fake-IP / proxy gateway',
+            apipa: 'Unassigned (APIPA)',
+            loopback: 'Loopback',
+            other: 'Virtual adapter / other',
+        },
+        localBlocked: 'Blocked (privacy protection)',
+        grantAndRetry: 'Grant access and retry',
+        unsupported: 'Not supported by this browser',
+        unknown: 'Unknown',
+        unknownLocation: 'unknown location',
+        loading: 'Loading...',
+        verifyCommand: 'Verification commands',
+        copyResult: 'Copy result',
+        refreshAll: 'Refresh all',
+        coreAddresses: 'Core addresses',
+        publicIpv4: 'Public IPv4',
+        publicIpv6: 'Public IPv6',
+        localIp: 'Local IP',
+        dnsResolver: 'DNS resolver',
+        fakeIpHijacked: 'Hijacked locally (Fake-IP)',
+        fakeIpHint: 'Your DNS requests are handled by a proxy tool that returns virtual (Fake-IP) addresses',
+        exit: 'Exit: {location}',
+        networkDetails: 'Network details',
+        isp: 'ISP',
+        location: 'Location',
+        proxyYes: 'Proxy/VPN: yes',
+        proxyNo: 'Proxy/VPN: no',
+        fakeIpOn: 'Fake-IP: on',
+        timezone: 'Time zone',
+        system: 'System',
+        copyUa: 'Copy UA',
+        notesTitle: 'Notes:',
+        notes: {
+            localIp: {
+                title: 'Local IP detection:',
+                text: 'Relies on WebRTC. Some browsers (such as Chrome) enable mDNS protection by default, which may hide the real IP. If detection fails, try granting access or follow the fix guide.',
+            },
+            proxy: {
+                title: 'Behind a proxy:',
+                before: 'With a proxy tool in TUN/Fake-IP mode, `dig` in the terminal may return Fake-IP addresses such as ',
+                after: '.',
+            },
+            authority: {
+                title: 'Which result to trust:',
+                text: 'The "DNS resolver" shown here is the real exit IP as seen by the target server; terminal commands reflect the internal hijacking logic of your local proxy tool.',
+            },
+            location: {
+                title: 'Location:',
+                text: 'Based on IP databases. Carrier routing changes or proxy node drift can make it off by several kilometers.',
+            },
+        },
+        fixDialog: {
+            title: 'How to allow local IP detection?',
+            intro: 'Modern browsers (such as Chrome) hide the real local IP behind mDNS for privacy. If you need this feature, try the following:',
+            option1: 'Option 1: temporary media permission (recommended)',
+            option1Text: 'Click "Grant access and retry" on the card and choose "Allow (microphone)" in the browser prompt. This temporarily elevates WebRTC permissions to reveal the real IP.',
+            option2: 'Option 2: change a browser flag (permanent)',
+            step1: 'Open this address in Chrome:',
+            step2Before: 'Set the flag to ',
+            step2After: '.',
+            step3Before: 'Click ',
+            step3After: ' in the bottom-right corner to restart the browser.',
+            gotIt: 'Got it',
+            retry: 'Grant access again',
+        },
+    },
+    pipeline: {
+        title: 'Tool Pipeline',
+        description: 'Chain transformations from several tools, e.g. URL decode → Base64 decode → JSON format → JSON to YAML',
+        addStep: 'Add step',
+        save: 'Save',
+        name: 'Pipeline name',
+        inputPlaceholder: 'Enter the raw content to process...',
+        step: 'Step {index}',
+        moveUp: 'Move up',
+        moveDown: 'Move down',
+        removeStep: 'Remove step',
+        skipped: 'Skipped because a previous step failed',
+        outputPlaceholder: 'The output of this step will appear here...',
+        addFirstStep: 'Add the first step',
+        tip: 'Enter a name and click "Save" to save the current steps as a pipeline; a pipeline with the same name is overwritten. Click a chip next to the name field to load a saved pipeline. Everything stays in your browser.',
+    },
+    operations: {
+        unknown: 'Unknown operation: {id}',
+        names: {
+            'base64': {
+                encode: 'Base64 encode',
+                decode: 'Base64 decode',
+            },
+            'url-encode': {
+                encode: 'URL encode',
+                decode: 'URL decode',
+            },
+            'json-format': {
+                format: 'JSON format',
+                minify: 'JSON minify',
+            },
+            'json-yaml': {
+                json2yaml: 'JSON → YAML',
+                yaml2json: 'YAML → JSON',
+            },
+            'json-xml': {
+                json2xml: 'JSON → XML',
+                xml2json: 'XML → JSON',
+            },
+            'json-url': {
+                json2url: 'JSON → URL query',
+                url2json: 'URL query → JSON',
+            },
+        },
+        labels: {
+            urlType: 'Encoding type',
+            urlComponent: 'Component',
+            urlUri: 'Full URL (URI)',
+            indent: 'Indent',
+            spaces2: '2 spaces',
+            spaces4: '4 spaces',
+            prettyPrint: 'Pretty print',
+            ignoreAttributes: 'Ignore attributes',
+            encodeValues: 'Encode values',
+            includePrefix: 'Include ? prefix',
+            flattenArrays: 'Flatten arrays',
+        },
+    },
+    cli: {
+        usage: 'Usage: tools {command} [options] [input]',
+        inputHint: 'Input is read from stdin, or can be given right after the command',
+        commandsTitle: 'Commands:',
+        operationsTitle: 'Operations (same as in the pipeline):',
+        optionsTitle: 'Options:',
+        examplesTitle: 'Examples:',
+        choices: '; one of: {choices}',
+        default: ' (default: {value})',
+        commands: {
+            'sql2entity': 'Convert CREATE TABLE statements to entity classes',
+            'pg2mysql': 'Convert PostgreSQL DDL to MySQL',
+            'mysql2pg': 'Convert MySQL DDL to PostgreSQL',
+            'sql-format': 'Format or minify SQL',
+            'json-schema': 'Validate JSON or NDJSON against a JSON Schema; exits with 1 when validation fails',
+            'json-types': 'Infer a JSON Schema from JSON samples and generate type definitions',
+            'json-diff': 'Compare two JSON documents by structure; the input is the original, the output is a JSON Patch, Merge Patch or change list',
+            'jwt-decode': 'Decode a JWT (the signature is not verified)',
+            'jwt-sign': 'Sign a JSON payload into a JWT with HMAC',
+            'cron': 'Describe when a cron expression runs',
+        },
+        options: {
+            locale: 'Output language: {locales}; defaults to the LANG environment variable',
+            help: 'Show help',
+            lang: 'Target language',
+            dialect: 'SQL dialect',
+            noPackage: 'Omit package/import',
+            noJsonTag: 'Omit JSON tags',
+            noTableName: 'Omit the TableName method',
+            getterSetter: 'Generate getters/setters',
+            snakeCase: 'Keep snake_case field names in TypeScript',
+            noTableOptions: 'Omit ENGINE/CHARSET',
+            noCommentOn: 'Omit COMMENT ON statements',
+            sqlDialect: 'SQL dialect; sql is standard SQL',
+            keywordCase: 'Keyword case',
+            indent: 'Indent width in spaces',
+            minifySql: 'Minify into a single line',
+            schema: 'JSON Schema file (an OpenAPI document also works, together with --entry)',
+            draft: 'Draft; auto detects it from $schema',
+            entry: 'Entry point, e.g. #/components/schemas/Pet',
+            ndjson: 'Treat the input as NDJSON (one document per line)',
+            noFormat: 'Do not validate format',
+            target: 'Output',
+            rootName: 'Root type name',
+            noFormats: 'Do not detect string formats (dates, emails, ...)',
+            noImports: 'Omit package/import',
+            right: 'Modified JSON file',
+            diffFormat: 'Output format',
+            arrayKey: 'Key used to pair array items; items are paired by position by default',
+            secret: 'Signing secret (it stays in the shell history and process list; prefer --secret-file or the JWT_SECRET environment variable)',
+            secretFile: 'Read the signing secret from a file; - reads it from stdin (then pass the payload as an argument)',
+            alg: 'Signing algorithm',
+            header: 'Extra header fields (JSON)',
+        },
+        error: 'Error: {message}',
+        warning: 'Warning: {message}',
+        schemaValid: 'Valid: {count} JSON document(s) checked',
+        errors: {
+            unknownCommand: 'Unknown command "{command}". Run tools --help to list commands',
+            invalidArgs: '{message}',
+            invalidChoice: 'Invalid value "{value}" for --{option}; expected one of: {choices}',
+            missingOption: 'Missing option --{option}',
+            missingSecret: 'Missing signing secret. Provide it with --secret-file, the JWT_SECRET environment variable or --secret',
+            stdinConflict: 'Stdin is already used for the input; pass the input as an argument when using --{option} -',
+            readFile: 'Cannot read {path} given to --{option}: {message}',
+            invalidJson: 'Option --{option} is not valid JSON: {message}',
+            invalidJsonFile: 'File {path} given to --{option} is not valid JSON: {message}',
+            invalidInputJson: 'The input is not valid JSON: {message}',
+            emptyInput: 'No input. Pipe it through stdin or pass it as an argument, e.g. tools {command} < input.txt',
+        },
+    },
+    toolTabs: {
+        defaultTitle: 'Tab {number}',
+        copyOf: '{title} copy',
+        newTab: 'New tab',
+        rename: 'Rename tab',
+        duplicate: 'Duplicate tab',
+        moveLeft: 'Move left',
+        moveRight: 'Move right',
+        close: 'Close tab',
+        closeOthers: 'Close other tabs',
+    },
+    categories: {
+        json: 'JSON Tools',
+        time: 'Time Tools',
+        encode: 'Encoding',
+        hash: 'Hashing',
+        text: 'Text',
+        uuid: 'Identifiers',
+        qrcode: 'QR Code',
+        image: 'Image',
+        devops: 'DevOps',
+        math: 'Math',
+        network: 'Network',
+        format: 'Code Formatting',
+        sql: 'SQL Tools',
+        regex: 'Regex',
+        color: 'Color',
+        cron: 'Scheduling',
+        pipeline: 'Pipelines',
+    },
+    tools: {
+        'json-format': { name: 'JSON Formatter', description: 'Beautify, minify and validate JSON' },
+        'json-diff': { name: 'JSON Diff', description: 'Compare the differences between two JSON documents' },
+        'json-yaml': { name: 'JSON ↔ YAML', description: 'Convert between JSON and YAML in real time' },
+        'json-xml': { name: 'JSON ↔ XML', description: 'Convert between JSON and XML in real time' },
+        'json-url': { name: 'JSON ↔ URL Params', description: 'Convert between JSON objects and URL query strings' },
+        'json-schema': { name: 'JSON Schema Validator', description: 'Validate JSON and NDJSON against JSON Schema' },
+        'json-types': { name: 'JSON to Types', description: 'Infer a schema from JSON samples and generate TypeScript, Zod, Go, Java, Kotlin and Python types' },
+        timestamp: { name: 'Timestamp Converter', description: 'Convert between Unix timestamps and human-readable time' },
+        base64: { name: 'Base64', description: 'Base64 encoding and decoding' },
+        'url-encode': { name: 'URL Encoder', description: 'Encode and decode URL parameters' },
+        jwt: { name: 'JWT Tool', description: 'Decode and sign JWT tokens with HS256/HS384/HS512' },
+        hash: { name: 'Hash Generator', description: 'MD5, SHA-1, SHA-256 and other hash algorithms' },
+        'text-diff': { name: 'Text Diff', description: 'Compare two texts and highlight the changes' },
+        uuid: { name: 'UUID Generator', description: 'Generate UUIDs of different versions' },
+        'qrcode-generate': { name: 'QR Code Generator', description: 'Generate QR code images from text or URLs' },
+        'qrcode-decode': { name: 'QR Code Decoder', description: 'Upload or paste an image to decode its QR code' },
+        'multi-format': { name: 'Code Formatter', description: 'Supports HTML, CSS, JS, XML, JSON, YAML and SQL' },
+        'yaml-format': { name: 'YAML Formatter', description: 'Beautify and validate YAML' },
+        'json-format-multi': { name: 'JSON Formatter (Multi)', description: 'Format JSON in the multi-language formatter' },
+        'sql-format-multi': { name: 'SQL Formatter (Multi)', description: 'Format SQL in the multi-language formatter' },
+        'sql-format': { name: 'SQL Formatter', description: 'Beautify and minify SQL statements' },
+        'sql-to-entity': { name: 'SQL to Entity', description: 'Turn CREATE TABLE into Go/Java/TypeScript/Python entities' },
+        'sql-diff': { name: 'SQL Diff', description: 'Compare two SQL scripts, optionally formatting them first' },
+        'sql-dialect-convert': { name: 'SQL Dialect Converter', description: 'Convert DDL between PostgreSQL and MySQL' },
+        'regex-tester': { name: 'Regex Tester', description: 'Test regular expressions live with highlighted matches' },
+        'color-picker': { name: 'Color Picker', description: 'Pick colors and convert between HEX, RGB and HSL' },
+        'cron-generator': { name: 'Cron Generator', description: 'Build and explain cron expressions visually' },
+        'image-base64': { name: 'Image Base64', description: 'Convert images to and from Base64 with preview' },
+        'image-diff': { name: 'Image Diff', description: 'Compare images side by side, with a slider, toggle, overlay or pixel diff' },
+        'chmod-calculator': { name: 'Chmod Calculator', description: 'Calculate and convert Linux file permissions (rwx)' },
+        'number-base': { name: 'Number Base Converter', description: 'Convert between binary, octal, decimal and hexadecimal' },
+        'ip-query': { name: 'IP Lookup', description: 'Show your public IP and User-Agent information' },
+        'text-toolkit': { name: 'Text Toolkit', description: 'Text statistics, encoding inspection, case conversion, cleanup and more' },
+        'text-dedup': { name: 'Dedupe & Sort Lines', description: 'Remove duplicate lines, sort, and strip blank lines and spaces' },
+        pipeline: { name: 'Tool Pipeline', description: 'Chain URL, Base64, JSON, YAML and other conversions, see every step and save for reuse' },
+    },
+};
@@ -0,0 +1,1393 @@
+/**
+ * 简体中文语言包
+ * 工具和分类的名称、描述直接使用工具注册表（src/config/tools.js）中的文案
+ */
+export default {
+    common: {
+        copy: '复制',
+        copied: '已复制到剪贴板',
+        copyFailed: '复制失败，请手动复制',
+        clear: '清空',
+        cancel: '取消',
+        confirm: '确定',
+        save: '保存',
+        input: '输入',
+        output: '输出',
+        error: '错误',
+        characters: '{count} 字符',
+        copiedShort: '已复制!',
+        swapInputOutput: '交换输入输出',
+        convertMode: '转换模式',
+        inputOf: '输入 ({type})',
+        outputOf: '输出 ({type})',
+        syntaxError: '{type} 语法错误: {message}',
+        parseError: '{type} 解析错误: {message}',
+        examplePrefix: '在此粘贴或输入 {type}，例如：',
+        livePlaceholder: '输入 {input} 后将实时显示 {output} 结果...',
+        tips: '使用提示',
+        tipLabel: '提示：',
+        swapTipBefore: '点击',
+        swapTipAfter: '可快速交换输入输出内容',
+    },
+    header: {
+        openMenu: '打开菜单',
+        searchPlaceholder: '搜索工具...',
+        searchLabel: '搜索工具',
+        commandPalette: '命令面板',
+        commandPaletteKeys: '命令面板 ({keys})',
+        language: '语言',
+        lightMode: '切换到浅色模式',
+        darkMode: '切换到深色模式',
+        themeSettings: '主题设置',
+        getStarted: '开始使用',
+        offline: '离线',
+        offlineHint: '网络已断开，无需联网的工具仍可正常使用',
+        updateAvailable: '新版本已就绪，刷新后生效',
+        later: '稍后',
+        reload: '刷新',
+    },
+    themeSettings: {
+        mode: '主题模式',
+        modes: {
+            light: '浅色',
+            dark: '深色',
+            system: '跟随系统',
+        },
+        highContrast: '高对比度',
+        accent: '强调色',
+        accents: {
+            blue: '蓝色',
+            violet: '紫色',
+            green: '绿色',
+            orange: '橙色',
+            pink: '粉色',
+        },
+        editorFont: '编辑器字体',
+        editorFontSize: '字号',
+        fonts: {
+            fira: 'Fira Code',
+            jetbrains: 'JetBrains Mono',
+            sourceCode: 'Source Code Pro',
+            system: '系统等宽字体',
+        },
+    },
+    sidebar: {
+        home: '首页',
+        settings: '设置',
+        favorites: '收藏',
+        navLabel: '工具分类导航',
+    },
+    home: {
+        heroLine1: '开发更快，',
+        heroLine2: '交付更',
+        heroHighlight: '智能',
+        heroEnd: '。',
+        subtitle: '现代化开发者工具集合，助您高效完成 JSON 处理、编码转换、时间计算等日常开发任务。开始免费使用。',
+        usageHint: '收藏和使用记录仅保存在本地浏览器，可导出后在其他设备导入',
+        export: '导出',
+        import: '导入',
+        imported: '使用记录已导入并与本地记录合并',
+        importFailed: '导入失败: {message}',
+        importErrors: {
+            invalidFile: '不是有效的工具使用记录文件',
+            unsupportedVersion: '文件版本过新，请升级后再导入',
+            corrupted: '使用记录文件内容已损坏',
+        },
+        recent: '最近使用',
+        favorites: '收藏',
+        mostUsed: '最常用',
+        featured: '推荐工具',
+        openCount: '打开 {count} 次',
+        useTool: 'Use tool',
+    },
+    notFound: {
+        title: '页面未找到',
+        description: '抱歉，您访问的页面不存在或已被移除。请检查 URL 是否正确，或返回首页浏览其他工具。',
+        backHome: '返回首页',
+    },
+    settings: {
+        title: '设置',
+        description: '所有设置仅保存在本地浏览器，修改后立即生效；可以导出工作区迁移到其他设备',
+        appearance: '外观',
+        shortcuts: '键盘快捷键',
+        workspace: '工作区',
+    },
+    shortcuts: {
+        title: '键盘快捷键',
+        groups: {
+            global: '全局',
+            tool: '工具操作',
+            diff: '差异对比',
+        },
+        actions: {
+            openPalette: '打开命令面板',
+            showShortcuts: '显示快捷键速查表',
+            format: '格式化',
+            minify: '压缩',
+            swap: '交换输入输出',
+            paste: '从剪贴板粘贴',
+            copyOutput: '复制输出',
+            clear: '清空',
+            history: '打开历史记录',
+            share: '复制分享链接',
+            nextDiff: '下一个差异',
+            prevDiff: '上一个差异',
+        },
+        availableHint: '灰色的操作在当前页面不可用',
+        unbound: '未设置',
+        customize: '自定义快捷键',
+        hint: '点击组合键后按下新的组合键，Esc 取消。工具操作只在提供该操作的页面生效，不含 Ctrl、Alt 的字符键在输入框中不会触发。',
+        recording: '请按下组合键…',
+        record: '修改「{action}」的快捷键',
+        remove: '取消绑定',
+        reset: '恢复默认',
+        resetAll: '全部恢复默认',
+        conflict: '与「{actions}」冲突',
+        keepThis: '保留此项',
+        reassignConfirm: '{keys} 已用于「{actions}」，是否改为用于「{action}」？',
+        reassign: '改为此项',
+    },
+    workspace: {
+        hint: '将设置、收藏、已保存的流水线和查询、各工具的输入与选项（如 SQL 格式化配置、正则表达式、Cron 表达式）导出为一个文件，可在其他设备导入或分享给同事。',
+        sections: {
+            settings: '设置',
+            usage: '收藏和使用记录',
+            pipelines: '流水线',
+            queries: '已保存的查询',
+            tools: '工具状态',
+            history: '历史记录',
+        },
+        settingItems: {
+            theme: '主题设置',
+            locale: '界面语言',
+            shortcuts: '快捷键',
+        },
+        export: '导出工作区',
+        import: '导入工作区',
+        previewTitle: '导入预览',
+        previewHint: '只导入勾选的项，未勾选的项保持本地内容不变；导入后页面将刷新。',
+        emptyFile: '文件中没有可导入的内容',
+        apply: '导入所选（{count}）',
+        favoriteCount: '{count} 个收藏',
+        stepCount: '{count} 个步骤',
+        tabCount: '{count} 个标签页',
+        historyCount: '新增 {count} 条',
+        status: {
+            new: '新增',
+            changed: '覆盖本地',
+            merge: '合并',
+            same: '相同',
+        },
+        importFailed: '导入失败: {message}',
+        errors: {
+            invalidFile: '不是有效的工作区文件',
+            unsupportedVersion: '文件版本过新，请升级后再导入',
+            corrupted: '工作区文件内容已损坏',
+        },
+    },
+    embed: {
+        unknownTool: '未找到工具「{toolId}」，请检查嵌入地址中的工具 ID',
+    },
+    toolCard: {
+        copyButton: 'Copy',
+        shareLink: '复制分享链接',
+        shareCopied: '分享链接已复制，内容仅保存在链接中，不会上传到服务器',
+        shareTooLong: '分享链接已复制，但长度为 {length} 字符，可能被部分聊天工具或浏览器截断',
+        shareFailed: '生成分享链接失败: {message}',
+        history: '历史记录',
+        copyOutput: '复制输出',
+        openHistory: '打开历史记录',
+        favorite: '收藏当前工具',
+        unfavorite: '取消收藏当前工具',
+    },
+    favorite: {
+        add: '收藏',
+        remove: '取消收藏',
+    },
+    history: {
+        title: '历史记录',
+        hint: '仅保存在本地浏览器，最多 {max} 条',
+        loadFailed: '无法读取历史记录: {message}',
+        empty: '暂无历史记录',
+        clearTool: '清空本工具历史',
+        clearAll: '清除所有本地数据',
+        confirmTitle: '清除所有本地数据？',
+        confirmText: '将删除所有工具保存的输入和选项、历史记录、已保存的流水线、收藏和使用记录以及主题、语言和快捷键设置，此操作无法撤销。',
+        confirmClear: '清除',
+    },
+    palette: {
+        currentTool: '当前工具',
+        toolActions: '当前工具操作',
+        favorites: '收藏',
+        recent: '最近使用',
+        featured: '推荐工具',
+        actions: '操作',
+        tools: '工具',
+        placeholder: '搜索工具或命令，支持拼音首字母...',
+        searchLabel: '搜索工具或命令',
+        empty: '没有匹配的工具或命令',
+        hint: '↑↓ 选择 · Enter 执行 · Esc 关闭',
+        openHint: '{keys} 随时打开',
+        shortcutsHint: '{keys} 查看快捷键',
+        pasted: '粘贴内容',
+    },
+    smartPaste: {
+        hint: '在此页面按 Ctrl+V 粘贴任意内容，自动识别类型并推荐合适的工具',
+        readClipboard: '读取剪贴板',
+        clipboardFailed: '无法读取剪贴板，请直接按 Ctrl+V 粘贴',
+        detected: '识别为 {type}',
+        unrecognized: '未能识别粘贴的内容，可以通过搜索找到需要的工具',
+        openIn: '在「{tool}」中打开',
+        types: {
+            jwt: 'JWT Token',
+            timestamp: 'Unix 时间戳',
+            createTable: 'CREATE TABLE 语句',
+            cron: 'Cron 表达式',
+            imageDataUri: 'Base64 图片',
+            json: 'JSON',
+            yaml: 'YAML',
+            xml: 'XML',
+            urlQuery: '带查询参数的 URL',
+        },
+    },
+    editor: {
+        placeholder: '在此输入内容...',
+        position: '第 {line} 行，第 {column} 列',
+        openFile: '打开文件',
+        saveAs: '另存为',
+        dropHint: '松开鼠标打开文件',
+        openedFile: '已打开 {name}（{encoding}）',
+        errors: {
+            binaryFile: '{name} 不是文本文件',
+        },
+        largeMode: '大文件模式：已关闭自动补全和选中内容高亮',
+    },
+    taskProgress: {
+        message: '正在后台处理：{stage}，已用时 {seconds} 秒',
+        stages: {
+            pending: '准备中',
+            parse: '正在解析',
+            format: '正在生成结果',
+            compare: '正在比较像素',
+            dedupe: '正在去重',
+            sort: '正在排序',
+        },
+    },
+    dateTimePicker: {
+        label: '日期时间',
+        placeholder: '如: 2024-01-15 10:30:00',
+        formatHint: '格式: YYYY-MM-DD HH:mm:ss',
+        formatError: '格式错误，请使用 YYYY-MM-DD HH:mm:ss',
+        invalidDate: '无效的日期时间',
+        openPicker: '打开日期选择器',
+        closePicker: '关闭选择器',
+        confirm: '确认',
+    },
+    cron: {
+        everyMinute: '每分钟',
+        everyNMinutes: '每 {n} 分钟',
+        atMinute: '在第 {minute} 分钟',
+        everyHour: '每小时',
+        everyNHours: '每 {n} 小时',
+        atHour: '{hour} 点',
+        lastDayOfMonth: '每月最后一天',
+        dayOfMonth: '每月 {day} 日',
+        range: '{start}到{end}',
+        weekdays: '工作日',
+        weekend: '周末',
+        listSeparator: '、',
+        partSeparator: ' ',
+        fallback: '每分钟执行',
+        dayNames: ['周日', '周一', '周二', '周三', '周四', '周五', '周六'],
+        errors: {
+            fieldCount: 'Cron 表达式应为 5 个字段（分 时 日 月 周），实际为 {count} 个',
+            invalidField: '第 {index} 个字段 "{value}" 无效，应为 *、{min} 到 {max} 的数字、范围、步长或逗号分隔的列表',
+        },
+        monthNames: ['', '一月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '十一月', '十二月'],
+    },
+    cronGenerator: {
+        title: 'Cron 表达式生成器',
+        description: '可视化生成和解析 Cron 表达式，支持常用调度预设',
+        expression: 'Cron 表达式',
+        presetsTitle: '常用预设',
+        custom: '自定义配置',
+        syntax: 'Cron 语法参考',
+        sundayNote: '，0=周日',
+        syntaxAny: '任意值',
+        syntaxList: '多个值',
+        syntaxRange: '范围',
+        syntaxStep: '步长',
+        fields: {
+            minute: '分钟',
+            hour: '小时',
+            dayOfMonth: '日期',
+            month: '月份',
+            dayOfWeek: '星期',
+        },
+        presets: {
+            everyMinute: '每分钟',
+            every5Minutes: '每 5 分钟',
+            every15Minutes: '每 15 分钟',
+            every30Minutes: '每 30 分钟',
+            everyHour: '每小时',
+            every2Hours: '每 2 小时',
+            midnight: '每天凌晨',
+            morning: '每天早上 8 点',
+            noon: '每天中午 12 点',
+            evening: '每天晚上 6 点',
+            weekdays: '工作日 9 点',
+            monday: '每周一凌晨',
+            firstOfMonth: '每月 1 号凌晨',
+            twiceMonthly: '每月 1 号和 15 号',
+        },
+    },
+    timestamp: {
+        title: '时间戳转换',
+        description: '支持秒(10位)/毫秒(13位)/微秒(16位)/纳秒(19位)多种精度，自动识别并转换',
+        currentTime: '当前时间 ({zone})',
+        secondsShort: '秒 (10位)',
+        millisecondsShort: '毫秒 (13位)',
+        timestampInput: '时间戳输入',
+        detected: '已识别: {precision}',
+        unixTimestamp: 'Unix 时间戳',
+        placeholder: '支持 10/13/16/19 位时间戳',
+        precisionHint: '自动识别精度：10位=秒，13位=毫秒，16位=微秒，19位=纳秒',
+        now: '获取当前时间戳',
+        datetimeInput: '日期时间输入',
+        timezone: '时区',
+        allPrecisions: '多精度时间戳',
+        allPrecisionsHint: '以下是同一时间点在不同精度下的时间戳表示，可直接复制使用',
+        digits: '{count} 位',
+        formats: '日期时间格式',
+        localTime: '本地时间',
+        iso8601Desc: '国际标准格式',
+        rfc2822Desc: '邮件/HTTP 标准',
+        relativeTime: '相对时间',
+        relativeTimeDesc: '距离当前时间',
+        precisions: {
+            seconds: { unit: '秒', label: '秒级时间戳' },
+            milliseconds: { unit: '毫秒', label: '毫秒级时间戳' },
+            microseconds: { unit: '微秒', label: '微秒级时间戳' },
+            nanoseconds: { unit: '纳秒', label: '纳秒级时间戳' },
+        },
+        timezones: {
+            'Asia/Shanghai': '中国标准时间',
+            'Asia/Tokyo': '日本标准时间',
+            'Asia/Singapore': '新加坡时间',
+            'America/New_York': '美国东部时间',
+            'America/Los_Angeles': '美国太平洋时间',
+            'Europe/London': '英国时间',
+            'Europe/Paris': '欧洲中部时间',
+            UTC: 'UTC 协调世界时',
+        },
+    },
+    // 工具栏按钮沿用英文标签
+    actions: {
+        clear: 'Clear',
+        copy: 'Copy',
+        format: 'Format',
+        minify: 'Minify',
+        paste: 'Paste',
+        settings: 'Settings',
+        swap: 'Swap',
+    },
+    jsonFormat: {
+        title: 'JSON 格式化',
+        description: '实时美化、压缩和校验 JSON 数据，支持语法高亮',
+        mode: '输出模式',
+        format: '格式化 (Format)',
+        minify: '压缩 (Minify)',
+        formatShort: '格式化',
+        minifyShort: '压缩',
+        syntaxError: 'JSON 语法错误: {message}',
+        valid: 'JSON 语法正确',
+        input: '输入 JSON',
+        inputPlaceholder: '在此粘贴或输入 JSON，例如：\n{\n  "name": "DevTools",\n  "version": "1.0.0",\n  "features": ["format", "minify", "validate"]\n}',
+        output: '输出结果 ({mode})',
+        outputPlaceholder: '输入 JSON 后将实时显示结果...',
+        view: '输出视图',
+        textView: '文本',
+        treeView: '树形',
+        tree: '树形视图',
+    },
+    jsonTree: {
+        root: '根节点',
+        items: '{count} 项',
+        keys: '{count} 个键',
+        expand: '展开',
+        collapse: '折叠',
+        expandAll: '全部展开',
+        collapseAll: '全部折叠',
+        rowCount: '{count} 行',
+        editHint: '双击键或值可直接修改，修改会写回输入',
+        editKey: '修改键',
+        editValue: '修改值',
+        copyPath: '复制路径',
+        dotPath: '点号路径',
+        empty: '输入 JSON 后将在此显示树形结构...',
+        invalid: 'JSON 语法错误，修正后显示树形结构',
+        parsing: '正在后台生成树形结构…',
+        largeHint: '超过 {size}，树形结构在后台生成。双击键或值可直接修改',
+        errors: {
+            duplicateKey: '同级已有键 "{key}"',
+            notFound: '找不到节点 {path}，输入可能已经改变',
+        },
+    },
+    jsonSchema: {
+        title: 'JSON Schema 校验',
+        description: '按 JSON Schema 校验 JSON 或 NDJSON，列出错误并在输入中标出出错的节点',
+        draft: '草案版本',
+        autoDraft: '自动（按 $schema）',
+        entry: '校验入口（可选）',
+        ndjson: 'NDJSON（每行一个文档）',
+        assertFormat: '校验 format',
+        schema: 'Schema',
+        schemaPlaceholder: '在此粘贴 JSON Schema 或 OpenAPI 文档，例如：\n{\n  "type": "object",\n  "required": ["id"],\n  "properties": {\n    "id": { "type": "integer" }\n  }\n}',
+        instance: '待校验的 JSON',
+        instancesNdjson: '待校验的 NDJSON',
+        instancePlaceholder: '在此粘贴要校验的 JSON...',
+        ndjsonPlaceholder: '每行一个 JSON 文档，例如：\n{"id": 1}\n{"id": "2"}',
+        schemaSyntaxError: 'Schema JSON 语法错误: {message}',
+        valid: '校验通过（{draft}）',
+        validDocuments: '{count} 个文档全部校验通过（{draft}）',
+        invalid: '发现 {count} 个错误',
+        invalidDocuments: '{total} 个文档中有 {failed} 个未通过，共 {count} 个错误',
+        errorList: '错误 ({count})',
+        truncated: '仅列出前 {count} 个',
+        line: '行',
+        instancePath: '实例路径',
+        message: '错误',
+        schemaPath: 'Schema 路径',
+        schemaErrors: {
+            invalidSchema: 'Schema 必须是对象或布尔值（{location}）',
+            unresolvedRef: '无法解析引用 {ref}，只能引用粘贴的文档中的内容',
+            invalidPattern: '无效的正则表达式 {pattern}',
+            refLoop: '引用 {ref} 形成了循环',
+        },
+        errors: {
+            invalidJson: 'JSON 语法错误: {message}',
+            false: 'Schema 为 false，不允许任何值',
+            type: '类型应为 {expected}，实际为 {actual}',
+            enum: '值必须是以下之一: {values}',
+            const: '值必须等于 {value}',
+            multipleOf: '必须是 {limit} 的倍数',
+            maximum: '不能大于 {limit}',
+            exclusiveMaximum: '必须小于 {limit}',
+            minimum: '不能小于 {limit}',
+            exclusiveMinimum: '必须大于 {limit}',
+            maxLength: '长度不能超过 {limit}',
+            minLength: '长度不能少于 {limit}',
+            pattern: '不匹配正则表达式 {pattern}',
+            format: '不符合 {format} 格式',
+            additionalItems: '最多只能有 {limit} 项',
+            contains: '匹配 contains 的项有 {count} 个，至少需要 {min} 个',
+            maxContains: '匹配 contains 的项有 {count} 个，最多允许 {max} 个',
+            maxItems: '最多 {limit} 项',
+            minItems: '至少 {limit} 项',
+            uniqueItems: '第 {second} 项与第 {first} 项重复',
+            maxProperties: '最多 {limit} 个属性',
+            minProperties: '至少 {limit} 个属性',
+            required: '缺少必需属性 {property}',
+            dependentRequired: '存在 {property} 时必须同时存在 {dependency}',
+            additionalProperties: '不允许额外的属性 {property}',
+            propertyNames: '属性名 {property} 不符合 propertyNames',
+            unevaluatedProperties: '属性 {property} 没有被任何规则校验（unevaluatedProperties）',
+            unevaluatedItems: '第 {index} 项没有被任何规则校验（unevaluatedItems）',
+            anyOf: '不匹配 anyOf 中的任何一个 schema',
+            oneOf: '应恰好匹配 oneOf 中的一个 schema，实际匹配 {count} 个',
+            not: '不应匹配 not 中的 schema',
+        },
+    },
+    jsonTypes: {
+        title: 'JSON 转类型',
+        description: '从一个或多个 JSON 样本推断 JSON Schema，再生成 TypeScript、Zod、Go、Java、Kotlin 和 Python 类型定义',
+        rootName: '根类型名',
+        detectFormats: '识别字符串格式',
+        includeImports: '生成 package/import',
+        input: 'JSON 样本',
+        inputPlaceholder: '粘贴一个 JSON，或每行一个 JSON（NDJSON）作为多个样本，例如：\n{"id": 1, "name": "Tom", "tags": ["a"]}\n{"id": 2, "name": null, "email": "tom@example.com"}',
+        output: '生成结果',
+        outputPlaceholder: '输入 JSON 样本后实时生成...',
+        inferred: '从 {samples} 个样本推断出 {types} 个类型',
+        syntaxError: 'JSON 语法错误: {message}',
+        errors: {
+            unsupportedTarget: '不支持的目标语言',
+        },
+        tip: '所有样本中都出现的字段为必填，其余为可选；同一字段出现多种类型时生成联合类型，出现 null 时为可空。嵌套对象按字段名生成类型，数组项的类型名取字段名的单数形式。',
+    },
+    jsonQuery: {
+        toggle: '查询',
+        title: 'JSON 查询',
+        language: '查询语言',
+        expression: '查询表达式',
+        placeholders: {
+            jsonpath: '例如 $.store.book[?(@.price < 10)].title',
+            jmespath: "例如 locations[?state == 'WA'].name | sort(@)",
+            jq: '例如 .items[] | select(.price < 10) | .name',
+        },
+        resultPlaceholder: '输入查询表达式后将实时显示结果...',
+        emptyInput: '输入 JSON 后即可查询',
+        invalidInput: '输入不是合法的 JSON，修正后即可查询',
+        matchCount: '已在输入中标出 {count} 个匹配的节点',
+        noMatch: '结果不对应输入中的节点',
+        running: '大文件，正在后台查询...',
+        save: '保存查询',
+        saved: '已保存：',
+        name: '名称',
+        overwrite: '将覆盖同名的查询',
+        errors: {
+            syntax: '表达式语法错误（第 {position} 个字符附近）',
+            unknownFunction: '未知的函数 {name}',
+            invalidArguments: '{name} 的参数个数或类型不正确',
+            cannotIndex: '无法用 {key} 访问 {type} 的成员',
+            cannotIterate: '无法遍历 {type}',
+            invalidOperands: '{left} 和 {right} 不能进行 {operator} 运算',
+            invalidKey: '对象的键必须是字符串，实际为 {type}',
+            undefinedVariable: '未定义的变量 {name}',
+            invalidRegex: '正则表达式无效: {message}',
+            unsupported: '不支持 {feature}（第 {position} 个字符附近）',
+            unsupportedRegexOperator: '不支持 =~，请使用 match(@.name, "正则") 或 search(@.name, "正则")',
+        },
+    },
+    jsonDiff: {
+        title: 'JSON 对比',
+        description: '实时比较两个 JSON 结构的差异，高亮显示添加、删除和修改的内容',
+        leftError: '左侧 JSON 错误: {message}',
+        rightError: '右侧 JSON 错误: {message}',
+        bothError: '左右两侧 JSON 都有语法错误',
+        comparing: '对比中...',
+        original: '原始 JSON',
+        originalPlaceholder: '输入原始 JSON...',
+        modified: '修改后 JSON',
+        modifiedPlaceholder: '输入修改后的 JSON...',
+        result: '对比结果',
+        formatInputs: '格式化输入',
+        emptyLine1: '在左右两侧输入 JSON，',
+        emptyLine2: '对比结果将实时显示',
+        identical: '两个 JSON 完全相同',
+        tipBefore: '在左右两侧输入 JSON，对比结果会',
+        tipLive: '实时显示',
+        tipAfter: '在中间区域。',
+        tipRed: '- 红色',
+        tipRemoved: '表示删除的内容，',
+        tipGreen: '+ 绿色',
+        tipAdded: '表示新增的内容。JSON 会自动格式化后再进行对比。',
+        mode: '对比模式',
+        modeLines: '按行对比',
+        modeSemantic: '结构对比',
+        arrayKey: '数组项匹配键',
+        arrayKeyHint: '数组中的对象都带有该键且不重复时按键配对，可以识别移动；否则按位置对比。留空则始终按位置对比',
+        semanticView: '结果视图',
+        changeList: '变更 ({count})',
+        semanticIdentical: '两个 JSON 结构相同（已忽略键的顺序）',
+        semanticInvalid: '修正 JSON 语法错误后显示结构对比结果',
+        mergePatchLossy: 'Merge Patch 无法准确表达这些变更：它只能整体替换数组，也无法把值设为 null（null 表示删除），应用后的结果与右侧不完全相同。需要精确还原时请使用 JSON Patch。',
+        tipSemantic: '结构对比比较解析后的 JSON，忽略键的顺序；数组项按指定的键（如 id）配对，移动的项会显示为 →。变更按 JSONPath 列出（+ 新增、- 删除、~ 修改），可导出为 JSON Patch（RFC 6902）或 JSON Merge Patch（RFC 7386），复制按钮复制当前的补丁。',
+    },
+    jsonYaml: {
+        title: 'JSON ↔ YAML',
+        description: 'JSON 与 YAML 格式实时互转，支持语法高亮',
+        tipJson2Yaml: 'JSON → YAML：将 JSON 数据转换为 YAML 格式，便于配置文件编写',
+        tipYaml2Json: 'YAML → JSON：将 YAML 配置转换为 JSON 格式，便于程序处理',
+        tipLive: '支持实时转换，输入内容后自动显示转换结果',
+    },
+    jsonXml: {
+        title: 'JSON ↔ XML',
+        description: 'JSON 与 XML 格式实时互转，支持语法高亮',
+        indent: '格式化缩进',
+        ignoreAttributes: '忽略 XML 属性',
+        tipJson2Xml: 'JSON → XML：将 JSON 数据转换为 XML 格式，自动添加 XML 声明',
+        tipXml2Json: 'XML → JSON：将 XML 格式转换为 JSON 对象',
+        tipAttributesBefore: 'XML 属性会以 ',
+        tipAttributesAfter: ' 前缀保存到 JSON 中',
+    },
+    jsonUrl: {
+        title: 'JSON ↔ URL 参数',
+        description: 'JSON 对象与 URL 查询参数实时互转',
+        queryParams: 'URL 参数',
+        urlExamplePrefix: '在此粘贴 URL 或查询参数，例如：',
+        fullUrlExample: '或完整 URL：',
+        encodeValues: 'URL 编码值',
+        includePrefix: '包含 ? 前缀',
+        flattenArrays: '展开数组',
+        baseUrlPlaceholder: '可选：输入基础 URL，如 https://example.com/api',
+        outputPlaceholder: '输入 {type} 后将实时显示转换结果...',
+        tipJson2Url: 'JSON → URL：将 JSON 对象转换为 URL 查询字符串，支持嵌套对象和数组',
+        tipUrl2Json: 'URL → JSON：解析 URL 或查询参数为 JSON 对象，自动识别数字、布尔值',
+        tipBaseUrl: '可选填入基础 URL，将自动拼接生成完整 URL',
+        tipArraysBefore: '数组默认展开为多个同名参数（如 ',
+        tipArraysAfter: '）',
+        tipFullUrl: '支持解析完整 URL 或仅查询参数部分',
+    },
+    codec: {
+        mode: '编码模式',
+        encode: '编码 (Encode)',
+        decode: '解码 (Decode)',
+        encodeFailed: '编码失败: {message}',
+        originalText: '原始文本',
+        decodedText: '解码后的文本',
+        resultPlaceholder: '转换结果将显示在这里...',
+    },
+    base64: {
+        title: 'Base64 编码/解码',
+        description: '将文本转换为 Base64 编码，或将 Base64 解码为原始文本，完全支持中文字符',
+        decodeFailed: '解码失败: 请确保输入的是有效的 Base64 字符串',
+        encodedText: 'Base64 字符串',
+        encodeResult: 'Base64 编码结果',
+        encodePlaceholder: '输入要编码的文本，例如：Hello World 你好世界',
+        decodePlaceholder: '输入 Base64 字符串，例如：SGVsbG8gV29ybGQ=',
+        tip: 'Base64 是一种将二进制数据编码为 ASCII 字符串的方法，常用于在文本协议中传输二进制数据（如图片、文件）。本工具完全支持 UTF-8 编码的中文字符。',
+    },
+    urlEncode: {
+        title: 'URL 编码/解码',
+        description: '对 URL 参数或完整 URL 进行编码和解码，支持中文和特殊字符',
+        decodeFailed: '解码失败: 请确保输入的是有效的 URL 编码字符串',
+        type: '编码类型',
+        component: '参数 (Component)',
+        uri: '完整URL (URI)',
+        encodedText: 'URL 编码字符串',
+        encodeResult: 'URL 编码结果',
+        encodePlaceholder: '输入要编码的文本，例如：hello world 你好&name=test',
+        decodePlaceholder: '输入 URL 编码字符串，例如：hello%20world%20%E4%BD%A0%E5%A5%BD',
+        typesTitle: '编码类型说明：',
+        componentLabel: '参数 (Component)：',
+        componentTip: '对 URL 参数值进行编码，会编码所有特殊字符（包括 =, &, /, ? 等）。适用于 URL 查询参数。',
+        uriLabel: '完整 URL (URI)：',
+        uriTip: '对完整 URL 进行编码，保留 URL 结构字符（如 /, ?, #, & 等）。适用于编码整个 URL。',
+    },
+    jwtTool: {
+        title: 'JWT 加解密工具',
+        description: '解析或生成 JSON Web Token，支持 HS256/HS384/HS512 算法',
+        mode: 'JWT 模式',
+        invalidFormat: '无效的 JWT 格式：必须包含三个部分（header.payload.signature）',
+        parseFailed: '解析失败：{message}',
+        generateFailed: '生成失败：{message}',
+        clipboardFailed: '无法读取剪贴板',
+        expired: '已过期',
+        valid: '有效',
+        expiredFor: '已过期 {duration}',
+        remaining: '剩余 {duration}',
+        units: {
+            seconds: '{count} 秒',
+            minutes: '{count} 分钟',
+            hours: '{count} 小时',
+            days: '{count} 天',
+        },
+        claims: {
+            iss: '签发者 (Issuer)',
+            sub: '主题 (Subject)',
+            aud: '接收方 (Audience)',
+            exp: '过期时间 (Expiration)',
+            nbf: '生效时间 (Not Before)',
+            iat: '签发时间 (Issued At)',
+            jti: 'JWT ID',
+        },
+        tokenPlaceholder: '粘贴 JWT Token，例如：{example}',
+        header: 'Header（头部）',
+        payload: 'Payload（负载）',
+        signature: 'Signature（签名）',
+        signatureNote: '签名验证需要密钥，此工具仅解析不验证',
+        payloadDetails: 'Payload 字段详情',
+        payloadEmpty: 'Payload 为空',
+        headerInfo: 'Header 信息',
+        algorithmLabel: '算法：',
+        typeLabel: '类型：',
+        algorithm: '签名算法',
+        headerPlaceholder: '输入 Header JSON...',
+        payloadPlaceholder: '输入 Payload JSON...',
+        setIat: '设置 iat 为当前时间',
+        setExp: '设置 exp 为 1 小时后',
+        secret: '密钥 (Secret)',
+        generatedToken: '生成的 JWT Token',
+        copyToken: '复制 Token',
+        generateHint: '输入有效的 Header 和 Payload JSON 后将自动生成 Token',
+        structure: 'Token 结构（点击颜色块可复制对应部分）',
+        tip: 'JWT (JSON Web Token) 是一种紧凑的、URL 安全的令牌格式，由三部分组成：Header（头部）、Payload（负载）和 Signature（签名），用 "." 分隔。',
+        tipEncode: ' 编码模式支持 HMAC-SHA 系列算法（HS256/HS384/HS512）。',
+    },
+    hash: {
+        title: '哈希生成器',
+        description: '使用 MD5、SHA-1、SHA-256、SHA-512 等算法计算文本的哈希值',
+        failed: '计算失败',
+        input: '输入文本',
+        inputPlaceholder: '输入要计算哈希值的文本...',
+        hashOf: '{algorithm} 哈希值',
+        empty: '请输入文本以计算哈希值...',
+        computing: '正在计算...',
+        all: '所有哈希值',
+    },
+    textDiff: {
+        title: '文本对比',
+        description: '实时比较两段文本的差异，支持逐行、逐词和逐字符对比，高亮显示变更内容',
+        computing: '高性能对比计算中...',
+        mode: '对比模式',
+        lines: '逐行 (Fast)',
+        words: '逐词 (Smart)',
+        chars: '逐字符',
+        position: '差异点: {current} / {total}',
+        previous: '上一个差异',
+        next: '下一个差异',
+        duration: '计算耗时: {duration}ms',
+        original: '原始文本',
+        originalPlaceholder: '输入原始文本...',
+        modified: '修改后文本',
+        modifiedPlaceholder: '输入修改后的文本...',
+        result: '对比结果',
+        emptyLine1: '在左右两侧输入文本，',
+        emptyLine2: '对比结果将实时显示',
+        identical: '两段文本完全相同',
+        tipBefore: '在左右两侧输入或粘贴文本，对比结果会',
+        tipLive: '实时显示',
+        tipAfter: '在中间区域。',
+        tipRemoved: '删除的内容',
+        tipRemovedStyle: '用红色删除线标记，',
+        tipAdded: '新增的内容',
+        tipAddedStyle: '用绿色标记。',
+    },
+    textDedup: {
+        title: '文本去重排序',
+        description: '按行去除重复内容，支持多种排序方式和自定义选项',
+        removeDuplicates: '去除重复行',
+        ignoreCase: '忽略大小写',
+        removeEmpty: '去除空行',
+        trim: '去除首尾空格',
+        sortLabel: '排序方式:',
+        sort: {
+            none: '不排序',
+            asc: '升序 A→Z',
+            desc: '降序 Z→A',
+            ascNum: '数字升序',
+            descNum: '数字降序',
+            lengthAsc: '长度升序',
+            lengthDesc: '长度降序',
+        },
+        separator: '自定义分隔符:',
+        separatorPlaceholder: '默认为换行符',
+        separatorHint: '（留空则按行分隔）',
+        inputLines: '输入: {count} 行',
+        outputLines: '输出: {count} 行',
+        duplicatesRemoved: '去除重复: {count} 行',
+        duration: '处理耗时: {duration}ms',
+        input: '输入文本',
+        inputPlaceholder: '每行一个内容，例如：',
+        output: '处理结果',
+        copyResult: '复制结果',
+        outputPlaceholder: '处理结果将实时显示在这里...',
+        tip: '输入的每一行作为一个条目处理。支持去重（移除重复行）、排序（字母/数字/长度升降序）、忽略大小写、去除空行和首尾空格。也可以自定义分隔符来处理逗号分隔等格式。',
+    },
+    textToolkit: {
+        title: '文本工具箱',
+        description: '包含文本统计、大小写转换、替换、去重、清理等常用操作',
+        chars: '字符',
+        lines: '行数',
+        words: '单词',
+        size: '大小',
+        invalidBase64: '无效的 Base64 字符串',
+        invalidUnicode: '无效的 Unicode 转义序列',
+        invalidUrl: 'URL 解码失败：包含无效的编码字符',
+        content: '文本内容',
+        placeholder: '请输入或粘贴文本...',
+        replaceTitle: '文本替换',
+        find: '查找',
+        replaceWith: '替换为',
+        replaceAll: '全部替换',
+        presets: '常用预设',
+        escapeQuotes: '引号转义 ( " -> \\" )',
+        unescapeQuotes: '引号恢复 ( \\" -> " )',
+        spaceToComma: '空格 -> 逗号',
+        newlineToComma: '换行 -> 逗号',
+        commaToNewline: '逗号 -> 换行',
+        removeSpaces: '删除所有空格',
+        encodingTitle: '编码转换',
+        toBase64: '转 Base64',
+        fromBase64: '解 Base64',
+        toUnicode: '转 Unicode',
+        fromUnicode: '解 Unicode',
+        urlEncode: 'URL 编码',
+        urlDecode: 'URL 解码',
+        urlTitle: 'URL 参数处理',
+        prettifyQuery: '参数解析 (Prettify)',
+        joinQuery: '参数合并 (Join)',
+        caseTitle: '大小写转换',
+        upperCase: '全部大写 (UPPERCASE)',
+        lowerCase: '全部小写 (lowercase)',
+        titleCase: '首字母大写 (Title Case)',
+        cleanupTitle: '文本清理',
+        removeDuplicates: '去除重复行',
+        removeEmptyLines: '去除空行',
+        trimLines: '去除首尾空格',
+    },
+    uuid: {
+        title: 'UUID 生成器',
+        description: '生成符合 RFC 4122 规范的 UUID v4 唯一标识符',
+        uppercase: '大写',
+        withHyphens: '带连字符',
+        withoutHyphens: '无连字符',
+        settings: '生成配置',
+        countLabel: '生成数量: {count}',
+        count: '数量',
+        generate: '生成 {count} 个 UUID',
+        results: '生成结果 ({count} 个)',
+        copyAll: '复制全部',
+        aboutBefore: '是一种基于随机数生成的通用唯一标识符，格式为 ',
+        aboutAfter: '。理论上碰撞概率极低，可安全用于分布式系统中的唯一标识。',
+    },
+    qrDecoder: {
+        title: '二维码解析',
+        description: '上传或粘贴包含二维码的图片，解析二维码内容',
+        imageLoadFailed: '图片加载失败',
+        notFound: '未检测到二维码，请确保图片中包含清晰的二维码',
+        decodeFailed: '解析失败：{message}',
+        notImage: '请选择图片文件',
+        tooLarge: '图片大小不能超过 10MB',
+        readFailed: '读取文件失败',
+        clipboardFailed: '无法读取剪贴板，请直接按 Ctrl+V (或 Cmd+V) 粘贴图片',
+        pasteHint: '请直接按 Ctrl+V（Mac 用户按 Cmd+V）粘贴图片，这种方式更加可靠！',
+        uploadedImage: '上传的图片',
+        dropToUpload: '释放以上传图片',
+        dragHere: '拖拽图片到此处',
+        clickToUpload: '或点击上传，支持 PNG、JPG、GIF 等格式',
+        shortcutHint: '可直接按 Ctrl+V (Cmd+V) 粘贴图片',
+        selectFile: '选择文件',
+        pasteImage: '粘贴图片',
+        decoding: '正在解析二维码...',
+        result: '解析结果',
+        openLink: '打开链接',
+        copyResult: '复制结果',
+        tip: '支持三种方式：① 拖拽图片到此处 ② 点击选择文件 ③ 直接按 Ctrl+V（Mac 按 Cmd+V）粘贴剪贴板中的图片。推荐使用快捷键粘贴，更加快捷方便！',
+    },
+    qrGenerator: {
+        title: '二维码生成器',
+        description: '根据文本或 URL 生成二维码图片，支持自定义尺寸、颜色和纠错级别',
+        levels: {
+            low: '低',
+            medium: '中',
+            quartile: '较高',
+            high: '高',
+        },
+        settings: '配置选项',
+        text: '文本或 URL',
+        placeholder: '输入要生成二维码的内容...',
+        size: '尺寸: {size}px × {size}px',
+        errorLevel: '纠错级别',
+        foreground: '前景色',
+        background: '背景色',
+        download: '下载 PNG 图片',
+        preview: '预览',
+        empty: '输入内容后预览二维码',
+        scanToVisit: '扫描此二维码可访问：',
+        tipTitle: '纠错级别说明：',
+        tip: '纠错级别越高，二维码越密集，但即使部分损坏也能被正确识别。L 级别适合清晰环境，H 级别适合在二维码上添加 Logo 或在恶劣条件下使用。',
+    },
+    chmod: {
+        title: 'Chmod 权限计算器',
+        description: 'Linux 文件权限计算，可视化转换 rwx 权限和八进制数值',
+        roles: {
+            owner: 'Owner (所有者)',
+            group: 'Group (组)',
+            public: 'Public (其他用户)',
+        },
+        permissions: {
+            read: 'Read (读取)',
+            write: 'Write (写入)',
+            execute: 'Execute (执行)',
+        },
+        rolePermission: '角色 / 权限',
+        result: '权限结果',
+        octal: 'Linux 权限值 (Octal)',
+        octalPlaceholder: '例如 755',
+        copyCommand: '复制命令',
+        command: '命令: chmod {octal} filename',
+        symbolic: '符号表示 (Symbolic)',
+        common: '常见权限：',
+        presets: {
+            file: { label: '文件', hint: '所有者完全控制，其他人只读' },
+            directory: { label: '目录/脚本', hint: '所有者完全控制，其他人读/执行' },
+            open: { label: '全开', hint: '所有人完全控制 (危险)' },
+            private: { label: '私密', hint: '仅所有者可读写' },
+        },
+    },
+    numberBase: {
+        title: '进制转换',
+        description: '在二进制、八进制、十进制、十六进制等之间实时转换数值',
+        bases: {
+            2: '二进制 (Binary)',
+            8: '八进制 (Octal)',
+            10: '十进制 (Decimal)',
+            16: '十六进制 (Hexadecimal)',
+            32: '三十二进制 (Base32)',
+        },
+        placeholder: '输入{base}进制数...',
+        notice: '支持大整数转换。对于非 2/8/10/16 进制（如 32 进制），受限于 JavaScript 精度，超大数值可能不准确。',
+    },
+    colorPicker: {
+        title: '颜色选择器',
+        description: '选择颜色并在 HEX、RGB、HSL 格式之间互相转换',
+        preview: '颜色预览',
+        random: '随机颜色',
+        presets: '预设颜色',
+        formats: '颜色格式',
+        hue: '色相',
+        saturation: '饱和度',
+        lightness: '亮度',
+    },
+    regex: {
+        title: '正则表达式测试器',
+        description: '实时测试正则表达式匹配，高亮显示匹配结果，支持捕获组',
+        syntaxError: '正则表达式语法错误: {message}',
+        pattern: '正则表达式',
+        patternPlaceholder: '输入正则表达式，例如：\\d+|[a-z]+@[a-z]+\\.[a-z]+',
+        flags: {
+            global: '全局匹配',
+            ignoreCase: '忽略大小写',
+            multiline: '多行模式',
+            dotAll: '点号匹配换行',
+        },
+        commonPatterns: '常用正则表达式',
+        expand: '点击展开',
+        collapse: '点击收起',
+        patterns: {
+            email: { name: '邮箱', desc: '匹配电子邮箱地址' },
+            mobile: { name: '手机号', desc: '匹配中国大陆11位手机号' },
+            landline: { name: '固话', desc: '匹配固定电话号码' },
+            url: { name: 'URL', desc: '匹配 HTTP(S) 网址' },
+            ipv4: { name: 'IPv4', desc: '匹配 IPv4 地址' },
+            ipv6: { name: 'IPv6', desc: '匹配标准 IPv6 地址' },
+            date: { name: '日期 (YYYY-MM-DD)', desc: '匹配年-月-日格式' },
+            time: { name: '时间 (HH:MM:SS)', desc: '匹配时:分:秒格式' },
+            idCard: { name: '身份证', desc: '匹配18位身份证号' },
+            postalCode: { name: '邮政编码', desc: '匹配6位邮编' },
+            chinese: { name: '中文', desc: '匹配中文字符' },
+            englishWord: { name: '英文单词', desc: '匹配英文字母' },
+            integer: { name: '数字', desc: '匹配整数' },
+            decimal: { name: '小数', desc: '匹配小数数字' },
+            hexColor: { name: '十六进制颜色', desc: '匹配如 #FFF 或 #FFFFFF' },
+            htmlTag: { name: 'HTML标签', desc: '匹配 HTML 标签' },
+            blankLine: { name: '空白行', desc: '匹配空行或纯空白行' },
+            uuid: { name: 'UUID', desc: '匹配 UUID 格式' },
+        },
+        testText: '测试文本',
+        testPlaceholder: '输入要测试的文本...',
+        previewPlaceholder: '测试文本将显示在这里...',
+        result: '匹配结果',
+        matchCount: '{count} 个匹配',
+        details: '匹配详情',
+        matchTitle: '匹配 #{index} (位置: {position})',
+        groups: '捕获组:',
+        emptyGroup: '(空)',
+        moreMatches: '... 还有 {count} 个匹配未显示',
+    },
+    imageBase64: {
+        title: '图片 Base64 转换',
+        description: '将图片转换为 Base64 字符串，或者将 Base64 还原为图片',
+        notImage: '请选择有效的图片文件',
+        readFailed: '读取文件失败',
+        toBase64: '图片转 Base64',
+        toImage: 'Base64 转图片',
+        upload: '点击上传图片',
+        formats: '支持 PNG, JPG, GIF, SVG, WEBP',
+        inputPlaceholder: '在此粘贴 Base64 字符串...',
+        result: 'Base64 结果',
+        preview: '图片预览',
+        outputPlaceholder: 'Base64 结果将显示在这里...',
+        fileName: '文件名: {name}',
+        size: '大小: {size}',
+        type: '类型: {type}',
+        noPreview: '暂无预览',
+    },
+    imageDiff: {
+        title: '图片对比',
+        description: '多种模式对比两张图片：并排、滑动、切换、叠加、像素差异检测',
+        modes: {
+            sideBySide: '并排',
+            slider: '滑动',
+            toggle: '切换',
+            overlay: '叠加',
+            diff: '差异',
+        },
+        compareMode: '对比模式',
+        reupload: '重新上传',
+        remove: '删除',
+        uploadHint: '拖拽、点击上传或 Ctrl+V 粘贴',
+        uploadBoth: '请上传两张图片进行对比',
+        uploadSecond: '请上传第二张图片',
+        imageA: '图片 A',
+        imageB: '图片 B',
+        showing: '显示: 图片 {image} (点击切换)',
+        opacity: '透明度: {opacity}%',
+        stats: '差异分析：共 {total} 像素，发现 {diff} 个差异像素 ({percentage}%)',
+        identical: ' - 两张图片完全相同！',
+        computing: '正在计算差异...',
+        legendDiff: '红色区域 = 差异',
+        legendSame: '灰色区域 = 相同',
+        zoomOut: '缩小',
+        zoomIn: '放大',
+        originalA: '图片 A（原始）',
+        uploadA: '上传图片 A',
+        modifiedB: '图片 B（修改后）',
+        uploadB: '上传图片 B',
+        resultTitle: '对比结果 - {mode}模式',
+        tip: '上传两张图片后选择对比模式。滑动模式可拖动分隔线；切换模式点击图片切换；叠加模式调整透明度；差异模式自动检测像素差异并用红色高亮。',
+    },
+    multiFormat: {
+        title: '代码格式化',
+        description: '美化和压缩 {type} 代码，提高代码可读性',
+        emptyFormat: '请输入要格式化的代码',
+        emptyMinify: '请输入要压缩的代码',
+        invalidSyntax: '无效的 {type} 格式: {message}',
+        formatFailed: '格式化失败: {message}',
+        minifyFailed: '压缩失败: {message}',
+        input: '输入 {type}',
+        inputPlaceholder: '输入 {type} 代码，例如：',
+        output: '输出结果',
+        outputPlaceholder: '格式化后的代码将显示在这里...',
+    },
+    sqlFormat: {
+        title: 'SQL 格式化',
+        description: '实时美化和压缩 SQL 语句，支持多种格式化风格和 SQL 方言',
+        standardSql: '标准 SQL',
+        keywordCases: {
+            upper: '大写 (SELECT)',
+            lower: '小写 (select)',
+            preserve: '保持原样',
+        },
+        styles: {
+            standard: { label: '标准风格', description: '平衡的缩进和换行，适合大多数场景' },
+            compact: { label: '紧凑风格', description: '减少换行，节省垂直空间' },
+            expanded: { label: '展开风格', description: '更多换行，每个子句单独一行，便于阅读复杂查询' },
+            tabular: { label: '表格风格', description: '关键字右对齐，列定义整齐排列' },
+            custom: { label: '自定义', description: '自由配置所有格式化选项' },
+        },
+        indentStyles: {
+            standard: '标准缩进',
+            tabularLeft: '表格左对齐',
+            tabularRight: '表格右对齐',
+        },
+        logicalOperators: {
+            before: '运算符前换行',
+            after: '运算符后换行',
+        },
+        formatFailed: '格式化失败: {message}',
+        format: '格式化 (Format)',
+        minify: '压缩 (Minify)',
+        formatShort: '格式化',
+        minifyShort: '压缩',
+        outputMode: '输出模式',
+        options: '格式化选项',
+        dialect: 'SQL 方言',
+        keywordCase: '关键字大小写',
+        style: '格式风格',
+        custom: '自定义配置',
+        tabWidth: '缩进宽度: {width} 空格',
+        indentStyle: '缩进风格',
+        logicalOperatorNewline: 'AND/OR 换行',
+        expressionWidth: '行宽度: {width} 字符',
+        denseOperators: '紧凑运算符 (无空格)',
+        newlineBeforeSemicolon: '分号前换行',
+        input: '输入 SQL',
+        inputPlaceholder: '输入 SQL 语句，例如：',
+        output: '输出结果 ({mode})',
+        outputPlaceholder: '输入 SQL 后将实时显示结果...',
+        tip: '选择不同的格式化风格可获得不同的输出效果。标准风格适合日常使用，紧凑风格减少垂直空间，展开风格更易阅读，表格风格关键字对齐。选择自定义可细粒度调整所有选项。',
+    },
+    sqlDiff: {
+        title: 'SQL 对比',
+        description: '比较两个 SQL 脚本的差异，支持格式化对比、忽略大小写/空白/注释',
+        standardSql: 'SQL 标准',
+        units: {
+            lines: '行',
+            words: '词',
+            chars: '字符',
+        },
+        mode: '对比模式',
+        lines: '逐行',
+        words: '逐词',
+        chars: '逐字符',
+        options: '对比选项',
+        dialect: 'SQL 方言',
+        formatFirst: '格式化后对比',
+        ignoreCase: '忽略大小写',
+        ignoreWhitespace: '忽略空白',
+        ignoreComments: '忽略注释',
+        original: '原始 SQL',
+        originalPlaceholder: '输入原始 SQL 语句...',
+        format: '格式化',
+        result: '对比结果',
+        emptyLine1: '在左右两侧输入 SQL，',
+        emptyLine2: '对比结果将实时显示',
+        identical: '两段 SQL 完全相同',
+        modified: '修改后 SQL',
+        modifiedPlaceholder: '输入修改后的 SQL 语句...',
+        tipSettingsBefore: '点击 ',
+        tipSettingsAfter: ' 按钮展开对比选项。',
+        tipFormatBefore: '开启"',
+        tipFormatAfter: '"可消除格式差异，只比较 SQL 语义。',
+        tipRemoved: '删除的内容',
+        tipRemovedStyle: '用红色删除线标记，',
+        tipAdded: '新增的内容',
+        tipAddedStyle: '用绿色标记。',
+    },
+    sqlDialect: {
+        title: 'SQL 方言转换',
+        description: '在 PostgreSQL 和 MySQL 的 DDL 语句之间进行转换',
+        errors: {
+            noTableName: '无法解析表名，请确保输入的是有效的 CREATE TABLE 语句',
+            noTableBody: '无法解析表结构',
+        },
+        warningsTitle: '转换警告：',
+        warnings: {
+            skipConstraint: '跳过约束定义: {definition}...',
+            skipIndex: '跳过索引定义: {definition}...',
+            incompatibleType: '类型 "{type}" 可能不兼容，已直接使用',
+        },
+        addTableOptions: '添加 ENGINE/CHARSET',
+        generateCommentOn: '生成 COMMENT ON 语句',
+        input: '输入 {dialect} SQL',
+        inputPlaceholder: '输入 {dialect} CREATE TABLE 语句，例如：',
+        output: '转换结果',
+        outputPlaceholder: '输入 SQL 后将实时转换...',
+        tip: '支持 DDL（CREATE TABLE）语句转换。自动处理数据类型映射、注释格式转换、标识符引用转换（双引号↔反引号）、自增语法转换（SERIAL↔AUTO_INCREMENT）。点击中间的箭头可以快速切换转换方向并将输出作为新的输入。',
+    },
+    sqlToEntity: {
+        title: 'SQL 转实体类',
+        description: '将 CREATE TABLE 语句转换为 Go、Java、TypeScript、Python 等语言的实体类/结构体',
+        errors: {
+            noTableName: '无法解析表名，请确保输入的是有效的 CREATE TABLE 语句',
+            noTableBody: '无法解析表结构',
+            unsupportedTarget: '不支持的目标语言',
+        },
+        goStruct: 'Go (纯 Struct)',
+        dialect: 'SQL 方言：',
+        includePackage: '包含 package/import',
+        includeJsonTag: '包含 JSON tag',
+        includeTableName: '生成 TableName 方法',
+        includeGetterSetter: '生成 Getter/Setter',
+        parsedBefore: '解析成功：表 ',
+        parsedAfter: '，共 {count} 个字段',
+        tableComment: '（{comment}）',
+        input: '输入 CREATE TABLE 语句',
+        inputPlaceholder: '输入 {dialect} CREATE TABLE 语句，例如：',
+        output: '生成结果',
+        outputPlaceholder: '输入 SQL 后将实时生成对应的实体类...',
+        tip: '支持解析 MySQL、PostgreSQL 等数据库的 CREATE TABLE 语句，包括字段类型、主键、自增、默认值、注释等属性。生成的代码会自动处理类型映射和命名转换（下划线→驼峰）。',
+    },
+    ipQuery: {
+        title: '高级 IP / 网络查询',
+        description: '查询公网 IP、局域网 IP、DNS 解析服务器及网络安全性信息',
+        fetchFailed: '获取部分信息失败，请重试',
+        offline: '当前处于离线状态：公网 IP、地理位置和 DNS 信息需要联网查询，恢复网络后将自动刷新；局域网 IP 检测不受影响。',
+        requiresNetwork: '需要联网',
+        notDetected: '未探测到',
+        ipv6NotDetected: '未探测到 IPv6',
+        ipLabels: {
+            physical: '物理网卡 / Wi-Fi',
+            corporateVpn: '企业内网 / VPN',
+            docker: 'Docker / 虚拟机',
+            corporate: '企业内网',
+            fakeIp: 'Fake-IP / 代理网关',
+            apipa: '未分配地址 (APIPA)',
+            loopback: '本地回环',
+            other: '虚拟网卡 / 其他',
+        },
+        localBlocked: '获取失败 (隐私拦截)',
+        grantAndRetry: '点击授权并重试',
+        unsupported: '浏览器不支持',
+        unknown: '未知',
+        unknownLocation: '未知地点',
+        loading: '获取中...',
+        verifyCommand: '验证命令',
+        copyResult: '复制结果',
+        refreshAll: '刷新全部',
+        coreAddresses: '核心地址 (Core Addresses)',
+        publicIpv4: '公网 IPv4',
+        publicIpv6: '公网 IPv6',
+        localIp: '局域网 IP',
+        dnsResolver: 'DNS 解析器',
+        fakeIpHijacked: '本地已劫持 (Fake-IP)',
+        fakeIpHint: '您的 DNS 请求已被代理工具接管并返回了虚拟 IP (Fake-IP)',
+        exit: '出口: {location}',
+        networkDetails: '网络详情 (Network Details)',
+        isp: '运营商 (ISP)',
+        location: '地理位置',
+        proxyYes: '代理/VPN: 是',
+        proxyNo: '代理/VPN: 否',
+        fakeIpOn: 'Fake-IP: 开启',
+        timezone: '时区',
+        system: '系统信息 (System)',
+        copyUa: '复制 UA',
+        notesTitle: '使用说明与注意事项：',
+        notes: {
+            localIp: {
+                title: '局域网 IP 探测：',
+                text: '依赖 WebRTC 技术。部分浏览器（如 Chrome）默认启用 mDNS 保护，可能会拦截真实 IP。若获取失败，请尝试“授权重试”或参考修复指南。',
+            },
+            proxy: {
+                title: '代理环境下的差异：',
+                before: '若您使用了代理工具（开启 TUN/Fake-IP 模式），终端 `dig` 命令可能会返回 ',
+                after: ' 等 Fake-IP。',
+            },
+            authority: {
+                title: '结果权威性：',
+                text: '页面显示的“DNS 解析器”是目标服务器视角下的真实出口 IP；终端命令结果反映的是本地代理工具的内部劫持逻辑。',
+            },
+            location: {
+                title: '地理位置：',
+                text: '基于 IP 数据库识别，由于运营商路由调整或代理节点漂移，结果可能存在数千米的误差。',
+            },
+        },
+        fixDialog: {
+            title: '如何授权获取局域网 IP？',
+            intro: '现代浏览器（如 Chrome）为了隐私保护，默认会通过 mDNS 屏蔽真实的局域网 IP。如果您需要使用此功能，可以尝试以下操作：',
+            option1: '方案一：临时媒体授权 (推荐)',
+            option1Text: '点击卡片中的“点击授权并重试”，并在浏览器弹出的提示中选择“允许（麦克风）”。这会临时提升 WebRTC 的权限以获取真实 IP。',
+            option2: '方案二：修改浏览器配置 (永久生效)',
+            step1: '在 Chrome 浏览器地址栏输入：',
+            step2Before: '将该项设置为 ',
+            step2After: '。',
+            step3Before: '点击右下角的 ',
+            step3After: ' 重启浏览器。',
+            gotIt: '知道了',
+            retry: '再次尝试授权',
+        },
+    },
+    pipeline: {
+        title: '工具流水线',
+        description: '将多个工具的转换串联执行，例如 URL 解码 → Base64 解码 → JSON 格式化 → JSON 转 YAML',
+        addStep: '添加步骤',
+        save: '保存',
+        name: '流水线名称',
+        inputPlaceholder: '输入要处理的原始内容...',
+        step: '步骤 {index}',
+        moveUp: '上移',
+        moveDown: '下移',
+        removeStep: '删除步骤',
+        skipped: '前序步骤失败，已跳过',
+        outputPlaceholder: '该步骤的输出将显示在这里...',
+        addFirstStep: '添加第一个步骤',
+        tip: '输入名称后点击「保存」即可将当前步骤保存为流水线，同名流水线会被覆盖。点击名称输入框旁的标签加载已保存的流水线。所有数据仅保存在浏览器本地。',
+    },
+    operations: {
+        unknown: '未知操作: {id}',
+        names: {
+            'base64': {
+                encode: 'Base64 编码',
+                decode: 'Base64 解码',
+            },
+            'url-encode': {
+                encode: 'URL 编码',
+                decode: 'URL 解码',
+            },
+            'json-format': {
+                format: 'JSON 格式化',
+                minify: 'JSON 压缩',
+            },
+            'json-yaml': {
+                json2yaml: 'JSON → YAML',
+                yaml2json: 'YAML → JSON',
+            },
+            'json-xml': {
+                json2xml: 'JSON → XML',
+                xml2json: 'XML → JSON',
+            },
+            'json-url': {
+                json2url: 'JSON → URL 参数',
+                url2json: 'URL 参数 → JSON',
+            },
+        },
+        labels: {
+            urlType: '编码类型',
+            urlComponent: '参数 (Component)',
+            urlUri: '完整URL (URI)',
+            indent: '缩进',
+            spaces2: '2 空格',
+            spaces4: '4 空格',
+            prettyPrint: '格式化缩进',
+            ignoreAttributes: '忽略属性',
+            encodeValues: '编码参数值',
+            includePrefix: '包含 ? 前缀',
+            flattenArrays: '展开数组',
+        },
+    },
+    cli: {
+        usage: '用法：tools {command} [选项] [输入]',
+        inputHint: '输入从标准输入读取，也可以直接写在命令后面',
+        commandsTitle: '命令：',
+        operationsTitle: '转换操作（与流水线中的操作相同）：',
+        optionsTitle: '选项：',
+        examplesTitle: '示例：',
+        choices: '，可选：{choices}',
+        default: '（默认 {value}）',
+        commands: {
+            'sql2entity': 'CREATE TABLE 语句转实体类',
+            'pg2mysql': 'PostgreSQL 建表语句转 MySQL',
+            'mysql2pg': 'MySQL 建表语句转 PostgreSQL',
+            'sql-format': '格式化或压缩 SQL',
+            'json-schema': '按 JSON Schema 校验 JSON 或 NDJSON，不通过时退出码为 1',
+            'json-types': '从 JSON 样本推断 JSON Schema 并生成类型定义',
+            'json-diff': '按结构对比两份 JSON，输入为原始 JSON，输出 JSON Patch、Merge Patch 或变更列表',
+            'jwt-decode': '解码 JWT（不校验签名）',
+            'jwt-sign': '使用 HMAC 签名生成 JWT，输入为 JSON 载荷',
+            'cron': '描述 Cron 表达式的执行时间',
+        },
+        options: {
+            locale: '输出语言：{locales}，默认按 LANG 环境变量选择',
+            help: '显示帮助',
+            lang: '目标语言',
+            dialect: 'SQL 方言',
+            noPackage: '不生成 package/import',
+            noJsonTag: '不生成 JSON tag',
+            noTableName: '不生成 TableName 方法',
+            getterSetter: '生成 Getter/Setter',
+            snakeCase: 'TypeScript 字段名保持下划线命名',
+            noTableOptions: '不添加 ENGINE/CHARSET',
+            noCommentOn: '不生成 COMMENT ON 语句',
+            sqlDialect: 'SQL 方言，sql 为标准 SQL',
+            keywordCase: '关键字大小写',
+            indent: '缩进空格数',
+            minifySql: '压缩为一行',
+            schema: 'JSON Schema 文件（也可以是 OpenAPI 文档，配合 --entry 使用）',
+            draft: '草案版本，auto 按 $schema 识别',
+            entry: '校验入口，如 #/components/schemas/Pet',
+            ndjson: '按 NDJSON 处理（每行一个 JSON）',
+            noFormat: '不校验 format',
+            target: '输出',
+            rootName: '根类型名',
+            noFormats: '不识别字符串格式（日期、邮箱等）',
+            noImports: '不生成 package/import',
+            right: '修改后的 JSON 文件',
+            diffFormat: '输出格式',
+            arrayKey: '数组项配对使用的键，默认按位置配对',
+            secret: '签名密钥（会留在 shell 历史和进程列表中，推荐使用 --secret-file 或 JWT_SECRET 环境变量）',
+            secretFile: '从文件读取签名密钥，- 表示标准输入（此时载荷写在命令后面）',
+            alg: '签名算法',
+            header: '额外的 Header（JSON）',
+        },
+        error: '错误：{message}',
+        warning: '警告：{message}',
+        schemaValid: '校验通过（{count} 个 JSON）',
+        errors: {
+            unknownCommand: '未知命令 "{command}"，使用 tools --help 查看可用命令',
+            invalidArgs: '{message}',
+            invalidChoice: '选项 --{option} 的值 "{value}" 无效，可选：{choices}',
+            missingOption: '缺少选项 --{option}',
+            missingSecret: '缺少签名密钥，请通过 --secret-file、JWT_SECRET 环境变量或 --secret 提供',
+            stdinConflict: '标准输入已用于读取输入内容，使用 --{option} - 时请把输入写在命令后面',
+            readFile: '无法读取 --{option} 指定的文件 {path}：{message}',
+            invalidJson: '选项 --{option} 不是有效的 JSON：{message}',
+            invalidJsonFile: '--{option} 指定的文件 {path} 不是有效的 JSON：{message}',
+            invalidInputJson: '输入不是有效的 JSON：{message}',
+            emptyInput: '没有输入内容，请通过标准输入或命令参数提供，例如：tools {command} < input.txt',
+        },
+    },
+    toolTabs: {
+        defaultTitle: '标签页 {number}',
+        copyOf: '{title} 副本',
+        newTab: '新建标签页',
+        rename: '重命名标签页',
+        duplicate: '复制标签页',
+        moveLeft: '左移',
+        moveRight: '右移',
+        close: '关闭标签页',
+        closeOthers: '关闭其他标签页',
+    },
+};
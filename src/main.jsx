@@ -1,14 +1,17 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { registerServiceWorker } from './hooks/useServiceWorker';
 import './styles/index.css';
 
 /**
  * 应用入口文件
- * 渲染 React 应用到 DOM
+ * 渲染 React 应用到 DOM，并注册用于离线使用的 Service Worker
  */
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <App />
     </React.StrictMode>
 );
+
+registerServiceWorker();
@@ -0,0 +1,91 @@
+import React, { lazy, useMemo, useEffect } from 'react';
+import { useParams, useLocation, useSearchParams } from 'react-router-dom';
+import { Box, Alert, ThemeProvider, useTheme } from '@mui/material';
+import { createTheme } from '@mui/material/styles';
+
+import { getToolById, toolRoutes } from '../config/tools';
+import { parseEmbedOptions } from '../core/embed';
+import { EmbedProvider } from '../hooks/useEmbed';
+import { useI18n } from '../hooks/useI18n';
+
+// 工具组件按路由路径缓存懒加载包装，重复渲染同一工具时不重新加载
+const toolComponents = new Map();
+
+const getToolComponent = (path) => {
+    if (!toolComponents.has(path)) {
+        const route = toolRoutes.find(item => item.path === path);
+        toolComponents.set(path, lazy(route.load));
+    }
+    return toolComponents.get(path);
+};
+
+/**
+ * 只读模式的主题覆盖：所有输入框只读，选项和按钮仍可使用
+ */
+const READ_ONLY_THEME = {
+    components: {
+        MuiInputBase: {
+            defaultProps: {
+                readOnly: true,
+            },
+        },
+    },
+};
+
+/**
+ * 工具嵌入页面（/embed/:toolId）
+ *
+ * 只渲染单个工具，不显示顶部导航和侧边栏，供其他页面通过 iframe 嵌入。
+ * 主题、初始输入和只读由地址参数指定，宿主页面通过 postMessage 设置输入并接收输出，
+ * 参数和消息协议见 core/embed.js。
+ */
+function Embed() {
+    const { toolId } = useParams();
+    const location = useLocation();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const outerTheme = useTheme();
+    const { t } = useI18n();
+
+    const tool = getToolById(toolId);
+    // 参数只在加载时读取，之后由宿主页面通过消息更新
+    const options = useMemo(() => parseEmbedOptions(location.search), []);
+    const theme = useMemo(
+        () => (options.readOnly ? createTheme(outerTheme, READ_ONLY_THEME) : outerTheme),
+        [outerTheme, options.readOnly],
+    );
+
+    // 复用其他工具路由的工具（如 YAML 格式化）需要带上预设查询参数
+    const presetParams = tool?.query ? [...new URLSearchParams(tool.query)] : [];
+    const missingPreset = presetParams.some(([key, value]) => searchParams.get(key) !== value);
+    useEffect(() => {
+        if (!missingPreset) return;
+        setSearchParams((prev) => {
+            const next = new URLSearchParams(prev);
+            presetParams.forEach(([key, value]) => next.set(key, value));
+            return next;
+        }, { replace: true });
+    }, [missingPreset]);
+
+    if (!tool) {
+        return (
+            <Box sx={{ p: 2 }}>
+                <Alert severity="error">{t('embed.unknownTool', { toolId })}</Alert>
+            </Box>
+        );
+    }
+    if (missingPreset) return null;
+
+    const ToolComponent = getToolComponent(tool.path);
+
+    return (
+        <ThemeProvider theme={theme}>
+            <Box component="main" sx={{ p: 2 }}>
+                <EmbedProvider tool={tool} options={options}>
+                    <ToolComponent />
+                </EmbedProvider>
+            </Box>
+        </ThemeProvider>
+    );
+}
+
+export default Embed;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
     Box,
@@ -8,62 +8,212 @@ import {
     CardContent,
     CardActionArea,
     Chip,
+    Button,
+    Snackbar,
+    Alert,
     useTheme,
 } from '@mui/material';
-import DataObjectIcon from '@mui/icons-material/DataObject';
-import ScheduleIcon from '@mui/icons-material/Schedule';
-import CodeIcon from '@mui/icons-material/Code';
-import LockIcon from '@mui/icons-material/Lock';
-import TextFieldsIcon from '@mui/icons-material/TextFields';
-import FingerprintIcon from '@mui/icons-material/Fingerprint';
-import QrCodeIcon from '@mui/icons-material/QrCode';
-import CompareIcon from '@mui/icons-material/Compare';
-import LinkIcon from '@mui/icons-material/Link';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
 
-import { getFeaturedTools } from '../config/tools';
+import { getFeaturedTools, getToolById, getToolUrl } from '../config/tools';
+import { useToolUsage } from '../hooks/useToolUsage';
+import { useI18n } from '../hooks/useI18n';
+import { exportToolUsage, importToolUsage } from '../storage/toolUsage';
+import FavoriteButton from '../components/FavoriteButton';
+import SmartPaste from '../components/SmartPaste';
 
 /**
- * 图标映射
+ * 最常用区域显示的工具数
  */
-const iconMap = {
-    DataObject: DataObjectIcon,
-    Schedule: ScheduleIcon,
-    Code: CodeIcon,
-    Lock: LockIcon,
-    TextFields: TextFieldsIcon,
-    Fingerprint: FingerprintIcon,
-    QrCode: QrCodeIcon,
-    Compare: CompareIcon,
-    Link: LinkIcon,
-    Difference: CompareIcon,
-};
-
-/**
- * 获取图标组件
- */
-const getIcon = (iconName) => {
-    const IconComponent = iconMap[iconName] || DataObjectIcon;
-    return IconComponent;
-};
+const MOST_USED_LIMIT = 6;
 
 /**
  * 首页组件
  * 
  * 显示内容：
  * - Hero 区域（标题和描述）
+ * - 智能粘贴：识别粘贴的内容并推荐工具
+ * - 最近使用（横向列表）、收藏和最常用的工具，使用记录可导出/导入
  * - 推荐工具网格
  */
 function Home() {
     const theme = useTheme();
     const navigate = useNavigate();
     const featuredTools = getFeaturedTools();
+    const { recent, favorites, usageCounts } = useToolUsage();
+    const { t, toolName, toolDescription } = useI18n();
+    const fileInputRef = useRef(null);
+    const [snackbar, setSnackbar] = useState({
+        open: false,
+        message: '',
+        severity: 'success',
+    });
+
+    const toTools = (ids) => ids.map(getToolById).filter(Boolean);
+    const recentTools = toTools(recent);
+    const favoriteTools = toTools(favorites);
+    const mostUsedTools = toTools(
+        Object.keys(usageCounts).sort((a, b) => usageCounts[b] - usageCounts[a])
+    ).slice(0, MOST_USED_LIMIT);
 
     // 处理工具卡片点击
     const handleToolClick = (path) => {
         navigate(path);
     };
 
+    // 导出使用记录为 JSON 文件
+    const handleExport = () => {
+        const blob = new Blob([JSON.stringify(exportToolUsage(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `devtools-usage-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // 导入使用记录，与本地记录合并
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            importToolUsage(JSON.parse(await file.text()));
+            setSnackbar({ open: true, message: t('home.imported'), severity: 'success' });
+        } catch (err) {
+            // JSON 解析等错误没有 code，直接显示原始信息
+            const message = err.code ? t(`home.importErrors.${err.code}`) : err.message;
+            setSnackbar({ open: true, message: t('home.importFailed', { message }), severity: 'error' });
+        }
+    };
+
+    /**
+     * 渲染工具卡片
+     * @param {Object} tool - 工具配置
+     * @param {string} [footnote] - 卡片底部的附加说明
+     */
+    const renderToolCard = (tool, footnote) => {
+        const IconComponent = tool.icon;
+        return (
+            <Grid item xs={12} sm={6} lg={4} key={tool.id}>
+                <Card
+                    sx={{
+                        height: '100%',
+                        cursor: 'pointer',
+                        transition: 'all 0.2s ease',
+                        position: 'relative',
+                        '&:hover': {
+                            transform: 'translateY(-2px)',
+                        },
+                    }}
+                >
+                    <FavoriteButton
+                        toolId={tool.id}
+                        favorite={favorites.includes(tool.id)}
+                        sx={{ position: 'absolute', top: 12, right: 12, zIndex: 1 }}
+                    />
+                    <CardActionArea
+                        onClick={() => handleToolClick(getToolUrl(tool))}
+                        sx={{ height: '100%', p: 0 }}
+                    >
+                        <CardContent sx={{ p: 3 }}>
+                            {/* 图标 */}
+                            <Box
+                                sx={{
+                                    width: 48,
+                                    height: 48,
+                                    borderRadius: '50%',
+                                    backgroundColor: theme.palette.mode === 'dark'
+                                        ? 'rgba(255,255,255,0.1)'
+                                        : 'rgba(0,0,0,0.04)',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    mb: 2,
+                                }}
+                            >
+                                <IconComponent
+                                    sx={{
+                                        color: theme.palette.text.secondary,
+                                        fontSize: 24,
+                                    }}
+                                />
+                            </Box>
+
+                            {/* 标题 + NEW 标签 */}
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                                <Typography
+                                    variant="h6"
+                                    sx={{
+                                        fontWeight: 600,
+                                        color: theme.palette.text.primary,
+                                        fontSize: '1.1rem',
+                                    }}
+                                >
+                                    {toolName(tool)}
+                                </Typography>
+                                {tool.isNew && (
+                                    <Chip
+                                        label="NEW"
+                                        size="small"
+                                        sx={{
+                                            height: 20,
+                                            fontSize: '0.65rem',
+                                            fontWeight: 600,
+                                            backgroundColor: theme.palette.primary.main,
+                                            color: '#fff',
+                                        }}
+                                    />
+                                )}
+                            </Box>
+
+                            {/* 描述 */}
+                            <Typography
+                                variant="body2"
+                                sx={{
+                                    color: theme.palette.text.secondary,
+                                    mb: 2,
+                                    lineHeight: 1.5,
+                                }}
+                            >
+                                {toolDescription(tool)}
+                            </Typography>
+
+                            {/* 使用链接 */}
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    color: theme.palette.primary.main,
+                                    fontSize: '0.875rem',
+                                    fontWeight: 500,
+                                }}
+                            >
+                                {t('home.useTool')}
+                                <ArrowForwardIcon sx={{ ml: 0.5, fontSize: 16 }} />
+                                {footnote && (
+                                    <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+                                        {footnote}
+                                    </Typography>
+                                )}
+                            </Box>
+                        </CardContent>
+                    </CardActionArea>
+                </Card>
+            </Grid>
+        );
+    };
+
+    // 区块标题
+    const renderSectionTitle = (title) => (
+        <Typography variant="h6" sx={{ fontWeight: 600, mb: 2, mt: 4 }}>
+            {title}
+        </Typography>
+    );
+
     return (
         <Box className="animate-fade-in">
             {/* Hero 区域 */}
@@ -111,13 +261,13 @@ function Home() {
                         lineHeight: 1.1,
                     }}
                 >
-                    开发更快，
+                    {t('home.heroLine1')}
                     <br />
-                    交付更
+                    {t('home.heroLine2')}
                     <Box component="span" sx={{ color: theme.palette.primary.main }}>
-                        智能
+                        {t('home.heroHighlight')}
                     </Box>
-                    。
+                    {t('home.heroEnd')}
                 </Typography>
 
                 {/* 副标题 */}
@@ -132,114 +282,84 @@ function Home() {
                         lineHeight: 1.6,
                     }}
                 >
-                    现代化开发者工具集合，助您高效完成 JSON 处理、编码转换、
-                    时间计算等日常开发任务。开始免费使用。
+                    {t('home.subtitle')}
                 </Typography>
+
+                {/* 智能粘贴 */}
+                <Box sx={{ maxWidth: 600, mx: 'auto' }}>
+                    <SmartPaste />
+                </Box>
             </Box>
 
-            {/* 工具网格 */}
             <Box sx={{ maxWidth: 1200, mx: 'auto', px: { xs: 1, md: 3 } }}>
-                <Grid container spacing={3}>
-                    {featuredTools.map((tool) => {
-                        const IconComponent = getIcon(tool.icon);
-                        return (
-                            <Grid item xs={12} sm={6} lg={4} key={tool.id}>
-                                <Card
-                                    sx={{
-                                        height: '100%',
-                                        cursor: 'pointer',
-                                        transition: 'all 0.2s ease',
-                                        '&:hover': {
-                                            transform: 'translateY(-2px)',
-                                        },
-                                    }}
-                                >
-                                    <CardActionArea
-                                        onClick={() => handleToolClick(tool.path)}
-                                        sx={{ height: '100%', p: 0 }}
-                                    >
-                                        <CardContent sx={{ p: 3 }}>
-                                            {/* 图标 */}
-                                            <Box
-                                                sx={{
-                                                    width: 48,
-                                                    height: 48,
-                                                    borderRadius: '50%',
-                                                    backgroundColor: theme.palette.mode === 'dark'
-                                                        ? 'rgba(255,255,255,0.1)'
-                                                        : 'rgba(0,0,0,0.04)',
-                                                    display: 'flex',
-                                                    alignItems: 'center',
-                                                    justifyContent: 'center',
-                                                    mb: 2,
-                                                }}
-                                            >
-                                                <IconComponent
-                                                    sx={{
-                                                        color: theme.palette.text.secondary,
-                                                        fontSize: 24,
-                                                    }}
-                                                />
-                                            </Box>
+                {/* 使用记录导出/导入 */}
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1 }}>
+                    <Typography variant="body2" color="text.secondary">
+                        {t('home.usageHint')}
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                        <Button size="small" startIcon={<FileDownloadIcon fontSize="small" />} onClick={handleExport}>
+                            {t('home.export')}
+                        </Button>
+                        <Button size="small" startIcon={<FileUploadIcon fontSize="small" />} onClick={() => fileInputRef.current?.click()}>
+                            {t('home.import')}
+                        </Button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept="application/json,.json"
+                            hidden
+                            onChange={handleImport}
+                        />
+                    </Box>
+                </Box>
+
+                {/* 最近使用 */}
+                {recentTools.length > 0 && (
+                    <>
+                        {renderSectionTitle(t('home.recent'))}
+                        <Box sx={{ display: 'flex', gap: 1, overflowX: 'auto', pb: 1 }}>
+                            {recentTools.map((tool) => {
+                                const IconComponent = tool.icon;
+                                return (
+                                    <Chip
+                                        key={tool.id}
+                                        icon={<IconComponent fontSize="small" />}
+                                        label={toolName(tool)}
+                                        variant="outlined"
+                                        onClick={() => handleToolClick(getToolUrl(tool))}
+                                        sx={{ flexShrink: 0 }}
+                                    />
+                                );
+                            })}
+                        </Box>
+                    </>
+                )}
 
-                                            {/* 标题 + NEW 标签 */}
-                                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
-                                                <Typography
-                                                    variant="h6"
-                                                    sx={{
-                                                        fontWeight: 600,
-                                                        color: theme.palette.text.primary,
-                                                        fontSize: '1.1rem',
-                                                    }}
-                                                >
-                                                    {tool.name}
-                                                </Typography>
-                                                {tool.isNew && (
-                                                    <Chip
-                                                        label="NEW"
-                                                        size="small"
-                                                        sx={{
-                                                            height: 20,
-                                                            fontSize: '0.65rem',
-                                                            fontWeight: 600,
-                                                            backgroundColor: theme.palette.primary.main,
-                                                            color: '#fff',
-                                                        }}
-                                                    />
-                                                )}
-                                            </Box>
+                {/* 收藏 */}
+                {favoriteTools.length > 0 && (
+                    <>
+                        {renderSectionTitle(t('home.favorites'))}
+                        <Grid container spacing={3}>
+                            {favoriteTools.map(tool => renderToolCard(tool))}
+                        </Grid>
+                    </>
+                )}
 
-                                            {/* 描述 */}
-                                            <Typography
-                                                variant="body2"
-                                                sx={{
-                                                    color: theme.palette.text.secondary,
-                                                    mb: 2,
-                                                    lineHeight: 1.5,
-                                                }}
-                                            >
-                                                {tool.description}
-                                            </Typography>
+                {/* 最常用 */}
+                {mostUsedTools.length > 0 && (
+                    <>
+                        {renderSectionTitle(t('home.mostUsed'))}
+                        <Grid container spacing={3}>
+                            {mostUsedTools.map(tool => renderToolCard(tool, t('home.openCount', { count: usageCounts[tool.id] })))}
+                        </Grid>
+                    </>
+                )}
 
-                                            {/* 使用链接 */}
-                                            <Box
-                                                sx={{
-                                                    display: 'flex',
-                                                    alignItems: 'center',
-                                                    color: theme.palette.primary.main,
-                                                    fontSize: '0.875rem',
-                                                    fontWeight: 500,
-                                                }}
-                                            >
-                                                Use tool
-                                                <ArrowForwardIcon sx={{ ml: 0.5, fontSize: 16 }} />
-                                            </Box>
-                                        </CardContent>
-                                    </CardActionArea>
-                                </Card>
-                            </Grid>
-                        );
-                    })}
+                {/* 推荐工具 */}
+                {renderSectionTitle(t('home.featured'))}
+                <Grid container spacing={3}>
+                    {featuredTools.map(tool => renderToolCard(tool))}
                 </Grid>
             </Box>
 
@@ -256,6 +376,18 @@ function Home() {
                     © 2024 DevTools Inc. · Privacy · Terms
                 </Typography>
             </Box>
+
+            {/* 提示条 */}
+            <Snackbar
+                open={snackbar.open}
+                autoHideDuration={3000}
+                onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert severity={snackbar.severity} sx={{ width: '100%' }}>
+                    {snackbar.message}
+                </Alert>
+            </Snackbar>
         </Box>
     );
 }
@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { Box, Typography, Button, useTheme } from '@mui/material';
 import HomeIcon from '@mui/icons-material/Home';
 
+import { useI18n } from '../hooks/useI18n';
+
 /**
  * 404 页面组件
  * 
@@ -11,6 +13,7 @@ import HomeIcon from '@mui/icons-material/Home';
 function NotFound() {
     const theme = useTheme();
     const navigate = useNavigate();
+    const { t } = useI18n();
 
     return (
         <Box
@@ -48,7 +51,7 @@ function NotFound() {
                     mb: 2,
                 }}
             >
-                页面未找到
+                {t('notFound.title')}
             </Typography>
 
             {/* 描述 */}
@@ -60,8 +63,7 @@ function NotFound() {
                     mb: 4,
                 }}
             >
-                抱歉，您访问的页面不存在或已被移除。
-                请检查 URL 是否正确，或返回首页浏览其他工具。
+                {t('notFound.description')}
             </Typography>
 
             {/* 返回首页按钮 */}
@@ -72,7 +74,7 @@ function NotFound() {
                 onClick={() => navigate('/')}
                 sx={{ px: 4, py: 1.5 }}
             >
-                返回首页
+                {t('notFound.backHome')}
             </Button>
         </Box>
     );
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Box, Typography, Paper, useTheme } from '@mui/material';
+import PaletteOutlinedIcon from '@mui/icons-material/PaletteOutlined';
+import KeyboardIcon from '@mui/icons-material/Keyboard';
+import WorkOutlineIcon from '@mui/icons-material/WorkOutline';
+
+import ThemeSettings from '../components/ThemeSettings';
+import ShortcutSettings from '../components/ShortcutSettings';
+import WorkspaceSettings from '../components/WorkspaceSettings';
+import { useI18n } from '../hooks/useI18n';
+
+/**
+ * 设置页面
+ *
+ * 功能：
+ * - 外观：与顶部导航的主题设置相同
+ * - 键盘快捷键：修改组合键和解决冲突
+ * - 工作区：导出和导入所有本地数据
+ */
+function Settings() {
+    const theme = useTheme();
+    const { t } = useI18n();
+
+    // 设置分组
+    const sections = [
+        { id: 'appearance', icon: <PaletteOutlinedIcon fontSize="small" />, content: <ThemeSettings /> },
+        { id: 'shortcuts', icon: <KeyboardIcon fontSize="small" />, content: <ShortcutSettings /> },
+        { id: 'workspace', icon: <WorkOutlineIcon fontSize="small" />, content: <WorkspaceSettings /> },
+    ];
+
+    return (
+        <Box className="animate-fade-in" sx={{ maxWidth: 800, mx: 'auto' }}>
+            {/* 标题区域 */}
+            <Box sx={{ mb: 3 }}>
+                <Typography variant="h4" sx={{ fontWeight: 600, color: theme.palette.text.primary, mb: 1 }}>
+                    {t('settings.title')}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                    {t('settings.description')}
+                </Typography>
+            </Box>
+
+            {sections.map(section => (
+                <Paper
+                    key={section.id}
+                    elevation={0}
+                    sx={{
+                        p: 2.5,
+                        mb: 2,
+                        border: `1px solid ${theme.palette.divider}`,
+                        borderRadius: 2,
+                    }}
+                >
+                    <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, fontWeight: 600, mb: 2 }}>
+                        {section.icon}
+                        {t(`settings.${section.id}`)}
+                    </Typography>
+                    {section.content}
+                </Paper>
+            ))}
+        </Box>
+    );
+}
+
+export default Settings;
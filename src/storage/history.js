@@ -0,0 +1,198 @@
+/**
+ * 工具输入历史（IndexedDB）
+ * 每条记录：{ id, toolId, value, serialized, size, createdAt }
+ */
+
+const DB_NAME = 'devtools';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+
+/**
+ * 每个工具最多保留的历史条数
+ */
+export const MAX_ENTRIES_PER_TOOL = 50;
+
+/**
+ * 单条历史允许的最大字符数，超出的输入不记录
+ */
+export const MAX_ENTRY_SIZE = 256 * 1024;
+
+let dbPromise = null;
+
+/**
+ * 打开数据库（单例）
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('当前环境不支持 IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('toolId', 'toolId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 打开失败时允许下次重试
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * 等待事务完成
+ */
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+});
+
+/**
+ * 获取工具的历史记录（最新的在前）
+ * @param {string} toolId - 工具 ID
+ * @returns {Promise<Array>} 历史记录
+ */
+export const getHistory = async (toolId) => {
+    const db = await openDb();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await promisify(store.index('toolId').getAll(toolId));
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * 添加历史记录
+ * 与已有记录内容相同时只更新时间；超出条数上限时删除最旧的记录
+ * @param {string} toolId - 工具 ID
+ * @param {*} value - 输入内容（字符串或可序列化对象）
+ * @returns {Promise<boolean>} 是否记录成功
+ */
+export const addHistory = async (toolId, value) => {
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    if (!serialized || serialized.length > MAX_ENTRY_SIZE) return false;
+
+    const entries = await getHistory(toolId);
+    const db = await openDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+
+    const duplicates = entries.filter(entry => entry.serialized === serialized);
+    duplicates.forEach(entry => store.delete(entry.id));
+    store.add({ toolId, value, serialized, size: serialized.length, createdAt: Date.now() });
+
+    const remaining = entries.filter(entry => entry.serialized !== serialized);
+    remaining.slice(MAX_ENTRIES_PER_TOOL - 1).forEach(entry => store.delete(entry.id));
+
+    await transactionDone(tx);
+    return true;
+};
+
+/**
+ * 获取所有工具的历史记录（导出工作区时使用）
+ * @returns {Promise<Array>} 历史记录，按工具分组、每个工具内最新的在前
+ */
+export const getAllHistory = async () => {
+    const db = await openDb();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await promisify(store.getAll());
+    return entries.sort((a, b) => a.toolId.localeCompare(b.toolId) || b.createdAt - a.createdAt);
+};
+
+/**
+ * 计算导入的历史记录中本地还没有的条目
+ * @param {Array} entries - 导入的记录 [{ toolId, value, createdAt }]
+ * @returns {Promise<Array>} 需要添加的记录
+ */
+export const getNewHistoryEntries = async (entries) => {
+    const local = await getAllHistory();
+    const existing = new Set(local.map(entry => `${entry.toolId}\n${entry.serialized}`));
+    const added = new Set();
+    return entries.filter((entry) => {
+        const serialized = typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value);
+        const id = `${entry.toolId}\n${serialized}`;
+        if (!serialized || serialized.length > MAX_ENTRY_SIZE || existing.has(id) || added.has(id)) return false;
+        added.add(id);
+        return true;
+    });
+};
+
+/**
+ * 导入历史记录，与本地记录合并：内容相同的记录只保留一条，
+ * 每个工具按时间保留最新的 MAX_ENTRIES_PER_TOOL 条
+ * @param {Array} entries - 导入的记录 [{ toolId, value, createdAt }]
+ * @returns {Promise<number>} 新增的条数
+ */
+export const importHistory = async (entries) => {
+    const added = await getNewHistoryEntries(entries);
+    if (added.length === 0) return 0;
+
+    const local = await getAllHistory();
+    const db = await openDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+
+    // 每个工具按时间保留最新的记录：超出上限的导入记录不添加，超出上限的本地记录删除
+    const toolIds = new Set(added.map(entry => entry.toolId));
+    toolIds.forEach((toolId) => {
+        const all = [
+            ...local.filter(entry => entry.toolId === toolId),
+            ...added.filter(entry => entry.toolId === toolId),
+        ].sort((a, b) => b.createdAt - a.createdAt);
+        all.forEach((entry, index) => {
+            const keep = index < MAX_ENTRIES_PER_TOOL;
+            if (entry.id !== undefined) {
+                if (!keep) store.delete(entry.id);
+            } else if (keep) {
+                const serialized = typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value);
+                store.add({ toolId, value: entry.value, serialized, size: serialized.length, createdAt: entry.createdAt });
+            }
+        });
+    });
+
+    await transactionDone(tx);
+    return added.length;
+};
+
+/**
+ * 删除单条历史记录
+ * @param {number} id - 记录 ID
+ */
+export const deleteHistoryEntry = async (id) => {
+    const db = await openDb();
+    await promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(id));
+};
+
+/**
+ * 清空工具的历史记录，不传 toolId 时清空全部
+ * @param {string} [toolId] - 工具 ID
+ */
+export const clearHistory = async (toolId) => {
+    const db = await openDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    if (!toolId) {
+        store.clear();
+    } else {
+        // 在游标回调中删除，保证所有操作处于同一事务内
+        store.index('toolId').openCursor(toolId).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    }
+    await transactionDone(tx);
+};
@@ -0,0 +1,16 @@
+/**
+ * 本地数据统一管理
+ */
+import { clearHistory } from './history';
+
+/**
+ * 清除所有本地数据：localStorage 中的设置、工具状态、已保存的流水线，以及 IndexedDB 中的历史记录
+ */
+export const clearAllLocalData = async () => {
+    localStorage.clear();
+    try {
+        await clearHistory();
+    } catch {
+        // IndexedDB 不可用时没有历史记录需要清除
+    }
+};
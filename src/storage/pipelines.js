@@ -0,0 +1,42 @@
+/**
+ * 已保存的流水线（localStorage）
+ * - savedPipelines: [{ name, steps }]，按保存顺序排列；steps 为 [{ operationId, options }]
+ */
+
+const STORAGE_KEY = 'savedPipelines';
+
+/**
+ * 是否为有效的流水线列表
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isPipelineList = (value) => (
+    Array.isArray(value)
+    && value.every(item => typeof item?.name === 'string' && Array.isArray(item.steps))
+);
+
+/**
+ * 读取已保存的流水线
+ * @returns {Array} [{ name, steps }]
+ */
+export const getSavedPipelines = () => {
+    try {
+        const value = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return isPipelineList(value) ? value : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * 保存流水线列表
+ * @param {Array} pipelines - [{ name, steps }]
+ */
+export const writeSavedPipelines = (pipelines) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(pipelines));
+    } catch {
+        // 写入失败时忽略，流水线只在本次访问中有效
+    }
+};
+
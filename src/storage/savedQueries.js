@@ -0,0 +1,45 @@
+/**
+ * 已保存的 JSON 查询（localStorage）
+ * - savedJsonQueries: [{ name, language, query }]，按保存顺序排列；language 见 core/jsonQuery.js 的 QUERY_LANGUAGES
+ * JSON 格式化和多格式化工具的查询面板共用同一份列表
+ */
+import { QUERY_LANGUAGES } from '../core/jsonQuery';
+
+const STORAGE_KEY = 'savedJsonQueries';
+
+/**
+ * 是否为有效的查询列表
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isSavedQueryList = (value) => (
+    Array.isArray(value)
+    && value.every(item => typeof item?.name === 'string'
+        && QUERY_LANGUAGES.includes(item.language)
+        && typeof item.query === 'string')
+);
+
+/**
+ * 读取已保存的查询
+ * @returns {Array} [{ name, language, query }]
+ */
+export const getSavedQueries = () => {
+    try {
+        const value = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return isSavedQueryList(value) ? value : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * 保存查询列表
+ * @param {Array} queries - [{ name, language, query }]
+ */
+export const writeSavedQueries = (queries) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(queries));
+    } catch {
+        // 写入失败时忽略，查询只在本次访问中有效
+    }
+};
@@ -0,0 +1,106 @@
+/**
+ * 快捷键设置（localStorage）
+ * - shortcutBindings: 用户修改过的绑定 { 操作 ID: 组合键 }，空字符串表示取消绑定，未列出的操作使用默认组合键
+ */
+import { DEFAULT_SHORTCUTS } from '../config/shortcuts';
+import { normalizeCombo } from '../core/shortcuts';
+
+const BINDINGS_KEY = 'shortcutBindings';
+
+const listeners = new Set();
+
+/**
+ * 通知订阅者快捷键设置已变化
+ */
+const notify = () => listeners.forEach(listener => listener());
+
+// 其他标签页修改了快捷键时同步
+const handleStorage = (event) => {
+    if (event.key === BINDINGS_KEY || event.key === null) notify();
+};
+
+/**
+ * 订阅快捷键设置变化
+ * @param {Function} listener - 变化时调用
+ * @returns {Function} 取消订阅
+ */
+export const subscribeShortcuts = (listener) => {
+    if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) window.removeEventListener('storage', handleStorage);
+    };
+};
+
+/**
+ * 读取用户修改过的绑定，忽略未知的操作和无法解析的组合键
+ * @returns {Object<string, string>}
+ */
+export const getShortcutOverrides = () => {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+    } catch {
+        // 解析失败时使用默认绑定
+    }
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+
+    const overrides = {};
+    Object.entries(saved).forEach(([actionId, combo]) => {
+        if (!(actionId in DEFAULT_SHORTCUTS) || typeof combo !== 'string') return;
+        if (combo === '' || normalizeCombo(combo)) overrides[actionId] = normalizeCombo(combo);
+    });
+    return overrides;
+};
+
+/**
+ * 获取所有操作当前的绑定（默认绑定合并用户修改）
+ * @returns {Object<string, string>} 操作 ID → 组合键，空字符串表示未绑定
+ */
+export const getShortcutBindings = () => ({ ...DEFAULT_SHORTCUTS, ...getShortcutOverrides() });
+
+const writeOverrides = (overrides) => {
+    try {
+        if (Object.keys(overrides).length === 0) {
+            localStorage.removeItem(BINDINGS_KEY);
+        } else {
+            localStorage.setItem(BINDINGS_KEY, JSON.stringify(overrides));
+        }
+    } catch {
+        // 写入失败时忽略，修改只在本次访问中生效
+    }
+    notify();
+};
+
+/**
+ * 修改多个操作的绑定，与默认绑定相同时移除修改记录
+ * @param {Object<string, string>} changes - 操作 ID → 组合键，空字符串表示取消绑定
+ */
+export const setShortcutBindings = (changes) => {
+    const overrides = getShortcutOverrides();
+    Object.entries(changes).forEach(([actionId, combo]) => {
+        if (!(actionId in DEFAULT_SHORTCUTS)) return;
+        const normalized = normalizeCombo(combo);
+        if (normalized === DEFAULT_SHORTCUTS[actionId]) {
+            delete overrides[actionId];
+        } else {
+            overrides[actionId] = normalized;
+        }
+    });
+    writeOverrides(overrides);
+};
+
+/**
+ * 恢复默认绑定
+ * @param {string} [actionId] - 操作 ID，不指定时恢复所有操作
+ */
+export const resetShortcutBindings = (actionId) => {
+    if (!actionId) {
+        writeOverrides({});
+        return;
+    }
+    const overrides = getShortcutOverrides();
+    delete overrides[actionId];
+    writeOverrides(overrides);
+};
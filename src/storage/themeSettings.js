@@ -0,0 +1,69 @@
+/**
+ * 主题设置（localStorage）
+ * - themeSettings: { mode, highContrast, accent, editorFont, editorFontSize }，字段见 DEFAULT_THEME_SETTINGS
+ * - themeMode: 旧版本只保存的浅色/深色模式，读取时迁移
+ */
+import { ACCENT_COLORS, DEFAULT_THEME_SETTINGS, EDITOR_FONTS, EDITOR_FONT_SIZES } from '../theme';
+
+const SETTINGS_KEY = 'themeSettings';
+const LEGACY_MODE_KEY = 'themeMode';
+
+/**
+ * 可选的主题模式
+ */
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+// 每个字段的校验，不合法的值使用默认设置
+const VALIDATORS = {
+    mode: value => THEME_MODES.includes(value),
+    highContrast: value => typeof value === 'boolean',
+    accent: value => ACCENT_COLORS.some(item => item.id === value),
+    editorFont: value => EDITOR_FONTS.some(item => item.id === value),
+    editorFontSize: value => EDITOR_FONT_SIZES.includes(value),
+};
+
+/**
+ * 校验主题设置，缺失或不合法的字段使用默认值
+ * @param {*} saved - 保存或导入的设置
+ * @returns {Object}
+ */
+export const normalizeThemeSettings = (saved) => {
+    const settings = { ...DEFAULT_THEME_SETTINGS };
+    if (!saved || typeof saved !== 'object') return settings;
+    Object.entries(VALIDATORS).forEach(([key, isValid]) => {
+        if (isValid(saved[key])) settings[key] = saved[key];
+    });
+    return settings;
+};
+
+/**
+ * 读取主题设置，缺失或不合法的字段使用默认值
+ * 没有保存过设置时沿用旧版本保存的浅色/深色模式，否则跟随系统
+ * @returns {Object}
+ */
+export const readThemeSettings = () => {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch {
+        // 解析失败时使用默认设置
+    }
+    if (!saved || typeof saved !== 'object') {
+        const legacyMode = localStorage.getItem(LEGACY_MODE_KEY);
+        saved = legacyMode ? { mode: legacyMode } : {};
+    }
+    return normalizeThemeSettings(saved);
+};
+
+/**
+ * 保存主题设置
+ * @param {Object} settings - 完整的主题设置
+ */
+export const writeThemeSettings = (settings) => {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        localStorage.removeItem(LEGACY_MODE_KEY);
+    } catch {
+        // 写入失败时忽略，设置只在本次访问中生效
+    }
+};
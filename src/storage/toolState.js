@@ -0,0 +1,90 @@
+/**
+ * 工具状态本地持久化（localStorage）
+ * 每个工具的每个状态单独存储，键格式为 toolState:<作用域>:<状态名>
+ * 作用域为工具 ID，工具打开多个标签页时为各标签页的作用域（见 toolTabs.js 的 getTabScope）
+ */
+
+const KEY_PREFIX = 'toolState:';
+
+/**
+ * 单个状态允许持久化的最大字符数，超出时不再写入，避免占满 localStorage 配额
+ */
+export const MAX_STATE_SIZE = 512 * 1024;
+
+const buildKey = (scope, key) => `${KEY_PREFIX}${scope}:${key}`;
+
+/**
+ * 读取工具状态
+ * @param {string} scope - 作用域（工具 ID 或标签页作用域）
+ * @param {string} key - 状态名
+ * @returns {*} 保存的值，不存在或解析失败时返回 undefined
+ */
+export const readToolState = (scope, key) => {
+    try {
+        const raw = localStorage.getItem(buildKey(scope, key));
+        return raw === null ? undefined : JSON.parse(raw);
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * 写入工具状态
+ * 超出大小限制时删除旧值，保证恢复时不会出现过期的内容
+ * @param {string} scope - 作用域（工具 ID 或标签页作用域）
+ * @param {string} key - 状态名
+ * @param {*} value - 可 JSON 序列化的值
+ */
+export const writeToolState = (scope, key, value) => {
+    const storageKey = buildKey(scope, key);
+    try {
+        const raw = JSON.stringify(value);
+        if (raw.length > MAX_STATE_SIZE) {
+            localStorage.removeItem(storageKey);
+            return;
+        }
+        localStorage.setItem(storageKey, raw);
+    } catch {
+        // 配额不足或隐私模式下写入失败时忽略，不影响工具使用
+    }
+};
+
+/**
+ * 读取所有作用域保存的状态（导出工作区时使用），解析失败的状态会被跳过
+ * @returns {Object<string, Object<string, *>>} 作用域 → { 状态名: 值 }
+ */
+export const readAllToolState = () => {
+    const result = {};
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(KEY_PREFIX))
+        .forEach((storageKey) => {
+            const rest = storageKey.slice(KEY_PREFIX.length);
+            const separator = rest.indexOf(':');
+            if (separator <= 0) return;
+            const scope = rest.slice(0, separator);
+            const value = readToolState(scope, rest.slice(separator + 1));
+            if (value === undefined) return;
+            (result[scope] = result[scope] || {})[rest.slice(separator + 1)] = value;
+        });
+    return result;
+};
+
+/**
+ * 删除一个作用域下的所有状态（关闭标签页时使用）
+ * @param {string} scope - 作用域
+ */
+export const removeToolState = (scope) => {
+    const prefix = buildKey(scope, '');
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => localStorage.removeItem(key));
+};
+
+/**
+ * 清除所有工具状态
+ */
+export const clearToolState = () => {
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(KEY_PREFIX))
+        .forEach(key => localStorage.removeItem(key));
+};
@@ -0,0 +1,192 @@
+/**
+ * 工具标签页（localStorage）
+ * 每个工具可以打开多个标签页，各自保存一份独立的工具状态，键格式为 toolTabs:<工具 ID>，值为：
+ * - tabs: [{ id, title, number }]，按显示顺序排列；title 为空时按 number 显示默认名称
+ * - activeId: 当前标签页 ID
+ *
+ * 标签页的状态通过 toolState 按作用域保存：默认标签页沿用工具 ID，
+ * 与引入标签页之前保存的状态兼容；其他标签页为 <工具 ID>@<标签页 ID>
+ */
+import { readAllToolState, removeToolState, writeToolState } from './toolState';
+
+const KEY_PREFIX = 'toolTabs:';
+
+/**
+ * 默认标签页 ID
+ */
+export const DEFAULT_TAB_ID = 'main';
+
+/**
+ * 每个工具最多打开的标签页数
+ */
+export const MAX_TABS = 20;
+
+const buildKey = (toolId) => `${KEY_PREFIX}${toolId}`;
+
+const createDefaultTabs = () => ({
+    tabs: [{ id: DEFAULT_TAB_ID, title: '', number: 1 }],
+    activeId: DEFAULT_TAB_ID,
+});
+
+/**
+ * 是否为有效的标签页数据
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isValidTabs = (value) => (
+    value !== null && typeof value === 'object'
+    && Array.isArray(value.tabs) && value.tabs.length > 0
+    && value.tabs.every(tab => typeof tab?.id === 'string' && typeof tab.title === 'string' && Number.isInteger(tab.number))
+);
+
+/**
+ * 生成新的标签页 ID
+ */
+const createTabId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * 获取标签页状态的保存作用域
+ * @param {string} toolId - 工具 ID
+ * @param {string} tabId - 标签页 ID
+ * @returns {string}
+ */
+export const getTabScope = (toolId, tabId) => (tabId === DEFAULT_TAB_ID ? toolId : `${toolId}@${tabId}`);
+
+/**
+ * 获取作用域所属的工具 ID
+ * @param {string} scope - 工具 ID 或 <工具 ID>@<标签页 ID>
+ * @returns {string}
+ */
+export const getScopeToolId = (scope) => scope.split('@')[0];
+
+/**
+ * 读取工具的标签页，没有保存或数据无效时返回只有默认标签页的列表
+ * @param {string} toolId - 工具 ID
+ * @returns {{ tabs: Array, activeId: string }}
+ */
+export const readToolTabs = (toolId) => {
+    try {
+        const value = JSON.parse(localStorage.getItem(buildKey(toolId)));
+        if (!isValidTabs(value)) return createDefaultTabs();
+        const activeId = value.tabs.some(tab => tab.id === value.activeId) ? value.activeId : value.tabs[0].id;
+        return { tabs: value.tabs, activeId };
+    } catch {
+        return createDefaultTabs();
+    }
+};
+
+/**
+ * 保存工具的标签页
+ * @param {string} toolId - 工具 ID
+ * @param {{ tabs: Array, activeId: string }} value
+ */
+export const writeToolTabs = (toolId, value) => {
+    try {
+        localStorage.setItem(buildKey(toolId), JSON.stringify(value));
+    } catch {
+        // 写入失败时忽略，标签页只在本次访问中有效
+    }
+};
+
+/**
+ * 读取所有保存了标签页的工具（导出工作区时使用）
+ * @returns {Object<string, { tabs: Array, activeId: string }>} 工具 ID → 标签页
+ */
+export const readAllToolTabs = () => Object.fromEntries(
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(KEY_PREFIX))
+        .map(key => key.slice(KEY_PREFIX.length))
+        .map(toolId => [toolId, readToolTabs(toolId)]),
+);
+
+/**
+ * 删除工具的标签页和所有标签页保存的状态（导入工作区覆盖工具时使用）
+ * @param {string} toolId - 工具 ID
+ */
+export const removeToolTabs = (toolId) => {
+    Object.keys(readAllToolState())
+        .filter(scope => getScopeToolId(scope) === toolId)
+        .forEach(removeToolState);
+    try {
+        localStorage.removeItem(buildKey(toolId));
+    } catch {
+        // 删除失败时忽略
+    }
+};
+
+/**
+ * 新建标签页（追加到 afterId 之后，未指定时追加到末尾）
+ * @param {{ tabs: Array, activeId: string }} value - 当前标签页
+ * @param {Object} [options]
+ * @param {string} [options.title] - 标签页名称
+ * @param {string} [options.afterId] - 插入位置
+ * @returns {{ value: Object, tab: Object }} 新的标签页列表和新建的标签页
+ */
+export const addTab = (value, { title = '', afterId } = {}) => {
+    const tab = {
+        id: createTabId(),
+        title,
+        number: Math.max(...value.tabs.map(item => item.number)) + 1,
+    };
+    const index = value.tabs.findIndex(item => item.id === afterId);
+    const tabs = [...value.tabs];
+    tabs.splice(index === -1 ? tabs.length : index + 1, 0, tab);
+    return { value: { tabs, activeId: tab.id }, tab };
+};
+
+/**
+ * 复制标签页：新标签页紧跟在原标签页之后，状态为 snapshot
+ * @param {string} toolId - 工具 ID
+ * @param {{ tabs: Array, activeId: string }} value - 当前标签页
+ * @param {Object} source - 被复制的标签页
+ * @param {Object} snapshot - 被复制标签页的状态（状态名 → 值）
+ * @param {string} title - 新标签页名称
+ * @returns {Object} 新的标签页列表
+ */
+export const duplicateTab = (toolId, value, source, snapshot, title) => {
+    const { value: next, tab } = addTab(value, { title, afterId: source.id });
+    const scope = getTabScope(toolId, tab.id);
+    Object.entries(snapshot).forEach(([key, state]) => writeToolState(scope, key, state));
+    return next;
+};
+
+/**
+ * 关闭标签页，关闭当前标签页时激活相邻的标签页；最后一个标签页不能关闭
+ * 不删除标签页保存的状态：当前标签页的工具卸载时还会写入最后的修改，需在卸载之后调用 removeTabState
+ * @param {{ tabs: Array, activeId: string }} value - 当前标签页
+ * @param {string} tabId - 要关闭的标签页 ID
+ * @returns {Object} 新的标签页列表
+ */
+export const closeTab = (value, tabId) => {
+    const index = value.tabs.findIndex(tab => tab.id === tabId);
+    if (index === -1 || value.tabs.length === 1) return value;
+    const tabs = value.tabs.filter(tab => tab.id !== tabId);
+    const activeId = value.activeId === tabId
+        ? tabs[Math.min(index, tabs.length - 1)].id
+        : value.activeId;
+    return { tabs, activeId };
+};
+
+/**
+ * 删除已关闭标签页保存的状态
+ * @param {string} toolId - 工具 ID
+ * @param {string} tabId - 标签页 ID
+ */
+export const removeTabState = (toolId, tabId) => {
+    removeToolState(getTabScope(toolId, tabId));
+};
+
+/**
+ * 移动标签页
+ * @param {{ tabs: Array, activeId: string }} value - 当前标签页
+ * @param {number} from - 原位置
+ * @param {number} to - 目标位置
+ * @returns {Object} 新的标签页列表
+ */
+export const moveTab = (value, from, to) => {
+    if (from === to || to < 0 || to >= value.tabs.length) return value;
+    const tabs = [...value.tabs];
+    const [tab] = tabs.splice(from, 1);
+    tabs.splice(to, 0, tab);
+    return { ...value, tabs };
+};
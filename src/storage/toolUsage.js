@@ -0,0 +1,195 @@
+/**
+ * 工具使用记录（localStorage）
+ * - recentTools: 最近使用的工具 ID，最新的在前
+ * - favoriteTools: 收藏的工具 ID，按收藏顺序排列
+ * - toolUsageCounts: 各工具的打开次数 { 工具 ID: 次数 }
+ */
+
+const RECENT_KEY = 'recentTools';
+const FAVORITES_KEY = 'favoriteTools';
+const COUNTS_KEY = 'toolUsageCounts';
+
+/**
+ * 导出文件的类型标识和版本
+ */
+const EXPORT_TYPE = 'devtools-tool-usage';
+const EXPORT_VERSION = 1;
+
+/**
+ * 最近使用最多保留的工具数
+ */
+export const MAX_RECENT_TOOLS = 10;
+
+const listeners = new Set();
+
+/**
+ * 通知订阅者使用记录已变化
+ */
+const notify = () => listeners.forEach(listener => listener());
+
+// 其他标签页修改了使用记录时同步
+const handleStorage = (event) => {
+    if ([RECENT_KEY, FAVORITES_KEY, COUNTS_KEY].includes(event.key)) notify();
+};
+
+/**
+ * 订阅使用记录变化
+ * @param {Function} listener - 变化时调用
+ * @returns {Function} 取消订阅
+ */
+export const subscribeToolUsage = (listener) => {
+    if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) window.removeEventListener('storage', handleStorage);
+    };
+};
+
+const readJson = (storageKey, isValid, fallback) => {
+    try {
+        const value = JSON.parse(localStorage.getItem(storageKey));
+        return isValid(value) ? value : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+const writeJson = (storageKey, value) => {
+    try {
+        localStorage.setItem(storageKey, JSON.stringify(value));
+    } catch {
+        // 写入失败时忽略，不影响工具使用
+    }
+};
+
+const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string');
+
+const isCountMap = (value) => (
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).every(count => Number.isInteger(count) && count >= 0)
+);
+
+/**
+ * 获取最近使用的工具 ID
+ * @returns {string[]}
+ */
+export const getRecentTools = () => readJson(RECENT_KEY, isIdList, []);
+
+/**
+ * 获取收藏的工具 ID
+ * @returns {string[]}
+ */
+export const getFavoriteTools = () => readJson(FAVORITES_KEY, isIdList, []);
+
+/**
+ * 获取各工具的打开次数
+ * @returns {Object<string, number>}
+ */
+export const getUsageCounts = () => readJson(COUNTS_KEY, isCountMap, {});
+
+/**
+ * 获取完整的使用记录
+ * @returns {{ recent: string[], favorites: string[], usageCounts: Object<string, number> }}
+ */
+export const getToolUsage = () => ({
+    recent: getRecentTools(),
+    favorites: getFavoriteTools(),
+    usageCounts: getUsageCounts(),
+});
+
+/**
+ * 记录一次工具访问：移到最近使用的最前面，并累加打开次数
+ * @param {string} toolId - 工具 ID
+ */
+export const recordToolVisit = (toolId) => {
+    const recent = getRecentTools().filter(id => id !== toolId);
+    writeJson(RECENT_KEY, [toolId, ...recent].slice(0, MAX_RECENT_TOOLS));
+
+    const counts = getUsageCounts();
+    writeJson(COUNTS_KEY, { ...counts, [toolId]: (counts[toolId] || 0) + 1 });
+    notify();
+};
+
+/**
+ * 切换工具的收藏状态
+ * @param {string} toolId - 工具 ID
+ * @returns {boolean} 切换后是否处于收藏状态
+ */
+export const toggleFavoriteTool = (toolId) => {
+    const favorites = getFavoriteTools();
+    const favorite = !favorites.includes(toolId);
+    writeJson(FAVORITES_KEY, favorite ? [...favorites, toolId] : favorites.filter(id => id !== toolId));
+    notify();
+    return favorite;
+};
+
+/**
+ * 导出使用记录
+ * @returns {Object} 可 JSON 序列化的导出数据
+ */
+export const exportToolUsage = () => ({
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...getToolUsage(),
+});
+
+/**
+ * 创建导入错误，code 用于界面显示对应语言的提示
+ */
+const importError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * 计算导入的使用记录与本地记录合并后的结果，不写入：
+ * 收藏取并集，最近使用以导入的为准再补充本地的，打开次数取两者的较大值（重复导入同一文件不会累加）
+ *
+ * @param {{ favorites?: string[], recent?: string[], usageCounts?: Object<string, number> }} usage - 导入的使用记录
+ * @returns {{ recent: string[], favorites: string[], usageCounts: Object<string, number> }}
+ * @throws {Error} 数据格式不正确时抛出，code 为 corrupted
+ */
+export const getMergedToolUsage = ({ favorites = [], recent = [], usageCounts = {} }) => {
+    if (!isIdList(favorites) || !isIdList(recent) || !isCountMap(usageCounts)) {
+        throw importError('corrupted', '使用记录文件内容已损坏');
+    }
+
+    const localFavorites = getFavoriteTools();
+    const counts = getUsageCounts();
+    Object.entries(usageCounts).forEach(([toolId, count]) => {
+        counts[toolId] = Math.max(counts[toolId] || 0, count);
+    });
+    return {
+        recent: [...new Set([...recent, ...getRecentTools()])].slice(0, MAX_RECENT_TOOLS),
+        favorites: [...localFavorites, ...favorites.filter(id => !localFavorites.includes(id))],
+        usageCounts: counts,
+    };
+};
+
+/**
+ * 将导入的使用记录与本地记录合并（规则见 getMergedToolUsage）
+ * @param {Object} usage - 导入的使用记录
+ * @throws {Error} 数据格式不正确时抛出，code 为 corrupted
+ */
+export const mergeToolUsage = (usage) => {
+    const merged = getMergedToolUsage(usage);
+    writeJson(FAVORITES_KEY, merged.favorites);
+    writeJson(RECENT_KEY, merged.recent);
+    writeJson(COUNTS_KEY, merged.usageCounts);
+    notify();
+};
+
+/**
+ * 导入使用记录，与本地记录合并（规则见 getMergedToolUsage）
+ *
+ * @param {Object} data - exportToolUsage 的输出
+ * @throws {Error} 数据格式不正确时抛出，code 为 invalidFile、unsupportedVersion 或 corrupted
+ */
+export const importToolUsage = (data) => {
+    if (!data || data.type !== EXPORT_TYPE) {
+        throw importError('invalidFile', '不是有效的工具使用记录文件');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw importError('unsupportedVersion', '文件版本过新，请升级后再导入');
+    }
+    mergeToolUsage(data);
+};
@@ -0,0 +1,320 @@
+/**
+ * 工作区导出与导入
+ * 将本地保存的设置、使用记录、流水线、JSON 查询、各工具的状态和标签页（包括 SQL 格式化配置、正则表达式、
+ * Cron 表达式等工具选项）以及可选的历史记录打包为一个 JSON 文件，用于迁移到其他设备或分享给同事。
+ *
+ * 文件格式（每个部分都可以省略）：
+ * {
+ *   type: 'devtools-workspace', version: 1, exportedAt,
+ *   settings: { theme, locale, shortcuts },     // shortcuts 只包含修改过的绑定
+ *   usage: { favorites, recent, usageCounts },
+ *   pipelines: [{ name, steps }],
+ *   queries: [{ name, language, query }],
+ *   tools: { <工具 ID>: { tabs: { tabs, activeId } | null, states: { <作用域>: { <状态名>: 值 } } } },
+ *   history: [{ toolId, value, createdAt }]
+ * }
+ *
+ * 导入分两步：previewWorkspaceImport 列出每一项与本地的差异，applyWorkspaceImport 只应用选中的项。
+ */
+import { LOCALES, getInitialLocale, saveLocale } from '../i18n';
+import { DEFAULT_SHORTCUTS } from '../config/shortcuts';
+import { readThemeSettings, writeThemeSettings, normalizeThemeSettings } from './themeSettings';
+import { getShortcutOverrides, setShortcutBindings } from './shortcuts';
+import { getToolUsage, getMergedToolUsage, mergeToolUsage } from './toolUsage';
+import { getSavedPipelines, writeSavedPipelines, isPipelineList } from './pipelines';
+import { getSavedQueries, writeSavedQueries, isSavedQueryList } from './savedQueries';
+import { readAllToolState, writeToolState } from './toolState';
+import { readAllToolTabs, writeToolTabs, removeToolTabs, getScopeToolId, isValidTabs } from './toolTabs';
+import { getAllHistory, getNewHistoryEntries, importHistory } from './history';
+
+const EXPORT_TYPE = 'devtools-workspace';
+const EXPORT_VERSION = 1;
+
+/**
+ * 工作区包含的部分，history 默认不导出
+ */
+export const WORKSPACE_SECTIONS = ['settings', 'usage', 'pipelines', 'queries', 'tools', 'history'];
+
+/**
+ * 创建导入错误，code 用于界面显示对应语言的提示
+ */
+const importError = (code, message) => Object.assign(new Error(message), { code });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 键按字母顺序序列化，用于比较内容是否相同（localStorage 中键的顺序不固定）
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const isSame = (a, b) => stableStringify(a) === stableStringify(b);
+
+/**
+ * 按工具分组本地保存的标签页和状态
+ * @returns {Object<string, { tabs: Object|null, states: Object }>}
+ */
+const readLocalTools = () => {
+    const tools = {};
+    const getTool = (toolId) => (tools[toolId] = tools[toolId] || { tabs: null, states: {} });
+    Object.entries(readAllToolTabs()).forEach(([toolId, tabs]) => {
+        getTool(toolId).tabs = tabs;
+    });
+    Object.entries(readAllToolState()).forEach(([scope, states]) => {
+        getTool(getScopeToolId(scope)).states[scope] = states;
+    });
+    return tools;
+};
+
+/**
+ * 导出工作区
+ * @param {string[]} [sections] - 导出的部分（见 WORKSPACE_SECTIONS），默认导出历史记录以外的所有部分
+ * @returns {Promise<Object>} 可 JSON 序列化的导出数据
+ */
+export const exportWorkspace = async (sections = WORKSPACE_SECTIONS.filter(section => section !== 'history')) => {
+    const data = {
+        type: EXPORT_TYPE,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+    };
+    if (sections.includes('settings')) {
+        data.settings = {
+            theme: readThemeSettings(),
+            locale: getInitialLocale(),
+            shortcuts: getShortcutOverrides(),
+        };
+    }
+    if (sections.includes('usage')) data.usage = getToolUsage();
+    if (sections.includes('pipelines')) data.pipelines = getSavedPipelines();
+    if (sections.includes('queries')) data.queries = getSavedQueries();
+    if (sections.includes('tools')) data.tools = readLocalTools();
+    if (sections.includes('history')) {
+        try {
+            const entries = await getAllHistory();
+            data.history = entries.map(({ toolId, value, createdAt }) => ({ toolId, value, createdAt }));
+        } catch {
+            // IndexedDB 不可用时没有历史记录
+            data.history = [];
+        }
+    }
+    return data;
+};
+
+/**
+ * 校验导入的数据，不合法时抛出错误
+ */
+const validateWorkspace = (data) => {
+    if (!isPlainObject(data) || data.type !== EXPORT_TYPE) {
+        throw importError('invalidFile', '不是有效的工作区文件');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw importError('unsupportedVersion', '文件版本过新，请升级后再导入');
+    }
+    const corrupted = () => importError('corrupted', '工作区文件内容已损坏');
+
+    const { settings, usage, pipelines, queries, tools, history } = data;
+    if (settings !== undefined) {
+        if (!isPlainObject(settings)) throw corrupted();
+        if (settings.theme !== undefined && !isPlainObject(settings.theme)) throw corrupted();
+        if (settings.locale !== undefined && !LOCALES.some(l => l.id === settings.locale)) throw corrupted();
+        if (settings.shortcuts !== undefined && (
+            !isPlainObject(settings.shortcuts) || Object.values(settings.shortcuts).some(combo => typeof combo !== 'string')
+        )) throw corrupted();
+    }
+    if (usage !== undefined) {
+        if (!isPlainObject(usage)) throw corrupted();
+        getMergedToolUsage(usage);
+    }
+    if (pipelines !== undefined && !isPipelineList(pipelines)) throw corrupted();
+    if (queries !== undefined && !isSavedQueryList(queries)) throw corrupted();
+    if (tools !== undefined) {
+        if (!isPlainObject(tools)) throw corrupted();
+        Object.entries(tools).forEach(([toolId, tool]) => {
+            if (!isPlainObject(tool) || !isPlainObject(tool.states)) throw corrupted();
+            if (tool.tabs != null && !isValidTabs(tool.tabs)) throw corrupted();
+            Object.entries(tool.states).forEach(([scope, states]) => {
+                if (getScopeToolId(scope) !== toolId || scope.includes(':') || !isPlainObject(states)) throw corrupted();
+            });
+        });
+    }
+    if (history !== undefined && (
+        !Array.isArray(history)
+        || !history.every(entry => typeof entry?.toolId === 'string' && Number.isFinite(entry.createdAt) && entry.value !== undefined)
+    )) throw corrupted();
+};
+
+/**
+ * 导入预览项
+ * @typedef {Object} WorkspaceItem
+ * @property {string} id - 预览项 ID，应用时用于选择
+ * @property {string} section - 所属部分（见 WORKSPACE_SECTIONS）
+ * @property {string} name - 设置名、流水线名、查询名或工具 ID
+ * @property {string} status - new: 本地没有 | changed: 将覆盖本地 | merge: 与本地合并 | same: 与本地相同
+ * @property {number} [count] - 流水线的步骤数、工具的标签页数或新增的历史记录数
+ */
+
+/**
+ * 预览导入：列出文件中的每一项及其与本地的差异
+ * @param {Object} data - exportWorkspace 的输出
+ * @returns {Promise<WorkspaceItem[]>}
+ * @throws {Error} 数据格式不正确时抛出，code 为 invalidFile、unsupportedVersion 或 corrupted
+ */
+export const previewWorkspaceImport = async (data) => {
+    validateWorkspace(data);
+    const items = [];
+    const compare = (local, incoming) => (isSame(local, incoming) ? 'same' : 'changed');
+
+    const { settings, usage, pipelines, queries, tools, history } = data;
+    if (settings?.theme !== undefined) {
+        items.push({
+            id: 'settings:theme',
+            section: 'settings',
+            name: 'theme',
+            status: compare(readThemeSettings(), normalizeThemeSettings(settings.theme)),
+        });
+    }
+    if (settings?.locale !== undefined) {
+        items.push({
+            id: 'settings:locale',
+            section: 'settings',
+            name: 'locale',
+            status: compare(getInitialLocale(), settings.locale),
+        });
+    }
+    if (settings?.shortcuts !== undefined) {
+        items.push({
+            id: 'settings:shortcuts',
+            section: 'settings',
+            name: 'shortcuts',
+            status: compare(getShortcutOverrides(), settings.shortcuts),
+        });
+    }
+
+    if (usage !== undefined) {
+        items.push({
+            id: 'usage',
+            section: 'usage',
+            name: 'usage',
+            status: isSame(getToolUsage(), getMergedToolUsage(usage)) ? 'same' : 'merge',
+            count: (usage.favorites || []).length,
+        });
+    }
+
+    const localPipelines = getSavedPipelines();
+    (pipelines || []).forEach((pipeline) => {
+        const local = localPipelines.find(item => item.name === pipeline.name);
+        items.push({
+            id: `pipeline:${pipeline.name}`,
+            section: 'pipelines',
+            name: pipeline.name,
+            status: local ? compare(local.steps, pipeline.steps) : 'new',
+            count: pipeline.steps.length,
+        });
+    });
+
+    const localQueries = getSavedQueries();
+    (queries || []).forEach((query) => {
+        const local = localQueries.find(item => item.name === query.name);
+        items.push({
+            id: `query:${query.name}`,
+            section: 'queries',
+            name: query.name,
+            status: local
+                ? compare({ language: local.language, query: local.query }, { language: query.language, query: query.query })
+                : 'new',
+        });
+    });
+
+    const localTools = readLocalTools();
+    Object.entries(tools || {}).forEach(([toolId, tool]) => {
+        const local = localTools[toolId];
+        items.push({
+            id: `tool:${toolId}`,
+            section: 'tools',
+            name: toolId,
+            status: local ? compare(local, { tabs: tool.tabs ?? null, states: tool.states }) : 'new',
+            count: tool.tabs ? tool.tabs.tabs.length : 1,
+        });
+    });
+
+    if (history && history.length > 0) {
+        let added = history;
+        try {
+            added = await getNewHistoryEntries(history);
+        } catch {
+            // IndexedDB 不可用时无法比较，按全部新增显示
+        }
+        const toolIds = [...new Set(history.map(entry => entry.toolId))];
+        toolIds.forEach((toolId) => {
+            const count = added.filter(entry => entry.toolId === toolId).length;
+            items.push({
+                id: `history:${toolId}`,
+                section: 'history',
+                name: toolId,
+                status: count > 0 ? 'merge' : 'same',
+                count,
+            });
+        });
+    }
+
+    return items;
+};
+
+/**
+ * 应用导入：只应用选中的预览项
+ * - 设置：覆盖本地设置
+ * - 使用记录：收藏取并集，打开次数取较大值
+ * - 流水线和查询：同名的覆盖，其他的追加
+ * - 工具：覆盖该工具在本地的所有标签页和状态
+ * - 历史记录：添加本地没有的记录
+ *
+ * @param {Object} data - exportWorkspace 的输出
+ * @param {string[]} itemIds - 选中的预览项 ID
+ * @returns {Promise<void>}
+ */
+export const applyWorkspaceImport = async (data, itemIds) => {
+    validateWorkspace(data);
+    const selected = new Set(itemIds);
+    const { settings, usage, pipelines, queries, tools, history } = data;
+
+    if (selected.has('settings:theme')) writeThemeSettings(normalizeThemeSettings(settings.theme));
+    if (selected.has('settings:locale')) saveLocale(settings.locale);
+    if (selected.has('settings:shortcuts')) setShortcutBindings({ ...DEFAULT_SHORTCUTS, ...settings.shortcuts });
+    if (selected.has('usage')) mergeToolUsage(usage);
+
+    const importedPipelines = (pipelines || []).filter(pipeline => selected.has(`pipeline:${pipeline.name}`));
+    if (importedPipelines.length > 0) {
+        const names = importedPipelines.map(pipeline => pipeline.name);
+        writeSavedPipelines([
+            ...getSavedPipelines().filter(pipeline => !names.includes(pipeline.name)),
+            ...importedPipelines,
+        ]);
+    }
+
+    const importedQueries = (queries || []).filter(query => selected.has(`query:${query.name}`));
+    if (importedQueries.length > 0) {
+        const names = importedQueries.map(query => query.name);
+        writeSavedQueries([
+            ...getSavedQueries().filter(query => !names.includes(query.name)),
+            ...importedQueries.map(({ name, language, query }) => ({ name, language, query })),
+        ]);
+    }
+
+    Object.entries(tools || {})
+        .filter(([toolId]) => selected.has(`tool:${toolId}`))
+        .forEach(([toolId, tool]) => {
+            removeToolTabs(toolId);
+            if (tool.tabs) writeToolTabs(toolId, tool.tabs);
+            Object.entries(tool.states).forEach(([scope, states]) => {
+                Object.entries(states).forEach(([key, value]) => writeToolState(scope, key, value));
+            });
+        });
+
+    const historyEntries = (history || []).filter(entry => selected.has(`history:${entry.toolId}`));
+    if (historyEntries.length > 0) await importHistory(historyEntries);
+};
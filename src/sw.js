@@ -0,0 +1,96 @@
+/**
+ * Service Worker
+ *
+ * 不会被打包进应用，构建时由 vite.config.js 中的 serviceWorker 插件填入预缓存清单后输出为 /sw.js：
+ * - 安装时预缓存应用外壳（index.html、入口脚本和样式）以及所有懒加载的工具分块
+ * - 页面导航始终返回缓存的 index.html，断网时也能打开任意工具路由
+ * - 同源静态资源优先读缓存，字体等第三方静态资源在首次使用后缓存
+ * - 新版本安装后进入等待状态，由页面提示用户刷新后再接管（见 hooks/useServiceWorker.js）
+ */
+
+/* global self, caches */
+
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const CACHE_VERSION = __CACHE_VERSION__;
+
+const PRECACHE_NAME = `devtools-precache-${CACHE_VERSION}`;
+const RUNTIME_NAME = 'devtools-runtime';
+
+/**
+ * 首次使用后缓存的第三方静态资源（Google Fonts）
+ */
+const RUNTIME_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('devtools-precache-') && name !== PRECACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 页面确认更新后再激活新版本，避免新旧分块混用
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * 优先读缓存，未命中时请求网络
+ */
+const cacheFirst = async (request) => {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+};
+
+/**
+ * 有缓存时立即返回并在后台更新，没有缓存时等待网络
+ */
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(RUNTIME_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            // 单页应用：所有路由都使用同一个 index.html
+            event.respondWith(
+                caches.match('/index.html').then(cached => cached || fetch(request))
+            );
+        } else {
+            event.respondWith(cacheFirst(request));
+        }
+        return;
+    }
+
+    if (RUNTIME_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // 其他跨域请求（如 IP 查询接口）不经过缓存
+});
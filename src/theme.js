@@ -1,232 +1,419 @@
-import { createTheme } from '@mui/material/styles';
+import { createTheme, alpha } from '@mui/material/styles';
+
+/**
+ * 可选的强调色，用于按钮、链接、选中状态和编辑器当前行等
+ */
+export const ACCENT_COLORS = [
+    { id: 'blue', main: '#0066FF', light: '#3385FF', dark: '#0052CC' },
+    { id: 'violet', main: '#7C3AED', light: '#9F67FF', dark: '#5B21B6' },
+    { id: 'green', main: '#059669', light: '#10B981', dark: '#047857' },
+    { id: 'orange', main: '#EA580C', light: '#FB923C', dark: '#C2410C' },
+    { id: 'pink', main: '#DB2777', light: '#F472B6', dark: '#BE185D' },
+];
+
+/**
+ * 可选的编辑器字体，用于代码编辑器和对比结果等等宽文本
+ */
+export const EDITOR_FONTS = [
+    { id: 'fira', family: "'Fira Code', 'Consolas', monospace" },
+    { id: 'jetbrains', family: "'JetBrains Mono', 'Consolas', monospace" },
+    { id: 'sourceCode', family: "'Source Code Pro', 'Consolas', monospace" },
+    { id: 'system', family: "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace" },
+];
+
+/**
+ * 可选的编辑器字号（px）
+ */
+export const EDITOR_FONT_SIZES = [12, 13, 14, 15, 16, 18];
+
+/**
+ * 默认主题设置
+ * - mode: light | dark | system（跟随系统）
+ * - highContrast: 高对比度
+ * - accent: 强调色 ID（见 ACCENT_COLORS）
+ * - editorFont: 编辑器字体 ID（见 EDITOR_FONTS）
+ * - editorFontSize: 编辑器字号
+ */
+export const DEFAULT_THEME_SETTINGS = {
+    mode: 'system',
+    highContrast: false,
+    accent: 'blue',
+    editorFont: 'fira',
+    editorFontSize: 14,
+};
+
+/**
+ * 基础配色：浅色/深色 × 普通/高对比度
+ * 高对比度使用纯黑白背景、更深的文字和明显的边框
+ */
+const BASE_COLORS = {
+    light: {
+        background: '#f5f5f7',
+        paper: '#ffffff',
+        text: '#18181b',
+        textSecondary: '#71717a',
+        secondary: '#52525b',
+        divider: '#e4e4e7',
+        separator: '#e4e4e7',
+        border: '#e4e4e7',
+        borderHover: '#d4d4d8',
+        subtle: '#fafafa',
+        scrollTrack: '#f4f4f5',
+        scrollThumb: '#d4d4d8',
+        scrollThumbHover: '#a1a1aa',
+    },
+    dark: {
+        background: '#27272a',
+        paper: '#3f3f46',
+        text: '#fafafa',
+        textSecondary: '#a1a1aa',
+        secondary: '#71717a',
+        divider: '#52525b',
+        separator: '#3f3f46',
+        border: '#52525b',
+        borderHover: '#71717a',
+        subtle: '#27272a',
+        scrollTrack: '#27272a',
+        scrollThumb: '#52525b',
+        scrollThumbHover: '#71717a',
+    },
+    highContrastLight: {
+        background: '#ffffff',
+        paper: '#ffffff',
+        text: '#000000',
+        textSecondary: '#3f3f46',
+        secondary: '#18181b',
+        divider: '#52525b',
+        separator: '#52525b',
+        border: '#18181b',
+        borderHover: '#000000',
+        subtle: '#f4f4f5',
+        scrollTrack: '#e4e4e7',
+        scrollThumb: '#52525b',
+        scrollThumbHover: '#18181b',
+    },
+    highContrastDark: {
+        background: '#000000',
+        paper: '#111111',
+        text: '#ffffff',
+        textSecondary: '#d4d4d8',
+        secondary: '#d4d4d8',
+        divider: '#a1a1aa',
+        separator: '#a1a1aa',
+        border: '#e4e4e7',
+        borderHover: '#ffffff',
+        subtle: '#000000',
+        scrollTrack: '#000000',
+        scrollThumb: '#a1a1aa',
+        scrollThumbHover: '#e4e4e7',
+    },
+};
+
+/**
+ * 对比结果的配色：新增为绿色，删除为红色
+ * - text: 文字颜色
+ * - background: 变更行和统计标签的背景
+ * - header: 输入面板标题栏的背景
+ * compare 为对比结果面板标题栏的背景
+ */
+const DIFF_COLORS = {
+    light: {
+        added: { text: '#15803d', background: 'rgba(34, 197, 94, 0.15)', header: 'rgba(34, 197, 94, 0.05)' },
+        removed: { text: '#dc2626', background: 'rgba(239, 68, 68, 0.15)', header: 'rgba(239, 68, 68, 0.05)' },
+        compare: 'rgba(99, 102, 241, 0.05)',
+    },
+    dark: {
+        added: { text: '#86efac', background: 'rgba(34, 197, 94, 0.25)', header: 'rgba(34, 197, 94, 0.1)' },
+        removed: { text: '#fca5a5', background: 'rgba(239, 68, 68, 0.25)', header: 'rgba(239, 68, 68, 0.1)' },
+        compare: 'rgba(99, 102, 241, 0.1)',
+    },
+    highContrastLight: {
+        added: { text: '#004d1a', background: 'rgba(22, 163, 74, 0.3)', header: 'rgba(22, 163, 74, 0.15)' },
+        removed: { text: '#8b0000', background: 'rgba(220, 38, 38, 0.3)', header: 'rgba(220, 38, 38, 0.15)' },
+        compare: 'rgba(79, 70, 229, 0.15)',
+    },
+    highContrastDark: {
+        added: { text: '#bbf7d0', background: 'rgba(34, 197, 94, 0.45)', header: 'rgba(34, 197, 94, 0.25)' },
+        removed: { text: '#fecaca', background: 'rgba(239, 68, 68, 0.45)', header: 'rgba(239, 68, 68, 0.25)' },
+        compare: 'rgba(129, 140, 248, 0.25)',
+    },
+};
+
+/**
+ * 配色表中的键：light | dark | highContrastLight | highContrastDark
+ */
+const getVariant = (mode, highContrast) => {
+    if (!highContrast) return mode;
+    return mode === 'dark' ? 'highContrastDark' : 'highContrastLight';
+};
 
 /**
  * 创建 MUI 主题配置
  * 设计风格：现代 SaaS 风格（Vercel/Linear/Stripe 美学）
- * 配色方案：黑白灰 + 蓝色强调色
- * 
- * @param {string} mode - 'light' 或 'dark' 模式
+ * 配色方案：黑白灰 + 可选强调色（默认蓝色），另有高对比度配色
+ *
+ * 除 MUI 的标准字段外，主题还包含：
+ * - palette.diff: 对比结果配色（见 DIFF_COLORS），对比类工具统一使用
+ * - editor: 代码编辑器样式 { fontFamily, fontSize, gutterBackground, activeLine, selection }
+ *
+ * @param {Object} options
+ * @param {string} options.mode - 'light' 或 'dark'（跟随系统时由调用方解析为实际模式）
+ * @param {boolean} [options.highContrast=false] - 高对比度
+ * @param {string} [options.accent] - 强调色 ID
+ * @param {string} [options.editorFont] - 编辑器字体 ID
+ * @param {number} [options.editorFontSize] - 编辑器字号
  * @returns {Object} MUI 主题对象
  */
-export const getTheme = (mode) => createTheme({
-    palette: {
-        mode,
-        primary: {
-            main: '#0066FF', // 品牌蓝色（仅用于 CTA）
-            light: '#3385FF',
-            dark: '#0052CC',
-            contrastText: '#ffffff',
-        },
-        secondary: {
-            main: mode === 'dark' ? '#71717a' : '#52525b', // 中性灰
-        },
-        background: {
-            // 浅色：纯白卡片 + 浅灰背景
-            // 深色：Zinc-700 卡片 + Zinc-800 背景（调亮后的版本）
-            default: mode === 'dark' ? '#27272a' : '#f5f5f7',
-            paper: mode === 'dark' ? '#3f3f46' : '#ffffff',
-        },
-        text: {
-            // 浅色：几乎黑色文字
-            // 深色：几乎白色文字
-            primary: mode === 'dark' ? '#fafafa' : '#18181b',
-            secondary: mode === 'dark' ? '#a1a1aa' : '#71717a',
-        },
-        divider: mode === 'dark' ? '#52525b' : '#e4e4e7',
-        success: {
-            main: '#22c55e',
-        },
-        error: {
-            main: '#ef4444',
-        },
-        warning: {
-            main: '#f59e0b',
-        },
-        info: {
-            main: '#0066FF',
-        },
-    },
-    typography: {
-        fontFamily: "'Inter', 'Noto Sans SC', 'system-ui', sans-serif",
-        h1: {
-            fontWeight: 700,
-            fontSize: '3.5rem',
-            letterSpacing: '-0.03em',
-            lineHeight: 1.1,
-        },
-        h2: {
-            fontWeight: 700,
-            fontSize: '2.25rem',
-            letterSpacing: '-0.02em',
-            lineHeight: 1.2,
-        },
-        h3: {
-            fontWeight: 600,
-            fontSize: '1.5rem',
-            letterSpacing: '-0.01em',
-        },
-        h4: {
-            fontWeight: 600,
-            fontSize: '1.25rem',
-        },
-        h5: {
-            fontWeight: 600,
-            fontSize: '1.125rem',
-        },
-        h6: {
-            fontWeight: 600,
-            fontSize: '1rem',
+export const getTheme = ({
+    mode,
+    highContrast = false,
+    accent = DEFAULT_THEME_SETTINGS.accent,
+    editorFont = DEFAULT_THEME_SETTINGS.editorFont,
+    editorFontSize = DEFAULT_THEME_SETTINGS.editorFontSize,
+}) => {
+    const variant = getVariant(mode, highContrast);
+    const colors = BASE_COLORS[variant];
+    const accentColor = ACCENT_COLORS.find(item => item.id === accent) || ACCENT_COLORS[0];
+    // 高对比度下强调色向背景的反方向加深/提亮，保证与背景的对比
+    const primaryMain = highContrast
+        ? (mode === 'dark' ? accentColor.light : accentColor.dark)
+        : accentColor.main;
+    const fontFamily = (EDITOR_FONTS.find(item => item.id === editorFont) || EDITOR_FONTS[0]).family;
+
+    return createTheme({
+        palette: {
+            mode,
+            primary: {
+                main: primaryMain, // 强调色（仅用于 CTA）
+                light: accentColor.light,
+                dark: accentColor.dark,
+                contrastText: highContrast && mode === 'dark' ? '#000000' : '#ffffff',
+            },
+            secondary: {
+                main: colors.secondary, // 中性灰
+            },
+            background: {
+                // 浅色：纯白卡片 + 浅灰背景
+                // 深色：Zinc-700 卡片 + Zinc-800 背景（调亮后的版本）
+                // 高对比度：纯白或纯黑背景
+                default: colors.background,
+                paper: colors.paper,
+            },
+            text: {
+                primary: colors.text,
+                secondary: colors.textSecondary,
+            },
+            divider: colors.divider,
+            success: {
+                main: '#22c55e',
+            },
+            error: {
+                main: '#ef4444',
+            },
+            warning: {
+                main: '#f59e0b',
+            },
+            info: {
+                main: primaryMain,
+            },
+            diff: DIFF_COLORS[variant],
         },
-        body1: {
-            fontSize: '1rem',
-            lineHeight: 1.75,
+        editor: {
+            fontFamily,
+            fontSize: editorFontSize,
+            gutterBackground: colors.subtle,
+            activeLine: alpha(primaryMain, highContrast ? 0.15 : (mode === 'dark' ? 0.1 : 0.05)),
+            selection: alpha(primaryMain, highContrast ? 0.4 : (mode === 'dark' ? 0.3 : 0.2)),
         },
-        body2: {
-            fontSize: '0.875rem',
-            lineHeight: 1.6,
+        typography: {
+            fontFamily: "'Inter', 'Noto Sans SC', 'system-ui', sans-serif",
+            h1: {
+                fontWeight: 700,
+                fontSize: '3.5rem',
+                letterSpacing: '-0.03em',
+                lineHeight: 1.1,
+            },
+            h2: {
+                fontWeight: 700,
+                fontSize: '2.25rem',
+                letterSpacing: '-0.02em',
+                lineHeight: 1.2,
+            },
+            h3: {
+                fontWeight: 600,
+                fontSize: '1.5rem',
+                letterSpacing: '-0.01em',
+            },
+            h4: {
+                fontWeight: 600,
+                fontSize: '1.25rem',
+            },
+            h5: {
+                fontWeight: 600,
+                fontSize: '1.125rem',
+            },
+            h6: {
+                fontWeight: 600,
+                fontSize: '1rem',
+            },
+            body1: {
+                fontSize: '1rem',
+                lineHeight: 1.75,
+            },
+            body2: {
+                fontSize: '0.875rem',
+                lineHeight: 1.6,
+            },
+            button: {
+                textTransform: 'none',
+                fontWeight: 500,
+                letterSpacing: '0.01em',
+            },
         },
-        button: {
-            textTransform: 'none',
-            fontWeight: 500,
-            letterSpacing: '0.01em',
+        shape: {
+            borderRadius: 12,
         },
-    },
-    shape: {
-        borderRadius: 12,
-    },
-    // 自定义阴影系统 - 极浅阴影
-    shadows: [
-        'none',
-        '0 1px 2px rgba(0, 0, 0, 0.03)',
-        '0 2px 4px rgba(0, 0, 0, 0.04)',
-        '0 2px 8px rgba(0, 0, 0, 0.04)',
-        '0 4px 8px rgba(0, 0, 0, 0.04)',
-        '0 4px 12px rgba(0, 0, 0, 0.05)',
-        '0 6px 12px rgba(0, 0, 0, 0.06)',
-        '0 8px 16px rgba(0, 0, 0, 0.06)',
-        '0 8px 20px rgba(0, 0, 0, 0.08)',
-        '0 12px 24px rgba(0, 0, 0, 0.08)',
-        ...Array(15).fill('0 16px 32px rgba(0, 0, 0, 0.1)'),
-    ],
-    components: {
-        MuiCssBaseline: {
-            styleOverrides: {
-                body: {
-                    scrollbarWidth: 'thin',
-                    '&::-webkit-scrollbar': {
-                        width: '8px',
-                        height: '8px',
-                    },
-                    '&::-webkit-scrollbar-track': {
-                        background: mode === 'dark' ? '#27272a' : '#f4f4f5',
-                    },
-                    '&::-webkit-scrollbar-thumb': {
-                        background: mode === 'dark' ? '#52525b' : '#d4d4d8',
-                        borderRadius: '4px',
-                    },
-                    '&::-webkit-scrollbar-thumb:hover': {
-                        background: mode === 'dark' ? '#71717a' : '#a1a1aa',
+        // 自定义阴影系统 - 极浅阴影
+        shadows: [
+            'none',
+            '0 1px 2px rgba(0, 0, 0, 0.03)',
+            '0 2px 4px rgba(0, 0, 0, 0.04)',
+            '0 2px 8px rgba(0, 0, 0, 0.04)',
+            '0 4px 8px rgba(0, 0, 0, 0.04)',
+            '0 4px 12px rgba(0, 0, 0, 0.05)',
+            '0 6px 12px rgba(0, 0, 0, 0.06)',
+            '0 8px 16px rgba(0, 0, 0, 0.06)',
+            '0 8px 20px rgba(0, 0, 0, 0.08)',
+            '0 12px 24px rgba(0, 0, 0, 0.08)',
+            ...Array(15).fill('0 16px 32px rgba(0, 0, 0, 0.1)'),
+        ],
+        components: {
+            MuiCssBaseline: {
+                styleOverrides: {
+                    body: {
+                        scrollbarWidth: 'thin',
+                        '&::-webkit-scrollbar': {
+                            width: '8px',
+                            height: '8px',
+                        },
+                        '&::-webkit-scrollbar-track': {
+                            background: colors.scrollTrack,
+                        },
+                        '&::-webkit-scrollbar-thumb': {
+                            background: colors.scrollThumb,
+                            borderRadius: '4px',
+                        },
+                        '&::-webkit-scrollbar-thumb:hover': {
+                            background: colors.scrollThumbHover,
+                        },
                     },
+                    // 高对比度下键盘焦点显示明显的轮廓
+                    ...(highContrast && {
+                        ':focus-visible': {
+                            outline: `2px solid ${primaryMain}`,
+                            outlineOffset: '2px',
+                        },
+                    }),
                 },
             },
-        },
-        MuiCard: {
-            styleOverrides: {
-                root: {
-                    borderRadius: 20, // 大圆角
-                    boxShadow: mode === 'dark'
-                        ? '0 2px 8px rgba(0, 0, 0, 0.3)'
-                        : '0 2px 8px rgba(0, 0, 0, 0.04)',
-                    border: mode === 'dark' ? '1px solid #52525b' : 'none',
-                    backgroundColor: mode === 'dark' ? '#3f3f46' : '#ffffff',
-                    transition: 'all 0.2s ease',
-                    '&:hover': {
-                        transform: 'translateY(-2px)',
+            MuiCard: {
+                styleOverrides: {
+                    root: {
+                        borderRadius: 20, // 大圆角
                         boxShadow: mode === 'dark'
-                            ? '0 4px 16px rgba(0, 0, 0, 0.4)'
-                            : '0 4px 12px rgba(0, 0, 0, 0.08)',
+                            ? '0 2px 8px rgba(0, 0, 0, 0.3)'
+                            : '0 2px 8px rgba(0, 0, 0, 0.04)',
+                        border: mode === 'dark' || highContrast ? `1px solid ${colors.border}` : 'none',
+                        backgroundColor: colors.paper,
+                        transition: 'all 0.2s ease',
+                        '&:hover': {
+                            transform: 'translateY(-2px)',
+                            boxShadow: mode === 'dark'
+                                ? '0 4px 16px rgba(0, 0, 0, 0.4)'
+                                : '0 4px 12px rgba(0, 0, 0, 0.08)',
+                        },
                     },
                 },
             },
-        },
-        MuiButton: {
-            styleOverrides: {
-                root: {
-                    borderRadius: 8,
-                    padding: '10px 20px',
-                    fontWeight: 500,
-                    fontSize: '0.9375rem',
-                },
-                contained: {
-                    boxShadow: 'none',
-                    '&:hover': {
+            MuiButton: {
+                styleOverrides: {
+                    root: {
+                        borderRadius: 8,
+                        padding: '10px 20px',
+                        fontWeight: 500,
+                        fontSize: '0.9375rem',
+                    },
+                    contained: {
                         boxShadow: 'none',
+                        '&:hover': {
+                            boxShadow: 'none',
+                        },
                     },
-                },
-                outlined: {
-                    borderWidth: '1px',
-                    borderColor: mode === 'dark' ? '#52525b' : '#e4e4e7',
-                    '&:hover': {
+                    outlined: {
                         borderWidth: '1px',
-                        backgroundColor: mode === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.02)',
+                        borderColor: colors.border,
+                        '&:hover': {
+                            borderWidth: '1px',
+                            backgroundColor: mode === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.02)',
+                        },
                     },
-                },
-                text: {
-                    color: mode === 'dark' ? '#a1a1aa' : '#71717a',
-                    '&:hover': {
-                        backgroundColor: mode === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.04)',
+                    text: {
+                        color: colors.textSecondary,
+                        '&:hover': {
+                            backgroundColor: mode === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.04)',
+                        },
                     },
                 },
             },
-        },
-        MuiPaper: {
-            styleOverrides: {
-                root: {
-                    backgroundImage: 'none',
+            MuiPaper: {
+                styleOverrides: {
+                    root: {
+                        backgroundImage: 'none',
+                    },
                 },
             },
-        },
-        MuiDrawer: {
-            styleOverrides: {
-                paper: {
-                    borderRight: mode === 'dark' ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+            MuiDrawer: {
+                styleOverrides: {
+                    paper: {
+                        borderRight: `1px solid ${colors.separator}`,
+                    },
                 },
             },
-        },
-        MuiListItemButton: {
-            styleOverrides: {
-                root: {
-                    borderRadius: 8,
-                    margin: '2px 8px',
-                    '&.Mui-selected': {
-                        backgroundColor: mode === 'dark' ? 'rgba(0, 102, 255, 0.15)' : 'rgba(0, 102, 255, 0.08)',
-                        '&:hover': {
-                            backgroundColor: mode === 'dark' ? 'rgba(0, 102, 255, 0.2)' : 'rgba(0, 102, 255, 0.12)',
+            MuiListItemButton: {
+                styleOverrides: {
+                    root: {
+                        borderRadius: 8,
+                        margin: '2px 8px',
+                        '&.Mui-selected': {
+                            backgroundColor: alpha(primaryMain, mode === 'dark' ? 0.15 : 0.08),
+                            '&:hover': {
+                                backgroundColor: alpha(primaryMain, mode === 'dark' ? 0.2 : 0.12),
+                            },
                         },
                     },
                 },
             },
-        },
-        MuiTextField: {
-            styleOverrides: {
-                root: {
-                    '& .MuiOutlinedInput-root': {
-                        '& fieldset': {
-                            borderColor: mode === 'dark' ? '#52525b' : '#e4e4e7',
-                        },
-                        '&:hover fieldset': {
-                            borderColor: mode === 'dark' ? '#71717a' : '#d4d4d8',
+            MuiTextField: {
+                styleOverrides: {
+                    root: {
+                        '& .MuiOutlinedInput-root': {
+                            '& fieldset': {
+                                borderColor: colors.border,
+                            },
+                            '&:hover fieldset': {
+                                borderColor: colors.borderHover,
+                            },
                         },
                     },
                 },
             },
-        },
-        MuiDivider: {
-            styleOverrides: {
-                root: {
-                    borderColor: mode === 'dark' ? '#3f3f46' : '#e4e4e7',
+            MuiDivider: {
+                styleOverrides: {
+                    root: {
+                        borderColor: colors.separator,
+                    },
                 },
             },
         },
-    },
-});
+    });
+};
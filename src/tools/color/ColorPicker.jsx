@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useCallback } from 'react';
 import {
     Box,
     Grid,
@@ -14,6 +14,8 @@ import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import RefreshIcon from '@mui/icons-material/Refresh';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 预设颜色调色板
@@ -36,11 +38,12 @@ const presetColors = [
  */
 function ColorPicker() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [hex, setHex] = useState('#0066FF');
-    const [rgb, setRgb] = useState({ r: 0, g: 102, b: 255 });
-    const [hsl, setHsl] = useState({ h: 216, s: 100, l: 50 });
+    const [hex, setHex] = useToolState('hex', '#0066FF');
+    const [rgb, setRgb] = useToolState('rgb', { r: 0, g: 102, b: 255 });
+    const [hsl, setHsl] = useToolState('hsl', { h: 216, s: 100, l: 50 });
 
     /**
      * HEX 转 RGB
@@ -203,8 +206,8 @@ function ColorPicker() {
 
     return (
         <ToolCard
-            title="颜色选择器"
-            description="选择颜色并在 HEX、RGB、HSL 格式之间互相转换"
+            title={t('colorPicker.title')}
+            description={t('colorPicker.description')}
             showToolbar={false}
         >
             <Grid container spacing={3}>
@@ -220,7 +223,7 @@ function ColorPicker() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            颜色预览
+                            {t('colorPicker.preview')}
                         </Typography>
 
                         {/* 颜色预览块 */}
@@ -258,7 +261,7 @@ function ColorPicker() {
                                 size="small"
                                 sx={{ fontFamily: 'Fira Code, monospace' }}
                             />
-                            <Tooltip title="随机颜色">
+                            <Tooltip title={t('colorPicker.random')}>
                                 <IconButton onClick={generateRandomColor}>
                                     <RefreshIcon />
                                 </IconButton>
@@ -267,7 +270,7 @@ function ColorPicker() {
 
                         {/* 预设颜色 */}
                         <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                            预设颜色
+                            {t('colorPicker.presets')}
                         </Typography>
                         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
                             {presetColors.map((color) => (
@@ -310,7 +313,7 @@ function ColorPicker() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            颜色格式
+                            {t('colorPicker.formats')}
                         </Typography>
 
                         {/* HEX */}
@@ -333,7 +336,7 @@ function ColorPicker() {
                                 <Typography sx={{ flex: 1, fontFamily: 'Fira Code, monospace' }}>
                                     {hexValue}
                                 </Typography>
-                                <Tooltip title="复制">
+                                <Tooltip title={t('common.copy')}>
                                     <IconButton size="small" onClick={() => copyToClipboard(hexValue)}>
                                         <ContentCopyIcon fontSize="small" />
                                     </IconButton>
@@ -362,7 +365,7 @@ function ColorPicker() {
                                 <Typography sx={{ flex: 1, fontFamily: 'Fira Code, monospace' }}>
                                     {rgbValue}
                                 </Typography>
-                                <Tooltip title="复制">
+                                <Tooltip title={t('common.copy')}>
                                     <IconButton size="small" onClick={() => copyToClipboard(rgbValue)}>
                                         <ContentCopyIcon fontSize="small" />
                                     </IconButton>
@@ -426,7 +429,7 @@ function ColorPicker() {
                                 <Typography sx={{ flex: 1, fontFamily: 'Fira Code, monospace' }}>
                                     {hslValue}
                                 </Typography>
-                                <Tooltip title="复制">
+                                <Tooltip title={t('common.copy')}>
                                     <IconButton size="small" onClick={() => copyToClipboard(hslValue)}>
                                         <ContentCopyIcon fontSize="small" />
                                     </IconButton>
@@ -434,7 +437,7 @@ function ColorPicker() {
                             </Box>
                             <Box sx={{ px: 1 }}>
                                 <Typography variant="caption" color="text.secondary">
-                                    色相 (H): {hsl.h}°
+                                    {t('colorPicker.hue')} (H): {hsl.h}°
                                 </Typography>
                                 <Slider
                                     value={hsl.h}
@@ -448,7 +451,7 @@ function ColorPicker() {
                                     }}
                                 />
                                 <Typography variant="caption" color="text.secondary">
-                                    饱和度 (S): {hsl.s}%
+                                    {t('colorPicker.saturation')} (S): {hsl.s}%
                                 </Typography>
                                 <Slider
                                     value={hsl.s}
@@ -457,7 +460,7 @@ function ColorPicker() {
                                     max={100}
                                 />
                                 <Typography variant="caption" color="text.secondary">
-                                    亮度 (L): {hsl.l}%
+                                    {t('colorPicker.lightness')} (L): {hsl.l}%
                                 </Typography>
                                 <Slider
                                     value={hsl.l}
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import {
     Box,
     Grid,
@@ -17,48 +17,41 @@ import {
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 
 import ToolCard from '../../components/ToolCard';
+import { useToolState } from '../../hooks/useToolState';
+import { useI18n } from '../../hooks/useI18n';
+import { buildCronExpression, parseCronExpression, describeCron } from '../../core/cron';
 
 /**
- * Cron 字段定义
+ * Cron 字段定义，名称见语言包 cronGenerator.fields
  */
 const cronFields = [
-    { id: 'minute', label: '分钟', min: 0, max: 59, options: ['*', '*/5', '*/10', '*/15', '*/30', '0', '30'] },
-    { id: 'hour', label: '小时', min: 0, max: 23, options: ['*', '*/2', '*/4', '*/6', '*/12', '0', '8', '12', '18'] },
-    { id: 'dayOfMonth', label: '日期', min: 1, max: 31, options: ['*', '1', '15', '1,15', 'L'] },
-    { id: 'month', label: '月份', min: 1, max: 12, options: ['*', '1', '3', '6', '9', '12', '1-6', '7-12'] },
-    { id: 'dayOfWeek', label: '星期', min: 0, max: 6, options: ['*', '0', '1-5', '6,0', '1', '2', '3', '4', '5'] },
+    { id: 'minute', min: 0, max: 59, options: ['*', '*/5', '*/10', '*/15', '*/30', '0', '30'] },
+    { id: 'hour', min: 0, max: 23, options: ['*', '*/2', '*/4', '*/6', '*/12', '0', '8', '12', '18'] },
+    { id: 'dayOfMonth', min: 1, max: 31, options: ['*', '1', '15', '1,15', 'L'] },
+    { id: 'month', min: 1, max: 12, options: ['*', '1', '3', '6', '9', '12', '1-6', '7-12'] },
+    { id: 'dayOfWeek', min: 0, max: 6, options: ['*', '0', '1-5', '6,0', '1', '2', '3', '4', '5'] },
 ];
 
 /**
- * 常用 Cron 表达式预设
+ * 常用 Cron 表达式预设，名称见语言包 cronGenerator.presets
  */
 const presets = [
-    { label: '每分钟', cron: '* * * * *' },
-    { label: '每 5 分钟', cron: '*/5 * * * *' },
-    { label: '每 15 分钟', cron: '*/15 * * * *' },
-    { label: '每 30 分钟', cron: '*/30 * * * *' },
-    { label: '每小时', cron: '0 * * * *' },
-    { label: '每 2 小时', cron: '0 */2 * * *' },
-    { label: '每天凌晨', cron: '0 0 * * *' },
-    { label: '每天早上 8 点', cron: '0 8 * * *' },
-    { label: '每天中午 12 点', cron: '0 12 * * *' },
-    { label: '每天晚上 6 点', cron: '0 18 * * *' },
-    { label: '工作日 9 点', cron: '0 9 * * 1-5' },
-    { label: '每周一凌晨', cron: '0 0 * * 1' },
-    { label: '每月 1 号凌晨', cron: '0 0 1 * *' },
-    { label: '每月 1 号和 15 号', cron: '0 0 1,15 * *' },
+    { id: 'everyMinute', cron: '* * * * *' },
+    { id: 'every5Minutes', cron: '*/5 * * * *' },
+    { id: 'every15Minutes', cron: '*/15 * * * *' },
+    { id: 'every30Minutes', cron: '*/30 * * * *' },
+    { id: 'everyHour', cron: '0 * * * *' },
+    { id: 'every2Hours', cron: '0 */2 * * *' },
+    { id: 'midnight', cron: '0 0 * * *' },
+    { id: 'morning', cron: '0 8 * * *' },
+    { id: 'noon', cron: '0 12 * * *' },
+    { id: 'evening', cron: '0 18 * * *' },
+    { id: 'weekdays', cron: '0 9 * * 1-5' },
+    { id: 'monday', cron: '0 0 * * 1' },
+    { id: 'firstOfMonth', cron: '0 0 1 * *' },
+    { id: 'twiceMonthly', cron: '0 0 1,15 * *' },
 ];
 
-/**
- * 星期名称映射
- */
-const dayNames = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
-
-/**
- * 月份名称映射
- */
-const monthNames = ['', '一月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '十一月', '十二月'];
-
 /**
  * Cron 表达式生成器
  * 
@@ -69,9 +62,10 @@ const monthNames = ['', '一月', '二月', '三月', '四月', '五月', '六
  */
 function CronGenerator() {
     const theme = useTheme();
+    const { locale, t } = useI18n();
 
     // 状态管理
-    const [values, setValues] = useState({
+    const [values, setValues] = useToolState('values', {
         minute: '0',
         hour: '*',
         dayOfMonth: '*',
@@ -82,80 +76,12 @@ function CronGenerator() {
     /**
      * 生成 Cron 表达式
      */
-    const cronExpression = useMemo(() => {
-        return `${values.minute} ${values.hour} ${values.dayOfMonth} ${values.month} ${values.dayOfWeek}`;
-    }, [values]);
+    const cronExpression = useMemo(() => buildCronExpression(values), [values]);
 
     /**
      * 解析 Cron 表达式为人类可读描述
      */
-    const description = useMemo(() => {
-        const { minute, hour, dayOfMonth, month, dayOfWeek } = values;
-        const parts = [];
-
-        // 分钟
-        if (minute === '*') {
-            parts.push('每分钟');
-        } else if (minute.startsWith('*/')) {
-            parts.push(`每 ${minute.slice(2)} 分钟`);
-        } else if (minute === '0') {
-            // 整点
-        } else {
-            parts.push(`在第 ${minute} 分钟`);
-        }
-
-        // 小时
-        if (hour === '*') {
-            if (minute !== '*' && !minute.startsWith('*/')) {
-                parts.push('每小时');
-            }
-        } else if (hour.startsWith('*/')) {
-            parts.push(`每 ${hour.slice(2)} 小时`);
-        } else {
-            parts.push(`${hour} 点`);
-        }
-
-        // 日期
-        if (dayOfMonth !== '*') {
-            if (dayOfMonth === 'L') {
-                parts.push('每月最后一天');
-            } else if (dayOfMonth.includes(',')) {
-                parts.push(`每月 ${dayOfMonth} 日`);
-            } else {
-                parts.push(`每月 ${dayOfMonth} 日`);
-            }
-        }
-
-        // 月份
-        if (month !== '*') {
-            if (month.includes('-')) {
-                const [start, end] = month.split('-');
-                parts.push(`${monthNames[parseInt(start)]}到${monthNames[parseInt(end)]}`);
-            } else if (month.includes(',')) {
-                parts.push(`${month.split(',').map(m => monthNames[parseInt(m)]).join('、')}`);
-            } else {
-                parts.push(`${monthNames[parseInt(month)]}`);
-            }
-        }
-
-        // 星期
-        if (dayOfWeek !== '*') {
-            if (dayOfWeek === '1-5') {
-                parts.push('工作日');
-            } else if (dayOfWeek === '6,0' || dayOfWeek === '0,6') {
-                parts.push('周末');
-            } else if (dayOfWeek.includes('-')) {
-                const [start, end] = dayOfWeek.split('-');
-                parts.push(`${dayNames[parseInt(start)]}到${dayNames[parseInt(end)]}`);
-            } else if (dayOfWeek.includes(',')) {
-                parts.push(`${dayOfWeek.split(',').map(d => dayNames[parseInt(d)]).join('、')}`);
-            } else {
-                parts.push(`${dayNames[parseInt(dayOfWeek)]}`);
-            }
-        }
-
-        return parts.join(' ') || '每分钟执行';
-    }, [values]);
+    const description = useMemo(() => describeCron(values, locale), [values, locale]);
 
     /**
      * 更新字段值
@@ -168,14 +94,7 @@ function CronGenerator() {
      * 应用预设
      */
     const applyPreset = (cron) => {
-        const parts = cron.split(' ');
-        setValues({
-            minute: parts[0] || '*',
-            hour: parts[1] || '*',
-            dayOfMonth: parts[2] || '*',
-            month: parts[3] || '*',
-            dayOfWeek: parts[4] || '*',
-        });
+        setValues(parseCronExpression(cron));
     };
 
     /**
@@ -191,8 +110,8 @@ function CronGenerator() {
 
     return (
         <ToolCard
-            title="Cron 表达式生成器"
-            description="可视化生成和解析 Cron 表达式，支持常用调度预设"
+            title={t('cronGenerator.title')}
+            description={t('cronGenerator.description')}
             showToolbar={false}
         >
             <Grid container spacing={3}>
@@ -209,9 +128,9 @@ function CronGenerator() {
                     >
                         <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
                             <Typography variant="body2" sx={{ opacity: 0.8 }}>
-                                Cron 表达式
+                                {t('cronGenerator.expression')}
                             </Typography>
-                            <Tooltip title="复制">
+                            <Tooltip title={t('common.copy')}>
                                 <IconButton size="small" sx={{ color: '#fff' }} onClick={copyToClipboard}>
                                     <ContentCopyIcon fontSize="small" />
                                 </IconButton>
@@ -242,13 +161,13 @@ function CronGenerator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                            常用预设
+                            {t('cronGenerator.presetsTitle')}
                         </Typography>
                         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
                             {presets.map((preset) => (
                                 <Chip
                                     key={preset.cron}
-                                    label={preset.label}
+                                    label={t(`cronGenerator.presets.${preset.id}`)}
                                     onClick={() => applyPreset(preset.cron)}
                                     variant={cronExpression === preset.cron ? 'filled' : 'outlined'}
                                     color={cronExpression === preset.cron ? 'primary' : 'default'}
@@ -271,17 +190,17 @@ function CronGenerator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            自定义配置
+                            {t('cronGenerator.custom')}
                         </Typography>
 
                         <Grid container spacing={2}>
                             {cronFields.map((field) => (
                                 <Grid item xs={12} sm={6} md={2.4} key={field.id}>
                                     <FormControl fullWidth size="small">
-                                        <InputLabel>{field.label}</InputLabel>
+                                        <InputLabel>{t(`cronGenerator.fields.${field.id}`)}</InputLabel>
                                         <Select
                                             value={values[field.id]}
-                                            label={field.label}
+                                            label={t(`cronGenerator.fields.${field.id}`)}
                                             onChange={(e) => handleFieldChange(field.id, e.target.value)}
                                         >
                                             {field.options.map((opt) => (
@@ -317,7 +236,7 @@ function CronGenerator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                            Cron 语法参考
+                            {t('cronGenerator.syntax')}
                         </Typography>
                         <Typography
                             variant="body2"
@@ -329,32 +248,32 @@ function CronGenerator() {
                                 borderRadius: 1,
                             }}
                         >
-                            ┌───────────── 分钟 (0 - 59)<br />
-                            │ ┌───────────── 小时 (0 - 23)<br />
-                            │ │ ┌───────────── 日期 (1 - 31)<br />
-                            │ │ │ ┌───────────── 月份 (1 - 12)<br />
-                            │ │ │ │ ┌───────────── 星期 (0 - 6，0=周日)<br />
+                            ┌───────────── {t('cronGenerator.fields.minute')} (0 - 59)<br />
+                            │ ┌───────────── {t('cronGenerator.fields.hour')} (0 - 23)<br />
+                            │ │ ┌───────────── {t('cronGenerator.fields.dayOfMonth')} (1 - 31)<br />
+                            │ │ │ ┌───────────── {t('cronGenerator.fields.month')} (1 - 12)<br />
+                            │ │ │ │ ┌───────────── {t('cronGenerator.fields.dayOfWeek')} (0 - 6{t('cronGenerator.sundayNote')})<br />
                             * * * * *
                         </Typography>
                         <Grid container spacing={2}>
                             <Grid item xs={6} md={3}>
                                 <Typography variant="body2" color="text.secondary">
-                                    <strong>*</strong> - 任意值
+                                    <strong>*</strong> - {t('cronGenerator.syntaxAny')}
                                 </Typography>
                             </Grid>
                             <Grid item xs={6} md={3}>
                                 <Typography variant="body2" color="text.secondary">
-                                    <strong>,</strong> - 多个值 (1,3,5)
+                                    <strong>,</strong> - {t('cronGenerator.syntaxList')} (1,3,5)
                                 </Typography>
                             </Grid>
                             <Grid item xs={6} md={3}>
                                 <Typography variant="body2" color="text.secondary">
-                                    <strong>-</strong> - 范围 (1-5)
+                                    <strong>-</strong> - {t('cronGenerator.syntaxRange')} (1-5)
                                 </Typography>
                             </Grid>
                             <Grid item xs={6} md={3}>
                                 <Typography variant="body2" color="text.secondary">
-                                    <strong>/</strong> - 步长 (*/5)
+                                    <strong>/</strong> - {t('cronGenerator.syntaxStep')} (*/5)
                                 </Typography>
                             </Grid>
                         </Grid>
@@ -21,23 +21,25 @@ import IconButton from '@mui/material/IconButton';
 import Tooltip from '@mui/material/Tooltip';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 权限角色定义
  */
 const roles = [
-    { id: 'owner', label: 'Owner (所有者)', icon: '👤' },
-    { id: 'group', label: 'Group (组)', icon: '👥' },
-    { id: 'public', label: 'Public (其他用户)', icon: '🌐' },
+    { id: 'owner', icon: '👤' },
+    { id: 'group', icon: '👥' },
+    { id: 'public', icon: '🌐' },
 ];
 
 /**
  * 权限类型定义
  */
 const permissions = [
-    { id: 'read', label: 'Read (读取)', value: 4, code: 'r' },
-    { id: 'write', label: 'Write (写入)', value: 2, code: 'w' },
-    { id: 'execute', label: 'Execute (执行)', value: 1, code: 'x' },
+    { id: 'read', value: 4, code: 'r' },
+    { id: 'write', value: 2, code: 'w' },
+    { id: 'execute', value: 1, code: 'x' },
 ];
 
 /**
@@ -45,9 +47,10 @@ const permissions = [
  */
 function ChmodCalculator() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态：owner, group, public 每组的 read, write, execute 状态
-    const [state, setState] = useState({
+    const [state, setState] = useToolState('state', {
         owner: { read: true, write: true, execute: false }, // 默认 6
         group: { read: true, write: false, execute: false }, // 默认 4
         public: { read: true, write: false, execute: false }, // 默认 4
@@ -130,8 +133,8 @@ function ChmodCalculator() {
 
     return (
         <ToolCard
-            title="Chmod 权限计算器"
-            description="Linux 文件权限计算，可视化转换 rwx 权限和八进制数值"
+            title={t('chmod.title')}
+            description={t('chmod.description')}
             showToolbar={false}
         >
             <Grid container spacing={3}>
@@ -150,10 +153,10 @@ function ChmodCalculator() {
                             <Table>
                                 <TableHead sx={{ backgroundColor: theme.palette.mode === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.02)' }}>
                                     <TableRow>
-                                        <TableCell>角色 / 权限</TableCell>
+                                        <TableCell>{t('chmod.rolePermission')}</TableCell>
                                         {permissions.map(perm => (
                                             <TableCell key={perm.id} align="center">
-                                                {perm.label} ({perm.value})
+                                                {t(`chmod.permissions.${perm.id}`)} ({perm.value})
                                             </TableCell>
                                         ))}
                                     </TableRow>
@@ -165,7 +168,7 @@ function ChmodCalculator() {
                                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                                                     <Typography fontSize="1.2rem">{role.icon}</Typography>
                                                     <Typography variant="body2" fontWeight={500}>
-                                                        {role.label}
+                                                        {t(`chmod.roles.${role.id}`)}
                                                     </Typography>
                                                 </Box>
                                             </TableCell>
@@ -199,23 +202,23 @@ function ChmodCalculator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            权限结果
+                            {t('chmod.result')}
                         </Typography>
 
                         {/* 八进制 */}
                         <Box sx={{ mb: 3 }}>
                             <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                Linux 权限值 (Octal)
+                                {t('chmod.octal')}
                             </Typography>
                             <TextField
                                 fullWidth
                                 value={octal}
                                 onChange={handleOctalChange}
-                                placeholder="例如 755"
+                                placeholder={t('chmod.octalPlaceholder')}
                                 inputProps={{ maxLength: 3 }}
                                 InputProps={{
                                     endAdornment: (
-                                        <Tooltip title="复制命令">
+                                        <Tooltip title={t('chmod.copyCommand')}>
                                             <IconButton onClick={() => copyToClipboard(`chmod ${octal} filename`)}>
                                                 <ContentCopyIcon fontSize="small" />
                                             </IconButton>
@@ -225,14 +228,14 @@ function ChmodCalculator() {
                                 }}
                             />
                             <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5, display: 'block' }}>
-                                命令: chmod {octal} filename
+                                {t('chmod.command', { octal })}
                             </Typography>
                         </Box>
 
                         {/* 符号表示 */}
                         <Box sx={{ mb: 3 }}>
                             <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                符号表示 (Symbolic)
+                                {t('chmod.symbolic')}
                             </Typography>
                             <Box
                                 sx={{
@@ -247,7 +250,7 @@ function ChmodCalculator() {
                                 }}
                             >
                                 <Box sx={{ flex: 1 }}>{symbolic}</Box>
-                                <Tooltip title="复制">
+                                <Tooltip title={t('common.copy')}>
                                     <IconButton size="small" onClick={() => copyToClipboard(symbolic)}>
                                         <ContentCopyIcon fontSize="small" />
                                     </IconButton>
@@ -256,26 +259,26 @@ function ChmodCalculator() {
                         </Box>
 
                         {/* 常见权限说明 */}
-                        <Typography variant="body2" fontWeight={500} sx={{ mb: 1 }}>常见权限：</Typography>
+                        <Typography variant="body2" fontWeight={500} sx={{ mb: 1 }}>{t('chmod.common')}</Typography>
                         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-                            <Tooltip title="所有者完全控制，其他人只读">
+                            <Tooltip title={t('chmod.presets.file.hint')}>
                                 <Box component="span" sx={{ cursor: 'pointer', border: `1px solid ${theme.palette.divider}`, px: 1, borderRadius: 1 }} onClick={() => handleOctalChange({ target: { value: '644' } })}>
-                                    644 (文件)
+                                    644 ({t('chmod.presets.file.label')})
                                 </Box>
                             </Tooltip>
-                            <Tooltip title="所有者完全控制，其他人读/执行">
+                            <Tooltip title={t('chmod.presets.directory.hint')}>
                                 <Box component="span" sx={{ cursor: 'pointer', border: `1px solid ${theme.palette.divider}`, px: 1, borderRadius: 1 }} onClick={() => handleOctalChange({ target: { value: '755' } })}>
-                                    755 (目录/脚本)
+                                    755 ({t('chmod.presets.directory.label')})
                                 </Box>
                             </Tooltip>
-                            <Tooltip title="所有人完全控制 (危险)">
+                            <Tooltip title={t('chmod.presets.open.hint')}>
                                 <Box component="span" sx={{ cursor: 'pointer', border: `1px solid ${theme.palette.divider}`, px: 1, borderRadius: 1 }} onClick={() => handleOctalChange({ target: { value: '777' } })}>
-                                    777 (全开)
+                                    777 ({t('chmod.presets.open.label')})
                                 </Box>
                             </Tooltip>
-                            <Tooltip title="仅所有者可读写">
+                            <Tooltip title={t('chmod.presets.private.hint')}>
                                 <Box component="span" sx={{ cursor: 'pointer', border: `1px solid ${theme.palette.divider}`, px: 1, borderRadius: 1 }} onClick={() => handleOctalChange({ target: { value: '600' } })}>
-                                    600 (私密)
+                                    600 ({t('chmod.presets.private.label')})
                                 </Box>
                             </Tooltip>
                         </Box>
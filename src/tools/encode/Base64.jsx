@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     Box,
     Grid,
@@ -16,6 +16,9 @@ import SwapVertIcon from '@mui/icons-material/SwapVert';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import { encodeBase64, decodeBase64 } from '../../core/base64';
 
 /**
  * Base64 编码/解码工具
@@ -28,10 +31,11 @@ import ToolCard from '../../components/ToolCard';
  */
 function Base64Tool() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [mode, setMode] = useState('encode'); // encode | decode
-    const [input, setInput] = useState('');
+    const [mode, setMode] = useToolState('mode', 'encode'); // encode | decode
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
     const [error, setError] = useState(null);
 
@@ -40,15 +44,10 @@ function Base64Tool() {
      */
     const encode = useCallback((text) => {
         try {
-            // 使用 TextEncoder 支持 UTF-8 中文
-            const encoder = new TextEncoder();
-            const bytes = encoder.encode(text);
-            const binString = Array.from(bytes, (byte) => String.fromCodePoint(byte)).join('');
-            const result = btoa(binString);
-            setOutput(result);
+            setOutput(encodeBase64(text));
             setError(null);
         } catch (err) {
-            setError('编码失败: ' + err.message);
+            setError({ key: 'codec.encodeFailed', message: err.message });
             setOutput('');
         }
     }, []);
@@ -58,36 +57,36 @@ function Base64Tool() {
      */
     const decode = useCallback((text) => {
         try {
-            const binString = atob(text);
-            const bytes = Uint8Array.from(binString, (char) => char.codePointAt(0));
-            const decoder = new TextDecoder();
-            const result = decoder.decode(bytes);
-            setOutput(result);
+            setOutput(decodeBase64(text));
             setError(null);
         } catch (err) {
-            setError('解码失败: 请确保输入的是有效的 Base64 字符串');
+            setError({ key: 'base64.decodeFailed' });
             setOutput('');
         }
     }, []);
 
     /**
-     * 处理输入变化
+     * 实时转换
      */
-    const handleInputChange = (e) => {
-        const value = e.target.value;
-        setInput(value);
-
-        if (!value.trim()) {
+    useEffect(() => {
+        if (!input.trim()) {
             setOutput('');
             setError(null);
             return;
         }
 
         if (mode === 'encode') {
-            encode(value);
+            encode(input);
         } else {
-            decode(value);
+            decode(input);
         }
+    }, [input, mode, encode, decode]);
+
+    /**
+     * 处理输入变化
+     */
+    const handleInputChange = (e) => {
+        setInput(e.target.value);
     };
 
     /**
@@ -108,15 +107,6 @@ function Base64Tool() {
     const handleSwap = () => {
         setInput(output);
         setMode(mode === 'encode' ? 'decode' : 'encode');
-
-        // 重新转换
-        if (output) {
-            if (mode === 'encode') {
-                decode(output);
-            } else {
-                encode(output);
-            }
-        }
     };
 
     /**
@@ -131,24 +121,28 @@ function Base64Tool() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Swap',
+            label: t('actions.swap'),
             icon: <SwapVertIcon fontSize="small" />,
+            shortcut: 'swap',
             onClick: handleSwap,
             disabled: !output,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="Base64 编码/解码"
-            description="将文本转换为 Base64 编码，或将 Base64 解码为原始文本，完全支持中文字符"
+            title={t('base64.title')}
+            description={t('base64.description')}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', mb: 3 }}>
@@ -156,15 +150,15 @@ function Base64Tool() {
                     value={mode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="编码模式"
+                    aria-label={t('codec.mode')}
                 >
-                    <ToggleButton value="encode" aria-label="编码">
+                    <ToggleButton value="encode" aria-label={t('codec.encode')}>
                         <LockIcon sx={{ mr: 1 }} fontSize="small" />
-                        编码 (Encode)
+                        {t('codec.encode')}
                     </ToggleButton>
-                    <ToggleButton value="decode" aria-label="解码">
+                    <ToggleButton value="decode" aria-label={t('codec.decode')}>
                         <LockOpenIcon sx={{ mr: 1 }} fontSize="small" />
-                        解码 (Decode)
+                        {t('codec.decode')}
                     </ToggleButton>
                 </ToggleButtonGroup>
             </Box>
@@ -172,7 +166,7 @@ function Base64Tool() {
             {/* 错误提示 */}
             {error && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t(error.key, { message: error.message })}
                 </Alert>
             )}
 
@@ -200,7 +194,7 @@ function Base64Tool() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                {mode === 'encode' ? '原始文本' : 'Base64 字符串'}
+                                {mode === 'encode' ? t('codec.originalText') : t('base64.encodedText')}
                             </Typography>
                         </Box>
                         <TextField
@@ -210,8 +204,8 @@ function Base64Tool() {
                             value={input}
                             onChange={handleInputChange}
                             placeholder={mode === 'encode'
-                                ? '输入要编码的文本，例如：Hello World 你好世界'
-                                : '输入 Base64 字符串，例如：SGVsbG8gV29ybGQ='
+                                ? t('base64.encodePlaceholder')
+                                : t('base64.decodePlaceholder')
                             }
                             variant="standard"
                             InputProps={{
@@ -248,7 +242,7 @@ function Base64Tool() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                {mode === 'encode' ? 'Base64 编码结果' : '解码后的文本'}
+                                {mode === 'encode' ? t('base64.encodeResult') : t('codec.decodedText')}
                             </Typography>
                         </Box>
                         <TextField
@@ -256,7 +250,7 @@ function Base64Tool() {
                             multiline
                             rows={12}
                             value={output}
-                            placeholder="转换结果将显示在这里..."
+                            placeholder={t('codec.resultPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 readOnly: true,
@@ -278,8 +272,7 @@ function Base64Tool() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>Base64 是一种将二进制数据编码为 ASCII 字符串的方法，常用于在文本协议中传输二进制数据（如图片、文件）。
-                    本工具完全支持 UTF-8 编码的中文字符。
+                    💡 <strong>{t('common.tipLabel')}</strong>{t('base64.tip')}
                 </Typography>
             </Box>
         </ToolCard>
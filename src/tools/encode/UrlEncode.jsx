@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     Box,
     Grid,
@@ -16,6 +16,9 @@ import SwapVertIcon from '@mui/icons-material/SwapVert';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import { encodeUrl, decodeUrl } from '../../core/url';
 
 /**
  * URL 编码/解码工具
@@ -28,11 +31,12 @@ import ToolCard from '../../components/ToolCard';
  */
 function UrlEncode() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [mode, setMode] = useState('encode'); // encode | decode
-    const [encodeType, setEncodeType] = useState('component'); // component | uri
-    const [input, setInput] = useState('');
+    const [mode, setMode] = useToolState('mode', 'encode'); // encode | decode
+    const [encodeType, setEncodeType] = useToolState('encodeType', 'component'); // component | uri
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
     const [error, setError] = useState(null);
 
@@ -41,13 +45,10 @@ function UrlEncode() {
      */
     const encode = useCallback((text, type) => {
         try {
-            const result = type === 'component'
-                ? encodeURIComponent(text)
-                : encodeURI(text);
-            setOutput(result);
+            setOutput(encodeUrl(text, type));
             setError(null);
         } catch (err) {
-            setError('编码失败: ' + err.message);
+            setError({ key: 'codec.encodeFailed', message: err.message });
             setOutput('');
         }
     }, []);
@@ -57,35 +58,36 @@ function UrlEncode() {
      */
     const decode = useCallback((text, type) => {
         try {
-            const result = type === 'component'
-                ? decodeURIComponent(text)
-                : decodeURI(text);
-            setOutput(result);
+            setOutput(decodeUrl(text, type));
             setError(null);
         } catch (err) {
-            setError('解码失败: 请确保输入的是有效的 URL 编码字符串');
+            setError({ key: 'urlEncode.decodeFailed' });
             setOutput('');
         }
     }, []);
 
     /**
-     * 处理输入变化
+     * 实时转换
      */
-    const handleInputChange = (e) => {
-        const value = e.target.value;
-        setInput(value);
-
-        if (!value.trim()) {
+    useEffect(() => {
+        if (!input.trim()) {
             setOutput('');
             setError(null);
             return;
         }
 
         if (mode === 'encode') {
-            encode(value, encodeType);
+            encode(input, encodeType);
         } else {
-            decode(value, encodeType);
+            decode(input, encodeType);
         }
+    }, [input, mode, encodeType, encode, decode]);
+
+    /**
+     * 处理输入变化
+     */
+    const handleInputChange = (e) => {
+        setInput(e.target.value);
     };
 
     /**
@@ -106,13 +108,6 @@ function UrlEncode() {
     const handleEncodeTypeChange = (_, newType) => {
         if (newType !== null) {
             setEncodeType(newType);
-            if (input) {
-                if (mode === 'encode') {
-                    encode(input, newType);
-                } else {
-                    decode(input, newType);
-                }
-            }
         }
     };
 
@@ -122,14 +117,6 @@ function UrlEncode() {
     const handleSwap = () => {
         setInput(output);
         setMode(mode === 'encode' ? 'decode' : 'encode');
-
-        if (output) {
-            if (mode === 'encode') {
-                decode(output, encodeType);
-            } else {
-                encode(output, encodeType);
-            }
-        }
     };
 
     /**
@@ -144,24 +131,28 @@ function UrlEncode() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Swap',
+            label: t('actions.swap'),
             icon: <SwapVertIcon fontSize="small" />,
+            shortcut: 'swap',
             onClick: handleSwap,
             disabled: !output,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="URL 编码/解码"
-            description="对 URL 参数或完整 URL 进行编码和解码，支持中文和特殊字符"
+            title={t('urlEncode.title')}
+            description={t('urlEncode.description')}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
@@ -169,16 +160,16 @@ function UrlEncode() {
                     value={mode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="编码模式"
+                    aria-label={t('codec.mode')}
                     size="small"
                 >
-                    <ToggleButton value="encode" aria-label="编码">
+                    <ToggleButton value="encode" aria-label={t('codec.encode')}>
                         <LinkIcon sx={{ mr: 1 }} fontSize="small" />
-                        编码 (Encode)
+                        {t('codec.encode')}
                     </ToggleButton>
-                    <ToggleButton value="decode" aria-label="解码">
+                    <ToggleButton value="decode" aria-label={t('codec.decode')}>
                         <LinkOffIcon sx={{ mr: 1 }} fontSize="small" />
-                        解码 (Decode)
+                        {t('codec.decode')}
                     </ToggleButton>
                 </ToggleButtonGroup>
 
@@ -186,14 +177,14 @@ function UrlEncode() {
                     value={encodeType}
                     exclusive
                     onChange={handleEncodeTypeChange}
-                    aria-label="编码类型"
+                    aria-label={t('urlEncode.type')}
                     size="small"
                 >
-                    <ToggleButton value="component" aria-label="参数编码">
-                        参数 (Component)
+                    <ToggleButton value="component" aria-label={t('urlEncode.component')}>
+                        {t('urlEncode.component')}
                     </ToggleButton>
-                    <ToggleButton value="uri" aria-label="完整URL">
-                        完整URL (URI)
+                    <ToggleButton value="uri" aria-label={t('urlEncode.uri')}>
+                        {t('urlEncode.uri')}
                     </ToggleButton>
                 </ToggleButtonGroup>
             </Box>
@@ -201,7 +192,7 @@ function UrlEncode() {
             {/* 错误提示 */}
             {error && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t(error.key, { message: error.message })}
                 </Alert>
             )}
 
@@ -229,7 +220,7 @@ function UrlEncode() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                {mode === 'encode' ? '原始文本' : 'URL 编码字符串'}
+                                {mode === 'encode' ? t('codec.originalText') : t('urlEncode.encodedText')}
                             </Typography>
                         </Box>
                         <TextField
@@ -239,8 +230,8 @@ function UrlEncode() {
                             value={input}
                             onChange={handleInputChange}
                             placeholder={mode === 'encode'
-                                ? '输入要编码的文本，例如：hello world 你好&name=test'
-                                : '输入 URL 编码字符串，例如：hello%20world%20%E4%BD%A0%E5%A5%BD'
+                                ? t('urlEncode.encodePlaceholder')
+                                : t('urlEncode.decodePlaceholder')
                             }
                             variant="standard"
                             InputProps={{
@@ -277,7 +268,7 @@ function UrlEncode() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                {mode === 'encode' ? 'URL 编码结果' : '解码后的文本'}
+                                {mode === 'encode' ? t('urlEncode.encodeResult') : t('codec.decodedText')}
                             </Typography>
                         </Box>
                         <TextField
@@ -285,7 +276,7 @@ function UrlEncode() {
                             multiline
                             rows={10}
                             value={output}
-                            placeholder="转换结果将显示在这里..."
+                            placeholder={t('codec.resultPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 readOnly: true,
@@ -307,11 +298,11 @@ function UrlEncode() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary" paragraph>
-                    💡 <strong>编码类型说明：</strong>
+                    💡 <strong>{t('urlEncode.typesTitle')}</strong>
                 </Typography>
                 <Typography variant="body2" color="text.secondary" component="ul" sx={{ pl: 3 }}>
-                    <li><strong>参数 (Component)：</strong>对 URL 参数值进行编码，会编码所有特殊字符（包括 =, &, /, ? 等）。适用于 URL 查询参数。</li>
-                    <li><strong>完整 URL (URI)：</strong>对完整 URL 进行编码，保留 URL 结构字符（如 /, ?, #, & 等）。适用于编码整个 URL。</li>
+                    <li><strong>{t('urlEncode.componentLabel')}</strong>{t('urlEncode.componentTip')}</li>
+                    <li><strong>{t('urlEncode.uriLabel')}</strong>{t('urlEncode.uriTip')}</li>
                 </Typography>
             </Box>
         </ToolCard>
@@ -1,15 +1,19 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { Box, Grid, Paper, Typography, useTheme, Alert, Tabs, Tab } from '@mui/material';
 import { useSearchParams } from 'react-router-dom';
 import FormatAlignLeftIcon from '@mui/icons-material/FormatAlignLeft';
 import CompressIcon from '@mui/icons-material/Compress';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
-import { html as beautifyHtml, css as beautifyCss, js as beautifyJs } from 'js-beautify';
-import yaml from 'js-yaml';
-import { format as formatSql } from 'sql-formatter';
+import ManageSearchIcon from '@mui/icons-material/ManageSearch';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
+import JsonQueryPanel from '../../components/JsonQueryPanel';
+import TaskProgress from '../../components/TaskProgress';
+import { useWorkerTask } from '../../hooks/useWorkerTask';
+import { formatCode, minifyCode, isLargeInput } from '../../core/codeFormat';
 
 /**
  * 格式化类型配置
@@ -24,6 +28,14 @@ const formatTypes = [
     { id: 'sql', label: 'SQL', language: 'sql' },
 ];
 
+/**
+ * 各操作的提示文案：输入为空、处理失败
+ */
+const ACTION_MESSAGES = {
+    format: { empty: 'multiFormat.emptyFormat', failed: 'multiFormat.formatFailed' },
+    minify: { empty: 'multiFormat.emptyMinify', failed: 'multiFormat.minifyFailed' },
+};
+
 /**
  * 多格式化工具
  * 
@@ -35,9 +47,12 @@ const formatTypes = [
  * - JSON 格式化/压缩
  * - YAML 格式化
  * - SQL 格式化/压缩
+ * - JSON 标签页提供查询面板（JSONPath、JMESPath、jq），匹配的节点在输入中标出
+ * - 大文件在 Worker 中处理，显示进度并可取消
  */
 function MultiFormat() {
     const theme = useTheme();
+    const { t } = useI18n();
     const [searchParams, setSearchParams] = useSearchParams();
 
     // 状态管理
@@ -58,172 +73,59 @@ function MultiFormat() {
         }
     }, [searchParams]);
 
-    const [input, setInput] = useState('');
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
     const [error, setError] = useState(null);
+    const { run: runTask, cancel: cancelTask, task } = useWorkerTask();
+    const [queryOpen, setQueryOpen] = useToolState('queryOpen', false);
+    // 查询匹配的节点在输入中的范围
+    const [queryHighlights, setQueryHighlights] = useState([]);
 
     const currentType = formatTypes[activeTab];
+    const isJson = currentType.id === 'json';
 
     /**
-     * 格式化代码
+     * 格式化或压缩代码，大文件在 Worker 中处理
+     * @param {string} action - format | minify
      */
-    const handleFormat = useCallback(() => {
+    const runAction = useCallback(async (action) => {
+        const keys = ACTION_MESSAGES[action];
         if (!input.trim()) {
-            setError('请输入要格式化的代码');
+            setError({ key: keys.empty });
             return;
         }
 
         try {
-            let result = '';
-            const options = {
-                indent_size: 2,
-                indent_char: ' ',
-                max_preserve_newlines: 2,
-                preserve_newlines: true,
-                wrap_line_length: 0,
-            };
-
-            switch (currentType.id) {
-                case 'html':
-                case 'xml':
-                    result = beautifyHtml(input, {
-                        ...options,
-                        indent_inner_html: true,
-                        unformatted: [],
-                        content_unformatted: ['pre', 'code'],
-                    });
-                    break;
-                case 'css':
-                    result = beautifyCss(input, {
-                        ...options,
-                        selector_separator_newline: true,
-                        newline_between_rules: true,
-                    });
-                    break;
-                case 'javascript':
-                    result = beautifyJs(input, {
-                        ...options,
-                        space_in_empty_paren: false,
-                        brace_style: 'collapse',
-                    });
-                    break;
-                case 'json':
-                    try {
-                        const jsonObj = JSON.parse(input);
-                        result = JSON.stringify(jsonObj, null, 2);
-                    } catch (e) {
-                        throw new Error('无效的 JSON 格式: ' + e.message);
-                    }
-                    break;
-                case 'yaml':
-                    try {
-                        const yamlObj = yaml.load(input);
-                        result = yaml.dump(yamlObj, {
-                            indent: 2,
-                            lineWidth: -1,
-                            noRefs: true,
-                        });
-                    } catch (e) {
-                        throw new Error('无效的 YAML 格式: ' + e.message);
-                    }
-                    break;
-                case 'sql':
-                    result = formatSql(input, {
-                        language: 'sql',
-                        keywordCase: 'upper',
-                        indentStyle: 'standard',
-                        logicalOperatorNewline: 'before',
-                    });
-                    break;
-                default:
-                    result = input;
-            }
-
+            const result = isLargeInput(input)
+                ? (await runTask(`codeFormat/${action}`, { type: currentType.id, text: input })).result
+                : (action === 'minify' ? minifyCode : formatCode)(currentType.id, input);
             setOutput(result);
             setError(null);
         } catch (err) {
-            setError('格式化失败: ' + err.message);
+            if (err.code === 'cancelled') return;
+            setError({ key: keys.failed, message: err.message, syntaxType: err.syntaxType, diagnostic: err.diagnostic });
             setOutput('');
         }
-    }, [input, currentType]);
+    }, [input, currentType, runTask]);
 
     /**
-     * 压缩代码
+     * 格式化代码
      */
-    const handleMinify = useCallback(() => {
-        if (!input.trim()) {
-            setError('请输入要压缩的代码');
-            return;
-        }
+    const handleFormat = useCallback(() => runAction('format'), [runAction]);
 
-        try {
-            let result = input;
-
-            switch (currentType.id) {
-                case 'html':
-                case 'xml':
-                    // 移除注释、多余空格
-                    result = result.replace(/<!--[\s\S]*?-->/g, ''); // 移除注释
-                    result = result.replace(/>\s+</g, '><'); // 移除标签间空白
-                    result = result.replace(/\s+/g, ' '); // 多空格变单空格
-                    result = result.trim();
-                    break;
-                case 'css':
-                    result = result.replace(/\/\*[\s\S]*?\*\//g, ''); // 移除注释
-                    result = result.replace(/\s+/g, ' '); // 多空格变单空格
-                    result = result.replace(/\s*([{}:;,])\s*/g, '$1'); // 移除符号周围空格
-                    result = result.replace(/;}/g, '}'); // 移除最后的分号
-                    result = result.trim();
-                    break;
-                case 'javascript':
-                    // 简单压缩（不是完整的 minifier）
-                    result = result.replace(/\/\/.*$/gm, ''); // 移除单行注释
-                    result = result.replace(/\/\*[\s\S]*?\*\//g, ''); // 移除多行注释
-                    result = result.replace(/\s+/g, ' '); // 多空格变单空格
-                    result = result.replace(/\s*([{}();,:])\s*/g, '$1'); // 移除符号周围空格
-                    result = result.trim();
-                    break;
-                case 'json':
-                    try {
-                        const jsonObj = JSON.parse(input);
-                        result = JSON.stringify(jsonObj);
-                    } catch (e) {
-                        throw new Error('无效的 JSON 格式: ' + e.message);
-                    }
-                    break;
-                case 'yaml':
-                    try {
-                        const yamlObj = yaml.load(input);
-                        result = JSON.stringify(yamlObj); // YAML 压缩通常转为 JSON
-                    } catch (e) {
-                        throw new Error('无效的 YAML 格式: ' + e.message);
-                    }
-                    break;
-                case 'sql':
-                    result = result
-                        .replace(/\s+/g, ' ')
-                        .replace(/\s*\(\s*/g, '(')
-                        .replace(/\s*\)\s*/g, ')')
-                        .replace(/\s*,\s*/g, ', ')
-                        .replace(/\s*;\s*/g, '; ')
-                        .trim();
-                    break;
-                default:
-                    result = result.replace(/\s+/g, ' ').trim();
-            }
+    /**
+     * 压缩代码
+     */
+    const handleMinify = useCallback(() => runAction('minify'), [runAction]);
 
-            setOutput(result);
-            setError(null);
-        } catch (err) {
-            setError('压缩失败: ' + err.message);
-            setOutput('');
-        }
-    }, [input, currentType]);
+    // 输入编辑器中标出的语法错误
+    const diagnostics = useMemo(() => (error?.diagnostic ? [error.diagnostic] : []), [error]);
 
     /**
      * 清空
      */
     const handleClear = useCallback(() => {
+        cancelTask();
         setInput('');
         setOutput('');
         setError(null);
@@ -233,6 +135,7 @@ function MultiFormat() {
      * 切换标签
      */
     const handleTabChange = (_, newValue) => {
+        cancelTask();
         setActiveTab(newValue);
         setSearchParams({ type: formatTypes[newValue].id });
         setInput('');
@@ -243,18 +146,28 @@ function MultiFormat() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Format',
+            label: t('actions.format'),
             icon: <FormatAlignLeftIcon fontSize="small" />,
+            shortcut: 'format',
             onClick: handleFormat,
         },
         {
-            label: 'Minify',
+            label: t('actions.minify'),
             icon: <CompressIcon fontSize="small" />,
+            shortcut: 'minify',
             onClick: handleMinify,
         },
+        // 查询只用于 JSON
+        ...(isJson ? [{
+            label: t('jsonQuery.toggle'),
+            icon: <ManageSearchIcon fontSize="small" />,
+            variant: queryOpen ? 'contained' : 'outlined',
+            onClick: () => setQueryOpen(!queryOpen),
+        }] : []),
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
@@ -272,10 +185,12 @@ function MultiFormat() {
 
     return (
         <ToolCard
-            title="代码格式化"
-            description={`美化和压缩 ${currentType.label} 代码，提高代码可读性`}
+            title={t('multiFormat.title')}
+            description={t('multiFormat.description', { type: currentType.label })}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 类型选择 */}
             <Tabs
@@ -294,13 +209,23 @@ function MultiFormat() {
                 ))}
             </Tabs>
 
-            {/* 错误提示 */}
-            {error && (
+            {/* 大文件处理进度 */}
+            <TaskProgress task={task} onCancel={cancelTask} />
+
+            {/* 错误提示，能定位的错误显示在输入编辑器中 */}
+            {error && !error.diagnostic && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t(error.key, {
+                        message: error.syntaxType
+                            ? t('multiFormat.invalidSyntax', { type: error.syntaxType, message: error.message })
+                            : error.message,
+                    })}
                 </Alert>
             )}
 
+            {/* 查询面板 */}
+            {isJson && queryOpen && <JsonQueryPanel input={input} onHighlightsChange={setQueryHighlights} />}
+
             {/* 双栏编辑器 */}
             <Grid container spacing={2}>
                 {/* 输入区域 */}
@@ -325,15 +250,17 @@ function MultiFormat() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入 {currentType.label}
+                                {t('multiFormat.input', { type: currentType.label })}
                             </Typography>
                         </Box>
                         <CodeEditor
                             value={input}
                             onChange={setInput}
                             language={currentType.language}
-                            placeholder={`输入 ${currentType.label} 代码，例如：\n${placeholders[currentType.id]}`}
+                            placeholder={`${t('multiFormat.inputPlaceholder', { type: currentType.label })}\n${placeholders[currentType.id]}`}
                             height="400px"
+                            diagnostics={diagnostics}
+                            highlights={isJson ? queryHighlights : undefined}
                         />
                     </Paper>
                 </Grid>
@@ -360,13 +287,13 @@ function MultiFormat() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输出结果
+                                {t('multiFormat.output')}
                             </Typography>
                         </Box>
                         <CodeEditor
                             value={output}
                             language={currentType.language}
-                            placeholder="格式化后的代码将显示在这里..."
+                            placeholder={t('multiFormat.outputPlaceholder')}
                             height="400px"
                             readOnly
                         />
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useMemo } from 'react';
 import {
     Box,
     Grid,
@@ -12,19 +12,22 @@ import {
     Tooltip,
 } from '@mui/material';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
-import CryptoJS from 'crypto-js';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import { useWorkerResult } from '../../hooks/useWorkerTask';
+import TaskProgress from '../../components/TaskProgress';
 
 /**
- * 支持的哈希算法
+ * 支持的哈希算法，计算在后台任务 Worker 中进行（见 hash.tasks.js）
  */
 const hashAlgorithms = [
-    { id: 'md5', name: 'MD5', fn: (text) => CryptoJS.MD5(text).toString() },
-    { id: 'sha1', name: 'SHA-1', fn: (text) => CryptoJS.SHA1(text).toString() },
-    { id: 'sha256', name: 'SHA-256', fn: (text) => CryptoJS.SHA256(text).toString() },
-    { id: 'sha512', name: 'SHA-512', fn: (text) => CryptoJS.SHA512(text).toString() },
-    { id: 'sha3', name: 'SHA-3', fn: (text) => CryptoJS.SHA3(text).toString() },
+    { id: 'md5', name: 'MD5' },
+    { id: 'sha1', name: 'SHA-1' },
+    { id: 'sha256', name: 'SHA-256' },
+    { id: 'sha512', name: 'SHA-512' },
+    { id: 'sha3', name: 'SHA-3' },
 ];
 
 /**
@@ -32,44 +35,37 @@ const hashAlgorithms = [
  * 
  * 功能：
  * - 支持 MD5、SHA-1、SHA-256、SHA-512、SHA-3
- * - 实时计算
+ * - 实时计算（在 Worker 中进行，大段输入不阻塞页面）
  * - 一键复制
  */
 function HashGenerator() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [input, setInput] = useState('');
-    const [activeTab, setActiveTab] = useState(0);
-    const [hashes, setHashes] = useState({});
+    const [input, setInput] = useToolState('input', '');
+    const [activeTab, setActiveTab] = useToolState('activeTab', 0);
 
     /**
-     * 计算所有哈希值
+     * 计算所有哈希值（输入变化，包括从本地恢复时重新计算），计算失败的算法显示失败提示
+     * 新结果算出前不显示旧输入的哈希值，避免复制到与当前输入不符的结果
      */
-    const calculateHashes = useCallback((text) => {
-        if (!text) {
-            setHashes({});
-            return;
-        }
-
+    const payload = useMemo(() => ({ text: input }), [input]);
+    const hashTask = useWorkerResult('hash/digest', payload, { enabled: Boolean(input), delay: 150 });
+    const hashes = useMemo(() => {
         const results = {};
-        hashAlgorithms.forEach(algo => {
-            try {
-                results[algo.id] = algo.fn(text);
-            } catch (err) {
-                results[algo.id] = '计算失败';
-            }
+        if (hashTask.stale) return results;
+        Object.entries(hashTask.result || {}).forEach(([id, hash]) => {
+            results[id] = hash ?? t('hash.failed');
         });
-        setHashes(results);
-    }, []);
+        return results;
+    }, [hashTask.result, hashTask.stale, t]);
 
     /**
      * 处理输入变化
      */
     const handleInputChange = (e) => {
-        const value = e.target.value;
-        setInput(value);
-        calculateHashes(value);
+        setInput(e.target.value);
     };
 
     /**
@@ -95,19 +91,24 @@ function HashGenerator() {
      */
     const handleClear = () => {
         setInput('');
-        setHashes({});
     };
 
     const currentAlgo = hashAlgorithms[activeTab];
     const currentHash = hashes[currentAlgo?.id] || '';
+    const placeholder = input && hashTask.loading ? t('hash.computing') : t('hash.empty');
 
     return (
         <ToolCard
-            title="哈希生成器"
-            description="使用 MD5、SHA-1、SHA-256、SHA-512 等算法计算文本的哈希值"
+            title={t('hash.title')}
+            description={t('hash.description')}
             copyContent={currentHash}
             onClear={handleClear}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
+            {/* 大段输入的计算进度 */}
+            <TaskProgress task={hashTask.task} onCancel={hashTask.cancel} />
+
             <Grid container spacing={3}>
                 {/* 输入区域 */}
                 <Grid item xs={12}>
@@ -131,7 +132,7 @@ function HashGenerator() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入文本
+                                {t('hash.input')}
                             </Typography>
                         </Box>
                         <TextField
@@ -140,7 +141,7 @@ function HashGenerator() {
                             rows={6}
                             value={input}
                             onChange={handleInputChange}
-                            placeholder="输入要计算哈希值的文本..."
+                            placeholder={t('hash.inputPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 disableUnderline: true,
@@ -187,7 +188,7 @@ function HashGenerator() {
                         {/* 当前算法结果 */}
                         <Box sx={{ p: 3 }}>
                             <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                {currentAlgo?.name} 哈希值
+                                {t('hash.hashOf', { algorithm: currentAlgo?.name })}
                             </Typography>
                             <Box
                                 sx={{
@@ -212,10 +213,10 @@ function HashGenerator() {
                                         color: currentHash ? 'text.primary' : 'text.secondary',
                                     }}
                                 >
-                                    {currentHash || '请输入文本以计算哈希值...'}
+                                    {currentHash || placeholder}
                                 </Typography>
                                 {currentHash && (
-                                    <Tooltip title="复制">
+                                    <Tooltip title={t('common.copy')}>
                                         <IconButton
                                             size="small"
                                             onClick={() => copyToClipboard(currentHash)}
@@ -242,7 +243,7 @@ function HashGenerator() {
                             }}
                         >
                             <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                                所有哈希值
+                                {t('hash.all')}
                             </Typography>
                             <Grid container spacing={2}>
                                 {hashAlgorithms.map((algo) => (
@@ -278,7 +279,7 @@ function HashGenerator() {
                                             >
                                                 {hashes[algo.id]}
                                             </Typography>
-                                            <Tooltip title="复制">
+                                            <Tooltip title={t('common.copy')}>
                                                 <IconButton
                                                     size="small"
                                                     onClick={() => copyToClipboard(hashes[algo.id])}
@@ -0,0 +1,30 @@
+import CryptoJS from 'crypto-js';
+
+/**
+ * 哈希生成工具的后台任务（在 workers/task.worker.js 中执行）
+ */
+
+const HASH_FUNCTIONS = {
+    md5: CryptoJS.MD5,
+    sha1: CryptoJS.SHA1,
+    sha256: CryptoJS.SHA256,
+    sha512: CryptoJS.SHA512,
+    sha3: CryptoJS.SHA3,
+};
+
+/**
+ * 计算所有算法的哈希值
+ * @param {{ text: string }} payload
+ * @returns {Object} 算法 ID → 十六进制哈希值，计算失败时为 null
+ */
+export const digest = ({ text }) => {
+    const results = {};
+    Object.entries(HASH_FUNCTIONS).forEach(([id, fn]) => {
+        try {
+            results[id] = fn(text).toString();
+        } catch {
+            results[id] = null;
+        }
+    });
+    return results;
+};
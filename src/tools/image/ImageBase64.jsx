@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import {
     Box,
     Grid,
@@ -17,6 +17,8 @@ import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 图片转 Base64 工具
@@ -29,16 +31,24 @@ import ToolCard from '../../components/ToolCard';
  */
 function ImageBase64() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [activeTab, setActiveTab] = useState(0); // 0: Image -> Base64, 1: Base64 -> Image
-    const [base64, setBase64] = useState('');
-    const [previewUrl, setPreviewUrl] = useState('');
+    const [activeTab, setActiveTab] = useToolState('activeTab', 0); // 0: Image -> Base64, 1: Base64 -> Image
+    const [base64, setBase64] = useToolState('base64', '');
     const [imageInfo, setImageInfo] = useState(null);
     const [error, setError] = useState(null);
 
     const fileInputRef = useRef(null);
 
+    /**
+     * 预览地址：没有 data: 前缀的 Base64 按 PNG 尝试预览
+     */
+    const previewUrl = useMemo(() => {
+        if (!base64.trim()) return '';
+        return base64.startsWith('data:image/') ? base64 : `data:image/png;base64,${base64}`;
+    }, [base64]);
+
     /**
      * 处理文件选择
      */
@@ -54,7 +64,7 @@ function ImageBase64() {
      */
     const processFile = (file) => {
         if (!file.type.startsWith('image/')) {
-            setError('请选择有效的图片文件');
+            setError({ key: 'imageBase64.notImage' });
             return;
         }
 
@@ -62,7 +72,6 @@ function ImageBase64() {
         reader.onload = (e) => {
             const result = e.target.result;
             setBase64(result);
-            setPreviewUrl(result);
             setImageInfo({
                 name: file.name,
                 size: (file.size / 1024).toFixed(2) + ' KB',
@@ -71,7 +80,7 @@ function ImageBase64() {
             setError(null);
         };
         reader.onerror = () => {
-            setError('读取文件失败');
+            setError({ key: 'imageBase64.readFailed' });
         };
         reader.readAsDataURL(file);
     };
@@ -84,16 +93,7 @@ function ImageBase64() {
         setBase64(value);
 
         if (value.trim()) {
-            // 尝试预览 Base64 图片
-            if (value.startsWith('data:image/')) {
-                setPreviewUrl(value);
-            } else {
-                // 如果没有前缀，尝试添加
-                setPreviewUrl(`data:image/png;base64,${value}`);
-            }
             setImageInfo(null);
-        } else {
-            setPreviewUrl('');
         }
     };
 
@@ -102,7 +102,6 @@ function ImageBase64() {
      */
     const handleClear = () => {
         setBase64('');
-        setPreviewUrl('');
         setImageInfo(null);
         setError(null);
         if (fileInputRef.current) {
@@ -132,8 +131,9 @@ function ImageBase64() {
     // 工具栏按钮
     const actions = [
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
@@ -150,8 +150,8 @@ function ImageBase64() {
 
     return (
         <ToolCard
-            title="图片 Base64 转换"
-            description="将图片转换为 Base64 字符串，或者将 Base64 还原为图片"
+            title={t('imageBase64.title')}
+            description={t('imageBase64.description')}
             actions={actions}
         >
             <Tabs
@@ -159,13 +159,13 @@ function ImageBase64() {
                 onChange={handleTabChange}
                 sx={{ mb: 3 }}
             >
-                <Tab label="图片转 Base64" />
-                <Tab label="Base64 转图片" />
+                <Tab label={t('imageBase64.toBase64')} />
+                <Tab label={t('imageBase64.toImage')} />
             </Tabs>
 
             {error && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t(error.key, { message: error.message })}
                 </Alert>
             )}
 
@@ -216,10 +216,10 @@ function ImageBase64() {
                                 />
                                 <CloudUploadIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
                                 <Typography variant="body1" fontWeight={500} color="text.primary">
-                                    点击上传图片
+                                    {t('imageBase64.upload')}
                                 </Typography>
                                 <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-                                    支持 PNG, JPG, GIF, SVG, WEBP
+                                    {t('imageBase64.formats')}
                                 </Typography>
                             </Box>
                         ) : (
@@ -230,7 +230,7 @@ function ImageBase64() {
                                 rows={12}
                                 value={base64}
                                 onChange={handleBase64Change}
-                                placeholder="在此粘贴 Base64 字符串..."
+                                placeholder={t('imageBase64.inputPlaceholder')}
                                 variant="outlined"
                                 sx={{
                                     flex: 1,
@@ -261,7 +261,7 @@ function ImageBase64() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                            {activeTab === 0 ? 'Base64 结果' : '图片预览'}
+                            {activeTab === 0 ? t('imageBase64.result') : t('imageBase64.preview')}
                         </Typography>
 
                         {activeTab === 0 ? (
@@ -272,7 +272,7 @@ function ImageBase64() {
                                     multiline
                                     rows={8}
                                     value={base64}
-                                    placeholder="Base64 结果将显示在这里..."
+                                    placeholder={t('imageBase64.outputPlaceholder')}
                                     variant="outlined"
                                     InputProps={{
                                         readOnly: true,
@@ -292,13 +292,13 @@ function ImageBase64() {
                                 {imageInfo && (
                                     <Box sx={{ mt: 'auto', pt: 2 }}>
                                         <Typography variant="body2" color="text.secondary">
-                                            文件名: {imageInfo.name}
+                                            {t('imageBase64.fileName', { name: imageInfo.name })}
                                         </Typography>
                                         <Typography variant="body2" color="text.secondary">
-                                            大小: {imageInfo.size}
+                                            {t('imageBase64.size', { size: imageInfo.size })}
                                         </Typography>
                                         <Typography variant="body2" color="text.secondary">
-                                            类型: {imageInfo.type}
+                                            {t('imageBase64.type', { type: imageInfo.type })}
                                         </Typography>
                                     </Box>
                                 )}
@@ -332,7 +332,7 @@ function ImageBase64() {
                                 ) : (
                                     <Box sx={{ textAlign: 'center', color: 'text.secondary' }}>
                                         <ImageIcon sx={{ fontSize: 48, mb: 1, opacity: 0.5 }} />
-                                        <Typography variant="body2">暂无预览</Typography>
+                                        <Typography variant="body2">{t('imageBase64.noPreview')}</Typography>
                                     </Box>
                                 )}
                             </Box>
@@ -25,18 +25,38 @@ import ZoomInIcon from '@mui/icons-material/ZoomIn';
 import ZoomOutIcon from '@mui/icons-material/ZoomOut';
 
 import ToolCard from '../../components/ToolCard';
+import TaskProgress from '../../components/TaskProgress';
+import { useI18n } from '../../hooks/useI18n';
+import { useWorkerTask } from '../../hooks/useWorkerTask';
 
 /**
  * 对比模式定义
  */
 const COMPARE_MODES = [
-    { value: 'sideBySide', label: '并排', icon: <ViewColumnIcon fontSize="small" /> },
-    { value: 'slider', label: '滑动', icon: <CompareIcon fontSize="small" /> },
-    { value: 'toggle', label: '切换', icon: <FlipIcon fontSize="small" /> },
-    { value: 'overlay', label: '叠加', icon: <LayersIcon fontSize="small" /> },
-    { value: 'diff', label: '差异', icon: <DifferenceIcon fontSize="small" /> },
+    { value: 'sideBySide', icon: <ViewColumnIcon fontSize="small" /> },
+    { value: 'slider', icon: <CompareIcon fontSize="small" /> },
+    { value: 'toggle', icon: <FlipIcon fontSize="small" /> },
+    { value: 'overlay', icon: <LayersIcon fontSize="small" /> },
+    { value: 'diff', icon: <DifferenceIcon fontSize="small" /> },
 ];
 
+/**
+ * 像素差异阈值，RGB 任一通道相差超过该值视为不同
+ */
+const DIFF_THRESHOLD = 30;
+
+/**
+ * 加载图片
+ * @param {string} src - 图片地址（Data URL）
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+});
+
 /**
  * 格式化文件大小
  * @param {number} bytes - 字节数
@@ -58,6 +78,7 @@ const ImageUploadZone = ({ image, onImageChange, label, isDark }) => {
     const [isDragging, setIsDragging] = useState(false);
     const [isHovered, setIsHovered] = useState(false);
     const isHoveredRef = useRef(false);
+    const { t } = useI18n();
 
     // 使用 ref 来追踪 hover 状态，避免 useEffect 依赖问题
     useEffect(() => {
@@ -193,7 +214,7 @@ const ImageUploadZone = ({ image, onImageChange, label, isDark }) => {
                             gap: 0.5,
                         }}
                     >
-                        <Tooltip title="重新上传">
+                        <Tooltip title={t('imageDiff.reupload')}>
                             <IconButton
                                 size="small"
                                 onClick={(e) => {
@@ -210,7 +231,7 @@ const ImageUploadZone = ({ image, onImageChange, label, isDark }) => {
                                 <CloudUploadIcon fontSize="small" />
                             </IconButton>
                         </Tooltip>
-                        <Tooltip title="删除">
+                        <Tooltip title={t('imageDiff.remove')}>
                             <IconButton
                                 size="small"
                                 onClick={(e) => {
@@ -250,7 +271,7 @@ const ImageUploadZone = ({ image, onImageChange, label, isDark }) => {
                         {label}
                     </Typography>
                     <Typography variant="caption" color="text.disabled">
-                        拖拽、点击上传或 Ctrl+V 粘贴
+                        {t('imageDiff.uploadHint')}
                     </Typography>
                 </>
             )}
@@ -270,6 +291,7 @@ const ImageUploadZone = ({ image, onImageChange, label, isDark }) => {
  */
 function ImageDiff() {
     const theme = useTheme();
+    const { t } = useI18n();
     const isDark = theme.palette.mode === 'dark';
 
     // 状态管理
@@ -284,104 +306,84 @@ function ImageDiff() {
     const [zoom, setZoom] = useState(100);
 
     const diffCanvasRef = useRef(null);
+    const { run: runDiffTask, cancel: cancelDiffTask, task: diffTask } = useWorkerTask();
+    // 差异计算的序号，只采用最新一次计算的结果
+    const diffRequestRef = useRef(0);
     const containerRef = useRef(null);
 
     /**
      * 计算像素差异
+     * 两张图片按较大的尺寸绘制后读取像素，逐像素比较在 Worker 中进行（见 imageDiff.tasks.js）
      */
     const calculateDiff = useCallback(() => {
+        const requestId = ++diffRequestRef.current;
         if (!imageA || !imageB) {
+            cancelDiffTask();
             setDiffImage(null);
             setDiffStats(null);
             return;
         }
 
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
         // 使用较大的尺寸
         const width = Math.max(imageA.width, imageB.width);
         const height = Math.max(imageA.height, imageB.height);
-        canvas.width = width;
-        canvas.height = height;
-
-        // 创建临时 canvas 获取图片数据
-        const getImageData = (imgSrc, w, h) => {
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = w;
-            tempCanvas.height = h;
-            const tempCtx = tempCanvas.getContext('2d');
-            const img = new Image();
-            img.src = imgSrc;
-            tempCtx.drawImage(img, 0, 0, w, h);
-            return tempCtx.getImageData(0, 0, w, h);
+
+        const readPixels = (img) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, width, height);
+            return ctx.getImageData(0, 0, width, height).data;
         };
 
-        const imgA = new Image();
-        const imgB = new Image();
-
-        imgA.onload = () => {
-            imgB.onload = () => {
-                // 绘制图片A
-                const canvasA = document.createElement('canvas');
-                canvasA.width = width;
-                canvasA.height = height;
-                const ctxA = canvasA.getContext('2d');
-                ctxA.drawImage(imgA, 0, 0, width, height);
-                const dataA = ctxA.getImageData(0, 0, width, height);
-
-                // 绘制图片B
-                const canvasB = document.createElement('canvas');
-                canvasB.width = width;
-                canvasB.height = height;
-                const ctxB = canvasB.getContext('2d');
-                ctxB.drawImage(imgB, 0, 0, width, height);
-                const dataB = ctxB.getImageData(0, 0, width, height);
+        Promise.all([loadImage(imageA.src), loadImage(imageB.src)])
+            .then(([imgA, imgB]) => {
+                // 图片加载期间又开始了新的计算时放弃本次结果
+                if (requestId !== diffRequestRef.current) return null;
+                const dataA = readPixels(imgA);
+                const dataB = readPixels(imgB);
+                return runDiffTask(
+                    'imageDiff/pixelDiff',
+                    { dataA, dataB, threshold: DIFF_THRESHOLD },
+                    [dataA.buffer, dataB.buffer]
+                );
+            })
+            .then((response) => {
+                if (!response || requestId !== diffRequestRef.current) return;
+                const { data, diffPixels } = response.result;
 
                 // 创建差异图
-                const diffData = ctx.createImageData(width, height);
-                let diffCount = 0;
-                const threshold = 30; // 差异阈值
-
-                for (let i = 0; i < dataA.data.length; i += 4) {
-                    const rDiff = Math.abs(dataA.data[i] - dataB.data[i]);
-                    const gDiff = Math.abs(dataA.data[i + 1] - dataB.data[i + 1]);
-                    const bDiff = Math.abs(dataA.data[i + 2] - dataB.data[i + 2]);
-                    const maxDiff = Math.max(rDiff, gDiff, bDiff);
-
-                    if (maxDiff > threshold) {
-                        // 差异区域用红色高亮
-                        diffData.data[i] = 255;     // R
-                        diffData.data[i + 1] = 0;   // G
-                        diffData.data[i + 2] = 0;   // B
-                        diffData.data[i + 3] = 200; // A
-                        diffCount++;
-                    } else {
-                        // 相同区域用灰度显示
-                        const gray = (dataA.data[i] + dataA.data[i + 1] + dataA.data[i + 2]) / 3;
-                        diffData.data[i] = gray;
-                        diffData.data[i + 1] = gray;
-                        diffData.data[i + 2] = gray;
-                        diffData.data[i + 3] = 128;
-                    }
-                }
-
-                ctx.putImageData(diffData, 0, 0);
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
 
                 const totalPixels = width * height;
-                const diffPercentage = ((diffCount / totalPixels) * 100).toFixed(2);
+                const diffPercentage = ((diffPixels / totalPixels) * 100).toFixed(2);
 
                 setDiffImage(canvas.toDataURL());
                 setDiffStats({
                     totalPixels,
-                    diffPixels: diffCount,
+                    diffPixels,
                     percentage: diffPercentage,
                 });
-            };
-            imgB.src = imageB.src;
-        };
-        imgA.src = imageA.src;
-    }, [imageA, imageB]);
+            })
+            .catch((err) => {
+                if (err.code !== 'cancelled') {
+                    console.error('差异计算失败:', err);
+                }
+            });
+    }, [imageA, imageB, runDiffTask, cancelDiffTask]);
+
+    /**
+     * 取消差异计算，回到并排对比
+     */
+    const handleCancelDiff = () => {
+        diffRequestRef.current++;
+        cancelDiffTask();
+        setCompareMode('sideBySide');
+    };
 
     // 当图片变化时重新计算差异
     useEffect(() => {
@@ -431,14 +433,16 @@ function ImageDiff() {
     // 工具栏按钮
     const actions = [
         {
-            label: 'Swap',
+            label: t('actions.swap'),
             icon: <SwapHorizIcon fontSize="small" />,
+            shortcut: 'swap',
             onClick: handleSwap,
             disabled: !imageA || !imageB,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
@@ -451,7 +455,7 @@ function ImageDiff() {
             return (
                 <Box sx={{ textAlign: 'center', py: 8 }}>
                     <Typography color="text.disabled">
-                        请上传两张图片进行对比
+                        {t('imageDiff.uploadBoth')}
                     </Typography>
                 </Box>
             );
@@ -461,7 +465,7 @@ function ImageDiff() {
             return (
                 <Box sx={{ textAlign: 'center', py: 8 }}>
                     <Typography color="text.disabled">
-                        请上传第二张图片
+                        {t('imageDiff.uploadSecond')}
                     </Typography>
                 </Box>
             );
@@ -491,7 +495,7 @@ function ImageDiff() {
                         <Grid item xs={12} md={6}>
                             <Paper elevation={0} sx={{ p: 1, border: `1px solid ${theme.palette.divider}` }}>
                                 <Typography variant="caption" color="text.secondary" sx={{ mb: 1, display: 'block' }}>
-                                    图片 A
+                                    {t('imageDiff.imageA')}
                                 </Typography>
                                 <img src={imageA.src} alt="Image A" style={{ ...imgStyle, maxHeight: 400, objectFit: 'contain' }} />
                             </Paper>
@@ -499,7 +503,7 @@ function ImageDiff() {
                         <Grid item xs={12} md={6}>
                             <Paper elevation={0} sx={{ p: 1, border: `1px solid ${theme.palette.divider}` }}>
                                 <Typography variant="caption" color="text.secondary" sx={{ mb: 1, display: 'block' }}>
-                                    图片 B
+                                    {t('imageDiff.imageB')}
                                 </Typography>
                                 <img src={imageB.src} alt="Image B" style={{ ...imgStyle, maxHeight: 400, objectFit: 'contain' }} />
                             </Paper>
@@ -598,7 +602,7 @@ function ImageDiff() {
                             style={imgStyle}
                         />
                         <Chip
-                            label={`显示: 图片 ${toggleState} (点击切换)`}
+                            label={t('imageDiff.showing', { image: toggleState })}
                             size="small"
                             sx={{
                                 position: 'absolute',
@@ -617,7 +621,7 @@ function ImageDiff() {
                     <Box>
                         <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 2 }}>
                             <Typography variant="body2" color="text.secondary" sx={{ minWidth: 80 }}>
-                                透明度: {overlayOpacity}%
+                                {t('imageDiff.opacity', { opacity: overlayOpacity })}
                             </Typography>
                             <Slider
                                 value={overlayOpacity}
@@ -663,15 +667,18 @@ function ImageDiff() {
             case 'diff':
                 return (
                     <Box>
+                        <TaskProgress task={diffTask} onCancel={handleCancelDiff} />
                         {diffStats && (
                             <Alert
                                 severity={diffStats.percentage > 5 ? 'warning' : 'success'}
                                 sx={{ mb: 2 }}
                             >
-                                差异分析：共 {diffStats.totalPixels.toLocaleString()} 像素，
-                                发现 {diffStats.diffPixels.toLocaleString()} 个差异像素
-                                ({diffStats.percentage}%)
-                                {diffStats.percentage === '0.00' && ' - 两张图片完全相同！'}
+                                {t('imageDiff.stats', {
+                                    total: diffStats.totalPixels.toLocaleString(),
+                                    diff: diffStats.diffPixels.toLocaleString(),
+                                    percentage: diffStats.percentage,
+                                })}
+                                {diffStats.percentage === '0.00' && t('imageDiff.identical')}
                             </Alert>
                         )}
                         <Box sx={containerStyle}>
@@ -680,7 +687,7 @@ function ImageDiff() {
                             ) : (
                                 <Box sx={{ py: 8, textAlign: 'center' }}>
                                     <Typography color="text.disabled">
-                                        正在计算差异...
+                                        {t('imageDiff.computing')}
                                     </Typography>
                                 </Box>
                             )}
@@ -694,12 +701,12 @@ function ImageDiff() {
                                 }}
                             >
                                 <Chip
-                                    label="红色区域 = 差异"
+                                    label={t('imageDiff.legendDiff')}
                                     size="small"
                                     sx={{ backgroundColor: 'rgba(239, 68, 68, 0.9)', color: 'white' }}
                                 />
                                 <Chip
-                                    label="灰色区域 = 相同"
+                                    label={t('imageDiff.legendSame')}
                                     size="small"
                                     sx={{ backgroundColor: 'rgba(128, 128, 128, 0.9)', color: 'white' }}
                                 />
@@ -715,8 +722,8 @@ function ImageDiff() {
 
     return (
         <ToolCard
-            title="图片对比"
-            description="多种模式对比两张图片：并排、滑动、切换、叠加、像素差异检测"
+            title={t('imageDiff.title')}
+            description={t('imageDiff.description')}
             actions={actions}
         >
             {/* 对比模式切换 */}
@@ -725,20 +732,20 @@ function ImageDiff() {
                     value={compareMode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="对比模式"
+                    aria-label={t('imageDiff.compareMode')}
                     size="small"
                 >
                     {COMPARE_MODES.map(mode => (
-                        <ToggleButton key={mode.value} value={mode.value} aria-label={mode.label}>
+                        <ToggleButton key={mode.value} value={mode.value} aria-label={t(`imageDiff.modes.${mode.value}`)}>
                             {mode.icon}
-                            <Typography variant="body2" sx={{ ml: 0.5 }}>{mode.label}</Typography>
+                            <Typography variant="body2" sx={{ ml: 0.5 }}>{t(`imageDiff.modes.${mode.value}`)}</Typography>
                         </ToggleButton>
                     ))}
                 </ToggleButtonGroup>
 
                 {/* 缩放控制 */}
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                    <Tooltip title="缩小">
+                    <Tooltip title={t('imageDiff.zoomOut')}>
                         <IconButton
                             size="small"
                             onClick={() => setZoom(prev => Math.max(25, prev - 25))}
@@ -750,7 +757,7 @@ function ImageDiff() {
                     <Typography variant="caption" sx={{ minWidth: 40, textAlign: 'center' }}>
                         {zoom}%
                     </Typography>
-                    <Tooltip title="放大">
+                    <Tooltip title={t('imageDiff.zoomIn')}>
                         <IconButton
                             size="small"
                             onClick={() => setZoom(prev => Math.min(200, prev + 25))}
@@ -775,12 +782,12 @@ function ImageDiff() {
                         }}
                     >
                         <Typography variant="body2" fontWeight={500} color="text.secondary" sx={{ mb: 1 }}>
-                            图片 A（原始）
+                            {t('imageDiff.originalA')}
                         </Typography>
                         <ImageUploadZone
                             image={imageA}
                             onImageChange={setImageA}
-                            label="上传图片 A"
+                            label={t('imageDiff.uploadA')}
                             isDark={isDark}
                         />
                     </Paper>
@@ -796,12 +803,12 @@ function ImageDiff() {
                         }}
                     >
                         <Typography variant="body2" fontWeight={500} color="text.secondary" sx={{ mb: 1 }}>
-                            图片 B（修改后）
+                            {t('imageDiff.modifiedB')}
                         </Typography>
                         <ImageUploadZone
                             image={imageB}
                             onImageChange={setImageB}
-                            label="上传图片 B"
+                            label={t('imageDiff.uploadB')}
                             isDark={isDark}
                         />
                     </Paper>
@@ -820,7 +827,7 @@ function ImageDiff() {
                     }}
                 >
                     <Typography variant="body2" fontWeight={500} color="text.secondary" sx={{ mb: 2 }}>
-                        对比结果 - {COMPARE_MODES.find(m => m.value === compareMode)?.label}模式
+                        {t('imageDiff.resultTitle', { mode: t(`imageDiff.modes.${compareMode}`) })}
                     </Typography>
                     {renderCompareView()}
                 </Paper>
@@ -829,11 +836,8 @@ function ImageDiff() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    上传两张图片后选择对比模式。<strong>滑动模式</strong>可拖动分隔线；
-                    <strong>切换模式</strong>点击图片切换；
-                    <strong>叠加模式</strong>调整透明度；
-                    <strong>差异模式</strong>自动检测像素差异并用红色高亮。
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('imageDiff.tip')}
                 </Typography>
             </Box>
         </ToolCard>
@@ -0,0 +1,50 @@
+/**
+ * 图片对比工具的后台任务（在 workers/task.worker.js 中执行）
+ */
+
+// 每处理这么多像素报告一次进度
+const PROGRESS_STEP = 1 << 18;
+
+/**
+ * 逐像素比较两张尺寸相同的图片，生成差异图：差异区域用红色高亮，相同区域用灰度显示
+ * @param {Object} payload
+ * @param {Uint8ClampedArray} payload.dataA - 图片 A 的 RGBA 像素
+ * @param {Uint8ClampedArray} payload.dataB - 图片 B 的 RGBA 像素
+ * @param {number} payload.threshold - 差异阈值，RGB 任一通道相差超过该值视为不同
+ * @returns {{ data: Uint8ClampedArray, diffPixels: number }} 差异图像素（转移给页面）和不同的像素数
+ */
+export const pixelDiff = ({ dataA, dataB, threshold }, { progress, transfer }) => {
+    const data = new Uint8ClampedArray(dataA.length);
+    const totalPixels = dataA.length / 4;
+    let diffPixels = 0;
+
+    for (let i = 0; i < dataA.length; i += 4) {
+        if ((i / 4) % PROGRESS_STEP === 0) {
+            progress({ stage: 'compare', value: i / 4 / totalPixels });
+        }
+
+        const rDiff = Math.abs(dataA[i] - dataB[i]);
+        const gDiff = Math.abs(dataA[i + 1] - dataB[i + 1]);
+        const bDiff = Math.abs(dataA[i + 2] - dataB[i + 2]);
+        const maxDiff = Math.max(rDiff, gDiff, bDiff);
+
+        if (maxDiff > threshold) {
+            // 差异区域用红色高亮
+            data[i] = 255;     // R
+            data[i + 1] = 0;   // G
+            data[i + 2] = 0;   // B
+            data[i + 3] = 200; // A
+            diffPixels++;
+        } else {
+            // 相同区域用灰度显示
+            const gray = (dataA[i] + dataA[i + 1] + dataA[i + 2]) / 3;
+            data[i] = gray;
+            data[i + 1] = gray;
+            data[i + 2] = gray;
+            data[i + 3] = 128;
+        }
+    }
+
+    transfer(data.buffer);
+    return { data, diffPixels };
+};
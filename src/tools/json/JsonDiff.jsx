@@ -1,16 +1,26 @@
 import React, { useState, useMemo, useCallback, useRef } from 'react';
-import { Box, Grid, Paper, Typography, useTheme, Alert, Chip, CircularProgress, Fade, Stack, IconButton, Tooltip, Button } from '@mui/material';
+import { Box, Grid, Paper, Typography, useTheme, Alert, Chip, CircularProgress, Fade, Stack, IconButton, Tooltip, Button, TextField, ToggleButton, ToggleButtonGroup, alpha } from '@mui/material';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
 import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
 import AutoFixHighIcon from '@mui/icons-material/AutoFixHigh';
+import NotesIcon from '@mui/icons-material/Notes';
+import AccountTreeOutlinedIcon from '@mui/icons-material/AccountTreeOutlined';
 import { useDiff } from '../../hooks/useDiff';
+import { useWorkerResult } from '../../hooks/useWorkerTask';
 import { List } from 'react-window';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
 
+/**
+ * 结构对比中各类变更的标记
+ */
+const CHANGE_SYMBOLS = { add: '+', remove: '-', replace: '~', move: '→' };
+
 /**
  * JSON 对比工具
  *
@@ -18,31 +28,52 @@ import CodeEditor from '../../components/CodeEditor';
  * - 实时比较两个 JSON 的差异
  * - 高亮显示添加/删除的内容
  * - 统计变更信息
+ * - 结构对比：忽略键的顺序，数组项可按键配对，按路径列出变更并导出 JSON Patch / Merge Patch
  */
 function JsonDiff() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [leftInput, setLeftInput] = useState('');
-    const [rightInput, setRightInput] = useState('');
+    const [leftInput, setLeftInput] = useToolState('leftInput', '');
+    const [rightInput, setRightInput] = useToolState('rightInput', '');
+    // 对比模式：lines（格式化后按行对比）| semantic（结构对比）
+    const [mode, setMode] = useToolState('mode', 'lines');
+    const [arrayKey, setArrayKey] = useToolState('arrayKey', 'id');
+    // 结构对比的结果视图：changes | jsonPatch | mergePatch
+    const [semanticView, setSemanticView] = useToolState('semanticView', 'changes');
     const [currentDiffIndex, setCurrentDiffIndex] = useState(-1);
     const listRef = useRef(null);
 
-    // 直接将原始输入传给 Hook，格式化逻辑已移至 Worker 内部
-    const { result: diffResult, diffIndices, loading, duration, stats } = useDiff(leftInput, rightInput, 'lines', { wrapJson: true });
+    // 直接将原始输入传给 Hook，格式化逻辑已移至 Worker 内部；结构对比模式下不计算
+    const isSemantic = mode === 'semantic';
+    const { result: diffResult, diffIndices, loading, duration, stats } = useDiff(
+        isSemantic ? '' : leftInput,
+        isSemantic ? '' : rightInput,
+        'lines',
+        { wrapJson: true }
+    );
 
-    // 语法错误检测
+    // 语法错误检测，error 为 { key, message }，key 对应语言包 jsonDiff 中的文案
     const { leftValid, rightValid, error } = useMemo(() => {
         let lv = true, rv = true, err = null;
         if (leftInput.trim()) {
-            try { JSON.parse(leftInput); } catch (e) { lv = false; err = `左侧 JSON 错误: ${e.message}`; }
+            try { JSON.parse(leftInput); } catch (e) { lv = false; err = { key: 'leftError', message: e.message }; }
         }
         if (rightInput.trim()) {
-            try { JSON.parse(rightInput); } catch (e) { rv = false; err = err ? '左右两侧 JSON 都有语法错误' : `右侧 JSON 错误: ${e.message}`; }
+            try { JSON.parse(rightInput); } catch (e) { rv = false; err = err ? { key: 'bothError' } : { key: 'rightError', message: e.message }; }
         }
         return { leftValid: lv, rightValid: rv, error: err };
     }, [leftInput, rightInput]);
 
+    // 结构对比在 Worker 中执行（tools/json/jsonDiff.tasks.js），两侧都是合法 JSON 时才计算
+    const semanticPayload = useMemo(() => ({ left: leftInput, right: rightInput, arrayKey }), [leftInput, rightInput, arrayKey]);
+    const semanticTask = useWorkerResult('jsonDiff/semantic', semanticPayload, {
+        enabled: isSemantic && leftValid && rightValid && Boolean(leftInput.trim()) && Boolean(rightInput.trim()),
+        delay: 400,
+    });
+    const semanticResult = semanticTask.result;
+
     const handleFormat = useCallback(() => {
         if (leftInput.trim()) {
             try { setLeftInput(JSON.stringify(JSON.parse(leftInput), null, 4)); } catch (e) { }
@@ -82,21 +113,51 @@ function JsonDiff() {
         setRightInput(leftInput);
     }, [leftInput, rightInput]);
 
+    /**
+     * 从历史记录恢复左右两侧输入
+     */
+    const handleHistorySelect = useCallback((value) => {
+        setLeftInput(value.left || '');
+        setRightInput(value.right || '');
+    }, []);
+
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Swap',
+            label: t('actions.swap'),
             icon: <SwapHorizIcon fontSize="small" />,
+            shortcut: 'swap',
             onClick: handleSwap,
             disabled: !leftInput && !rightInput,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
+    // 命令面板和快捷键中的差异跳转
+    const commands = [
+        {
+            id: 'next-diff',
+            label: t('shortcuts.actions.nextDiff'),
+            icon: <KeyboardArrowDownIcon fontSize="small" />,
+            disabled: !diffIndices || diffIndices.length === 0,
+            shortcut: 'nextDiff',
+            onSelect: handleNextDiff,
+        },
+        {
+            id: 'prev-diff',
+            label: t('shortcuts.actions.prevDiff'),
+            icon: <KeyboardArrowUpIcon fontSize="small" />,
+            disabled: !diffIndices || diffIndices.length === 0,
+            shortcut: 'prevDiff',
+            onSelect: handlePrevDiff,
+        },
+    ];
+
     /**
      * 渲染 Diff 结果
      */
@@ -111,16 +172,12 @@ function JsonDiff() {
         let prefix = '  ';
 
         if (part.type === 'added') {
-            backgroundColor = theme.palette.mode === 'dark'
-                ? 'rgba(34, 197, 94, 0.2)'
-                : 'rgba(34, 197, 94, 0.15)';
-            color = theme.palette.mode === 'dark' ? '#86efac' : '#15803d';
+            backgroundColor = theme.palette.diff.added.background;
+            color = theme.palette.diff.added.text;
             prefix = '+ ';
         } else if (part.type === 'removed') {
-            backgroundColor = theme.palette.mode === 'dark'
-                ? 'rgba(239, 68, 68, 0.2)'
-                : 'rgba(239, 68, 68, 0.15)';
-            color = theme.palette.mode === 'dark' ? '#fca5a5' : '#dc2626';
+            backgroundColor = theme.palette.diff.removed.background;
+            color = theme.palette.diff.removed.text;
             prefix = '- ';
         }
 
@@ -134,7 +191,7 @@ function JsonDiff() {
                     color,
                     px: 1,
                     display: 'flex',
-                    fontFamily: "'Fira Code', monospace",
+                    fontFamily: theme.editor.fontFamily,
                     fontSize: '13px',
                     lineHeight: '25px',
                     whiteSpace: 'pre',
@@ -169,7 +226,7 @@ function JsonDiff() {
                         sx={{
                             position: 'absolute',
                             top: 0, left: 0, right: 0, bottom: 0,
-                            backgroundColor: 'rgba(255,255,255,0.7)',
+                            backgroundColor: alpha(theme.palette.background.paper, 0.7),
                             backdropFilter: 'blur(2px)',
                             display: 'flex',
                             flexDirection: 'column',
@@ -179,7 +236,125 @@ function JsonDiff() {
                         }}
                     >
                         <CircularProgress size={40} sx={{ mb: 2 }} />
-                        <Typography variant="body2" color="text.secondary">对比中...</Typography>
+                        <Typography variant="body2" color="text.secondary">{t('jsonDiff.comparing')}</Typography>
+                    </Box>
+                </Fade>
+            </Box>
+        );
+    };
+
+    /**
+     * 结构对比的变更行，rowProps 同样平铺到 props 中
+     */
+    const ChangeRow = useCallback(({ index, style, changes, theme }) => {
+        const change = changes[index];
+        if (!change) return null;
+
+        let backgroundColor = 'transparent';
+        let color = theme.palette.text.primary;
+        let detail = '';
+
+        if (change.op === 'add') {
+            backgroundColor = theme.palette.diff.added.background;
+            color = theme.palette.diff.added.text;
+            detail = change.value;
+        } else if (change.op === 'remove') {
+            backgroundColor = theme.palette.diff.removed.background;
+            color = theme.palette.diff.removed.text;
+            detail = change.oldValue;
+        } else if (change.op === 'replace') {
+            backgroundColor = alpha(theme.palette.warning.main, 0.1);
+            detail = `${change.oldValue} → ${change.value}`;
+        } else {
+            backgroundColor = alpha(theme.palette.info.main, 0.1);
+            detail = `← ${change.from}`;
+        }
+
+        return (
+            <Box
+                style={style}
+                title={`${change.path}  ${detail}`}
+                sx={{
+                    backgroundColor,
+                    color,
+                    px: 1,
+                    display: 'flex',
+                    fontFamily: theme.editor.fontFamily,
+                    fontSize: '13px',
+                    lineHeight: '25px',
+                    whiteSpace: 'pre',
+                    overflow: 'hidden',
+                }}
+            >
+                <Box component="span" sx={{ opacity: 0.5, mr: 1, userSelect: 'none', width: '20px', flexShrink: 0 }}>{CHANGE_SYMBOLS[change.op]}</Box>
+                <Box component="span" sx={{ fontWeight: 500, flexShrink: 0 }}>{change.path}</Box>
+                <Box component="span" sx={{ ml: 2, opacity: 0.8, overflow: 'hidden', textOverflow: 'ellipsis' }}>{detail}</Box>
+            </Box>
+        );
+    }, []);
+
+    const renderSemanticResult = () => {
+        if (!semanticResult) return null;
+
+        return (
+            <Box sx={{ position: 'relative' }}>
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+                    <ToggleButtonGroup
+                        value={semanticView}
+                        exclusive
+                        onChange={(_, value) => value && setSemanticView(value)}
+                        aria-label={t('jsonDiff.semanticView')}
+                        size="small"
+                    >
+                        <ToggleButton value="changes" sx={{ py: 0.25, textTransform: 'none' }}>
+                            {t('jsonDiff.changeList', { count: semanticResult.changes.length })}
+                        </ToggleButton>
+                        <ToggleButton value="jsonPatch" sx={{ py: 0.25, textTransform: 'none' }}>
+                            JSON Patch
+                        </ToggleButton>
+                        <ToggleButton value="mergePatch" sx={{ py: 0.25, textTransform: 'none' }}>
+                            Merge Patch
+                        </ToggleButton>
+                    </ToggleButtonGroup>
+                </Box>
+
+                {semanticView === 'mergePatch' && !semanticResult.mergeExact && (
+                    <Alert severity="warning" sx={{ mx: 1, mb: 1 }}>
+                        {t('jsonDiff.mergePatchLossy')}
+                    </Alert>
+                )}
+
+                {semanticView === 'changes' ? (
+                    <List
+                        style={{ height: 555 }}
+                        rowCount={semanticResult.changes.length}
+                        rowHeight={25}
+                        rowComponent={ChangeRow}
+                        rowProps={{ changes: semanticResult.changes, theme }}
+                    />
+                ) : (
+                    <CodeEditor
+                        value={semanticView === 'jsonPatch' ? semanticResult.jsonPatch : semanticResult.mergePatch}
+                        language="json"
+                        height="555px"
+                        readOnly
+                    />
+                )}
+
+                {/* 加载遮罩 */}
+                <Fade in={semanticTask.loading}>
+                    <Box
+                        sx={{
+                            position: 'absolute',
+                            top: 0, left: 0, right: 0, bottom: 0,
+                            backgroundColor: alpha(theme.palette.background.paper, 0.7),
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            zIndex: 10,
+                        }}
+                    >
+                        <CircularProgress size={40} />
                     </Box>
                 </Fade>
             </Box>
@@ -191,13 +366,69 @@ function JsonDiff() {
      */
     const hasDiff = diffResult && (stats.added > 0 || stats.removed > 0);
     const isIdentical = diffResult && stats.added === 0 && stats.removed === 0 && (leftInput.trim() || rightInput.trim());
+    const isSemanticIdentical = semanticResult && semanticResult.changes.length === 0;
+    // 结构对比需要两侧都有内容：只有一侧有内容时同样显示输入提示，有语法错误时提示先修正
+    const isEmpty = isSemantic
+        ? !error && (!leftInput.trim() || !rightInput.trim())
+        : !leftInput.trim() && !rightInput.trim();
+
+    // 结构对比时复制当前导出的补丁，变更列表视图下复制 JSON Patch
+    let copyContent;
+    if (isSemantic && semanticResult) {
+        copyContent = semanticView === 'mergePatch' ? semanticResult.mergePatch : semanticResult.jsonPatch;
+    }
+
+    // 结构对比统计标签的颜色
+    const changeChipColors = {
+        remove: { backgroundColor: theme.palette.diff.removed.background, color: theme.palette.diff.removed.text },
+        add: { backgroundColor: theme.palette.diff.added.background, color: theme.palette.diff.added.text },
+        replace: { backgroundColor: alpha(theme.palette.warning.main, 0.15), color: theme.palette.text.primary },
+        move: { backgroundColor: alpha(theme.palette.info.main, 0.15), color: theme.palette.text.primary },
+    };
+    const shownDuration = isSemantic ? semanticTask.duration : duration;
 
     return (
         <ToolCard
-            title="JSON 对比"
-            description="实时比较两个 JSON 结构的差异，高亮显示添加、删除和修改的内容"
+            title={t('jsonDiff.title')}
+            description={t('jsonDiff.description')}
             actions={actions}
+            commands={commands}
+            copyContent={copyContent}
+            historyValue={{ left: leftInput, right: rightInput }}
+            onHistorySelect={handleHistorySelect}
         >
+            {/* 对比模式切换 */}
+            <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                <ToggleButtonGroup
+                    value={mode}
+                    exclusive
+                    onChange={(_, value) => value && setMode(value)}
+                    aria-label={t('jsonDiff.mode')}
+                    size="small"
+                >
+                    <ToggleButton value="lines" aria-label={t('jsonDiff.modeLines')}>
+                        <NotesIcon sx={{ mr: 1 }} fontSize="small" />
+                        {t('jsonDiff.modeLines')}
+                    </ToggleButton>
+                    <ToggleButton value="semantic" aria-label={t('jsonDiff.modeSemantic')}>
+                        <AccountTreeOutlinedIcon sx={{ mr: 1 }} fontSize="small" />
+                        {t('jsonDiff.modeSemantic')}
+                    </ToggleButton>
+                </ToggleButtonGroup>
+                {isSemantic && (
+                    <Tooltip title={t('jsonDiff.arrayKeyHint')}>
+                        <TextField
+                            label={t('jsonDiff.arrayKey')}
+                            value={arrayKey}
+                            onChange={(e) => setArrayKey(e.target.value)}
+                            placeholder="id"
+                            size="small"
+                            sx={{ width: 180 }}
+                        />
+                    </Tooltip>
+                )}
+            </Box>
+
             {/* 三栏布局：左输入 | 中间结果 | 右输入 */}
             <Grid container spacing={2}>
                 {/* 左侧 JSON 输入 */}
@@ -217,20 +448,18 @@ function JsonDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(239, 68, 68, 0.1)'
-                                    : 'rgba(239, 68, 68, 0.05)',
+                                backgroundColor: theme.palette.diff.removed.header,
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                原始 JSON
+                                {t('jsonDiff.original')}
                             </Typography>
                         </Box>
                         <CodeEditor
                             value={leftInput}
                             onChange={setLeftInput}
                             language="json"
-                            placeholder='输入原始 JSON...'
+                            placeholder={t('jsonDiff.originalPlaceholder')}
                             height="400px"
                         />
                     </Paper>
@@ -255,9 +484,7 @@ function JsonDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(99, 102, 241, 0.1)'
-                                    : 'rgba(99, 102, 241, 0.05)',
+                                backgroundColor: theme.palette.diff.compare,
                                 display: 'flex',
                                 alignItems: 'center',
                                 justifyContent: 'space-between',
@@ -267,7 +494,7 @@ function JsonDiff() {
                         >
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                                 <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                    对比结果
+                                    {t('jsonDiff.result')}
                                 </Typography>
                                 <Button
                                     size="small"
@@ -275,7 +502,7 @@ function JsonDiff() {
                                     onClick={handleFormat}
                                     sx={{ ml: 2, py: 0 }}
                                 >
-                                    格式化输入
+                                    {t('jsonDiff.formatInputs')}
                                 </Button>
                             </Box>
                             <Stack direction="row" spacing={1} alignItems="center">
@@ -288,7 +515,19 @@ function JsonDiff() {
                                         <IconButton size="small" onClick={handleNextDiff}><KeyboardArrowDownIcon fontSize="inherit" /></IconButton>
                                     </Box>
                                 )}
-                                {duration > 0 && <Chip label={`${duration}ms`} size="small" variant="outlined" />}
+                                {shownDuration > 0 && <Chip label={`${shownDuration}ms`} size="small" variant="outlined" />}
+                                {isSemantic && semanticResult && (
+                                    <Box sx={{ display: 'flex', gap: 0.5 }}>
+                                        {['remove', 'add', 'replace', 'move'].filter(op => semanticResult.stats[op] > 0).map(op => (
+                                            <Chip
+                                                key={op}
+                                                label={`${CHANGE_SYMBOLS[op]}${semanticResult.stats[op]}`}
+                                                size="small"
+                                                sx={{ height: 20, fontSize: 11, ...changeChipColors[op] }}
+                                            />
+                                        ))}
+                                    </Box>
+                                )}
                                 {hasDiff && (
                                     <Box sx={{ display: 'flex', gap: 0.5 }}>
                                         <Chip
@@ -297,8 +536,8 @@ function JsonDiff() {
                                             sx={{
                                                 height: 20,
                                                 fontSize: 11,
-                                                backgroundColor: 'rgba(239, 68, 68, 0.15)',
-                                                color: theme.palette.mode === 'dark' ? '#fca5a5' : '#dc2626',
+                                                backgroundColor: theme.palette.diff.removed.background,
+                                                color: theme.palette.diff.removed.text,
                                             }}
                                         />
                                         <Chip
@@ -307,8 +546,8 @@ function JsonDiff() {
                                             sx={{
                                                 height: 20,
                                                 fontSize: 11,
-                                                backgroundColor: 'rgba(34, 197, 94, 0.15)',
-                                                color: theme.palette.mode === 'dark' ? '#86efac' : '#15803d',
+                                                backgroundColor: theme.palette.diff.added.background,
+                                                color: theme.palette.diff.added.text,
                                             }}
                                         />
                                     </Box>
@@ -326,23 +565,48 @@ function JsonDiff() {
                             {/* 错误提示 */}
                             {error && (
                                 <Alert severity="error" sx={{ mb: 2 }}>
-                                    {error}
+                                    {t(`jsonDiff.${error.key}`, { message: error.message })}
+                                </Alert>
+                            )}
+                            {isSemantic && semanticTask.error && (
+                                <Alert severity="error" sx={{ mb: 2 }}>
+                                    {semanticTask.error.message}
                                 </Alert>
                             )}
 
                             {/* 空状态提示 */}
-                            {!leftInput.trim() && !rightInput.trim() ? (
+                            {isEmpty ? (
+                                <Typography
+                                    variant="body2"
+                                    color="text.disabled"
+                                    sx={{ fontStyle: 'italic', textAlign: 'center', mt: 10 }}
+                                >
+                                    {t('jsonDiff.emptyLine1')}<br />{t('jsonDiff.emptyLine2')}
+                                </Typography>
+                            ) : isSemantic && error ? (
                                 <Typography
                                     variant="body2"
                                     color="text.disabled"
                                     sx={{ fontStyle: 'italic', textAlign: 'center', mt: 10 }}
                                 >
-                                    在左右两侧输入 JSON，<br />对比结果将实时显示
+                                    {t('jsonDiff.semanticInvalid')}
                                 </Typography>
+                            ) : isSemantic ? (
+                                isSemanticIdentical ? (
+                                    <Box sx={{ textAlign: 'center', mt: 10 }}>
+                                        <Chip
+                                            label={`✓ ${t('jsonDiff.semanticIdentical')}`}
+                                            color="success"
+                                            sx={{ fontWeight: 500 }}
+                                        />
+                                    </Box>
+                                ) : (
+                                    renderSemanticResult()
+                                )
                             ) : isIdentical ? (
                                 <Box sx={{ textAlign: 'center', mt: 10 }}>
                                     <Chip
-                                        label="✓ 两个 JSON 完全相同"
+                                        label={`✓ ${t('jsonDiff.identical')}`}
                                         color="success"
                                         sx={{ fontWeight: 500 }}
                                     />
@@ -371,20 +635,18 @@ function JsonDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(34, 197, 94, 0.1)'
-                                    : 'rgba(34, 197, 94, 0.05)',
+                                backgroundColor: theme.palette.diff.added.header,
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                修改后 JSON
+                                {t('jsonDiff.modified')}
                             </Typography>
                         </Box>
                         <CodeEditor
                             value={rightInput}
                             onChange={setRightInput}
                             language="json"
-                            placeholder='输入修改后的 JSON...'
+                            placeholder={t('jsonDiff.modifiedPlaceholder')}
                             height="400px"
                         />
                     </Paper>
@@ -394,12 +656,16 @@ function JsonDiff() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    在左右两侧输入 JSON，对比结果会<strong>实时显示</strong>在中间区域。
-                    <Box component="span" sx={{ color: theme.palette.error.main, mx: 0.5 }}>- 红色</Box>
-                    表示删除的内容，
-                    <Box component="span" sx={{ color: theme.palette.success.main, mx: 0.5 }}>+ 绿色</Box>
-                    表示新增的内容。JSON 会自动格式化后再进行对比。
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {isSemantic ? t('jsonDiff.tipSemantic') : (
+                        <>
+                            {t('jsonDiff.tipBefore')}<strong>{t('jsonDiff.tipLive')}</strong>{t('jsonDiff.tipAfter')}
+                            <Box component="span" sx={{ color: theme.palette.error.main, mx: 0.5 }}>{t('jsonDiff.tipRed')}</Box>
+                            {t('jsonDiff.tipRemoved')}
+                            <Box component="span" sx={{ color: theme.palette.success.main, mx: 0.5 }}>{t('jsonDiff.tipGreen')}</Box>
+                            {t('jsonDiff.tipAdded')}
+                        </>
+                    )}
                 </Typography>
             </Box>
         </ToolCard>
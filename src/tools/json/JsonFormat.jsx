@@ -1,11 +1,28 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Box, Grid, Paper, Typography, useTheme, Alert, ToggleButton, ToggleButtonGroup } from '@mui/material';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Box, Grid, Paper, Typography, useTheme, Alert, ToggleButton, ToggleButtonGroup, Tooltip } from '@mui/material';
 import FormatAlignLeftIcon from '@mui/icons-material/FormatAlignLeft';
 import CompressIcon from '@mui/icons-material/Compress';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import ManageSearchIcon from '@mui/icons-material/ManageSearch';
+import NotesIcon from '@mui/icons-material/Notes';
+import AccountTreeOutlinedIcon from '@mui/icons-material/AccountTreeOutlined';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
+import JsonQueryPanel from '../../components/JsonQueryPanel';
+import JsonTreeView from '../../components/JsonTreeView';
+import TaskProgress from '../../components/TaskProgress';
+import { useWorkerTask } from '../../hooks/useWorkerTask';
+import { formatJson, minifyJson } from '../../core/json';
+import { getJsonDiagnostic } from '../../core/diagnostics';
+import { isLargeInput } from '../../core/codeFormat';
+
+/**
+ * 大文件停止输入多久后开始处理（毫秒）
+ */
+const LARGE_INPUT_DELAY = 500;
 
 /**
  * JSON 格式化工具
@@ -14,16 +31,26 @@ import CodeEditor from '../../components/CodeEditor';
  * - 实时 JSON 美化（格式化）
  * - 实时 JSON 压缩（最小化）
  * - 实时语法校验
+ * - 大文件在 Worker 中处理，显示进度并可取消
+ * - 查询面板：JSONPath、JMESPath、jq 查询，匹配的节点在输入中标出
+ * - 树形视图：展开折叠、复制节点路径，双击键或值修改并写回输入
  */
 function JsonFormat() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [input, setInput] = useState('');
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
+    // 错误：{ message, diagnostic }，diagnostic 为错误位置，无法定位时为 null
     const [error, setError] = useState(null);
     const [isValid, setIsValid] = useState(null);
-    const [mode, setMode] = useState('format'); // 'format' | 'minify'
+    const [mode, setMode] = useToolState('mode', 'format'); // 'format' | 'minify'
+    const [view, setView] = useToolState('view', 'text'); // 输出区域：'text' | 'tree'
+    const { run: runTask, cancel: cancelTask, task } = useWorkerTask();
+    const [queryOpen, setQueryOpen] = useToolState('queryOpen', false);
+    // 查询匹配的节点在输入中的范围
+    const [queryHighlights, setQueryHighlights] = useState([]);
 
     /**
      * 实时处理 JSON
@@ -36,21 +63,42 @@ function JsonFormat() {
             return;
         }
 
+        // 大文件在 Worker 中处理，输入变化时中断上一次处理
+        if (isLargeInput(input)) {
+            const timer = setTimeout(() => {
+                runTask(`codeFormat/${mode}`, { type: 'json', text: input })
+                    .then(({ result }) => {
+                        setOutput(result);
+                        setError(null);
+                        setIsValid(true);
+                    })
+                    .catch((err) => {
+                        if (err.code === 'cancelled') return;
+                        setError({ message: err.message, diagnostic: err.diagnostic || null });
+                        setIsValid(false);
+                        setOutput('');
+                    });
+            }, LARGE_INPUT_DELAY);
+            return () => {
+                clearTimeout(timer);
+                cancelTask();
+            };
+        }
+
         try {
-            const parsed = JSON.parse(input);
-            const result = mode === 'format'
-                ? JSON.stringify(parsed, null, 2)
-                : JSON.stringify(parsed);
-            setOutput(result);
+            setOutput(mode === 'format' ? formatJson(input) : minifyJson(input));
             setError(null);
             setIsValid(true);
         } catch (err) {
-            setError(`JSON 语法错误: ${err.message}`);
+            setError({ message: err.message, diagnostic: getJsonDiagnostic(input, err) });
             setIsValid(false);
             setOutput('');
         }
     }, [input, mode]);
 
+    // 输入编辑器中标出的语法错误
+    const diagnostics = useMemo(() => (error?.diagnostic ? [error.diagnostic] : []), [error]);
+
     /**
      * 切换模式
      */
@@ -73,18 +121,46 @@ function JsonFormat() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Clear',
+            label: t('jsonQuery.toggle'),
+            icon: <ManageSearchIcon fontSize="small" />,
+            variant: queryOpen ? 'contained' : 'outlined',
+            onClick: () => setQueryOpen(!queryOpen),
+        },
+        {
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
+    // 命令面板中的模式切换
+    const commands = [
+        {
+            id: 'format',
+            label: t('jsonFormat.format'),
+            icon: <FormatAlignLeftIcon fontSize="small" />,
+            shortcut: 'format',
+            onSelect: () => setMode('format'),
+        },
+        {
+            id: 'minify',
+            label: t('jsonFormat.minify'),
+            icon: <CompressIcon fontSize="small" />,
+            shortcut: 'minify',
+            onSelect: () => setMode('minify'),
+        },
+    ];
+
     return (
         <ToolCard
-            title="JSON 格式化"
-            description="实时美化、压缩和校验 JSON 数据，支持语法高亮"
+            title={t('jsonFormat.title')}
+            description={t('jsonFormat.description')}
             actions={actions}
+            commands={commands}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
@@ -92,32 +168,38 @@ function JsonFormat() {
                     value={mode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="输出模式"
+                    aria-label={t('jsonFormat.mode')}
                     size="small"
                 >
-                    <ToggleButton value="format" aria-label="格式化">
+                    <ToggleButton value="format" aria-label={t('jsonFormat.format')}>
                         <FormatAlignLeftIcon sx={{ mr: 1 }} fontSize="small" />
-                        格式化 (Format)
+                        {t('jsonFormat.format')}
                     </ToggleButton>
-                    <ToggleButton value="minify" aria-label="压缩">
+                    <ToggleButton value="minify" aria-label={t('jsonFormat.minify')}>
                         <CompressIcon sx={{ mr: 1 }} fontSize="small" />
-                        压缩 (Minify)
+                        {t('jsonFormat.minify')}
                     </ToggleButton>
                 </ToggleButtonGroup>
             </Box>
 
-            {/* 错误/成功提示 */}
-            {error && (
+            {/* 大文件处理进度 */}
+            <TaskProgress task={task} onCancel={cancelTask} />
+
+            {/* 错误/成功提示，能定位的错误显示在输入编辑器中 */}
+            {error && !error.diagnostic && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t('jsonFormat.syntaxError', { message: error.message })}
                 </Alert>
             )}
             {isValid === true && !error && (
                 <Alert severity="success" sx={{ mb: 2 }}>
-                    ✓ JSON 语法正确
+                    ✓ {t('jsonFormat.valid')}
                 </Alert>
             )}
 
+            {/* 查询面板 */}
+            {queryOpen && <JsonQueryPanel input={input} onHighlightsChange={setQueryHighlights} />}
+
             {/* 双栏编辑器 */}
             <Grid container spacing={2}>
                 {/* 输入区域 */}
@@ -142,20 +224,17 @@ function JsonFormat() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入 JSON
+                                {t('jsonFormat.input')}
                             </Typography>
                         </Box>
                         <CodeEditor
                             value={input}
                             onChange={setInput}
                             language="json"
-                            placeholder='在此粘贴或输入 JSON，例如：
-{
-  "name": "DevTools",
-  "version": "1.0.0",
-  "features": ["format", "minify", "validate"]
-}'
+                            placeholder={t('jsonFormat.inputPlaceholder')}
                             height="400px"
+                            diagnostics={diagnostics}
+                            highlights={queryHighlights}
                         />
                     </Paper>
                 </Grid>
@@ -174,24 +253,51 @@ function JsonFormat() {
                         <Box
                             sx={{
                                 px: 2,
-                                py: 1,
+                                py: 0.5,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
                                 backgroundColor: theme.palette.mode === 'dark'
                                     ? 'rgba(255,255,255,0.02)'
                                     : 'rgba(0,0,0,0.02)',
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'center',
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输出结果 ({mode === 'format' ? '格式化' : '压缩'})
+                                {view === 'tree'
+                                    ? t('jsonFormat.tree')
+                                    : t('jsonFormat.output', { mode: t(mode === 'format' ? 'jsonFormat.formatShort' : 'jsonFormat.minifyShort') })}
                             </Typography>
+                            <ToggleButtonGroup
+                                value={view}
+                                exclusive
+                                onChange={(_, value) => value && setView(value)}
+                                aria-label={t('jsonFormat.view')}
+                                size="small"
+                            >
+                                <ToggleButton value="text" aria-label={t('jsonFormat.textView')} sx={{ p: 0.25 }}>
+                                    <Tooltip title={t('jsonFormat.textView')}>
+                                        <NotesIcon fontSize="small" />
+                                    </Tooltip>
+                                </ToggleButton>
+                                <ToggleButton value="tree" aria-label={t('jsonFormat.treeView')} sx={{ p: 0.25 }}>
+                                    <Tooltip title={t('jsonFormat.treeView')}>
+                                        <AccountTreeOutlinedIcon fontSize="small" />
+                                    </Tooltip>
+                                </ToggleButton>
+                            </ToggleButtonGroup>
                         </Box>
-                        <CodeEditor
-                            value={output}
-                            language="json"
-                            placeholder="输入 JSON 后将实时显示结果..."
-                            height="400px"
-                            readOnly
-                        />
+                        {view === 'tree' ? (
+                            <JsonTreeView value={input} onChange={setInput} height={400} />
+                        ) : (
+                            <CodeEditor
+                                value={output}
+                                language="json"
+                                placeholder={t('jsonFormat.outputPlaceholder')}
+                                height="400px"
+                                readOnly
+                            />
+                        )}
                     </Paper>
                 </Grid>
             </Grid>
@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useMemo, useCallback, useDeferredValue } from 'react';
+import {
+    Box,
+    Grid,
+    Paper,
+    Typography,
+    useTheme,
+    Alert,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    TextField,
+    Switch,
+    FormControlLabel,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+
+import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import CodeEditor from '../../components/CodeEditor';
+import {
+    SCHEMA_DRAFTS,
+    detectSchemaDraft,
+    compileJsonSchema,
+    validateJsonText,
+    formatJsonPointer,
+} from '../../core/jsonSchema';
+import { getJsonDiagnostic } from '../../core/diagnostics';
+
+/**
+ * 列表中最多显示的错误数，编辑器中仍标出全部错误
+ */
+const MAX_LISTED_ERRORS = 500;
+
+/**
+ * 没有校验结果时的错误列表（保持引用不变）
+ */
+const NO_ERRORS = [];
+
+/**
+ * 默认选项
+ */
+const DEFAULT_OPTIONS = {
+    draft: 'auto', // 'auto' 或 SCHEMA_DRAFTS 中的一项
+    entry: '',
+    ndjson: false,
+    assertFormat: true,
+};
+
+/**
+ * JSON Schema 校验工具
+ *
+ * 功能：
+ * - 支持 draft-07、2019-09、2020-12，默认按 $schema 识别
+ * - $ref 在粘贴的 schema 文档内解析，可指定校验入口（如 OpenAPI 的 #/components/schemas/Pet）
+ * - 列出每个错误的实例路径和 schema 路径，在输入编辑器中标出出错的节点，点击错误只标出该节点
+ * - NDJSON 模式：每行一个文档，逐行校验
+ */
+function JsonSchemaValidator() {
+    const theme = useTheme();
+    const { t } = useI18n();
+
+    // 状态管理
+    const [schemaText, setSchemaText] = useToolState('schema', '');
+    const [input, setInput] = useToolState('input', '');
+    const [options, setOptions] = useToolState('options', DEFAULT_OPTIONS);
+    // 列表中选中的错误，null 时标出全部错误
+    const [selected, setSelected] = useState(null);
+    // 大文件输入时先响应键入，再重新校验
+    const deferredSchema = useDeferredValue(schemaText);
+    const deferredInput = useDeferredValue(input);
+
+    /**
+     * 解析并编译 schema：{ validate, draft } 或 { error }
+     */
+    const compiled = useMemo(() => {
+        if (!deferredSchema.trim()) return null;
+        let schema;
+        try {
+            schema = JSON.parse(deferredSchema);
+        } catch (err) {
+            return { error: { message: t('jsonSchema.schemaSyntaxError', { message: err.message }), diagnostic: getJsonDiagnostic(deferredSchema, err) } };
+        }
+        const draft = options.draft === 'auto' ? detectSchemaDraft(schema) || '2020-12' : options.draft;
+        try {
+            return {
+                validate: compileJsonSchema(schema, { draft, entry: options.entry, assertFormat: options.assertFormat }),
+                draft,
+            };
+        } catch (err) {
+            return { error: { message: err.code ? t(`jsonSchema.schemaErrors.${err.code}`, err.params) : err.message, diagnostic: null } };
+        }
+    }, [deferredSchema, options.draft, options.entry, options.assertFormat, t]);
+
+    /**
+     * 校验实例：{ count, errors }，schema 或实例为空时为 null
+     * 嵌套 schema 中的引用问题在校验时才会发现，同样作为 schema 错误显示
+     */
+    const result = useMemo(() => {
+        if (!compiled?.validate || !deferredInput.trim()) return null;
+        try {
+            return validateJsonText(compiled.validate, deferredInput, options.ndjson);
+        } catch (err) {
+            return { schemaError: err.code ? t(`jsonSchema.schemaErrors.${err.code}`, err.params) : err.message };
+        }
+    }, [compiled, deferredInput, options.ndjson, t]);
+
+    const errors = result?.errors || NO_ERRORS;
+
+    // 结果变化时取消选中
+    useEffect(() => {
+        setSelected(null);
+    }, [result]);
+
+    /**
+     * 错误文案
+     */
+    const describe = useCallback((error) => t(`jsonSchema.errors.${error.code}`, error.params), [t]);
+
+    // 输入编辑器中的诊断和标出的节点
+    const diagnostics = useMemo(() => errors.map(error => ({
+        ...error.position,
+        message: error.code === 'invalidJson' ? describe(error) : `${formatJsonPointer(error.instancePath) || '/'}: ${describe(error)}`,
+        severity: 'error',
+    })), [errors, describe]);
+    const highlights = useMemo(() => {
+        const shown = selected === null ? errors : [errors[selected]];
+        return shown.filter(error => error?.range).map(error => error.range);
+    }, [errors, selected]);
+
+    const schemaDiagnostics = useMemo(
+        () => (compiled?.error?.diagnostic ? [compiled.error.diagnostic] : []),
+        [compiled],
+    );
+
+    /**
+     * 更新选项
+     */
+    const updateOption = (key, value) => {
+        setOptions(prev => ({ ...prev, [key]: value }));
+    };
+
+    /**
+     * 清空所有内容
+     */
+    const handleClear = useCallback(() => {
+        setSchemaText('');
+        setInput('');
+    }, []);
+
+    /**
+     * 交换 schema 和实例
+     */
+    const handleSwap = useCallback(() => {
+        setSchemaText(input);
+        setInput(schemaText);
+    }, [schemaText, input]);
+
+    /**
+     * 从历史记录恢复 schema 和实例
+     */
+    const handleHistorySelect = useCallback((value) => {
+        setSchemaText(value.schema || '');
+        setInput(value.input || '');
+    }, []);
+
+    // 工具栏按钮配置
+    const actions = [
+        {
+            label: t('actions.swap'),
+            icon: <SwapHorizIcon fontSize="small" />,
+            shortcut: 'swap',
+            onClick: handleSwap,
+            disabled: !schemaText && !input,
+        },
+        {
+            label: t('actions.clear'),
+            icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
+            onClick: handleClear,
+        },
+    ];
+
+    // 校验结果摘要
+    let summary = null;
+    if (compiled?.error) {
+        if (!compiled.error.diagnostic) summary = { severity: 'error', text: compiled.error.message };
+    } else if (result?.schemaError) {
+        summary = { severity: 'error', text: result.schemaError };
+    } else if (result && result.count > 0) {
+        const failed = new Set(errors.map(error => error.line)).size;
+        summary = errors.length === 0
+            ? { severity: 'success', text: `✓ ${t(options.ndjson ? 'jsonSchema.validDocuments' : 'jsonSchema.valid', { count: result.count, draft: compiled.draft })}` }
+            : {
+                severity: 'error',
+                text: options.ndjson
+                    ? t('jsonSchema.invalidDocuments', { count: errors.length, failed, total: result.count })
+                    : t('jsonSchema.invalid', { count: errors.length }),
+            };
+    }
+
+    const editorPaper = {
+        backgroundColor: theme.palette.background.paper,
+        border: `1px solid ${theme.palette.divider}`,
+        borderRadius: 2,
+        overflow: 'hidden',
+    };
+    const editorHeader = {
+        px: 2,
+        py: 1,
+        borderBottom: `1px solid ${theme.palette.divider}`,
+        backgroundColor: theme.palette.mode === 'dark'
+            ? 'rgba(255,255,255,0.02)'
+            : 'rgba(0,0,0,0.02)',
+    };
+
+    return (
+        <ToolCard
+            title={t('jsonSchema.title')}
+            description={t('jsonSchema.description')}
+            actions={actions}
+            historyValue={{ schema: schemaText, input }}
+            onHistorySelect={handleHistorySelect}
+        >
+            {/* 选项面板 */}
+            <Paper
+                elevation={0}
+                sx={{
+                    p: 2,
+                    mb: 2,
+                    backgroundColor: theme.palette.mode === 'dark'
+                        ? 'rgba(99, 102, 241, 0.05)'
+                        : 'rgba(99, 102, 241, 0.03)',
+                    border: `1px solid ${theme.palette.divider}`,
+                    borderRadius: 2,
+                }}
+            >
+                <Grid container spacing={2} alignItems="center">
+                    <Grid item xs={12} sm={6} md={3}>
+                        <FormControl fullWidth size="small">
+                            <InputLabel>{t('jsonSchema.draft')}</InputLabel>
+                            <Select
+                                value={options.draft}
+                                label={t('jsonSchema.draft')}
+                                onChange={(e) => updateOption('draft', e.target.value)}
+                            >
+                                <MenuItem value="auto">{t('jsonSchema.autoDraft')}</MenuItem>
+                                {SCHEMA_DRAFTS.map(draft => (
+                                    <MenuItem key={draft} value={draft}>{draft}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={4}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            label={t('jsonSchema.entry')}
+                            placeholder="#/components/schemas/Pet"
+                            value={options.entry}
+                            onChange={(e) => updateOption('entry', e.target.value)}
+                            inputProps={{ spellCheck: false }}
+                            InputProps={{ sx: { fontFamily: theme.editor.fontFamily } }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={2.5}>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={options.ndjson}
+                                    onChange={(e) => updateOption('ndjson', e.target.checked)}
+                                    size="small"
+                                />
+                            }
+                            label={t('jsonSchema.ndjson')}
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={2.5}>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={options.assertFormat}
+                                    onChange={(e) => updateOption('assertFormat', e.target.checked)}
+                                    size="small"
+                                />
+                            }
+                            label={t('jsonSchema.assertFormat')}
+                        />
+                    </Grid>
+                </Grid>
+            </Paper>
+
+            {/* 校验结果，能定位的 schema 语法错误显示在 schema 编辑器中 */}
+            {summary && (
+                <Alert severity={summary.severity} sx={{ mb: 2 }}>
+                    {summary.text}
+                </Alert>
+            )}
+
+            {/* 双栏编辑器 */}
+            <Grid container spacing={2}>
+                {/* Schema */}
+                <Grid item xs={12} md={6}>
+                    <Paper elevation={0} sx={editorPaper}>
+                        <Box sx={editorHeader}>
+                            <Typography variant="body2" fontWeight={500} color="text.secondary">
+                                {t('jsonSchema.schema')}
+                            </Typography>
+                        </Box>
+                        <CodeEditor
+                            value={schemaText}
+                            onChange={setSchemaText}
+                            language="json"
+                            placeholder={t('jsonSchema.schemaPlaceholder')}
+                            height="400px"
+                            diagnostics={schemaDiagnostics}
+                        />
+                    </Paper>
+                </Grid>
+
+                {/* 实例 */}
+                <Grid item xs={12} md={6}>
+                    <Paper elevation={0} sx={editorPaper}>
+                        <Box sx={editorHeader}>
+                            <Typography variant="body2" fontWeight={500} color="text.secondary">
+                                {t(options.ndjson ? 'jsonSchema.instancesNdjson' : 'jsonSchema.instance')}
+                            </Typography>
+                        </Box>
+                        <CodeEditor
+                            value={input}
+                            onChange={setInput}
+                            language="json"
+                            placeholder={t(options.ndjson ? 'jsonSchema.ndjsonPlaceholder' : 'jsonSchema.instancePlaceholder')}
+                            height="400px"
+                            diagnostics={diagnostics}
+                            highlights={highlights}
+                        />
+                    </Paper>
+                </Grid>
+            </Grid>
+
+            {/* 错误列表 */}
+            {errors.length > 0 && (
+                <Paper elevation={0} sx={{ ...editorPaper, mt: 2 }}>
+                    <Box sx={editorHeader}>
+                        <Typography variant="body2" fontWeight={500} color="text.secondary">
+                            {t('jsonSchema.errorList', { count: errors.length })}
+                            {errors.length > MAX_LISTED_ERRORS && ` · ${t('jsonSchema.truncated', { count: MAX_LISTED_ERRORS })}`}
+                        </Typography>
+                    </Box>
+                    <TableContainer sx={{ maxHeight: 360 }}>
+                        <Table size="small" stickyHeader>
+                            <TableHead>
+                                <TableRow>
+                                    {options.ndjson && <TableCell>{t('jsonSchema.line')}</TableCell>}
+                                    <TableCell>{t('jsonSchema.instancePath')}</TableCell>
+                                    <TableCell>{t('jsonSchema.message')}</TableCell>
+                                    <TableCell>{t('jsonSchema.schemaPath')}</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {errors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+                                    <TableRow
+                                        key={index}
+                                        hover
+                                        selected={selected === index}
+                                        onClick={() => setSelected(selected === index ? null : index)}
+                                        sx={{ cursor: 'pointer' }}
+                                    >
+                                        {options.ndjson && <TableCell>{error.line}</TableCell>}
+                                        <TableCell sx={{ fontFamily: theme.editor.fontFamily, wordBreak: 'break-all' }}>
+                                            {formatJsonPointer(error.instancePath) || '/'}
+                                        </TableCell>
+                                        <TableCell>{describe(error)}</TableCell>
+                                        <TableCell sx={{ fontFamily: theme.editor.fontFamily, color: 'text.secondary', wordBreak: 'break-all' }}>
+                                            {error.schemaPath}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </Paper>
+            )}
+        </ToolCard>
+    );
+}
+
+export default JsonSchemaValidator;
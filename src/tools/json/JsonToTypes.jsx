@@ -0,0 +1,328 @@
+import React, { useMemo, useCallback, useDeferredValue } from 'react';
+import {
+    Box,
+    Grid,
+    Paper,
+    Typography,
+    useTheme,
+    Alert,
+    TextField,
+    Switch,
+    FormControlLabel,
+    Chip,
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import ContentPasteIcon from '@mui/icons-material/ContentPaste';
+
+import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import CodeEditor from '../../components/CodeEditor';
+import {
+    parseJsonSamples,
+    inferJsonSchema,
+    buildTypeModel,
+    generateJsonTypes,
+    DEFAULT_JSON_TYPE_OPTIONS,
+} from '../../core/jsonTypes';
+import { getJsonDiagnostic } from '../../core/diagnostics';
+
+/**
+ * 输出配置
+ */
+const TARGETS = [
+    { value: 'json-schema', label: 'JSON Schema', lang: 'json' },
+    { value: 'typescript', label: 'TypeScript (Interface)', lang: 'typescript' },
+    { value: 'zod', label: 'Zod', lang: 'typescript' },
+    { value: 'go', label: 'Go (struct)', lang: 'go' },
+    { value: 'java', label: 'Java (record)', lang: 'java' },
+    { value: 'kotlin', label: 'Kotlin (data class)', lang: 'kotlin' },
+    { value: 'python-dataclass', label: 'Python (dataclass)', lang: 'python' },
+    { value: 'python-pydantic', label: 'Python (Pydantic)', lang: 'python' },
+];
+
+/**
+ * JSON 转类型工具
+ */
+function JsonToTypes() {
+    const theme = useTheme();
+    const { t } = useI18n();
+
+    // 状态管理
+    const [input, setInput] = useToolState('input', '');
+    const [target, setTarget] = useToolState('target', 'typescript');
+
+    // 选项
+    const [options, setOptions] = useToolState('options', DEFAULT_JSON_TYPE_OPTIONS);
+
+    const deferredInput = useDeferredValue(input);
+
+    /**
+     * 实时推断并生成
+     */
+    const { output, error, diagnostic, summary } = useMemo(() => {
+        if (!deferredInput.trim()) {
+            return { output: '', error: null, diagnostic: null, summary: null };
+        }
+
+        let samples;
+        try {
+            samples = parseJsonSamples(deferredInput);
+        } catch (err) {
+            return {
+                output: '',
+                error: t('jsonTypes.syntaxError', { message: err.message }),
+                diagnostic: getJsonDiagnostic(deferredInput, err),
+                summary: null,
+            };
+        }
+
+        try {
+            const schema = inferJsonSchema(samples, options);
+            const { types } = buildTypeModel(schema, options.rootName);
+            return {
+                output: generateJsonTypes(schema, target, options),
+                error: null,
+                diagnostic: null,
+                summary: { samples: samples.length, types: types.length },
+            };
+        } catch (err) {
+            return {
+                output: '',
+                error: err.code ? t(`jsonTypes.errors.${err.code}`) : err.message,
+                diagnostic: null,
+                summary: null,
+            };
+        }
+    }, [deferredInput, target, options, t]);
+
+    const diagnostics = useMemo(() => (diagnostic ? [diagnostic] : []), [diagnostic]);
+
+    /**
+     * 清空
+     */
+    const handleClear = useCallback(() => {
+        setInput('');
+    }, []);
+
+    /**
+     * 粘贴
+     */
+    const handlePaste = useCallback(async () => {
+        try {
+            const text = await navigator.clipboard.readText();
+            setInput(text);
+        } catch (err) {
+            console.error('粘贴失败:', err);
+        }
+    }, []);
+
+    /**
+     * 更新选项
+     */
+    const updateOption = (key, value) => {
+        setOptions(prev => ({ ...prev, [key]: value }));
+    };
+
+    const currentTarget = TARGETS.find(item => item.value === target) || TARGETS[1];
+
+    // 工具栏按钮配置
+    const actions = [
+        {
+            label: t('actions.paste'),
+            icon: <ContentPasteIcon fontSize="small" />,
+            shortcut: 'paste',
+            onClick: handlePaste,
+        },
+        {
+            label: t('actions.clear'),
+            icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
+            onClick: handleClear,
+        },
+    ];
+
+    return (
+        <ToolCard
+            title={t('jsonTypes.title')}
+            description={t('jsonTypes.description')}
+            actions={actions}
+            copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
+        >
+            {/* 输出选择 */}
+            <Box sx={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                {TARGETS.map((item) => (
+                    <Chip
+                        key={item.value}
+                        label={item.label}
+                        onClick={() => setTarget(item.value)}
+                        color={target === item.value ? 'primary' : 'default'}
+                        variant={target === item.value ? 'filled' : 'outlined'}
+                        sx={{ cursor: 'pointer' }}
+                    />
+                ))}
+            </Box>
+
+            {/* 选项面板 */}
+            <Paper
+                elevation={0}
+                sx={{
+                    p: 2,
+                    mb: 2,
+                    backgroundColor: theme.palette.mode === 'dark'
+                        ? 'rgba(99, 102, 241, 0.05)'
+                        : 'rgba(99, 102, 241, 0.03)',
+                    border: `1px solid ${theme.palette.divider}`,
+                    borderRadius: 2,
+                }}
+            >
+                <Grid container spacing={2} alignItems="center">
+                    <Grid item xs={12} sm={6} md={4}>
+                        <TextField
+                            label={t('jsonTypes.rootName')}
+                            value={options.rootName}
+                            onChange={(e) => updateOption('rootName', e.target.value)}
+                            size="small"
+                            fullWidth
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={4}>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={options.detectFormats}
+                                    onChange={(e) => updateOption('detectFormats', e.target.checked)}
+                                    size="small"
+                                />
+                            }
+                            label={t('jsonTypes.detectFormats')}
+                        />
+                    </Grid>
+                    {target !== 'json-schema' && target !== 'typescript' && (
+                        <Grid item xs={12} sm={6} md={4}>
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        checked={options.includeImports}
+                                        onChange={(e) => updateOption('includeImports', e.target.checked)}
+                                        size="small"
+                                    />
+                                }
+                                label={t('jsonTypes.includeImports')}
+                            />
+                        </Grid>
+                    )}
+                </Grid>
+            </Paper>
+
+            {/* 错误提示 */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error}
+                </Alert>
+            )}
+
+            {/* 推断结果提示 */}
+            {summary && (
+                <Alert severity="success" sx={{ mb: 2 }}>
+                    {t('jsonTypes.inferred', summary)}
+                </Alert>
+            )}
+
+            {/* 双栏编辑器 */}
+            <Grid container spacing={2}>
+                {/* 输入区域 */}
+                <Grid item xs={12} md={6}>
+                    <Paper
+                        elevation={0}
+                        sx={{
+                            backgroundColor: theme.palette.background.paper,
+                            border: `1px solid ${theme.palette.divider}`,
+                            borderRadius: 2,
+                            overflow: 'hidden',
+                        }}
+                    >
+                        <Box
+                            sx={{
+                                px: 2,
+                                py: 1,
+                                borderBottom: `1px solid ${theme.palette.divider}`,
+                                backgroundColor: theme.palette.mode === 'dark'
+                                    ? 'rgba(255,255,255,0.02)'
+                                    : 'rgba(0,0,0,0.02)',
+                            }}
+                        >
+                            <Typography variant="body2" fontWeight={500} color="text.secondary">
+                                {t('jsonTypes.input')}
+                            </Typography>
+                        </Box>
+                        <CodeEditor
+                            value={input}
+                            onChange={setInput}
+                            language="json"
+                            placeholder={t('jsonTypes.inputPlaceholder')}
+                            diagnostics={diagnostics}
+                            height="500px"
+                        />
+                    </Paper>
+                </Grid>
+
+                {/* 输出区域 */}
+                <Grid item xs={12} md={6}>
+                    <Paper
+                        elevation={0}
+                        sx={{
+                            backgroundColor: theme.palette.background.paper,
+                            border: `1px solid ${theme.palette.divider}`,
+                            borderRadius: 2,
+                            overflow: 'hidden',
+                        }}
+                    >
+                        <Box
+                            sx={{
+                                px: 2,
+                                py: 1,
+                                borderBottom: `1px solid ${theme.palette.divider}`,
+                                backgroundColor: theme.palette.mode === 'dark'
+                                    ? 'rgba(255,255,255,0.02)'
+                                    : 'rgba(0,0,0,0.02)',
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'center',
+                            }}
+                        >
+                            <Typography variant="body2" fontWeight={500} color="text.secondary">
+                                {t('jsonTypes.output')}
+                            </Typography>
+                            <Chip
+                                label={currentTarget.label}
+                                size="small"
+                                color="primary"
+                                sx={{ height: 20, fontSize: 11 }}
+                            />
+                        </Box>
+                        <CodeEditor
+                            value={output}
+                            language={currentTarget.lang}
+                            placeholder={t('jsonTypes.outputPlaceholder')}
+                            height="500px"
+                            readOnly
+                        />
+                    </Paper>
+                </Grid>
+            </Grid>
+
+            {/* 使用说明 */}
+            <Box sx={{ mt: 3 }}>
+                <Typography variant="body2" color="text.secondary">
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('jsonTypes.tip')}
+                </Typography>
+            </Box>
+        </ToolCard>
+    );
+}
+
+export default JsonToTypes;
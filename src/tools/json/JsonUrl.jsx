@@ -5,7 +5,10 @@ import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
+import { jsonToQueryString, queryStringToJson } from '../../core/url';
 
 /**
  * JSON ↔ URL 参数转换工具
@@ -18,175 +21,24 @@ import CodeEditor from '../../components/CodeEditor';
  */
 function JsonUrl() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [input, setInput] = useState('');
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
     const [error, setError] = useState(null);
-    const [mode, setMode] = useState('json2url'); // 'json2url' | 'url2json'
+    const [mode, setMode] = useToolState('mode', 'json2url'); // 'json2url' | 'url2json'
     const [copied, setCopied] = useState(false);
 
     // 配置选项
-    const [options, setOptions] = useState({
+    const [options, setOptions] = useToolState('options', {
         encodeValues: true,     // 是否对值进行 URL 编码
         includePrefix: true,    // 是否包含 ? 前缀
         flattenArrays: true,    // 是否展开数组为多个同名参数
     });
 
     // 可选的基础 URL
-    const [baseUrl, setBaseUrl] = useState('');
-
-    /**
-     * 将 JSON 对象转换为 URL 查询参数
-     * @param {Object} obj - JSON 对象
-     * @param {string} prefix - 键前缀（用于嵌套对象）
-     * @returns {string} URL 查询字符串
-     */
-    const jsonToUrlParams = (obj, prefix = '') => {
-        const params = [];
-
-        for (const [key, value] of Object.entries(obj)) {
-            const fullKey = prefix ? `${prefix}[${key}]` : key;
-
-            if (value === null || value === undefined) {
-                // 跳过 null 和 undefined
-                continue;
-            } else if (Array.isArray(value)) {
-                // 处理数组
-                if (options.flattenArrays) {
-                    // 展开数组为多个同名参数
-                    value.forEach((item, index) => {
-                        if (typeof item === 'object' && item !== null) {
-                            params.push(jsonToUrlParams(item, `${fullKey}[${index}]`));
-                        } else {
-                            const encodedValue = options.encodeValues
-                                ? encodeURIComponent(String(item))
-                                : String(item);
-                            params.push(`${fullKey}[]=${encodedValue}`);
-                        }
-                    });
-                } else {
-                    // 将数组序列化为 JSON 字符串
-                    const encodedValue = options.encodeValues
-                        ? encodeURIComponent(JSON.stringify(value))
-                        : JSON.stringify(value);
-                    params.push(`${fullKey}=${encodedValue}`);
-                }
-            } else if (typeof value === 'object') {
-                // 递归处理嵌套对象
-                params.push(jsonToUrlParams(value, fullKey));
-            } else {
-                // 处理基本类型
-                const encodedValue = options.encodeValues
-                    ? encodeURIComponent(String(value))
-                    : String(value);
-                params.push(`${fullKey}=${encodedValue}`);
-            }
-        }
-
-        return params.filter(p => p).join('&');
-    };
-
-    /**
-     * 将 URL 查询参数转换为 JSON 对象
-     * @param {string} queryString - URL 查询字符串
-     * @returns {Object} JSON 对象
-     */
-    const urlParamsToJson = (queryString) => {
-        // 移除开头的 ? 和 URL 部分
-        let query = queryString.trim();
-
-        // 尝试从完整 URL 中提取查询参数
-        if (query.includes('://')) {
-            const url = new URL(query);
-            query = url.search.substring(1);
-        } else if (query.startsWith('?')) {
-            query = query.substring(1);
-        }
-
-        if (!query) {
-            return {};
-        }
-
-        const result = {};
-        const pairs = query.split('&');
-
-        for (const pair of pairs) {
-            const [key, ...valueParts] = pair.split('=');
-            const value = valueParts.join('='); // 处理值中包含 = 的情况
-
-            if (!key) continue;
-
-            const decodedKey = decodeURIComponent(key);
-            let decodedValue = value ? decodeURIComponent(value) : '';
-
-            // 尝试解析 JSON 值
-            try {
-                if (decodedValue.startsWith('{') || decodedValue.startsWith('[')) {
-                    decodedValue = JSON.parse(decodedValue);
-                } else if (decodedValue === 'true') {
-                    decodedValue = true;
-                } else if (decodedValue === 'false') {
-                    decodedValue = false;
-                } else if (decodedValue === 'null') {
-                    decodedValue = null;
-                } else if (!isNaN(decodedValue) && decodedValue !== '') {
-                    decodedValue = Number(decodedValue);
-                }
-            } catch {
-                // 保持原始字符串值
-            }
-
-            // 处理嵌套键（如 user[name] 或 items[]）
-            const keyMatch = decodedKey.match(/^([^\[]+)(.*)$/);
-            if (keyMatch) {
-                const baseKey = keyMatch[1];
-                const nestedPart = keyMatch[2];
-
-                if (nestedPart === '[]') {
-                    // 数组形式的键
-                    if (!result[baseKey]) result[baseKey] = [];
-                    result[baseKey].push(decodedValue);
-                } else if (nestedPart) {
-                    // 嵌套对象形式的键
-                    const nestedKeys = nestedPart.match(/\[([^\]]*)\]/g);
-                    if (nestedKeys) {
-                        let current = result;
-                        let fullPath = [baseKey, ...nestedKeys.map(k => k.slice(1, -1))];
-
-                        for (let i = 0; i < fullPath.length - 1; i++) {
-                            const k = fullPath[i];
-                            const nextK = fullPath[i + 1];
-                            if (!current[k]) {
-                                current[k] = nextK === '' || !isNaN(Number(nextK)) ? [] : {};
-                            }
-                            current = current[k];
-                        }
-
-                        const lastKey = fullPath[fullPath.length - 1];
-                        if (lastKey === '' && Array.isArray(current)) {
-                            current.push(decodedValue);
-                        } else {
-                            current[lastKey] = decodedValue;
-                        }
-                    }
-                } else {
-                    // 简单键
-                    if (result[baseKey] !== undefined) {
-                        // 如果键已存在，转换为数组
-                        if (!Array.isArray(result[baseKey])) {
-                            result[baseKey] = [result[baseKey]];
-                        }
-                        result[baseKey].push(decodedValue);
-                    } else {
-                        result[baseKey] = decodedValue;
-                    }
-                }
-            }
-        }
-
-        return result;
-    };
+    const [baseUrl, setBaseUrl] = useToolState('baseUrl', '');
 
     /**
      * 实时转换
@@ -201,31 +53,15 @@ function JsonUrl() {
         try {
             if (mode === 'json2url') {
                 // JSON → URL 参数
-                const parsed = JSON.parse(input);
-                let result = jsonToUrlParams(parsed);
-
-                // 添加前缀和基础 URL
-                if (result) {
-                    if (baseUrl.trim()) {
-                        const separator = baseUrl.includes('?') ? '&' : '?';
-                        result = baseUrl.trim() + separator + result;
-                    } else if (options.includePrefix) {
-                        result = '?' + result;
-                    }
-                }
-
-                setOutput(result);
+                setOutput(jsonToQueryString(input, { ...options, baseUrl }));
                 setError(null);
             } else {
                 // URL 参数 → JSON
-                const parsed = urlParamsToJson(input);
-                const result = JSON.stringify(parsed, null, 2);
-                setOutput(result);
+                setOutput(queryStringToJson(input));
                 setError(null);
             }
         } catch (err) {
-            const errorType = mode === 'json2url' ? 'JSON' : 'URL 参数';
-            setError(`${errorType} 解析错误: ${err.message}`);
+            setError(err.message);
             setOutput('');
         }
     }, [input, mode, options, baseUrl]);
@@ -293,34 +129,37 @@ function JsonUrl() {
 
     // 输入占位符
     const inputPlaceholder = mode === 'json2url'
-        ? `在此粘贴或输入 JSON，例如：
+        ? `${t('common.examplePrefix', { type: 'JSON' })}
 {
   "name": "张三",
   "age": 28,
   "tags": ["开发", "设计"],
   "active": true
 }`
-        : `在此粘贴 URL 或查询参数，例如：
+        : `${t('jsonUrl.urlExamplePrefix')}
 ?name=%E5%BC%A0%E4%B8%89&age=28&tags[]=%E5%BC%80%E5%8F%91&tags[]=%E8%AE%BE%E8%AE%A1&active=true
 
-或完整 URL：
+${t('jsonUrl.fullUrlExample')}
 https://example.com/api?name=zhangsan&page=1`;
 
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="JSON ↔ URL 参数"
-            description="JSON 对象与 URL 查询参数实时互转"
+            title={t('jsonUrl.title')}
+            description={t('jsonUrl.description')}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换和选项 */}
             <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1.5, mb: 2 }}>
@@ -329,19 +168,19 @@ https://example.com/api?name=zhangsan&page=1`;
                         value={mode}
                         exclusive
                         onChange={handleModeChange}
-                        aria-label="转换模式"
+                        aria-label={t('common.convertMode')}
                         size="small"
                     >
-                        <ToggleButton value="json2url" aria-label="JSON 转 URL 参数">
+                        <ToggleButton value="json2url" aria-label="JSON → URL">
                             JSON → URL
                         </ToggleButton>
-                        <ToggleButton value="url2json" aria-label="URL 参数转 JSON">
+                        <ToggleButton value="url2json" aria-label="URL → JSON">
                             URL → JSON
                         </ToggleButton>
                     </ToggleButtonGroup>
 
                     {/* 交换按钮 */}
-                    <Tooltip title="交换输入输出">
+                    <Tooltip title={t('common.swapInputOutput')}>
                         <IconButton
                             onClick={handleSwap}
                             disabled={!output.trim()}
@@ -374,7 +213,7 @@ https://example.com/api?name=zhangsan&page=1`;
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">URL 编码值</Typography>}
+                                label={<Typography variant="body2">{t('jsonUrl.encodeValues')}</Typography>}
                             />
                             <FormControlLabel
                                 control={
@@ -384,7 +223,7 @@ https://example.com/api?name=zhangsan&page=1`;
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">包含 ? 前缀</Typography>}
+                                label={<Typography variant="body2">{t('jsonUrl.includePrefix')}</Typography>}
                             />
                             <FormControlLabel
                                 control={
@@ -394,14 +233,14 @@ https://example.com/api?name=zhangsan&page=1`;
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">展开数组</Typography>}
+                                label={<Typography variant="body2">{t('jsonUrl.flattenArrays')}</Typography>}
                             />
                         </Box>
 
                         {/* 基础 URL 输入 */}
                         <TextField
                             size="small"
-                            placeholder="可选：输入基础 URL，如 https://example.com/api"
+                            placeholder={t('jsonUrl.baseUrlPlaceholder')}
                             value={baseUrl}
                             onChange={(e) => setBaseUrl(e.target.value)}
                             sx={{
@@ -419,7 +258,7 @@ https://example.com/api?name=zhangsan&page=1`;
             {/* 错误提示 */}
             {error && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t('common.parseError', { type: mode === 'json2url' ? 'JSON' : t('jsonUrl.queryParams'), message: error })}
                 </Alert>
             )}
 
@@ -450,7 +289,7 @@ https://example.com/api?name=zhangsan&page=1`;
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入 ({mode === 'json2url' ? 'JSON' : 'URL'})
+                                {t('common.inputOf', { type: mode === 'json2url' ? 'JSON' : 'URL' })}
                             </Typography>
                         </Box>
                         <CodeEditor
@@ -488,9 +327,9 @@ https://example.com/api?name=zhangsan&page=1`;
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输出 ({mode === 'json2url' ? 'URL 参数' : 'JSON'})
+                                {t('common.outputOf', { type: mode === 'json2url' ? t('jsonUrl.queryParams') : 'JSON' })}
                             </Typography>
-                            <Tooltip title={copied ? '已复制!' : '复制'}>
+                            <Tooltip title={copied ? t('common.copiedShort') : t('common.copy')}>
                                 <IconButton
                                     onClick={handleCopy}
                                     disabled={!output}
@@ -504,7 +343,7 @@ https://example.com/api?name=zhangsan&page=1`;
                         <CodeEditor
                             value={output}
                             language={outputLanguage}
-                            placeholder={`输入${mode === 'json2url' ? ' JSON ' : ' URL '}后将实时显示转换结果...`}
+                            placeholder={t('jsonUrl.outputPlaceholder', { type: mode === 'json2url' ? 'JSON' : 'URL' })}
                             height="350px"
                             readOnly
                         />
@@ -525,14 +364,14 @@ https://example.com/api?name=zhangsan&page=1`;
                 }}
             >
                 <Typography variant="subtitle2" gutterBottom color="text.secondary">
-                    💡 使用提示
+                    💡 {t('common.tips')}
                 </Typography>
                 <Typography variant="body2" color="text.secondary" component="ul" sx={{ pl: 2, m: 0 }}>
-                    <li>JSON → URL：将 JSON 对象转换为 URL 查询字符串，支持嵌套对象和数组</li>
-                    <li>URL → JSON：解析 URL 或查询参数为 JSON 对象，自动识别数字、布尔值</li>
-                    <li>可选填入基础 URL，将自动拼接生成完整 URL</li>
-                    <li>数组默认展开为多个同名参数（如 <code>tags[]=a&tags[]=b</code>）</li>
-                    <li>支持解析完整 URL 或仅查询参数部分</li>
+                    <li>{t('jsonUrl.tipJson2Url')}</li>
+                    <li>{t('jsonUrl.tipUrl2Json')}</li>
+                    <li>{t('jsonUrl.tipBaseUrl')}</li>
+                    <li>{t('jsonUrl.tipArraysBefore')}<code>tags[]=a&tags[]=b</code>{t('jsonUrl.tipArraysAfter')}</li>
+                    <li>{t('jsonUrl.tipFullUrl')}</li>
                 </Typography>
             </Box>
         </ToolCard>
@@ -3,10 +3,12 @@ import { Box, Grid, Paper, Typography, useTheme, Alert, ToggleButton, ToggleButt
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
-import { XMLParser, XMLBuilder } from 'fast-xml-parser';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
+import { jsonToXml, xmlToJson } from '../../core/json';
 
 /**
  * JSON ↔ XML 转换工具
@@ -20,44 +22,22 @@ import CodeEditor from '../../components/CodeEditor';
  */
 function JsonXml() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [input, setInput] = useState('');
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
     const [error, setError] = useState(null);
-    const [mode, setMode] = useState('json2xml'); // 'json2xml' | 'xml2json'
+    const [mode, setMode] = useToolState('mode', 'json2xml'); // 'json2xml' | 'xml2json'
     const [copied, setCopied] = useState(false);
 
     // 配置选项
-    const [options, setOptions] = useState({
+    const [options, setOptions] = useToolState('options', {
         indent: true,           // 是否格式化缩进
         ignoreAttributes: false, // 是否忽略 XML 属性
         preserveOrder: false,    // 是否保持顺序
     });
 
-    /**
-     * XML 解析器配置
-     */
-    const xmlParser = new XMLParser({
-        ignoreAttributes: options.ignoreAttributes,
-        attributeNamePrefix: '@_',
-        textNodeName: '#text',
-        preserveOrder: options.preserveOrder,
-        trimValues: true,
-    });
-
-    /**
-     * XML 构建器配置
-     */
-    const xmlBuilder = new XMLBuilder({
-        ignoreAttributes: options.ignoreAttributes,
-        attributeNamePrefix: '@_',
-        textNodeName: '#text',
-        format: options.indent,
-        indentBy: '  ',
-        suppressEmptyNode: true,
-    });
-
     /**
      * 实时转换
      */
@@ -71,28 +51,15 @@ function JsonXml() {
         try {
             if (mode === 'json2xml') {
                 // JSON → XML
-                const parsed = JSON.parse(input);
-                // 如果 JSON 是数组或没有根元素，添加一个默认根元素
-                let dataToConvert = parsed;
-                const needsRoot = Array.isArray(parsed) || Object.keys(parsed).length > 1;
-                if (needsRoot) {
-                    dataToConvert = { root: parsed };
-                }
-                const result = xmlBuilder.build(dataToConvert);
-                // 添加 XML 声明
-                const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8"?>\n';
-                setOutput(xmlDeclaration + result);
+                setOutput(jsonToXml(input, options));
                 setError(null);
             } else {
                 // XML → JSON
-                const parsed = xmlParser.parse(input);
-                const result = JSON.stringify(parsed, null, options.indent ? 2 : 0);
-                setOutput(result);
+                setOutput(xmlToJson(input, options));
                 setError(null);
             }
         } catch (err) {
-            const errorType = mode === 'json2xml' ? 'JSON' : 'XML';
-            setError(`${errorType} 语法错误: ${err.message}`);
+            setError(err.message);
             setOutput('');
         }
     }, [input, mode, options]);
@@ -167,7 +134,7 @@ function JsonXml() {
 
     // 输入占位符
     const inputPlaceholder = mode === 'json2xml'
-        ? `在此粘贴或输入 JSON，例如：
+        ? `${t('common.examplePrefix', { type: 'JSON' })}
 {
   "user": {
     "name": "张三",
@@ -175,7 +142,7 @@ function JsonXml() {
     "email": "zhangsan@example.com"
   }
 }`
-        : `在此粘贴或输入 XML，例如：
+        : `${t('common.examplePrefix', { type: 'XML' })}
 <?xml version="1.0" encoding="UTF-8"?>
 <user>
   <name>张三</name>
@@ -186,18 +153,21 @@ function JsonXml() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="JSON ↔ XML"
-            description="JSON 与 XML 格式实时互转，支持语法高亮"
+            title={t('jsonXml.title')}
+            description={t('jsonXml.description')}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换和选项 */}
             <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1, mb: 2 }}>
@@ -206,19 +176,19 @@ function JsonXml() {
                         value={mode}
                         exclusive
                         onChange={handleModeChange}
-                        aria-label="转换模式"
+                        aria-label={t('common.convertMode')}
                         size="small"
                     >
-                        <ToggleButton value="json2xml" aria-label="JSON 转 XML">
+                        <ToggleButton value="json2xml" aria-label="JSON → XML">
                             JSON → XML
                         </ToggleButton>
-                        <ToggleButton value="xml2json" aria-label="XML 转 JSON">
+                        <ToggleButton value="xml2json" aria-label="XML → JSON">
                             XML → JSON
                         </ToggleButton>
                     </ToggleButtonGroup>
 
                     {/* 交换按钮 */}
-                    <Tooltip title="交换输入输出">
+                    <Tooltip title={t('common.swapInputOutput')}>
                         <IconButton
                             onClick={handleSwap}
                             disabled={!output.trim()}
@@ -249,7 +219,7 @@ function JsonXml() {
                                 size="small"
                             />
                         }
-                        label={<Typography variant="body2">格式化缩进</Typography>}
+                        label={<Typography variant="body2">{t('jsonXml.indent')}</Typography>}
                     />
                     <FormControlLabel
                         control={
@@ -259,7 +229,7 @@ function JsonXml() {
                                 size="small"
                             />
                         }
-                        label={<Typography variant="body2">忽略 XML 属性</Typography>}
+                        label={<Typography variant="body2">{t('jsonXml.ignoreAttributes')}</Typography>}
                     />
                 </Box>
             </Box>
@@ -267,7 +237,7 @@ function JsonXml() {
             {/* 错误提示 */}
             {error && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t('common.syntaxError', { type: mode === 'json2xml' ? 'JSON' : 'XML', message: error })}
                 </Alert>
             )}
 
@@ -298,7 +268,7 @@ function JsonXml() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入 ({inputLanguage.toUpperCase()})
+                                {t('common.inputOf', { type: inputLanguage.toUpperCase() })}
                             </Typography>
                         </Box>
                         <CodeEditor
@@ -336,9 +306,9 @@ function JsonXml() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输出 ({outputLanguage.toUpperCase()})
+                                {t('common.outputOf', { type: outputLanguage.toUpperCase() })}
                             </Typography>
-                            <Tooltip title={copied ? '已复制!' : '复制'}>
+                            <Tooltip title={copied ? t('common.copiedShort') : t('common.copy')}>
                                 <IconButton
                                     onClick={handleCopy}
                                     disabled={!output}
@@ -352,7 +322,7 @@ function JsonXml() {
                         <CodeEditor
                             value={output}
                             language={outputLanguage}
-                            placeholder={`输入 ${inputLanguage.toUpperCase()} 后将实时显示 ${outputLanguage.toUpperCase()} 结果...`}
+                            placeholder={t('common.livePlaceholder', { input: inputLanguage.toUpperCase(), output: outputLanguage.toUpperCase() })}
                             height="400px"
                             readOnly
                         />
@@ -373,13 +343,13 @@ function JsonXml() {
                 }}
             >
                 <Typography variant="subtitle2" gutterBottom color="text.secondary">
-                    💡 使用提示
+                    💡 {t('common.tips')}
                 </Typography>
                 <Typography variant="body2" color="text.secondary" component="ul" sx={{ pl: 2, m: 0 }}>
-                    <li>JSON → XML：将 JSON 数据转换为 XML 格式，自动添加 XML 声明</li>
-                    <li>XML → JSON：将 XML 格式转换为 JSON 对象</li>
-                    <li>XML 属性会以 <code>@_</code> 前缀保存到 JSON 中</li>
-                    <li>点击 <SwapHorizIcon sx={{ fontSize: 16, verticalAlign: 'middle' }} /> 可快速交换输入输出内容</li>
+                    <li>{t('jsonXml.tipJson2Xml')}</li>
+                    <li>{t('jsonXml.tipXml2Json')}</li>
+                    <li>{t('jsonXml.tipAttributesBefore')}<code>@_</code>{t('jsonXml.tipAttributesAfter')}</li>
+                    <li>{t('common.swapTipBefore')} <SwapHorizIcon sx={{ fontSize: 16, verticalAlign: 'middle' }} /> {t('common.swapTipAfter')}</li>
                 </Typography>
             </Box>
         </ToolCard>
@@ -1,12 +1,15 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Box, Grid, Paper, Typography, useTheme, Alert, ToggleButton, ToggleButtonGroup, IconButton, Tooltip } from '@mui/material';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
-import yaml from 'js-yaml';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
+import { jsonToYaml, yamlToJson } from '../../core/json';
+import { getJsonDiagnostic, getYamlDiagnostic } from '../../core/diagnostics';
 
 /**
  * JSON ↔ YAML 转换工具
@@ -19,12 +22,14 @@ import CodeEditor from '../../components/CodeEditor';
  */
 function JsonYaml() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [input, setInput] = useState('');
+    const [input, setInput] = useToolState('input', '');
     const [output, setOutput] = useState('');
+    // 错误：{ message, diagnostic }，diagnostic 为错误位置，无法定位时为 null
     const [error, setError] = useState(null);
-    const [mode, setMode] = useState('json2yaml'); // 'json2yaml' | 'yaml2json'
+    const [mode, setMode] = useToolState('mode', 'json2yaml'); // 'json2yaml' | 'yaml2json'
     const [copied, setCopied] = useState(false);
 
     /**
@@ -40,29 +45,25 @@ function JsonYaml() {
         try {
             if (mode === 'json2yaml') {
                 // JSON → YAML
-                const parsed = JSON.parse(input);
-                const result = yaml.dump(parsed, {
-                    indent: 2,
-                    lineWidth: -1, // 不自动换行
-                    noRefs: true, // 不使用引用
-                    sortKeys: false, // 保持原始顺序
-                });
-                setOutput(result);
+                setOutput(jsonToYaml(input));
                 setError(null);
             } else {
                 // YAML → JSON
-                const parsed = yaml.load(input);
-                const result = JSON.stringify(parsed, null, 2);
-                setOutput(result);
+                setOutput(yamlToJson(input));
                 setError(null);
             }
         } catch (err) {
-            const errorType = mode === 'json2yaml' ? 'JSON' : 'YAML';
-            setError(`${errorType} 语法错误: ${err.message}`);
+            setError({
+                message: err.message,
+                diagnostic: mode === 'json2yaml' ? getJsonDiagnostic(input, err) : getYamlDiagnostic(err),
+            });
             setOutput('');
         }
     }, [input, mode]);
 
+    // 输入编辑器中标出的语法错误
+    const diagnostics = useMemo(() => (error?.diagnostic ? [error.diagnostic] : []), [error]);
+
     /**
      * 切换模式
      */
@@ -117,13 +118,13 @@ function JsonYaml() {
 
     // 输入占位符
     const inputPlaceholder = mode === 'json2yaml'
-        ? `在此粘贴或输入 JSON，例如：
+        ? `${t('common.examplePrefix', { type: 'JSON' })}
 {
   "name": "DevTools",
   "version": "1.0.0",
   "features": ["format", "convert", "validate"]
 }`
-        : `在此粘贴或输入 YAML，例如：
+        : `${t('common.examplePrefix', { type: 'YAML' })}
 name: DevTools
 version: 1.0.0
 features:
@@ -134,18 +135,21 @@ features:
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="JSON ↔ YAML"
-            description="JSON 与 YAML 格式实时互转，支持语法高亮"
+            title={t('jsonYaml.title')}
+            description={t('jsonYaml.description')}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 2, mb: 2 }}>
@@ -153,19 +157,19 @@ features:
                     value={mode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="转换模式"
+                    aria-label={t('common.convertMode')}
                     size="small"
                 >
-                    <ToggleButton value="json2yaml" aria-label="JSON 转 YAML">
+                    <ToggleButton value="json2yaml" aria-label="JSON → YAML">
                         JSON → YAML
                     </ToggleButton>
-                    <ToggleButton value="yaml2json" aria-label="YAML 转 JSON">
+                    <ToggleButton value="yaml2json" aria-label="YAML → JSON">
                         YAML → JSON
                     </ToggleButton>
                 </ToggleButtonGroup>
 
                 {/* 交换按钮 */}
-                <Tooltip title="交换输入输出">
+                <Tooltip title={t('common.swapInputOutput')}>
                     <IconButton
                         onClick={handleSwap}
                         disabled={!output.trim()}
@@ -186,10 +190,10 @@ features:
                 </Tooltip>
             </Box>
 
-            {/* 错误提示 */}
-            {error && (
+            {/* 错误提示，能定位的错误显示在输入编辑器中 */}
+            {error && !error.diagnostic && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t('common.syntaxError', { type: mode === 'json2yaml' ? 'JSON' : 'YAML', message: error.message })}
                 </Alert>
             )}
 
@@ -220,7 +224,7 @@ features:
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入 ({inputLanguage.toUpperCase()})
+                                {t('common.inputOf', { type: inputLanguage.toUpperCase() })}
                             </Typography>
                         </Box>
                         <CodeEditor
@@ -229,6 +233,7 @@ features:
                             language={inputLanguage}
                             placeholder={inputPlaceholder}
                             height="400px"
+                            diagnostics={diagnostics}
                         />
                     </Paper>
                 </Grid>
@@ -258,9 +263,9 @@ features:
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输出 ({outputLanguage.toUpperCase()})
+                                {t('common.outputOf', { type: outputLanguage.toUpperCase() })}
                             </Typography>
-                            <Tooltip title={copied ? '已复制!' : '复制'}>
+                            <Tooltip title={copied ? t('common.copiedShort') : t('common.copy')}>
                                 <IconButton
                                     onClick={handleCopy}
                                     disabled={!output}
@@ -274,7 +279,7 @@ features:
                         <CodeEditor
                             value={output}
                             language={outputLanguage}
-                            placeholder={`输入 ${inputLanguage.toUpperCase()} 后将实时显示 ${outputLanguage.toUpperCase()} 结果...`}
+                            placeholder={t('common.livePlaceholder', { input: inputLanguage.toUpperCase(), output: outputLanguage.toUpperCase() })}
                             height="400px"
                             readOnly
                         />
@@ -295,13 +300,13 @@ features:
                 }}
             >
                 <Typography variant="subtitle2" gutterBottom color="text.secondary">
-                    💡 使用提示
+                    💡 {t('common.tips')}
                 </Typography>
                 <Typography variant="body2" color="text.secondary" component="ul" sx={{ pl: 2, m: 0 }}>
-                    <li>JSON → YAML：将 JSON 数据转换为 YAML 格式，便于配置文件编写</li>
-                    <li>YAML → JSON：将 YAML 配置转换为 JSON 格式，便于程序处理</li>
-                    <li>点击 <SwapHorizIcon sx={{ fontSize: 16, verticalAlign: 'middle' }} /> 可快速交换输入输出内容</li>
-                    <li>支持实时转换，输入内容后自动显示转换结果</li>
+                    <li>{t('jsonYaml.tipJson2Yaml')}</li>
+                    <li>{t('jsonYaml.tipYaml2Json')}</li>
+                    <li>{t('common.swapTipBefore')} <SwapHorizIcon sx={{ fontSize: 16, verticalAlign: 'middle' }} /> {t('common.swapTipAfter')}</li>
+                    <li>{t('jsonYaml.tipLive')}</li>
                 </Typography>
             </Box>
         </ToolCard>
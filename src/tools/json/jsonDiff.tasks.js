@@ -0,0 +1,52 @@
+/**
+ * JSON 对比工具的后台任务（在 workers/task.worker.js 中执行）
+ */
+import { diffJson, toJsonPatch, createMergePatch, applyMergePatch } from '../../core/jsonDiff';
+import { deepEqual } from '../../core/jsonValue';
+import { formatJsonPath } from '../../core/jsonTree';
+
+/**
+ * 列表中显示的值最多保留的字符数
+ */
+const PREVIEW_LENGTH = 200;
+
+const preview = (value) => {
+    const text = JSON.stringify(value);
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+};
+
+/**
+ * 结构对比：忽略键的顺序，数组项可按键配对
+ * @param {Object} payload
+ * @param {string} payload.left - 原始 JSON 文本
+ * @param {string} payload.right - 修改后的 JSON 文本
+ * @param {string} payload.arrayKey - 数组项配对使用的键
+ * @returns {{ changes: Array, stats: Object, jsonPatch: string, mergePatch: string, mergeExact: boolean }}
+ *   changes 为显示用的变更 [{ op, path, from, oldValue, value }]，路径为 JSONPath，值为截断后的 JSON 文本；
+ *   mergeExact 表示 Merge Patch 能否准确还原右侧
+ */
+export const semantic = ({ left, right, arrayKey }) => {
+    const a = JSON.parse(left);
+    const b = JSON.parse(right);
+    const changes = diffJson(a, b, { arrayKey: arrayKey.trim() });
+    const mergePatch = createMergePatch(a, b);
+
+    const stats = { add: 0, remove: 0, replace: 0, move: 0 };
+    changes.forEach((change) => {
+        stats[change.op]++;
+    });
+
+    return {
+        changes: changes.map(change => ({
+            op: change.op,
+            path: formatJsonPath(change.path),
+            from: change.from ? formatJsonPath(change.from) : null,
+            oldValue: 'oldValue' in change ? preview(change.oldValue) : null,
+            value: 'value' in change ? preview(change.value) : null,
+        })),
+        stats,
+        jsonPatch: JSON.stringify(toJsonPatch(changes), null, 2),
+        mergePatch: JSON.stringify(mergePatch, null, 2),
+        mergeExact: deepEqual(applyMergePatch(a, mergePatch), b),
+    };
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useEffect } from 'react';
 import {
     Box,
     Grid,
@@ -12,16 +12,18 @@ import {
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 支持的进制列表
  */
 const bases = [
-    { id: '10', label: '十进制 (Decimal)', prefix: '' },
-    { id: '2', label: '二进制 (Binary)', prefix: '0b' },
-    { id: '8', label: '八进制 (Octal)', prefix: '0o' },
-    { id: '16', label: '十六进制 (Hexadecimal)', prefix: '0x' },
-    { id: '32', label: '三十二进制 (Base32)', prefix: '' }, // 简单实现 parseInt(val, 32)
+    { id: '10', prefix: '' },
+    { id: '2', prefix: '0b' },
+    { id: '8', prefix: '0o' },
+    { id: '16', prefix: '0x' },
+    { id: '32', prefix: '' }, // 简单实现 parseInt(val, 32)
 ];
 
 /**
@@ -29,12 +31,13 @@ const bases = [
  */
 function NumberBase() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 核心状态：存储当前数值的十进制 BigInt 形式（为了支持大数，虽然 JS Number 有限制，但 BigInt 更好）
     // 但为了简化 input 处理，我们直接存储各进制的字符串状态，以最后一次修改的为准来更新其他
     // 这里简化处理：以 state 存储各进制字符串，用 handleChange 触发更新
 
-    const [values, setValues] = useState({
+    const [values, setValues] = useToolState('values', {
         '10': '',
         '2': '',
         '8': '',
@@ -120,8 +123,8 @@ function NumberBase() {
 
     return (
         <ToolCard
-            title="进制转换"
-            description="在二进制、八进制、十进制、十六进制等之间实时转换数值"
+            title={t('numberBase.title')}
+            description={t('numberBase.description')}
             showToolbar={false}
         >
             <Grid container spacing={3}>
@@ -140,13 +143,13 @@ function NumberBase() {
                                 <Grid item xs={12} key={base.id}>
                                     <Box>
                                         <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                            {base.label}
+                                            {t(`numberBase.bases.${base.id}`)}
                                         </Typography>
                                         <TextField
                                             fullWidth
                                             value={values[base.id]}
                                             onChange={(e) => handleChange(base.id, e.target.value)}
-                                            placeholder={`输入${base.id}进制数...`}
+                                            placeholder={t('numberBase.placeholder', { base: base.id })}
                                             InputProps={{
                                                 startAdornment: base.prefix ? (
                                                     <Typography color="text.secondary" sx={{ mr: 1, fontFamily: 'Fira Code, monospace' }}>
@@ -154,7 +157,7 @@ function NumberBase() {
                                                     </Typography>
                                                 ) : null,
                                                 endAdornment: (
-                                                    <Tooltip title="复制">
+                                                    <Tooltip title={t('common.copy')}>
                                                         <IconButton onClick={() => copyToClipboard(values[base.id])} edge="end">
                                                             <ContentCopyIcon fontSize="small" />
                                                         </IconButton>
@@ -172,7 +175,7 @@ function NumberBase() {
 
                 <Grid item xs={12}>
                     <Alert severity="info" sx={{ borderRadius: 2 }}>
-                        支持大整数转换。对于非 2/8/10/16 进制（如 32 进制），受限于 JavaScript 精度，超大数值可能不准确。
+                        {t('numberBase.notice')}
                     </Alert>
                 </Grid>
             </Grid>
@@ -35,6 +35,8 @@ import IconButton from '@mui/material/IconButton';
 import Tooltip from '@mui/material/Tooltip';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
 
 /**
  * 终端验证命令配置
@@ -70,9 +72,12 @@ const VERIFY_COMMANDS = {
  * - 地理位置与运营商信息
  * - 代理/VPN 检测
  * - DNS 解析器信息
+ * - 离线时跳过公网查询，恢复网络后自动刷新
  */
 function IpQuery() {
     const theme = useTheme();
+    const { t } = useI18n();
+    const online = useOnlineStatus();
 
     const [loading, setLoading] = useState(false);
     const [localIpLoading, setLocalIpLoading] = useState(false);
@@ -247,23 +252,27 @@ function IpQuery() {
 
                 return {
                     ...prev,
-                    ipv4: finalV4 || '未探测到',
-                    ipv6: finalV6 || '未探测到 IPv6',
+                    ipv4: finalV4,
+                    ipv6: finalV6,
                     geo: geoRes,
                     dns: dnsRes,
                 };
             });
         } catch (err) {
-            setError('获取部分信息失败，请重试');
+            setError('ipQuery.fetchFailed');
         } finally {
             setLoading(false);
         }
     }, []);
 
     useEffect(() => {
-        fetchPublicInfo();
         fetchLocalIP();
-    }, [fetchPublicInfo, fetchLocalIP]);
+    }, [fetchLocalIP]);
+
+    // 公网信息需要联网查询，离线时等待网络恢复后自动查询
+    useEffect(() => {
+        if (online) fetchPublicInfo();
+    }, [online, fetchPublicInfo]);
 
     /**
      * 复制文本
@@ -278,17 +287,17 @@ function IpQuery() {
      */
     const getIpLabel = (ip) => {
         if (!ip) return '';
-        if (ip.startsWith('192.168.')) return '物理网卡 / Wi-Fi';
-        if (ip.startsWith('10.')) return '企业内网 / VPN';
+        if (ip.startsWith('192.168.')) return t('ipQuery.ipLabels.physical');
+        if (ip.startsWith('10.')) return t('ipQuery.ipLabels.corporateVpn');
         if (ip.startsWith('172.')) {
             const secondOctet = parseInt(ip.split('.')[1]);
-            if (secondOctet >= 16 && secondOctet <= 31) return 'Docker / 虚拟机';
-            return '企业内网';
+            if (secondOctet >= 16 && secondOctet <= 31) return t('ipQuery.ipLabels.docker');
+            return t('ipQuery.ipLabels.corporate');
         }
-        if (ip.startsWith('198.18.') || ip.startsWith('198.19.')) return 'Fake-IP / 代理网关';
-        if (ip.startsWith('169.254.')) return '未分配地址 (APIPA)';
-        if (ip === '127.0.0.1') return '本地回环';
-        return '虚拟网卡 / 其他';
+        if (ip.startsWith('198.18.') || ip.startsWith('198.19.')) return t('ipQuery.ipLabels.fakeIp');
+        if (ip.startsWith('169.254.')) return t('ipQuery.ipLabels.apipa');
+        if (ip === '127.0.0.1') return t('ipQuery.ipLabels.loopback');
+        return t('ipQuery.ipLabels.other');
     };
 
 
@@ -302,7 +311,7 @@ function IpQuery() {
             return (
                 <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: 0.5 }}>
                     <Typography variant="body2" color="error.main" sx={{ fontSize: '0.8rem' }}>
-                        获取失败 (隐私拦截)
+                        {t('ipQuery.localBlocked')}
                     </Typography>
                     <Button
                         size="small"
@@ -310,14 +319,14 @@ function IpQuery() {
                         onClick={handleGrantAndRetry}
                         sx={{ p: 0, minWidth: 0, fontSize: '0.7rem', textTransform: 'none' }}
                     >
-                        点击授权并重试
+                        {t('ipQuery.grantAndRetry')}
                     </Button>
                 </Box>
             );
         }
 
         if (data.localIp === 'UNSUPPORTED') {
-            return <Typography variant="body2" color="text.disabled">浏览器不支持</Typography>;
+            return <Typography variant="body2" color="text.disabled">{t('ipQuery.unsupported')}</Typography>;
         }
 
         const ipList = Array.isArray(data.localIp) ? data.localIp : [data.localIp];
@@ -406,7 +415,7 @@ function IpQuery() {
                     customContent ? customContent : (
                         <Box sx={{ width: '100%' }}>
                             <Typography variant="body1" fontWeight={700} color="text.primary" sx={{ wordBreak: 'break-all' }}>
-                                {value || '未知'}
+                                {value || t('ipQuery.unknown')}
                             </Typography>
                             {subValue && (
                                 <Typography variant="caption" color="text.secondary">
@@ -421,14 +430,14 @@ function IpQuery() {
             {!isLoading && (
                 <Box sx={{ position: 'absolute', top: 4, right: 4, display: 'flex' }}>
                     {cmdKey && VERIFY_COMMANDS[cmdKey] && (
-                        <Tooltip title="验证命令">
+                        <Tooltip title={t('ipQuery.verifyCommand')}>
                             <IconButton size="small" onClick={(e) => handleCmdMenuOpen(e, cmdKey)}>
                                 <TerminalIcon sx={{ fontSize: 16 }} />
                             </IconButton>
                         </Tooltip>
                     )}
                     {copyable && value && (
-                        <Tooltip title="复制结果">
+                        <Tooltip title={t('ipQuery.copyResult')}>
                             <IconButton
                                 size="small"
                                 onClick={() => copyToClipboard(Array.isArray(value) ? value.join('\n') : value)}
@@ -444,34 +453,36 @@ function IpQuery() {
 
     return (
         <ToolCard
-            title="高级 IP / 网络查询"
-            description="查询公网 IP、局域网 IP、DNS 解析服务器及网络安全性信息"
+            title={t('ipQuery.title')}
+            description={t('ipQuery.description')}
             actions={[
                 {
-                    label: '刷新全部',
+                    label: t('ipQuery.refreshAll'),
                     icon: <RefreshIcon fontSize="small" />,
                     onClick: () => {
                         fetchPublicInfo();
                         if (data.localIp) fetchLocalIP();
                     },
+                    disabled: !online,
                     loading: loading || localIpLoading
                 }
             ]}
         >
-            {error && <Alert severity="warning" sx={{ mb: 3 }}>{error}</Alert>}
+            {!online && <Alert severity="info" sx={{ mb: 3 }}>{t('ipQuery.offline')}</Alert>}
+            {error && online && <Alert severity="warning" sx={{ mb: 3 }}>{t(error)}</Alert>}
 
             <Grid container spacing={2}>
                 {/* 核心 IP 地址 */}
                 <Grid item xs={12}>
                     <Typography variant="subtitle2" sx={{ mb: 1, px: 1, color: 'primary.main', fontWeight: 600 }}>
-                        核心地址 (Core Addresses)
+                        {t('ipQuery.coreAddresses')}
                     </Typography>
                     <Grid container spacing={2}>
                         <Grid item xs={12} sm={6} md={3}>
                             <InfoItem
                                 icon={PublicIcon}
-                                label="公网 IPv4"
-                                value={data.ipv4}
+                                label={t('ipQuery.publicIpv4')}
+                                value={data.ipv4 || (online ? t('ipQuery.notDetected') : t('ipQuery.requiresNetwork'))}
                                 isLoading={loading}
                                 cmdKey="ipv4"
                             />
@@ -479,8 +490,8 @@ function IpQuery() {
                         <Grid item xs={12} sm={6} md={3}>
                             <InfoItem
                                 icon={LanguageIcon}
-                                label="公网 IPv6"
-                                value={data.ipv6}
+                                label={t('ipQuery.publicIpv6')}
+                                value={data.ipv6 || (online ? t('ipQuery.ipv6NotDetected') : t('ipQuery.requiresNetwork'))}
                                 isLoading={loading}
                                 cmdKey="ipv6"
                             />
@@ -488,7 +499,7 @@ function IpQuery() {
                         <Grid item xs={12} sm={6} md={3}>
                             <InfoItem
                                 icon={RouterIcon}
-                                label="局域网 IP"
+                                label={t('ipQuery.localIp')}
                                 value={Array.isArray(data.localIp) ? data.localIp : (data.localIp === 'BLOCK' || data.localIp === 'UNSUPPORTED' ? null : data.localIp)}
                                 customContent={renderLocalIpContent()}
                                 cmdKey="localIp"
@@ -497,24 +508,24 @@ function IpQuery() {
                         <Grid item xs={12} sm={6} md={3}>
                             <InfoItem
                                 icon={DnsIcon}
-                                label="DNS 解析器"
-                                value={data.dns?.dns?.ip}
+                                label={t('ipQuery.dnsResolver')}
+                                value={data.dns?.dns?.ip || (online ? null : t('ipQuery.requiresNetwork'))}
                                 subValue={data.dns?.dns?.geo}
                                 customContent={hasFakeIp ? (
                                     <Box sx={{ width: '100%' }}>
                                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 0.5 }}>
                                             <Typography variant="body2" sx={{ fontSize: '0.75rem', color: 'warning.main', fontWeight: 700 }}>
-                                                本地已劫持 (Fake-IP)
+                                                {t('ipQuery.fakeIpHijacked')}
                                             </Typography>
-                                            <Tooltip title="您的 DNS 请求已被代理工具接管并返回了虚拟 IP (Fake-IP)">
+                                            <Tooltip title={t('ipQuery.fakeIpHint')}>
                                                 <InfoOutlinedIcon sx={{ fontSize: 14, color: 'warning.main' }} />
                                             </Tooltip>
                                         </Box>
                                         <Typography variant="body1" fontWeight={700} color="text.primary" sx={{ wordBreak: 'break-all' }}>
-                                            {data.dns?.dns?.ip || '获取中...'}
+                                            {data.dns?.dns?.ip || t('ipQuery.loading')}
                                         </Typography>
                                         <Typography variant="caption" color="text.secondary" display="block">
-                                            出口: {data.dns?.dns?.geo || '未知地点'}
+                                            {t('ipQuery.exit', { location: data.dns?.dns?.geo || t('ipQuery.unknownLocation') })}
                                         </Typography>
                                     </Box>
                                 ) : null}
@@ -558,7 +569,7 @@ function IpQuery() {
                 {/* 网络详情与归属地 */}
                 <Grid item xs={12} md={8}>
                     <Typography variant="subtitle2" sx={{ mb: 1, mt: 1, px: 1, color: 'primary.main', fontWeight: 600 }}>
-                        网络详情 (Network Details)
+                        {t('ipQuery.networkDetails')}
                     </Typography>
                     <Paper
                         elevation={0}
@@ -573,13 +584,13 @@ function IpQuery() {
                             <Grid item xs={12} sm={6}>
                                 <Stack spacing={2}>
                                     <Box>
-                                        <Typography variant="caption" color="text.secondary">运营商 (ISP)</Typography>
-                                        <Typography variant="body1" fontWeight={600}>{data.geo?.org || data.geo?.asn || '获取中...'}</Typography>
+                                        <Typography variant="caption" color="text.secondary">{t('ipQuery.isp')}</Typography>
+                                        <Typography variant="body1" fontWeight={600}>{data.geo?.org || data.geo?.asn || (online ? t('ipQuery.loading') : t('ipQuery.requiresNetwork'))}</Typography>
                                     </Box>
                                     <Box>
-                                        <Typography variant="caption" color="text.secondary">地理位置</Typography>
+                                        <Typography variant="caption" color="text.secondary">{t('ipQuery.location')}</Typography>
                                         <Typography variant="body1" fontWeight={600}>
-                                            {data.geo ? `${data.geo.city}, ${data.geo.region}, ${data.geo.country_name}` : '未知'}
+                                            {data.geo ? `${data.geo.city}, ${data.geo.region}, ${data.geo.country_name}` : t('ipQuery.unknown')}
                                         </Typography>
                                     </Box>
                                 </Stack>
@@ -588,12 +599,12 @@ function IpQuery() {
                                 <Stack spacing={2}>
                                     <Box>
                                         <Typography variant="caption" color="text.secondary">ASN</Typography>
-                                        <Typography variant="body1" fontWeight={600}>{data.geo?.asn || '未知'}</Typography>
+                                        <Typography variant="body1" fontWeight={600}>{data.geo?.asn || t('ipQuery.unknown')}</Typography>
                                     </Box>
                                     <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
                                         <Chip
                                             icon={<SecurityIcon style={{ fontSize: 16 }} />}
-                                            label={data.geo?.security?.proxy || data.geo?.proxy ? "代理/VPN: 是" : "代理/VPN: 否"}
+                                            label={data.geo?.security?.proxy || data.geo?.proxy ? t('ipQuery.proxyYes') : t('ipQuery.proxyNo')}
                                             color={data.geo?.proxy ? "warning" : "success"}
                                             size="small"
                                             variant="outlined"
@@ -601,7 +612,7 @@ function IpQuery() {
                                         {hasFakeIp && (
                                             <Chip
                                                 icon={<TerminalIcon style={{ fontSize: 16 }} />}
-                                                label="Fake-IP: 开启"
+                                                label={t('ipQuery.fakeIpOn')}
                                                 sx={{ color: '#ed6c02', borderColor: '#ed6c02' }}
                                                 size="small"
                                                 variant="outlined"
@@ -609,7 +620,7 @@ function IpQuery() {
                                         )}
                                         <Chip
                                             icon={<ExploreIcon style={{ fontSize: 16 }} />}
-                                            label={data.geo?.timezone || '时区'}
+                                            label={data.geo?.timezone || t('ipQuery.timezone')}
                                             size="small"
                                             variant="outlined"
                                         />
@@ -623,7 +634,7 @@ function IpQuery() {
                 {/* 浏览器/UA */}
                 <Grid item xs={12} md={4}>
                     <Typography variant="subtitle2" sx={{ mb: 1, mt: 1, px: 1, color: 'primary.main', fontWeight: 600 }}>
-                        系统信息 (System)
+                        {t('ipQuery.system')}
                     </Typography>
                     <Paper
                         elevation={0}
@@ -659,7 +670,7 @@ function IpQuery() {
                             onClick={() => copyToClipboard(data.userAgent)}
                             sx={{ mt: 1, fontSize: '0.7rem' }}
                         >
-                            复制 UA
+                            {t('ipQuery.copyUa')}
                         </Button>
                     </Paper>
                 </Grid>
@@ -667,19 +678,19 @@ function IpQuery() {
 
             <Box sx={{ mt: 3, mb: 1 }}>
                 <Alert severity="info" variant="outlined" sx={{ borderStyle: 'dashed', '& .MuiAlert-message': { width: '100%' } }}>
-                    <Typography variant="subtitle2" gutterBottom fontWeight={600}>使用说明与注意事项：</Typography>
+                    <Typography variant="subtitle2" gutterBottom fontWeight={600}>{t('ipQuery.notesTitle')}</Typography>
                     <Box component="ul" sx={{ pl: 2, m: 0, '& li': { mb: 1, fontSize: '0.75rem', color: 'text.secondary' } }}>
                         <li>
-                            <strong>局域网 IP 探测：</strong> 依赖 WebRTC 技术。部分浏览器（如 Chrome）默认启用 mDNS 保护，可能会拦截真实 IP。若获取失败，请尝试“授权重试”或参考修复指南。
+                            <strong>{t('ipQuery.notes.localIp.title')}</strong> {t('ipQuery.notes.localIp.text')}
                         </li>
                         <li>
-                            <strong>代理环境下的差异：</strong> 若您使用了代理工具（开启 TUN/Fake-IP 模式），终端 `dig` 命令可能会返回 <code>198.18.x.x</code> 等 Fake-IP。
+                            <strong>{t('ipQuery.notes.proxy.title')}</strong> {t('ipQuery.notes.proxy.before')}<code>198.18.x.x</code>{t('ipQuery.notes.proxy.after')}
                         </li>
                         <li>
-                            <strong>结果权威性：</strong> 页面显示的“DNS 解析器”是目标服务器视角下的 <strong>真实出口 IP</strong>；终端命令结果反映的是本地代理工具的 <strong>内部劫持逻辑</strong>。
+                            <strong>{t('ipQuery.notes.authority.title')}</strong> {t('ipQuery.notes.authority.text')}
                         </li>
                         <li>
-                            <strong>地理位置：</strong> 基于 IP 数据库识别，由于运营商路由调整或代理节点漂移，结果可能存在数千米的误差。
+                            <strong>{t('ipQuery.notes.location.title')}</strong> {t('ipQuery.notes.location.text')}
                         </li>
                     </Box>
                 </Alert>
@@ -693,38 +704,38 @@ function IpQuery() {
                 fullWidth
             >
                 <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                    <InfoOutlinedIcon color="primary" /> 如何授权获取局域网 IP？
+                    <InfoOutlinedIcon color="primary" /> {t('ipQuery.fixDialog.title')}
                 </DialogTitle>
                 <DialogContent dividers>
                     <Typography variant="body2" paragraph>
-                        现代浏览器（如 Chrome）为了隐私保护，默认会通过 mDNS 屏蔽真实的局域网 IP。如果您需要使用此功能，可以尝试以下操作：
+                        {t('ipQuery.fixDialog.intro')}
                     </Typography>
 
                     <Typography variant="subtitle2" gutterBottom fontWeight={600}>
-                        方案一：临时媒体授权 (推荐)
+                        {t('ipQuery.fixDialog.option1')}
                     </Typography>
                     <Typography variant="body2" paragraph color="text.secondary">
-                        点击卡片中的“点击授权并重试”，并在浏览器弹出的提示中选择“允许（麦克风）”。这会临时提升 WebRTC 的权限以获取真实 IP。
+                        {t('ipQuery.fixDialog.option1Text')}
                     </Typography>
 
                     <Typography variant="subtitle2" gutterBottom fontWeight={600}>
-                        方案二：修改浏览器配置 (永久生效)
+                        {t('ipQuery.fixDialog.option2')}
                     </Typography>
                     <Box component="ol" sx={{ pl: 2, '& li': { mb: 1, fontSize: '0.85rem' } }}>
                         <li>
-                            在 Chrome 浏览器地址栏输入：
+                            {t('ipQuery.fixDialog.step1')}
                             <Box sx={{ my: 1, p: 1, backgroundColor: 'rgba(0,0,0,0.05)', borderRadius: 1, fontFamily: 'monospace' }}>
                                 chrome://flags/#enable-webrtc-hide-local-ips-with-mdns
                             </Box>
                         </li>
-                        <li>将该项设置为 <strong>Disabled</strong>。</li>
-                        <li>点击右下角的 <strong>Relaunch</strong> 重启浏览器。</li>
+                        <li>{t('ipQuery.fixDialog.step2Before')}<strong>Disabled</strong>{t('ipQuery.fixDialog.step2After')}</li>
+                        <li>{t('ipQuery.fixDialog.step3Before')}<strong>Relaunch</strong>{t('ipQuery.fixDialog.step3After')}</li>
                     </Box>
                 </DialogContent>
                 <DialogActions>
-                    <Button onClick={() => setShowFixDialog(false)}>知道了</Button>
+                    <Button onClick={() => setShowFixDialog(false)}>{t('ipQuery.fixDialog.gotIt')}</Button>
                     <Button variant="contained" onClick={() => { setShowFixDialog(false); handleGrantAndRetry(); }}>
-                        再次尝试授权
+                        {t('ipQuery.fixDialog.retry')}
                     </Button>
                 </DialogActions>
             </Dialog>
@@ -0,0 +1,398 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Select,
+    MenuItem,
+    ListSubheader,
+    FormControl,
+    InputLabel,
+    FormControlLabel,
+    Checkbox,
+    IconButton,
+    Tooltip,
+    Button,
+    Chip,
+    Alert,
+    useTheme,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import SaveIcon from '@mui/icons-material/Save';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import CloseIcon from '@mui/icons-material/Close';
+
+import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import { getToolById } from '../../config/tools';
+import { getSavedPipelines, writeSavedPipelines } from '../../storage/pipelines';
+import { operations, getOperationById, getOperationName, getOptionLabel, getDefaultOptions, runPipeline } from '../../core/operations';
+
+/**
+ * 按工具分组的操作列表，用于下拉选择
+ */
+const operationGroups = operations.reduce((groups, op) => {
+    const last = groups[groups.length - 1];
+    if (last && last.toolId === op.toolId) {
+        last.operations.push(op);
+    } else {
+        groups.push({ toolId: op.toolId, operations: [op] });
+    }
+    return groups;
+}, []);
+
+/**
+ * 创建一个流水线步骤
+ * @param {string} operationId - 操作 ID
+ */
+const createStep = (operationId) => ({
+    operationId,
+    options: getDefaultOptions(getOperationById(operationId)),
+});
+
+/**
+ * 工具流水线
+ *
+ * 功能：
+ * - 将多个工具的转换操作串联，前一步的输出作为下一步的输入
+ * - 实时显示每一步的中间结果，出错的步骤及其后续步骤会被标记
+ * - 流水线可命名保存到本地，随时加载复用
+ */
+function Pipeline() {
+    const theme = useTheme();
+    const { locale, t, toolName } = useI18n();
+
+    // 状态管理
+    const [input, setInput] = useToolState('input', '');
+    const [steps, setSteps] = useToolState('steps', () => [createStep('url-encode.decode'), createStep('base64.decode')]);
+    const [pipelineName, setPipelineName] = useToolState('pipelineName', '');
+    const [savedPipelines, setSavedPipelines] = useState(getSavedPipelines);
+
+    // 逐步执行
+    const results = useMemo(() => {
+        if (!input) return [];
+        return runPipeline(input, steps, locale);
+    }, [input, steps, locale]);
+
+    // 最终输出
+    const finalResult = results[results.length - 1];
+    const finalOutput = finalResult && !finalResult.error && !finalResult.skipped ? finalResult.output : '';
+
+    /**
+     * 持久化已保存的流水线
+     */
+    const persistPipelines = (pipelines) => {
+        setSavedPipelines(pipelines);
+        writeSavedPipelines(pipelines);
+    };
+
+    /**
+     * 添加步骤
+     */
+    const handleAddStep = () => {
+        setSteps(prev => [...prev, createStep(operations[0].id)]);
+    };
+
+    /**
+     * 修改步骤的操作
+     */
+    const handleOperationChange = (index, operationId) => {
+        setSteps(prev => prev.map((step, i) => (i === index ? createStep(operationId) : step)));
+    };
+
+    /**
+     * 修改步骤参数
+     */
+    const handleOptionChange = (index, key, value) => {
+        setSteps(prev => prev.map((step, i) => (
+            i === index ? { ...step, options: { ...step.options, [key]: value } } : step
+        )));
+    };
+
+    /**
+     * 移动步骤
+     */
+    const handleMoveStep = (index, offset) => {
+        setSteps(prev => {
+            const target = index + offset;
+            if (target < 0 || target >= prev.length) return prev;
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+    };
+
+    /**
+     * 删除步骤
+     */
+    const handleRemoveStep = (index) => {
+        setSteps(prev => prev.filter((_, i) => i !== index));
+    };
+
+    /**
+     * 保存流水线（同名覆盖）
+     */
+    const handleSave = () => {
+        const name = pipelineName.trim();
+        if (!name) return;
+        const others = savedPipelines.filter(p => p.name !== name);
+        persistPipelines([...others, { name, steps }]);
+    };
+
+    /**
+     * 加载已保存的流水线
+     */
+    const handleLoad = (name) => {
+        const pipeline = savedPipelines.find(p => p.name === name);
+        if (!pipeline) return;
+        setPipelineName(pipeline.name);
+        // 兼容操作参数新增的情况，补齐默认值
+        setSteps(pipeline.steps.map(step => {
+            const operation = getOperationById(step.operationId);
+            return operation
+                ? { operationId: step.operationId, options: { ...getDefaultOptions(operation), ...step.options } }
+                : step;
+        }));
+    };
+
+    /**
+     * 删除已保存的流水线
+     */
+    const handleDeleteSaved = (name) => {
+        persistPipelines(savedPipelines.filter(p => p.name !== name));
+    };
+
+    /**
+     * 清空
+     */
+    const handleClear = useCallback(() => {
+        setInput('');
+    }, []);
+
+    // 工具栏按钮配置
+    const actions = [
+        {
+            label: t('pipeline.addStep'),
+            icon: <AddIcon fontSize="small" />,
+            onClick: handleAddStep,
+        },
+        {
+            label: t('pipeline.save'),
+            icon: <SaveIcon fontSize="small" />,
+            onClick: handleSave,
+            disabled: !pipelineName.trim() || steps.length === 0,
+        },
+    ];
+
+    // 面板标题栏样式
+    const headerSx = {
+        px: 2,
+        py: 1,
+        display: 'flex',
+        alignItems: 'center',
+        gap: 1,
+        borderBottom: `1px solid ${theme.palette.divider}`,
+        backgroundColor: theme.palette.mode === 'dark'
+            ? 'rgba(255,255,255,0.02)'
+            : 'rgba(0,0,0,0.02)',
+    };
+
+    const paperSx = {
+        backgroundColor: theme.palette.background.paper,
+        border: `1px solid ${theme.palette.divider}`,
+        borderRadius: 2,
+        overflow: 'hidden',
+        mb: 2,
+    };
+
+    const monoInputProps = {
+        disableUnderline: true,
+        sx: {
+            p: 2,
+            fontFamily: 'Fira Code, monospace',
+            fontSize: '14px',
+        },
+    };
+
+    /**
+     * 渲染步骤参数控件
+     */
+    const renderOption = (step, index, option) => {
+        const value = step.options[option.key];
+        if (option.type === 'boolean') {
+            return (
+                <FormControlLabel
+                    key={option.key}
+                    control={
+                        <Checkbox
+                            size="small"
+                            checked={Boolean(value)}
+                            onChange={(e) => handleOptionChange(index, option.key, e.target.checked)}
+                        />
+                    }
+                    label={<Typography variant="body2">{getOptionLabel(option, locale)}</Typography>}
+                />
+            );
+        }
+        return (
+            <FormControl key={option.key} size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>{getOptionLabel(option, locale)}</InputLabel>
+                <Select
+                    label={getOptionLabel(option, locale)}
+                    value={value}
+                    onChange={(e) => handleOptionChange(index, option.key, e.target.value)}
+                >
+                    {option.choices.map(choice => (
+                        <MenuItem key={choice.value} value={choice.value}>{getOptionLabel(choice, locale)}</MenuItem>
+                    ))}
+                </Select>
+            </FormControl>
+        );
+    };
+
+    return (
+        <ToolCard
+            title={t('pipeline.title')}
+            description={t('pipeline.description')}
+            actions={actions}
+            copyContent={finalOutput}
+            onClear={handleClear}
+            historyValue={input}
+            onHistorySelect={setInput}
+        >
+            {/* 保存与加载 */}
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                <TextField
+                    size="small"
+                    label={t('pipeline.name')}
+                    value={pipelineName}
+                    onChange={(e) => setPipelineName(e.target.value)}
+                    sx={{ minWidth: 220 }}
+                />
+                {savedPipelines.map(p => (
+                    <Chip
+                        key={p.name}
+                        label={`${p.name} (${p.steps.length})`}
+                        onClick={() => handleLoad(p.name)}
+                        onDelete={() => handleDeleteSaved(p.name)}
+                        color={p.name === pipelineName ? 'primary' : 'default'}
+                        variant={p.name === pipelineName ? 'filled' : 'outlined'}
+                    />
+                ))}
+            </Box>
+
+            {/* 输入 */}
+            <Paper elevation={0} sx={paperSx}>
+                <Box sx={headerSx}>
+                    <Typography variant="body2" fontWeight={500} color="text.secondary">
+                        {t('common.input')}
+                    </Typography>
+                </Box>
+                <TextField
+                    fullWidth
+                    multiline
+                    minRows={4}
+                    maxRows={12}
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    placeholder={t('pipeline.inputPlaceholder')}
+                    variant="standard"
+                    InputProps={monoInputProps}
+                />
+            </Paper>
+
+            {/* 步骤列表 */}
+            {steps.map((step, index) => {
+                const operation = getOperationById(step.operationId);
+                const result = results[index];
+                return (
+                    <Paper elevation={0} sx={paperSx} key={index}>
+                        <Box sx={{ ...headerSx, flexWrap: 'wrap' }}>
+                            <Chip label={t('pipeline.step', { index: index + 1 })} size="small" />
+                            <FormControl size="small" sx={{ minWidth: 200 }}>
+                                <Select
+                                    value={step.operationId}
+                                    onChange={(e) => handleOperationChange(index, e.target.value)}
+                                >
+                                    {operationGroups.flatMap(group => [
+                                        <ListSubheader key={group.toolId}>
+                                            {getToolById(group.toolId) ? toolName(getToolById(group.toolId)) : group.toolId}
+                                        </ListSubheader>,
+                                        ...group.operations.map(op => (
+                                            <MenuItem key={op.id} value={op.id}>{getOperationName(op, locale)}</MenuItem>
+                                        )),
+                                    ])}
+                                </Select>
+                            </FormControl>
+                            {(operation?.options || []).map(option => renderOption(step, index, option))}
+                            <Box sx={{ flex: 1 }} />
+                            <Tooltip title={t('pipeline.moveUp')}>
+                                <span>
+                                    <IconButton size="small" onClick={() => handleMoveStep(index, -1)} disabled={index === 0}>
+                                        <ArrowUpwardIcon fontSize="small" />
+                                    </IconButton>
+                                </span>
+                            </Tooltip>
+                            <Tooltip title={t('pipeline.moveDown')}>
+                                <span>
+                                    <IconButton size="small" onClick={() => handleMoveStep(index, 1)} disabled={index === steps.length - 1}>
+                                        <ArrowDownwardIcon fontSize="small" />
+                                    </IconButton>
+                                </span>
+                            </Tooltip>
+                            <Tooltip title={t('pipeline.removeStep')}>
+                                <IconButton size="small" onClick={() => handleRemoveStep(index)}>
+                                    <CloseIcon fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        </Box>
+
+                        {result?.error && (
+                            <Alert severity="error" sx={{ borderRadius: 0 }}>
+                                {result.error}
+                            </Alert>
+                        )}
+                        {result?.skipped ? (
+                            <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                                {t('pipeline.skipped')}
+                            </Typography>
+                        ) : (
+                            !result?.error && (
+                                <TextField
+                                    fullWidth
+                                    multiline
+                                    minRows={2}
+                                    maxRows={12}
+                                    value={result?.output || ''}
+                                    placeholder={t('pipeline.outputPlaceholder')}
+                                    variant="standard"
+                                    InputProps={{ ...monoInputProps, readOnly: true }}
+                                />
+                            )
+                        )}
+                    </Paper>
+                );
+            })}
+
+            {steps.length === 0 && (
+                <Box sx={{ textAlign: 'center', py: 4 }}>
+                    <Button variant="outlined" startIcon={<AddIcon />} onClick={handleAddStep}>
+                        {t('pipeline.addFirstStep')}
+                    </Button>
+                </Box>
+            )}
+
+            {/* 使用说明 */}
+            <Box sx={{ mt: 3 }}>
+                <Typography variant="body2" color="text.secondary">
+                    💡 <strong>{t('common.tipLabel')}</strong>{t('pipeline.tip')}
+                </Typography>
+            </Box>
+        </ToolCard>
+    );
+}
+
+export default Pipeline;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { MemoryRouter } from 'react-router-dom';
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import Pipeline from './Pipeline';
+import { ToolContext } from '../../hooks/useToolState';
+import { getToolById } from '../../config/tools';
+
+/**
+ * 内存中的 localStorage，每个用例前清空（首次访问、新标签页、清除本地数据后的情况）
+ */
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear(),
+        key: index => [...items.keys()][index] ?? null,
+        get length() {
+            return items.size;
+        },
+    };
+};
+
+const render = () => {
+    const context = {
+        tool: getToolById('pipeline'),
+        registry: new Map(),
+        initialState: null,
+        stateScope: 'pipeline',
+        tabs: null,
+    };
+    return renderToString(
+        <MemoryRouter>
+            <ToolContext.Provider value={context}>
+                <Pipeline />
+            </ToolContext.Provider>
+        </MemoryRouter>
+    );
+};
+
+describe('Pipeline', () => {
+    beforeEach(() => {
+        globalThis.localStorage = createStorage();
+    });
+
+    it('没有保存的状态时使用默认步骤渲染', () => {
+        const html = render();
+        expect(html).toContain('url-encode.decode');
+        expect(html).toContain('base64.decode');
+    });
+
+    it('有保存的步骤时使用保存的值', () => {
+        localStorage.setItem('toolState:pipeline:steps', JSON.stringify([{ operationId: 'base64.encode', options: {} }]));
+        const html = render();
+        expect(html).toContain('base64.encode');
+        expect(html).not.toContain('url-encode.decode');
+    });
+});
@@ -21,6 +21,7 @@ import KeyboardIcon from '@mui/icons-material/Keyboard';
 import jsQR from 'jsqr';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
 
 /**
  * 二维码解析器
@@ -34,6 +35,7 @@ import ToolCard from '../../components/ToolCard';
  */
 function QRCodeDecoder() {
     const theme = useTheme();
+    const { t } = useI18n();
     const fileInputRef = useRef(null);
     const dropZoneRef = useRef(null);
 
@@ -61,7 +63,7 @@ function QRCodeDecoder() {
 
             await new Promise((resolve, reject) => {
                 img.onload = resolve;
-                img.onerror = () => reject(new Error('图片加载失败'));
+                img.onerror = () => reject({ key: 'qrDecoder.imageLoadFailed' });
                 img.src = imageSrc;
             });
 
@@ -78,10 +80,10 @@ function QRCodeDecoder() {
             if (code) {
                 setResult(code.data);
             } else {
-                setError('未检测到二维码，请确保图片中包含清晰的二维码');
+                setError({ key: 'qrDecoder.notFound' });
             }
         } catch (err) {
-            setError('解析失败：' + err.message);
+            setError(err.key ? err : { key: 'qrDecoder.decodeFailed', message: err.message });
         } finally {
             setIsProcessing(false);
         }
@@ -95,13 +97,13 @@ function QRCodeDecoder() {
 
         // 检查文件类型
         if (!file.type.startsWith('image/')) {
-            setError('请选择图片文件');
+            setError({ key: 'qrDecoder.notImage' });
             return;
         }
 
         // 检查文件大小（最大 10MB）
         if (file.size > 10 * 1024 * 1024) {
-            setError('图片大小不能超过 10MB');
+            setError({ key: 'qrDecoder.tooLarge' });
             return;
         }
 
@@ -115,7 +117,7 @@ function QRCodeDecoder() {
             decodeQRCode(base64);
         };
         reader.onerror = () => {
-            setError('读取文件失败');
+            setError({ key: 'qrDecoder.readFailed' });
         };
         reader.readAsDataURL(file);
     }, [decodeQRCode]);
@@ -221,7 +223,7 @@ function QRCodeDecoder() {
             setTimeout(() => setPasteHint(false), 5000);
 
         } catch (err) {
-            setError('无法读取剪贴板，请直接按 Ctrl+V (或 Cmd+V) 粘贴图片');
+            setError({ key: 'qrDecoder.clipboardFailed' });
         }
     }, [handleFileSelect]);
 
@@ -314,21 +316,23 @@ function QRCodeDecoder() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Paste',
+            label: t('actions.paste'),
             icon: <ContentPasteIcon fontSize="small" />,
+            shortcut: 'paste',
             onClick: handlePasteClick,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="二维码解析"
-            description="上传或粘贴包含二维码的图片，解析二维码内容"
+            title={t('qrDecoder.title')}
+            description={t('qrDecoder.description')}
             actions={actions}
             copyContent={result || ''}
         >
@@ -340,8 +344,7 @@ function QRCodeDecoder() {
                     sx={{ mb: 2 }}
                     onClose={() => setPasteHint(false)}
                 >
-                    请直接按 <strong>Ctrl+V</strong>（Mac 用户按 <strong>Cmd+V</strong>）粘贴图片，
-                    这种方式更加可靠！
+                    {t('qrDecoder.pasteHint')}
                 </Alert>
             )}
 
@@ -397,7 +400,7 @@ function QRCodeDecoder() {
                         <Box
                             component="img"
                             src={imageData}
-                            alt="上传的图片"
+                            alt={t('qrDecoder.uploadedImage')}
                             sx={{
                                 maxWidth: '100%',
                                 maxHeight: 300,
@@ -437,10 +440,10 @@ function QRCodeDecoder() {
                             />
                         </Box>
                         <Typography variant="h6" fontWeight={500} sx={{ mb: 1 }}>
-                            {isDragging ? '释放以上传图片' : '拖拽图片到此处'}
+                            {isDragging ? t('qrDecoder.dropToUpload') : t('qrDecoder.dragHere')}
                         </Typography>
                         <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                            或点击上传，支持 PNG、JPG、GIF 等格式
+                            {t('qrDecoder.clickToUpload')}
                         </Typography>
                         <Typography
                             variant="body2"
@@ -453,7 +456,7 @@ function QRCodeDecoder() {
                             }}
                         >
                             <KeyboardIcon fontSize="small" />
-                            可直接按 Ctrl+V (Cmd+V) 粘贴图片
+                            {t('qrDecoder.shortcutHint')}
                         </Typography>
                         <Box sx={{ display: 'flex', gap: 2 }}>
                             <Button
@@ -464,7 +467,7 @@ function QRCodeDecoder() {
                                     fileInputRef.current?.click();
                                 }}
                             >
-                                选择文件
+                                {t('qrDecoder.selectFile')}
                             </Button>
                             <Button
                                 variant="outlined"
@@ -474,7 +477,7 @@ function QRCodeDecoder() {
                                     handlePasteClick();
                                 }}
                             >
-                                粘贴图片
+                                {t('qrDecoder.pasteImage')}
                             </Button>
                         </Box>
                     </>
@@ -484,14 +487,14 @@ function QRCodeDecoder() {
             {/* 处理中提示 */}
             {isProcessing && (
                 <Alert severity="info" sx={{ mt: 2 }}>
-                    正在解析二维码...
+                    {t('qrDecoder.decoding')}
                 </Alert>
             )}
 
             {/* 错误提示 */}
             {error && (
                 <Alert severity="error" sx={{ mt: 2 }}>
-                    {error}
+                    {t(error.key, { message: error.message })}
                 </Alert>
             )}
 
@@ -523,7 +526,7 @@ function QRCodeDecoder() {
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                             <CheckCircleIcon fontSize="small" color="success" />
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                解析结果
+                                {t('qrDecoder.result')}
                             </Typography>
                             {isValidUrl(result) && (
                                 <Chip
@@ -536,13 +539,13 @@ function QRCodeDecoder() {
                         </Box>
                         <Box sx={{ display: 'flex', gap: 0.5 }}>
                             {isValidUrl(result) && (
-                                <Tooltip title="打开链接" arrow>
+                                <Tooltip title={t('qrDecoder.openLink')} arrow>
                                     <IconButton size="small" onClick={handleOpenLink}>
                                         <LinkIcon fontSize="small" />
                                     </IconButton>
                                 </Tooltip>
                             )}
-                            <Tooltip title={copied ? '已复制!' : '复制结果'} arrow>
+                            <Tooltip title={copied ? t('common.copiedShort') : t('qrDecoder.copyResult')} arrow>
                                 <IconButton size="small" onClick={handleCopy}>
                                     <ContentCopyIcon fontSize="small" color={copied ? 'success' : 'inherit'} />
                                 </IconButton>
@@ -568,9 +571,8 @@ function QRCodeDecoder() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    支持三种方式：① 拖拽图片到此处 ② 点击选择文件 ③ 直接按 <strong>Ctrl+V</strong>（Mac 按 <strong>Cmd+V</strong>）粘贴剪贴板中的图片。
-                    推荐使用快捷键粘贴，更加快捷方便！
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('qrDecoder.tip')}
                 </Typography>
             </Box>
         </ToolCard>
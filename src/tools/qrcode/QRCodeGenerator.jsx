@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useEffect, useRef, useCallback } from 'react';
 import {
     Box,
     Grid,
@@ -17,15 +17,17 @@ import DownloadIcon from '@mui/icons-material/Download';
 import QRCode from 'qrcode';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 二维码错误纠正级别
  */
 const errorCorrectionLevels = [
-    { value: 'L', label: 'L - 低 (7%)' },
-    { value: 'M', label: 'M - 中 (15%)' },
-    { value: 'Q', label: 'Q - 较高 (25%)' },
-    { value: 'H', label: 'H - 高 (30%)' },
+    { value: 'L', labelKey: 'low', recovery: '7%' },
+    { value: 'M', labelKey: 'medium', recovery: '15%' },
+    { value: 'Q', labelKey: 'quartile', recovery: '25%' },
+    { value: 'H', labelKey: 'high', recovery: '30%' },
 ];
 
 /**
@@ -38,14 +40,15 @@ const errorCorrectionLevels = [
  */
 function QRCodeGenerator() {
     const theme = useTheme();
+    const { t } = useI18n();
     const canvasRef = useRef(null);
 
     // 状态管理
-    const [text, setText] = useState('https://devtools.example.com');
-    const [size, setSize] = useState(256);
-    const [errorLevel, setErrorLevel] = useState('M');
-    const [foregroundColor, setForegroundColor] = useState('#000000');
-    const [backgroundColor, setBackgroundColor] = useState('#ffffff');
+    const [text, setText] = useToolState('text', 'https://devtools.example.com');
+    const [size, setSize] = useToolState('size', 256);
+    const [errorLevel, setErrorLevel] = useToolState('errorLevel', 'M');
+    const [foregroundColor, setForegroundColor] = useToolState('foregroundColor', '#000000');
+    const [backgroundColor, setBackgroundColor] = useToolState('backgroundColor', '#ffffff');
 
     /**
      * 生成二维码
@@ -94,8 +97,8 @@ function QRCodeGenerator() {
 
     return (
         <ToolCard
-            title="二维码生成器"
-            description="根据文本或 URL 生成二维码图片，支持自定义尺寸、颜色和纠错级别"
+            title={t('qrGenerator.title')}
+            description={t('qrGenerator.description')}
             onClear={handleClear}
         >
             <Grid container spacing={3}>
@@ -112,16 +115,16 @@ function QRCodeGenerator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            配置选项
+                            {t('qrGenerator.settings')}
                         </Typography>
 
                         {/* 文本输入 */}
                         <TextField
                             fullWidth
-                            label="文本或 URL"
+                            label={t('qrGenerator.text')}
                             value={text}
                             onChange={(e) => setText(e.target.value)}
-                            placeholder="输入要生成二维码的内容..."
+                            placeholder={t('qrGenerator.placeholder')}
                             multiline
                             rows={3}
                             sx={{ mb: 3 }}
@@ -130,7 +133,7 @@ function QRCodeGenerator() {
                         {/* 尺寸调节 */}
                         <Box sx={{ mb: 3 }}>
                             <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                尺寸: {size}px × {size}px
+                                {t('qrGenerator.size', { size })}
                             </Typography>
                             <Slider
                                 value={size}
@@ -148,15 +151,15 @@ function QRCodeGenerator() {
 
                         {/* 纠错级别 */}
                         <FormControl fullWidth sx={{ mb: 3 }}>
-                            <InputLabel>纠错级别</InputLabel>
+                            <InputLabel>{t('qrGenerator.errorLevel')}</InputLabel>
                             <Select
                                 value={errorLevel}
-                                label="纠错级别"
+                                label={t('qrGenerator.errorLevel')}
                                 onChange={(e) => setErrorLevel(e.target.value)}
                             >
                                 {errorCorrectionLevels.map((level) => (
                                     <MenuItem key={level.value} value={level.value}>
-                                        {level.label}
+                                        {level.value} - {t(`qrGenerator.levels.${level.labelKey}`)} ({level.recovery})
                                     </MenuItem>
                                 ))}
                             </Select>
@@ -166,7 +169,7 @@ function QRCodeGenerator() {
                         <Grid container spacing={2} sx={{ mb: 3 }}>
                             <Grid item xs={6}>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                    前景色
+                                    {t('qrGenerator.foreground')}
                                 </Typography>
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                                     <input
@@ -191,7 +194,7 @@ function QRCodeGenerator() {
                             </Grid>
                             <Grid item xs={6}>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                    背景色
+                                    {t('qrGenerator.background')}
                                 </Typography>
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                                     <input
@@ -226,7 +229,7 @@ function QRCodeGenerator() {
                             fullWidth
                             disabled={!text}
                         >
-                            下载 PNG 图片
+                            {t('qrGenerator.download')}
                         </Button>
                     </Paper>
                 </Grid>
@@ -248,7 +251,7 @@ function QRCodeGenerator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            预览
+                            {t('qrGenerator.preview')}
                         </Typography>
 
                         {text ? (
@@ -277,7 +280,7 @@ function QRCodeGenerator() {
                                 }}
                             >
                                 <Typography variant="body2" color="text.secondary">
-                                    输入内容后预览二维码
+                                    {t('qrGenerator.empty')}
                                 </Typography>
                             </Box>
                         )}
@@ -288,7 +291,7 @@ function QRCodeGenerator() {
                                 color="text.secondary"
                                 sx={{ mt: 2, textAlign: 'center', maxWidth: 300 }}
                             >
-                                扫描此二维码可访问：
+                                {t('qrGenerator.scanToVisit')}
                                 <br />
                                 <strong style={{ wordBreak: 'break-all' }}>
                                     {text.length > 50 ? text.substring(0, 50) + '...' : text}
@@ -301,9 +304,8 @@ function QRCodeGenerator() {
                 {/* 说明 */}
                 <Grid item xs={12}>
                     <Typography variant="body2" color="text.secondary">
-                        💡 <strong>纠错级别说明：</strong>
-                        纠错级别越高，二维码越密集，但即使部分损坏也能被正确识别。
-                        L 级别适合清晰环境，H 级别适合在二维码上添加 Logo 或在恶劣条件下使用。
+                        💡 <strong>{t('qrGenerator.tipTitle')}</strong>
+                        {t('qrGenerator.tip')}
                     </Typography>
                 </Grid>
             </Grid>
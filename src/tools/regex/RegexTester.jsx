@@ -17,29 +17,31 @@ import LightbulbIcon from '@mui/icons-material/Lightbulb';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 常用正则表达式模板
  */
 const COMMON_PATTERNS = [
-    { name: '邮箱', pattern: '[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}', desc: '匹配电子邮箱地址' },
-    { name: '手机号', pattern: '1[3-9]\\d{9}', desc: '匹配中国大陥11位手机号' },
-    { name: '固话', pattern: '0\\d{2,3}-?\\d{7,8}', desc: '匹配固定电话号码' },
-    { name: 'URL', pattern: 'https?://[\\w\\-._~:/?#\\[\\]@!$&\'()*+,;=%]+', desc: '匹配 HTTP(S) 网址' },
-    { name: 'IPv4', pattern: '((25[0-5]|2[0-4]\\d|[01]?\\d\\d?)\\.){3}(25[0-5]|2[0-4]\\d|[01]?\\d\\d?)', desc: '匹配 IPv4 地址' },
-    { name: 'IPv6', pattern: '([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}', desc: '匹配标准 IPv6 地址' },
-    { name: '日期 (YYYY-MM-DD)', pattern: '\\d{4}[-/]\\d{1,2}[-/]\\d{1,2}', desc: '匹配年-月-日格式' },
-    { name: '时间 (HH:MM:SS)', pattern: '([01]?\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?', desc: '匹配时:分:秒格式' },
-    { name: '身份证', pattern: '\\d{17}[\\dXx]', desc: '匹配18位身份证号' },
-    { name: '邮政编码', pattern: '\\d{6}', desc: '匹配6位邮编' },
-    { name: '中文', pattern: '[\\u4e00-\\u9fa5]+', desc: '匹配中文字符' },
-    { name: '英文单词', pattern: '[a-zA-Z]+', desc: '匹配英文字母' },
-    { name: '数字', pattern: '\\d+', desc: '匹配整数' },
-    { name: '小数', pattern: '-?\\d+\\.\\d+', desc: '匹配小数数字' },
-    { name: '十六进制颜色', pattern: '#[0-9a-fA-F]{3,6}', desc: '匹配如 #FFF 或 #FFFFFF' },
-    { name: 'HTML标签', pattern: '<[^>]+>', desc: '匹配 HTML 标签' },
-    { name: '空白行', pattern: '^\\s*$', desc: '匹配空行或纯空白行' },
-    { name: 'UUID', pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', desc: '匹配 UUID 格式' },
+    { id: 'email', pattern: '[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}' },
+    { id: 'mobile', pattern: '1[3-9]\\d{9}' },
+    { id: 'landline', pattern: '0\\d{2,3}-?\\d{7,8}' },
+    { id: 'url', pattern: 'https?://[\\w\\-._~:/?#\\[\\]@!$&\'()*+,;=%]+' },
+    { id: 'ipv4', pattern: '((25[0-5]|2[0-4]\\d|[01]?\\d\\d?)\\.){3}(25[0-5]|2[0-4]\\d|[01]?\\d\\d?)' },
+    { id: 'ipv6', pattern: '([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}' },
+    { id: 'date', pattern: '\\d{4}[-/]\\d{1,2}[-/]\\d{1,2}' },
+    { id: 'time', pattern: '([01]?\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?' },
+    { id: 'idCard', pattern: '\\d{17}[\\dXx]' },
+    { id: 'postalCode', pattern: '\\d{6}' },
+    { id: 'chinese', pattern: '[\\u4e00-\\u9fa5]+' },
+    { id: 'englishWord', pattern: '[a-zA-Z]+' },
+    { id: 'integer', pattern: '\\d+' },
+    { id: 'decimal', pattern: '-?\\d+\\.\\d+' },
+    { id: 'hexColor', pattern: '#[0-9a-fA-F]{3,6}' },
+    { id: 'htmlTag', pattern: '<[^>]+>' },
+    { id: 'blankLine', pattern: '^\\s*$' },
+    { id: 'uuid', pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}' },
 ];
 
 /**
@@ -53,11 +55,12 @@ const COMMON_PATTERNS = [
  */
 function RegexTester() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [pattern, setPattern] = useState('');
-    const [testString, setTestString] = useState('');
-    const [flags, setFlags] = useState({ g: true, i: false, m: false, s: false });
+    const [pattern, setPattern] = useToolState('pattern', '');
+    const [testString, setTestString] = useToolState('testString', '');
+    const [flags, setFlags] = useToolState('flags', { g: true, i: false, m: false, s: false });
     const [error, setError] = useState(null);
     const [showPatterns, setShowPatterns] = useState(true);
 
@@ -115,7 +118,7 @@ function RegexTester() {
             setError(null);
             return { matches, regex };
         } catch (err) {
-            setError('正则表达式语法错误: ' + err.message);
+            setError(err.message);
             return { matches: [], highlightedText: testString };
         }
     }, [pattern, testString, flagsString, flags.g]);
@@ -168,7 +171,7 @@ function RegexTester() {
                         wordBreak: 'break-word',
                     }}
                 >
-                    {testString || '测试文本将显示在这里...'}
+                    {testString || t('regex.previewPlaceholder')}
                 </Typography>
             );
         }
@@ -235,20 +238,31 @@ function RegexTester() {
         );
     };
 
+    /**
+     * 从历史记录恢复正则和测试文本
+     */
+    const handleHistorySelect = useCallback((value) => {
+        setPattern(value.pattern || '');
+        setTestString(value.testString || '');
+    }, []);
+
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="正则表达式测试器"
-            description="实时测试正则表达式匹配，高亮显示匹配结果，支持捕获组"
+            title={t('regex.title')}
+            description={t('regex.description')}
             actions={actions}
+            historyValue={{ pattern, testString }}
+            onHistorySelect={handleHistorySelect}
         >
             <Grid container spacing={3}>
                 {/* 正则表达式输入 */}
@@ -263,7 +277,7 @@ function RegexTester() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                            正则表达式
+                            {t('regex.pattern')}
                         </Typography>
 
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
@@ -272,7 +286,7 @@ function RegexTester() {
                                 fullWidth
                                 value={pattern}
                                 onChange={(e) => setPattern(e.target.value)}
-                                placeholder="输入正则表达式，例如：\d+|[a-z]+@[a-z]+\.[a-z]+"
+                                placeholder={t('regex.patternPlaceholder')}
                                 variant="outlined"
                                 size="small"
                                 sx={{
@@ -294,7 +308,7 @@ function RegexTester() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">g (全局匹配)</Typography>}
+                                label={<Typography variant="body2">g ({t('regex.flags.global')})</Typography>}
                             />
                             <FormControlLabel
                                 control={
@@ -304,7 +318,7 @@ function RegexTester() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">i (忽略大小写)</Typography>}
+                                label={<Typography variant="body2">i ({t('regex.flags.ignoreCase')})</Typography>}
                             />
                             <FormControlLabel
                                 control={
@@ -314,7 +328,7 @@ function RegexTester() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">m (多行模式)</Typography>}
+                                label={<Typography variant="body2">m ({t('regex.flags.multiline')})</Typography>}
                             />
                             <FormControlLabel
                                 control={
@@ -324,7 +338,7 @@ function RegexTester() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">s (点号匹配换行)</Typography>}
+                                label={<Typography variant="body2">s ({t('regex.flags.dotAll')})</Typography>}
                             />
                         </FormGroup>
                     </Paper>
@@ -353,10 +367,10 @@ function RegexTester() {
                         >
                             <Typography variant="subtitle1" fontWeight={600} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                                 <LightbulbIcon fontSize="small" color="warning" />
-                                常用正则表达式
+                                {t('regex.commonPatterns')}
                             </Typography>
                             <Typography variant="caption" color="text.secondary">
-                                点击{showPatterns ? '收起' : '展开'}
+                                {showPatterns ? t('regex.collapse') : t('regex.expand')}
                             </Typography>
                         </Box>
                         {showPatterns && (
@@ -364,13 +378,13 @@ function RegexTester() {
                                 {COMMON_PATTERNS.map((item, idx) => (
                                     <Chip
                                         key={idx}
-                                        label={item.name}
+                                        label={t(`regex.patterns.${item.id}.name`)}
                                         onClick={() => applyPattern(item.pattern)}
                                         onDelete={() => copyPattern(item.pattern)}
                                         deleteIcon={<ContentCopyIcon fontSize="small" />}
                                         variant="outlined"
                                         size="small"
-                                        title={`${item.desc}\n${item.pattern}`}
+                                        title={`${t(`regex.patterns.${item.id}.desc`)}\n${item.pattern}`}
                                         sx={{
                                             '&:hover': {
                                                 backgroundColor: theme.palette.action.hover,
@@ -386,7 +400,7 @@ function RegexTester() {
                 {/* 错误提示 */}
                 {error && (
                     <Grid item xs={12}>
-                        <Alert severity="error">{error}</Alert>
+                        <Alert severity="error">{t('regex.syntaxError', { message: error })}</Alert>
                     </Grid>
                 )}
 
@@ -412,7 +426,7 @@ function RegexTester() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                测试文本
+                                {t('regex.testText')}
                             </Typography>
                         </Box>
                         <TextField
@@ -421,7 +435,7 @@ function RegexTester() {
                             rows={10}
                             value={testString}
                             onChange={(e) => setTestString(e.target.value)}
-                            placeholder="输入要测试的文本..."
+                            placeholder={t('regex.testPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 disableUnderline: true,
@@ -461,10 +475,10 @@ function RegexTester() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                匹配结果
+                                {t('regex.result')}
                             </Typography>
                             <Chip
-                                label={`${matchResults.matches.length} 个匹配`}
+                                label={t('regex.matchCount', { count: matchResults.matches.length })}
                                 size="small"
                                 color={matchResults.matches.length > 0 ? 'success' : 'default'}
                                 variant={matchResults.matches.length > 0 ? 'filled' : 'outlined'}
@@ -496,7 +510,7 @@ function RegexTester() {
                             }}
                         >
                             <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                                匹配详情
+                                {t('regex.details')}
                             </Typography>
                             <Grid container spacing={2}>
                                 {matchResults.matches.slice(0, 20).map((match, index) => (
@@ -511,7 +525,7 @@ function RegexTester() {
                                             }}
                                         >
                                             <Typography variant="caption" color="text.secondary">
-                                                匹配 #{index + 1} (位置: {match.index})
+                                                {t('regex.matchTitle', { index: index + 1, position: match.index })}
                                             </Typography>
                                             <Typography
                                                 variant="body2"
@@ -526,12 +540,12 @@ function RegexTester() {
                                             {match.groups.length > 0 && (
                                                 <Box sx={{ mt: 1 }}>
                                                     <Typography variant="caption" color="text.secondary">
-                                                        捕获组:
+                                                        {t('regex.groups')}
                                                     </Typography>
                                                     {match.groups.map((group, gIndex) => (
                                                         <Chip
                                                             key={gIndex}
-                                                            label={`$${gIndex + 1}: ${group || '(空)'}`}
+                                                            label={`$${gIndex + 1}: ${group || t('regex.emptyGroup')}`}
                                                             size="small"
                                                             variant="outlined"
                                                             sx={{ ml: 0.5, mt: 0.5 }}
@@ -545,7 +559,7 @@ function RegexTester() {
                             </Grid>
                             {matchResults.matches.length > 20 && (
                                 <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
-                                    ... 还有 {matchResults.matches.length - 20} 个匹配未显示
+                                    {t('regex.moreMatches', { count: matchResults.matches.length - 20 })}
                                 </Typography>
                             )}
                         </Paper>
@@ -29,6 +29,8 @@ import { diffLines, diffWords, diffChars } from 'diff';
 import { format } from 'sql-formatter';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
 
 /**
@@ -37,7 +39,7 @@ import CodeEditor from '../../components/CodeEditor';
 const SQL_DIALECTS = [
     { value: 'mysql', label: 'MySQL' },
     { value: 'postgresql', label: 'PostgreSQL' },
-    { value: 'sql', label: 'SQL 标准' },
+    { value: 'sql' }, // 名称随界面语言显示
     { value: 'mariadb', label: 'MariaDB' },
     { value: 'sqlite', label: 'SQLite' },
     { value: 'spark', label: 'Spark SQL' },
@@ -72,21 +74,22 @@ const removeComments = (sql) => {
  */
 function SqlDiff() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 输入状态
-    const [leftSql, setLeftSql] = useState('');
-    const [rightSql, setRightSql] = useState('');
+    const [leftSql, setLeftSql] = useToolState('leftSql', '');
+    const [rightSql, setRightSql] = useToolState('rightSql', '');
 
     // 对比模式
-    const [diffMode, setDiffMode] = useState('lines'); // lines | words | chars
+    const [diffMode, setDiffMode] = useToolState('diffMode', 'lines'); // lines | words | chars
 
     // 配置选项
     const [showSettings, setShowSettings] = useState(false);
-    const [formatBeforeDiff, setFormatBeforeDiff] = useState(false);
-    const [ignoreCase, setIgnoreCase] = useState(false);
-    const [ignoreWhitespace, setIgnoreWhitespace] = useState(false);
-    const [ignoreComments, setIgnoreComments] = useState(false);
-    const [sqlDialect, setSqlDialect] = useState('mysql');
+    const [formatBeforeDiff, setFormatBeforeDiff] = useToolState('formatBeforeDiff', false);
+    const [ignoreCase, setIgnoreCase] = useToolState('ignoreCase', false);
+    const [ignoreWhitespace, setIgnoreWhitespace] = useToolState('ignoreWhitespace', false);
+    const [ignoreComments, setIgnoreComments] = useToolState('ignoreComments', false);
+    const [sqlDialect, setSqlDialect] = useToolState('sqlDialect', 'mysql');
 
     /**
      * 获取 diff 函数
@@ -228,17 +231,27 @@ function SqlDiff() {
         }
     }, [rightSql, sqlDialect]);
 
+    /**
+     * 从历史记录恢复左右两侧输入
+     */
+    const handleHistorySelect = useCallback((value) => {
+        setLeftSql(value.left || '');
+        setRightSql(value.right || '');
+    }, []);
+
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Swap',
+            label: t('actions.swap'),
             icon: <SwapHorizIcon fontSize="small" />,
+            shortcut: 'swap',
             onClick: handleSwap,
             disabled: !leftSql && !rightSql,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
@@ -252,7 +265,7 @@ function SqlDiff() {
         return (
             <Box
                 sx={{
-                    fontFamily: "'Fira Code', monospace",
+                    fontFamily: theme.editor.fontFamily,
                     fontSize: '13px',
                     lineHeight: diffMode === 'lines' ? 1.6 : 1.8,
                     whiteSpace: 'pre-wrap',
@@ -265,15 +278,11 @@ function SqlDiff() {
                     let textDecoration = 'none';
 
                     if (part.added) {
-                        backgroundColor = theme.palette.mode === 'dark'
-                            ? 'rgba(34, 197, 94, 0.25)'
-                            : 'rgba(34, 197, 94, 0.2)';
-                        color = theme.palette.mode === 'dark' ? '#86efac' : '#15803d';
+                        backgroundColor = theme.palette.diff.added.background;
+                        color = theme.palette.diff.added.text;
                     } else if (part.removed) {
-                        backgroundColor = theme.palette.mode === 'dark'
-                            ? 'rgba(239, 68, 68, 0.25)'
-                            : 'rgba(239, 68, 68, 0.2)';
-                        color = theme.palette.mode === 'dark' ? '#fca5a5' : '#dc2626';
+                        backgroundColor = theme.palette.diff.removed.background;
+                        color = theme.palette.diff.removed.text;
                         textDecoration = 'line-through';
                     }
 
@@ -305,17 +314,19 @@ function SqlDiff() {
     // 获取统计单位
     const getUnit = () => {
         switch (diffMode) {
-            case 'lines': return '行';
-            case 'words': return '词';
-            default: return '字符';
+            case 'lines': return t('sqlDiff.units.lines');
+            case 'words': return t('sqlDiff.units.words');
+            default: return t('sqlDiff.units.chars');
         }
     };
 
     return (
         <ToolCard
-            title="SQL 对比"
-            description="比较两个 SQL 脚本的差异，支持格式化对比、忽略大小写/空白/注释"
+            title={t('sqlDiff.title')}
+            description={t('sqlDiff.description')}
             actions={actions}
+            historyValue={{ left: leftSql, right: rightSql }}
+            onHistorySelect={handleHistorySelect}
         >
             {/* 对比模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 2, mb: 2 }}>
@@ -323,25 +334,25 @@ function SqlDiff() {
                     value={diffMode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="对比模式"
+                    aria-label={t('sqlDiff.mode')}
                     size="small"
                 >
-                    <ToggleButton value="lines" aria-label="逐行">
+                    <ToggleButton value="lines" aria-label={t('sqlDiff.lines')}>
                         <TextFieldsIcon sx={{ mr: 0.5 }} fontSize="small" />
-                        逐行
+                        {t('sqlDiff.lines')}
                     </ToggleButton>
-                    <ToggleButton value="words" aria-label="逐词">
+                    <ToggleButton value="words" aria-label={t('sqlDiff.words')}>
                         <SpaceBarIcon sx={{ mr: 0.5 }} fontSize="small" />
-                        逐词
+                        {t('sqlDiff.words')}
                     </ToggleButton>
-                    <ToggleButton value="chars" aria-label="逐字符">
+                    <ToggleButton value="chars" aria-label={t('sqlDiff.chars')}>
                         <AbcIcon sx={{ mr: 0.5 }} fontSize="small" />
-                        逐字符
+                        {t('sqlDiff.chars')}
                     </ToggleButton>
                 </ToggleButtonGroup>
 
                 {/* 设置按钮 */}
-                <Tooltip title="对比选项">
+                <Tooltip title={t('sqlDiff.options')}>
                     <IconButton
                         onClick={() => setShowSettings(!showSettings)}
                         size="small"
@@ -375,15 +386,15 @@ function SqlDiff() {
                         {/* SQL 方言选择 */}
                         <Grid item xs={12} sm={4}>
                             <FormControl size="small" fullWidth>
-                                <InputLabel>SQL 方言</InputLabel>
+                                <InputLabel>{t('sqlDiff.dialect')}</InputLabel>
                                 <Select
                                     value={sqlDialect}
-                                    label="SQL 方言"
+                                    label={t('sqlDiff.dialect')}
                                     onChange={(e) => setSqlDialect(e.target.value)}
                                 >
                                     {SQL_DIALECTS.map(dialect => (
                                         <MenuItem key={dialect.value} value={dialect.value}>
-                                            {dialect.label}
+                                            {dialect.label || t('sqlDiff.standardSql')}
                                         </MenuItem>
                                     ))}
                                 </Select>
@@ -400,7 +411,7 @@ function SqlDiff() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">格式化后对比</Typography>}
+                                label={<Typography variant="body2">{t('sqlDiff.formatFirst')}</Typography>}
                             />
                         </Grid>
 
@@ -414,7 +425,7 @@ function SqlDiff() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">忽略大小写</Typography>}
+                                label={<Typography variant="body2">{t('sqlDiff.ignoreCase')}</Typography>}
                             />
                         </Grid>
 
@@ -428,7 +439,7 @@ function SqlDiff() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">忽略空白</Typography>}
+                                label={<Typography variant="body2">{t('sqlDiff.ignoreWhitespace')}</Typography>}
                             />
                         </Grid>
 
@@ -442,7 +453,7 @@ function SqlDiff() {
                                         size="small"
                                     />
                                 }
-                                label={<Typography variant="body2">忽略注释</Typography>}
+                                label={<Typography variant="body2">{t('sqlDiff.ignoreComments')}</Typography>}
                             />
                         </Grid>
                     </Grid>
@@ -468,18 +479,16 @@ function SqlDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(239, 68, 68, 0.1)'
-                                    : 'rgba(239, 68, 68, 0.05)',
+                                backgroundColor: theme.palette.diff.removed.header,
                                 display: 'flex',
                                 justifyContent: 'space-between',
                                 alignItems: 'center',
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                原始 SQL
+                                {t('sqlDiff.original')}
                             </Typography>
-                            <Tooltip title="格式化">
+                            <Tooltip title={t('sqlDiff.format')}>
                                 <IconButton size="small" onClick={handleFormatLeft} disabled={!leftSql}>
                                     <FormatAlignLeftIcon fontSize="small" />
                                 </IconButton>
@@ -489,7 +498,7 @@ function SqlDiff() {
                             value={leftSql}
                             onChange={setLeftSql}
                             language="sql"
-                            placeholder="输入原始 SQL 语句..."
+                            placeholder={t('sqlDiff.originalPlaceholder')}
                             height="350px"
                         />
                     </Paper>
@@ -514,9 +523,7 @@ function SqlDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(99, 102, 241, 0.1)'
-                                    : 'rgba(99, 102, 241, 0.05)',
+                                backgroundColor: theme.palette.diff.compare,
                                 display: 'flex',
                                 alignItems: 'center',
                                 justifyContent: 'space-between',
@@ -525,7 +532,7 @@ function SqlDiff() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                对比结果
+                                {t('sqlDiff.result')}
                             </Typography>
                             {hasDiff && (
                                 <Box sx={{ display: 'flex', gap: 0.5 }}>
@@ -535,8 +542,8 @@ function SqlDiff() {
                                         sx={{
                                             height: 20,
                                             fontSize: 11,
-                                            backgroundColor: 'rgba(239, 68, 68, 0.15)',
-                                            color: theme.palette.mode === 'dark' ? '#fca5a5' : '#dc2626',
+                                            backgroundColor: theme.palette.diff.removed.background,
+                                            color: theme.palette.diff.removed.text,
                                         }}
                                     />
                                     <Chip
@@ -545,8 +552,8 @@ function SqlDiff() {
                                         sx={{
                                             height: 20,
                                             fontSize: 11,
-                                            backgroundColor: 'rgba(34, 197, 94, 0.15)',
-                                            color: theme.palette.mode === 'dark' ? '#86efac' : '#15803d',
+                                            backgroundColor: theme.palette.diff.added.background,
+                                            color: theme.palette.diff.added.text,
                                         }}
                                     />
                                 </Box>
@@ -566,12 +573,12 @@ function SqlDiff() {
                                     color="text.disabled"
                                     sx={{ fontStyle: 'italic', textAlign: 'center', mt: 8 }}
                                 >
-                                    在左右两侧输入 SQL，<br />对比结果将实时显示
+                                    {t('sqlDiff.emptyLine1')}<br />{t('sqlDiff.emptyLine2')}
                                 </Typography>
                             ) : isIdentical ? (
                                 <Box sx={{ textAlign: 'center', mt: 8 }}>
                                     <Chip
-                                        label="✓ 两段 SQL 完全相同"
+                                        label={`✓ ${t('sqlDiff.identical')}`}
                                         color="success"
                                         sx={{ fontWeight: 500 }}
                                     />
@@ -600,18 +607,16 @@ function SqlDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(34, 197, 94, 0.1)'
-                                    : 'rgba(34, 197, 94, 0.05)',
+                                backgroundColor: theme.palette.diff.added.header,
                                 display: 'flex',
                                 justifyContent: 'space-between',
                                 alignItems: 'center',
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                修改后 SQL
+                                {t('sqlDiff.modified')}
                             </Typography>
-                            <Tooltip title="格式化">
+                            <Tooltip title={t('sqlDiff.format')}>
                                 <IconButton size="small" onClick={handleFormatRight} disabled={!rightSql}>
                                     <FormatAlignLeftIcon fontSize="small" />
                                 </IconButton>
@@ -621,7 +626,7 @@ function SqlDiff() {
                             value={rightSql}
                             onChange={setRightSql}
                             language="sql"
-                            placeholder="输入修改后的 SQL 语句..."
+                            placeholder={t('sqlDiff.modifiedPlaceholder')}
                             height="350px"
                         />
                     </Paper>
@@ -631,13 +636,13 @@ function SqlDiff() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    点击 <SettingsIcon sx={{ fontSize: 14, verticalAlign: 'middle' }} /> 按钮展开对比选项。
-                    开启"<strong>格式化后对比</strong>"可消除格式差异，只比较 SQL 语义。
-                    <Box component="span" sx={{ color: theme.palette.error.main, mx: 0.5, textDecoration: 'line-through' }}>删除的内容</Box>
-                    用红色删除线标记，
-                    <Box component="span" sx={{ color: theme.palette.success.main, mx: 0.5 }}>新增的内容</Box>
-                    用绿色标记。
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('sqlDiff.tipSettingsBefore')}<SettingsIcon sx={{ fontSize: 14, verticalAlign: 'middle' }} />{t('sqlDiff.tipSettingsAfter')}
+                    {t('sqlDiff.tipFormatBefore')}<strong>{t('sqlDiff.formatFirst')}</strong>{t('sqlDiff.tipFormatAfter')}
+                    <Box component="span" sx={{ color: theme.palette.error.main, mx: 0.5, textDecoration: 'line-through' }}>{t('sqlDiff.tipRemoved')}</Box>
+                    {t('sqlDiff.tipRemovedStyle')}
+                    <Box component="span" sx={{ color: theme.palette.success.main, mx: 0.5 }}>{t('sqlDiff.tipAdded')}</Box>
+                    {t('sqlDiff.tipAddedStyle')}
                 </Typography>
             </Box>
         </ToolCard>
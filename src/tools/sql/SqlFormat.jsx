@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import {
     Box,
     Grid,
@@ -21,16 +21,19 @@ import FormatAlignLeftIcon from '@mui/icons-material/FormatAlignLeft';
 import CompressIcon from '@mui/icons-material/Compress';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import SettingsIcon from '@mui/icons-material/Settings';
-import { format } from 'sql-formatter';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 import CodeEditor from '../../components/CodeEditor';
+import TaskProgress from '../../components/TaskProgress';
+import { useWorkerResult } from '../../hooks/useWorkerTask';
 
 /**
  * SQL 方言配置
  */
 const SQL_DIALECTS = [
-    { value: 'sql', label: '标准 SQL' },
+    { value: 'sql' }, // 名称随界面语言显示
     { value: 'mysql', label: 'MySQL' },
     { value: 'mariadb', label: 'MariaDB' },
     { value: 'postgresql', label: 'PostgreSQL' },
@@ -47,9 +50,9 @@ const SQL_DIALECTS = [
  * 关键字大小写选项
  */
 const KEYWORD_CASE_OPTIONS = [
-    { value: 'upper', label: '大写 (SELECT)' },
-    { value: 'lower', label: '小写 (select)' },
-    { value: 'preserve', label: '保持原样' },
+    { value: 'upper' },
+    { value: 'lower' },
+    { value: 'preserve' },
 ];
 
 /**
@@ -58,8 +61,6 @@ const KEYWORD_CASE_OPTIONS = [
 const FORMAT_STYLES = [
     {
         value: 'standard',
-        label: '标准风格',
-        description: '平衡的缩进和换行，适合大多数场景',
         config: {
             tabWidth: 4,
             indentStyle: 'standard',
@@ -71,8 +72,6 @@ const FORMAT_STYLES = [
     },
     {
         value: 'compact',
-        label: '紧凑风格',
-        description: '减少换行，节省垂直空间',
         config: {
             tabWidth: 2,
             indentStyle: 'standard',
@@ -84,8 +83,6 @@ const FORMAT_STYLES = [
     },
     {
         value: 'expanded',
-        label: '展开风格',
-        description: '更多换行，每个子句单独一行，便于阅读复杂查询',
         config: {
             tabWidth: 4,
             indentStyle: 'tabularLeft',
@@ -97,8 +94,6 @@ const FORMAT_STYLES = [
     },
     {
         value: 'tabular',
-        label: '表格风格',
-        description: '关键字右对齐，列定义整齐排列',
         config: {
             tabWidth: 4,
             indentStyle: 'tabularRight',
@@ -110,8 +105,6 @@ const FORMAT_STYLES = [
     },
     {
         value: 'custom',
-        label: '自定义',
-        description: '自由配置所有格式化选项',
         config: null, // 使用用户自定义配置
     },
 ];
@@ -120,17 +113,17 @@ const FORMAT_STYLES = [
  * 缩进风格选项
  */
 const INDENT_STYLE_OPTIONS = [
-    { value: 'standard', label: '标准缩进' },
-    { value: 'tabularLeft', label: '表格左对齐' },
-    { value: 'tabularRight', label: '表格右对齐' },
+    { value: 'standard' },
+    { value: 'tabularLeft' },
+    { value: 'tabularRight' },
 ];
 
 /**
  * 逻辑运算符换行选项
  */
 const LOGICAL_OPERATOR_OPTIONS = [
-    { value: 'before', label: '运算符前换行' },
-    { value: 'after', label: '运算符后换行' },
+    { value: 'before' },
+    { value: 'after' },
 ];
 
 /**
@@ -144,21 +137,20 @@ const LOGICAL_OPERATOR_OPTIONS = [
  */
 function SqlFormat() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [input, setInput] = useState('');
-    const [output, setOutput] = useState('');
-    const [mode, setMode] = useState('format'); // 'format' | 'minify'
-    const [error, setError] = useState(null);
+    const [input, setInput] = useToolState('input', '');
+    const [mode, setMode] = useToolState('mode', 'format'); // 'format' | 'minify'
     const [showSettings, setShowSettings] = useState(false);
 
     // 格式化选项
-    const [dialect, setDialect] = useState('mysql');
-    const [keywordCase, setKeywordCase] = useState('upper');
-    const [formatStyle, setFormatStyle] = useState('standard');
+    const [dialect, setDialect] = useToolState('dialect', 'mysql');
+    const [keywordCase, setKeywordCase] = useToolState('keywordCase', 'upper');
+    const [formatStyle, setFormatStyle] = useToolState('formatStyle', 'standard');
 
     // 自定义选项（仅在 custom 风格时使用）
-    const [customConfig, setCustomConfig] = useState({
+    const [customConfig, setCustomConfig] = useToolState('customConfig', {
         tabWidth: 4,
         indentStyle: 'standard',
         logicalOperatorNewline: 'before',
@@ -168,54 +160,32 @@ function SqlFormat() {
     });
 
     /**
-     * 获取当前格式化配置
+     * 实时处理 SQL：在后台任务 Worker 中执行（tools/sql/sqlFormat.tasks.js），大段 SQL 不会阻塞输入
      */
-    const getFormatConfig = () => {
+    const payload = useMemo(() => {
         const style = FORMAT_STYLES.find(s => s.value === formatStyle);
-        if (style && style.config) {
-            return style.config;
-        }
-        return customConfig;
-    };
-
-    /**
-     * 实时处理 SQL
-     */
-    useEffect(() => {
-        if (!input.trim()) {
-            setOutput('');
-            setError(null);
-            return;
-        }
-
-        try {
-            let result;
-            if (mode === 'format') {
-                const config = getFormatConfig();
-                // 使用 sql-formatter 进行专业格式化
-                result = format(input, {
-                    language: dialect,
-                    keywordCase: keywordCase,
-                    linesBetweenQueries: 2,
-                    ...config,
-                });
-            } else {
-                // 压缩模式：移除多余空白
-                result = input
-                    .replace(/\s+/g, ' ')
-                    .replace(/\s*\(\s*/g, '(')
-                    .replace(/\s*\)\s*/g, ')')
-                    .replace(/\s*,\s*/g, ', ')
-                    .replace(/\s*;\s*/g, '; ')
-                    .trim();
-            }
-            setOutput(result);
-            setError(null);
-        } catch (err) {
-            setError('格式化失败: ' + err.message);
-            setOutput('');
-        }
+        const config = style && style.config ? style.config : customConfig;
+        return {
+            text: input,
+            mode,
+            options: {
+                language: dialect,
+                keywordCase: keywordCase,
+                linesBetweenQueries: 2,
+                ...config,
+            },
+        };
     }, [input, mode, dialect, keywordCase, formatStyle, customConfig]);
+    const formatTask = useWorkerResult('sqlFormat/format', payload, {
+        enabled: Boolean(input.trim()),
+        delay: 150,
+    });
+    // 错误时不显示上一次的结果；error.diagnostic 为错误位置，无法定位时为 null
+    const error = formatTask.error;
+    const output = error ? '' : (formatTask.result ?? '');
+
+    // 输入编辑器中标出的语法错误
+    const diagnostics = useMemo(() => (error?.diagnostic ? [error.diagnostic] : []), [error]);
 
     /**
      * 切换模式
@@ -238,8 +208,6 @@ function SqlFormat() {
      */
     const handleClear = useCallback(() => {
         setInput('');
-        setOutput('');
-        setError(null);
     }, []);
 
     /**
@@ -252,26 +220,48 @@ function SqlFormat() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Settings',
+            label: t('actions.settings'),
             icon: <SettingsIcon fontSize="small" />,
             onClick: toggleSettings,
             variant: showSettings ? 'contained' : 'outlined',
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     const currentStyle = FORMAT_STYLES.find(s => s.value === formatStyle);
 
+    // 命令面板中的模式切换
+    const commands = [
+        {
+            id: 'format',
+            label: t('sqlFormat.format'),
+            icon: <FormatAlignLeftIcon fontSize="small" />,
+            shortcut: 'format',
+            onSelect: () => setMode('format'),
+        },
+        {
+            id: 'minify',
+            label: t('sqlFormat.minify'),
+            icon: <CompressIcon fontSize="small" />,
+            shortcut: 'minify',
+            onSelect: () => setMode('minify'),
+        },
+    ];
+
     return (
         <ToolCard
-            title="SQL 格式化"
-            description="实时美化和压缩 SQL 语句，支持多种格式化风格和 SQL 方言"
+            title={t('sqlFormat.title')}
+            description={t('sqlFormat.description')}
             actions={actions}
+            commands={commands}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
@@ -279,16 +269,16 @@ function SqlFormat() {
                     value={mode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="输出模式"
+                    aria-label={t('sqlFormat.outputMode')}
                     size="small"
                 >
-                    <ToggleButton value="format" aria-label="格式化">
+                    <ToggleButton value="format" aria-label={t('sqlFormat.format')}>
                         <FormatAlignLeftIcon sx={{ mr: 1 }} fontSize="small" />
-                        格式化 (Format)
+                        {t('sqlFormat.format')}
                     </ToggleButton>
-                    <ToggleButton value="minify" aria-label="压缩">
+                    <ToggleButton value="minify" aria-label={t('sqlFormat.minify')}>
                         <CompressIcon sx={{ mr: 1 }} fontSize="small" />
-                        压缩 (Minify)
+                        {t('sqlFormat.minify')}
                     </ToggleButton>
                 </ToggleButtonGroup>
             </Box>
@@ -299,7 +289,7 @@ function SqlFormat() {
                     {FORMAT_STYLES.map((style) => (
                         <Chip
                             key={style.value}
-                            label={style.label}
+                            label={t(`sqlFormat.styles.${style.value}.label`)}
                             onClick={() => setFormatStyle(style.value)}
                             color={formatStyle === style.value ? 'primary' : 'default'}
                             variant={formatStyle === style.value ? 'filled' : 'outlined'}
@@ -325,11 +315,11 @@ function SqlFormat() {
                 >
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
                         <Typography variant="body2" fontWeight={600}>
-                            格式化选项
+                            {t('sqlFormat.options')}
                         </Typography>
                         {currentStyle && (
                             <Typography variant="caption" color="text.secondary">
-                                - {currentStyle.description}
+                                - {t(`sqlFormat.styles.${currentStyle.value}.description`)}
                             </Typography>
                         )}
                     </Box>
@@ -339,15 +329,15 @@ function SqlFormat() {
                         {/* SQL 方言 */}
                         <Grid item xs={12} sm={4}>
                             <FormControl fullWidth size="small">
-                                <InputLabel>SQL 方言</InputLabel>
+                                <InputLabel>{t('sqlFormat.dialect')}</InputLabel>
                                 <Select
                                     value={dialect}
-                                    label="SQL 方言"
+                                    label={t('sqlFormat.dialect')}
                                     onChange={(e) => setDialect(e.target.value)}
                                 >
                                     {SQL_DIALECTS.map((d) => (
                                         <MenuItem key={d.value} value={d.value}>
-                                            {d.label}
+                                            {d.label || t('sqlFormat.standardSql')}
                                         </MenuItem>
                                     ))}
                                 </Select>
@@ -357,15 +347,15 @@ function SqlFormat() {
                         {/* 关键字大小写 */}
                         <Grid item xs={12} sm={4}>
                             <FormControl fullWidth size="small">
-                                <InputLabel>关键字大小写</InputLabel>
+                                <InputLabel>{t('sqlFormat.keywordCase')}</InputLabel>
                                 <Select
                                     value={keywordCase}
-                                    label="关键字大小写"
+                                    label={t('sqlFormat.keywordCase')}
                                     onChange={(e) => setKeywordCase(e.target.value)}
                                 >
                                     {KEYWORD_CASE_OPTIONS.map((k) => (
                                         <MenuItem key={k.value} value={k.value}>
-                                            {k.label}
+                                            {t(`sqlFormat.keywordCases.${k.value}`)}
                                         </MenuItem>
                                     ))}
                                 </Select>
@@ -375,15 +365,15 @@ function SqlFormat() {
                         {/* 格式风格 */}
                         <Grid item xs={12} sm={4}>
                             <FormControl fullWidth size="small">
-                                <InputLabel>格式风格</InputLabel>
+                                <InputLabel>{t('sqlFormat.style')}</InputLabel>
                                 <Select
                                     value={formatStyle}
-                                    label="格式风格"
+                                    label={t('sqlFormat.style')}
                                     onChange={(e) => setFormatStyle(e.target.value)}
                                 >
                                     {FORMAT_STYLES.map((s) => (
                                         <MenuItem key={s.value} value={s.value}>
-                                            {s.label}
+                                            {t(`sqlFormat.styles.${s.value}.label`)}
                                         </MenuItem>
                                     ))}
                                 </Select>
@@ -395,13 +385,13 @@ function SqlFormat() {
                     {formatStyle === 'custom' && (
                         <>
                             <Typography variant="body2" fontWeight={500} sx={{ mb: 2, mt: 1 }}>
-                                自定义配置
+                                {t('sqlFormat.custom')}
                             </Typography>
                             <Grid container spacing={3}>
                                 {/* 缩进宽度 */}
                                 <Grid item xs={12} sm={4}>
                                     <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                        缩进宽度: {customConfig.tabWidth} 空格
+                                        {t('sqlFormat.tabWidth', { width: customConfig.tabWidth })}
                                     </Typography>
                                     <Slider
                                         value={customConfig.tabWidth}
@@ -421,15 +411,15 @@ function SqlFormat() {
                                 {/* 缩进风格 */}
                                 <Grid item xs={12} sm={4}>
                                     <FormControl fullWidth size="small">
-                                        <InputLabel>缩进风格</InputLabel>
+                                        <InputLabel>{t('sqlFormat.indentStyle')}</InputLabel>
                                         <Select
                                             value={customConfig.indentStyle}
-                                            label="缩进风格"
+                                            label={t('sqlFormat.indentStyle')}
                                             onChange={(e) => updateCustomConfig('indentStyle', e.target.value)}
                                         >
                                             {INDENT_STYLE_OPTIONS.map((i) => (
                                                 <MenuItem key={i.value} value={i.value}>
-                                                    {i.label}
+                                                    {t(`sqlFormat.indentStyles.${i.value}`)}
                                                 </MenuItem>
                                             ))}
                                         </Select>
@@ -439,15 +429,15 @@ function SqlFormat() {
                                 {/* 逻辑运算符换行 */}
                                 <Grid item xs={12} sm={4}>
                                     <FormControl fullWidth size="small">
-                                        <InputLabel>AND/OR 换行</InputLabel>
+                                        <InputLabel>{t('sqlFormat.logicalOperatorNewline')}</InputLabel>
                                         <Select
                                             value={customConfig.logicalOperatorNewline}
-                                            label="AND/OR 换行"
+                                            label={t('sqlFormat.logicalOperatorNewline')}
                                             onChange={(e) => updateCustomConfig('logicalOperatorNewline', e.target.value)}
                                         >
                                             {LOGICAL_OPERATOR_OPTIONS.map((l) => (
                                                 <MenuItem key={l.value} value={l.value}>
-                                                    {l.label}
+                                                    {t(`sqlFormat.logicalOperators.${l.value}`)}
                                                 </MenuItem>
                                             ))}
                                         </Select>
@@ -457,7 +447,7 @@ function SqlFormat() {
                                 {/* 表达式宽度 */}
                                 <Grid item xs={12} sm={4}>
                                     <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                        行宽度: {customConfig.expressionWidth} 字符
+                                        {t('sqlFormat.expressionWidth', { width: customConfig.expressionWidth })}
                                     </Typography>
                                     <Slider
                                         value={customConfig.expressionWidth}
@@ -479,7 +469,7 @@ function SqlFormat() {
                                                 size="small"
                                             />
                                         }
-                                        label="紧凑运算符 (无空格)"
+                                        label={t('sqlFormat.denseOperators')}
                                     />
                                 </Grid>
 
@@ -493,7 +483,7 @@ function SqlFormat() {
                                                 size="small"
                                             />
                                         }
-                                        label="分号前换行"
+                                        label={t('sqlFormat.newlineBeforeSemicolon')}
                                     />
                                 </Grid>
                             </Grid>
@@ -502,10 +492,13 @@ function SqlFormat() {
                 </Paper>
             )}
 
-            {/* 错误提示 */}
-            {error && (
+            {/* 后台处理进度 */}
+            <TaskProgress task={formatTask.task} onCancel={formatTask.cancel} />
+
+            {/* 错误提示，能定位的错误显示在输入编辑器中 */}
+            {error && !error.diagnostic && (
                 <Alert severity="error" sx={{ mb: 2 }}>
-                    {error}
+                    {t('sqlFormat.formatFailed', { message: error.message })}
                 </Alert>
             )}
 
@@ -533,21 +526,22 @@ function SqlFormat() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入 SQL
+                                {t('sqlFormat.input')}
                             </Typography>
                         </Box>
                         <CodeEditor
                             value={input}
                             onChange={setInput}
                             language="sql"
-                            placeholder='输入 SQL 语句，例如：
+                            placeholder={`${t('sqlFormat.inputPlaceholder')}
 SELECT id, name, email FROM users WHERE status = 1 ORDER BY id DESC;
 
 CREATE TABLE users (
   id INT PRIMARY KEY,
   name VARCHAR(100) NOT NULL
-);'
+);`}
                             height="450px"
+                            diagnostics={diagnostics}
                         />
                     </Paper>
                 </Grid>
@@ -577,17 +571,17 @@ CREATE TABLE users (
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输出结果 ({mode === 'format' ? '格式化' : '压缩'})
+                                {t('sqlFormat.output', { mode: mode === 'format' ? t('sqlFormat.formatShort') : t('sqlFormat.minifyShort') })}
                             </Typography>
                             {mode === 'format' && (
                                 <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
                                     <Chip
-                                        label={currentStyle?.label || '标准'}
+                                        label={t(`sqlFormat.styles.${currentStyle?.value || 'standard'}.label`)}
                                         size="small"
                                         sx={{ height: 20, fontSize: 11 }}
                                     />
                                     <Typography variant="caption" color="text.disabled">
-                                        {SQL_DIALECTS.find(d => d.value === dialect)?.label}
+                                        {SQL_DIALECTS.find(d => d.value === dialect)?.label || t('sqlFormat.standardSql')}
                                     </Typography>
                                 </Box>
                             )}
@@ -595,7 +589,7 @@ CREATE TABLE users (
                         <CodeEditor
                             value={output}
                             language="sql"
-                            placeholder="输入 SQL 后将实时显示结果..."
+                            placeholder={t('sqlFormat.outputPlaceholder')}
                             height="450px"
                             readOnly
                         />
@@ -606,13 +600,8 @@ CREATE TABLE users (
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    选择不同的格式化风格可获得不同的输出效果。
-                    <strong>标准风格</strong>适合日常使用，
-                    <strong>紧凑风格</strong>减少垂直空间，
-                    <strong>展开风格</strong>更易阅读，
-                    <strong>表格风格</strong>关键字对齐。
-                    选择<strong>自定义</strong>可细粒度调整所有选项。
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('sqlFormat.tip')}
                 </Typography>
             </Box>
         </ToolCard>
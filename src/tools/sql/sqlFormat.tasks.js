@@ -0,0 +1,18 @@
+import { formatSql, minifySql } from '../../core/sqlFormat';
+
+/**
+ * SQL 格式化工具的后台任务（在 workers/task.worker.js 中执行）
+ */
+
+/**
+ * 格式化或压缩 SQL
+ * @param {Object} payload
+ * @param {string} payload.text - SQL 文本
+ * @param {string} payload.mode - format | minify
+ * @param {Object} payload.options - sql-formatter 选项
+ * @returns {string}
+ * @throws {Error} 语法错误时 diagnostic 为错误位置（见 core/diagnostics.js）
+ */
+export const format = ({ text, mode, options }) => {
+    return mode === 'minify' ? minifySql(text) : formatSql(text, options);
+};
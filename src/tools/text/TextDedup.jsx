@@ -23,25 +23,31 @@ import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
 import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
+import { useWorkerResult } from '../../hooks/useWorkerTask';
+import TaskProgress from '../../components/TaskProgress';
 
 /**
  * 排序模式定义
  */
 const SORT_MODES = [
-    { value: 'none', label: '不排序' },
-    { value: 'asc', label: '升序 A→Z' },
-    { value: 'desc', label: '降序 Z→A' },
-    { value: 'asc-num', label: '数字升序' },
-    { value: 'desc-num', label: '数字降序' },
-    { value: 'length-asc', label: '长度升序' },
-    { value: 'length-desc', label: '长度降序' },
+    { value: 'none', labelKey: 'none' },
+    { value: 'asc', labelKey: 'asc' },
+    { value: 'desc', labelKey: 'desc' },
+    { value: 'asc-num', labelKey: 'ascNum' },
+    { value: 'desc-num', labelKey: 'descNum' },
+    { value: 'length-asc', labelKey: 'lengthAsc' },
+    { value: 'length-desc', labelKey: 'lengthDesc' },
 ];
 
-/**
- * 自然排序比较函数（支持数字和字母混合）
- */
-const naturalCompare = (a, b) => {
-    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+const EMPTY_RESULT = {
+    output: '',
+    stats: {
+        inputLines: 0,
+        outputLines: 0,
+        duplicatesRemoved: 0,
+    },
 };
 
 /**
@@ -54,20 +60,22 @@ const naturalCompare = (a, b) => {
  * - 去除空行
  * - 去除首尾空格
  * - 实时统计
+ * - 在 Worker 中处理（见 textDedup.tasks.js），数百万行也不会阻塞页面
  */
 function TextDedup() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 输入状态
-    const [input, setInput] = useState('');
+    const [input, setInput] = useToolState('input', '');
 
     // 配置选项
-    const [removeDuplicates, setRemoveDuplicates] = useState(true);
-    const [sortMode, setSortMode] = useState('none');
-    const [ignoreCase, setIgnoreCase] = useState(false);
-    const [removeEmptyLines, setRemoveEmptyLines] = useState(true);
-    const [trimLines, setTrimLines] = useState(true);
-    const [customSeparator, setCustomSeparator] = useState('');
+    const [removeDuplicates, setRemoveDuplicates] = useToolState('removeDuplicates', true);
+    const [sortMode, setSortMode] = useToolState('sortMode', 'none');
+    const [ignoreCase, setIgnoreCase] = useToolState('ignoreCase', false);
+    const [removeEmptyLines, setRemoveEmptyLines] = useToolState('removeEmptyLines', true);
+    const [trimLines, setTrimLines] = useToolState('trimLines', true);
+    const [customSeparator, setCustomSeparator] = useToolState('customSeparator', '');
 
     // 复制状态
     const [copied, setCopied] = useState(false);
@@ -75,86 +83,20 @@ function TextDedup() {
     /**
      * 处理文本
      */
-    const { output, stats } = useMemo(() => {
-        if (!input.trim()) {
-            return {
-                output: '',
-                stats: {
-                    inputLines: 0,
-                    outputLines: 0,
-                    duplicatesRemoved: 0
-                }
-            };
-        }
-
-        // 使用换行符或自定义分隔符分割
-        const separator = customSeparator || '\n';
-        let lines = input.split(separator);
-        const inputLines = lines.length;
-
-        // 去除首尾空格
-        if (trimLines) {
-            lines = lines.map(line => line.trim());
-        }
-
-        // 去除空行
-        if (removeEmptyLines) {
-            lines = lines.filter(line => line.length > 0);
-        }
-
-        // 去重
-        let duplicatesRemoved = 0;
-        if (removeDuplicates) {
-            const seen = new Set();
-            const uniqueLines = [];
-
-            for (const line of lines) {
-                const key = ignoreCase ? line.toLowerCase() : line;
-                if (!seen.has(key)) {
-                    seen.add(key);
-                    uniqueLines.push(line);
-                } else {
-                    duplicatesRemoved++;
-                }
-            }
-            lines = uniqueLines;
-        }
-
-        // 排序
-        if (sortMode !== 'none') {
-            const sortFn = (a, b) => {
-                let compareA = ignoreCase ? a.toLowerCase() : a;
-                let compareB = ignoreCase ? b.toLowerCase() : b;
-
-                switch (sortMode) {
-                    case 'asc':
-                        return compareA.localeCompare(compareB);
-                    case 'desc':
-                        return compareB.localeCompare(compareA);
-                    case 'asc-num':
-                        return naturalCompare(compareA, compareB);
-                    case 'desc-num':
-                        return naturalCompare(compareB, compareA);
-                    case 'length-asc':
-                        return a.length - b.length || compareA.localeCompare(compareB);
-                    case 'length-desc':
-                        return b.length - a.length || compareA.localeCompare(compareB);
-                    default:
-                        return 0;
-                }
-            };
-            lines.sort(sortFn);
-        }
-
-        return {
-            output: lines.join('\n'),
-            stats: {
-                inputLines,
-                outputLines: lines.length,
-                duplicatesRemoved,
-            },
-        };
-    }, [input, removeDuplicates, sortMode, ignoreCase, removeEmptyLines, trimLines, customSeparator]);
+    const payload = useMemo(() => ({
+        input,
+        separator: customSeparator,
+        removeDuplicates,
+        sortMode,
+        ignoreCase,
+        removeEmptyLines,
+        trimLines,
+    }), [input, removeDuplicates, sortMode, ignoreCase, removeEmptyLines, trimLines, customSeparator]);
+    const dedupeTask = useWorkerResult('textDedup/dedupe', payload, {
+        enabled: Boolean(input.trim()),
+        delay: 150,
+    });
+    const { output, stats } = dedupeTask.result || EMPTY_RESULT;
 
     /**
      * 清空输入
@@ -190,18 +132,21 @@ function TextDedup() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
     return (
         <ToolCard
-            title="文本去重排序"
-            description="按行去除重复内容，支持多种排序方式和自定义选项"
+            title={t('textDedup.title')}
+            description={t('textDedup.description')}
             actions={actions}
             copyContent={output}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             {/* 配置选项区 */}
             <Paper
@@ -230,7 +175,7 @@ function TextDedup() {
                             label={
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
                                     <FilterListIcon fontSize="small" />
-                                    <Typography variant="body2">去除重复行</Typography>
+                                    <Typography variant="body2">{t('textDedup.removeDuplicates')}</Typography>
                                 </Box>
                             }
                         />
@@ -246,7 +191,7 @@ function TextDedup() {
                                     size="small"
                                 />
                             }
-                            label={<Typography variant="body2">忽略大小写</Typography>}
+                            label={<Typography variant="body2">{t('textDedup.ignoreCase')}</Typography>}
                         />
                     </Grid>
 
@@ -260,7 +205,7 @@ function TextDedup() {
                                     size="small"
                                 />
                             }
-                            label={<Typography variant="body2">去除空行</Typography>}
+                            label={<Typography variant="body2">{t('textDedup.removeEmpty')}</Typography>}
                         />
                     </Grid>
 
@@ -274,7 +219,7 @@ function TextDedup() {
                                     size="small"
                                 />
                             }
-                            label={<Typography variant="body2">去除首尾空格</Typography>}
+                            label={<Typography variant="body2">{t('textDedup.trim')}</Typography>}
                         />
                     </Grid>
                 </Grid>
@@ -286,7 +231,7 @@ function TextDedup() {
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
                         <SortIcon fontSize="small" color="action" />
                         <Typography variant="body2" color="text.secondary">
-                            排序方式:
+                            {t('textDedup.sortLabel')}
                         </Typography>
                     </Box>
                     <ToggleButtonGroup
@@ -306,7 +251,7 @@ function TextDedup() {
                                     fontSize: '0.75rem',
                                 }}
                             >
-                                {mode.label}
+                                {t(`textDedup.sort.${mode.labelKey}`)}
                             </ToggleButton>
                         ))}
                     </ToggleButtonGroup>
@@ -315,18 +260,18 @@ function TextDedup() {
                 {/* 自定义分隔符（可选） */}
                 <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
                     <Typography variant="body2" color="text.secondary">
-                        自定义分隔符:
+                        {t('textDedup.separator')}
                     </Typography>
                     <TextField
                         size="small"
-                        placeholder="默认为换行符"
+                        placeholder={t('textDedup.separatorPlaceholder')}
                         value={customSeparator}
                         onChange={(e) => setCustomSeparator(e.target.value)}
                         sx={{ width: 150 }}
                         inputProps={{ style: { fontSize: '0.875rem' } }}
                     />
                     <Typography variant="caption" color="text.disabled">
-                        （留空则按行分隔）
+                        {t('textDedup.separatorHint')}
                     </Typography>
                 </Box>
             </Paper>
@@ -336,25 +281,35 @@ function TextDedup() {
                 <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
                     <Chip
                         size="small"
-                        label={`输入: ${stats.inputLines} 行`}
+                        label={t('textDedup.inputLines', { count: stats.inputLines })}
                         sx={{ backgroundColor: theme.palette.mode === 'dark' ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.06)' }}
                     />
                     <Chip
                         size="small"
-                        label={`输出: ${stats.outputLines} 行`}
+                        label={t('textDedup.outputLines', { count: stats.outputLines })}
                         color="primary"
                         variant="outlined"
                     />
                     {stats.duplicatesRemoved > 0 && (
                         <Chip
                             size="small"
-                            label={`去除重复: ${stats.duplicatesRemoved} 行`}
+                            label={t('textDedup.duplicatesRemoved', { count: stats.duplicatesRemoved })}
                             color="success"
                         />
                     )}
+                    {dedupeTask.duration > 0 && (
+                        <Chip
+                            size="small"
+                            variant="outlined"
+                            label={t('textDedup.duration', { duration: dedupeTask.duration })}
+                        />
+                    )}
                 </Box>
             )}
 
+            {/* 后台处理进度 */}
+            <TaskProgress task={dedupeTask.task} onCancel={dedupeTask.cancel} />
+
             {/* 双栏编辑器 */}
             <Grid container spacing={2}>
                 {/* 输入区域 */}
@@ -379,7 +334,7 @@ function TextDedup() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                输入文本
+                                {t('textDedup.input')}
                             </Typography>
                         </Box>
                         <TextField
@@ -388,7 +343,7 @@ function TextDedup() {
                             rows={15}
                             value={input}
                             onChange={(e) => setInput(e.target.value)}
-                            placeholder={`每行一个内容，例如：
+                            placeholder={`${t('textDedup.inputPlaceholder')}
 apple
 banana
 apple
@@ -434,9 +389,9 @@ date`}
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                处理结果
+                                {t('textDedup.output')}
                             </Typography>
-                            <Tooltip title={copied ? '已复制!' : '复制结果'}>
+                            <Tooltip title={copied ? t('common.copiedShort') : t('textDedup.copyResult')}>
                                 <IconButton
                                     onClick={handleCopy}
                                     disabled={!output}
@@ -452,7 +407,7 @@ date`}
                             multiline
                             rows={15}
                             value={output}
-                            placeholder="处理结果将实时显示在这里..."
+                            placeholder={t('textDedup.outputPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 readOnly: true,
@@ -475,11 +430,8 @@ date`}
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    输入的每一行作为一个条目处理。支持<strong>去重</strong>（移除重复行）、
-                    <strong>排序</strong>（字母/数字/长度升降序）、<strong>忽略大小写</strong>、
-                    <strong>去除空行</strong>和<strong>首尾空格</strong>。
-                    也可以自定义分隔符来处理逗号分隔等格式。
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('textDedup.tip')}
                 </Typography>
             </Box>
         </ToolCard>
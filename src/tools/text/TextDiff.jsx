@@ -1,5 +1,5 @@
 import React, { useState, useCallback, useRef } from 'react';
-import { Box, Grid, Paper, Typography, useTheme, Chip, ToggleButtonGroup, ToggleButton, Button, Tooltip, CircularProgress, Fade, TextField, IconButton } from '@mui/material';
+import { Box, Grid, Paper, Typography, useTheme, Chip, ToggleButtonGroup, ToggleButton, Button, Tooltip, CircularProgress, Fade, TextField, IconButton, alpha } from '@mui/material';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
@@ -11,6 +11,8 @@ import { List } from 'react-window';
 import { useDiff } from '../../hooks/useDiff';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 文本对比工具
@@ -24,11 +26,12 @@ import ToolCard from '../../components/ToolCard';
  */
 function TextDiff() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [leftInput, setLeftInput] = useState('');
-    const [rightInput, setRightInput] = useState('');
-    const [diffMode, setDiffMode] = useState('lines'); // lines | words | chars
+    const [leftInput, setLeftInput] = useToolState('leftInput', '');
+    const [rightInput, setRightInput] = useToolState('rightInput', '');
+    const [diffMode, setDiffMode] = useToolState('diffMode', 'lines'); // lines | words | chars
     const [currentDiffIndex, setCurrentDiffIndex] = useState(-1);
     const listRef = useRef(null);
 
@@ -95,21 +98,51 @@ function TextDiff() {
         }
     }, [leftInput, rightInput]);
 
+    /**
+     * 从历史记录恢复左右两侧输入
+     */
+    const handleHistorySelect = useCallback((value) => {
+        setLeftInput(value.left || '');
+        setRightInput(value.right || '');
+    }, []);
+
     // 工具栏按钮配置
     const actions = [
         {
-            label: 'Swap',
+            label: t('actions.swap'),
             icon: <SwapHorizIcon fontSize="small" />,
+            shortcut: 'swap',
             onClick: handleSwap,
             disabled: !leftInput && !rightInput,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: handleClear,
         },
     ];
 
+    // 命令面板和快捷键中的差异跳转
+    const commands = [
+        {
+            id: 'next-diff',
+            label: t('shortcuts.actions.nextDiff'),
+            icon: <KeyboardArrowDownIcon fontSize="small" />,
+            disabled: !diffIndices || diffIndices.length === 0,
+            shortcut: 'nextDiff',
+            onSelect: handleNextDiff,
+        },
+        {
+            id: 'prev-diff',
+            label: t('shortcuts.actions.prevDiff'),
+            icon: <KeyboardArrowUpIcon fontSize="small" />,
+            disabled: !diffIndices || diffIndices.length === 0,
+            shortcut: 'prevDiff',
+            onSelect: handlePrevDiff,
+        },
+    ];
+
     /**
      * 虚拟滚动行组件
      */
@@ -125,15 +158,11 @@ function TextDiff() {
         let textDecoration = 'none';
 
         if (part.type === 'added') {
-            backgroundColor = theme.palette.mode === 'dark'
-                ? 'rgba(34, 197, 94, 0.25)'
-                : 'rgba(34, 197, 94, 0.15)';
-            color = theme.palette.mode === 'dark' ? '#86efac' : '#15803d';
+            backgroundColor = theme.palette.diff.added.background;
+            color = theme.palette.diff.added.text;
         } else if (part.type === 'removed') {
-            backgroundColor = theme.palette.mode === 'dark'
-                ? 'rgba(239, 68, 68, 0.25)'
-                : 'rgba(239, 68, 68, 0.15)';
-            color = theme.palette.mode === 'dark' ? '#fca5a5' : '#dc2626';
+            backgroundColor = theme.palette.diff.removed.background;
+            color = theme.palette.diff.removed.text;
             textDecoration = 'line-through';
         }
 
@@ -150,7 +179,7 @@ function TextDiff() {
                     px: 1,
                     py: 0.5,
                     borderRadius: diffMode === 'lines' ? 0 : '2px',
-                    fontFamily: "'Fira Code', monospace",
+                    fontFamily: theme.editor.fontFamily,
                     fontSize: '13px',
                     lineHeight: 1.6,
                     whiteSpace: 'pre-wrap',
@@ -190,7 +219,7 @@ function TextDiff() {
                         sx={{
                             position: 'absolute',
                             top: 0, left: 0, right: 0, bottom: 0,
-                            backgroundColor: 'rgba(255,255,255,0.7)',
+                            backgroundColor: alpha(theme.palette.background.paper, 0.7),
                             backdropFilter: 'blur(2px)',
                             display: 'flex',
                             flexDirection: 'column',
@@ -202,7 +231,7 @@ function TextDiff() {
                     >
                         <CircularProgress size={40} sx={{ mb: 2 }} />
                         <Typography variant="body2" color="text.secondary">
-                            高性能对比计算中...
+                            {t('textDiff.computing')}
                         </Typography>
                     </Box>
                 </Fade>
@@ -218,9 +247,12 @@ function TextDiff() {
 
     return (
         <ToolCard
-            title="文本对比"
-            description="实时比较两段文本的差异，支持逐行、逐词和逐字符对比，高亮显示变更内容"
+            title={t('textDiff.title')}
+            description={t('textDiff.description')}
             actions={actions}
+            commands={commands}
+            historyValue={{ left: leftInput, right: rightInput }}
+            onHistorySelect={handleHistorySelect}
         >
             {/* 对比模式切换 */}
             <Box sx={{ display: 'flex', justifyContent: 'center', mb: 3, gap: 2, flexWrap: 'wrap' }}>
@@ -228,34 +260,34 @@ function TextDiff() {
                     value={diffMode}
                     exclusive
                     onChange={handleModeChange}
-                    aria-label="对比模式"
+                    aria-label={t('textDiff.mode')}
                     size="small"
                 >
-                    <ToggleButton value="lines" aria-label="逐行">
+                    <ToggleButton value="lines" aria-label={t('textDiff.lines')}>
                         <TextFieldsIcon sx={{ mr: 1 }} fontSize="small" />
-                        逐行 (Fast)
+                        {t('textDiff.lines')}
                     </ToggleButton>
-                    <ToggleButton value="words" aria-label="逐词">
+                    <ToggleButton value="words" aria-label={t('textDiff.words')}>
                         <SpaceBarIcon sx={{ mr: 1 }} fontSize="small" />
-                        逐词 (Smart)
+                        {t('textDiff.words')}
                     </ToggleButton>
-                    <ToggleButton value="chars" aria-label="逐字符">
+                    <ToggleButton value="chars" aria-label={t('textDiff.chars')}>
                         <AbcIcon sx={{ mr: 1 }} fontSize="small" />
-                        逐字符
+                        {t('textDiff.chars')}
                     </ToggleButton>
                 </ToggleButtonGroup>
 
                 {diffIndices.length > 0 && (
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, border: `1px solid ${theme.palette.divider}`, borderRadius: 1, px: 2 }}>
                         <Typography variant="body2" color="text.secondary" sx={{ minWidth: 80 }}>
-                            差异点: {currentDiffIndex + 1} / {diffIndices.length}
+                            {t('textDiff.position', { current: currentDiffIndex + 1, total: diffIndices.length })}
                         </Typography>
-                        <Tooltip title="上一个差异">
+                        <Tooltip title={t('textDiff.previous')}>
                             <IconButton size="small" onClick={handlePrevDiff} disabled={diffIndices.length === 0}>
                                 <KeyboardArrowUpIcon fontSize="small" />
                             </IconButton>
                         </Tooltip>
-                        <Tooltip title="下一个差异">
+                        <Tooltip title={t('textDiff.next')}>
                             <IconButton size="small" onClick={handleNextDiff} disabled={diffIndices.length === 0}>
                                 <KeyboardArrowDownIcon fontSize="small" />
                             </IconButton>
@@ -265,7 +297,7 @@ function TextDiff() {
 
                 {duration > 0 && (
                     <Chip
-                        label={`计算耗时: ${duration}ms`}
+                        label={t('textDiff.duration', { duration })}
                         variant="outlined"
                         size="small"
                         color="secondary"
@@ -293,13 +325,11 @@ function TextDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(239, 68, 68, 0.1)'
-                                    : 'rgba(239, 68, 68, 0.05)',
+                                backgroundColor: theme.palette.diff.removed.header,
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                原始文本
+                                {t('textDiff.original')}
                             </Typography>
                         </Box>
                         <TextField
@@ -308,13 +338,13 @@ function TextDiff() {
                             rows={15}
                             value={leftInput}
                             onChange={(e) => setLeftInput(e.target.value)}
-                            placeholder="输入原始文本..."
+                            placeholder={t('textDiff.originalPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 disableUnderline: true,
                                 sx: {
                                     p: 2,
-                                    fontFamily: 'Fira Code, monospace',
+                                    fontFamily: theme.editor.fontFamily,
                                     fontSize: '14px',
                                     alignItems: 'flex-start',
                                 },
@@ -342,9 +372,7 @@ function TextDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(99, 102, 241, 0.1)'
-                                    : 'rgba(99, 102, 241, 0.05)',
+                                backgroundColor: theme.palette.diff.compare,
                                 display: 'flex',
                                 alignItems: 'center',
                                 justifyContent: 'space-between',
@@ -353,7 +381,7 @@ function TextDiff() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                对比结果
+                                {t('textDiff.result')}
                             </Typography>
                             {hasDiff && (
                                 <Box sx={{ display: 'flex', gap: 0.5 }}>
@@ -363,8 +391,8 @@ function TextDiff() {
                                         sx={{
                                             height: 20,
                                             fontSize: 11,
-                                            backgroundColor: 'rgba(239, 68, 68, 0.15)',
-                                            color: theme.palette.mode === 'dark' ? '#fca5a5' : '#dc2626',
+                                            backgroundColor: theme.palette.diff.removed.background,
+                                            color: theme.palette.diff.removed.text,
                                         }}
                                     />
                                     <Chip
@@ -373,8 +401,8 @@ function TextDiff() {
                                         sx={{
                                             height: 20,
                                             fontSize: 11,
-                                            backgroundColor: 'rgba(34, 197, 94, 0.15)',
-                                            color: theme.palette.mode === 'dark' ? '#86efac' : '#15803d',
+                                            backgroundColor: theme.palette.diff.added.background,
+                                            color: theme.palette.diff.added.text,
                                         }}
                                     />
                                 </Box>
@@ -394,12 +422,12 @@ function TextDiff() {
                                     color="text.disabled"
                                     sx={{ fontStyle: 'italic', textAlign: 'center', mt: 8 }}
                                 >
-                                    在左右两侧输入文本，<br />对比结果将实时显示
+                                    {t('textDiff.emptyLine1')}<br />{t('textDiff.emptyLine2')}
                                 </Typography>
                             ) : isIdentical ? (
                                 <Box sx={{ textAlign: 'center', mt: 8 }}>
                                     <Chip
-                                        label="✓ 两段文本完全相同"
+                                        label={`✓ ${t('textDiff.identical')}`}
                                         color="success"
                                         sx={{ fontWeight: 500 }}
                                     />
@@ -428,13 +456,11 @@ function TextDiff() {
                                 px: 2,
                                 py: 1,
                                 borderBottom: `1px solid ${theme.palette.divider}`,
-                                backgroundColor: theme.palette.mode === 'dark'
-                                    ? 'rgba(34, 197, 94, 0.1)'
-                                    : 'rgba(34, 197, 94, 0.05)',
+                                backgroundColor: theme.palette.diff.added.header,
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                修改后文本
+                                {t('textDiff.modified')}
                             </Typography>
                         </Box>
                         <TextField
@@ -443,13 +469,13 @@ function TextDiff() {
                             rows={15}
                             value={rightInput}
                             onChange={(e) => setRightInput(e.target.value)}
-                            placeholder="输入修改后的文本..."
+                            placeholder={t('textDiff.modifiedPlaceholder')}
                             variant="standard"
                             InputProps={{
                                 disableUnderline: true,
                                 sx: {
                                     p: 2,
-                                    fontFamily: 'Fira Code, monospace',
+                                    fontFamily: theme.editor.fontFamily,
                                     fontSize: '14px',
                                     alignItems: 'flex-start',
                                 },
@@ -462,12 +488,12 @@ function TextDiff() {
             {/* 使用说明 */}
             <Box sx={{ mt: 3 }}>
                 <Typography variant="body2" color="text.secondary">
-                    💡 <strong>提示：</strong>
-                    在左右两侧输入或粘贴文本，对比结果会<strong>实时显示</strong>在中间区域。
-                    <Box component="span" sx={{ color: theme.palette.error.main, mx: 0.5, textDecoration: 'line-through' }}>删除的内容</Box>
-                    用红色删除线标记，
-                    <Box component="span" sx={{ color: theme.palette.success.main, mx: 0.5 }}>新增的内容</Box>
-                    用绿色标记。
+                    💡 <strong>{t('common.tipLabel')}</strong>
+                    {t('textDiff.tipBefore')}<strong>{t('textDiff.tipLive')}</strong>{t('textDiff.tipAfter')}
+                    <Box component="span" sx={{ color: theme.palette.error.main, mx: 0.5, textDecoration: 'line-through' }}>{t('textDiff.tipRemoved')}</Box>
+                    {t('textDiff.tipRemovedStyle')}
+                    <Box component="span" sx={{ color: theme.palette.success.main, mx: 0.5 }}>{t('textDiff.tipAdded')}</Box>
+                    {t('textDiff.tipAddedStyle')}
                 </Typography>
             </Box>
         </ToolCard>
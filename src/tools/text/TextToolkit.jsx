@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import {
     Box,
     Grid,
@@ -20,6 +20,8 @@ import { Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Chip
 import FindReplaceIcon from '@mui/icons-material/FindReplace';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * 文本处理工具箱
@@ -31,9 +33,10 @@ import ToolCard from '../../components/ToolCard';
  */
 function TextToolkit() {
     const theme = useTheme();
-    const [input, setInput] = useState('');
-    const [findText, setFindText] = useState('');
-    const [replaceText, setReplaceText] = useState('');
+    const { t } = useI18n();
+    const [input, setInput] = useToolState('input', '');
+    const [findText, setFindText] = useToolState('findText', '');
+    const [replaceText, setReplaceText] = useToolState('replaceText', '');
 
     /**
      * 统计信息
@@ -146,7 +149,7 @@ function TextToolkit() {
         try {
             transform(s => decodeURIComponent(escape(window.atob(s))));
         } catch (e) {
-            alert('无效的 Base64 字符串');
+            alert(t('textToolkit.invalidBase64'));
         }
     };
 
@@ -154,7 +157,7 @@ function TextToolkit() {
         try {
             transform(s => JSON.parse(`"${s}"`));
         } catch (e) {
-            alert('无效的 Unicode 转义序列');
+            alert(t('textToolkit.invalidUnicode'));
         }
     };
 
@@ -163,7 +166,7 @@ function TextToolkit() {
         try {
             transform(s => decodeURIComponent(s));
         } catch (e) {
-            alert('URL 解码失败：包含无效的编码字符');
+            alert(t('textToolkit.invalidUrl'));
         }
     };
 
@@ -209,13 +212,15 @@ function TextToolkit() {
     // 工具栏配置
     const actions = [
         {
-            label: 'Copy',
+            label: t('actions.copy'),
             icon: <ContentCopyIcon fontSize="small" />,
+            shortcut: 'copyOutput',
             onClick: copy,
         },
         {
-            label: 'Clear',
+            label: t('actions.clear'),
             icon: <DeleteOutlineIcon fontSize="small" />,
+            shortcut: 'clear',
             onClick: clear,
         },
     ];
@@ -224,30 +229,32 @@ function TextToolkit() {
         <ToolCard
             title={
                 <Stack direction="row" alignItems="center" spacing={2}>
-                    <Typography variant="h4" fontWeight={600}>文本工具箱</Typography>
+                    <Typography variant="h4" fontWeight={600}>{t('textToolkit.title')}</Typography>
                     <Divider orientation="vertical" flexItem sx={{ height: 28, my: 'auto', borderWidth: 1 }} />
                     <Stack direction="row" spacing={2}>
                         <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 0.5 }}>
-                            <Typography variant="caption" color="text.secondary">字符</Typography>
+                            <Typography variant="caption" color="text.secondary">{t('textToolkit.chars')}</Typography>
                             <Typography variant="body2" fontWeight={700} color="primary">{stats.chars}</Typography>
                         </Box>
                         <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 0.5 }}>
-                            <Typography variant="caption" color="text.secondary">行数</Typography>
+                            <Typography variant="caption" color="text.secondary">{t('textToolkit.lines')}</Typography>
                             <Typography variant="body2" fontWeight={700} color="primary">{stats.lines}</Typography>
                         </Box>
                         <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 0.5 }}>
-                            <Typography variant="caption" color="text.secondary">单词</Typography>
+                            <Typography variant="caption" color="text.secondary">{t('textToolkit.words')}</Typography>
                             <Typography variant="body2" fontWeight={700} color="primary">{stats.words}</Typography>
                         </Box>
                         <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 0.5 }}>
-                            <Typography variant="caption" color="text.secondary">大小</Typography>
+                            <Typography variant="caption" color="text.secondary">{t('textToolkit.size')}</Typography>
                             <Typography variant="body2" fontWeight={700} color="primary">{stats.bytesUtf8}B</Typography>
                         </Box>
                     </Stack>
                 </Stack>
             }
-            description="包含文本统计、大小写转换、替换、去重、清理等常用操作"
+            description={t('textToolkit.description')}
             actions={actions}
+            historyValue={input}
+            onHistorySelect={setInput}
         >
             <Grid container spacing={3}>
                 {/* 输入区域 */}
@@ -279,7 +286,7 @@ function TextToolkit() {
                             }}
                         >
                             <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                文本内容
+                                {t('textToolkit.content')}
                             </Typography>
                         </Box>
                         {/* 扩展统计信息展示 - 移除了顶部的简略统计，改为右侧详细展示 */}
@@ -288,7 +295,7 @@ function TextToolkit() {
                             multiline
                             value={input}
                             onChange={(e) => setInput(e.target.value)}
-                            placeholder="请输入或粘贴文本..."
+                            placeholder={t('textToolkit.placeholder')}
                             variant="standard"
                             InputProps={{
                                 disableUnderline: true,
@@ -320,20 +327,20 @@ function TextToolkit() {
                             }}
                         >
                             <Typography variant="subtitle2" fontWeight={600} sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
-                                <FindReplaceIcon fontSize="small" /> 文本替换
+                                <FindReplaceIcon fontSize="small" /> {t('textToolkit.replaceTitle')}
                             </Typography>
                             <Stack spacing={2}>
                                 <Stack direction="row" spacing={1}>
                                     <TextField
                                         size="small"
-                                        label="查找"
+                                        label={t('textToolkit.find')}
                                         value={findText}
                                         onChange={(e) => setFindText(e.target.value)}
                                         fullWidth
                                     />
                                     <TextField
                                         size="small"
-                                        label="替换为"
+                                        label={t('textToolkit.replaceWith')}
                                         value={replaceText}
                                         onChange={(e) => setReplaceText(e.target.value)}
                                         fullWidth
@@ -346,21 +353,21 @@ function TextToolkit() {
                                     fullWidth
                                     sx={{ borderRadius: 1.5 }}
                                 >
-                                    全部替换
+                                    {t('textToolkit.replaceAll')}
                                 </Button>
 
                                 <Divider />
 
                                 <Typography variant="caption" color="text.secondary" fontWeight={500}>
-                                    常用预设
+                                    {t('textToolkit.presets')}
                                 </Typography>
                                 <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-                                    <Chip label='引号转义 ( " -> \" )' size="small" onClick={() => applyPreset('escape-quotes')} sx={{ borderRadius: 1 }} />
-                                    <Chip label='引号恢复 ( \" -> " )' size="small" onClick={() => applyPreset('unescape-quotes')} sx={{ borderRadius: 1 }} />
-                                    <Chip label="空格 -> 逗号" size="small" onClick={() => applyPreset('space-to-comma')} sx={{ borderRadius: 1 }} />
-                                    <Chip label="换行 -> 逗号" size="small" onClick={() => applyPreset('newline-to-comma')} sx={{ borderRadius: 1 }} />
-                                    <Chip label="逗号 -> 换行" size="small" onClick={() => applyPreset('comma-to-newline')} sx={{ borderRadius: 1 }} />
-                                    <Chip label="删除所有空格" size="small" onClick={() => applyPreset('remove-spaces')} sx={{ borderRadius: 1 }} />
+                                    <Chip label={t('textToolkit.escapeQuotes')} size="small" onClick={() => applyPreset('escape-quotes')} sx={{ borderRadius: 1 }} />
+                                    <Chip label={t('textToolkit.unescapeQuotes')} size="small" onClick={() => applyPreset('unescape-quotes')} sx={{ borderRadius: 1 }} />
+                                    <Chip label={t('textToolkit.spaceToComma')} size="small" onClick={() => applyPreset('space-to-comma')} sx={{ borderRadius: 1 }} />
+                                    <Chip label={t('textToolkit.newlineToComma')} size="small" onClick={() => applyPreset('newline-to-comma')} sx={{ borderRadius: 1 }} />
+                                    <Chip label={t('textToolkit.commaToNewline')} size="small" onClick={() => applyPreset('comma-to-newline')} sx={{ borderRadius: 1 }} />
+                                    <Chip label={t('textToolkit.removeSpaces')} size="small" onClick={() => applyPreset('remove-spaces')} sx={{ borderRadius: 1 }} />
                                 </Box>
                             </Stack>
                         </Paper>
@@ -376,37 +383,37 @@ function TextToolkit() {
                             }}
                         >
                             <Typography variant="subtitle2" fontWeight={600} sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
-                                <CodeIcon fontSize="small" /> 编码转换
+                                <CodeIcon fontSize="small" /> {t('textToolkit.encodingTitle')}
                             </Typography>
                             <Grid container spacing={1}>
                                 <Grid item xs={6}>
                                     <Button variant="outlined" size="small" fullWidth onClick={toBase64}>
-                                        转 Base64
+                                        {t('textToolkit.toBase64')}
                                     </Button>
                                 </Grid>
                                 <Grid item xs={6}>
                                     <Button variant="outlined" size="small" fullWidth onClick={decodeBase64}>
-                                        解 Base64
+                                        {t('textToolkit.fromBase64')}
                                     </Button>
                                 </Grid>
                                 <Grid item xs={6}>
                                     <Button variant="outlined" size="small" fullWidth onClick={toUnicode}>
-                                        转 Unicode
+                                        {t('textToolkit.toUnicode')}
                                     </Button>
                                 </Grid>
                                 <Grid item xs={6}>
                                     <Button variant="outlined" size="small" fullWidth onClick={decodeUnicode}>
-                                        解 Unicode
+                                        {t('textToolkit.fromUnicode')}
                                     </Button>
                                 </Grid>
                                 <Grid item xs={6}>
                                     <Button variant="outlined" size="small" fullWidth onClick={toUrlEncode}>
-                                        URL 编码
+                                        {t('textToolkit.urlEncode')}
                                     </Button>
                                 </Grid>
                                 <Grid item xs={6}>
                                     <Button variant="outlined" size="small" fullWidth onClick={decodeUrl}>
-                                        URL 解码
+                                        {t('textToolkit.urlDecode')}
                                     </Button>
                                 </Grid>
                             </Grid>
@@ -423,14 +430,14 @@ function TextToolkit() {
                             }}
                         >
                             <Typography variant="subtitle2" fontWeight={600} sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
-                                <CodeIcon fontSize="small" /> URL 参数处理
+                                <CodeIcon fontSize="small" /> {t('textToolkit.urlTitle')}
                             </Typography>
                             <Stack spacing={1}>
                                 <Button variant="outlined" size="small" fullWidth onClick={prettifyUrlQuery}>
-                                    参数解析 (Prettify)
+                                    {t('textToolkit.prettifyQuery')}
                                 </Button>
                                 <Button variant="outlined" size="small" fullWidth onClick={unprettifyUrlQuery}>
-                                    参数合并 (Join)
+                                    {t('textToolkit.joinQuery')}
                                 </Button>
                             </Stack>
                         </Paper>
@@ -446,17 +453,17 @@ function TextToolkit() {
                             }}
                         >
                             <Typography variant="subtitle2" fontWeight={600} sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
-                                <FormatSizeIcon fontSize="small" /> 大小写转换
+                                <FormatSizeIcon fontSize="small" /> {t('textToolkit.caseTitle')}
                             </Typography>
                             <Stack spacing={1}>
                                 <Button variant="outlined" size="small" fullWidth onClick={toUpperCase}>
-                                    全部大写 (UPPERCASE)
+                                    {t('textToolkit.upperCase')}
                                 </Button>
                                 <Button variant="outlined" size="small" fullWidth onClick={toLowerCase}>
-                                    全部小写 (lowercase)
+                                    {t('textToolkit.lowerCase')}
                                 </Button>
                                 <Button variant="outlined" size="small" fullWidth onClick={toTitleCase}>
-                                    首字母大写 (Title Case)
+                                    {t('textToolkit.titleCase')}
                                 </Button>
                             </Stack>
                         </Paper>
@@ -472,17 +479,17 @@ function TextToolkit() {
                             }}
                         >
                             <Typography variant="subtitle2" fontWeight={600} sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
-                                <CleaningServicesIcon fontSize="small" /> 文本清理
+                                <CleaningServicesIcon fontSize="small" /> {t('textToolkit.cleanupTitle')}
                             </Typography>
                             <Stack spacing={1}>
                                 <Button variant="outlined" size="small" fullWidth onClick={removeDuplicates}>
-                                    去除重复行
+                                    {t('textToolkit.removeDuplicates')}
                                 </Button>
                                 <Button variant="outlined" size="small" fullWidth onClick={removeEmptyLines}>
-                                    去除空行
+                                    {t('textToolkit.removeEmptyLines')}
                                 </Button>
                                 <Button variant="outlined" size="small" fullWidth onClick={trimLines}>
-                                    去除首尾空格
+                                    {t('textToolkit.trimLines')}
                                 </Button>
                             </Stack>
                         </Paper>
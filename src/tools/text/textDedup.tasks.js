@@ -0,0 +1,95 @@
+/**
+ * 文本去重排序工具的后台任务（在 workers/task.worker.js 中执行）
+ */
+
+/**
+ * 自然排序比较函数（支持数字和字母混合）
+ */
+const naturalCompare = (a, b) => {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * 按行去重、排序
+ * @param {Object} payload
+ * @param {string} payload.input - 输入文本
+ * @param {string} payload.separator - 分隔符，为空时按换行分割
+ * @param {boolean} payload.removeDuplicates - 去重
+ * @param {string} payload.sortMode - 排序模式（见 TextDedup.jsx 的 SORT_MODES）
+ * @param {boolean} payload.ignoreCase - 忽略大小写
+ * @param {boolean} payload.removeEmptyLines - 去除空行
+ * @param {boolean} payload.trimLines - 去除首尾空格
+ * @returns {{ output: string, stats: { inputLines: number, outputLines: number, duplicatesRemoved: number } }}
+ */
+export const dedupe = (payload, { progress }) => {
+    const { input, separator, removeDuplicates, sortMode, ignoreCase, removeEmptyLines, trimLines } = payload;
+
+    // 使用换行符或自定义分隔符分割
+    let lines = input.split(separator || '\n');
+    const inputLines = lines.length;
+
+    // 去除首尾空格
+    if (trimLines) {
+        lines = lines.map(line => line.trim());
+    }
+
+    // 去除空行
+    if (removeEmptyLines) {
+        lines = lines.filter(line => line.length > 0);
+    }
+
+    // 去重
+    let duplicatesRemoved = 0;
+    if (removeDuplicates) {
+        progress({ stage: 'dedupe' });
+        const seen = new Set();
+        const uniqueLines = [];
+
+        for (const line of lines) {
+            const key = ignoreCase ? line.toLowerCase() : line;
+            if (!seen.has(key)) {
+                seen.add(key);
+                uniqueLines.push(line);
+            } else {
+                duplicatesRemoved++;
+            }
+        }
+        lines = uniqueLines;
+    }
+
+    // 排序
+    if (sortMode !== 'none') {
+        progress({ stage: 'sort' });
+        const sortFn = (a, b) => {
+            let compareA = ignoreCase ? a.toLowerCase() : a;
+            let compareB = ignoreCase ? b.toLowerCase() : b;
+
+            switch (sortMode) {
+                case 'asc':
+                    return compareA.localeCompare(compareB);
+                case 'desc':
+                    return compareB.localeCompare(compareA);
+                case 'asc-num':
+                    return naturalCompare(compareA, compareB);
+                case 'desc-num':
+                    return naturalCompare(compareB, compareA);
+                case 'length-asc':
+                    return a.length - b.length || compareA.localeCompare(compareB);
+                case 'length-desc':
+                    return b.length - a.length || compareA.localeCompare(compareB);
+                default:
+                    return 0;
+            }
+        };
+        lines.sort(sortFn);
+    }
+
+    return {
+        output: lines.join('\n'),
+        stats: {
+            inputLines,
+            outputLines: lines.length,
+            duplicatesRemoved,
+        },
+    };
+};
@@ -24,34 +24,58 @@ import utc from 'dayjs/plugin/utc';
 import timezone from 'dayjs/plugin/timezone';
 
 import ToolCard from '../../components/ToolCard';
+import { useToolState } from '../../hooks/useToolState';
 import DateTimePickerInput from '../../components/DateTimePickerInput';
+import { useI18n } from '../../hooks/useI18n';
 
 // 扩展 dayjs 插件
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
 /**
- * 常用时区列表
+ * 常用时区列表，名称见语言包 timestamp.timezones
  */
 const timezones = [
-    { value: 'Asia/Shanghai', label: '中国标准时间 (CST, UTC+8)' },
-    { value: 'Asia/Tokyo', label: '日本标准时间 (JST, UTC+9)' },
-    { value: 'Asia/Singapore', label: '新加坡时间 (SGT, UTC+8)' },
-    { value: 'America/New_York', label: '美国东部时间 (EST, UTC-5)' },
-    { value: 'America/Los_Angeles', label: '美国太平洋时间 (PST, UTC-8)' },
-    { value: 'Europe/London', label: '英国时间 (GMT, UTC+0)' },
-    { value: 'Europe/Paris', label: '欧洲中部时间 (CET, UTC+1)' },
-    { value: 'UTC', label: 'UTC 协调世界时' },
+    { value: 'Asia/Shanghai', abbr: 'CST, UTC+8' },
+    { value: 'Asia/Tokyo', abbr: 'JST, UTC+9' },
+    { value: 'Asia/Singapore', abbr: 'SGT, UTC+8' },
+    { value: 'America/New_York', abbr: 'EST, UTC-5' },
+    { value: 'America/Los_Angeles', abbr: 'PST, UTC-8' },
+    { value: 'Europe/London', abbr: 'GMT, UTC+0' },
+    { value: 'Europe/Paris', abbr: 'CET, UTC+1' },
+    { value: 'UTC' },
 ];
 
 /**
- * 时间戳精度定义
+ * 时间戳精度定义，名称见语言包 timestamp.precisions
  */
 const PRECISION_CONFIG = {
-    seconds: { digits: 10, label: '秒 (s)', unit: '秒', color: 'primary' },
-    milliseconds: { digits: 13, label: '毫秒 (ms)', unit: '毫秒', color: 'success' },
-    microseconds: { digits: 16, label: '微秒 (μs)', unit: '微秒', color: 'warning' },
-    nanoseconds: { digits: 19, label: '纳秒 (ns)', unit: '纳秒', color: 'error' },
+    seconds: { digits: 10, symbol: 's', color: 'primary' },
+    milliseconds: { digits: 13, symbol: 'ms', color: 'success' },
+    microseconds: { digits: 16, symbol: 'μs', color: 'warning' },
+    nanoseconds: { digits: 19, symbol: 'ns', color: 'error' },
+};
+
+/**
+ * 相对时间的单位，按从小到大排列，limit 为换用下一个单位前的上限
+ */
+const RELATIVE_UNITS = [
+    { unit: 'second', limit: 60 },
+    { unit: 'minute', limit: 60 },
+    { unit: 'hour', limit: 24 },
+    { unit: 'day', limit: Infinity },
+];
+
+/**
+ * 获取相对时间描述，如 "3 分钟前"、"in 2 days"
+ * @param {dayjs.Dayjs} date - 时间
+ * @param {string} locale - 语言 ID
+ */
+const getRelativeTime = (date, locale) => {
+    const now = dayjs();
+    const format = new Intl.RelativeTimeFormat(locale, { numeric: 'always' });
+    const { unit } = RELATIVE_UNITS.find(({ unit, limit }) => Math.abs(now.diff(date, unit)) < limit);
+    return format.format(-now.diff(date, unit), unit);
 };
 
 /**
@@ -91,11 +115,12 @@ const toMilliseconds = (ts, precision) => {
  */
 function TimestampConverter() {
     const theme = useTheme();
+    const { locale, t } = useI18n();
 
     // 状态管理
-    const [timestamp, setTimestamp] = useState('');
+    const [timestamp, setTimestamp] = useToolState('timestamp', '');
     const [datetimeValue, setDatetimeValue] = useState(null); // dayjs 对象
-    const [selectedTimezone, setSelectedTimezone] = useState('Asia/Shanghai');
+    const [selectedTimezone, setSelectedTimezone] = useToolState('selectedTimezone', 'Asia/Shanghai');
     const [currentTime, setCurrentTime] = useState(dayjs());
     const [detectedPrecision, setDetectedPrecision] = useState(null);
     const [formats, setFormats] = useState({});
@@ -112,20 +137,9 @@ function TimestampConverter() {
     }, []);
 
     /**
-     * 获取相对时间描述
+     * 时区名称
      */
-    const getRelativeTime = (date) => {
-        const now = dayjs();
-        const diffSeconds = now.diff(date, 'second');
-        const diffMinutes = now.diff(date, 'minute');
-        const diffHours = now.diff(date, 'hour');
-        const diffDays = now.diff(date, 'day');
-
-        if (Math.abs(diffSeconds) < 60) return `${Math.abs(diffSeconds)} 秒${diffSeconds > 0 ? '前' : '后'}`;
-        if (Math.abs(diffMinutes) < 60) return `${Math.abs(diffMinutes)} 分钟${diffMinutes > 0 ? '前' : '后'}`;
-        if (Math.abs(diffHours) < 24) return `${Math.abs(diffHours)} 小时${diffHours > 0 ? '前' : '后'}`;
-        return `${Math.abs(diffDays)} 天${diffDays > 0 ? '前' : '后'}`;
-    };
+    const getTimezoneName = (value) => t(`timestamp.timezones.${value}`);
 
     /**
      * 更新多种格式输出
@@ -150,7 +164,7 @@ function TimestampConverter() {
             local: dateInTz.format('YYYY-MM-DD HH:mm:ss'),
             iso8601: dateInTz.toISOString(),
             rfc2822: dateInTz.format('ddd, DD MMM YYYY HH:mm:ss ZZ'),
-            relative: getRelativeTime(date),
+            date,
         });
 
         // 所有精度的时间戳
@@ -158,31 +172,33 @@ function TimestampConverter() {
         setAllFormats({
             seconds: {
                 value: unixSeconds,
-                label: '秒级时间戳',
-                digits: '10 位',
                 description: 'Unix Timestamp (seconds)',
             },
             milliseconds: {
                 value: date.valueOf(),
-                label: '毫秒级时间戳',
-                digits: '13 位',
                 description: 'Unix Timestamp (milliseconds)',
             },
             microseconds: {
                 value: date.valueOf() * 1000,
-                label: '微秒级时间戳',
-                digits: '16 位',
                 description: 'Unix Timestamp (microseconds)',
             },
             nanoseconds: {
                 value: BigInt(date.valueOf()) * BigInt(1000000),
-                label: '纳秒级时间戳',
-                digits: '19 位',
                 description: 'Unix Timestamp (nanoseconds)',
             },
         });
     }, [selectedTimezone]);
 
+    /**
+     * 从本地恢复时间戳后，重新计算转换结果
+     */
+    useEffect(() => {
+        if (timestamp && !isNaN(timestamp)) {
+            setDatetimeValue(dayjs(toMilliseconds(timestamp, detectPrecision(timestamp))));
+            updateFormats(timestamp);
+        }
+    }, []);
+
     /**
      * 时间戳转日期时间
      */
@@ -244,11 +260,22 @@ function TimestampConverter() {
         }
     };
 
+    // 嵌入页面发送给宿主页面的转换结果
+    const output = formats.local ? {
+        timestamp,
+        local: formats.local,
+        iso8601: formats.iso8601,
+        rfc2822: formats.rfc2822,
+        seconds: allFormats.seconds.value,
+        milliseconds: allFormats.milliseconds.value,
+    } : '';
+
     return (
         <ToolCard
-            title="时间戳转换"
-            description="支持秒(10位)/毫秒(13位)/微秒(16位)/纳秒(19位)多种精度，自动识别并转换"
+            title={t('timestamp.title')}
+            description={t('timestamp.description')}
             showToolbar={false}
+            output={output}
         >
             <Grid container spacing={3}>
                 {/* 当前时间卡片 */}
@@ -263,20 +290,20 @@ function TimestampConverter() {
                         }}
                     >
                         <Typography variant="body2" sx={{ opacity: 0.8, mb: 1 }}>
-                            当前时间 ({timezones.find(tz => tz.value === selectedTimezone)?.label.split(' ')[0]})
+                            {t('timestamp.currentTime', { zone: getTimezoneName(selectedTimezone) })}
                         </Typography>
                         <Typography variant="h4" fontWeight={600} sx={{ fontFamily: 'Fira Code, monospace' }}>
                             {currentTime.tz(selectedTimezone).format('YYYY-MM-DD HH:mm:ss')}
                         </Typography>
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 3, mt: 2, flexWrap: 'wrap' }}>
                             <Box>
-                                <Typography variant="caption" sx={{ opacity: 0.7 }}>秒 (10位)</Typography>
+                                <Typography variant="caption" sx={{ opacity: 0.7 }}>{t('timestamp.secondsShort')}</Typography>
                                 <Typography variant="body2" sx={{ fontFamily: 'Fira Code, monospace' }}>
                                     {currentTime.unix()}
                                 </Typography>
                             </Box>
                             <Box>
-                                <Typography variant="caption" sx={{ opacity: 0.7 }}>毫秒 (13位)</Typography>
+                                <Typography variant="caption" sx={{ opacity: 0.7 }}>{t('timestamp.millisecondsShort')}</Typography>
                                 <Typography variant="body2" sx={{ fontFamily: 'Fira Code, monospace' }}>
                                     {currentTime.valueOf()}
                                 </Typography>
@@ -299,11 +326,13 @@ function TimestampConverter() {
                     >
                         <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
                             <Typography variant="h6" fontWeight={600}>
-                                时间戳输入
+                                {t('timestamp.timestampInput')}
                             </Typography>
                             {detectedPrecision && (
                                 <Chip
-                                    label={`已识别: ${PRECISION_CONFIG[detectedPrecision].label}`}
+                                    label={t('timestamp.detected', {
+                                        precision: `${t(`timestamp.precisions.${detectedPrecision}.unit`)} (${PRECISION_CONFIG[detectedPrecision].symbol})`,
+                                    })}
                                     color={PRECISION_CONFIG[detectedPrecision].color}
                                     size="small"
                                 />
@@ -311,13 +340,13 @@ function TimestampConverter() {
                         </Box>
                         <TextField
                             fullWidth
-                            label="Unix 时间戳"
-                            placeholder="支持 10/13/16/19 位时间戳"
+                            label={t('timestamp.unixTimestamp')}
+                            placeholder={t('timestamp.placeholder')}
                             value={timestamp}
                             onChange={handleTimestampChange}
                             variant="outlined"
                             sx={{ mb: 2 }}
-                            helperText="自动识别精度：10位=秒，13位=毫秒，16位=微秒，19位=纳秒"
+                            helperText={t('timestamp.precisionHint')}
                         />
                         <Button
                             variant="outlined"
@@ -325,7 +354,7 @@ function TimestampConverter() {
                             onClick={handleGetNow}
                             fullWidth
                         >
-                            获取当前时间戳
+                            {t('timestamp.now')}
                         </Button>
                     </Paper>
                 </Grid>
@@ -361,20 +390,20 @@ function TimestampConverter() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                            日期时间输入
+                            {t('timestamp.datetimeInput')}
                         </Typography>
                         <Box sx={{ mb: 2 }}>
                             <DateTimePickerInput
                                 value={datetimeValue}
                                 onChange={handleDatetimeChange}
-                                label="日期时间"
+                                label={t('dateTimePicker.label')}
                             />
                         </Box>
                         <FormControl fullWidth>
-                            <InputLabel>时区</InputLabel>
+                            <InputLabel>{t('timestamp.timezone')}</InputLabel>
                             <Select
                                 value={selectedTimezone}
-                                label="时区"
+                                label={t('timestamp.timezone')}
                                 onChange={(e) => {
                                     setSelectedTimezone(e.target.value);
                                     if (timestamp) updateFormats(timestamp);
@@ -382,7 +411,7 @@ function TimestampConverter() {
                             >
                                 {timezones.map((tz) => (
                                     <MenuItem key={tz.value} value={tz.value}>
-                                        {tz.label}
+                                        {tz.abbr ? `${getTimezoneName(tz.value)} (${tz.abbr})` : getTimezoneName(tz.value)}
                                     </MenuItem>
                                 ))}
                             </Select>
@@ -403,10 +432,10 @@ function TimestampConverter() {
                             }}
                         >
                             <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                                🕐 多精度时间戳
+                                🕐 {t('timestamp.allPrecisions')}
                             </Typography>
                             <Alert severity="info" sx={{ mb: 2 }}>
-                                以下是同一时间点在不同精度下的时间戳表示，可直接复制使用
+                                {t('timestamp.allPrecisionsHint')}
                             </Alert>
                             <Grid container spacing={2}>
                                 {Object.entries(allFormats).map(([key, item]) => (
@@ -427,10 +456,10 @@ function TimestampConverter() {
                                             <Box sx={{ flex: 1 }}>
                                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
                                                     <Typography variant="body2" fontWeight={600}>
-                                                        {item.label}
+                                                        {t(`timestamp.precisions.${key}.label`)}
                                                     </Typography>
                                                     <Chip
-                                                        label={item.digits}
+                                                        label={t('timestamp.digits', { count: PRECISION_CONFIG[key].digits })}
                                                         size="small"
                                                         color={PRECISION_CONFIG[key].color}
                                                         sx={{ height: 20, fontSize: '0.7rem' }}
@@ -450,7 +479,7 @@ function TimestampConverter() {
                                                     {item.description}
                                                 </Typography>
                                             </Box>
-                                            <Tooltip title="复制">
+                                            <Tooltip title={t('common.copy')}>
                                                 <IconButton
                                                     size="small"
                                                     onClick={() => copyToClipboard(item.value)}
@@ -479,14 +508,14 @@ function TimestampConverter() {
                             }}
                         >
                             <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
-                                📅 日期时间格式
+                                📅 {t('timestamp.formats')}
                             </Typography>
                             <Grid container spacing={2}>
                                 {[
-                                    { label: '本地时间', value: formats.local, desc: 'YYYY-MM-DD HH:mm:ss' },
-                                    { label: 'ISO 8601', value: formats.iso8601, desc: '国际标准格式' },
-                                    { label: 'RFC 2822', value: formats.rfc2822, desc: '邮件/HTTP 标准' },
-                                    { label: '相对时间', value: formats.relative, desc: '距离当前时间' },
+                                    { label: t('timestamp.localTime'), value: formats.local, desc: 'YYYY-MM-DD HH:mm:ss' },
+                                    { label: 'ISO 8601', value: formats.iso8601, desc: t('timestamp.iso8601Desc') },
+                                    { label: 'RFC 2822', value: formats.rfc2822, desc: t('timestamp.rfc2822Desc') },
+                                    { label: t('timestamp.relativeTime'), value: getRelativeTime(formats.date, locale), desc: t('timestamp.relativeTimeDesc') },
                                 ].map((item) => (
                                     <Grid item xs={12} sm={6} key={item.label}>
                                         <Box
@@ -513,7 +542,7 @@ function TimestampConverter() {
                                                     {item.value}
                                                 </Typography>
                                             </Box>
-                                            <Tooltip title="复制">
+                                            <Tooltip title={t('common.copy')}>
                                                 <IconButton
                                                     size="small"
                                                     onClick={() => copyToClipboard(item.value)}
@@ -16,6 +16,8 @@ import RefreshIcon from '@mui/icons-material/Refresh';
 import { v4 as uuidv4 } from 'uuid';
 
 import ToolCard from '../../components/ToolCard';
+import { useI18n } from '../../hooks/useI18n';
+import { useToolState } from '../../hooks/useToolState';
 
 /**
  * UUID 生成器
@@ -27,12 +29,13 @@ import ToolCard from '../../components/ToolCard';
  */
 function UuidGenerator() {
     const theme = useTheme();
+    const { t } = useI18n();
 
     // 状态管理
-    const [count, setCount] = useState(1);
+    const [count, setCount] = useToolState('count', 1);
     const [uuids, setUuids] = useState([]);
-    const [uppercase, setUppercase] = useState(false);
-    const [withHyphens, setWithHyphens] = useState(true);
+    const [uppercase, setUppercase] = useToolState('uppercase', false);
+    const [withHyphens, setWithHyphens] = useToolState('withHyphens', true);
 
     /**
      * 生成 UUID
@@ -87,13 +90,13 @@ function UuidGenerator() {
     // 工具栏按钮配置
     const actions = [
         {
-            label: uppercase ? '大写 ✓' : '大写',
+            label: uppercase ? `${t('uuid.uppercase')} ✓` : t('uuid.uppercase'),
             onClick: () => setUppercase(!uppercase),
             variant: uppercase ? 'contained' : 'outlined',
             color: uppercase ? 'primary' : 'inherit',
         },
         {
-            label: withHyphens ? '带连字符 ✓' : '无连字符',
+            label: withHyphens ? `${t('uuid.withHyphens')} ✓` : t('uuid.withoutHyphens'),
             onClick: () => setWithHyphens(!withHyphens),
             variant: withHyphens ? 'contained' : 'outlined',
             color: withHyphens ? 'primary' : 'inherit',
@@ -102,8 +105,8 @@ function UuidGenerator() {
 
     return (
         <ToolCard
-            title="UUID 生成器"
-            description="生成符合 RFC 4122 规范的 UUID v4 唯一标识符"
+            title={t('uuid.title')}
+            description={t('uuid.description')}
             actions={actions}
             copyContent={uuids.join('\n')}
             onClear={handleClear}
@@ -121,14 +124,14 @@ function UuidGenerator() {
                         }}
                     >
                         <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                            生成配置
+                            {t('uuid.settings')}
                         </Typography>
 
                         <Grid container spacing={3} alignItems="center">
                             {/* 数量滑块 */}
                             <Grid item xs={12} sm={8}>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                    生成数量: {count}
+                                    {t('uuid.countLabel', { count })}
                                 </Typography>
                                 <Slider
                                     value={count}
@@ -149,7 +152,7 @@ function UuidGenerator() {
                             <Grid item xs={12} sm={4}>
                                 <TextField
                                     type="number"
-                                    label="数量"
+                                    label={t('uuid.count')}
                                     value={count}
                                     onChange={(e) => {
                                         const val = parseInt(e.target.value) || 1;
@@ -172,7 +175,7 @@ function UuidGenerator() {
                             fullWidth
                             sx={{ mt: 3 }}
                         >
-                            生成 {count} 个 UUID
+                            {t('uuid.generate', { count })}
                         </Button>
                     </Paper>
                 </Grid>
@@ -203,14 +206,14 @@ function UuidGenerator() {
                                 }}
                             >
                                 <Typography variant="body2" fontWeight={500} color="text.secondary">
-                                    生成结果 ({uuids.length} 个)
+                                    {t('uuid.results', { count: uuids.length })}
                                 </Typography>
                                 <Button
                                     size="small"
                                     startIcon={<ContentCopyIcon fontSize="small" />}
                                     onClick={copyAll}
                                 >
-                                    复制全部
+                                    {t('uuid.copyAll')}
                                 </Button>
                             </Box>
 
@@ -256,7 +259,7 @@ function UuidGenerator() {
                                                 {uuid}
                                             </Typography>
                                         </Box>
-                                        <Tooltip title="复制">
+                                        <Tooltip title={t('common.copy')}>
                                             <IconButton
                                                 size="small"
                                                 onClick={() => copySingle(uuid)}
@@ -274,14 +277,12 @@ function UuidGenerator() {
                 {/* 说明 */}
                 <Grid item xs={12}>
                     <Typography variant="body2" color="text.secondary">
-                        💡 <strong>UUID v4</strong> 是一种基于随机数生成的通用唯一标识符，
-                        格式为 <code style={{
+                        💡 <strong>UUID v4</strong> {t('uuid.aboutBefore')}<code style={{
                             backgroundColor: theme.palette.mode === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.05)',
                             padding: '2px 6px',
                             borderRadius: '4px',
                             fontFamily: 'Fira Code, monospace',
-                        }}>xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx</code>。
-                        理论上碰撞概率极低，可安全用于分布式系统中的唯一标识。
+                        }}>xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx</code>{t('uuid.aboutAfter')}
                     </Typography>
                 </Grid>
             </Grid>
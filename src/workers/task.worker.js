@@ -0,0 +1,62 @@
+/**
+ * 通用任务 Worker
+ * 在后台线程中执行耗时的转换，避免阻塞页面。任务按模块注册：
+ * - src/workers/tasks/<模块>.js：多个工具共用的任务（文本对比、代码格式化）
+ * - src/tools/<分类>/<模块>.tasks.js：单个工具的任务，与工具放在一起
+ * 模块导出的每个函数都是一个任务，名称为 <模块>/<导出名>（如 sqlFormat/format），
+ * 签名为 (payload, context) => result，可以返回 Promise；context 提供：
+ * - progress({ stage, value }): 报告进度，stage 为阶段名，value 为 0~1 的完成比例（可选）
+ * - transfer(...objects): 结果中需要转移（而不是复制）给页面的 ArrayBuffer 等对象
+ * 模块在第一次使用时才加载。
+ *
+ * 请求：{ id, task, payload }，payload 中的 ArrayBuffer 可以由页面转移过来
+ * 响应：{ id, type: 'progress', progress } | { id, type: 'result', result, duration }
+ *      | { id, type: 'error', error: { message, ...异常上的其他属性（code、diagnostic 等） } }
+ */
+const modules = import.meta.glob(['./tasks/*.js', '../tools/**/*.tasks.js']);
+
+// 模块名 → 加载函数
+const loaders = Object.fromEntries(
+    Object.entries(modules).map(([path, load]) => [
+        path.split('/').pop().replace(/(\.tasks)?\.js$/, ''),
+        load,
+    ])
+);
+
+const loadTask = async (name) => {
+    const [moduleName, exportName] = name.split('/');
+    const load = loaders[moduleName];
+    const task = load ? (await load())[exportName] : undefined;
+    if (typeof task !== 'function') {
+        throw Object.assign(new Error(`Unknown task: ${name}`), { code: 'unknownTask' });
+    }
+    return task;
+};
+
+self.onmessage = async (e) => {
+    const { id, task: name, payload } = e.data;
+    const start = performance.now();
+    let transferList = [];
+    const context = {
+        progress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+        transfer: (...objects) => {
+            transferList = objects;
+        },
+    };
+
+    try {
+        const task = await loadTask(name);
+        const result = await task(payload, context);
+        self.postMessage(
+            { id, type: 'result', result, duration: Math.round(performance.now() - start) },
+            transferList
+        );
+    } catch (error) {
+        // 带上异常的附加属性（code、syntaxType、diagnostic 等），无法克隆时只保留信息和错误码
+        try {
+            self.postMessage({ id, type: 'error', error: { ...error, message: error.message } });
+        } catch {
+            self.postMessage({ id, type: 'error', error: { message: error.message, code: error.code } });
+        }
+    }
+};
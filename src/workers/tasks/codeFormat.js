@@ -0,0 +1,18 @@
+import { formatCode, minifyCode } from '../../core/codeFormat';
+
+/**
+ * 代码格式化任务（JSON 格式化、多格式化工具处理大文件时使用）
+ * 进度的 stage 为 parse（解析）或 format（生成结果）
+ */
+
+/**
+ * 格式化
+ * @param {{ type: string, text: string }} payload - type 见 core/codeFormat.js 的 formatCode
+ */
+export const format = ({ type, text }, { progress }) => formatCode(type, text, stage => progress({ stage }));
+
+/**
+ * 压缩
+ * @param {{ type: string, text: string }} payload - type 见 core/codeFormat.js 的 minifyCode
+ */
+export const minify = ({ type, text }, { progress }) => minifyCode(type, text, stage => progress({ stage }));
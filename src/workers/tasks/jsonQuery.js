@@ -0,0 +1,22 @@
+import { runJsonQuery, getJsonRanges } from '../../core/jsonQuery';
+
+/**
+ * JSON 查询任务（JSON 查询面板处理大文件时使用）
+ */
+
+/**
+ * 解析输入并执行查询
+ * @param {{ language: string, query: string, text: string }} payload - language 见 core/jsonQuery.js 的 QUERY_LANGUAGES
+ * @returns {{ output: string, ranges: Array<{ from: number, to: number }> } | { invalid: true }}
+ *   输入不是合法的 JSON 时返回 { invalid: true }；表达式错误时抛出带 code、params 的异常
+ */
+export const query = ({ language, query: expression, text }) => {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch {
+        return { invalid: true };
+    }
+    const { output, paths } = runJsonQuery(language, expression, value);
+    return { output, ranges: getJsonRanges(text, paths) };
+};
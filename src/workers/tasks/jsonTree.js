@@ -0,0 +1,48 @@
+import { getJsonRows, getContainerIds } from '../../core/jsonTree';
+
+/**
+ * JSON 树任务（JSON 树形视图处理大文件时使用）
+ */
+
+/**
+ * 最近一次解析的文本和结果：展开、折叠时文本不变，不必重新解析
+ */
+let lastParsed = { text: null, data: undefined };
+
+/**
+ * 解析文本，不是合法的 JSON 时返回 undefined
+ */
+const parse = (text) => {
+    if (text !== lastParsed.text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = undefined;
+        }
+        lastParsed = { text, data };
+    }
+    return lastParsed.data;
+};
+
+/**
+ * 展开为树视图中可见的行
+ * @param {{ text: string, collapsed: string[] }} payload - collapsed 为已折叠节点的标识
+ * @returns {{ rows: Array<Object> } | { invalid: true }} rows 见 core/jsonTree.js 的 getJsonRows；
+ *   输入不是合法的 JSON 时返回 { invalid: true }
+ */
+export const rows = ({ text, collapsed }) => {
+    const data = parse(text);
+    if (data === undefined) return { invalid: true };
+    return { rows: getJsonRows(data, new Set(collapsed)) };
+};
+
+/**
+ * 所有对象和数组的标识（不含根节点），用于全部折叠
+ * @param {{ text: string }} payload
+ * @returns {string[]} 输入不是合法的 JSON 时为空数组
+ */
+export const containerIds = ({ text }) => {
+    const data = parse(text);
+    return data === undefined ? [] : [...getContainerIds(data)];
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { rows, containerIds } from './jsonTree';
+
+describe('jsonTree 任务', () => {
+    const text = JSON.stringify({ a: { b: [1, 2] }, c: true });
+
+    it('按折叠状态展开为行', () => {
+        expect(rows({ text, collapsed: [] }).rows).toHaveLength(6);
+        const collapsed = rows({ text, collapsed: ['["a"]'] }).rows;
+        expect(collapsed.map(row => row.key)).toEqual([undefined, 'a', 'c']);
+        expect(collapsed[1].expanded).toBe(false);
+    });
+
+    it('全部折叠使用所有容器的标识', () => {
+        expect(containerIds({ text })).toEqual(['["a"]', '["a","b"]']);
+    });
+
+    it('不是合法的 JSON 时返回 invalid', () => {
+        expect(rows({ text: '{', collapsed: [] })).toEqual({ invalid: true });
+        expect(containerIds({ text: '{' })).toEqual([]);
+    });
+});
@@ -0,0 +1,24 @@
+import { defineConfig } from 'vite'
+
+/**
+ * 命令行构建配置
+ * 将 src/cli 及其用到的核心库打包为单个 Node 脚本 dist-cli/tools.js（package.json 的 bin），
+ * 第三方依赖一并打包，运行时不需要 node_modules
+ */
+export default defineConfig({
+    publicDir: false,
+    ssr: {
+        noExternal: true
+    },
+    build: {
+        ssr: 'src/cli/index.js',
+        outDir: 'dist-cli',
+        target: 'node18',
+        rollupOptions: {
+            output: {
+                entryFileNames: 'tools.js',
+                banner: '#!/usr/bin/env node'
+            }
+        }
+    }
+})
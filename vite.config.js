@@ -1,9 +1,37 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+/**
+ * 生成 Service Worker (/sw.js)
+ * 预缓存清单包含构建输出的所有文件（入口、懒加载的工具分块、样式）和 public 目录下的静态文件，
+ * 缓存版本取清单的哈希，任意分块变化都会让浏览器发现新的 Service Worker
+ */
+function serviceWorker() {
+    return {
+        name: 'devtools-service-worker',
+        apply: 'build',
+        // 在 index.html 输出之后运行，清单才能包含它
+        enforce: 'post',
+        generateBundle(options, bundle) {
+            const files = [
+                ...Object.keys(bundle).filter(fileName => !fileName.endsWith('.map')),
+                ...readdirSync(new URL('./public', import.meta.url)),
+            ];
+            const urls = files.map(fileName => `/${fileName}`).sort();
+            const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12);
+            const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+                .replace('__PRECACHE_URLS__', JSON.stringify(urls, null, 4))
+                .replace('__CACHE_VERSION__', JSON.stringify(version));
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        },
+    }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorker()],
     server: {
         port: 3000,
         open: true,
@@ -12,5 +40,9 @@ export default defineConfig({
     build: {
         outDir: 'dist',
         sourcemap: true
+    },
+    worker: {
+        // 任务 Worker 按需加载各工具注册的任务模块，需要支持代码分割的 ES 模块格式
+        format: 'es'
     }
 })